@@ -0,0 +1,40 @@
+/**
+ * Dunning Job
+ *
+ * Walks overdue guardian invoices through the configured dunning policy
+ * (see services/dunningService.js). Runs daily; each step fires at most once
+ * per invoice, so re-running the job is safe.
+ */
+
+const cron = require('node-cron');
+const { runDunningCycle } = require('../services/dunningService');
+
+async function runDunningJob() {
+  try {
+    const summary = await runDunningCycle();
+    console.log(`[Dunning] enabled=${summary.enabled} processed=${summary.processed} executed=${summary.executed} released=${summary.released} errors=${summary.errors}`);
+    return { success: true, ...summary };
+  } catch (error) {
+    console.error('[Dunning Job] Failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Schedule the dunning job daily at 10:00 (after the 9:00 payment reminders).
+ */
+function scheduleDunning() {
+  cron.schedule('0 10 * * *', async () => {
+    await runDunningJob();
+  }, {
+    scheduled: true,
+    timezone: 'Africa/Cairo'
+  });
+
+  console.log('✅ Dunning job scheduled (daily at 10:00 AM)');
+}
+
+module.exports = {
+  runDunningJob,
+  scheduleDunning
+};
@@ -0,0 +1,16 @@
+// backend/jobs/expirePackageHoursJob.js
+const billingPackageService = require('../services/billingPackageService');
+
+/**
+ * Forfeit unused hours on package invoices whose validity period (counted
+ * from payment) has ended, then recompute the affected guardians' hours.
+ * Scheduled daily.
+ */
+async function runExpirePackageHoursJob(opts = {}) {
+  const result = await billingPackageService.expireUnusedPackageHours(opts);
+  if (!result.invoices) return result;
+  console.log(`[PackageExpiry] ${result.invoices} package invoice(s) expired for ${result.guardians} guardian(s): ${result.expiredHours} hour(s) forfeited, ${result.failed} failed.`);
+  return result;
+}
+
+module.exports = { runExpirePackageHoursJob };
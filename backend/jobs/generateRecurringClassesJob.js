@@ -1,10 +1,21 @@
 const Class = require('../models/Class');
-const { generateRecurringClasses } = require('../utils/generateRecurringClasses');
+const { generateRecurringClasses, applyGuardianPause, loadPausedGuardianIds } = require('../utils/generateRecurringClasses');
 
 async function runGenerateRecurringClasses(options = {}) {
   const patterns = await Class.findPatternsNeedingGeneration();
+  // Guardians paused by the dunning "pause classes" step get no new occurrences
+  // (for group series: no roster seat in them)
+  const pausedGuardianIds = await loadPausedGuardianIds();
   let totalCreated = 0;
+  let skippedPaused = 0;
+  let pausedSeats = 0;
   for (const p of patterns) {
+    const pause = applyGuardianPause(p, pausedGuardianIds);
+    if (pause.skip) {
+      skippedPaused += 1;
+      continue;
+    }
+    pausedSeats += pause.pausedSeats;
     try {
       const perDayMap = new Map();
       if (Array.isArray(p.recurrenceDetails)) {
@@ -20,13 +31,13 @@ async function runGenerateRecurringClasses(options = {}) {
 
       // respectCancelledInstances: do not regenerate occurrences that were
       // deliberately cancelled (prevents revived duplicates of cancelled classes).
-      const generated = await generateRecurringClasses(p, p.recurrence?.generationPeriodMonths || 2, perDayMap, { respectCancelledInstances: true });
+      const generated = await generateRecurringClasses(p, p.recurrence?.generationPeriodMonths || 2, perDayMap, { respectCancelledInstances: true, pausedGuardianIds });
       totalCreated += generated.length;
     } catch (err) {
       console.error('Error generating classes for pattern', p._id, err && err.message);
     }
   }
-  console.log(`[jobs] generateRecurringClassesJob: created ${totalCreated} classes`);
+  console.log(`[jobs] generateRecurringClassesJob: created ${totalCreated} classes${skippedPaused ? `, skipped ${skippedPaused} paused patterns` : ''}${pausedSeats ? `, left out ${pausedSeats} paused group seats` : ''}`);
   return totalCreated;
 }
 
@@ -0,0 +1,16 @@
+// backend/jobs/hijriScheduleRulesJob.js
+const hijriScheduleService = require('../services/hijriScheduleService');
+
+/**
+ * Resolve Hijri scheduling rules for the coming months: Eid pauses become
+ * system vacations, Ramadan shifts move upcoming classes. Scheduled daily,
+ * before recurring-class generation.
+ */
+async function runHijriScheduleRulesJob() {
+  const result = await hijriScheduleService.syncAllRules();
+  if (!result.rules) return result;
+  console.log(`[HijriRules] ${result.rules} rule(s): ${result.vacationsCreated} vacation(s) created, ${result.vacationsUpdated} moved, ${result.classesShifted} class(es) shifted, ${result.classesReverted} reverted, ${result.failed} failed.`);
+  return result;
+}
+
+module.exports = { runHijriScheduleRulesJob };
@@ -9,6 +9,7 @@ const cron = require('node-cron');
 const Invoice = require('../models/Invoice');
 const User = require('../models/User');
 const { createNotification } = require('../services/notificationService');
+const { sendInstallmentReminders } = require('../services/installmentService');
 
 /**
  * Check for overdue payments and send reminders
@@ -247,9 +248,24 @@ async function checkUpcomingPayments() {
   }
 }
 
+/**
+ * Remind guardians about upcoming and overdue installments of payment plans
+ */
+async function checkInstallmentReminders() {
+  try {
+    console.log('[Payment Reminder] Starting installment reminder check...');
+    const summary = await sendInstallmentReminders();
+    console.log(`[Payment Reminder] Installments: ${summary.upcoming} upcoming, ${summary.overdue} overdue reminders sent`);
+    return summary;
+  } catch (error) {
+    console.error('[Payment Reminder] Error:', error);
+    throw error;
+  }
+}
+
 /**
  * Main payment reminder job
- * Runs both overdue and upcoming checks
+ * Runs the overdue, upcoming and installment checks
  */
 async function runPaymentReminderJob() {
   console.log('\n' + '='.repeat(70));
@@ -263,16 +279,21 @@ async function runPaymentReminderJob() {
     
     // Check upcoming payments
     const upcomingResults = await checkUpcomingPayments();
+
+    // Check installment plans
+    const installmentResults = await checkInstallmentReminders();
     
     console.log('\n' + '='.repeat(70));
     console.log('PAYMENT REMINDER JOB - Complete');
     console.log(`Overdue: ${overdueResults.overdueCount} invoices, ${overdueResults.remindersSent} reminders sent`);
     console.log(`Upcoming: ${upcomingResults.upcomingCount} invoices, ${upcomingResults.remindersSent} notifications sent`);
+    console.log(`Installments: ${installmentResults.upcoming + installmentResults.overdue} reminders sent`);
     console.log('='.repeat(70) + '\n');
     
     return {
       overdue: overdueResults,
       upcoming: upcomingResults,
+      installments: installmentResults,
       success: true
     };
     
@@ -304,6 +325,7 @@ function schedulePaymentReminders() {
 module.exports = {
   checkOverduePayments,
   checkUpcomingPayments,
+  checkInstallmentReminders,
   runPaymentReminderJob,
   schedulePaymentReminders
 };
@@ -0,0 +1,15 @@
+// backend/jobs/teacherCalendarImportJob.js
+const teacherCalendarImportService = require('../services/teacherCalendarImportService');
+
+/**
+ * Pull changes from every connected teacher calendar (incremental via sync
+ * tokens) into their imported busy time. Scheduled every 15 minutes.
+ */
+async function runTeacherCalendarImportJob() {
+  const result = await teacherCalendarImportService.syncAllConnections();
+  if (result.skipped) return result;
+  console.log(`[CalendarImport] ${result.synced}/${result.teachers} calendar(s) synced, ${result.upserted} busy block(s) updated, ${result.removed} removed, ${result.failed} failed.`);
+  return result;
+}
+
+module.exports = { runTeacherCalendarImportJob };
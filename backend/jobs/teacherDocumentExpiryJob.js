@@ -0,0 +1,14 @@
+// backend/jobs/teacherDocumentExpiryJob.js
+const teacherOnboardingService = require('../services/teacherOnboardingService');
+
+/**
+ * Send renewal reminders for vault documents that expire soon or have expired
+ * and re-check the onboarding checklists they belong to. Scheduled daily.
+ */
+async function runTeacherDocumentExpiryJob() {
+  const result = await teacherOnboardingService.runExpiryCheck();
+  console.log(`[TeacherDocuments] ${result.warned} expiry warning(s), ${result.expired} expired, ${result.checklistsClosed} teacher(s) closed to new students.`);
+  return result;
+}
+
+module.exports = { runTeacherDocumentExpiryJob };
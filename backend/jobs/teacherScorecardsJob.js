@@ -0,0 +1,20 @@
+// backend/jobs/teacherScorecardsJob.js
+const teacherScorecardService = require('../services/teacherScorecardService');
+
+/**
+ * Finalise the scorecards of the month that just closed (Cairo time) and send
+ * the threshold alerts for it. Scheduled for the 1st of each month.
+ */
+async function runTeacherScorecardsJob() {
+  const period = teacherScorecardService.currentPeriod();
+  const [year, month] = period.split('-').map(Number);
+  const previous = month === 1
+    ? `${year - 1}-12`
+    : `${year}-${String(month - 1).padStart(2, '0')}`;
+
+  const result = await teacherScorecardService.computePeriod(previous);
+  console.log(`[TeacherScorecards] ${result.period}: ${result.teachers} teacher(s) scored, ${result.alerts} with alerts.`);
+  return result;
+}
+
+module.exports = { runTeacherScorecardsJob };
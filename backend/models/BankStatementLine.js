@@ -0,0 +1,55 @@
+// backend/models/BankStatementLine.js
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * BankStatementLine — one incoming payment from an imported bank, InstaPay
+ * or PayPal CSV export, waiting to be reconciled against a guardian invoice.
+ *
+ * status:
+ *   unmatched  no open invoice scored high enough (review queue)
+ *   suggested  has ranked invoice suggestions, waiting for an admin
+ *   matched    applied through InvoiceService.processInvoicePayment
+ *   ignored    dismissed by an admin (not a guardian payment, already recorded…)
+ */
+const suggestionSchema = new Schema({
+  invoice: { type: Schema.Types.ObjectId, ref: 'Invoice', required: true },
+  invoiceNumber: String,
+  guardianName: String,
+  amountDue: Number,
+  currency: String,
+  score: Number,
+  reasons: [String]
+}, { _id: false });
+
+const bankStatementLineSchema = new Schema({
+  batchId: { type: String, required: true, index: true },
+  source: { type: String, enum: ['bank', 'instapay', 'paypal'], required: true },
+  fileName: { type: String, trim: true },
+  rowNumber: Number,
+  // Hash of source/date/amount/reference/description so re-importing the same export is a no-op
+  fingerprint: { type: String, required: true, unique: true },
+  date: { type: Date, required: true },
+  amount: { type: Number, required: true },
+  currency: { type: String, trim: true, uppercase: true },
+  payerName: { type: String, trim: true },
+  reference: { type: String, trim: true },
+  description: { type: String, trim: true },
+  raw: { type: Schema.Types.Mixed },
+  status: { type: String, enum: ['unmatched', 'suggested', 'matched', 'ignored'], default: 'unmatched', index: true },
+  suggestions: { type: [suggestionSchema], default: [] },
+  matchedInvoice: { type: Schema.Types.ObjectId, ref: 'Invoice', default: null },
+  transactionId: { type: String, trim: true },
+  matchedAt: Date,
+  matchedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  ignoredAt: Date,
+  ignoredBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String, trim: true },
+  lastError: { type: String, trim: true },
+  importedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+bankStatementLineSchema.index({ status: 1, date: -1 });
+
+module.exports = mongoose.model('BankStatementLine', bankStatementLineSchema);
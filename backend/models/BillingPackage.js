@@ -0,0 +1,84 @@
+// backend/models/BillingPackage.js
+/**
+ * BillingPackage Model - Catalog of prepaid-hour bundles sold to guardians.
+ * A package offers one or more hour tiers (e.g. 8h / 12h / 20h), each with its
+ * own hourly price, plus an optional validity window and sibling discounts.
+ * Guardians reference a package + tier via guardianInfo.billingPackage.
+ */
+
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const packageTierSchema = new Schema({
+  label: { type: String, trim: true, maxlength: 60 }, // e.g. "12-hour bundle"
+  hours: { type: Number, required: true, min: 0.5 },
+  pricePerHour: { type: Number, required: true, min: 0 },
+  isDefault: { type: Boolean, default: false }
+}, { _id: true });
+
+// Applied when a guardian has at least `minStudents` active students
+const siblingDiscountSchema = new Schema({
+  minStudents: { type: Number, required: true, min: 2 },
+  percent: { type: Number, required: true, min: 0, max: 100 }
+}, { _id: false });
+
+const billingPackageSchema = new Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, trim: true, maxlength: 500 },
+  tiers: {
+    type: [packageTierSchema],
+    validate: {
+      validator: (tiers) => Array.isArray(tiers) && tiers.length > 0,
+      message: 'A package needs at least one tier'
+    }
+  },
+
+  // Hours bought under this package must be used within validityDays of the
+  // invoice date (0 = never expire)
+  expiry: {
+    validityDays: { type: Number, default: 0, min: 0 }
+  },
+
+  siblingDiscounts: [siblingDiscountSchema],
+  // 'additional_students': first student pays full price, siblings get the discount
+  // 'all_students': every student's lines are discounted
+  siblingDiscountAppliesTo: {
+    type: String,
+    enum: ['additional_students', 'all_students'],
+    default: 'additional_students'
+  },
+
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+billingPackageSchema.index({ isActive: 1, name: 1 });
+
+/**
+ * Tier matching the requested hours, falling back to the default tier
+ * (or the first one) when no exact match exists.
+ */
+billingPackageSchema.methods.getTier = function(hours) {
+  const tiers = Array.isArray(this.tiers) ? this.tiers : [];
+  const requested = Number(hours);
+  if (Number.isFinite(requested) && requested > 0) {
+    const exact = tiers.find((tier) => Number(tier.hours) === requested);
+    if (exact) return exact;
+  }
+  return tiers.find((tier) => tier.isDefault) || tiers[0] || null;
+};
+
+/**
+ * Highest sibling discount percent unlocked by `studentCount` students.
+ */
+billingPackageSchema.methods.getSiblingDiscountPercent = function(studentCount) {
+  const count = Number(studentCount) || 0;
+  return (this.siblingDiscounts || [])
+    .filter((rule) => count >= Number(rule.minStudents))
+    .reduce((max, rule) => Math.max(max, Number(rule.percent) || 0), 0);
+};
+
+module.exports = mongoose.model('BillingPackage', billingPackageSchema);
@@ -0,0 +1,36 @@
+// models/CalendarFeed.js
+// Subscribable iCalendar feed. The token in the feed URL is the only
+// credential (calendar apps cannot send a bearer token), so it is long,
+// random, and can be rotated or revoked by its owner at any time.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const FEED_SCOPES = ['user', 'student'];
+
+const calendarFeedSchema = new mongoose.Schema({
+  // The account that owns (and can manage) the feed
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // user: everything on the owner's schedule; student: one student of a guardian
+  scope: { type: String, enum: FEED_SCOPES, default: 'user' },
+  studentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  studentName: { type: String, trim: true, default: '' },
+  label: { type: String, trim: true, default: '', maxlength: 120 },
+  token: { type: String, required: true, unique: true },
+  // Meeting links are only written into the feed when the owner opted in
+  includeMeetingLinks: { type: Boolean, default: false },
+  revokedAt: { type: Date, default: null },
+  lastAccessedAt: { type: Date, default: null },
+  accessCount: { type: Number, default: 0 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+calendarFeedSchema.index({ owner: 1, scope: 1, studentId: 1, revokedAt: 1 });
+
+calendarFeedSchema.statics.generateToken = function () {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+calendarFeedSchema.statics.FEED_SCOPES = FEED_SCOPES;
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
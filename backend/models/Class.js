@@ -84,6 +84,79 @@ const classSchema = new mongoose.Schema({
     },
   },
   
+  // Group classes (siblings, halaqa): one session taught to several students,
+  // possibly from different guardians. `student` mirrors the first roster
+  // entry so single-student code paths keep working.
+  isGroup: {
+    type: Boolean,
+    default: false,
+    index: true,
+  },
+  roster: [{
+    guardianId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    studentName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // pending = not marked yet; follows the class status when billing
+    attendance: {
+      type: String,
+      enum: ['pending', 'attended', 'absent', 'excused'],
+      default: 'pending',
+    },
+    report: {
+      lessonTopic: { type: String, trim: true, maxlength: 300 },
+      recitedQuran: { type: String, trim: true, maxlength: 50 },
+      newAssignment: { type: String, trim: true, maxlength: 1000 },
+      previousAssignmentEvaluation: { type: String, trim: true, maxlength: 50 },
+      teacherNotes: { type: String, trim: true, maxlength: 1000 },
+      classScore: { type: Number, min: 0, max: 5 },
+    },
+    // Fraction of the student's billable time charged to the guardian (1 = full)
+    billingShare: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 1,
+    },
+    waived: {
+      type: Boolean,
+      default: false,
+    },
+    billedInInvoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  groupBilling: {
+    // per_student: every billable student is charged the full session
+    // split: the session is divided between the billable students
+    mode: {
+      type: String,
+      enum: ['per_student', 'split'],
+      default: 'per_student',
+    },
+    // Absent (not excused) students are charged like a missed 1:1 class
+    chargeAbsent: {
+      type: Boolean,
+      default: true,
+    },
+  },
+
   // Scheduling Information
   scheduledDate: {
     type: Date,
@@ -182,7 +255,7 @@ const classSchema = new mongoose.Schema({
   recurrence: {
     frequency: {
       type: String,
-      enum: ["daily", "weekly", "biweekly", "monthly"],
+      enum: ["daily", "weekly", "biweekly", "monthly", "yearly"],
       default: "weekly",
     },
     interval: {
@@ -221,6 +294,37 @@ const classSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    // RFC 5545 series definition (see utils/recurrenceRule.js). When set it
+    // decides which dates get classes; recurrenceDetails still gives the time
+    // and duration per weekday. frequency/interval/daysOfWeek above are kept
+    // in sync for older readers. Patterns without a rule behave as
+    // FREQ=WEEKLY;BYDAY=<slot days>.
+    rrule: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // 'YYYY-MM-DD' in the pattern timezone; anchors INTERVAL and COUNT
+    dtstart: {
+      type: String,
+      trim: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    // Skipped occurrences: 'YYYY-MM-DD' drops the whole day,
+    // 'YYYY-MM-DDTHH:mm' drops one slot (local time of that slot)
+    exdates: [{
+      type: String,
+      trim: true,
+      match: /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/,
+    }],
+    // Extra one-off occurrences, e.g. a moved session
+    rdates: [{
+      _id: false,
+      date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+      time: { type: String, required: true, match: /^\d{2}:\d{2}$/ },
+      duration: { type: Number, min: 15, max: 180 },
+      timezone: { type: String, trim: true },
+    }],
   },
   
   // Parent recurring class reference (for individual instances)
@@ -706,7 +810,40 @@ const classSchema = new mongoose.Schema({
       default: false,
     },
   },
-  
+
+  // Set when a substitute took over this occurrence from the cover board
+  cover: {
+    originalTeacher: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    coverRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CoverRequest',
+    },
+    assignedAt: {
+      type: Date,
+    },
+  },
+
+  // Set when a Hijri scheduling rule moved this occurrence (e.g. Ramadan
+  // timetable); originalScheduledDate is restored if the rule is removed
+  hijriShift: {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'HijriScheduleRule',
+    },
+    hijriYear: {
+      type: Number,
+    },
+    minutes: {
+      type: Number,
+    },
+    originalScheduledDate: {
+      type: Date,
+    },
+  },
+
   // Notifications
   notifications: {
     reminderSent: {
@@ -800,9 +937,12 @@ classSchema.index({ endsAt: 1 });
 classSchema.index({ teacher: 1, endsAt: 1, scheduledDate: 1 });
 classSchema.index({ "student.guardianId": 1, endsAt: 1, scheduledDate: 1 });
 classSchema.index({ "student.studentId": 1, endsAt: 1, scheduledDate: 1 });
+classSchema.index({ "roster.guardianId": 1, scheduledDate: 1 });
+classSchema.index({ "roster.studentId": 1, scheduledDate: 1 });
 classSchema.index({ hidden: 1, status: 1, endsAt: 1, scheduledDate: 1 });
 classSchema.index({ createdAt: 1 });
 classSchema.index({ parentRecurringClass: 1 });
+classSchema.index({ 'hijriShift.rule': 1, scheduledDate: 1 }, { sparse: true });
 classSchema.index({ isRecurring: 1, status: 1 });
 
 // Virtual for formatted date
@@ -843,6 +983,78 @@ classSchema.virtual('countsForStudent').get(function() {
   return this.status === 'attended';
 });
 
+const GROUP_CONSUMED_STATUSES = ['attended', 'missed_by_student', 'absent'];
+const GROUP_PROJECTED_STATUSES = ['scheduled', 'in_progress', 'completed'];
+
+/**
+ * Billable minutes per roster entry of a group class. Works on documents and
+ * lean objects. Only consumed statuses count unless `projected` is set, in
+ * which case upcoming sessions are priced as if everyone attends.
+ * @returns {Array<{ guardianId, studentId, studentName, minutes }>}
+ */
+function computeGroupBilling(cls, { projected = false } = {}) {
+  const roster = cls && cls.isGroup && Array.isArray(cls.roster) ? cls.roster : [];
+  const status = String(cls?.status || '');
+  const counts = GROUP_CONSUMED_STATUSES.includes(status)
+    || (projected && GROUP_PROJECTED_STATUSES.includes(status));
+  const guardianWaived = cls?.billingWaiver?.guardian?.waived === true;
+  const chargeAbsent = cls?.groupBilling?.chargeAbsent !== false;
+  const studentMissed = status === 'missed_by_student' || status === 'absent';
+
+  const billable = roster.map((entry) => {
+    if (!counts || guardianWaived || entry.waived) return false;
+    const attendance = entry.attendance || 'pending';
+    if (attendance === 'excused') return false;
+    if (attendance === 'absent' || (attendance === 'pending' && studentMissed)) return chargeAbsent;
+    return true;
+  });
+  const billableCount = billable.filter(Boolean).length;
+  const duration = Number(cls?.duration || 0);
+  const perStudent = cls?.groupBilling?.mode === 'split' && billableCount ? duration / billableCount : duration;
+
+  return roster.map((entry, idx) => {
+    const share = Number(entry.billingShare);
+    const factor = Number.isFinite(share) ? Math.min(1, Math.max(0, share)) : 1;
+    return {
+      guardianId: entry.guardianId?._id || entry.guardianId,
+      studentId: entry.studentId,
+      studentName: entry.studentName,
+      minutes: billable[idx] ? Math.round(perStudent * factor * 100) / 100 : 0,
+    };
+  });
+}
+
+/**
+ * How a group class looks to one guardian's billing: `student` becomes that
+ * guardian's roster entries and `duration` their billable minutes. 1:1
+ * classes are returned unchanged.
+ */
+function projectClassForGuardian(cls, guardianId, { projected = true } = {}) {
+  if (!cls || !cls.isGroup) return cls;
+  const gid = String(guardianId);
+  const entries = computeGroupBilling(cls, { projected })
+    .filter((entry) => String(entry.guardianId) === gid);
+  if (!entries.length) return { ...cls, duration: 0, groupDuration: cls.duration };
+  return {
+    ...cls,
+    student: {
+      guardianId: entries[0].guardianId,
+      studentId: entries[0].studentId,
+      studentName: entries.map((entry) => entry.studentName).join(', '),
+    },
+    duration: Math.round(entries.reduce((sum, entry) => sum + entry.minutes, 0) * 100) / 100,
+    groupDuration: cls.duration,
+  };
+}
+
+const snapshotGroupBilling = (doc) => (doc.isGroup
+  ? computeGroupBilling(doc).map((entry) => ({
+    guardianId: String(entry.guardianId),
+    studentId: String(entry.studentId),
+    minutes: entry.minutes,
+  }))
+  : []);
+
 // 🔒 CAPTURE ORIGINAL STATE when document is loaded from database
 classSchema.post('init', function(doc) {
   // Store the original state when document is first loaded
@@ -851,7 +1063,8 @@ classSchema.post('init', function(doc) {
     status: doc.status,
     duration: doc.duration,
     billedInInvoiceId: doc.billedInInvoiceId,
-    wasReportSubmitted: !!doc.classReport?.submittedAt
+    wasReportSubmitted: !!doc.classReport?.submittedAt,
+    groupBilling: snapshotGroupBilling(doc)
   };
 });
 
@@ -864,6 +1077,14 @@ classSchema.pre('save', function(next) {
     if (this.isModified() && !this.isNew) {
       this.lastModifiedBy = this.lastModifiedBy || this.createdBy;
     }
+    if (this.isGroup && this.roster && this.roster.length) {
+      const primary = this.roster[0];
+      this.student = {
+        guardianId: primary.guardianId,
+        studentId: primary.studentId,
+        studentName: primary.studentName,
+      };
+    }
     
     // 🔒 DUPLICATE SUBMISSION PREVENTION
     // Use the original state captured when document was loaded from DB
@@ -876,7 +1097,8 @@ classSchema.pre('save', function(next) {
       status: originalState.status !== undefined ? originalState.status : this.status,
       duration: originalState.duration !== undefined ? originalState.duration : this.duration,
       billedInInvoiceId: originalState.billedInInvoiceId || this.billedInInvoiceId,
-      wasReportSubmitted: originalState.wasReportSubmitted || false
+      wasReportSubmitted: originalState.wasReportSubmitted || false,
+      groupBilling: originalState.groupBilling || []
     };
     
     if (process.env.DEBUG_CLASS_SAVE === '1') {
@@ -898,7 +1120,8 @@ classSchema.pre('save', function(next) {
       status: this.status,
       duration: this.duration,
       billedInInvoiceId: this.billedInInvoiceId,
-      wasReportSubmitted: false
+      wasReportSubmitted: false,
+      groupBilling: []
     };
   }
   next();
@@ -952,6 +1175,27 @@ classSchema.post('save', async function(doc) {
     // - scheduled → attended (first submission) ✅ ALLOW
     // - attended → missed_by_student (changing countable type) ✅ ALLOW
     
+    // Group classes bill per roster entry: attendance edits change what each
+    // guardian owes even when the class status stays the same. The invoice
+    // service diffs against the snapshot, so repeated saves are harmless.
+    if (doc.isGroup && prev) {
+      const groupBilling = snapshotGroupBilling(doc);
+      const groupChanged = JSON.stringify(groupBilling) !== JSON.stringify(prev.groupBilling || []);
+      doc.$locals.originalState = {
+        ...(doc.$locals.originalState || {}),
+        status: doc.status,
+        duration: doc.duration,
+        wasReportSubmitted: !!doc.classReport?.submittedAt,
+        groupBilling
+      };
+      if (!statusChanged && !durationChanged && !groupChanged) return;
+      const InvoiceService = require('../services/invoiceService');
+      InvoiceService.onClassStateChanged(doc.toObject(), prev).catch((err) => {
+        console.warn('[Class.postSave] onClassStateChanged failed', err && err.message);
+      });
+      return;
+    }
+
     const wasReportSubmitted = prev?.wasReportSubmitted || false;
     const isCountable = (status) => ['attended', 'missed_by_student', 'absent'].includes(status);
     
@@ -1182,7 +1426,20 @@ classSchema.methods.reschedule = async function(newDate, reason, rescheduledBy)
     rescheduledAt
   });
   
-  return this.save();
+  const saved = await this.save();
+
+  // Series occurrence: remember the move so regeneration keeps the new time
+  // instead of recreating the old slot.
+  if (saved.parentRecurringClass) {
+    try {
+      const { recordOccurrenceMoved } = require('../services/classSeriesService');
+      await recordOccurrenceMoved(saved, { scheduledDate: oldDate });
+    } catch (err) {
+      console.warn('Failed to record series exception for rescheduled class:', err.message);
+    }
+  }
+
+  return saved;
 };
 
 // Static method to find classes by teacher
@@ -1195,7 +1452,13 @@ classSchema.statics.findByTeacher = function(teacherId, filters = {}) {
 
 // Static method to find classes by guardian
 classSchema.statics.findByGuardian = function(guardianId, filters = {}) {
-  const query = { 'student.guardianId': guardianId, ...filters };
+  // $and keeps the roster match when the caller's filters carry their own $or
+  const query = {
+    $and: [
+      { $or: [{ 'student.guardianId': guardianId }, { 'roster.guardianId': guardianId }] },
+      filters
+    ]
+  };
   return this.find(query).populate('teacher', 'firstName lastName email')
                           .populate('student.guardianId', 'firstName lastName email')
                           .sort({ scheduledDate: -1 });
@@ -1203,16 +1466,25 @@ classSchema.statics.findByGuardian = function(guardianId, filters = {}) {
 
 // Static method to find classes by student
 classSchema.statics.findByStudent = function(guardianId, studentId, filters = {}) {
-  const query = { 
-    'student.guardianId': guardianId, 
-    'student.studentId': studentId, 
-    ...filters 
+  const query = {
+    $and: [
+      {
+        $or: [
+          { 'student.guardianId': guardianId, 'student.studentId': studentId },
+          { roster: { $elemMatch: { guardianId, studentId } } }
+        ]
+      },
+      filters
+    ]
   };
   return this.find(query).populate('teacher', 'firstName lastName email')
                           .populate('student.guardianId', 'firstName lastName email')
                           .sort({ scheduledDate: -1 });
 };
 
+classSchema.statics.computeGroupBilling = computeGroupBilling;
+classSchema.statics.projectClassForGuardian = projectClassForGuardian;
+
 // Static method to find upcoming classes
 classSchema.statics.findUpcoming = function(filters = {}) {
   const query = { 
@@ -0,0 +1,60 @@
+// models/CoverRequest.js
+// One class occurrence posted to the substitute (cover) board. Classes land
+// here when their teacher is on vacation, cancels on the day, or the class was
+// put on hold. Qualified, available teachers claim the cover; depending on the
+// board mode the first claim wins or an admin picks among the claimants.
+
+const mongoose = require('mongoose');
+
+const claimSchema = new mongoose.Schema({
+  teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  claimedAt: { type: Date, default: Date.now },
+  note: { type: String, trim: true, maxlength: 500 },
+}, { _id: false });
+
+const coverRequestSchema = new mongoose.Schema({
+  class: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', required: true, index: true },
+  originalTeacher: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  source: {
+    type: String,
+    enum: ['vacation', 'teacher_cancellation', 'on_hold', 'manual'],
+    required: true,
+  },
+  vacation: { type: mongoose.Schema.Types.ObjectId, ref: 'Vacation' },
+  // Snapshot of the occurrence so the board renders without loading classes
+  scheduledDate: { type: Date, required: true },
+  duration: { type: Number, required: true },
+  subject: { type: String, trim: true },
+  studentName: { type: String, trim: true },
+  guardian: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  timezone: { type: String },
+  // Class status before it was posted; restored as 'scheduled' on cover
+  classStatusAtPost: { type: String },
+  // How the cover is granted, frozen from the board config at post time
+  claimMode: { type: String, enum: ['first_come', 'admin_approval'], default: 'first_come' },
+  // Teachers that were qualified and free when the request was posted
+  eligibleTeachers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  claims: [claimSchema],
+  status: {
+    type: String,
+    enum: ['open', 'assigned', 'cancelled', 'expired'],
+    default: 'open',
+    index: true,
+  },
+  assignedTeacher: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assignedAt: { type: Date },
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closedReason: { type: String, trim: true, maxlength: 500 },
+  postedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String, trim: true, maxlength: 500 },
+}, { timestamps: true });
+
+coverRequestSchema.index({ status: 1, scheduledDate: 1 });
+coverRequestSchema.index({ eligibleTeachers: 1, status: 1, scheduledDate: 1 });
+// At most one open request per occurrence
+coverRequestSchema.index(
+  { class: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' }, name: 'class_open_unique' }
+);
+
+module.exports = mongoose.model('CoverRequest', coverRequestSchema);
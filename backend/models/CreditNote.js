@@ -0,0 +1,94 @@
+// backend/models/CreditNote.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { slugify } = require('../utils/slug');
+const { allocateSeriesSequence, formatSeriesNumber } = require('../utils/invoiceNaming');
+
+const { Schema } = mongoose;
+
+/**
+ * CreditNote — the document issued for a refund against a guardian invoice.
+ *
+ * The original invoice keeps its issued amounts; each refund is a separate,
+ * numbered credit note that references it. Voiding (undo refund) keeps the
+ * document for the audit trail and removes it from every balance.
+ */
+const creditNoteLineSchema = new Schema({
+  description: { type: String, trim: true },
+  student: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  studentName: { type: String, trim: true },
+  hours: { type: Number, default: 0 },
+  rate: { type: Number, default: 0 },
+  amount: { type: Number, default: 0 }
+}, { _id: false });
+
+const creditNoteSchema = new Schema({
+  creditNoteNumber: { type: String, unique: true, sparse: true, index: true },
+  sequence: { type: Number },
+  publicSlug: { type: String, unique: true, sparse: true, index: true },
+  invoice: { type: Schema.Types.ObjectId, ref: 'Invoice', required: true, index: true },
+  invoiceNumber: { type: String, trim: true },
+  guardian: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  guardianSnapshot: {
+    firstName: String,
+    lastName: String,
+    email: String
+  },
+  status: { type: String, enum: ['issued', 'voided'], default: 'issued', index: true },
+  currency: { type: String, default: 'USD' },
+  exchangeRate: { type: Schema.Types.Mixed, default: null },
+  legalEntity: { type: Schema.Types.Mixed, default: null },
+  taxDetails: { type: Schema.Types.Mixed, default: null },
+  lines: { type: [creditNoteLineSchema], default: [] },
+  hours: { type: Number, required: true, min: 0 },
+  hourlyRate: { type: Number, default: 0 },
+  subtotal: { type: Number, default: 0 },
+  transferFeeCredited: { type: Number, default: 0 },
+  total: { type: Number, required: true, min: 0 },
+  reason: { type: String, trim: true },
+  refundReference: { type: String, trim: true },
+  issuedAt: { type: Date, default: Date.now },
+  issuedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  voidedAt: { type: Date, default: null },
+  voidedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  voidReason: { type: String, trim: true }
+}, { timestamps: true });
+
+creditNoteSchema.index({ guardian: 1, issuedAt: -1 });
+creditNoteSchema.index({ invoice: 1, status: 1, issuedAt: -1 });
+
+/**
+ * Credit notes have their own yearly series per legal entity:
+ * CN-2026-0001, or <entity prefix>-CN-2026-0001 when the entity numbers its invoices.
+ */
+creditNoteSchema.pre('validate', async function assignIdentifiers(next) {
+  try {
+    if (!this.creditNoteNumber) {
+      const issued = this.issuedAt || new Date();
+      const year = issued.getUTCFullYear();
+      const entityKey = this.legalEntity?.key || 'default';
+      const entityPrefix = this.legalEntity?.series?.enabled ? this.legalEntity.series.prefix : '';
+      this.sequence = await allocateSeriesSequence(`creditNoteSeries:${entityKey}:${year}`);
+      this.creditNoteNumber = formatSeriesNumber({
+        prefix: entityPrefix ? `${entityPrefix}-CN` : 'CN',
+        year,
+        sequence: this.sequence
+      });
+    }
+    if (!this.publicSlug) {
+      this.publicSlug = `${slugify(this.creditNoteNumber, { fallbackPrefix: 'credit-note' })}-${crypto.randomBytes(4).toString('hex')}`;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Issuing or voiding a note inside a locked journal export flags the export
+const lockedPeriodHook = function(res) {
+  return require('../services/accountingExportService').watchLockedPeriods('credit_note').call(this, res);
+};
+creditNoteSchema.post('save', lockedPeriodHook);
+creditNoteSchema.post('updateOne', lockedPeriodHook);
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
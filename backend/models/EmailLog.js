@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 const EMAIL_TYPES = [
   'classCreated', 'classCancelled', 'classRescheduled',
   'poorPerformance', 'monthlyStudentReport', 'consecutiveAbsent',
-  'invoiceCreated', 'invoiceSend', 'invoicePublished', 'paymentReceived',
+  'invoiceCreated', 'invoiceSend', 'paymentReminder', 'invoicePublished', 'paymentReceived',
   'bonusAdded', 'extraAdded',
   'registrationWelcome', 'studentCreated', 'studentDeleted',
   'vacationApproved', 'vacationGuardianNotice', 'vacationResumed',
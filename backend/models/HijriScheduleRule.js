@@ -0,0 +1,46 @@
+// models/HijriScheduleRule.js
+// A scheduling rule defined once on Hijri dates ("pause classes 1–3 Shawwal",
+// "during Ramadan move evening classes one hour later") and resolved every
+// year with the configured Hijri offset (services/hijriScheduleService.js).
+// Pause rules become managed SystemVacations; shift rules move the start of
+// matching classes and mark them with Class.hijriShift.
+
+const mongoose = require('mongoose');
+
+const RULE_ACTIONS = ['pause', 'shift'];
+const TIME_RE = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+const hijriScheduleRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  // Shown to users on the generated system vacation (pause rules)
+  message: { type: String, trim: true, maxlength: 1000, default: '' },
+  action: { type: String, enum: RULE_ACTIONS, required: true },
+  hijriMonth: { type: Number, required: true, min: 1, max: 12 },
+  startDay: { type: Number, min: 1, max: 30, default: 1 },
+  // null = until the last day of the month (29th or 30th)
+  endDay: { type: Number, min: 1, max: 30, default: null },
+  // Shift rules: minutes added to the start of matching classes (negative = earlier)
+  shiftMinutes: { type: Number, min: -720, max: 720, default: 0 },
+  // Shift rules: classes starting inside this local time band (class timezone)
+  // are moved; from > to wraps past midnight
+  timeBand: {
+    from: { type: String, match: TIME_RE, default: '17:00' },
+    to: { type: String, match: TIME_RE, default: '23:59' },
+  },
+  // Day boundaries of pause windows
+  timezone: { type: String, required: true, default: 'Africa/Cairo' },
+  // Key of settings.hijriOffsetDays.byRegion to use instead of the default offset
+  region: { type: String, trim: true, uppercase: true, default: '' },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  lastSyncedAt: { type: Date, default: null },
+  // Last sync problem (e.g. a pause window overlapping a manual vacation)
+  lastSyncNote: { type: String, default: '' },
+}, { timestamps: true });
+
+hijriScheduleRuleSchema.index({ isActive: 1, action: 1 });
+
+hijriScheduleRuleSchema.statics.RULE_ACTIONS = RULE_ACTIONS;
+
+module.exports = mongoose.model('HijriScheduleRule', hijriScheduleRuleSchema);
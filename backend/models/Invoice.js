@@ -5,7 +5,10 @@ const {
   allocateNextSequence,
   computeMajorityMonth,
   buildInvoiceIdentifiers,
-  slugifyInvoiceName
+  slugifyInvoiceName,
+  seriesKeyFor,
+  allocateSeriesSequence,
+  formatSeriesNumber
 } = require('../utils/invoiceNaming');
 
 const { Schema, Types } = mongoose;
@@ -215,9 +218,74 @@ const transferFeeSchema = new Schema({
   notes: { type: String, trim: true }
 }, { _id: false });
 
+// Package terms locked on the invoice at generation time (see models/BillingPackage.js)
+const billingPackageSnapshotSchema = new Schema({
+  package: { type: Schema.Types.ObjectId, ref: 'BillingPackage' },
+  name: { type: String, trim: true },
+  tierLabel: { type: String, trim: true },
+  tierHours: { type: Number },
+  pricePerHour: { type: Number },
+  siblingDiscountPercent: { type: Number, default: 0 },
+  siblingDiscountAppliesTo: { type: String, enum: ['additional_students', 'all_students'] },
+  validityDays: { type: Number, default: 0 },
+  // Set from the first payment (startPackageValidity); unused hours are
+  // forfeited after it by services/billingPackageService.expireUnusedPackageHours
+  expiresAt: { type: Date },
+  expiredAt: { type: Date },
+  expiredHours: { type: Number, default: 0 },
+  // Catalog prices are in the base currency; pricePerHour above is already converted
+  currency: { type: String, trim: true },
+  basePricePerHour: { type: Number }
+}, { _id: false });
+
 const guardianFinancialSchema = new Schema({
   hourlyRate: { type: Number, default: 0 },
-  transferFee: { type: transferFeeSchema, default: undefined }
+  transferFee: { type: transferFeeSchema, default: undefined },
+  billingPackage: { type: billingPackageSnapshotSchema, default: undefined }
+}, { _id: false });
+
+// Exchange rate frozen when the invoice is created: units of invoice currency per
+// 1 base currency. Reporting divides by `rate`; later rate updates never touch it.
+const exchangeRateSnapshotSchema = new Schema({
+  baseCurrency: { type: String, default: 'USD' },
+  currency: { type: String },
+  rate: { type: Number, min: 0 },
+  source: { type: String, trim: true },
+  year: { type: Number },
+  month: { type: Number },
+  // Legacy: rates locked at 1:1 before a real rate existed (re-locked by
+  // CurrencyService.lockPendingInvoiceRates)
+  isFallback: { type: Boolean, default: false },
+  lockedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Seller, tax rule and numbering series resolved when the invoice is created
+// (see services/taxService.js); snapshots so config edits never touch issued invoices.
+const legalEntitySnapshotSchema = new Schema({
+  key: { type: String, trim: true },
+  name: { type: String, trim: true },
+  address: { type: String, trim: true },
+  taxRegistrationNumber: { type: String, trim: true },
+  email: { type: String, trim: true },
+  phone: { type: String, trim: true }
+}, { _id: false });
+
+const taxDetailsSchema = new Schema({
+  country: { type: String, trim: true },
+  label: { type: String, trim: true },
+  rate: { type: Number, default: 0 },
+  reverseCharge: { type: Boolean, default: false },
+  note: { type: String, trim: true },
+  customerTaxId: { type: String, trim: true }
+}, { _id: false });
+
+const numberingSeriesSchema = new Schema({
+  entityKey: { type: String, trim: true },
+  prefix: { type: String, trim: true },
+  resetYearly: { type: Boolean, default: true },
+  padding: { type: Number, default: 4 },
+  year: { type: Number },
+  sequence: { type: Number }
 }, { _id: false });
 
 const coverageSchema = new Schema({
@@ -251,11 +319,67 @@ const deliveryRecordSchema = new Schema({
   createdAt: { type: Date, default: Date.now }
 }, { _id: true });
 
+// Overdue-invoice escalation state (see services/dunningService.js).
+// nextStepIndex points into the configured dunning policy steps.
+const dunningHistorySchema = new Schema({
+  stepKey: { type: String, trim: true },
+  outcome: {
+    type: String,
+    enum: ['executed', 'skipped', 'superseded', 'paused', 'resumed'],
+    required: true
+  },
+  channels: [{ type: String }],
+  note: { type: String, trim: true },
+  actor: { type: Schema.Types.ObjectId, ref: 'User' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const dunningStateSchema = new Schema({
+  nextStepIndex: { type: Number, default: 0, min: 0 },
+  lastStepKey: { type: String, trim: true },
+  lastStepAt: { type: Date },
+  paused: { type: Boolean, default: false },
+  pausedAt: { type: Date },
+  pausedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  skipStepKeys: [{ type: String }],
+  history: { type: [dunningHistorySchema], default: [] }
+}, { _id: false });
+
+// Installment schedule for large guardian invoices (see services/installmentService.js).
+// Each paid installment releases its hours to the guardian; the invoice only
+// turns "paid" once the last installment is settled.
+const installmentSchema = new Schema({
+  sequence: { type: Number, required: true },
+  dueDate: { type: Date, required: true },
+  amount: { type: Number, required: true, min: 0 },
+  hours: { type: Number, default: 0 },
+  status: { type: String, enum: ['pending', 'paid'], default: 'pending' },
+  paidAmount: { type: Number, default: 0 },
+  paidAt: Date,
+  paymentMethod: { type: String, trim: true },
+  transactionId: { type: String, trim: true },
+  upcomingReminderSentAt: Date,
+  lastOverdueReminderAt: Date,
+  overdueReminderCount: { type: Number, default: 0 }
+}, { _id: true });
+
+const installmentPlanSchema = new Schema({
+  active: { type: Boolean, default: true },
+  installments: { type: [installmentSchema], default: [] },
+  note: { type: String, trim: true },
+  originalDueDate: Date,
+  createdAt: { type: Date, default: Date.now },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  completedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
 const activityEntrySchema = new Schema({
   actor: { type: Schema.Types.ObjectId, ref: 'User' },
   action: {
     type: String,
-    enum: ['create', 'update', 'item_update', 'status_change', 'payment', 'refund', 'delivery', 'note', 'delete'],
+    enum: ['create', 'update', 'item_update', 'status_change', 'payment', 'refund', 'delivery', 'dunning', 'note', 'delete'],
     required: true
   },
   at: { type: Date, default: Date.now },
@@ -319,10 +443,16 @@ const invoiceSchema = new mongoose.Schema({
   subtotal: { type: Number, required: true, default: 0 },
   tax: { type: Number, default: 0 },
   taxRate: { type: Number, default: 0 },
+  taxDetails: { type: taxDetailsSchema, default: undefined },
+  legalEntity: { type: legalEntitySnapshotSchema, default: undefined },
+  series: { type: numberingSeriesSchema, default: undefined },
   discount: { type: Number, default: 0 },
   discountReason: { type: String, trim: true },
   total: { type: Number, required: true, default: 0 },
   currency: { type: String, default: 'USD' },
+  exchangeRateSnapshot: { type: exchangeRateSnapshotSchema, default: undefined },
+  // No stored rate existed for the currency yet: the invoice stays unlocked until one does
+  exchangeRatePending: { type: Boolean, default: false },
 
   // Adjustments (manual admin corrections, e.g., subtract/undo classes)
   // adjustments removed: no adjustments array stored anymore
@@ -368,6 +498,8 @@ const invoiceSchema = new mongoose.Schema({
 
   emailSentMethod: { type: String, enum: [null, 'email','paypal','whatsapp','manual'], default: null },
 
+  dunning: { type: dunningStateSchema, default: undefined },
+
   paymentLogs: { type: [paymentLogSchema], default: [] },
 
   // Post-payment adjustments for classes that changed after invoice was paid
@@ -391,6 +523,15 @@ const invoiceSchema = new mongoose.Schema({
     refundReference: String
   },
   refunds: { type: [refundRecordSchema], default: [] },
+  // Running totals of issued (non-voided) credit notes, kept in sync by
+  // creditNoteService. Refunds no longer touch paidAmount/refunds/status.
+  credited: {
+    hours: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+    count: { type: Number, default: 0 }
+  },
+
+  installmentPlan: { type: installmentPlanSchema, default: undefined },
 
   isAdvancePayment: { type: Boolean, default: false },
   advancePaymentPeriod: { months: Number, startDate: Date, endDate: Date },
@@ -569,6 +710,16 @@ invoiceSchema.pre('save', async function(next) {
     // Allow callers to opt-out of automatic recalculation when applying
     // preview/snapshot totals that should be persisted as-is. Set
     // `invoice._skipRecalculate = true` before saving to preserve preview totals.
+    if (this.isNew
+      || (this.isModified('currency') && !roundCurrency(this.paidAmount || 0))
+      || this.exchangeRatePending
+      || this.exchangeRateSnapshot?.isFallback) {
+      await this.lockExchangeRate();
+    }
+    if (this.isNew && this.type === 'guardian_invoice') {
+      await this.applyTaxRules();
+    }
+
     if (this._skipRecalculate) {
       // clear the flag so future saves behave normally
       try { delete this._skipRecalculate; } catch (e) { this._skipRecalculate = undefined; }
@@ -582,13 +733,15 @@ invoiceSchema.pre('save', async function(next) {
     const remaining = this.getDueAmount();
     const alreadyPaid = roundCurrency(this.paidAmount || 0);
 
-    // status auto-update
-    if (alreadyPaid > 0 && this.status !== 'refunded') {
+    // status auto-update (an invoice on an installment plan stays open until the last installment)
+    const openInstallments = this.installmentPlan?.active && remaining > 0.009;
+    if (alreadyPaid > 0 && this.status !== 'refunded' && !openInstallments) {
       this.status = 'paid';
       if (!this.paidDate) this.paidDate = new Date();
     } else if (this.status === 'draft' && this.billingType !== 'manual') {
       this.status = 'pending';
     }
+    this.startPackageValidity();
 
     if (this.dueDate && this.dueDate < new Date() && ['sent', 'pending'].includes(this.status)) {
       this.status = 'overdue';
@@ -649,6 +802,19 @@ invoiceSchema.methods.ensureIdentifiers = async function(options = {}) {
     paypalInvoiceNumber: this.paypalInvoiceNumber
   });
 
+  if (this.series?.prefix) {
+    if (!this.series.sequence) {
+      const year = new Date().getUTCFullYear();
+      this.series.year = year;
+      this.series.sequence = await allocateSeriesSequence(seriesKeyFor({
+        entityKey: this.series.entityKey,
+        year,
+        resetYearly: this.series.resetYearly
+      }));
+    }
+    identifiers.invoiceNumber = formatSeriesNumber(this.series);
+  }
+
   this.invoiceNumber = identifiers.invoiceNumber;
   this.paypalInvoiceNumber = identifiers.paypalInvoiceNumber;
   this.invoiceSlug = identifiers.invoiceSlug;
@@ -842,6 +1008,109 @@ invoiceSchema.methods.getDueAmount = function() {
   return roundCurrency(Math.max(0, base - paid));
 };
 
+// New guardian invoices inherit the guardian's billing currency unless the
+// caller set one explicitly. The rate is looked up once and kept thereafter.
+invoiceSchema.methods.lockExchangeRate = async function() {
+  if (this.isNew && this.$isDefault('currency') && this.type === 'guardian_invoice' && this.guardian) {
+    let billingCurrency = this.$locals?.guardianRef?.guardianInfo?.billingCurrency;
+    if (!billingCurrency) {
+      const guardian = await mongoose.model('User').findById(this.guardian).select('guardianInfo.billingCurrency').lean();
+      billingCurrency = guardian?.guardianInfo?.billingCurrency;
+    }
+    if (billingCurrency) this.currency = billingCurrency;
+  }
+
+  const CurrencyService = require('../services/currencyService');
+  const locked = await CurrencyService.getLockedRate(this.currency || CurrencyService.BASE_CURRENCY, this.createdAt || new Date());
+  if (!locked) {
+    // Never bill at parity: leave the invoice unlocked and tell the admins once
+    const wasPending = this.exchangeRatePending;
+    this.exchangeRateSnapshot = undefined;
+    this.exchangeRatePending = true;
+    if (!wasPending) {
+      try {
+        const notificationService = require('../services/notificationService');
+        await notificationService.notifySystem({
+          title: 'Exchange rate missing',
+          message: `Invoice ${this.invoiceNumber || this._id} is billed in ${this.currency} but no ${CurrencyService.BASE_CURRENCY}/${this.currency} rate is stored. Add the rate to lock it.`,
+          type: 'invoice',
+          role: 'admin',
+          related: { invoice: this._id }
+        });
+      } catch (_) {}
+    }
+    return null;
+  }
+  this.currency = locked.currency;
+  this.exchangeRatePending = false;
+  this.exchangeRateSnapshot = { ...locked, lockedAt: new Date() };
+  return this.exchangeRateSnapshot;
+};
+
+// An explicitly set taxRate (e.g. manual invoices) wins over the country rule.
+invoiceSchema.methods.applyTaxRules = async function() {
+  if (!this.guardian || this.legalEntity?.key) return this;
+  let guardian = this.$locals?.guardianRef;
+  if (!guardian?.guardianInfo) {
+    guardian = await mongoose.model('User').findById(this.guardian)
+      .select('address guardianInfo.billingAddress guardianInfo.taxRegistrationNumber')
+      .lean();
+  }
+  const taxService = require('../services/taxService');
+  const config = await taxService.getConfig();
+  const { legalEntity, tax } = taxService.resolveForGuardian(guardian || {}, config);
+
+  if (legalEntity) {
+    const { series, ...entity } = legalEntity;
+    this.legalEntity = entity;
+    if (series?.enabled) {
+      this.series = {
+        entityKey: legalEntity.key,
+        prefix: series.prefix,
+        resetYearly: series.resetYearly,
+        padding: series.padding
+      };
+    }
+  }
+  if (tax) {
+    this.taxDetails = tax;
+    if (this.$isDefault('taxRate')) this.taxRate = tax.rate;
+  }
+  return this;
+};
+
+// Invoices created before multi-currency billing carry no snapshot and are USD.
+invoiceSchema.methods.toBaseAmount = function(amount) {
+  const rate = Number(this.exchangeRateSnapshot?.rate);
+  const value = Number(amount || 0);
+  return roundCurrency(rate > 0 ? value / rate : value);
+};
+
+// Package hours are valid for validityDays from the first payment (installment
+// invoices start on their first installment). A reverted payment resets it.
+invoiceSchema.methods.startPackageValidity = function() {
+  const pkg = this.guardianFinancial?.billingPackage;
+  const days = Number(pkg?.validityDays || 0) || 0;
+  if (!pkg || days <= 0 || pkg.expiredAt) return null;
+  if (roundCurrency(this.paidAmount || 0) <= 0) {
+    if (pkg.expiresAt) {
+      pkg.expiresAt = undefined;
+      this.markModified('guardianFinancial.billingPackage');
+    }
+    return null;
+  }
+  if (!pkg.expiresAt) {
+    const start = [ensureDate(this.paidDate), ...(this.paymentLogs || [])
+      .filter((log) => log && Number(log.amount) > 0)
+      .map((log) => ensureDate(log.processedAt))]
+      .filter(Boolean)
+      .sort((a, b) => a - b)[0] || new Date();
+    pkg.expiresAt = new Date(start.getTime() + days * 24 * 60 * 60 * 1000);
+    this.markModified('guardianFinancial.billingPackage');
+  }
+  return pkg.expiresAt;
+};
+
 // adjustments removed: setAdjustments no longer supported
 
 invoiceSchema.methods.applyClassExclusions = function(classIds = []) {
@@ -902,7 +1171,8 @@ invoiceSchema.methods.recordAuditEntry = async function(entry = {}, options = {}
     action: entry.action || 'update',
     at: ensureDate(entry.at) || new Date(),
     diff: entry.diff || null,
-    meta: entry.meta || null
+    meta: entry.meta || null,
+    creditNoteId: entry.creditNoteId || null
   };
 
   const session = options.session || (typeof this.$session === 'function' ? this.$session() : null);
@@ -1354,9 +1624,26 @@ invoiceSchema.methods.getExportSnapshot = function(options = {}) {
   } : null;
 
   const guardianHourlyRate = Number(this.guardianFinancial?.hourlyRate || 0) || 0;
+  const packageSource = this.guardianFinancial?.billingPackage || null;
+  const packageExpiresAt = ensureDate(packageSource?.expiresAt);
+  const billingPackageSnapshot = packageSource?.name ? {
+    name: packageSource.name,
+    tierLabel: packageSource.tierLabel || null,
+    tierHours: Number(packageSource.tierHours || 0) || 0,
+    pricePerHour: roundCurrency(packageSource.pricePerHour || 0),
+    siblingDiscountPercent: Number(packageSource.siblingDiscountPercent || 0) || 0,
+    validityDays: Number(packageSource.validityDays || 0) || 0,
+    expiredHours: Number(packageSource.expiredHours || 0) || 0,
+    expiresAt: packageExpiresAt ? {
+      iso: packageExpiresAt.toISOString(),
+      formatted: dateFormatter.format(packageExpiresAt)
+    } : null
+  } : null;
+
   const guardianFinancialSnapshot = this.guardianFinancial ? {
     hourlyRate: guardianHourlyRate,
-    transferFee: transferFeeSnapshot
+    transferFee: transferFeeSnapshot,
+    billingPackage: billingPackageSnapshot
   } : null;
 
   const coverageEndDate = ensureDate(this.coverage?.endDate);
@@ -1437,9 +1724,23 @@ invoiceSchema.methods.getExportSnapshot = function(options = {}) {
     },
     financials: {
       currency: this.currency || 'USD',
+      exchangeRate: this.exchangeRateSnapshot?.rate ? {
+        baseCurrency: this.exchangeRateSnapshot.baseCurrency || 'USD',
+        rate: this.exchangeRateSnapshot.rate,
+        source: this.exchangeRateSnapshot.source || null,
+        year: this.exchangeRateSnapshot.year || null,
+        month: this.exchangeRateSnapshot.month || null,
+        isFallback: Boolean(this.exchangeRateSnapshot.isFallback),
+        lockedAt: this.exchangeRateSnapshot.lockedAt || null
+      } : null,
+      exchangeRatePending: Boolean(this.exchangeRatePending),
+      baseTotal: this.toBaseAmount(this.total || totalAmount),
       subtotal: roundCurrency(this.subtotal || totalAmount),
       tax: roundCurrency(this.tax || 0),
       taxRate: Number(this.taxRate || 0) || 0,
+      taxLabel: this.taxDetails?.label || 'Tax',
+      reverseCharge: Boolean(this.taxDetails?.reverseCharge),
+      taxNote: this.taxDetails?.note || null,
       discount: roundCurrency(this.discount || 0),
       discountReason: this.discountReason || null,
       total: roundCurrency(this.total || totalAmount),
@@ -1467,7 +1768,15 @@ invoiceSchema.methods.getExportSnapshot = function(options = {}) {
       name: guardianName,
       email: normalizeString(guardianObj.email),
       phone: normalizeString(guardianObj.phone),
-      timezone: guardianObj.timezone || guardianObj.timeZone || null
+      timezone: guardianObj.timezone || guardianObj.timeZone || null,
+      taxId: this.taxDetails?.customerTaxId || null
+    } : null,
+    legalEntity: this.legalEntity?.name ? {
+      name: this.legalEntity.name,
+      address: this.legalEntity.address || null,
+      taxRegistrationNumber: this.legalEntity.taxRegistrationNumber || null,
+      email: this.legalEntity.email || null,
+      phone: this.legalEntity.phone || null
     } : null,
     teacher: Object.keys(teacherRefCandidate || {}).length ? {
       id: normalizeIdToString(teacherRefCandidate._id || this.teacher),
@@ -2019,4 +2328,11 @@ invoiceSchema.methods.sendReminder = function(reminderType) {
   return this.save();
 };
 
+// Edits inside a locked journal export are flagged on it (see accountingExportService)
+const lockedPeriodHook = function(res) {
+  return require('../services/accountingExportService').watchLockedPeriods('invoice').call(this, res);
+};
+invoiceSchema.post('save', lockedPeriodHook);
+invoiceSchema.post('updateOne', lockedPeriodHook);
+
 module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -6,9 +6,10 @@ const { Schema } = mongoose;
 const invoiceAuditSchema = new Schema({
   invoiceId: { type: Schema.Types.ObjectId, ref: 'Invoice', required: true, index: true },
   actorId: { type: Schema.Types.ObjectId, ref: 'User' },
+  creditNoteId: { type: Schema.Types.ObjectId, ref: 'CreditNote', default: null, index: true },
   action: {
     type: String,
-    enum: ['create', 'update', 'item_update', 'status_change', 'payment', 'refund', 'refund_adjustment', 'undo_refund', 'delivery', 'note', 'delete', 'restore', 'permanent_delete', 'domino_shift'],
+    enum: ['create', 'update', 'item_update', 'status_change', 'payment', 'refund', 'refund_adjustment', 'undo_refund', 'delivery', 'note', 'delete', 'restore', 'permanent_delete', 'domino_shift', 'credit_note_issued', 'credit_note_voided', 'installment_plan_created', 'installment_plan_cancelled'],
     required: true
   },
   at: { type: Date, default: Date.now },
@@ -240,6 +240,13 @@ const invoiceTemplateSchema = new mongoose.Schema({
       }
     },
     
+    // Legal block: issuing entity / customer tax numbers and reverse-charge wording
+    legal: {
+      enabled: { type: Boolean, default: true },
+      showTaxIds: { type: Boolean, default: true },
+      showReverseChargeNote: { type: Boolean, default: true }
+    },
+    
     // Payment info section
     paymentInfo: {
       enabled: { type: Boolean, default: true },
@@ -0,0 +1,83 @@
+// backend/models/JournalExport.js
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * JournalExport — a double-entry journal generated for one accounting period
+ * (guardian invoices, payments, credit notes and teacher salary invoices).
+ *
+ * The journal lines are stored with the export so re-downloading it always
+ * returns what was handed to finance. `documents` fingerprints every source
+ * document the journal covers; services/accountingExportService.js compares
+ * them against the live data to flag edits made after the period was exported.
+ */
+const journalLineSchema = new Schema({
+  entryNumber: { type: String, required: true },
+  date: { type: Date, required: true },
+  accountKey: { type: String, required: true },
+  accountCode: { type: String, trim: true },
+  accountName: { type: String, trim: true },
+  debit: { type: Number, default: 0 },
+  credit: { type: Number, default: 0 },
+  description: { type: String, trim: true },
+  reference: { type: String, trim: true },
+  contact: { type: String, trim: true },
+  sourceType: { type: String, enum: ['invoice', 'payment', 'credit_note', 'teacher_invoice', 'teacher_payment'] },
+  sourceNumber: { type: String, trim: true },
+  originalCurrency: { type: String, trim: true },
+  originalAmount: { type: Number }
+}, { _id: false });
+
+const coveredDocumentSchema = new Schema({
+  kind: { type: String, enum: ['invoice', 'credit_note', 'teacher_invoice'], required: true },
+  ref: { type: Schema.Types.ObjectId, required: true },
+  number: { type: String, trim: true },
+  fingerprint: { type: String, required: true }
+}, { _id: false });
+
+const driftItemSchema = new Schema({
+  kind: { type: String },
+  ref: { type: Schema.Types.ObjectId },
+  number: { type: String },
+  change: { type: String, enum: ['modified', 'removed', 'added'] },
+  // Set when the edit was caught by a save hook rather than checkDrift
+  detectedAt: { type: Date }
+}, { _id: false });
+
+const journalExportSchema = new Schema({
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  label: { type: String, trim: true },
+  baseCurrency: { type: String, default: 'USD' },
+  // Chart of accounts as it was when the journal was built
+  accounts: { type: Schema.Types.Mixed, default: {} },
+  lines: { type: [journalLineSchema], default: [] },
+  documents: { type: [coveredDocumentSchema], default: [] },
+  totals: {
+    entries: { type: Number, default: 0 },
+    lines: { type: Number, default: 0 },
+    debit: { type: Number, default: 0 },
+    credit: { type: Number, default: 0 }
+  },
+  status: { type: String, enum: ['locked', 'voided'], default: 'locked', index: true },
+  drift: {
+    checkedAt: { type: Date, default: null },
+    count: { type: Number, default: 0 },
+    items: { type: [driftItemSchema], default: [] }
+  },
+  downloads: [{
+    format: { type: String },
+    at: { type: Date, default: Date.now },
+    by: { type: Schema.Types.ObjectId, ref: 'User' }
+  }],
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  voidedAt: { type: Date, default: null },
+  voidedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  voidReason: { type: String, trim: true }
+}, { timestamps: true });
+
+journalExportSchema.index({ periodStart: 1, periodEnd: 1 });
+journalExportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('JournalExport', journalExportSchema);
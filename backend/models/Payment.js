@@ -14,6 +14,16 @@ const paymentSchema = new mongoose.Schema({
   appliedAt: { type: Date },
   logSnapshot: { type: mongoose.Schema.Types.Mixed },
   error: { type: String },
+  // Online checkout (public invoice page). A 'created' record is stored when the
+  // guardian starts checkout; the provider webhook flips it to applied.
+  provider: { type: String, trim: true },
+  providerOrderId: { type: String, trim: true },
+  currency: { type: String, trim: true },
+  providerEvents: [{
+    eventId: { type: String, trim: true },
+    type: { type: String, trim: true },
+    receivedAt: { type: Date, default: () => new Date() }
+  }],
   createdAt: { type: Date, default: () => new Date() },
   updatedAt: { type: Date, default: () => new Date() }
 }, { timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' } });
@@ -24,4 +34,7 @@ paymentSchema.index({ invoice: 1, idempotencyKey: 1 }, { unique: true, partialFi
 // Unique transaction per invoice when transactionId is provided
 paymentSchema.index({ invoice: 1, transactionId: 1 }, { unique: true, partialFilterExpression: { transactionId: { $exists: true } } });
 
+// One local payment per provider order
+paymentSchema.index({ provider: 1, providerOrderId: 1 }, { unique: true, partialFilterExpression: { providerOrderId: { $exists: true } } });
+
 module.exports = mongoose.model('Payment', paymentSchema);
@@ -22,6 +22,28 @@ const ratePartitionSchema = new Schema({
   isActive: { type: Boolean, default: true }
 }, { _id: true });
 
+// Pay rule schema - automatic pay components evaluated per teacher invoice
+// (see services/teacherPayRulesService.js). Amounts are USD; penalties are
+// entered as positive numbers and deducted.
+const payRuleSchema = new Schema({
+  key: { type: String, required: true, trim: true },
+  name: { type: String, required: true, trim: true, maxlength: 80 },
+  type: {
+    type: String,
+    enum: ['subject_premium', 'student_type', 'group_class', 'first_class', 'unreported_penalty', 'no_show_penalty', 'late_report_penalty'],
+    required: true
+  },
+  unit: { type: String, enum: ['per_hour', 'per_class'], default: 'per_hour' },
+  amountUSD: { type: Number, required: true },
+  subjects: [{ type: String, trim: true }], // subject_premium: case-insensitive match on class subject
+  studentTypes: [{ type: String, enum: ['adult', 'child'] }], // student_type
+  minStudents: { type: Number, default: 2, min: 2 }, // group_class: group class roster or classes sharing the same teacher slot
+  statuses: [{ type: String, trim: true }], // no_show_penalty: Class.status values counted as teacher no-show
+  graceHours: { type: Number, default: 0, min: 0 }, // late_report_penalty: tolerance past the report deadline
+  description: { type: String, trim: true, maxlength: 200 },
+  isActive: { type: Boolean, default: true }
+}, { _id: true });
+
 // Change history entry
 const changeHistoryEntrySchema = new Schema({
   changedAt: { type: Date, default: Date.now },
@@ -54,6 +76,9 @@ const salarySettingsSchema = new Schema({
   },
   ratePartitions: [ratePartitionSchema],
 
+  // Automatic pay components (premiums, special rates, penalties)
+  payRules: { type: [payRuleSchema], default: [] },
+
   // Default Transfer Fee
   defaultTransferFee: {
     model: { 
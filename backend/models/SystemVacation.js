@@ -42,6 +42,16 @@ const systemVacationSchema = new mongoose.Schema({
   notificationsSent: {
     type: Boolean,
     default: false
+  },
+  // Set when the vacation was generated from a Hijri scheduling rule
+  hijriRule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HijriScheduleRule',
+    default: null
+  },
+  hijriYear: {
+    type: Number,
+    default: null
   }
 }, {
   timestamps: true
@@ -50,6 +60,7 @@ const systemVacationSchema = new mongoose.Schema({
 // Index for better query performance
 systemVacationSchema.index({ startDate: 1, endDate: 1 });
 systemVacationSchema.index({ isActive: 1 });
+systemVacationSchema.index({ hijriRule: 1, hijriYear: 1 });
 
 // Virtual to check if vacation is currently active
 systemVacationSchema.virtual('isCurrentlyActive').get(function() {
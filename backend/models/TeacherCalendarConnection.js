@@ -0,0 +1,33 @@
+// models/TeacherCalendarConnection.js
+// A teacher's personal Google calendar that is read (never written) to mirror
+// their own appointments as UnavailablePeriods. The teacher shares the
+// calendar with the service account ("See all event details" is enough);
+// syncToken keeps later reads incremental.
+
+const mongoose = require('mongoose');
+
+const CONNECTION_STATUSES = ['pending', 'active', 'error', 'disabled'];
+
+const teacherCalendarConnectionSchema = new mongoose.Schema({
+  teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  provider: { type: String, enum: ['google'], default: 'google' },
+  // Usually the teacher's Google account email
+  calendarId: { type: String, required: true, trim: true },
+  enabled: { type: Boolean, default: true },
+  status: { type: String, enum: CONNECTION_STATUSES, default: 'pending' },
+  // Google's nextSyncToken from the last completed read; null forces a full read
+  syncToken: { type: String, default: null },
+  lastSyncedAt: { type: Date, default: null },
+  lastFullSyncAt: { type: Date, default: null },
+  lastError: { type: String, default: '' },
+  lastErrorAt: { type: Date, default: null },
+  // Busy blocks currently mirrored from this calendar
+  importedCount: { type: Number, default: 0 },
+  connectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+teacherCalendarConnectionSchema.index({ enabled: 1, lastSyncedAt: 1 });
+
+teacherCalendarConnectionSchema.statics.CONNECTION_STATUSES = CONNECTION_STATUSES;
+
+module.exports = mongoose.model('TeacherCalendarConnection', teacherCalendarConnectionSchema);
@@ -0,0 +1,38 @@
+// models/TeacherDocument.js
+// Teacher document vault. Files are stored as private Cloudinary assets (or
+// inline when Cloudinary is not configured) and are only handed out through
+// the authenticated download route to the teacher and admins.
+
+const mongoose = require('mongoose');
+
+const DOCUMENT_TYPES = ['agreement', 'identity', 'bank_proof', 'certificate', 'other'];
+
+const teacherDocumentSchema = new mongoose.Schema({
+  teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  type: { type: String, enum: DOCUMENT_TYPES, required: true },
+  title: { type: String, trim: true, default: '', maxlength: 200 },
+  storage: {
+    provider: { type: String, enum: ['cloudinary', 'inline'], required: true },
+    publicId: { type: String, default: '' },
+    resourceType: { type: String, default: '' },
+    format: { type: String, default: '' },
+  },
+  // Only used by the inline provider; never selected by default
+  data: { type: Buffer, select: false },
+  originalName: { type: String, trim: true, default: '' },
+  mimeType: { type: String, trim: true, default: '' },
+  size: { type: Number, default: 0 },
+  // Documents such as ID cards need renewing; null means no expiry
+  expiresAt: { type: Date, default: null },
+  expiryWarnedAt: { type: Date, default: null },
+  expiredNotifiedAt: { type: Date, default: null },
+  status: { type: String, enum: ['active', 'archived'], default: 'active' },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+teacherDocumentSchema.index({ teacher: 1, type: 1, status: 1 });
+teacherDocumentSchema.index({ status: 1, expiresAt: 1 });
+
+teacherDocumentSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+module.exports = mongoose.model('TeacherDocument', teacherDocumentSchema);
@@ -0,0 +1,68 @@
+// backend/models/TeacherEarningsStatement.js
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * TeacherEarningsStatement — a signed yearly certificate of a teacher's paid
+ * salary (visa, loan and tax paperwork).
+ *
+ * The monthly figures are frozen when the statement is issued; `signature` is an
+ * HMAC over them so the public verification link can prove the document was not
+ * altered. Issuing a new statement for the same teacher/year supersedes the
+ * previous one. See services/teacherEarningsStatementService.js.
+ */
+const statementMonthSchema = new Schema({
+  month: { type: Number, required: true, min: 1, max: 12 },
+  invoiceNumbers: [{ type: String, trim: true }],
+  hours: { type: Number, default: 0 },
+  grossUSD: { type: Number, default: 0 },
+  bonusesUSD: { type: Number, default: 0 },
+  extrasUSD: { type: Number, default: 0 },
+  deductionsUSD: { type: Number, default: 0 },
+  totalUSD: { type: Number, default: 0 },
+  exchangeRates: [{ type: Number }],
+  totalEGP: { type: Number, default: 0 },
+  transferFeeEGP: { type: Number, default: 0 },
+  netEGP: { type: Number, default: 0 },
+  paidAt: { type: Date, default: null }
+}, { _id: false });
+
+const teacherEarningsStatementSchema = new Schema({
+  statementNumber: { type: String, required: true, unique: true, trim: true },
+  teacher: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  teacherName: { type: String, trim: true },
+  year: { type: Number, required: true },
+  issuer: {
+    name: { type: String, trim: true },
+    address: { type: String, trim: true },
+    taxRegistrationNumber: { type: String, trim: true },
+    email: { type: String, trim: true }
+  },
+  months: { type: [statementMonthSchema], default: [] },
+  totals: {
+    invoices: { type: Number, default: 0 },
+    hours: { type: Number, default: 0 },
+    grossUSD: { type: Number, default: 0 },
+    bonusesUSD: { type: Number, default: 0 },
+    extrasUSD: { type: Number, default: 0 },
+    deductionsUSD: { type: Number, default: 0 },
+    totalUSD: { type: Number, default: 0 },
+    totalEGP: { type: Number, default: 0 },
+    transferFeeEGP: { type: Number, default: 0 },
+    netEGP: { type: Number, default: 0 }
+  },
+  verifyToken: { type: String, required: true, unique: true },
+  signature: { type: String, required: true },
+  status: { type: String, enum: ['active', 'superseded', 'revoked'], default: 'active', index: true },
+  issuedAt: { type: Date, default: Date.now },
+  issuedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  supersededAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  revokeReason: { type: String, trim: true, maxlength: 300 }
+}, { timestamps: true });
+
+teacherEarningsStatementSchema.index({ teacher: 1, year: -1, issuedAt: -1 });
+
+module.exports = mongoose.model('TeacherEarningsStatement', teacherEarningsStatementSchema);
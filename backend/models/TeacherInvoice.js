@@ -62,7 +62,20 @@ const bonusSchema = new Schema({
   addedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true }
 }, { _id: true });
 
-// Extra schema (admin-only additions)
+// Pay rule that generated an extra line (absent for manual extras)
+const ruleSourceSchema = new Schema({
+  ruleId: { type: Schema.Types.ObjectId },
+  key: { type: String, trim: true },
+  name: { type: String, trim: true },
+  type: { type: String, trim: true },
+  unit: { type: String, enum: ['per_hour', 'per_class'] },
+  rateUSD: { type: Number },
+  classCount: { type: Number, default: 0 },
+  hours: { type: Number, default: 0 },
+  classIds: [{ type: Schema.Types.ObjectId, ref: 'Class' }]
+}, { _id: false });
+
+// Extra schema (admin additions and pay-rule lines)
 const extraSchema = new Schema({
   category: {
     type: String,
@@ -71,6 +84,7 @@ const extraSchema = new Schema({
   },
   amountUSD: { type: Number, required: true }, // can be negative for penalties
   reason: { type: String, required: true, trim: true, minlength: 5, maxlength: 200 },
+  ruleSource: { type: ruleSourceSchema, default: undefined },
   addedAt: { type: Date, default: Date.now },
   addedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true }
 }, { _id: true });
@@ -628,6 +642,13 @@ teacherInvoiceSchema.statics.getTeacherYTDSummary = async function(teacherId, ye
   return summary;
 };
 
+// Salary invoices edited inside a locked journal export flag it (accountingExportService)
+const lockedPeriodHook = function(res) {
+  return require('../services/accountingExportService').watchLockedPeriods('teacher_invoice').call(this, res);
+};
+teacherInvoiceSchema.post('save', lockedPeriodHook);
+teacherInvoiceSchema.post('updateOne', lockedPeriodHook);
+
 const TeacherInvoice = mongoose.model('TeacherInvoice', teacherInvoiceSchema);
 
 module.exports = TeacherInvoice;
@@ -0,0 +1,33 @@
+// models/TeacherLeaveLedgerEntry.js
+// One movement on a teacher's yearly leave balance. The balance for a year is
+// the sum of `days` over its entries: accrual and carry-over add days, approved
+// vacations deduct them (SystemVacation days excluded), admins can adjust.
+// See services/teacherLeaveLedgerService.js.
+
+const mongoose = require('mongoose');
+
+const teacherLeaveLedgerEntrySchema = new mongoose.Schema({
+  teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  year: { type: Number, required: true, min: 2000, max: 3000 },
+  type: {
+    type: String,
+    enum: ['accrual', 'carry_over', 'deduction', 'adjustment'],
+    required: true
+  },
+  // Positive for accrual / carry-over, negative for deductions; adjustments either way
+  days: { type: Number, required: true },
+  // Idempotency key for system-managed entries (accrual:2026, carry_over:2026, deduction:<vacationId>:2026)
+  entryKey: { type: String, trim: true },
+  vacation: { type: mongoose.Schema.Types.ObjectId, ref: 'Vacation', default: null },
+  note: { type: String, trim: true, maxlength: 300 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+teacherLeaveLedgerEntrySchema.index({ teacher: 1, year: 1, createdAt: 1 });
+teacherLeaveLedgerEntrySchema.index(
+  { teacher: 1, entryKey: 1 },
+  { unique: true, partialFilterExpression: { entryKey: { $type: 'string' } } }
+);
+teacherLeaveLedgerEntrySchema.index({ vacation: 1 });
+
+module.exports = mongoose.model('TeacherLeaveLedgerEntry', teacherLeaveLedgerEntrySchema);
@@ -0,0 +1,37 @@
+// models/TeacherOnboarding.js
+// Post-hire onboarding checklist for one teacher. Items are ticked
+// automatically from the underlying data (contract acceptance, vault
+// documents, bank details, calendar, availability, training outcome) or by an
+// admin. While the checklist is incomplete the teacher cannot be opened to new
+// students. Teachers hired before the checklist existed have no record and are
+// not affected.
+
+const mongoose = require('mongoose');
+
+const ITEM_KEYS = ['agreement', 'identity', 'bank', 'calendar', 'availability', 'training'];
+
+const checklistItemSchema = new mongoose.Schema({
+  key: { type: String, enum: ITEM_KEYS, required: true },
+  status: { type: String, enum: ['pending', 'done', 'waived'], default: 'pending' },
+  // 'auto' items follow the data; 'manual' ones were set by an admin and stick
+  source: { type: String, enum: ['auto', 'manual'], default: 'auto' },
+  completedAt: { type: Date, default: null },
+  completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  detail: { type: String, trim: true, default: '', maxlength: 300 },
+  note: { type: String, trim: true, default: '', maxlength: 500 },
+}, { _id: false });
+
+const teacherOnboardingSchema = new mongoose.Schema({
+  teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  // Recruitment record the teacher was converted from, when known
+  candidateSource: { type: String, enum: ['lead', 'submission'], default: undefined },
+  candidateId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  items: [checklistItemSchema],
+  completedAt: { type: Date, default: null, index: true },
+  startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  lastCheckedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+teacherOnboardingSchema.statics.ITEM_KEYS = ITEM_KEYS;
+
+module.exports = mongoose.model('TeacherOnboarding', teacherOnboardingSchema);
@@ -0,0 +1,99 @@
+// backend/models/TeacherPayoutBatch.js
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * TeacherPayoutBatch — one bulk salary transfer (bank file, InstaPay list or
+ * mobile-wallet payment file) covering several published teacher invoices.
+ *
+ * Lifecycle: draft → sent (invoices marked paid, file handed to the bank)
+ * → reconciled (every line confirmed paid or failed). A failed line puts its
+ * invoice back to unpaid; see services/teacherPayoutService.js.
+ */
+const payeeSchema = new Schema({
+  name: { type: String, trim: true },
+  accountNumber: { type: String, trim: true },
+  iban: { type: String, trim: true },
+  bankName: { type: String, trim: true },
+  swift: { type: String, trim: true },
+  instapayName: { type: String, trim: true },
+  walletNumber: { type: String, trim: true }
+}, { _id: false });
+
+const payoutLineSchema = new Schema({
+  invoice: { type: Schema.Types.ObjectId, ref: 'TeacherInvoice', required: true },
+  invoiceNumber: { type: String, trim: true },
+  teacher: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  teacherName: { type: String, trim: true },
+  amountEGP: { type: Number, required: true, min: 0 },
+  payee: { type: payeeSchema, default: () => ({}) },
+  // Payee fields the payment file needs but the teacher profile lacks
+  missingDetails: [{ type: String }],
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'paid', 'failed', 'removed'],
+    default: 'pending'
+  },
+  transactionRef: { type: String, trim: true },
+  failureReason: { type: String, trim: true, maxlength: 300 },
+  resolvedAt: { type: Date, default: null },
+  resolvedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null }
+}, { _id: true });
+
+const teacherPayoutBatchSchema = new Schema({
+  batchNumber: { type: String, required: true, unique: true, trim: true },
+  method: {
+    type: String,
+    enum: ['bank_transfer', 'instapay', 'vodafone_cash'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'reconciled', 'cancelled'],
+    default: 'draft',
+    index: true
+  },
+  lines: { type: [payoutLineSchema], default: [] },
+  totals: {
+    count: { type: Number, default: 0 },
+    amountEGP: { type: Number, default: 0 },
+    paidCount: { type: Number, default: 0 },
+    paidEGP: { type: Number, default: 0 },
+    failedCount: { type: Number, default: 0 },
+    failedEGP: { type: Number, default: 0 }
+  },
+  note: { type: String, trim: true, maxlength: 500 },
+  fileDownloads: [{
+    at: { type: Date, default: Date.now },
+    by: { type: Schema.Types.ObjectId, ref: 'User' }
+  }],
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  sentAt: { type: Date, default: null },
+  sentBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  reconciledAt: { type: Date, default: null },
+  reconciledBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  cancelledAt: { type: Date, default: null },
+  cancelledBy: { type: Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+teacherPayoutBatchSchema.index({ 'lines.invoice': 1 });
+teacherPayoutBatchSchema.index({ createdAt: -1 });
+
+teacherPayoutBatchSchema.methods.recalculateTotals = function() {
+  const round = (value) => Math.round(value * 100) / 100;
+  const active = this.lines.filter((line) => line.status !== 'removed');
+  const paid = active.filter((line) => line.status === 'paid');
+  const failed = active.filter((line) => line.status === 'failed');
+  this.totals = {
+    count: active.length,
+    amountEGP: round(active.reduce((sum, line) => sum + Number(line.amountEGP || 0), 0)),
+    paidCount: paid.length,
+    paidEGP: round(paid.reduce((sum, line) => sum + Number(line.amountEGP || 0), 0)),
+    failedCount: failed.length,
+    failedEGP: round(failed.reduce((sum, line) => sum + Number(line.amountEGP || 0), 0))
+  };
+  return this.totals;
+};
+
+module.exports = mongoose.model('TeacherPayoutBatch', teacherPayoutBatchSchema);
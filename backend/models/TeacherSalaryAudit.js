@@ -16,6 +16,8 @@ const teacherSalaryAuditSchema = new Schema({
       // Invoice actions
       'invoice_create', 'invoice_publish', 'invoice_unpublish', 'invoice_paid',
       'invoice_delete', 'invoice_archive', 'invoice_recalculate',
+      // Payout batch actions
+      'payout_batch_sent', 'invoice_payout_failed',
       // Bonus/Extra actions
       'bonus_add', 'bonus_remove', 'extra_add', 'extra_remove',
       // Rate actions
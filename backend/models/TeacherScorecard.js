@@ -0,0 +1,52 @@
+// models/TeacherScorecard.js
+// Monthly performance snapshot for a teacher. Every metric is normalised to a
+// 0-100 scale (null when the month has no data for it); `score` is the weighted
+// average of the available metrics and `percentile` ranks it against the other
+// teachers scored for the same period. See services/teacherScorecardService.js.
+
+const mongoose = require('mongoose');
+
+const metricSchema = new mongoose.Schema({
+  value: { type: Number, default: null },
+  sampleSize: { type: Number, default: 0 }
+}, { _id: false });
+
+const teacherScorecardSchema = new mongoose.Schema({
+  teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Cairo calendar month, YYYY-MM
+  period: { type: String, required: true, match: /^\d{4}-\d{2}$/ },
+  metrics: {
+    feedbackRating: { type: metricSchema, default: () => ({}) },
+    punctuality: { type: metricSchema, default: () => ({}) },
+    connectionQuality: { type: metricSchema, default: () => ({}) },
+    reportTimeliness: { type: metricSchema, default: () => ({}) },
+    cancellations: { type: metricSchema, default: () => ({}) },
+    retention: { type: metricSchema, default: () => ({}) }
+  },
+  counts: {
+    classes: { type: Number, default: 0 },
+    hours: { type: Number, default: 0 },
+    teacherCancellations: { type: Number, default: 0 },
+    reportsDue: { type: Number, default: 0 },
+    reportsOnTime: { type: Number, default: 0 },
+    feedbackCount: { type: Number, default: 0 },
+    studentsPreviousMonth: { type: Number, default: 0 },
+    studentsRetained: { type: Number, default: 0 }
+  },
+  score: { type: Number, default: null },
+  percentile: { type: Number, default: null },
+  // Metrics (or `score`) that fell below the admin thresholds
+  alerts: [{
+    metric: { type: String, required: true },
+    value: { type: Number },
+    threshold: { type: Number },
+    _id: false
+  }],
+  alertedAt: { type: Date, default: null },
+  computedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+teacherScorecardSchema.index({ teacher: 1, period: 1 }, { unique: true });
+teacherScorecardSchema.index({ period: 1, score: -1 });
+
+module.exports = mongoose.model('TeacherScorecard', teacherScorecardSchema);
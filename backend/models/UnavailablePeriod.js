@@ -39,7 +39,7 @@ const unavailablePeriodSchema = new mongoose.Schema({
   // Reason for unavailability
   reason: {
     type: String,
-    enum: ['vacation', 'sick', 'personal', 'emergency', 'system_maintenance'],
+    enum: ['vacation', 'sick', 'personal', 'emergency', 'system_maintenance', 'external_calendar'],
     default: 'personal'
   },
   
@@ -50,6 +50,26 @@ const unavailablePeriodSchema = new mongoose.Schema({
     maxlength: 500
   },
   
+  // Where the period came from. Periods imported from a teacher's own
+  // Google calendar are owned by the import (services/teacherCalendarImportService.js)
+  // and are never pushed back out to Google.
+  source: {
+    type: String,
+    enum: ['dashboard', 'google_calendar'],
+    default: 'dashboard'
+  },
+
+  // Source event for imported periods (one period per event instance)
+  externalCalendarId: {
+    type: String,
+    trim: true
+  },
+
+  externalEventId: {
+    type: String,
+    trim: true
+  },
+  
   // Whether this affects existing scheduled classes
   affectsScheduledClasses: {
     type: Boolean,
@@ -84,6 +104,7 @@ const unavailablePeriodSchema = new mongoose.Schema({
 unavailablePeriodSchema.index({ teacherId: 1, startDateTime: 1, endDateTime: 1 });
 unavailablePeriodSchema.index({ startDateTime: 1, endDateTime: 1 });
 unavailablePeriodSchema.index({ teacherId: 1, vacationId: 1 });
+unavailablePeriodSchema.index({ teacherId: 1, source: 1, externalEventId: 1 });
 
 // Virtual to check if period is currently active
 unavailablePeriodSchema.virtual('isCurrentlyActive').get(function() {
@@ -162,6 +183,8 @@ unavailablePeriodSchema.statics.cleanupExpired = function() {
 
 function scheduleUnavailableCalendarSync(doc, mode = 'upsert') {
   if (!doc) return;
+  // Imported busy blocks already live in the teacher's calendar
+  if (doc.source === 'google_calendar') return;
   setImmediate(async () => {
     try {
       const availabilitySyncService = require('../services/teacherAvailabilityCalendarSyncService');
@@ -188,7 +211,7 @@ unavailablePeriodSchema.post('findOneAndDelete', function(doc) {
 unavailablePeriodSchema.pre('findOneAndUpdate', async function(next) {
   try {
     this._periodBefore = await this.model.findOne(this.getQuery())
-      .select('_id teacherId startDateTime endDateTime reason description status isActive')
+      .select('_id teacherId startDateTime endDateTime reason description status isActive source')
       .lean();
   } catch (_) {
     this._periodBefore = null;
@@ -201,7 +224,7 @@ unavailablePeriodSchema.post('findOneAndUpdate', async function() {
     const before = this._periodBefore;
     if (!before?._id) return;
     const fresh = await this.model.findById(before._id)
-      .select('_id teacherId startDateTime endDateTime reason description status isActive')
+      .select('_id teacherId startDateTime endDateTime reason description status isActive source')
       .lean();
     if (fresh) {
       scheduleUnavailableCalendarSync(fresh, 'upsert');
@@ -226,7 +249,7 @@ unavailablePeriodSchema.post('updateMany', async function() {
     const ids = Array.isArray(this._periodSyncIds) ? this._periodSyncIds : [];
     if (!ids.length) return;
     const docs = await this.model.find({ _id: { $in: ids } })
-      .select('_id teacherId startDateTime endDateTime reason description status isActive')
+      .select('_id teacherId startDateTime endDateTime reason description status isActive source')
       .lean();
     docs.forEach((doc) => scheduleUnavailableCalendarSync(doc, 'upsert'));
   } catch (err) {
@@ -237,7 +260,7 @@ unavailablePeriodSchema.post('updateMany', async function() {
 unavailablePeriodSchema.pre('deleteMany', async function(next) {
   try {
     this._periodDeleteDocs = await this.model.find(this.getQuery())
-      .select('_id teacherId startDateTime endDateTime reason description status isActive')
+      .select('_id teacherId startDateTime endDateTime reason description status isActive source')
       .lean();
   } catch (_) {
     this._periodDeleteDocs = [];
@@ -411,6 +411,12 @@ const userSchema = new mongoose.Schema({
         default: 0,
         min: 0,
       },
+      // Unused days carried into the next year; null falls back to the teacherLeavePolicy setting
+      carryOverMaxDays: {
+        type: Number,
+        default: null,
+        min: 0,
+      },
       yearlyOverrides: [
         {
           year: {
@@ -752,6 +758,19 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 10, // default hourly rate for new guardians
     },
+    // Currency this guardian is invoiced in; hourlyRate and transferFee are entered in it.
+    // Each invoice locks its own exchange rate to the base currency (see models/Invoice.js).
+    billingCurrency: {
+      type: String,
+      enum: ['USD', 'EGP', 'EUR', 'GBP', 'SAR', 'AED', 'QAR'],
+      default: 'USD'
+    },
+    // Customer VAT/tax number; with a reverse-charge tax rule it zero-rates invoices
+    taxRegistrationNumber: {
+      type: String,
+      trim: true,
+      default: ''
+    },
     billingAddress: {
       street: String,
       city: String,
@@ -798,6 +817,24 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: true,
     },
+    // Prepaid-hours package chosen by admin (see models/BillingPackage.js).
+    // When set, invoice generators price refills and class lines from the package tier.
+    billingPackage: {
+      package: { type: mongoose.Schema.Types.ObjectId, ref: 'BillingPackage', default: null },
+      tierHours: { type: Number, min: 0 },
+      assignedAt: { type: Date },
+      assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    },
+    // Overdue-invoice reminders (services/dunningService.js). optOut stops the
+    // whole sequence; optOutChannels only silences the listed channels.
+    // classGenerationPausedAt is set by the "pause classes" step and cleared
+    // once the blocking invoice is settled.
+    dunning: {
+      optOut: { type: Boolean, default: false },
+      optOutChannels: [{ type: String, enum: ['email', 'whatsapp'] }],
+      classGenerationPausedAt: { type: Date, default: null },
+      classGenerationPausedByInvoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', default: null },
+    },
   },
 
   // System Fields
@@ -892,6 +929,7 @@ const userSchema = new mongoose.Schema({
     monthlyReport:           { type: Boolean, default: true },
     invoiceCreated:          { type: Boolean, default: true },
     invoiceSend:             { type: Boolean, default: true },
+    paymentReminder:         { type: Boolean, default: true },
     consecutiveAbsent:       { type: Boolean, default: true },
     vacationApproved:        { type: Boolean, default: true },
     vacationGuardianNotice:  { type: Boolean, default: true },
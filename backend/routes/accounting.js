@@ -0,0 +1,153 @@
+// backend/routes/accounting.js
+/**
+ * Accounting journal export
+ * Chart of accounts and locked double-entry journal exports per period
+ * (CSV, Xero and QuickBooks layouts); see services/accountingExportService.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const accountingExportService = require('../services/accountingExportService');
+
+const sendError = (res, error, fallbackMessage) => {
+  const status = error.status || 500;
+  if (status >= 500) console.error(`[accounting] ${fallbackMessage}:`, error);
+  return res.status(status).json({
+    success: false,
+    message: status >= 500 ? fallbackMessage : error.message,
+    error: error.code || error.message
+  });
+};
+
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * @route   GET /api/accounting/chart
+ * @desc    Chart of accounts used by journal exports (defaults when never configured)
+ * @access  Admin
+ */
+router.get('/chart', async (req, res) => {
+  try {
+    const chart = await accountingExportService.getChart();
+    res.json({ success: true, chart, defaults: accountingExportService.DEFAULT_CHART });
+  } catch (error) {
+    sendError(res, error, 'Failed to load chart of accounts');
+  }
+});
+
+/**
+ * @route   PUT /api/accounting/chart
+ * @desc    Update { accounts: { key: { code, name } }, paymentAccounts: { method: key }, refundAccount, xeroTaxRate }
+ * @access  Admin
+ */
+router.put('/chart', async (req, res) => {
+  try {
+    const chart = await accountingExportService.updateChart(req.body || {});
+    res.json({ success: true, chart });
+  } catch (error) {
+    sendError(res, error, 'Failed to update chart of accounts');
+  }
+});
+
+/**
+ * @route   GET /api/accounting/journal/preview?year=&month= | ?from=&to=
+ * @desc    Account totals for a period without locking anything
+ * @access  Admin
+ */
+router.get('/journal/preview', async (req, res) => {
+  try {
+    const preview = await accountingExportService.previewJournal(req.query);
+    res.json({ success: true, preview });
+  } catch (error) {
+    sendError(res, error, 'Failed to preview journal');
+  }
+});
+
+/**
+ * @route   GET /api/accounting/exports?page=&limit=
+ * @access  Admin
+ */
+router.get('/exports', async (req, res) => {
+  try {
+    const result = await accountingExportService.listExports(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to load journal exports');
+  }
+});
+
+/**
+ * @route   POST /api/accounting/exports
+ * @desc    Build and lock the journal for { year, month } or { from, to }, optional label
+ * @access  Admin
+ */
+router.post('/exports', async (req, res) => {
+  try {
+    const created = await accountingExportService.createExport(req.body || {}, req.user._id);
+    const journalExport = await accountingExportService.getExport(created._id);
+    res.status(201).json({ success: true, export: journalExport });
+  } catch (error) {
+    sendError(res, error, 'Failed to create journal export');
+  }
+});
+
+/**
+ * @route   GET /api/accounting/exports/:id
+ * @desc    Export summary with per-account totals and the last drift check
+ * @access  Admin
+ */
+router.get('/exports/:id', async (req, res) => {
+  try {
+    const journalExport = await accountingExportService.getExport(req.params.id);
+    res.json({ success: true, export: journalExport });
+  } catch (error) {
+    sendError(res, error, 'Failed to load journal export');
+  }
+});
+
+/**
+ * @route   GET /api/accounting/exports/:id/download?format=csv|xero|quickbooks
+ * @access  Admin
+ */
+router.get('/exports/:id/download', async (req, res) => {
+  try {
+    const { fileName, content } = await accountingExportService.renderExport(req.params.id, req.query.format || 'csv', req.user._id);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(content);
+  } catch (error) {
+    sendError(res, error, 'Failed to download journal export');
+  }
+});
+
+/**
+ * @route   POST /api/accounting/exports/:id/check
+ * @desc    Flag covered documents edited (or added/removed) since the export was locked
+ * @access  Admin
+ */
+router.post('/exports/:id/check', async (req, res) => {
+  try {
+    const drift = await accountingExportService.checkDrift(req.params.id);
+    res.json({ success: true, drift });
+  } catch (error) {
+    sendError(res, error, 'Failed to check journal export');
+  }
+});
+
+/**
+ * @route   POST /api/accounting/exports/:id/void
+ * @desc    Unlock the period so it can be exported again (body: { reason })
+ * @access  Admin
+ */
+router.post('/exports/:id/void', async (req, res) => {
+  try {
+    await accountingExportService.voidExport(req.params.id, req.user._id, req.body?.reason);
+    const journalExport = await accountingExportService.getExport(req.params.id);
+    res.json({ success: true, export: journalExport });
+  } catch (error) {
+    sendError(res, error, 'Failed to void journal export');
+  }
+});
+
+module.exports = router;
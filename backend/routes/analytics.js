@@ -333,12 +333,12 @@ router.get('/business-intelligence', authenticateToken, requireRole(['admin']),
       // Revenue this month (from paid guardian invoices)
       Invoice.aggregate([
         { $match: { status: 'paid', paidDate: { $gte: monthStart, $lt: monthEnd } } },
-        { $group: { _id: null, totalRevenue: { $sum: '$total' }, invoiceCount: { $sum: 1 } } }
+        { $group: { _id: null, totalRevenue: { $sum: AnalyticsService.baseAmountExpr('$total') }, invoiceCount: { $sum: 1 } } }
       ]),
       // Previous month revenue
       Invoice.aggregate([
         { $match: { status: 'paid', paidDate: { $gte: prevMonthStart, $lt: monthStart } } },
-        { $group: { _id: null, totalRevenue: { $sum: '$total' }, invoiceCount: { $sum: 1 } } }
+        { $group: { _id: null, totalRevenue: { $sum: AnalyticsService.baseAmountExpr('$total') }, invoiceCount: { $sum: 1 } } }
       ]),
       // Teacher costs this month
       TeacherInvoice.aggregate([
@@ -354,7 +354,7 @@ router.get('/business-intelligence', authenticateToken, requireRole(['admin']),
         { $match: { status: 'paid', paidDate: { $gte: twelveMonthsAgo } } },
         { $group: {
           _id: { year: { $year: '$paidDate' }, month: { $month: '$paidDate' } },
-          totalRevenue: { $sum: '$total' },
+          totalRevenue: { $sum: AnalyticsService.baseAmountExpr('$total') },
           invoiceCount: { $sum: 1 }
         }},
         { $sort: { '_id.year': 1, '_id.month': 1 } }
@@ -377,11 +377,11 @@ router.get('/business-intelligence', authenticateToken, requireRole(['admin']),
         { $match: { 'items.rate': { $gt: 0 }, 'items.duration': { $gt: 0 } } },
         { $group: {
           _id: null,
-          totalAmount: { $sum: '$items.amount' },
+          totalAmount: { $sum: AnalyticsService.baseAmountExpr('$items.amount') },
           totalMinutes: { $sum: '$items.duration' },
-          avgRate: { $avg: '$items.rate' },
-          minRate: { $min: '$items.rate' },
-          maxRate: { $max: '$items.rate' },
+          avgRate: { $avg: AnalyticsService.baseAmountExpr('$items.rate') },
+          minRate: { $min: AnalyticsService.baseAmountExpr('$items.rate') },
+          maxRate: { $max: AnalyticsService.baseAmountExpr('$items.rate') },
           itemCount: { $sum: 1 }
         }}
       ]),
@@ -484,6 +484,7 @@ router.get('/business-intelligence', authenticateToken, requireRole(['admin']),
     const revenueUSD = revenueThisMonth[0]?.totalRevenue || 0;
     const prevRevenueUSD = prevMonthRevenue[0]?.totalRevenue || 0;
     const revenueChangeVsPrev = prevRevenueUSD > 0 ? ((revenueUSD - prevRevenueUSD) / prevRevenueUSD * 100) : null;
+    const revenueByCurrency = (await AnalyticsService.getGuardianRevenue({ start: monthStart, end: monthEnd })).byCurrency;
     const teacherCostsUSD = teacherCostsThisMonth[0]?.totalUSD || 0;
 
     // DYNAMIC overhead: compute recent average from last historical entry (or configurable)
@@ -721,6 +722,8 @@ router.get('/business-intelligence', authenticateToken, requireRole(['admin']),
           revenueThisMonth: +revenueUSD.toFixed(2),
           prevMonthRevenue: +prevRevenueUSD.toFixed(2),
           revenueChangeVsPrev: revenueChangeVsPrev !== null ? +revenueChangeVsPrev.toFixed(1) : null,
+          // Invoice-currency totals behind revenueThisMonth (converted at each invoice's locked rate)
+          revenueByCurrency,
           // Earned = completed class hours × charge rate (accrual basis, more useful mid-month)
           earnedRevenueThisMonth: +(completedHours * dynamicChargeRate).toFixed(2),
           scheduledRevenueThisMonth: +(scheduledHours * dynamicChargeRate).toFixed(2),
@@ -889,7 +892,7 @@ router.get('/bi-hub', authenticateToken, requireRole(['admin']), async (req, res
       ]),
       Invoice.aggregate([
         { $match: { status: 'paid', paidDate: { $gte: periodStart, $lt: periodEnd } } },
-        { $group: { _id: null, total: { $sum: '$total' }, cnt: { $sum: 1 } } }
+        { $group: { _id: null, total: { $sum: AnalyticsService.baseAmountExpr('$total') }, cnt: { $sum: 1 } } }
       ]),
       tiCurr
         ? TeacherInvoice.aggregate([
@@ -915,7 +918,7 @@ router.get('/bi-hub', authenticateToken, requireRole(['admin']), async (req, res
       ]),
       Invoice.aggregate([
         { $match: { status: 'paid', paidDate: { $gte: prevStart, $lt: prevEnd } } },
-        { $group: { _id: null, total: { $sum: '$total' }, cnt: { $sum: 1 } } }
+        { $group: { _id: null, total: { $sum: AnalyticsService.baseAmountExpr('$total') }, cnt: { $sum: 1 } } }
       ]),
       tiPrev
         ? TeacherInvoice.aggregate([
@@ -928,7 +931,7 @@ router.get('/bi-hub', authenticateToken, requireRole(['admin']), async (req, res
       User.countDocuments({ role: 'guardian', createdAt: { $gte: periodStart, $lt: periodEnd } }),
       Invoice.aggregate([
         { $match: { status: 'paid', paidDate: { $gte: periodStart, $lt: periodEnd } } },
-        { $group: { _id: '$guardian', total: { $sum: '$total' }, cnt: { $sum: 1 } } },
+        { $group: { _id: '$guardian', total: { $sum: AnalyticsService.baseAmountExpr('$total') }, cnt: { $sum: 1 } } },
         { $sort: { total: -1 } }, { $limit: 10 },
         { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'u' } },
         { $unwind: { path: '$u', preserveNullAndEmptyArrays: true } },
@@ -972,7 +975,7 @@ router.get('/bi-hub', authenticateToken, requireRole(['admin']), async (req, res
         { $match: { status: 'paid', paidDate: { $gte: histStart } } },
         { $group: {
           _id: { y: { $year: '$paidDate' }, m: { $month: '$paidDate' } },
-          total: { $sum: '$total' }, guardians: { $addToSet: '$guardian' }
+          total: { $sum: AnalyticsService.baseAmountExpr('$total') }, guardians: { $addToSet: '$guardian' }
         }},
         { $sort: { '_id.y': 1, '_id.m': 1 } }
       ]),
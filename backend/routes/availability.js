@@ -13,6 +13,7 @@ const UnavailablePeriod = require('../models/UnavailablePeriod');
 const User = require('../models/User');
 const Class = require('../models/Class');
 const availabilityService = require('../services/availabilityService');
+const teacherCalendarImportService = require('../services/teacherCalendarImportService');
 const moment = require('moment-timezone');
 const tzUtils = require('../utils/timezoneUtils');
 
@@ -516,6 +517,91 @@ router.post('/unavailable', authenticateToken, async (req, res) => {
   }
 });
 
+/* ===========================
+   GOOGLE CALENDAR IMPORT ROUTES
+   =========================== */
+
+// Busy time from the teacher's own Google calendar, mirrored as unavailable
+// periods (see services/teacherCalendarImportService.js)
+const canManageCalendarImport = (req) => req.user.role === 'admin'
+  || (req.user.role === 'teacher' && req.user._id.toString() === req.params.teacherId);
+
+const sendCalendarImportError = (res, error, fallback) => {
+  res.status(error.status || 500).json({
+    message: error.status ? error.message : fallback,
+    code: error.code,
+    error: error.message
+  });
+};
+
+// GET /api/availability/calendar-import/:teacherId - Connection status
+router.get('/calendar-import/:teacherId', authenticateToken, async (req, res) => {
+  try {
+    if (!canManageCalendarImport(req)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    res.json(await teacherCalendarImportService.getConnection(req.params.teacherId));
+  } catch (error) {
+    console.error('Error fetching calendar import:', error);
+    sendCalendarImportError(res, error, 'Server error');
+  }
+});
+
+// PUT /api/availability/calendar-import/:teacherId - Connect a calendar { calendarId }
+router.put('/calendar-import/:teacherId', authenticateToken, async (req, res) => {
+  try {
+    if (!canManageCalendarImport(req)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    const result = await teacherCalendarImportService.connectCalendar(req.user, req.params.teacherId, req.body || {});
+    res.json(result);
+  } catch (error) {
+    console.error('Error connecting calendar import:', error);
+    sendCalendarImportError(res, error, 'Failed to connect calendar');
+  }
+});
+
+// PATCH /api/availability/calendar-import/:teacherId - Pause/resume { enabled }
+router.patch('/calendar-import/:teacherId', authenticateToken, async (req, res) => {
+  try {
+    if (!canManageCalendarImport(req)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    const result = await teacherCalendarImportService.setImportEnabled(req.params.teacherId, req.body?.enabled !== false);
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating calendar import:', error);
+    sendCalendarImportError(res, error, 'Failed to update calendar import');
+  }
+});
+
+// POST /api/availability/calendar-import/:teacherId/sync - Sync now { full? }
+router.post('/calendar-import/:teacherId/sync', authenticateToken, async (req, res) => {
+  try {
+    if (!canManageCalendarImport(req)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    const result = await teacherCalendarImportService.syncTeacherCalendar(req.params.teacherId, { full: Boolean(req.body?.full) });
+    res.json(result);
+  } catch (error) {
+    console.error('Error syncing calendar import:', error);
+    sendCalendarImportError(res, error, 'Failed to sync calendar');
+  }
+});
+
+// DELETE /api/availability/calendar-import/:teacherId - Disconnect and remove imported busy time
+router.delete('/calendar-import/:teacherId', authenticateToken, async (req, res) => {
+  try {
+    if (!canManageCalendarImport(req)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    res.json(await teacherCalendarImportService.disconnectCalendar(req.params.teacherId));
+  } catch (error) {
+    console.error('Error disconnecting calendar import:', error);
+    sendCalendarImportError(res, error, 'Failed to disconnect calendar');
+  }
+});
+
 /* ===========================
    TEACHER SEARCH ROUTES
    =========================== */
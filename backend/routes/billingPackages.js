@@ -0,0 +1,138 @@
+// backend/routes/billingPackages.js
+/**
+ * Prepaid-hours package catalog
+ * Admin-defined bundles (hour tiers, expiry, sibling discounts) and their
+ * assignment to guardians. Pricing is applied by the guardian invoice generators.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const billingPackageService = require('../services/billingPackageService');
+const User = require('../models/User');
+
+const sendError = (res, error, fallbackMessage) => {
+  const status = error.status || 500;
+  if (status >= 500) console.error(`[billing-packages] ${fallbackMessage}:`, error);
+  return res.status(status).json({
+    success: false,
+    message: status >= 500 ? fallbackMessage : error.message,
+    error: error.code || error.message
+  });
+};
+
+/**
+ * @route   GET /api/billing-packages
+ * @desc    List packages (active only unless includeInactive=true)
+ * @access  Admin
+ */
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const includeInactive = String(req.query.includeInactive || '').toLowerCase() === 'true';
+    const packages = await billingPackageService.listPackages({ includeInactive });
+    res.json({ success: true, packages });
+  } catch (error) {
+    sendError(res, error, 'Failed to load packages');
+  }
+});
+
+/**
+ * @route   POST /api/billing-packages
+ * @desc    Create a package
+ * @access  Admin
+ */
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const pkg = await billingPackageService.createPackage(req.body, req.user._id);
+    res.status(201).json({ success: true, package: pkg });
+  } catch (error) {
+    sendError(res, error, 'Failed to create package');
+  }
+});
+
+/**
+ * @route   PUT /api/billing-packages/:id
+ * @desc    Update a package (issued invoices keep their snapshot)
+ * @access  Admin
+ */
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const pkg = await billingPackageService.updatePackage(req.params.id, req.body, req.user._id);
+    res.json({ success: true, package: pkg });
+  } catch (error) {
+    sendError(res, error, 'Failed to update package');
+  }
+});
+
+/**
+ * @route   DELETE /api/billing-packages/:id
+ * @desc    Archive a package; assigned guardians fall back to their hourly rate
+ * @access  Admin
+ */
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const pkg = await billingPackageService.archivePackage(req.params.id, req.user._id);
+    res.json({ success: true, package: pkg });
+  } catch (error) {
+    sendError(res, error, 'Failed to archive package');
+  }
+});
+
+/**
+ * @route   GET /api/billing-packages/guardians/:guardianId/pricing
+ * @desc    Resolved package pricing for a guardian (rate per student)
+ * @access  Admin
+ */
+router.get('/guardians/:guardianId/pricing', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const guardian = await User.findOne({ _id: req.params.guardianId, role: 'guardian' })
+      .select('firstName lastName guardianInfo.hourlyRate guardianInfo.billingPackage guardianInfo.billingCurrency guardianInfo.students')
+      .lean();
+    if (!guardian) {
+      return res.status(404).json({ success: false, message: 'Guardian not found' });
+    }
+
+    const pricing = await billingPackageService.resolveGuardianPackagePricing(guardian);
+    const students = (guardian.guardianInfo?.students || []).map((student) => ({
+      _id: student._id,
+      name: [student.firstName, student.lastName].filter(Boolean).join(' '),
+      isActive: student.isActive !== false,
+      hourlyRate: pricing ? pricing.rateForStudent(student._id) : Number(guardian.guardianInfo?.hourlyRate || 0)
+    }));
+
+    res.json({
+      success: true,
+      assignment: guardian.guardianInfo?.billingPackage || null,
+      package: pricing ? pricing.snapshot : null,
+      hourlyRate: pricing ? pricing.hourlyRate : Number(guardian.guardianInfo?.hourlyRate || 0),
+      students
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to resolve guardian pricing');
+  }
+});
+
+/**
+ * @route   PUT /api/billing-packages/guardians/:guardianId
+ * @desc    Assign a package + tier to a guardian (packageId: null clears it)
+ * @access  Admin
+ */
+router.put('/guardians/:guardianId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { packageId = null, tierHours } = req.body || {};
+    const { guardian, package: pkg } = await billingPackageService.assignPackageToGuardian(
+      req.params.guardianId,
+      { packageId, tierHours },
+      req.user._id
+    );
+    res.json({
+      success: true,
+      billingPackage: guardian.guardianInfo?.billingPackage || null,
+      package: pkg
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to assign package');
+  }
+});
+
+module.exports = router;
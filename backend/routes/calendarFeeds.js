@@ -0,0 +1,127 @@
+/**
+ * Calendar feed routes
+ *
+ * Tokenized iCalendar subscriptions (see services/calendarFeedService.js).
+ * Teachers, guardians and students manage their own feeds; admins can manage
+ * anyone's with ?ownerId / body.ownerId. The .ics endpoint is public: calendar
+ * apps authenticate with the token in the URL only.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const calendarFeedService = require('../services/calendarFeedService');
+
+const router = express.Router();
+
+const sendError = (res, error, fallback) => {
+  res.status(error.status || 500).json({
+    message: error.status ? error.message : fallback,
+    error: error.message,
+  });
+};
+
+const ensureFeedId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid feed id' });
+  return next();
+};
+
+// Public URL of a feed. PUBLIC_API_URL wins when the API sits behind a
+// different public host than the one the dashboard calls.
+const buildFeedUrls = (req, token) => {
+  const base = String(process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}/api`).replace(/\/+$/, '');
+  const url = `${base}/calendar-feeds/ics/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:\/\//, 'webcal://') };
+};
+
+const withUrls = (req, feed) => ({ ...feed, ...buildFeedUrls(req, feed.token) });
+
+const feedAccess = [authenticateToken, requireRole(['admin', 'teacher', 'guardian', 'student'])];
+
+/**
+ * Subscribe: GET /api/calendar-feeds/ics/:token.ics (no auth)
+ */
+router.get('/ics/:token.ics', async (req, res) => {
+  try {
+    const { ics } = await calendarFeedService.renderFeed(req.params.token);
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="waraqa-schedule.ics"',
+      'Cache-Control': 'private, max-age=300',
+    });
+    res.send(ics);
+  } catch (error) {
+    if (error.status === 404) return res.status(404).type('text/plain').send('Calendar feed not found');
+    console.error('Render calendar feed error:', error);
+    res.status(500).type('text/plain').send('Failed to build calendar feed');
+  }
+});
+
+/**
+ * My feeds (and, for guardians, the students a feed can be created for)
+ * GET /api/calendar-feeds?ownerId=
+ */
+router.get('/', feedAccess, async (req, res) => {
+  try {
+    const { feeds, students } = await calendarFeedService.listFeeds(req.user, { ownerId: req.query.ownerId });
+    res.json({ feeds: feeds.map((feed) => withUrls(req, feed)), students });
+  } catch (error) {
+    console.error('List calendar feeds error:', error);
+    sendError(res, error, 'Failed to fetch calendar feeds');
+  }
+});
+
+/**
+ * POST /api/calendar-feeds
+ * Body: { scope: 'user'|'student', studentId?, label?, includeMeetingLinks?, ownerId? }
+ */
+router.post('/', feedAccess, async (req, res) => {
+  try {
+    const feed = await calendarFeedService.createFeed(req.user, req.body || {});
+    res.status(201).json({ feed: withUrls(req, feed) });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    sendError(res, error, 'Failed to create calendar feed');
+  }
+});
+
+/**
+ * PATCH /api/calendar-feeds/:id  Body: { label?, includeMeetingLinks? }
+ */
+router.patch('/:id', feedAccess, ensureFeedId, async (req, res) => {
+  try {
+    const feed = await calendarFeedService.updateFeed(req.user, req.params.id, req.body || {});
+    res.json({ feed: withUrls(req, feed) });
+  } catch (error) {
+    console.error('Update calendar feed error:', error);
+    sendError(res, error, 'Failed to update calendar feed');
+  }
+});
+
+/**
+ * Issue a new URL; the old one stops working
+ * POST /api/calendar-feeds/:id/rotate
+ */
+router.post('/:id/rotate', feedAccess, ensureFeedId, async (req, res) => {
+  try {
+    const feed = await calendarFeedService.rotateFeed(req.user, req.params.id);
+    res.json({ feed: withUrls(req, feed) });
+  } catch (error) {
+    console.error('Rotate calendar feed error:', error);
+    sendError(res, error, 'Failed to rotate calendar feed');
+  }
+});
+
+/**
+ * DELETE /api/calendar-feeds/:id (revoke)
+ */
+router.delete('/:id', feedAccess, ensureFeedId, async (req, res) => {
+  try {
+    res.json(await calendarFeedService.revokeFeed(req.user, req.params.id));
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    sendError(res, error, 'Failed to revoke calendar feed');
+  }
+});
+
+module.exports = router;
@@ -19,6 +19,8 @@ const Notification = require("../models/Notification");
 const Student = require("../models/Student");
 const InvoiceModel = require("../models/Invoice");
 const InvoiceService = require('../services/invoiceService');
+const groupClassService = require('../services/groupClassService');
+const classSeriesService = require('../services/classSeriesService');
 const systemVacationService = require("../services/systemVacationService");
 const availabilityService = require("../services/availabilityService");
 const interactionService = require('../services/interactionService');
@@ -364,7 +366,7 @@ function normalizePendingReschedule(pending) {
   return base;
 }
 
-function sanitizeClassForRole(classObj, role) {
+function sanitizeClassForRole(classObj, role, viewerId = null) {
   if (!classObj) return classObj;
 
   const normalizedPending = normalizePendingReschedule(classObj.pendingReschedule);
@@ -392,6 +394,20 @@ function sanitizeClassForRole(classObj, role) {
     delete clone.pendingReschedule;
   }
 
+  // Guardians on a group class only see their own students on the roster
+  if (role === "guardian" && clone.isGroup && viewerId && Array.isArray(clone.roster)) {
+    const ownEntries = clone.roster.filter((entry) => String(entry.guardianId?._id || entry.guardianId) === String(viewerId));
+    clone.groupSize = clone.roster.length;
+    clone.roster = ownEntries.map(({ billingShare, waived, billedInInvoiceId, ...entry }) => entry);
+    if (ownEntries.length) {
+      clone.student = {
+        ...(clone.student || {}),
+        studentId: ownEntries[0].studentId,
+        studentName: ownEntries.map((entry) => entry.studentName).join(', '),
+      };
+    }
+  }
+
   return clone;
 }
 
@@ -824,8 +840,13 @@ router.get("/", authenticateToken, async (req, res) => {
     }
 
     if (teacher && teacher !== "all") filters.teacher = teacher;
-    if (guardian && guardian !== "all") filters["student.guardianId"] = guardian;
-    if (student && student !== "all") filters["student.studentId"] = student;
+    // Group classes list every roster guardian/student, not just the primary one
+    if (guardian && guardian !== "all") {
+      filters.$and = [...(filters.$and || []), { $or: [{ "student.guardianId": guardian }, { "roster.guardianId": guardian }] }];
+    }
+    if (student && student !== "all") {
+      filters.$and = [...(filters.$and || []), { $or: [{ "student.studentId": student }, { "roster.studentId": student }] }];
+    }
 
     // Allow filtering by multiple student ids (comma-separated). Useful for fast per-page lookups.
     if (studentIds && typeof studentIds === 'string') {
@@ -1007,11 +1028,14 @@ router.get("/", authenticateToken, async (req, res) => {
 
     if (req.user && req.user.role === 'guardian') {
       // guardians only see classes where they are the guardian of the student
-      filters['student.guardianId'] = String(req.user._id);
+      // (or of any student on a group class roster)
+      const guardianId = String(req.user._id);
+      filters.$and = [...(filters.$and || []), { $or: [{ 'student.guardianId': guardianId }, { 'roster.guardianId': guardianId }] }];
     }
 
     if (req.user && req.user.role === 'student') {
-      filters['student.studentId'] = String(req.user._id);
+      const studentId = String(req.user._id);
+      filters.$and = [...(filters.$and || []), { $or: [{ 'student.studentId': studentId }, { 'roster.studentId': studentId }] }];
     }
 
     const pageNumRaw = Math.max(1, Number.parseInt(page, 10) || 1);
@@ -1149,7 +1173,7 @@ router.get("/", authenticateToken, async (req, res) => {
     
     // Process classes with timezone conversion
     const processedClasses = processArrayWithTimezone(classes, userTimezone, ['scheduledDate', 'createdAt', 'updatedAt']);
-    const sanitizedClasses = processedClasses.map((cls) => sanitizeClassForRole(cls, req.user?.role));
+    const sanitizedClasses = processedClasses.map((cls) => sanitizeClassForRole(cls, req.user?.role, req.user?._id));
 
     mark('postprocess:done');
 
@@ -1301,10 +1325,12 @@ router.get("/series", authenticateToken, requireRole(["admin"]), async (req, res
       const c = countMap.get(String(p._id));
       const endDate = p.recurrence?.endDate ? new Date(p.recurrence.endDate) : null;
       const deactivated = Boolean(endDate && !Number.isNaN(endDate.getTime()) && endDate.getTime() <= now.getTime());
+      const { rrule, dtstart, exdates, rdates, legacy } = classSeriesService.resolveSeries(p);
       return {
         ...p,
         deactivated,
         deactivatedAt: p.recurrence?.deactivatedAt || null,
+        seriesRule: { rrule, dtstart, exdates, rdates, legacy },
         instanceCounts: {
           total: c?.totalInstances || 0,
           futureActive: c?.futureActiveInstances || 0,
@@ -1752,6 +1778,77 @@ router.post("/series/recreate-all", authenticateToken, requireRole(["admin"]), a
   }
 });
 
+/* -------------------------
+   POST /api/classes/series/preview-rule
+   - Admin-only
+   - Body { patternId?, rrule, dtstart?, exdates?, rdates?, timezone?,
+     recurrenceDetails?, duration?, limit? }
+   - Validates a series rule and lists its next occurrences without saving.
+     With patternId the stored pattern's slots and timezone are used;
+     otherwise the slots from the body (a series being created).
+   Returns: { rrule, dtstart, exdates, rdates, timezone, occurrences[] }
+   ------------------------- */
+router.post("/series/preview-rule", authenticateToken, requireRole(["admin"]), async (req, res) => {
+  try {
+    const { patternId, limit, recurrenceDetails, timezone, duration, ...definition } = req.body || {};
+    let pattern;
+    if (patternId) {
+      pattern = await Class.findById(patternId).lean();
+      if (!pattern || pattern.status !== 'pattern') return res.status(404).json({ message: 'Series not found' });
+    } else {
+      const tz = timezone || DEFAULT_TIMEZONE;
+      pattern = {
+        timezone: tz,
+        duration: Number(duration) || 60,
+        recurrenceDetails: normalizeRecurrenceSlots(recurrenceDetails, tz),
+      };
+      if (!pattern.recurrenceDetails.length) {
+        return res.status(400).json({ message: 'Add at least one day and time to preview the series', error: 'NO_RECURRING_DAYS' });
+      }
+    }
+
+    return res.json(classSeriesService.previewRule(pattern, definition, { limit }));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message, error: err.code });
+    console.error('POST /api/classes/series/preview-rule error:', err);
+    return res.status(500).json({ message: 'Failed to preview series rule' });
+  }
+});
+
+/* -------------------------
+   PUT /api/classes/series/:id/rule
+   - Admin-only
+   - Body { rrule?, dtstart?, exdates?, rdates? } (missing parts are kept)
+   - Saves the series rule and its exceptions, cancels upcoming scheduled
+     occurrences the rule no longer produces (kept as history) and generates
+     the missing ones.
+   Returns: { patternId, recurrence, createdCount, cancelledCount }
+   ------------------------- */
+router.put("/series/:id/rule", authenticateToken, requireRole(["admin"]), async (req, res) => {
+  try {
+    const { pattern, created, removedIds } = await classSeriesService.updateSeriesRule(req.params.id, req.body || {}, req.user);
+
+    try {
+      const io = req.app.get("io");
+      if (io) {
+        if (removedIds.length) io.emit("class:updated", { ids: removedIds, parentId: pattern._id, scope: "future", status: 'cancelled_by_admin' });
+        created.forEach((c) => io.emit("class:created", { class: c }));
+      }
+    } catch (e) {}
+
+    return res.json({
+      patternId: pattern._id,
+      recurrence: pattern.recurrence,
+      createdCount: created.length,
+      cancelledCount: removedIds.length,
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message, error: err.code });
+    console.error('PUT /api/classes/series/:id/rule error:', err);
+    return res.status(500).json({ message: 'Failed to update series rule' });
+  }
+});
+
 /* -------------------------
    POST /api/classes/:id/reschedule-request
    Teacher or guardian submits a reschedule request
@@ -2361,6 +2458,16 @@ router.post(
         console.warn("Cancellation notification failed", notifyErr.message);
       }
 
+      // Same-day teacher cancellations go to the cover board
+      if (cancelledByRole === "teacher") {
+        try {
+          const coverBoardService = require("../services/coverBoardService");
+          await coverBoardService.postTeacherCancellation(saved, req.user._id);
+        } catch (coverErr) {
+          console.warn("[cancel] Failed to post class for cover", coverErr.message);
+        }
+      }
+
       try {
         const io = req.app.get("io");
         if (io) {
@@ -2414,7 +2521,8 @@ router.get("/:id", authenticateToken, async (req, res) => {
     const hasAccess =
       req.user.role === "admin" ||
       (req.user.role === "teacher" && classDoc.teacher && String(classDoc.teacher._id || classDoc.teacher) === String(req.user._id)) ||
-      (req.user.role === "guardian" && classDoc.student && classDoc.student.guardianId && String(classDoc.student.guardianId._id || classDoc.student.guardianId) === String(req.user._id));
+      (req.user.role === "guardian" && classDoc.student && classDoc.student.guardianId && String(classDoc.student.guardianId._id || classDoc.student.guardianId) === String(req.user._id)) ||
+      (req.user.role === "guardian" && classDoc.isGroup && (classDoc.roster || []).some((entry) => String(entry.guardianId) === String(req.user._id)));
 
     if (!hasAccess) return res.status(403).json({ message: "Access denied" });
 
@@ -2435,7 +2543,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
     const userTimezone = req.user?.timezone || DEFAULT_TIMEZONE;
     const processedClass = addTimezoneInfo(classDoc, userTimezone, ['scheduledDate', 'createdAt', 'updatedAt']);
     const enrichedClass = enrichClassObj(processedClass, new Date());
-    const sanitizedClass = sanitizeClassForRole(enrichedClass, req.user?.role);
+    const sanitizedClass = sanitizeClassForRole(enrichedClass, req.user?.role, req.user?._id);
 
     return res.json({ 
       class: sanitizedClass,
@@ -2698,6 +2806,26 @@ router.post(
           lastGenerated: new Date()
         };
 
+        // Series rule and exceptions (RRULE/EXDATE/RDATE). Without a rule the
+        // series runs every week on the slot days, as before.
+        try {
+          const defaultSeries = classSeriesService.legacySeriesDefinition({
+            timezone: tzUsed,
+            recurrenceDetails: normalizedDetails,
+            recurrence: { daysOfWeek: uniqueDays },
+          });
+          const seriesDefinition = classSeriesService.normalizeSeriesDefinition({
+            rrule: recurrence?.rrule,
+            dtstart: recurrence?.dtstart,
+            exdates: recurrence?.exdates,
+            rdates: recurrence?.rdates,
+          }, { current: defaultSeries, timezone: tzUsed });
+          Object.assign(finalRecurrence, classSeriesService.toRecurrenceFields(seriesDefinition, uniqueDays));
+        } catch (ruleErr) {
+          if (!ruleErr.status) throw ruleErr;
+          return res.status(ruleErr.status).json({ message: ruleErr.message, error: ruleErr.code });
+        }
+
         const availabilitySlots = [];
         perDayMap.forEach((slotList, day) => {
           slotList.forEach((slot) => {
@@ -3187,11 +3315,25 @@ router.put("/:id", authenticateToken, requireRole(["admin"]), async (req, res) =
       // This ensures onClassStateChanged is called for duration/status changes,
       // which updates guardian hours and invoice item snapshots.
       const prevScheduledDate = classDoc.scheduledDate;
+      const prevTimezone = classDoc.timezone;
+      const prevDuration = classDoc.duration;
       const prevSubject = classDoc.subject;
       Object.assign(classDoc, updatePayload);
       await classDoc.save();
       const updated = classDoc.toObject();
 
+      // Series occurrence moved or resized: store it as a series exception so
+      // regeneration does not recreate the original slot.
+      try {
+        await classSeriesService.recordOccurrenceMoved(classDoc, {
+          scheduledDate: prevScheduledDate,
+          timezone: prevTimezone,
+          duration: prevDuration,
+        });
+      } catch (seriesErr) {
+        console.warn('Failed to record series exception for edited class:', seriesErr?.message || seriesErr);
+      }
+
       // Cascade subject rename to the rest of the recurring series so future generations
       // and other sibling instances stay aligned. Skip when admin explicitly opts out.
       try {
@@ -3338,6 +3480,27 @@ router.put("/:id", authenticateToken, requireRole(["admin"]), async (req, res) =
       }
     }
 
+    // Series rule: validate a new one, or carry the stored one over. A rule
+    // that just followed the old slot days moves with the new slot days.
+    const SERIES_RULE_FIELDS = ['rrule', 'dtstart', 'exdates', 'rdates'];
+    if (pattern.recurrence?.rrule || SERIES_RULE_FIELDS.some((key) => recurrence?.[key] !== undefined)) {
+      try {
+        const currentSeries = classSeriesService.resolveSeries(pattern);
+        const previousDays = (pattern.recurrenceDetails || []).map((slot) => Number(slot.dayOfWeek));
+        const nextDays = Array.isArray(proposedRecurrence.daysOfWeek) ? proposedRecurrence.daysOfWeek : previousDays;
+        const seriesDefinition = classSeriesService.normalizeSeriesDefinition({
+          rrule: recurrence?.rrule || classSeriesService.retargetRuleDays(currentSeries.rrule, previousDays, nextDays),
+          dtstart: recurrence?.dtstart,
+          exdates: recurrence?.exdates,
+          rdates: recurrence?.rdates,
+        }, { current: currentSeries, timezone: proposedDisplayTimezone });
+        Object.assign(proposedRecurrence, classSeriesService.toRecurrenceFields(seriesDefinition, nextDays));
+      } catch (ruleErr) {
+        if (!ruleErr.status) throw ruleErr;
+        return res.status(ruleErr.status).json({ message: ruleErr.message, error: ruleErr.code });
+      }
+    }
+
     const proposedSlots = (proposedRecurrenceDetails || [])
       .map((slot) => {
         const dayOfWeek = Number(slot?.dayOfWeek);
@@ -3939,6 +4102,14 @@ router.delete("/:id", authenticateToken, requireRole(["admin"]), async (req, res
       });
 
       await Class.findByIdAndDelete(classDoc._id);
+
+      // Keep the series from generating the deleted occurrence again
+      try {
+        await classSeriesService.recordOccurrenceRemoved(classDoc);
+      } catch (seriesErr) {
+        console.warn('Failed to record series exception for deleted class:', seriesErr?.message || seriesErr);
+      }
+
       // Notification trigger: class cancelled
       try {
         const notificationService = require('../services/notificationService');
@@ -4376,6 +4547,72 @@ router.patch("/:id/billing-waiver", authenticateToken, requireRole(["admin"]), a
   }
 });
 
+/* -------------------------
+   PUT /api/classes/:id/roster
+   Admin-only: turn a class into a group class or change its roster.
+
+   Body: {
+     roster: [{ guardianId, studentId, studentName?, billingShare?: 0..1, waived?: bool }],
+     groupBilling?: { mode: 'per_student'|'split', chargeAbsent?: bool },
+     applyToSeries?: bool   // also update the pattern and upcoming occurrences
+   }
+
+   Students already on the roster keep their attendance and report. Billing
+   is re-synced per guardian by the Class save hook.
+   ------------------------- */
+router.put("/:id/roster", authenticateToken, requireRole(["admin"]), async (req, res) => {
+  try {
+    const { roster, groupBilling, applyToSeries } = req.body || {};
+    const result = await groupClassService.setRoster(req.params.id, {
+      roster,
+      groupBilling,
+      applyToSeries: Boolean(applyToSeries),
+    }, req.user);
+
+    try {
+      const io = req.app.get("io");
+      if (io) io.emit("class:updated", { classId: result.class._id });
+    } catch (e) { /* ignore */ }
+
+    return res.json({
+      message: 'Roster updated',
+      class: sanitizeClassForRole(result.class.toObject({ virtuals: true }), req.user?.role),
+      seriesUpdated: result.seriesUpdated,
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message, error: err.code });
+    console.error("[roster] Error:", err);
+    return res.status(500).json({ message: "Failed to update roster", error: err.message });
+  }
+});
+
+/* -------------------------
+   PUT /api/classes/:id/roster/attendance
+   Admin or the class teacher: per-student attendance/report corrections on a
+   group class. Body: { students: [{ studentId, attendance?, lessonTopic?,
+   recitedQuran?, newAssignment?, previousAssignmentEvaluation?, teacherNotes?,
+   classScore? }] }
+   ------------------------- */
+router.put("/:id/roster/attendance", authenticateToken, requireRole(["admin", "teacher"]), async (req, res) => {
+  try {
+    const classDoc = await groupClassService.updateRosterAttendance(req.params.id, req.body?.students, req.user);
+
+    try {
+      const io = req.app.get("io");
+      if (io) io.emit("class:updated", { classId: classDoc._id });
+    } catch (e) { /* ignore */ }
+
+    return res.json({
+      message: 'Attendance updated',
+      class: sanitizeClassForRole(classDoc.toObject({ virtuals: true }), req.user?.role),
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message, error: err.code });
+    console.error("[roster-attendance] Error:", err);
+    return res.status(500).json({ message: "Failed to update attendance", error: err.message });
+  }
+});
+
 /* -------------------------
    PUT /api/classes/:id/unsubmit-report
    Admin-only: reverts a submitted class report as if it was never submitted.
@@ -4858,6 +5095,17 @@ router.put("/:id/report", authenticateToken, requireRole(["admin", "teacher"]),
     classDoc.markModified("attendance");
     classDoc.markModified("reportSubmission");
 
+    // Group classes: per-student attendance/report; pending students follow
+    // the class-level attendance
+    if (classDoc.isGroup) {
+      try {
+        groupClassService.applyRosterReport(classDoc, payload.roster, { classAttendance: attendanceValue });
+      } catch (rosterErr) {
+        if (rosterErr.status) return res.status(rosterErr.status).json({ message: rosterErr.message, error: rosterErr.code });
+        throw rosterErr;
+      }
+    }
+
     try {
       await classDoc.save();
       console.log("💾 class report saved", {
@@ -5366,6 +5614,17 @@ router.post('/bulk/delete', authenticateToken, requireRole(['admin']), async (re
 
     const result = await Class.deleteMany({ _id: { $in: ids } });
 
+    // Deleted series occurrences become series exceptions so they stay deleted
+    const deletedIds = new Set(toTrash.map((doc) => String(doc._id)));
+    for (const doc of toTrash) {
+      if (!doc.parentRecurringClass || deletedIds.has(String(doc.parentRecurringClass))) continue;
+      try {
+        await classSeriesService.recordOccurrenceRemoved(doc);
+      } catch (seriesErr) {
+        console.warn('Failed to record series exception for bulk-deleted class:', seriesErr?.message || seriesErr);
+      }
+    }
+
     try {
       const io = req.app.get('io');
       if (io) io.emit('class:bulkDeleted', { ids });
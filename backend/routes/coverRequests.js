@@ -0,0 +1,151 @@
+/**
+ * Substitute cover board routes
+ *
+ * Classes that need a substitute are posted as cover requests (see
+ * services/coverBoardService.js). Matched teachers claim them; admins post
+ * classes, approve claims and configure how the board works.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken, requireAdmin, requireRole } = require('../middleware/auth');
+const coverBoardService = require('../services/coverBoardService');
+
+const router = express.Router();
+
+const sendError = (res, error, fallback) => {
+  res.status(error.status || 500).json({
+    message: error.status ? error.message : fallback,
+    error: error.message,
+  });
+};
+
+const ensureObjectId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid cover request id' });
+  }
+  return next();
+};
+
+/**
+ * Board listing (admins: all requests, teachers: requests offered to them)
+ * GET /api/cover-requests?status=open|assigned|cancelled|expired
+ */
+router.get('/', authenticateToken, requireRole(['admin', 'teacher']), async (req, res) => {
+  try {
+    const status = req.query.status === undefined ? 'open' : String(req.query.status);
+    res.json(await coverBoardService.listRequests(req.user, { status }));
+  } catch (error) {
+    console.error('Get cover requests error:', error);
+    sendError(res, error, 'Failed to fetch cover requests');
+  }
+});
+
+/**
+ * Future classes without a teacher that are not posted yet
+ * GET /api/cover-requests/candidates
+ */
+router.get('/candidates', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({ classes: await coverBoardService.listCandidates() });
+  } catch (error) {
+    console.error('Get cover candidates error:', error);
+    sendError(res, error, 'Failed to fetch classes needing cover');
+  }
+});
+
+/**
+ * Board mode and auto-posting rules
+ * GET /api/cover-requests/config
+ * PUT /api/cover-requests/config
+ */
+router.get('/config', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({ config: await coverBoardService.getConfig() });
+  } catch (error) {
+    console.error('Get cover board config error:', error);
+    sendError(res, error, 'Failed to fetch cover board settings');
+  }
+});
+
+router.put('/config', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({ config: await coverBoardService.updateConfig(req.body || {}) });
+  } catch (error) {
+    console.error('Update cover board config error:', error);
+    sendError(res, error, 'Failed to update cover board settings');
+  }
+});
+
+/**
+ * Post classes to the board
+ * POST /api/cover-requests { classIds: [], note }
+ */
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const classIds = (Array.isArray(req.body?.classIds) ? req.body.classIds : [])
+      .filter((id) => mongoose.Types.ObjectId.isValid(id));
+    if (!classIds.length) {
+      return res.status(400).json({ message: 'Select at least one class to post' });
+    }
+    const result = await coverBoardService.postClasses(classIds, {
+      source: 'manual',
+      postedBy: req.user._id,
+      note: req.body?.note,
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Post cover requests error:', error);
+    sendError(res, error, 'Failed to post classes for cover');
+  }
+});
+
+/**
+ * Teacher claims a cover
+ * POST /api/cover-requests/:id/claim { note }
+ */
+router.post('/:id/claim', authenticateToken, requireRole(['teacher']), ensureObjectId, async (req, res) => {
+  try {
+    const request = await coverBoardService.claimRequest(req.params.id, req.user, req.body?.note);
+    res.json({
+      request,
+      message: request.status === 'assigned' ? 'The class is yours' : 'Claim sent for admin approval',
+    });
+  } catch (error) {
+    console.error('Claim cover request error:', error);
+    sendError(res, error, 'Failed to claim cover');
+  }
+});
+
+/**
+ * Admin assigns the cover to a teacher
+ * POST /api/cover-requests/:id/approve { teacherId }
+ */
+router.post('/:id/approve', authenticateToken, requireAdmin, ensureObjectId, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.body?.teacherId)) {
+      return res.status(400).json({ message: 'teacherId is required' });
+    }
+    const request = await coverBoardService.approveRequest(req.params.id, req.body.teacherId, req.user._id);
+    res.json({ request });
+  } catch (error) {
+    console.error('Approve cover request error:', error);
+    sendError(res, error, 'Failed to assign cover');
+  }
+});
+
+/**
+ * Withdraw a request from the board
+ * POST /api/cover-requests/:id/cancel { reason }
+ */
+router.post('/:id/cancel', authenticateToken, requireAdmin, ensureObjectId, async (req, res) => {
+  try {
+    const request = await coverBoardService.cancelRequest(req.params.id, req.body?.reason);
+    res.json({ request });
+  } catch (error) {
+    console.error('Cancel cover request error:', error);
+    sendError(res, error, 'Failed to withdraw cover request');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+// backend/routes/creditNotes.js
+/**
+ * Credit notes
+ * Issued by the invoice refund flow (POST /api/invoices/:id/refund); this router
+ * lists, renders and voids them. Public slug routes serve the guardian-facing page.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const creditNoteService = require('../services/creditNoteService');
+const InvoiceService = require('../services/invoiceService');
+
+const sendError = (res, error, fallbackMessage) => {
+  const status = error.status || 500;
+  if (status >= 500) console.error(`[creditNotes] ${fallbackMessage}:`, error);
+  return res.status(status).json({
+    success: false,
+    message: status >= 500 ? fallbackMessage : error.message,
+    error: error.code || error.message
+  });
+};
+
+const sendDocument = async (res, creditNote, format) => {
+  const { buffer, contentType, filename } = await creditNoteService.renderDocument(creditNote, format === 'docx' ? 'docx' : 'pdf');
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(buffer);
+};
+
+/**
+ * @route   GET /api/credit-notes/public/:slug
+ * @desc    Guardian-facing credit note view
+ * @access  Public
+ */
+router.get('/public/:slug', async (req, res) => {
+  try {
+    const creditNote = await creditNoteService.getPublicBySlug(req.params.slug);
+    res.json({ success: true, creditNote });
+  } catch (error) {
+    sendError(res, error, 'Failed to load credit note');
+  }
+});
+
+/**
+ * @route   GET /api/credit-notes/public/:slug/download?format=pdf|docx
+ * @access  Public
+ */
+router.get('/public/:slug/download', async (req, res) => {
+  try {
+    const creditNote = await creditNoteService.getPublicBySlug(req.params.slug);
+    await sendDocument(res, creditNote, req.query.format);
+  } catch (error) {
+    sendError(res, error, 'Failed to render credit note');
+  }
+});
+
+/**
+ * @route   GET /api/credit-notes?guardian=&invoice=&status=issued|voided&page=&limit=
+ * @desc    Admins see all credit notes; guardians only their own
+ * @access  Admin, Guardian
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    if (!['admin', 'guardian'].includes(req.user.role)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+    const { invoice, status, page, limit } = req.query;
+    const guardian = req.user.role === 'guardian' ? req.user._id : req.query.guardian;
+    const result = await creditNoteService.listCreditNotes({ guardian, invoice, status, page, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to load credit notes');
+  }
+});
+
+/**
+ * @route   GET /api/credit-notes/:id
+ * @desc    Credit note with its audit trail
+ * @access  Admin
+ */
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const creditNote = await creditNoteService.getCreditNote(req.params.id);
+    const audit = await creditNoteService.getAuditTrail(req.params.id);
+    res.json({ success: true, creditNote, audit });
+  } catch (error) {
+    sendError(res, error, 'Failed to load credit note');
+  }
+});
+
+/**
+ * @route   GET /api/credit-notes/:id/download?format=pdf|docx
+ * @access  Admin
+ */
+router.get('/:id/download', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const creditNote = await creditNoteService.getCreditNote(req.params.id);
+    await sendDocument(res, creditNote, req.query.format);
+  } catch (error) {
+    sendError(res, error, 'Failed to render credit note');
+  }
+});
+
+/**
+ * @route   POST /api/credit-notes/:id/void
+ * @desc    Void a credit note (body: { reason }); restores the invoice's paid hours
+ * @access  Admin
+ */
+router.post('/:id/void', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await InvoiceService.voidCreditNote(req.params.id, req.user._id, { reason: req.body?.reason });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+
+    try {
+      const io = req.app.get('io');
+      if (io && result.invoice) {
+        io.emit('invoice:updated', { invoice: result.invoice });
+      }
+    } catch (emitErr) {
+      console.warn('Failed to emit credit note void socket event', emitErr.message);
+    }
+  } catch (error) {
+    sendError(res, error, 'Failed to void credit note');
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,10 @@ const { authenticateToken, requireRole } = require('../middleware/auth');
 const CurrencyService = require('../services/currencyService');
 const CurrencyRate = require('../models/CurrencyRate');
 
+// A new rate may unblock invoices waiting for one (see Invoice.lockExchangeRate)
+const lockPendingInvoices = () => CurrencyService.lockPendingInvoiceRates()
+  .catch((err) => console.warn('[currency] Locking pending invoice rates failed:', err && err.message));
+
 /**
  * @route   GET /api/currency/supported
  * @desc    Get list of supported currencies
@@ -124,6 +128,7 @@ router.post('/rate/update', authenticateToken, requireRole(['admin']), async (re
       parseInt(month),
       req.user.id
     );
+    lockPendingInvoices();
 
     res.json({
       success: true,
@@ -178,6 +183,7 @@ router.post('/rate/set-active', authenticateToken, requireRole(['admin']), async
     );
 
     await currencyRate.save();
+    lockPendingInvoices();
 
     res.json({
       success: true,
@@ -215,6 +221,7 @@ router.post('/rates/bulk-update', authenticateToken, requireRole(['admin']), asy
       parseInt(month),
       req.user.id
     );
+    lockPendingInvoices();
 
     res.json({
       success: true,
@@ -0,0 +1,164 @@
+// backend/routes/dunning.js
+/**
+ * Overdue guardian invoice dunning
+ * Policy configuration, the admin dunning queue and per-invoice / per-guardian
+ * controls. The steps themselves are executed by jobs/dunningJob.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const dunningService = require('../services/dunningService');
+
+const sendError = (res, error, fallbackMessage) => {
+  const status = error.status || 500;
+  if (status >= 500) console.error(`[dunning] ${fallbackMessage}:`, error);
+  return res.status(status).json({
+    success: false,
+    message: status >= 500 ? fallbackMessage : error.message,
+    error: error.code || error.message
+  });
+};
+
+/**
+ * @route   GET /api/dunning/policy
+ * @desc    Current dunning policy (defaults when never configured)
+ * @access  Admin
+ */
+router.get('/policy', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const policy = await dunningService.getPolicy();
+    res.json({ success: true, policy });
+  } catch (error) {
+    sendError(res, error, 'Failed to load dunning policy');
+  }
+});
+
+/**
+ * @route   PUT /api/dunning/policy
+ * @desc    Update the policy: { enabled, steps: [{ key, label, offsetDays, channels, action }] }
+ * @access  Admin
+ */
+router.put('/policy', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const policy = await dunningService.updatePolicy(req.body || {});
+    res.json({ success: true, policy });
+  } catch (error) {
+    sendError(res, error, 'Failed to update dunning policy');
+  }
+});
+
+/**
+ * @route   GET /api/dunning/queue
+ * @desc    Overdue invoices with their current and next dunning step
+ * @access  Admin
+ */
+router.get('/queue', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const includePaused = String(req.query.includePaused || 'true').toLowerCase() !== 'false';
+    const { policy, items } = await dunningService.getDunningQueue({ includePaused });
+    res.json({ success: true, policy, items });
+  } catch (error) {
+    sendError(res, error, 'Failed to load dunning queue');
+  }
+});
+
+/**
+ * @route   POST /api/dunning/run
+ * @desc    Run the dunning pass now instead of waiting for the daily job
+ * @access  Admin
+ */
+router.post('/run', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const summary = await dunningService.runDunningCycle();
+    res.json({ success: true, summary });
+  } catch (error) {
+    sendError(res, error, 'Failed to run dunning');
+  }
+});
+
+/**
+ * @route   POST /api/dunning/invoices/:invoiceId/pause
+ * @desc    Stop escalating this invoice until resumed
+ * @access  Admin
+ */
+router.post('/invoices/:invoiceId/pause', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const dunning = await dunningService.pauseInvoiceDunning(req.params.invoiceId, req.user._id, req.body?.note);
+    res.json({ success: true, dunning });
+  } catch (error) {
+    sendError(res, error, 'Failed to pause dunning');
+  }
+});
+
+/**
+ * @route   POST /api/dunning/invoices/:invoiceId/resume
+ * @access  Admin
+ */
+router.post('/invoices/:invoiceId/resume', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const dunning = await dunningService.resumeInvoiceDunning(req.params.invoiceId, req.user._id, req.body?.note);
+    res.json({ success: true, dunning });
+  } catch (error) {
+    sendError(res, error, 'Failed to resume dunning');
+  }
+});
+
+/**
+ * @route   POST /api/dunning/invoices/:invoiceId/skip
+ * @desc    Skip (or with skip=false, restore) a pending step; defaults to the next one
+ * @access  Admin
+ */
+router.post('/invoices/:invoiceId/skip', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { stepKey, skip = true } = req.body || {};
+    const dunning = await dunningService.setStepSkipped(req.params.invoiceId, { stepKey, skip }, req.user._id);
+    res.json({ success: true, dunning });
+  } catch (error) {
+    sendError(res, error, 'Failed to update dunning step');
+  }
+});
+
+/**
+ * @route   POST /api/dunning/invoices/:invoiceId/whatsapp-sent
+ * @desc    Mark a queued dunning WhatsApp reminder as sent
+ * @access  Admin
+ */
+router.post('/invoices/:invoiceId/whatsapp-sent', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const delivery = await dunningService.markWhatsappSent(req.params.invoiceId, { templateId: req.body?.templateId }, req.user._id);
+    res.json({ success: true, delivery });
+  } catch (error) {
+    sendError(res, error, 'Failed to record WhatsApp reminder');
+  }
+});
+
+/**
+ * @route   PUT /api/dunning/guardians/:guardianId
+ * @desc    Guardian opt-outs: { optOut, optOutChannels: ['email'|'whatsapp'] }
+ * @access  Admin
+ */
+router.put('/guardians/:guardianId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const dunning = await dunningService.setGuardianPreferences(req.params.guardianId, req.body || {});
+    res.json({ success: true, dunning });
+  } catch (error) {
+    sendError(res, error, 'Failed to update guardian dunning preferences');
+  }
+});
+
+/**
+ * @route   POST /api/dunning/guardians/:guardianId/resume-classes
+ * @desc    Lift a dunning class-generation pause before the invoice is paid
+ * @access  Admin
+ */
+router.post('/guardians/:guardianId/resume-classes', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await dunningService.resumeClassGeneration(req.params.guardianId);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Failed to resume class generation');
+  }
+});
+
+module.exports = router;
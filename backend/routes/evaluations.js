@@ -9,6 +9,7 @@ const EvaluationSession = require('../models/EvaluationSession');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { sendMail, loadBrandingAndLogo, baseEmailTemplate } = require('../services/emailService');
 const notificationService = require('../services/notificationService');
+const teacherMatchingService = require('../services/teacherMatchingService');
 const { upsertEvaluationFeedbackFromSessionStudent } = require('../services/evaluationFeedbackService');
 
 const router = express.Router();
@@ -194,6 +195,17 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// ─── Admin: ranked teacher recommendations for an evaluated student ─────────
+router.get('/:id/students/:studentSubId/teacher-recommendations', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await teacherMatchingService.recommendForEvaluation(req.params.id, req.params.studentSubId, req.user._id);
+    res.json(result);
+  } catch (err) {
+    console.error('[evaluations] teacher recommendations failed', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Failed to rank teachers' });
+  }
+});
+
 // ─── Admin: send feedback request email for a specific student ───────────────
 router.post('/:id/students/:studentSubId/send-feedback', authenticateToken, requireAdmin, async (req, res) => {
   try {
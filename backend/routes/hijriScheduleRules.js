@@ -0,0 +1,93 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const HijriScheduleRule = require('../models/HijriScheduleRule');
+const hijriScheduleService = require('../services/hijriScheduleService');
+
+// Hijri-date scheduling rules (Ramadan timetables, Eid breaks); see
+// services/hijriScheduleService.js. All endpoints are admin only.
+
+const sendError = (res, err, fallback) => {
+  if (err.status) return res.status(err.status).json({ message: err.message, error: err.code });
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ message: fallback });
+};
+
+const ensureRuleId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid rule id' });
+  return next();
+};
+
+// List rules with their current or next resolved window
+router.get('/', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const rules = await hijriScheduleService.listRules();
+    res.json({ rules, months: hijriScheduleService.HIJRI_MONTHS });
+  } catch (err) {
+    sendError(res, err, 'Failed to load Hijri rules');
+  }
+});
+
+// Preview a draft rule (body: rule fields, hijriYear?) without saving it
+router.post('/preview', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { hijriYear, ...definition } = req.body || {};
+    res.json(await hijriScheduleService.previewRule(definition, { hijriYear }));
+  } catch (err) {
+    sendError(res, err, 'Failed to preview Hijri rule');
+  }
+});
+
+// Re-resolve every rule now (also runs daily and after the Hijri offset changes)
+router.post('/sync', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await hijriScheduleService.syncAllRules();
+    res.json({ message: 'Hijri rules synced', result });
+  } catch (err) {
+    sendError(res, err, 'Failed to sync Hijri rules');
+  }
+});
+
+// Create a rule and apply it to upcoming classes
+router.post('/', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { rule, sync } = await hijriScheduleService.createRule(req.body || {}, req.user);
+    res.status(201).json({ message: 'Hijri rule created', rule, sync });
+  } catch (err) {
+    sendError(res, err, 'Failed to create Hijri rule');
+  }
+});
+
+// Affected classes for one year (?hijriYear=1448, default: current or next window)
+router.get('/:id/impact', requireAuth, requireAdmin, ensureRuleId, async (req, res) => {
+  try {
+    const rule = await HijriScheduleRule.findById(req.params.id).lean();
+    if (!rule) return res.status(404).json({ message: 'Hijri rule not found' });
+    res.json(await hijriScheduleService.previewRule(rule, { hijriYear: req.query.hijriYear }));
+  } catch (err) {
+    sendError(res, err, 'Failed to load Hijri rule impact');
+  }
+});
+
+// Update a rule: its previous effects are undone, then the new definition applied
+router.put('/:id', requireAuth, requireAdmin, ensureRuleId, async (req, res) => {
+  try {
+    const { rule, sync } = await hijriScheduleService.updateRule(req.params.id, req.body || {}, req.user);
+    res.json({ message: 'Hijri rule updated', rule, sync });
+  } catch (err) {
+    sendError(res, err, 'Failed to update Hijri rule');
+  }
+});
+
+// Delete a rule and undo its effects on upcoming classes
+router.delete('/:id', requireAuth, requireAdmin, ensureRuleId, async (req, res) => {
+  try {
+    const result = await hijriScheduleService.deleteRule(req.params.id, req.user);
+    res.json({ message: 'Hijri rule deleted', result });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete Hijri rule');
+  }
+});
+
+module.exports = router;
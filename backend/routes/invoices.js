@@ -6,7 +6,12 @@ const Invoice = require('../models/Invoice');
 const Class = require('../models/Class');
 const User = require('../models/User');
 const InvoiceService = require('../services/invoiceService');
+const onlinePaymentService = require('../services/onlinePaymentService');
 const notificationService = require('../services/notificationService');
+const billingPackageService = require('../services/billingPackageService');
+const guardianStatementService = require('../services/guardianStatementService');
+const invoicePDFService = require('../services/invoicePDFService');
+const installmentService = require('../services/installmentService');
 const { buildGuardianFinancialSnapshot } = require('../utils/guardianFinancial');
 const { ensureSequenceAtLeast, formatSequence, slugifyInvoiceName } = require('../utils/invoiceNaming');
 const { allocateNextSequence, buildInvoiceIdentifiers } = require('../utils/invoiceNaming');
@@ -435,12 +440,15 @@ const buildManualGuardianInvoiceData = async ({ guardianId, hoursLimit, endDate
   const SalarySettings = require('../models/SalarySettings');
   const salarySettings = await SalarySettings.getGlobalSettings();
   const systemDefaultRate = salarySettings?.defaultGuardianHourlyRate ?? 10;
-  const guardianDefaultRate = guardian.guardianInfo?.hourlyRate || systemDefaultRate;
+  const packagePricing = await billingPackageService.resolveGuardianPackagePricing(guardian);
+  const guardianDefaultRate = packagePricing?.hourlyRate || guardian.guardianInfo?.hourlyRate || systemDefaultRate;
 
   const items = selectedClasses.map((cls) => {
     const duration = Number(cls.duration || 60);
-    // Rate resolution: class-level > guardian-level > system default
-    const rate = (cls.guardianRate != null) ? cls.guardianRate : guardianDefaultRate;
+    // Rate resolution: class-level > package tier (sibling-discounted) > guardian-level > system default
+    const rate = (cls.guardianRate != null)
+      ? cls.guardianRate
+      : (packagePricing ? packagePricing.rateForStudent(cls.student?.studentId) : guardianDefaultRate);
     const amount = (duration / 60) * rate;
     const studentName = cls.student?.studentName || '';
     const [studentFirstName, ...studentLastBits] = studentName.split(' ').filter(Boolean);
@@ -478,7 +486,7 @@ const buildManualGuardianInvoiceData = async ({ guardianId, hoursLimit, endDate
     waiveTransferFee: false
   };
 
-  const guardianFinancial = buildGuardianFinancialSnapshot(guardian);
+  const guardianFinancial = buildGuardianFinancialSnapshot(guardian, packagePricing);
   const transferFeePreview = computeTransferFeePreview({ baseTotal: subtotal, guardianFinancial, coverage });
 
   return {
@@ -639,13 +647,81 @@ router.get('/public/:slug', async (req, res) => {
       }
     }
 
-    res.json({ success: true, invoice: snapshot, readOnly: true });
+    snapshot.installmentPlan = installmentService.summarizePlan(invoice);
+    const checkout = onlinePaymentService.getCheckoutOptions(invoice);
+
+    res.json({ success: true, invoice: snapshot, checkout, readOnly: true });
   } catch (err) {
     console.error('Public invoice fetch error:', err);
     res.status(500).json({ success: false, message: 'Failed to fetch invoice', error: err.message });
   }
 });
 
+// -----------------------------
+// Public online checkout (card / PayPal)
+// -----------------------------
+router.post('/public/:slug/checkout', async (req, res) => {
+  try {
+    const result = await onlinePaymentService.startCheckout({
+      slug: req.params.slug,
+      providerId: req.body?.provider
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    const status = err.status || 500;
+    if (status >= 500) console.error('Public checkout start error:', err);
+    res.status(status).json({
+      success: false,
+      message: status < 500 ? err.message : 'Failed to start checkout',
+      error: err.code || undefined
+    });
+  }
+});
+
+// The guardian lands back on the public page after approving the payment.
+router.post('/public/:slug/checkout/confirm', async (req, res) => {
+  try {
+    const result = await onlinePaymentService.confirmCheckout({
+      slug: req.params.slug,
+      providerId: req.body?.provider,
+      orderId: req.body?.orderId
+    });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    const status = err.status || 500;
+    if (status >= 500) console.error('Public checkout confirm error:', err);
+    res.status(status).json({
+      success: false,
+      message: status < 500 ? err.message : 'Failed to confirm payment',
+      error: err.code || undefined
+    });
+  }
+});
+
+// Provider webhooks. Unauthenticated at the session level; each provider
+// verifies its own signature. Final URL: /api/invoices/webhooks/payments/:provider
+router.post('/webhooks/payments/:provider', async (req, res) => {
+  try {
+    const { status, body, invoice } = await onlinePaymentService.handleWebhook(req.params.provider, req);
+    res.status(status).json(body);
+
+    if (invoice) {
+      try {
+        const io = req.app.get('io');
+        if (io) {
+          io.emit('invoice:updated', { invoice });
+          if (String(invoice.status || '').toLowerCase() === 'paid') io.emit('invoice:paid', { invoice });
+        }
+      } catch (emitErr) {
+        console.warn('Failed to emit online payment socket events', emitErr.message);
+      }
+    }
+  } catch (err) {
+    console.error(`[webhook:payments:${req.params.provider}] failed:`, err);
+    res.status(500).json({ ok: false, error: 'internal error' });
+  }
+});
+
 // -----------------------------
 // List invoices with filters, pagination, sorting
 // -----------------------------
@@ -1756,6 +1832,52 @@ router.get('/guardian/:guardianId/unsettled-adjustments', authenticateToken, req
   }
 });
 
+// -----------------------------------------------------------------
+// Guardian account statement (running hours + money balances).
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (defaults to the current month)
+// ?format=pdf|xlsx downloads the statement instead of returning JSON.
+// -----------------------------------------------------------------
+router.get('/guardian/:guardianId/statement', authenticateToken, async (req, res) => {
+  try {
+    const { guardianId } = req.params;
+    if (req.user.role === 'guardian' && String(req.user._id) !== String(guardianId)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+    if (!['admin', 'guardian'].includes(req.user.role)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const statement = await guardianStatementService.buildGuardianStatement(guardianId, {
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    const format = String(req.query.format || 'json').toLowerCase();
+    const guardianSlug = String(statement.guardian.name || 'guardian').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'guardian';
+    const filenameBase = `statement-${guardianSlug}-${new Date(statement.period.to).toISOString().slice(0, 10)}`;
+
+    if (format === 'xlsx') {
+      const buffer = await guardianStatementService.exportStatementToExcel(statement);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filenameBase}.xlsx"`);
+      return res.send(Buffer.from(buffer));
+    }
+
+    if (format === 'pdf') {
+      const pdfDoc = invoicePDFService.generateGuardianStatementPDF(statement);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filenameBase}.pdf"`);
+      return pdfDoc.pipe(res);
+    }
+
+    res.json({ success: true, statement });
+  } catch (err) {
+    const status = err.status || 500;
+    if (status >= 500) console.error('Guardian statement error:', err);
+    res.status(status).json({ success: false, message: status >= 500 ? 'Failed to build statement' : err.message });
+  }
+});
+
 // -----------------------------------------------------------------
 // Reconcile a guardian's unsettled paid-invoice credits by delivery.
 // Settles only credits whose paid invoice is fully backed by real
@@ -3034,7 +3156,8 @@ router.post('/:id/payment', authenticateToken, async (req, res) => {
     }
     const result = await InvoiceService.processInvoicePayment(invoiceId, paymentPayload, req.user._id);
     if (!result.success) return res.status(400).json(result);
-    if (!isInvoiceSettledForResponse(result.invoice)) {
+    // Installment payments leave the invoice open until the last installment
+    if (!result.installments && !isInvoiceSettledForResponse(result.invoice)) {
       console.warn('=== [Invoices API] POST /invoices/:id/payment unresolved payment result ===', {
         id: invoiceId,
         duplicate: result.duplicate,
@@ -3146,6 +3269,10 @@ router.post('/admin/resequence-unpaid', authenticateToken, requireAdmin, async (
         // start resequencing after this one
         continue;
       }
+      if (inv.series?.entityKey) {
+        // numbered in a legal-entity series; those numbers are never reissued
+        continue;
+      }
 
       const ids = buildInvoiceIdentifiers({ sequence: nextSeq, monthContext: inv.items ? undefined : undefined });
       inv.sequence = ids.sequence;
@@ -3724,6 +3851,56 @@ router.post('/:id/refund', authenticateToken, requireAdmin, async (req, res) =>
   }
 });
 
+// Installment plan - Admin, or the invoice's guardian (read only)
+router.get('/:id/installments', authenticateToken, async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) return res.status(404).json({ success: false, message: 'Invoice not found' });
+    if (req.user.role !== 'admin' && !(req.user.role === 'guardian' && String(invoice.guardian) === String(req.user._id))) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+    res.json({ success: true, plan: installmentService.summarizePlan(invoice) });
+  } catch (err) {
+    console.error('Load installment plan error:', err);
+    res.status(500).json({ success: false, message: 'Failed to load installment plan', error: err.message });
+  }
+});
+
+// Body: { count, firstDueDate, intervalDays } or { installments: [{ dueDate, amount }] }, optional note
+router.post('/:id/installments', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const invoice = await installmentService.createPlan(req.params.id, req.body || {}, req.user._id);
+    res.status(201).json({ success: true, invoice, plan: installmentService.summarizePlan(invoice) });
+    try {
+      const io = req.app.get('io');
+      if (io) io.emit('invoice:updated', { invoice });
+    } catch (emitErr) {
+      console.warn('Failed to emit installment plan socket event', emitErr.message);
+    }
+  } catch (err) {
+    const status = err.status || 500;
+    if (status >= 500) console.error('Create installment plan error:', err);
+    res.status(status).json({ success: false, message: status < 500 ? err.message : 'Failed to create installment plan', error: err.code || err.message });
+  }
+});
+
+router.delete('/:id/installments', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const invoice = await installmentService.cancelPlan(req.params.id, req.user._id);
+    res.json({ success: true, invoice, plan: null });
+    try {
+      const io = req.app.get('io');
+      if (io) io.emit('invoice:updated', { invoice });
+    } catch (emitErr) {
+      console.warn('Failed to emit installment plan socket event', emitErr.message);
+    }
+  } catch (err) {
+    const status = err.status || 500;
+    if (status >= 500) console.error('Cancel installment plan error:', err);
+    res.status(status).json({ success: false, message: status < 500 ? err.message : 'Failed to cancel installment plan', error: err.code || err.message });
+  }
+});
+
 // Undo last refund - Admin
 router.post('/:id/undo-refund', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -7,6 +7,7 @@ const Meeting = require('../models/Meeting');
 const { MEETING_TYPES, MEETING_STATUSES } = require('../constants/meetingConstants');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const notificationService = require('../services/notificationService');
+const teacherMatchingService = require('../services/teacherMatchingService');
 const { sendMail, loadBrandingAndLogo, baseEmailTemplate } = require('../services/emailService');
 
 const router = express.Router();
@@ -388,6 +389,19 @@ router.post('/:leadId/convert', authenticateToken, requireAdmin, async (req, res
   }
 });
 
+// Ranked teacher recommendations for one of the lead's students
+router.get('/:leadId/teacher-recommendations', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await teacherMatchingService.recommendForLead(req.params.leadId, {
+      studentIndex: req.query.studentIndex,
+    });
+    return res.json(result);
+  } catch (error) {
+    console.error('Teacher recommendations for lead error:', error);
+    return res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to rank teachers.' });
+  }
+});
+
 router.post('/:leadId/archive', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const lead = await RegistrationLead.findById(req.params.leadId);
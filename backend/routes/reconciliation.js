@@ -0,0 +1,141 @@
+// backend/routes/reconciliation.js
+/**
+ * Payment reconciliation
+ * Import bank / InstaPay / PayPal CSV statements, review the suggested
+ * invoice matches and bulk-confirm them as invoice payments.
+ */
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const reconciliationService = require('../services/reconciliationService');
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: Number(process.env.MAX_FILE_SIZE || 5 * 1024 * 1024) } });
+
+const sendError = (res, error, fallbackMessage) => {
+  const status = error.status || 500;
+  if (status >= 500) console.error(`[reconciliation] ${fallbackMessage}:`, error);
+  return res.status(status).json({
+    success: false,
+    message: status >= 500 ? fallbackMessage : error.message,
+    error: error.code || error.message
+  });
+};
+
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * @route   POST /api/reconciliation/import
+ * @desc    Import a statement CSV (multipart: file, source=bank|instapay|paypal, dateFormat=DMY|MDY, currency)
+ * @access  Admin
+ */
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    const result = await reconciliationService.importStatement({
+      buffer: req.file?.buffer,
+      fileName: req.file?.originalname,
+      source: req.body?.source || 'bank',
+      dateFormat: ['DMY', 'MDY'].includes(req.body?.dateFormat) ? req.body.dateFormat : undefined,
+      defaultCurrency: req.body?.currency
+    }, req.user._id);
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to import statement');
+  }
+});
+
+/**
+ * @route   GET /api/reconciliation/lines?status=open|unmatched|suggested|matched|ignored|all&batchId=&page=&limit=
+ * @access  Admin
+ */
+router.get('/lines', async (req, res) => {
+  try {
+    const { status = 'open', batchId, page, limit } = req.query;
+    const result = await reconciliationService.listLines({ status, batchId, page, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to load statement lines');
+  }
+});
+
+/**
+ * @route   POST /api/reconciliation/lines/suggest
+ * @desc    Re-score open lines against current open invoices (body: { lineIds? })
+ * @access  Admin
+ */
+router.post('/lines/suggest', async (req, res) => {
+  try {
+    const result = await reconciliationService.suggestForLines(req.body?.lineIds);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to refresh suggestions');
+  }
+});
+
+/**
+ * @route   POST /api/reconciliation/lines/confirm
+ * @desc    Apply matches as invoice payments (body: { matches: [{ lineId, invoiceId }] })
+ * @access  Admin
+ */
+router.post('/lines/confirm', async (req, res) => {
+  try {
+    const result = await reconciliationService.confirmMatches(req.body?.matches, req.user._id);
+    res.json({ success: true, ...result });
+
+    try {
+      const io = req.app.get('io');
+      if (io) {
+        result.invoices.forEach((invoice) => io.emit('invoice:updated', { invoice }));
+      }
+    } catch (emitErr) {
+      console.warn('Failed to emit reconciliation socket events', emitErr.message);
+    }
+  } catch (error) {
+    sendError(res, error, 'Failed to confirm matches');
+  }
+});
+
+/**
+ * @route   POST /api/reconciliation/lines/ignore
+ * @desc    Dismiss lines from the review queue (body: { lineIds, note })
+ * @access  Admin
+ */
+router.post('/lines/ignore', async (req, res) => {
+  try {
+    const result = await reconciliationService.ignoreLines(req.body?.lineIds, req.user._id, req.body?.note);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to ignore statement lines');
+  }
+});
+
+/**
+ * @route   POST /api/reconciliation/lines/:id/reopen
+ * @desc    Put an ignored line back in the review queue
+ * @access  Admin
+ */
+router.post('/lines/:id/reopen', async (req, res) => {
+  try {
+    const line = await reconciliationService.reopenLine(req.params.id);
+    res.json({ success: true, line });
+  } catch (error) {
+    sendError(res, error, 'Failed to reopen statement line');
+  }
+});
+
+/**
+ * @route   GET /api/reconciliation/candidates?q=&lineId=
+ * @desc    Search open invoices to match a line by hand
+ * @access  Admin
+ */
+router.get('/candidates', async (req, res) => {
+  try {
+    const candidates = await reconciliationService.searchCandidates({ q: req.query.q, lineId: req.query.lineId });
+    res.json({ success: true, candidates });
+  } catch (error) {
+    sendError(res, error, 'Failed to search invoices');
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const multer = require('multer');
 const { uploadImage } = require('../services/cloudinaryService');
 const dstService = require('../services/dstService');
+const hijriScheduleService = require('../services/hijriScheduleService');
 
 const SUBJECTS_CATALOG_KEY = 'education.subjectsCatalog';
 
@@ -791,6 +792,9 @@ router.put('/hijri-offset', authenticateToken, requireAdmin, async (req, res) =>
       { value },
       { upsert: true, new: true }
     );
+    // Hijri scheduling rules resolve their dates with this offset
+    hijriScheduleService.syncAllRules()
+      .catch((e) => console.warn('Hijri rule sync after offset change failed:', e && e.message));
     return res.json({ success: true, setting: s });
   } catch (err) {
     console.error('Failed to update Hijri offset setting', err);
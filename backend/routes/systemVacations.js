@@ -174,61 +174,7 @@ router.get('/:id/impact', requireAuth, requireAdmin, async (req, res) => {
       .sort({ scheduledDate: 1 })
       .lean();
 
-    const grouped = new Map();
-    let totalMinutes = 0;
-
-    for (const cls of classes) {
-      const studentId = String(cls?.student?.studentId || 'unknown');
-      const guardianId = String(cls?.student?.guardianId || '');
-      const key = `${studentId}:${guardianId}`;
-      const duration = Number(cls?.duration) || 0;
-      totalMinutes += duration;
-
-      if (!grouped.has(key)) {
-        grouped.set(key, {
-          studentId,
-          studentName: cls?.student?.studentName || 'Student',
-          guardianName: null,
-          guardianEmail: null,
-          configuredHandling: { handling: 'hold' },
-          firstClassStart: cls?.scheduledDate || null,
-          lastClassEnd: cls?.scheduledDate
-            ? new Date(new Date(cls.scheduledDate).getTime() + duration * 60 * 1000)
-            : null,
-          classes: [],
-        });
-      }
-
-      const entry = grouped.get(key);
-      const classEnd = cls?.scheduledDate
-        ? new Date(new Date(cls.scheduledDate).getTime() + duration * 60 * 1000)
-        : null;
-
-      if (!entry.firstClassStart || new Date(cls.scheduledDate) < new Date(entry.firstClassStart)) {
-        entry.firstClassStart = cls.scheduledDate;
-      }
-      if (classEnd && (!entry.lastClassEnd || classEnd > new Date(entry.lastClassEnd))) {
-        entry.lastClassEnd = classEnd;
-      }
-
-      entry.classes.push({
-        classId: cls._id,
-        scheduledDate: cls.scheduledDate,
-        duration: cls.duration,
-        subject: cls.subject,
-        teacherName: cls.teacher
-          ? (cls.teacher.fullName || `${cls.teacher.firstName || ''} ${cls.teacher.lastName || ''}`.trim() || cls.teacher.email)
-          : null,
-        status: cls.status,
-      });
-    }
-
-    const impact = {
-      totalStudents: grouped.size,
-      totalClasses: classes.length,
-      totalMinutes,
-      students: Array.from(grouped.values()),
-    };
+    const impact = systemVacationService.summarizeClassImpact(classes);
 
     res.json({
       vacation: systemVacation,
@@ -0,0 +1,65 @@
+// backend/routes/tax.js
+/**
+ * Guardian invoice tax configuration
+ * Legal entities (seller details and numbering series) and per-country tax
+ * rules. Rules are applied to new guardian invoices only; see services/taxService.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const taxService = require('../services/taxService');
+
+const sendError = (res, error, fallbackMessage) => {
+  const status = error.status || 500;
+  if (status >= 500) console.error(`[tax] ${fallbackMessage}:`, error);
+  return res.status(status).json({
+    success: false,
+    message: status >= 500 ? fallbackMessage : error.message,
+    error: error.code || error.message
+  });
+};
+
+/**
+ * @route   GET /api/tax/config
+ * @desc    Legal entities and tax rules (defaults when never configured)
+ * @access  Admin
+ */
+router.get('/config', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const config = await taxService.getConfig();
+    res.json({ success: true, config });
+  } catch (error) {
+    sendError(res, error, 'Failed to load tax configuration');
+  }
+});
+
+/**
+ * @route   PUT /api/tax/config
+ * @desc    Replace config: { defaultEntityKey, legalEntities: [...], rules: [{ country, label, rate, reverseCharge, reverseChargeNote, legalEntityKey }] }
+ * @access  Admin
+ */
+router.put('/config', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const config = await taxService.updateConfig(req.body || {});
+    res.json({ success: true, config });
+  } catch (error) {
+    sendError(res, error, 'Failed to update tax configuration');
+  }
+});
+
+/**
+ * @route   GET /api/tax/guardians/:guardianId
+ * @desc    Preview which rule and legal entity the guardian's next invoice will use
+ * @access  Admin
+ */
+router.get('/guardians/:guardianId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const resolved = await taxService.resolveForGuardianId(req.params.guardianId);
+    res.json({ success: true, ...resolved });
+  } catch (error) {
+    sendError(res, error, 'Failed to resolve guardian tax rule');
+  }
+});
+
+module.exports = router;
@@ -12,11 +12,19 @@ const TeacherContractSubmission = require('../models/TeacherContractSubmission')
 const TeacherContractLead = require('../models/TeacherContractLead');
 const RecruitmentCampaign = require('../models/RecruitmentCampaign');
 const TrainingBatch = require('../models/TrainingBatch');
+const TeacherOnboarding = require('../models/TeacherOnboarding');
 const User = require('../models/User');
 const Class = require('../models/Class');
 const Meeting = require('../models/Meeting');
 const { authenticateToken, requireTeacherOrAdmin, requireAdmin } = require('../middleware/auth');
 const notificationService = require('../services/notificationService');
+const teacherOnboardingService = require('../services/teacherOnboardingService');
+const {
+  CAPACITY_CONFIG_KEY,
+  DEFAULT_CAPACITY_CONFIG,
+  getCapacityConfig,
+  buildForecast,
+} = require('../services/capacityForecastService');
 const { standardizeSubjects, STANDARD_SUBJECTS } = require('../utils/subjectStandardization');
 
 cloudinary.config({
@@ -66,16 +74,6 @@ const RECRUITMENT_STATUSES = ['new', 'under_review', 'shortlisted', 'interview_p
 
 // ─── Recruitment automation config keys + defaults ───────────────────────────
 const RECRUITMENT_EMAIL_TEMPLATE_KEY = 'recruitment_email_templates_v1';
-const CAPACITY_CONFIG_KEY = 'recruitment_capacity_config_v1';
-
-const DEFAULT_CAPACITY_CONFIG = {
-  targetHoursPerTeacherPerDay: 4,
-  horizonDays: 14,
-  hireThresholdPct: 75,
-  urgentThresholdPct: 85,
-  minFemaleTeachers: 3,
-  minMaleTeachers: 3,
-};
 
 const RECRUITMENT_EMAIL_EVENTS = [
   'interview_invite',
@@ -247,24 +245,6 @@ async function getRecruitmentEmailTemplates() {
   return merged;
 }
 
-async function getCapacityConfig() {
-  const setting = await Setting.findOne({ key: CAPACITY_CONFIG_KEY }).lean();
-  const stored = (setting && typeof setting.value === 'object' && setting.value) ? setting.value : {};
-  const clampNum = (val, def, min, max) => {
-    const n = Number(val);
-    if (Number.isNaN(n)) return def;
-    return Math.max(min, Math.min(max, n));
-  };
-  return {
-    targetHoursPerTeacherPerDay: clampNum(stored.targetHoursPerTeacherPerDay, DEFAULT_CAPACITY_CONFIG.targetHoursPerTeacherPerDay, 0.5, 16),
-    horizonDays: Math.round(clampNum(stored.horizonDays, DEFAULT_CAPACITY_CONFIG.horizonDays, 1, 60)),
-    hireThresholdPct: Math.round(clampNum(stored.hireThresholdPct, DEFAULT_CAPACITY_CONFIG.hireThresholdPct, 10, 100)),
-    urgentThresholdPct: Math.round(clampNum(stored.urgentThresholdPct, DEFAULT_CAPACITY_CONFIG.urgentThresholdPct, 10, 100)),
-    minFemaleTeachers: Math.round(clampNum(stored.minFemaleTeachers, DEFAULT_CAPACITY_CONFIG.minFemaleTeachers, 0, 100)),
-    minMaleTeachers: Math.round(clampNum(stored.minMaleTeachers, DEFAULT_CAPACITY_CONFIG.minMaleTeachers, 0, 100)),
-  };
-}
-
 // Normalize any Google Sheets share/edit URL into a CSV export URL.
 function toGoogleSheetCsvUrl(rawUrl) {
   const url = String(rawUrl || '').trim();
@@ -954,7 +934,7 @@ router.get('/operations-summary', authenticateToken, requireAdmin, async (req, r
 
     const teacherIds = teacherDocs.map((teacher) => teacher._id).filter(Boolean);
 
-    const [publicRows, dashboardRows, upcomingAgg] = await Promise.all([
+    const [publicRows, dashboardRows, upcomingAgg, onboardingDocs] = await Promise.all([
       TeacherContractLead.find({}).select('recruitment').lean(),
       TeacherContractSubmission.find({ status: 'submitted' }).select('recruitment').lean(),
       teacherIds.length
@@ -977,8 +957,20 @@ router.get('/operations-summary', authenticateToken, requireAdmin, async (req, r
             },
           ])
         : [],
+      TeacherOnboarding.find({ teacher: { $in: teacherIds } }).select('teacher items completedAt').lean(),
     ]);
 
+    const onboardingByTeacher = new Map(
+      (onboardingDocs || []).map((row) => [
+        String(row.teacher),
+        {
+          done: (row.items || []).filter((item) => item.status !== 'pending').length,
+          total: TeacherOnboarding.ITEM_KEYS.length,
+          completedAt: row.completedAt || null,
+        },
+      ])
+    );
+
     const pipelineRows = [...publicRows, ...dashboardRows];
     const pipeline = {
       total: pipelineRows.length,
@@ -1032,6 +1024,7 @@ router.get('/operations-summary', authenticateToken, requireAdmin, async (req, r
         availabilityStatus: teacherInfo.availabilityStatus || 'default_24_7',
         acceptingNewStudents: teacherInfo.acceptingNewStudents !== false,
         lifecycleStage: teacherInfo.lifecycle?.stage || 'active',
+        onboarding: onboardingByTeacher.get(String(teacher._id)) || null,
         hasGoogleMeetLink: Boolean(teacherInfo.googleMeetLink),
         qualificationText: qualifications.map((item) => `${item?.degree || ''} ${item?.institution || ''}`.trim()).filter(Boolean),
         upcomingHours14Days: Number(upcoming.upcomingHours || 0),
@@ -1748,8 +1741,17 @@ router.post('/responses/:source/:id/convert-to-teacher', authenticateToken, requ
       phone: String(personalInfo.phone || '').trim() || undefined,
       gender: String(personalInfo.gender || '').toLowerCase() === 'female' ? 'female' : 'male',
       timezone: String(personalInfo.timezone || '').trim() || undefined,
+      // Stays closed to new students until the onboarding checklist is complete
+      teacherInfo: { acceptingNewStudents: false, acceptingStudentsUpdatedAt: new Date() },
     });
 
+    // Link the training record to the new account
+    await TrainingBatch.updateMany(
+      { 'candidates.candidateId': candidate._id },
+      { $set: { 'candidates.$[c].convertedUserId': newUser._id } },
+      { arrayFilters: [{ 'c.candidateId': candidate._id }] }
+    );
+
     // Mark candidate as accepted + record conversion
     candidate.recruitment = candidate.recruitment || {};
     candidate.recruitment.status = 'accepted';
@@ -1768,8 +1770,20 @@ router.post('/responses/:source/:id/convert-to-teacher', authenticateToken, requ
     candidate.markModified('recruitment');
     await candidate.save({ validateModifiedOnly: true });
 
+    let onboarding = null;
+    try {
+      onboarding = await teacherOnboardingService.startOnboarding(newUser._id, {
+        candidateSource: source === 'public' ? 'lead' : 'submission',
+        candidateId: candidate._id,
+        actorId: req.user._id,
+      });
+    } catch (onboardingErr) {
+      console.warn('Failed to start teacher onboarding:', onboardingErr.message);
+    }
+
     return res.status(201).json({
       message: 'Teacher account created successfully.',
+      onboarding,
       userId: String(newUser._id),
       email,
       tempPassword,
@@ -2317,6 +2331,18 @@ router.put('/capacity-config', authenticateToken, requireAdmin, async (req, res)
   }
 });
 
+// Hiring-need planner: projected demand vs teacher supply per upcoming month
+// (see services/capacityForecastService.js). ?months=1-12 overrides forecastMonths.
+router.get('/capacity-forecast', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const forecast = await buildForecast({ months: req.query.months });
+    return res.json({ success: true, forecast });
+  } catch (error) {
+    console.error('Capacity forecast error:', error);
+    return res.status(500).json({ message: 'Failed to build capacity forecast.' });
+  }
+});
+
 // ─── Import applicants from a Google Sheet (CSV) with dedup ────────────────────
 
 // ---------------------------------------------------------------------------
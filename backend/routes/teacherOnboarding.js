@@ -0,0 +1,179 @@
+/**
+ * Teacher onboarding routes
+ *
+ * Post-hire checklist and document vault (see
+ * services/teacherOnboardingService.js). Admins manage every teacher; a
+ * teacher can read their own checklist and use their own vault.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { authenticateToken, requireAdmin, requireRole } = require('../middleware/auth');
+const teacherOnboardingService = require('../services/teacherOnboardingService');
+
+const router = express.Router();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Number(process.env.TEACHER_VAULT_MAX_FILE_SIZE || 10 * 1024 * 1024) },
+});
+
+const sendError = (res, error, fallback) => {
+  res.status(error.status || 500).json({
+    message: error.status ? error.message : fallback,
+    error: error.message,
+  });
+};
+
+const ensureObjectIds = (req, res, next) => {
+  const invalid = ['teacherId', 'docId'].find(
+    (key) => req.params[key] !== undefined && !mongoose.Types.ObjectId.isValid(req.params[key])
+  );
+  if (invalid) return res.status(400).json({ message: `Invalid ${invalid}` });
+  return next();
+};
+
+// Admins see everyone; teachers only themselves
+const ensureSelfOrAdmin = (req, res, next) => {
+  if (req.user.role === 'admin' || String(req.user._id) === String(req.params.teacherId)) return next();
+  return res.status(403).json({ message: 'Access denied' });
+};
+
+const teacherAccess = [authenticateToken, requireRole(['admin', 'teacher']), ensureObjectIds, ensureSelfOrAdmin];
+
+/**
+ * Onboarding checklists
+ * GET /api/teacher-onboarding?status=incomplete|complete
+ */
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const status = ['incomplete', 'complete'].includes(req.query.status) ? req.query.status : undefined;
+    res.json({ onboardings: await teacherOnboardingService.listOnboardings({ status }) });
+  } catch (error) {
+    console.error('Get teacher onboardings error:', error);
+    sendError(res, error, 'Failed to fetch onboarding checklists');
+  }
+});
+
+/**
+ * Start onboarding for an existing teacher (new hires get one on conversion)
+ * POST /api/teacher-onboarding/:teacherId
+ */
+router.post('/:teacherId', authenticateToken, requireAdmin, ensureObjectIds, async (req, res) => {
+  try {
+    const onboarding = await teacherOnboardingService.startOnboarding(req.params.teacherId, { actorId: req.user._id });
+    res.status(201).json({ onboarding });
+  } catch (error) {
+    console.error('Start teacher onboarding error:', error);
+    sendError(res, error, 'Failed to start onboarding');
+  }
+});
+
+/**
+ * Checklist with freshly evaluated items
+ * GET /api/teacher-onboarding/:teacherId
+ */
+router.get('/:teacherId', ...teacherAccess, async (req, res) => {
+  try {
+    res.json({ onboarding: await teacherOnboardingService.getChecklist(req.params.teacherId) });
+  } catch (error) {
+    console.error('Get teacher onboarding error:', error);
+    sendError(res, error, 'Failed to fetch onboarding checklist');
+  }
+});
+
+/**
+ * Tick, waive or reset an item
+ * PATCH /api/teacher-onboarding/:teacherId/items/:key { status: done|waived|pending, note }
+ */
+router.patch('/:teacherId/items/:key', authenticateToken, requireAdmin, ensureObjectIds, async (req, res) => {
+  try {
+    const onboarding = await teacherOnboardingService.setItemStatus(
+      req.params.teacherId,
+      req.params.key,
+      { status: req.body?.status, note: req.body?.note },
+      req.user._id
+    );
+    res.json({ onboarding });
+  } catch (error) {
+    console.error('Update onboarding item error:', error);
+    sendError(res, error, 'Failed to update checklist item');
+  }
+});
+
+/**
+ * Document vault
+ * GET  /api/teacher-onboarding/:teacherId/documents
+ * POST /api/teacher-onboarding/:teacherId/documents (multipart: file, type, title, expiresAt)
+ */
+router.get('/:teacherId/documents', ...teacherAccess, async (req, res) => {
+  try {
+    const includeArchived = req.user.role === 'admin' && req.query.includeArchived === 'true';
+    res.json({ documents: await teacherOnboardingService.listDocuments(req.params.teacherId, { includeArchived }) });
+  } catch (error) {
+    console.error('Get teacher documents error:', error);
+    sendError(res, error, 'Failed to fetch documents');
+  }
+});
+
+router.post('/:teacherId/documents', ...teacherAccess, upload.single('file'), async (req, res) => {
+  try {
+    const document = await teacherOnboardingService.addDocument(req.params.teacherId, req.file, {
+      type: req.body?.type,
+      title: req.body?.title,
+      expiresAt: req.body?.expiresAt,
+    }, req.user._id);
+    res.status(201).json({ document });
+  } catch (error) {
+    console.error('Upload teacher document error:', error);
+    sendError(res, error, 'Failed to upload document');
+  }
+});
+
+/**
+ * Download through a short-lived signed link (or the stored bytes)
+ * GET /api/teacher-onboarding/:teacherId/documents/:docId/download
+ */
+router.get('/:teacherId/documents/:docId/download', ...teacherAccess, async (req, res) => {
+  try {
+    const download = await teacherOnboardingService.getDocumentDownload(req.params.teacherId, req.params.docId);
+    if (download.url) return res.json({ url: download.url });
+    res.setHeader('Content-Type', download.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(download.fileName)}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.send(download.buffer);
+  } catch (error) {
+    console.error('Download teacher document error:', error);
+    sendError(res, error, 'Failed to download document');
+  }
+});
+
+/**
+ * Admin edits title / expiry, or archives a document
+ * PATCH  /api/teacher-onboarding/:teacherId/documents/:docId { title, expiresAt }
+ * DELETE /api/teacher-onboarding/:teacherId/documents/:docId
+ */
+router.patch('/:teacherId/documents/:docId', authenticateToken, requireAdmin, ensureObjectIds, async (req, res) => {
+  try {
+    const document = await teacherOnboardingService.updateDocument(req.params.teacherId, req.params.docId, {
+      title: req.body?.title,
+      expiresAt: req.body?.expiresAt,
+    });
+    res.json({ document });
+  } catch (error) {
+    console.error('Update teacher document error:', error);
+    sendError(res, error, 'Failed to update document');
+  }
+});
+
+router.delete('/:teacherId/documents/:docId', authenticateToken, requireAdmin, ensureObjectIds, async (req, res) => {
+  try {
+    const document = await teacherOnboardingService.archiveDocument(req.params.teacherId, req.params.docId);
+    res.json({ document });
+  } catch (error) {
+    console.error('Archive teacher document error:', error);
+    sendError(res, error, 'Failed to archive document');
+  }
+});
+
+module.exports = router;
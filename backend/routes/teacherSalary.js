@@ -10,6 +10,10 @@ const router = express.Router();
 const { authenticateToken, requireAdmin, requireTeacher } = require('../middleware/auth');
 const TeacherSalaryService = require('../services/teacherSalaryService');
 const teacherInvoicePDFService = require('../services/teacherInvoicePDFService');
+const teacherPayRulesService = require('../services/teacherPayRulesService');
+const teacherSalarySimulationService = require('../services/teacherSalarySimulationService');
+const teacherPayoutService = require('../services/teacherPayoutService');
+const teacherEarningsStatementService = require('../services/teacherEarningsStatementService');
 const TeacherInvoice = require('../models/TeacherInvoice');
 const SalarySettings = require('../models/SalarySettings');
 const MonthlyExchangeRates = require('../models/MonthlyExchangeRates');
@@ -1332,6 +1336,49 @@ router.put('/admin/settings/default-guardian-rate', authenticateToken, requireAd
   }
 });
 
+/**
+ * Get pay rules (premiums, special rates, penalties) and the supported rule types
+ * GET /api/teacher-salary/admin/settings/pay-rules
+ */
+router.get('/admin/settings/pay-rules', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const rules = await teacherPayRulesService.getRules();
+    res.json({ success: true, rules, ruleTypes: teacherPayRulesService.RULE_TYPES });
+  } catch (error) {
+    console.error('[GET /admin/settings/pay-rules] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Replace the pay rule list. Unpaid invoices pick the rules up on their next refresh.
+ * PUT /api/teacher-salary/admin/settings/pay-rules
+ */
+router.put('/admin/settings/pay-rules', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const rules = await teacherPayRulesService.updateRules(req.body?.rules, req.user._id);
+    res.json({ success: true, message: 'Pay rules updated', rules });
+  } catch (error) {
+    console.error('[PUT /admin/settings/pay-rules] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * What-if simulation: recompute the last N months from Class hours with a proposed
+ * partition table, exchange rate or transfer fee. Nothing is saved.
+ * POST /api/teacher-salary/admin/settings/simulate
+ */
+router.post('/admin/settings/simulate', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const simulation = await teacherSalarySimulationService.simulate(req.body || {});
+    res.json({ success: true, simulation });
+  } catch (error) {
+    console.error('[POST /admin/settings/simulate] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // ==================== EXCHANGE RATE ROUTES ====================
 
 /**
@@ -1731,6 +1778,61 @@ router.get('/teacher/ytd', authenticateToken, requireTeacher, async (req, res) =
   }
 });
 
+/**
+ * List the teacher's annual earnings statements
+ * GET /api/teacher-salary/teacher/statements
+ */
+router.get('/teacher/statements', authenticateToken, requireTeacher, async (req, res) => {
+  try {
+    const statements = await teacherEarningsStatementService.listStatements({ teacherId: req.user._id });
+    res.json({
+      success: true,
+      statements: statements.map((st) => ({ ...st, verifyUrl: teacherEarningsStatementService.verifyUrlFor(st.verifyToken) }))
+    });
+  } catch (error) {
+    console.error('[GET /teacher/statements] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Issue an annual earnings statement for a year (supersedes earlier ones)
+ * POST /api/teacher-salary/teacher/statements
+ * Body: { year }
+ */
+router.post('/teacher/statements', authenticateToken, requireTeacher, async (req, res) => {
+  try {
+    const statement = await teacherEarningsStatementService.issueStatement(req.user._id, req.body?.year, req.user._id);
+    res.status(201).json({
+      success: true,
+      statement: { ...statement.toObject(), verifyUrl: teacherEarningsStatementService.verifyUrlFor(statement.verifyToken) }
+    });
+  } catch (error) {
+    console.error('[POST /teacher/statements] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Download an earnings statement PDF (teacher can download their own)
+ * GET /api/teacher-salary/teacher/statements/:id/pdf
+ */
+router.get('/teacher/statements/:id/pdf', authenticateToken, requireTeacher, async (req, res) => {
+  try {
+    const statement = await teacherEarningsStatementService.getStatement(req.params.id);
+    if (statement.teacher.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    const pdf = await teacherEarningsStatementService.renderStatementPDF(statement);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Earnings-${statement.year}-${statement.statementNumber}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('[GET /teacher/statements/:id/pdf] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 /**
  * Download invoice PDF (teacher can download their own)
  * GET /api/teacher-salary/teacher/invoices/:id/pdf
@@ -1868,6 +1970,20 @@ router.get('/shared/:token', async (req, res) => {
   }
 });
 
+/**
+ * Verify an annual earnings statement (public, no auth)
+ * GET /api/teacher-salary/statements/verify/:token
+ */
+router.get('/statements/verify/:token', async (req, res) => {
+  try {
+    const statement = await teacherEarningsStatementService.verifyStatement(req.params.token);
+    res.json({ success: true, statement });
+  } catch (error) {
+    console.error('[GET /statements/verify/:token] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // ==================================================================================
 // NOTIFICATION PREFERENCES
 // ==================================================================================
@@ -2018,6 +2134,194 @@ router.post('/admin/bulk/delete', authenticateToken, requireAdmin, async (req, r
   }
 });
 
+// ── Payout batches ──────────────────────────────────────────────────────────
+// Bulk transfer files per payout method; see services/teacherPayoutService.js
+
+/**
+ * List payout batches
+ * GET /api/teacher-salary/admin/payout-batches?status=&page=&limit=
+ */
+router.get('/admin/payout-batches', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await teacherPayoutService.listBatches(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[GET /admin/payout-batches] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create draft payout batches (one per payout method) from published invoices
+ * POST /api/teacher-salary/admin/payout-batches
+ * Body: { invoiceIds: [], methodOverrides?: { invoiceId: 'bank_transfer'|'instapay'|'vodafone_cash' }, note? }
+ */
+router.post('/admin/payout-batches', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await teacherPayoutService.createBatches(req.body || {}, req.user._id);
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    console.error('[POST /admin/payout-batches] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get a payout batch with its lines
+ * GET /api/teacher-salary/admin/payout-batches/:id
+ */
+router.get('/admin/payout-batches/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const batch = await teacherPayoutService.getBatch(req.params.id);
+    res.json({ success: true, batch });
+  } catch (error) {
+    console.error('[GET /admin/payout-batches/:id] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Download the bank / InstaPay / wallet payment file (CSV, EGP)
+ * GET /api/teacher-salary/admin/payout-batches/:id/file
+ */
+router.get('/admin/payout-batches/:id/file', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { fileName, content } = await teacherPayoutService.renderBatchFile(req.params.id, req.user._id);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(content);
+  } catch (error) {
+    console.error('[GET /admin/payout-batches/:id/file] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove a line from a draft batch
+ * DELETE /api/teacher-salary/admin/payout-batches/:id/lines/:lineId
+ */
+router.delete('/admin/payout-batches/:id/lines/:lineId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const batch = await teacherPayoutService.removeLine(req.params.id, req.params.lineId);
+    res.json({ success: true, batch });
+  } catch (error) {
+    console.error('[DELETE /admin/payout-batches/:id/lines/:lineId] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Mark the batch sent (marks every invoice paid with the batch number as reference)
+ * POST /api/teacher-salary/admin/payout-batches/:id/send
+ */
+router.post('/admin/payout-batches/:id/send', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await teacherPayoutService.sendBatch(req.params.id, req.user._id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[POST /admin/payout-batches/:id/send] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Reconcile sent lines against the bank result
+ * POST /api/teacher-salary/admin/payout-batches/:id/reconcile
+ * Body: { lines: [{ lineId, status: 'paid'|'failed', transactionRef?, failureReason? }] }
+ */
+router.post('/admin/payout-batches/:id/reconcile', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await teacherPayoutService.reconcileBatch(req.params.id, req.body?.lines, req.user._id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[POST /admin/payout-batches/:id/reconcile] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Cancel a draft batch
+ * POST /api/teacher-salary/admin/payout-batches/:id/cancel
+ */
+router.post('/admin/payout-batches/:id/cancel', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const batch = await teacherPayoutService.cancelBatch(req.params.id, req.user._id);
+    res.json({ success: true, batch });
+  } catch (error) {
+    console.error('[POST /admin/payout-batches/:id/cancel] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ── Earnings statements ─────────────────────────────────────────────────────
+
+/**
+ * List issued earnings statements
+ * GET /api/teacher-salary/admin/statements?teacherId=&year=
+ */
+router.get('/admin/statements', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const statements = await teacherEarningsStatementService.listStatements(req.query);
+    res.json({
+      success: true,
+      statements: statements.map((st) => ({ ...st, verifyUrl: teacherEarningsStatementService.verifyUrlFor(st.verifyToken) }))
+    });
+  } catch (error) {
+    console.error('[GET /admin/statements] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Issue an earnings statement on a teacher's behalf
+ * POST /api/teacher-salary/admin/statements
+ * Body: { teacherId, year }
+ */
+router.post('/admin/statements', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const statement = await teacherEarningsStatementService.issueStatement(req.body?.teacherId, req.body?.year, req.user._id);
+    res.status(201).json({
+      success: true,
+      statement: { ...statement.toObject(), verifyUrl: teacherEarningsStatementService.verifyUrlFor(statement.verifyToken) }
+    });
+  } catch (error) {
+    console.error('[POST /admin/statements] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Download any earnings statement PDF
+ * GET /api/teacher-salary/admin/statements/:id/pdf
+ */
+router.get('/admin/statements/:id/pdf', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const statement = await teacherEarningsStatementService.getStatement(req.params.id);
+    const pdf = await teacherEarningsStatementService.renderStatementPDF(statement);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Earnings-${statement.year}-${statement.statementNumber}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('[GET /admin/statements/:id/pdf] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Revoke a statement; its verification link then reports it as not valid
+ * POST /api/teacher-salary/admin/statements/:id/revoke
+ * Body: { reason }
+ */
+router.post('/admin/statements/:id/revoke', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const statement = await teacherEarningsStatementService.revokeStatement(req.params.id, req.user._id, req.body?.reason);
+    res.json({ success: true, statement });
+  } catch (error) {
+    console.error('[POST /admin/statements/:id/revoke] Error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // ── Job / audit log ──────────────────────────────────────────────────────────
 
 /**
@@ -0,0 +1,87 @@
+/**
+ * Teacher performance scorecard routes
+ *
+ * Monthly scorecards per teacher (see services/teacherScorecardService.js).
+ * Admins see the full ranking and configure weights/thresholds; teachers can
+ * read a reduced view of their own scorecard.
+ */
+
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const teacherScorecardService = require('../services/teacherScorecardService');
+
+const router = express.Router();
+
+const sendError = (res, error, fallback) => {
+  res.status(error.status || 500).json({
+    message: error.status ? error.message : fallback,
+    error: error.message,
+  });
+};
+
+/**
+ * Scorecards for all teachers for a month
+ * GET /api/teacher-scorecards?period=YYYY-MM&refresh=true
+ */
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await teacherScorecardService.listPeriod(
+      req.query.period || teacherScorecardService.currentPeriod(),
+      { refresh: String(req.query.refresh) === 'true' }
+    );
+    res.json(result);
+  } catch (error) {
+    console.error('Get teacher scorecards error:', error);
+    sendError(res, error, 'Failed to fetch teacher scorecards');
+  }
+});
+
+/**
+ * Metric weights and alert thresholds
+ * GET /api/teacher-scorecards/config
+ * PUT /api/teacher-scorecards/config
+ */
+router.get('/config', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const config = await teacherScorecardService.getConfig();
+    res.json({ config, defaults: teacherScorecardService.DEFAULT_CONFIG });
+  } catch (error) {
+    console.error('Get scorecard config error:', error);
+    sendError(res, error, 'Failed to fetch scorecard settings');
+  }
+});
+
+router.put('/config', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const config = await teacherScorecardService.updateConfig(req.body || {});
+    res.json({ message: 'Scorecard settings updated', config });
+  } catch (error) {
+    console.error('Update scorecard config error:', error);
+    sendError(res, error, 'Failed to update scorecard settings');
+  }
+});
+
+/**
+ * A teacher's scorecard trend for the last N months
+ * GET /api/teacher-scorecards/teacher/:teacherId?months=6
+ * Teachers get a reduced view of their own scorecard (no percentile or alerts).
+ */
+router.get('/teacher/:teacherId', authenticateToken, async (req, res) => {
+  try {
+    const { teacherId } = req.params;
+    const isAdmin = req.user.role === 'admin';
+    if (!isAdmin && String(req.user._id) !== String(teacherId)) {
+      return res.status(403).json({ message: 'You are not authorized to view this scorecard' });
+    }
+    const result = await teacherScorecardService.getTeacherTrend(teacherId, {
+      months: req.query.months,
+      view: isAdmin ? 'admin' : 'teacher',
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Get teacher scorecard error:', error);
+    sendError(res, error, 'Failed to fetch teacher scorecard');
+  }
+});
+
+module.exports = router;
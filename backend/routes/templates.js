@@ -268,10 +268,22 @@ router.get('/:id/preview', authenticateToken, requireRole(['admin']), async (req
           amount: 100
         }
       ],
+      legalEntity: {
+        name: 'Waraqa Education Ltd',
+        address: '1 Example Street, London',
+        taxRegistrationNumber: 'GB123456789',
+        email: 'billing@example.com'
+      },
+      taxDetails: {
+        label: 'VAT',
+        rate: 20,
+        customerTaxId: 'GB987654321'
+      },
       subtotal: 175,
-      tax: 0,
+      tax: 35,
+      taxRate: 20,
       discount: 0,
-      total: 175,
+      total: 210,
       notes: 'Thank you for your business!'
     };
     
@@ -26,6 +26,8 @@ const TeacherSalaryAudit = require('../models/TeacherSalaryAudit');
 const { getTeacherVacationSummaryMap } = require('../services/teacherVacationService');
 const { computeGuardianHoursFromPaidInvoices, syncComputedHoursToStorage, normalizeId, roundHours } = require('../services/guardianHoursService');
 const interactionService = require('../services/interactionService');
+const CurrencyService = require('../services/currencyService');
+const teacherOnboardingService = require('../services/teacherOnboardingService');
 const { isValidTimezone, DEFAULT_TIMEZONE } = require('../utils/timezoneUtils');
 const dayjs = require('dayjs');
 const utcPlugin = require('dayjs/plugin/utc');
@@ -2104,6 +2106,22 @@ router.put('/:id', authenticateToken, requireResourceAccess('user'), async (req,
       delete updates.hourlyRate;
     }
 
+    if (updates.guardianInfo && updates.guardianInfo.billingCurrency !== undefined) {
+      if (req.user.role !== 'admin') {
+        delete updates.guardianInfo.billingCurrency;
+      } else {
+        const currency = String(updates.guardianInfo.billingCurrency || '').trim().toUpperCase();
+        if (!CurrencyService.SUPPORTED_CURRENCIES.includes(currency)) {
+          return res.status(400).json({ message: `Unsupported billing currency: ${currency || '(empty)'}` });
+        }
+        updates.guardianInfo.billingCurrency = currency;
+      }
+    }
+
+    if (updates.guardianInfo && updates.guardianInfo.taxRegistrationNumber !== undefined && req.user.role !== 'admin') {
+      delete updates.guardianInfo.taxRegistrationNumber;
+    }
+
     const transferFeePayload = (() => {
       if (updates.transferFee !== undefined) return updates.transferFee;
       if (updates.transferFees !== undefined) return updates.transferFees;
@@ -2351,6 +2369,16 @@ router.put('/:id', authenticateToken, requireResourceAccess('user'), async (req,
       if (Object.prototype.hasOwnProperty.call(updates.teacherInfo, 'acceptingNewStudents')) {
         const nextAccepting = originalUser.teacherInfo.acceptingNewStudents !== false;
         const prevAccepting = prevAcceptingNewStudents !== false;
+        if (nextAccepting && !prevAccepting) {
+          const missing = await teacherOnboardingService.getBlockingItems(originalUser._id);
+          if (missing.length) {
+            return res.status(409).json({
+              message: `Finish onboarding before opening this teacher to new students. Missing: ${missing.join(', ')}`,
+              code: 'ONBOARDING_INCOMPLETE',
+              missing,
+            });
+          }
+        }
         if (nextAccepting !== prevAccepting) {
           originalUser.teacherInfo.acceptingStudentsUpdatedAt = new Date();
           lifecycle.history.push({
@@ -3723,6 +3751,16 @@ router.put('/:id/accepting-students', authenticateToken, requireAdmin, async (re
 
     teacher.teacherInfo = teacher.teacherInfo || {};
     const prev = teacher.teacherInfo.acceptingNewStudents !== false;
+    if (accepting && !prev) {
+      const missing = await teacherOnboardingService.getBlockingItems(teacher._id);
+      if (missing.length) {
+        return res.status(409).json({
+          message: `Finish onboarding before opening this teacher to new students. Missing: ${missing.join(', ')}`,
+          code: 'ONBOARDING_INCOMPLETE',
+          missing,
+        });
+      }
+    }
     teacher.teacherInfo.acceptingNewStudents = accepting;
 
     if (prev !== accepting) {
@@ -4213,7 +4251,7 @@ router.get('/me/email-preferences', authenticateToken, async (req, res) => {
 router.put('/me/email-preferences', authenticateToken, async (req, res) => {
   try {
     const allowed = ['globalEnabled','classCreated','classCancelled','classRescheduled','poorPerformance',
-      'monthlyReport','invoiceCreated','invoiceSend','consecutiveAbsent','vacationApproved',
+      'monthlyReport','invoiceCreated','invoiceSend','paymentReminder','consecutiveAbsent','vacationApproved',
       'vacationGuardianNotice','vacationResumed','teacherReassigned','seriesCancelled',
       'meetingScheduled','studentCreated','studentDeleted','registration','teacherInvoice',
       'monthlyAdminReport','systemAlert','availabilityChanged'];
@@ -4231,7 +4269,7 @@ router.put('/me/email-preferences', authenticateToken, async (req, res) => {
 router.put('/:id/email-preferences', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const allowed = ['globalEnabled','classCreated','classCancelled','classRescheduled','poorPerformance',
-      'monthlyReport','invoiceCreated','invoiceSend','consecutiveAbsent','vacationApproved',
+      'monthlyReport','invoiceCreated','invoiceSend','paymentReminder','consecutiveAbsent','vacationApproved',
       'vacationGuardianNotice','vacationResumed','teacherReassigned','seriesCancelled',
       'meetingScheduled','studentCreated','studentDeleted','registration','teacherInvoice',
       'monthlyAdminReport','systemAlert','availabilityChanged'];
@@ -9,7 +9,7 @@ const { requireAdmin, requireAuth } = require('../middleware/auth');
 const vacationService = require('../services/vacationService');
 const notificationService = require('../services/notificationService');
 const { formatTimeInTimezone, DEFAULT_TIMEZONE } = require('../utils/timezoneUtils');
-const { getTeacherVacationAllowanceStatus } = require('../services/teacherVacationService');
+const teacherLeaveLedgerService = require('../services/teacherLeaveLedgerService');
 
 function computeLifecycleStatus(vacationDoc) {
   const now = new Date();
@@ -61,6 +61,7 @@ async function validateTeacherVacationAllowance({ teacherId, startDate, endDate,
   const end = toLocalDayEnd(endDate);
   if (!teacherId || !start || !end) return null;
 
+  const policy = await teacherLeaveLedgerService.getLeavePolicy();
   const checks = [];
   for (let year = start.getFullYear(); year <= end.getFullYear(); year += 1) {
     const yearStart = new Date(year, 0, 1, 0, 0, 0, 0);
@@ -69,7 +70,7 @@ async function validateTeacherVacationAllowance({ teacherId, startDate, endDate,
     const clippedEnd = end < yearEnd ? end : yearEnd;
     if (clippedEnd < clippedStart) continue;
     // eslint-disable-next-line no-await-in-loop
-    const allowance = await getTeacherVacationAllowanceStatus({
+    const allowance = await teacherLeaveLedgerService.getAllowanceStatus({
       teacherId,
       year,
       startDate: clippedStart,
@@ -81,11 +82,19 @@ async function validateTeacherVacationAllowance({ teacherId, startDate, endDate,
 
   const blocking = checks.find((entry) => !entry.canRequest) || null;
   if (blocking) {
-    const message = blocking.remainingDays > 0
-      ? `This request cannot be submitted because it counts as ${blocking.requestedDays} day(s) in ${blocking.year}, but only ${blocking.remainingDays} day(s) are still available. Please reduce the request to ${blocking.remainingDays} day(s) or less for that year.`
-      : `This request cannot be submitted because there are no remaining vacation days available for ${blocking.year}.`;
+    let message;
+    if (policy.enforcement === 'warn') {
+      message = blocking.remainingDays > 0
+        ? `This request counts as ${blocking.requestedDays} day(s) in ${blocking.year}, but only ${blocking.remainingDays} day(s) are still available.`
+        : `There are no remaining vacation days available for ${blocking.year}; this request goes over the leave balance.`;
+    } else {
+      message = blocking.remainingDays > 0
+        ? `This request cannot be submitted because it counts as ${blocking.requestedDays} day(s) in ${blocking.year}, but only ${blocking.remainingDays} day(s) are still available. Please reduce the request to ${blocking.remainingDays} day(s) or less for that year.`
+        : `This request cannot be submitted because there are no remaining vacation days available for ${blocking.year}.`;
+    }
     return {
       ok: false,
+      enforcement: policy.enforcement,
       allowance: blocking,
       yearly: checks,
       message,
@@ -99,6 +108,7 @@ async function validateTeacherVacationAllowance({ teacherId, startDate, endDate,
 
   return {
     ok: true,
+    enforcement: policy.enforcement,
     allowance: checks[0] || null,
     yearly: checks,
     message: countedDays > 0
@@ -159,6 +169,8 @@ router.post('/', requireAuth, async (req, res) => {
       return res.status(400).json({ message: 'End date must be after start date' });
     }
 
+    // Over-balance requests are rejected under the 'block' leave policy and flagged under 'warn'
+    let allowanceWarning = null;
     if (role === 'teacher') {
       const allowanceCheck = await validateTeacherVacationAllowance({
         teacherId: user,
@@ -166,11 +178,14 @@ router.post('/', requireAuth, async (req, res) => {
         endDate: end,
       });
       if (allowanceCheck && !allowanceCheck.ok) {
-        return res.status(400).json({
-          message: allowanceCheck.message,
-          allowance: allowanceCheck.allowance,
-          yearlyAllowance: allowanceCheck.yearly,
-        });
+        if (allowanceCheck.enforcement === 'block') {
+          return res.status(400).json({
+            message: allowanceCheck.message,
+            allowance: allowanceCheck.allowance,
+            yearlyAllowance: allowanceCheck.yearly,
+          });
+        }
+        allowanceWarning = allowanceCheck.message;
       }
     }
 
@@ -206,7 +221,7 @@ router.post('/', requireAuth, async (req, res) => {
         return notificationService.createNotification({
           userId: admin._id,
           title: 'Vacation request submitted',
-          message: `${requesterName} submitted a vacation request for ${vacationUserName} (${startLabel} → ${endLabel}).`,
+          message: `${requesterName} submitted a vacation request for ${vacationUserName} (${startLabel} → ${endLabel}).${allowanceWarning ? ' It exceeds the remaining leave balance.' : ''}`,
           type: 'request',
           relatedTo: 'vacation',
           relatedId: vacation._id,
@@ -217,6 +232,7 @@ router.post('/', requireAuth, async (req, res) => {
             vacationUserId: String(user),
             startDate: start.toISOString(),
             endDate: end.toISOString(),
+            exceedsLeaveBalance: Boolean(allowanceWarning),
             recipientTimezone: tz
           }
         });
@@ -252,7 +268,8 @@ router.post('/', requireAuth, async (req, res) => {
       vacation: serializeVacation(vacation),
       ...(role === 'teacher'
         ? {
-            allowance: await getTeacherVacationAllowanceStatus({ teacherId: user, year: start.getFullYear() }),
+            allowance: await teacherLeaveLedgerService.getAllowanceStatus({ teacherId: user, year: start.getFullYear() }),
+            allowanceWarning,
           }
         : {})
     });
@@ -437,6 +454,55 @@ router.get('/guardian', requireAuth, async (req, res) => {
   }
 });
 
+// Teacher leave policy (enforcement + carry-over)
+router.get('/leave-policy', requireAuth, async (req, res) => {
+  try {
+    const policy = await teacherLeaveLedgerService.getLeavePolicy();
+    res.json({ policy });
+  } catch (err) {
+    console.error('Get leave policy error:', err);
+    res.status(500).json({ message: 'Failed to load leave policy' });
+  }
+});
+
+router.put('/leave-policy', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const policy = await teacherLeaveLedgerService.updateLeavePolicy(req.body || {});
+    res.json({ message: 'Leave policy updated', policy });
+  } catch (err) {
+    console.error('Update leave policy error:', err);
+    res.status(500).json({ message: 'Failed to update leave policy' });
+  }
+});
+
+// Leave balance and ledger for a teacher (the teacher or an admin)
+router.get('/leave-balance/:teacherId', requireAuth, async (req, res) => {
+  try {
+    const { teacherId } = req.params;
+    if (req.user.role !== 'admin' && String(req.user._id) !== String(teacherId)) {
+      return res.status(403).json({ message: 'You do not have permission to view this leave balance' });
+    }
+    const year = Number(req.query.year) || new Date().getFullYear();
+    const balance = await teacherLeaveLedgerService.getLeaveBalance(teacherId, year);
+    res.json({ balance });
+  } catch (err) {
+    console.error('Get leave balance error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to load leave balance' });
+  }
+});
+
+// Manual leave adjustment (admin only), e.g. compensation days
+router.post('/leave-balance/:teacherId/adjustments', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const entry = await teacherLeaveLedgerService.addAdjustment(req.params.teacherId, req.body || {}, req.user._id);
+    const balance = await teacherLeaveLedgerService.getLeaveBalance(req.params.teacherId, entry.year);
+    res.status(201).json({ message: 'Leave adjustment recorded', entry, balance });
+  } catch (err) {
+    console.error('Add leave adjustment error:', err);
+    res.status(err.status || 500).json({ message: err.message || 'Failed to record leave adjustment' });
+  }
+});
+
 // List vacations for a user (teacher or student)
 router.get('/user/:userId', requireAuth, async (req, res) => {
   try {
@@ -697,7 +763,7 @@ router.post('/:vacationId/approval', requireAuth, requireAdmin, async (req, res)
         endDate: vacation.actualEndDate || vacation.endDate,
         excludeVacationId: vacation._id,
       });
-      if (allowanceCheck && !allowanceCheck.ok) {
+      if (allowanceCheck && !allowanceCheck.ok && allowanceCheck.enforcement === 'block') {
         return res.status(400).json({
           message: allowanceCheck.message,
           allowance: allowanceCheck.allowance,
@@ -719,6 +785,14 @@ router.post('/:vacationId/approval', requireAuth, requireAdmin, async (req, res)
     // Save vacation first
     await vacation.save();
 
+    if (vacation.role === 'teacher') {
+      try {
+        await teacherLeaveLedgerService.syncVacationDeductions(vacation, req.user._id);
+      } catch (ledgerErr) {
+        console.error('Failed to update teacher leave ledger:', ledgerErr);
+      }
+    }
+
     // Create notification for the teacher (student vacations may not map to User)
     if (vacation.role === 'teacher') {
       await notificationService.createVacationStatusNotification(vacation, req.user);
@@ -990,7 +1064,7 @@ router.put('/:vacationId', requireAuth, async (req, res) => {
         endDate: vacation.endDate,
         excludeVacationId: vacation._id,
       });
-      if (allowanceCheck && !allowanceCheck.ok) {
+      if (allowanceCheck && !allowanceCheck.ok && allowanceCheck.enforcement === 'block') {
         return res.status(400).json({
           message: allowanceCheck.message,
           allowance: allowanceCheck.allowance,
@@ -0,0 +1,79 @@
+/*
+  Store an explicit RRULE series definition on every recurring pattern that
+  still relies on the legacy weekday fields.
+
+  Usage:
+    npm run migrate:recurrence-rrule
+    npm run migrate:recurrence-rrule -- --dry-run
+
+  Notes:
+  - Idempotent: patterns that already have recurrence.rrule are skipped.
+  - The rule written is FREQ=WEEKLY;BYDAY=<slot days>, starting on the day the
+    pattern was created, which is what the generator did before rules existed,
+    so no upcoming class changes. Existing exceptions are kept.
+*/
+
+const path = require('path');
+const mongoose = require('mongoose');
+
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+require('dotenv').config({ path: path.resolve(__dirname, '..', '..', '.env') });
+
+const Class = require('../models/Class');
+const {
+  resolveSeries,
+  normalizeSeriesDefinition,
+  toRecurrenceFields,
+} = require('../services/classSeriesService');
+
+function getMongoUri() {
+  return process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/waraqadb';
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await mongoose.connect(getMongoUri());
+
+  const stats = { scanned: 0, alreadyMigrated: 0, migrated: 0, failed: 0 };
+  const cursor = Class.find({ status: 'pattern' })
+    .select('_id timezone scheduledDate createdAt duration recurrence recurrenceDetails')
+    .lean()
+    .cursor();
+
+  for await (const pattern of cursor) {
+    stats.scanned += 1;
+    if (pattern.recurrence?.rrule) {
+      stats.alreadyMigrated += 1;
+      continue;
+    }
+
+    try {
+      const series = resolveSeries(pattern);
+      const definition = normalizeSeriesDefinition(series, { timezone: pattern.timezone || 'UTC' });
+      const slotDays = Array.from(new Set((pattern.recurrenceDetails || []).map((slot) => Number(slot.dayOfWeek))));
+      const fields = toRecurrenceFields(definition, slotDays);
+
+      console.log(`${dryRun ? '[dry-run] ' : ''}${pattern._id}: ${fields.rrule} from ${fields.dtstart}`);
+      if (!dryRun) {
+        const $set = {};
+        for (const [key, value] of Object.entries(fields)) {
+          if (value !== undefined) $set[`recurrence.${key}`] = value;
+        }
+        await Class.updateOne({ _id: pattern._id }, { $set });
+      }
+      stats.migrated += 1;
+    } catch (err) {
+      stats.failed += 1;
+      console.error(`Failed to migrate pattern ${pattern._id}:`, err.message);
+    }
+  }
+
+  console.log(JSON.stringify({ dryRun, ...stats }, null, 2));
+  await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+  console.error('Recurrence migration failed:', err);
+  try { await mongoose.disconnect(); } catch (_) {}
+  process.exit(1);
+});
@@ -46,7 +46,7 @@ async function syncSlots({ dryRun, stats }) {
 
 async function syncUnavailablePeriods({ dryRun, stats }) {
   const cursor = UnavailablePeriod.find({})
-    .select('_id teacherId startDateTime endDateTime reason description status isActive')
+    .select('_id teacherId startDateTime endDateTime reason description status isActive source')
     .cursor();
 
   for await (const period of cursor) {
@@ -0,0 +1,57 @@
+const path = require('path');
+const mongoose = require('mongoose');
+
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+require('dotenv').config({ path: path.resolve(__dirname, '..', '..', '.env') });
+
+const TeacherCalendarConnection = require('../models/TeacherCalendarConnection');
+const teacherCalendarImportService = require('../services/teacherCalendarImportService');
+
+const getMongoUri = () => process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/waraqadb';
+
+// --full re-reads every calendar instead of using sync tokens;
+// --teacher=<id> limits the run to one teacher
+const parseArgs = () => {
+  const teacherArg = process.argv.find((arg) => arg.startsWith('--teacher='));
+  return {
+    full: process.argv.includes('--full'),
+    teacherId: teacherArg ? teacherArg.slice('--teacher='.length) : null,
+  };
+};
+
+async function main() {
+  const { full, teacherId } = parseArgs();
+  if (!teacherCalendarImportService.isConfigured()) {
+    throw new Error('Teacher calendar import not configured. Check GOOGLE_CALENDAR_IMPORT_ENABLED and Google credentials.');
+  }
+
+  await mongoose.connect(getMongoUri());
+
+  const filter = { enabled: true };
+  if (teacherId) filter.teacher = teacherId;
+  const connections = await TeacherCalendarConnection.find(filter).select('teacher calendarId').lean();
+
+  const stats = { full, teachers: connections.length, synced: 0, failed: 0, upserted: 0, removed: 0 };
+  for (const connection of connections) {
+    try {
+      const result = await teacherCalendarImportService.syncTeacherCalendar(connection.teacher, { full });
+      stats.synced += 1;
+      stats.upserted += result.upserted || 0;
+      stats.removed += result.removed || 0;
+    } catch (err) {
+      stats.failed += 1;
+      console.error('[calendar-import-failed]', String(connection.teacher), connection.calendarId, err.message || err);
+    }
+  }
+
+  console.log('Teacher calendar import complete:', stats);
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error('syncTeacherCalendarImport failed:', error.message || error);
+  try {
+    await mongoose.disconnect();
+  } catch (_) {}
+  process.exitCode = 1;
+});
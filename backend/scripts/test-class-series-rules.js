@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+// backend/scripts/test-class-series-rules.js
+// ============================================================
+// Automated test suite for RRULE-based class series.
+// Sections 1-4 are pure; sections 5-8 need MongoDB.
+//
+// Prerequisites:
+//   1. MongoDB running locally (sections 5-8)
+//
+// Usage:
+//   node backend/scripts/test-class-series-rules.js
+//
+// Tests:
+//   1. Rule parsing and validation
+//   2. Rule expansion (nth weekday, COUNT, UNTIL, BYSETPOS, INTERVAL)
+//   3. Occurrence planning (slots, EXDATE, RDATE, COUNT, DST)
+//   4. Legacy patterns and definition checks
+//   5. Generator follows the rule
+//   6. A deleted occurrence stays deleted after regeneration
+//   7. A moved occurrence keeps its new time after regeneration
+//   8. Changing the rule cancels dropped occurrences and adds new ones
+// ============================================================
+
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const Class = require('../models/Class');
+const { parseRRule, expandRRule } = require('../utils/recurrenceRule');
+const classSeriesService = require('../services/classSeriesService');
+const { generateRecurringClasses } = require('../utils/generateRecurringClasses');
+
+const TEST_DB = process.env.MONGODB_URI || 'mongodb://localhost:27017/waraqadb_test';
+const TIMEZONE = 'Africa/Cairo';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${label}`);
+  } else {
+    failed++;
+    console.log(`  ❌ FAIL: ${label}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  ${title}`);
+  console.log('═'.repeat(60));
+}
+
+const throwsCode = (fn, code) => {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return err.code === code;
+  }
+};
+
+const dates = (rule, options) => expandRRule(rule, options).map((entry) => entry.date);
+const sameList = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const localKey = (date) => moment.tz(date, TIMEZONE).format('YYYY-MM-DD[T]HH:mm');
+
+// Saturday of the given ordinal in its month (1-5)
+const saturdayOrdinal = (date) => Math.ceil(moment.tz(date, TIMEZONE).date() / 7);
+
+async function main() {
+  // ============================================================
+  // 1. PARSING
+  // ============================================================
+  section('1. Rule parsing and validation');
+
+  const parsed = parseRRule('RRULE:freq=monthly;byday=2SA,-1su;until=20271231T000000Z');
+  assert(parsed.freq === 'MONTHLY', 'FREQ parsed (case-insensitive, prefix accepted)');
+  assert(parsed.byDay.length === 2 && parsed.byDay[1].n === -1 && parsed.byDay[1].weekday === 0, 'Ordinal BYDAY parsed');
+  assert(parsed.until === '2027-12-31', 'UNTIL reduced to its date');
+  assert(throwsCode(() => parseRRule('FREQ=HOURLY'), 'INVALID_RRULE'), 'Sub-day frequency rejected');
+  assert(throwsCode(() => parseRRule('FREQ=DAILY;BYHOUR=9'), 'INVALID_RRULE'), 'BYHOUR rejected');
+  assert(throwsCode(() => parseRRule('FREQ=WEEKLY;COUNT=3;UNTIL=20270101'), 'INVALID_RRULE'), 'COUNT with UNTIL rejected');
+  assert(throwsCode(() => parseRRule('FREQ=WEEKLY;BYDAY=2SA'), 'INVALID_RRULE'), 'Numbered BYDAY on WEEKLY rejected');
+  assert(throwsCode(() => parseRRule('FREQ=WEEKLY;FREQ=DAILY'), 'INVALID_RRULE'), 'Repeated part rejected');
+
+  // ============================================================
+  // 2. EXPANSION
+  // ============================================================
+  section('2. Rule expansion');
+
+  assert(sameList(
+    dates('FREQ=MONTHLY;BYDAY=2SA,4SA', { dtstart: '2027-01-01', to: '2027-03-31' }),
+    ['2027-01-09', '2027-01-23', '2027-02-13', '2027-02-27', '2027-03-13', '2027-03-27'],
+  ), 'Every 2nd and 4th Saturday');
+  assert(sameList(
+    dates('FREQ=WEEKLY;BYDAY=SA;COUNT=4', { dtstart: '2027-01-01', from: '2027-01-15' }),
+    ['2027-01-16', '2027-01-23'],
+  ), 'COUNT is counted from the start, not from the window');
+  assert(sameList(
+    dates('FREQ=DAILY;UNTIL=20270105', { dtstart: '2027-01-01', to: '2027-12-31' }),
+    ['2027-01-01', '2027-01-02', '2027-01-03', '2027-01-04', '2027-01-05'],
+  ), 'UNTIL is inclusive');
+  assert(sameList(
+    dates('FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1', { dtstart: '2027-01-01', to: '2027-03-31' }),
+    ['2027-01-29', '2027-02-26', '2027-03-31'],
+  ), 'Last weekday of the month (BYSETPOS)');
+  assert(sameList(
+    dates('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', { dtstart: '2027-01-04', to: '2027-02-08' }),
+    ['2027-01-04', '2027-01-18', '2027-02-01'],
+  ), 'Every other Monday');
+  assert(sameList(
+    dates('FREQ=MONTHLY;BYMONTHDAY=31', { dtstart: '2027-01-01', to: '2027-05-31' }),
+    ['2027-01-31', '2027-03-31', '2027-05-31'],
+  ), 'Months without the day are skipped');
+
+  // ============================================================
+  // 3. PLANNING
+  // ============================================================
+  section('3. Occurrence planning');
+
+  const weekdaysPattern = {
+    timezone: TIMEZONE,
+    duration: 60,
+    recurrenceDetails: [
+      { dayOfWeek: 1, time: '17:00', duration: 60, timezone: TIMEZONE },
+      { dayOfWeek: 3, time: '18:30', duration: 45, timezone: TIMEZONE },
+      { dayOfWeek: 3, time: '20:00', duration: 45, timezone: TIMEZONE },
+    ],
+    recurrence: {
+      rrule: 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=6',
+      dtstart: '2027-01-04',
+      exdates: ['2027-01-11', '2027-01-13T20:00'],
+      rdates: [{ date: '2027-01-16', time: '10:00', duration: 30 }],
+    },
+  };
+  const plan = classSeriesService.planSeriesOccurrences(weekdaysPattern, { fromDate: '2027-01-01', toDate: '2027-03-01' });
+  const planKeys = plan.map((occ) => `${occ.date}T${occ.time}`);
+  assert(sameList(planKeys, [
+    '2027-01-04T17:00', '2027-01-06T18:30', '2027-01-06T20:00',
+    '2027-01-13T18:30', '2027-01-16T10:00', '2027-01-18T17:00',
+    '2027-01-20T18:30', '2027-01-20T20:00',
+  ]), 'Slots per weekday, EXDATE (day and slot), RDATE and COUNT combined');
+  assert(plan.find((occ) => occ.date === '2027-01-06').duration === 45, 'Slot duration used');
+  assert(plan.find((occ) => occ.source === 'rdate')?.duration === 30, 'Extra session keeps its own duration');
+  assert(plan[0].start.toISOString() === '2027-01-04T15:00:00.000Z', 'Start built in the slot timezone');
+
+  const dstPattern = {
+    timezone: 'America/New_York',
+    duration: 60,
+    recurrenceDetails: [{ dayOfWeek: 0, time: '10:00', duration: 60, timezone: 'America/New_York' }],
+    recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=SU', dtstart: '2027-10-01' },
+  };
+  const dstPlan = classSeriesService.planSeriesOccurrences(dstPattern, { fromDate: '2027-10-31', toDate: '2027-11-07' });
+  assert(dstPlan.length === 2 && dstPlan[0].start.getUTCHours() === 14 && dstPlan[1].start.getUTCHours() === 15, 'Local time kept across a DST change');
+
+  const monthDayPattern = {
+    timezone: TIMEZONE,
+    duration: 60,
+    recurrenceDetails: [{ dayOfWeek: 6, time: '09:00', duration: 60, timezone: TIMEZONE }],
+    recurrence: { rrule: 'FREQ=MONTHLY;BYMONTHDAY=15', dtstart: '2027-01-01' },
+  };
+  const monthDayPlan = classSeriesService.planSeriesOccurrences(monthDayPattern, { fromDate: '2027-01-01', toDate: '2027-02-28' });
+  assert(monthDayPlan.length === 2 && monthDayPlan.every((occ) => occ.time === '09:00'), 'Dates on other weekdays use the first slot');
+
+  // ============================================================
+  // 4. LEGACY PATTERNS
+  // ============================================================
+  section('4. Legacy patterns and definition checks');
+
+  const legacy = classSeriesService.resolveSeries({
+    timezone: TIMEZONE,
+    createdAt: new Date('2026-03-02T10:00:00Z'),
+    scheduledDate: new Date('2026-03-05T10:00:00Z'),
+    recurrenceDetails: [{ dayOfWeek: 4, time: '12:00' }, { dayOfWeek: 1, time: '12:00' }],
+    recurrence: { frequency: 'biweekly', interval: 1, daysOfWeek: [1, 4] },
+  });
+  assert(legacy.legacy && legacy.rrule === 'FREQ=WEEKLY;BYDAY=MO,TH', 'Legacy pattern reads as weekly on its slot days');
+  assert(legacy.dtstart === '2026-03-02', 'Legacy series starts when the pattern was created');
+  assert(
+    classSeriesService.retargetRuleDays('FREQ=WEEKLY;BYDAY=MO,TH;COUNT=10', [1, 4], [2, 5]) === 'FREQ=WEEKLY;BYDAY=TU,FR;COUNT=10',
+    'Default rule follows changed slot days',
+  );
+  assert(
+    classSeriesService.retargetRuleDays('FREQ=MONTHLY;BYDAY=2SA', [6], [5]) === 'FREQ=MONTHLY;BYDAY=2SA',
+    'Custom rule is left alone when slots change',
+  );
+  assert(throwsCode(() => classSeriesService.normalizeSeriesDefinition({ rrule: 'FREQ=WEEKLY', dtstart: '2027-02-30' }), 'INVALID_SERIES_START'), 'Invalid start date rejected');
+  assert(throwsCode(() => classSeriesService.normalizeSeriesDefinition({ rrule: 'FREQ=WEEKLY', exdates: ['2027-01-01T25:00'] }), 'INVALID_SERIES_EXCEPTION'), 'Invalid skipped date rejected');
+  const preview = classSeriesService.previewRule(weekdaysPattern, { rrule: 'FREQ=MONTHLY;BYDAY=1MO', dtstart: '2030-01-01', exdates: [], rdates: [] }, { limit: 3 });
+  assert(preview.occurrences.length === 3 && preview.occurrences[0].date === '2030-01-07', 'Preview lists the next occurrences');
+
+  // ============================================================
+  // 5-8. DATABASE
+  // ============================================================
+  await mongoose.connect(TEST_DB);
+  console.log(`\nConnected to ${TEST_DB}`);
+
+  const patternId = new mongoose.Types.ObjectId();
+  const teacherId = new mongoose.Types.ObjectId();
+  const guardianId = new mongoose.Types.ObjectId();
+  const today = moment.tz(TIMEZONE).format('YYYY-MM-DD');
+
+  const seriesChildren = () => Class.find({ parentRecurringClass: patternId, status: { $ne: 'pattern' } }).sort({ scheduledDate: 1 }).lean();
+  const activeChildren = async () => (await seriesChildren()).filter((c) => !String(c.status).startsWith('cancelled'));
+  const regenerate = async () => generateRecurringClasses(await Class.findById(patternId), 2, null, { throwOnError: true, respectCancelledInstances: true });
+
+  try {
+    await Class.collection.insertOne({
+      _id: patternId,
+      title: 'Series rule test',
+      subject: 'Quran',
+      teacher: teacherId,
+      student: { guardianId, studentId: new mongoose.Types.ObjectId(), studentName: 'Test Student' },
+      scheduledDate: new Date(),
+      duration: 60,
+      timezone: TIMEZONE,
+      isRecurring: true,
+      status: 'pattern',
+      recurrence: {
+        frequency: 'monthly',
+        interval: 1,
+        daysOfWeek: [6],
+        generationPeriodMonths: 2,
+        rrule: 'FREQ=MONTHLY;BYDAY=2SA,4SA',
+        dtstart: today,
+        exdates: [],
+        rdates: [],
+      },
+      recurrenceDetails: [{ dayOfWeek: 6, time: '16:00', duration: 60, timezone: TIMEZONE }],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+
+    section('5. Generator follows the rule');
+    const created = await regenerate();
+    const children = await activeChildren();
+    assert(created.length >= 3 && children.length === created.length, `Generated ${created.length} occurrences`);
+    assert(children.every((c) => moment.tz(c.scheduledDate, TIMEZONE).day() === 6 && [2, 4].includes(saturdayOrdinal(c.scheduledDate))), 'Only 2nd and 4th Saturdays');
+    assert(children.every((c) => localKey(c.scheduledDate).endsWith('T16:00')), 'At the slot time');
+    assert((await regenerate()).length === 0, 'Regenerating again adds nothing');
+
+    section('6. A deleted occurrence stays deleted');
+    const removed = children[0];
+    await Class.deleteOne({ _id: removed._id });
+    await classSeriesService.recordOccurrenceRemoved(removed);
+    let pattern = await Class.findById(patternId).lean();
+    assert(pattern.recurrence.exdates.includes(localKey(removed.scheduledDate)), 'EXDATE stored on the pattern');
+    await regenerate();
+    assert(!(await activeChildren()).some((c) => c.scheduledDate.getTime() === removed.scheduledDate.getTime()), 'Not recreated by regeneration');
+
+    section('7. A moved occurrence keeps its new time');
+    const moved = await Class.findById(children[1]._id);
+    const previousStart = moved.scheduledDate;
+    moved.scheduledDate = new Date(previousStart.getTime() + 24 * 3600000 + 3600000);
+    await moved.save();
+    await classSeriesService.recordOccurrenceMoved(moved, { scheduledDate: previousStart, timezone: TIMEZONE, duration: 60 });
+    pattern = await Class.findById(patternId).lean();
+    assert(pattern.recurrence.exdates.includes(localKey(previousStart)), 'Old slot skipped');
+    assert(pattern.recurrence.rdates.some((r) => `${r.date}T${r.time}` === localKey(moved.scheduledDate)), 'New time stored as an extra session');
+    await regenerate();
+    const afterMove = await activeChildren();
+    assert(!afterMove.some((c) => c.scheduledDate.getTime() === previousStart.getTime()), 'Old slot not recreated');
+    assert(afterMove.filter((c) => c.scheduledDate.getTime() === moved.scheduledDate.getTime()).length === 1, 'Moved class not duplicated');
+
+    section('8. Changing the rule');
+    const result = await classSeriesService.updateSeriesRule(patternId, { rrule: 'FREQ=WEEKLY;BYDAY=SA;COUNT=3' }, null);
+    pattern = await Class.findById(patternId).lean();
+    assert(pattern.recurrence.rrule === 'FREQ=WEEKLY;BYDAY=SA;COUNT=3' && pattern.recurrence.maxOccurrences === 3, 'Rule saved with legacy mirrors');
+    assert(pattern.recurrence.exdates.length === 2 && pattern.recurrence.rdates.length === 1, 'Exceptions kept when only the rule changes');
+    const planned = classSeriesService.planSeriesOccurrences(pattern, { fromDate: today, toDate: moment.tz(TIMEZONE).add(2, 'months').format('YYYY-MM-DD') });
+    const active = (await activeChildren()).filter((c) => c.scheduledDate >= new Date());
+    assert(active.length === planned.filter((occ) => occ.start >= new Date()).length, `Upcoming classes match the new plan (${active.length})`);
+    assert(result.removedIds.every((id) => !active.some((c) => String(c._id) === String(id))), 'Dropped occurrences cancelled, not deleted');
+  } finally {
+    await Class.deleteMany({ $or: [{ _id: patternId }, { parentRecurringClass: patternId }] });
+  }
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(60));
+
+  if (failed > 0) {
+    console.log('\n❌ Some tests FAILED. Review output above.\n');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 ALL TESTS PASSED!\n');
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('❌ Test error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+// backend/scripts/test-hijri-schedule-rules.js
+// ============================================================
+// Automated test suite for Hijri-date scheduling rules.
+// Sections 1-3 are pure; sections 4-7 need MongoDB.
+//
+// Prerequisites:
+//   1. MongoDB running locally (sections 4-7)
+//
+// Usage:
+//   node backend/scripts/test-hijri-schedule-rules.js
+//
+// Tests:
+//   1. Hijri calendar conversion (Umm al-Qura, offset, month lengths)
+//   2. Rule validation
+//   3. Yearly windows and shift matching
+//   4. A shift rule moves matching classes and previews them
+//   5. Generated occurrences are shifted once and keep their series slot
+//   6. Deleting a shift rule moves classes back
+//   7. A pause rule becomes a managed system vacation
+// ============================================================
+
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const Class = require('../models/Class');
+const HijriScheduleRule = require('../models/HijriScheduleRule');
+const SystemVacation = require('../models/SystemVacation');
+const hijriCalendar = require('../utils/hijriCalendar');
+const hijriScheduleService = require('../services/hijriScheduleService');
+const classSeriesService = require('../services/classSeriesService');
+const { generateRecurringClasses } = require('../utils/generateRecurringClasses');
+
+const TEST_DB = process.env.MONGODB_URI || 'mongodb://localhost:27017/waraqadb_test';
+const TIMEZONE = 'Africa/Cairo';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${label}`);
+  } else {
+    failed++;
+    console.log(`  ❌ FAIL: ${label}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  ${title}`);
+  console.log('═'.repeat(60));
+}
+
+const throwsCode = (fn, code) => {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return err.code === code;
+  }
+};
+
+const sameHijri = (value, year, month, day) => value.year === year && value.month === month && value.day === day;
+const localKey = (date) => moment.tz(date, TIMEZONE).format('YYYY-MM-DD[T]HH:mm');
+const at = (date, time) => moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm', TIMEZONE).toDate();
+
+async function main() {
+  // ============================================================
+  // 1. CALENDAR
+  // ============================================================
+  section('1. Hijri calendar conversion');
+
+  const { toHijri, hijriMonthStart, hijriMonthLength, resolveHijriRange, formatHijriRange } = hijriCalendar;
+  assert(sameHijri(toHijri('2026-02-18'), 1447, 9, 1), '18 Feb 2026 is 1 Ramadan 1447');
+  assert(sameHijri(toHijri('2026-03-20'), 1447, 10, 1), '20 Mar 2026 is 1 Shawwal 1447');
+  assert(sameHijri(toHijri('2026-02-17', 1), 1447, 9, 1), 'Offset +1 moves the Hijri date a day ahead');
+  assert(hijriMonthStart(1447, 9) === '2026-02-18', 'Ramadan 1447 starts 18 Feb 2026');
+  assert(hijriMonthStart(1447, 9, 1) === '2026-02-17', 'With offset +1 it starts a day earlier');
+  assert(hijriMonthStart(1447, 13) === hijriMonthStart(1448, 1), 'Month 13 rolls into the next year');
+  assert(hijriMonthLength(1447, 9) === 30 && hijriMonthLength(1447, 10) === 29, 'Month lengths follow the calendar');
+  let everyMonthRoundTrips = true;
+  for (let year = 1445; year <= 1455; year += 1) {
+    for (let month = 1; month <= 12; month += 1) {
+      if (!sameHijri(toHijri(hijriMonthStart(year, month)), year, month, 1)) everyMonthRoundTrips = false;
+    }
+  }
+  assert(everyMonthRoundTrips, 'Every month start 1445-1455 converts back to day 1');
+
+  const eid = resolveHijriRange(1447, 10, 1, 3);
+  assert(eid.startDate === '2026-03-20' && eid.endDate === '2026-03-22', 'Eid al-Fitr 1-3 Shawwal 1447 resolved');
+  const shawwal = resolveHijriRange(1447, 10, 25, 30);
+  assert(shawwal.endDate === '2026-04-17', '30th of a 29-day month clamps to its last day');
+  const ramadan = resolveHijriRange(1447, 9);
+  assert(ramadan.startDate === '2026-02-18' && ramadan.endDate === '2026-03-19', 'Whole month when no days are given');
+  assert(formatHijriRange(1447, 10, 1, 3) === '1–3 Shawwal 1447 AH' && formatHijriRange(null, 9) === 'Ramadan', 'Labels');
+
+  // ============================================================
+  // 2. VALIDATION
+  // ============================================================
+  section('2. Rule validation');
+
+  const pause = hijriScheduleService.normalizeRuleInput({ name: 'Eid al-Fitr', action: 'pause', hijriMonth: 10, startDay: 1, endDay: 3 });
+  assert(pause.timezone === TIMEZONE && pause.shiftMinutes === 0 && pause.isActive, 'Pause defaults (Cairo timezone, active)');
+  const shift = hijriScheduleService.normalizeRuleInput({
+    name: 'Ramadan evenings', action: 'shift', hijriMonth: '9', shiftMinutes: '60', timeBand: { from: '17:00', to: '23:59' },
+  });
+  assert(shift.hijriMonth === 9 && shift.shiftMinutes === 60 && shift.endDay === null, 'Shift fields parsed');
+  const renamed = hijriScheduleService.normalizeRuleInput({ name: 'Renamed' }, shift);
+  assert(renamed.action === 'shift' && renamed.shiftMinutes === 60 && renamed.timeBand.from === '17:00', 'Update keeps missing fields');
+  const badInputs = [
+    { action: 'pause', hijriMonth: 10 },
+    { name: 'x', action: 'cancel', hijriMonth: 10 },
+    { name: 'x', action: 'pause', hijriMonth: 13 },
+    { name: 'x', action: 'pause', hijriMonth: 10, startDay: 5, endDay: 3 },
+    { name: 'x', action: 'pause', hijriMonth: 10, timezone: 'Mars/Olympus' },
+    { name: 'x', action: 'shift', hijriMonth: 9, shiftMinutes: 0 },
+    { name: 'x', action: 'shift', hijriMonth: 9, shiftMinutes: 60, timeBand: { from: '25:00', to: '23:00' } },
+  ];
+  assert(badInputs.every((input) => throwsCode(() => hijriScheduleService.normalizeRuleInput(input), 'INVALID_HIJRI_RULE')), 'Invalid definitions rejected');
+
+  // ============================================================
+  // 3. WINDOWS AND MATCHING
+  // ============================================================
+  section('3. Yearly windows and shift matching');
+
+  const offsets = { default: 0, byRegion: { SA: -1 } };
+  const eidRule = { ...pause, _id: 'eid' };
+  const eidWindow = hijriScheduleService.resolveRuleWindow(eidRule, 1447, offsets);
+  assert(eidWindow.startDate === '2026-03-20' && eidWindow.endDate === '2026-03-22', 'Window dates');
+  assert(localKey(eidWindow.start) === '2026-03-20T00:00' && localKey(eidWindow.end) === '2026-03-22T23:59', 'Window bounds in the rule timezone');
+  const saWindow = hijriScheduleService.resolveRuleWindow({ ...eidRule, region: 'SA' }, 1447, offsets);
+  assert(saWindow.startDate === '2026-03-21', 'Region offset from settings applies');
+  const windows = hijriScheduleService.ruleWindowsBetween(eidRule, new Date('2026-01-01T00:00:00Z'), new Date('2027-12-31T00:00:00Z'), offsets);
+  assert(windows.map((w) => w.hijriYear).join(',') === '1447,1448', 'One window per Hijri year in range');
+  const next = hijriScheduleService.nextRuleWindow(eidRule, offsets, new Date('2026-03-21T12:00:00Z'));
+  assert(next.hijriYear === 1447, 'Next window includes one in progress');
+
+  const ramadanRule = { ...shift, _id: 'ramadan' };
+  const shiftWindows = hijriScheduleService.buildShiftWindows([ramadanRule], new Date('2026-02-01T00:00:00Z'), new Date('2026-04-01T00:00:00Z'), offsets);
+  const evening = hijriScheduleService.matchShift(at('2026-02-20', '18:00'), TIMEZONE, shiftWindows);
+  assert(evening && evening.minutes === 60 && evening.window.hijriYear === 1447, 'Evening class in Ramadan matches');
+  assert(!hijriScheduleService.matchShift(at('2026-02-20', '10:00'), TIMEZONE, shiftWindows), 'Morning class does not');
+  assert(!hijriScheduleService.matchShift(at('2026-03-20', '18:00'), TIMEZONE, shiftWindows), 'Evening after Ramadan does not');
+  assert(Boolean(hijriScheduleService.matchShift(moment.tz('2026-02-20 18:00', 'Asia/Riyadh').toDate(), 'Asia/Riyadh', shiftWindows)), 'Band is read in the class timezone');
+  const lateWindows = hijriScheduleService.buildShiftWindows([{ ...ramadanRule, timeBand: { from: '22:00', to: '02:00' } }],
+    new Date('2026-02-01T00:00:00Z'), new Date('2026-04-01T00:00:00Z'), offsets);
+  assert(Boolean(hijriScheduleService.matchShift(at('2026-02-20', '01:00'), TIMEZONE, lateWindows))
+    && !hijriScheduleService.matchShift(at('2026-02-20', '21:00'), TIMEZONE, lateWindows), 'Band can wrap past midnight');
+
+  // ============================================================
+  // 4-7. DATABASE
+  // ============================================================
+  await mongoose.connect(TEST_DB);
+  console.log(`\nConnected to ${TEST_DB}`);
+
+  const actor = { _id: new mongoose.Types.ObjectId() };
+  const teacherId = new mongoose.Types.ObjectId();
+  const guardianId = new mongoose.Types.ObjectId();
+  const patternId = new mongoose.Types.ObjectId();
+  const oneOffIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  const ruleIds = [];
+
+  // A day a few days ahead; the rules cover exactly its Hijri day
+  const dbOffsets = await hijriScheduleService.loadHijriOffsets();
+  const target = moment.tz(TIMEZONE).add(3, 'days').format('YYYY-MM-DD');
+  const targetHijri = toHijri(target, dbOffsets.default);
+  const ruleDays = { hijriMonth: targetHijri.month, startDay: targetHijri.day, endDay: targetHijri.day };
+
+  const insertClass = (_id, start, extra = {}) => Class.collection.insertOne({
+    _id,
+    title: 'Hijri rule test',
+    subject: 'Quran',
+    teacher: teacherId,
+    student: { guardianId, studentId: new mongoose.Types.ObjectId(), studentName: 'Test Student' },
+    scheduledDate: start,
+    endsAt: new Date(start.getTime() + 60 * 60000),
+    duration: 60,
+    timezone: TIMEZONE,
+    timeAnchor: { source: 'student', timezone: TIMEZONE, localTime: moment.tz(start, TIMEZONE).format('HH:mm'), dayOfWeek: moment.tz(start, TIMEZONE).day() },
+    status: 'scheduled',
+    createdBy: actor._id,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    ...extra,
+  });
+  const seriesChildren = () => Class.find({ parentRecurringClass: patternId, status: { $ne: 'pattern' } }).sort({ scheduledDate: 1 }).lean();
+  const regenerate = async () => generateRecurringClasses(await Class.findById(patternId), 1, null, { throwOnError: true, respectCancelledInstances: true });
+
+  try {
+    section('4. A shift rule moves matching classes');
+    await insertClass(oneOffIds[0], at(target, '18:00'));
+    await insertClass(oneOffIds[1], at(target, '10:00'));
+
+    const draft = await hijriScheduleService.previewRule({
+      name: 'Test evening shift', action: 'shift', ...ruleDays, shiftMinutes: 60, timeBand: { from: '17:00', to: '23:59' },
+    });
+    assert(draft.window.startDate === target && draft.window.endDate === target, 'Draft preview resolves to the target day');
+    const draftClasses = draft.impact.students.flatMap((s) => s.classes);
+    const draftEntry = draftClasses.find((c) => String(c.classId) === String(oneOffIds[0]));
+    assert(draftEntry && localKey(draftEntry.shiftedTo) === `${target}T19:00`, 'Preview lists the evening class with its new time');
+    assert(!draftClasses.some((c) => String(c.classId) === String(oneOffIds[1])), 'Preview leaves the morning class out');
+
+    const { rule: shiftRule, sync } = await hijriScheduleService.createRule({
+      name: 'Test evening shift', action: 'shift', ...ruleDays, shiftMinutes: 60, timeBand: { from: '17:00', to: '23:59' },
+    }, actor);
+    ruleIds.push(shiftRule._id);
+    const shifted = await Class.findById(oneOffIds[0]).lean();
+    assert(sync.classesShifted >= 1 && localKey(shifted.scheduledDate) === `${target}T19:00`, 'Evening class moved one hour later');
+    assert(shifted.hijriShift?.minutes === 60 && localKey(shifted.hijriShift.originalScheduledDate) === `${target}T18:00`, 'Original time kept');
+    assert(shifted.timeAnchor.localTime === '19:00' && shifted.endsAt.getTime() === shifted.scheduledDate.getTime() + 3600000, 'Anchor and end follow');
+    assert(localKey((await Class.findById(oneOffIds[1]).lean()).scheduledDate) === `${target}T10:00`, 'Morning class untouched');
+    await hijriScheduleService.syncRule(await HijriScheduleRule.findById(shiftRule._id));
+    assert(localKey((await Class.findById(oneOffIds[0]).lean()).scheduledDate) === `${target}T19:00`, 'Syncing again does not shift twice');
+    const impact = await hijriScheduleService.previewRule(await HijriScheduleRule.findById(shiftRule._id).lean());
+    assert(impact.impact.students.flatMap((s) => s.classes).some((c) => String(c.classId) === String(oneOffIds[0]) && c.alreadyShifted), 'Impact marks it as already shifted');
+
+    section('5. Generated occurrences are shifted');
+    await Class.collection.insertOne({
+      _id: patternId,
+      title: 'Hijri rule series',
+      subject: 'Quran',
+      teacher: teacherId,
+      student: { guardianId, studentId: new mongoose.Types.ObjectId(), studentName: 'Series Student' },
+      scheduledDate: new Date(),
+      duration: 60,
+      timezone: TIMEZONE,
+      isRecurring: true,
+      status: 'pattern',
+      createdBy: actor._id,
+      recurrence: { frequency: 'weekly', interval: 1, daysOfWeek: [moment.tz(target, TIMEZONE).day()], generationPeriodMonths: 1 },
+      recurrenceDetails: [{ dayOfWeek: moment.tz(target, TIMEZONE).day(), time: '20:00', duration: 60, timezone: TIMEZONE }],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    await regenerate();
+    let children = await seriesChildren();
+    const onTarget = children.filter((c) => localKey(c.scheduledDate).startsWith(target));
+    assert(onTarget.length === 1 && localKey(onTarget[0].scheduledDate) === `${target}T21:00`, 'Occurrence on the rule day generated at 21:00');
+    assert(children.filter((c) => !localKey(c.scheduledDate).startsWith(target)).every((c) => localKey(c.scheduledDate).endsWith('T20:00')), 'Other weeks keep 20:00');
+    assert((await regenerate()).length === 0, 'Regenerating adds nothing');
+    const ruleUpdate = await classSeriesService.updateSeriesRule(patternId, {}, null);
+    assert(!ruleUpdate.removedIds.some((id) => String(id) === String(onTarget[0]._id)), 'Series rule update keeps the shifted occurrence');
+
+    section('6. Deleting a shift rule moves classes back');
+    const removal = await hijriScheduleService.deleteRule(shiftRule._id, actor);
+    const restored = await Class.findById(oneOffIds[0]).lean();
+    assert(removal.classesReverted >= 2 && localKey(restored.scheduledDate) === `${target}T18:00` && !restored.hijriShift?.rule, 'One-off class back at 18:00');
+    children = await seriesChildren();
+    assert(children.filter((c) => localKey(c.scheduledDate).startsWith(target)).every((c) => localKey(c.scheduledDate) === `${target}T20:00`), 'Series occurrence back at its slot');
+    assert(!(await HijriScheduleRule.exists({ _id: shiftRule._id })), 'Rule removed');
+
+    section('7. A pause rule becomes a system vacation');
+    await insertClass(oneOffIds[2], at(target, '12:00'));
+    const { rule: pauseRule, sync: pauseSync } = await hijriScheduleService.createRule({
+      name: 'Test Eid pause', action: 'pause', ...ruleDays, message: 'Eid break',
+    }, actor);
+    ruleIds.push(pauseRule._id);
+    const vacation = await SystemVacation.findOne({ hijriRule: pauseRule._id }).lean();
+    if (pauseSync.notes.length) console.log(`  (note: ${pauseSync.notes.join(' ')})`);
+    assert(vacation && vacation.hijriYear === targetHijri.year, 'Managed vacation created for the Hijri year');
+    assert(vacation && localKey(vacation.startDate) === `${target}T00:00`, 'Vacation covers the resolved day');
+    const held = await Class.findById(oneOffIds[2]).lean();
+    assert(held.status === 'on_hold' && String(held.cancellation?.systemVacationId) === String(vacation?._id), 'Class on the day is held');
+    await hijriScheduleService.syncRule(await HijriScheduleRule.findById(pauseRule._id));
+    assert((await SystemVacation.countDocuments({ hijriRule: pauseRule._id })) === 1, 'Syncing again creates no second vacation');
+    await hijriScheduleService.deleteRule(pauseRule._id, actor);
+    assert(!(await SystemVacation.exists({ hijriRule: pauseRule._id })), 'Deleting the rule removes the upcoming vacation');
+    assert((await Class.findById(oneOffIds[2]).lean()).status === 'scheduled', 'Held class restored');
+  } finally {
+    await Class.deleteMany({ $or: [{ _id: { $in: [patternId, ...oneOffIds] } }, { parentRecurringClass: patternId }] });
+    await SystemVacation.deleteMany({ hijriRule: { $in: ruleIds } });
+    await HijriScheduleRule.deleteMany({ _id: { $in: ruleIds } });
+  }
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(60));
+
+  if (failed > 0) {
+    console.log('\n❌ Some tests FAILED. Review output above.\n');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 ALL TESTS PASSED!\n');
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('❌ Test error:', err);
+  process.exit(1);
+});
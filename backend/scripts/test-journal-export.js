@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+// backend/scripts/test-journal-export.js
+// ============================================================
+// Automated test suite for the double-entry journal export.
+// Every section runs on the pure posting and rendering steps of
+// services/accountingExportService.js, so no database is needed.
+//
+// Prerequisites:
+//   none
+//
+// Usage:
+//   node backend/scripts/test-journal-export.js
+//
+// Tests:
+//   1. Guardian invoice and payment postings balance
+//   2. FX conversion rounding is the only thing booked to rounding
+//   3. Larger imbalances and missing rates are refused
+//   4. Credit notes and voids
+//   5. Teacher invoice and payout postings
+//   6. Entry numbering and journal totals
+//   7. CSV rendering and formula guard
+// ============================================================
+
+const accountingExportService = require('../services/accountingExportService');
+
+const {
+  normalizeChart,
+  makeEntry,
+  guardianInvoiceEntries,
+  creditNoteEntries,
+  teacherInvoiceEntries,
+  numberLines,
+  renderJournal
+} = accountingExportService;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${label}`);
+  } else {
+    failed++;
+    console.log(`  ❌ FAIL: ${label}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  ${title}`);
+  console.log('═'.repeat(60));
+}
+
+const throwsCode = (fn, code) => {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return err.code === code;
+  }
+};
+
+const cents = (value) => Math.round(value * 100);
+const sumSide = (lines, side) => lines.reduce((sum, line) => sum + cents(line[side]), 0);
+const balanced = (entry) => sumSide(entry.lines, 'debit') === sumSide(entry.lines, 'credit');
+const lineFor = (entry, account) => entry.lines.find((line) => line.accountKey === account);
+
+const chart = normalizeChart({});
+const MARCH = [new Date('2026-03-01T00:00:00Z'), new Date('2026-04-01T00:00:00Z')];
+
+const guardianInvoice = (overrides = {}) => ({
+  _id: 'inv1',
+  invoiceNumber: 'INV-2026-0001',
+  guardian: { firstName: 'Amina', lastName: 'Yusuf' },
+  status: 'paid',
+  createdAt: new Date('2026-03-03T10:00:00Z'),
+  subtotal: 120,
+  tax: 6,
+  discount: 10,
+  lateFee: 5,
+  total: 131,
+  currency: 'USD',
+  guardianFinancial: { transferFee: { amount: 10, waived: false } },
+  paymentLogs: [],
+  ...overrides
+});
+
+async function main() {
+  // ============================================================
+  // 1. GUARDIAN INVOICES
+  // ============================================================
+  section('1. Guardian invoice and payment postings');
+
+  const invoice = guardianInvoice({
+    paymentLogs: [
+      { amount: 100, tip: 5, paymentMethod: 'paypal', processedAt: new Date('2026-03-10T09:00:00Z'), transactionId: 'PP-1' },
+      { amount: 31, paymentMethod: 'bank_transfer', processedAt: new Date('2026-04-02T09:00:00Z') },
+      { amount: 20, method: 'refund', processedAt: new Date('2026-03-12T09:00:00Z') }
+    ]
+  });
+  const [issue, payment, ...rest] = guardianInvoiceEntries(chart, invoice, ...MARCH);
+  assert(issue && payment && rest.length === 0, 'Issue and one in-period payment posted; April payment and refund skipped');
+  assert(balanced(issue) && balanced(payment), 'Both entries balance');
+  assert(lineFor(issue, 'accountsReceivable').debit === 131, 'Receivable debited with the total');
+  assert(lineFor(issue, 'tuitionRevenue').credit === 120, 'Tuition credited with the invoice subtotal');
+  assert(lineFor(issue, 'discounts').debit === 10 && lineFor(issue, 'taxPayable').credit === 6, 'Discount and tax lines');
+  assert(lineFor(issue, 'lateFeeIncome').credit === 5 && lineFor(issue, 'transferFeeIncome').credit === 10, 'Late fee and transfer fee lines');
+  assert(!lineFor(issue, 'rounding'), 'No rounding line in the base currency');
+  assert(lineFor(payment, 'paypal').debit === 105 && lineFor(payment, 'tipsPayable').credit === 5, 'PayPal payment carries the tip to tips payable');
+  assert(payment.lines.every((line) => line.reference === 'PP-1'), 'Payment lines reference the transaction');
+
+  const waived = guardianInvoiceEntries(chart, guardianInvoice({
+    total: 121,
+    guardianFinancial: { transferFee: { amount: 10, waived: true } }
+  }), ...MARCH);
+  assert(balanced(waived[0]) && !lineFor(waived[0], 'transferFeeIncome'), 'A waived transfer fee posts no fee line');
+  assert(guardianInvoiceEntries(chart, guardianInvoice({ status: 'draft' }), ...MARCH).length === 0, 'Drafts are not posted');
+
+  const legacy = guardianInvoiceEntries(chart, guardianInvoice({ subtotal: undefined }), ...MARCH);
+  assert(lineFor(legacy[0], 'tuitionRevenue').credit === 120, 'Without a subtotal, tuition is derived from the other parts');
+
+  // ============================================================
+  // 2. FX ROUNDING
+  // ============================================================
+  section('2. FX conversion rounding');
+
+  const egp = guardianInvoice({
+    currency: 'EGP',
+    exchangeRateSnapshot: { rate: 50.07 },
+    subtotal: 1000.01,
+    tax: 50.01,
+    discount: 33.33,
+    lateFee: 17.17,
+    total: 1133.85,
+    guardianFinancial: { transferFee: { amount: 99.99, waived: false } }
+  });
+  const [fxIssue] = guardianInvoiceEntries(chart, egp, ...MARCH);
+  const rounding = lineFor(fxIssue, 'rounding');
+  assert(balanced(fxIssue), 'Converted entry balances');
+  assert(Boolean(rounding), 'Conversion difference booked to the rounding account');
+  assert(rounding && cents(rounding.debit + rounding.credit) <= fxIssue.lines.length / 2, 'Rounding stays within half a cent per line');
+  assert(rounding && rounding.originalAmount === null, 'Rounding line has no original amount');
+  assert(lineFor(fxIssue, 'accountsReceivable').originalAmount === 1133.85, 'Lines keep the document-currency amount');
+
+  const direct = makeEntry(chart, {
+    date: MARCH[0], memo: 'Three-way split', sourceType: 'invoice', sourceNumber: 'X-1', currency: 'EGP', rate: 3,
+    lines: [
+      { account: 'accountsReceivable', debit: 1 },
+      { account: 'tuitionRevenue', credit: 0.5 },
+      { account: 'lateFeeIncome', credit: 0.5 }
+    ]
+  });
+  const directRounding = lineFor(direct, 'rounding');
+  assert(balanced(direct) && directRounding && directRounding.debit === 0.01, '1 EGP split 0.5/0.5 at 3.00 needs a one-cent rounding debit');
+
+  // ============================================================
+  // 3. IMBALANCES
+  // ============================================================
+  section('3. Imbalances and missing rates');
+
+  assert(throwsCode(() => guardianInvoiceEntries(chart, guardianInvoice({ total: 171 }), ...MARCH), 'JOURNAL_UNBALANCED'),
+    'A total 40.00 above its parts is refused, not booked to rounding');
+  assert(throwsCode(() => guardianInvoiceEntries(chart, guardianInvoice({ total: 130.98 }), ...MARCH), 'JOURNAL_UNBALANCED'),
+    'Even a two-cent gap in the document currency is refused');
+  assert(throwsCode(() => makeEntry(chart, {
+    date: MARCH[0], memo: 'Off', sourceType: 'invoice', sourceNumber: 'X-2', currency: 'USD', rate: 1,
+    lines: [{ account: 'accountsReceivable', debit: 10 }, { account: 'tuitionRevenue', credit: 9.99 }]
+  }), 'JOURNAL_UNBALANCED'), 'makeEntry refuses unbalanced lines');
+  let message = '';
+  try {
+    guardianInvoiceEntries(chart, guardianInvoice({ total: 171 }), ...MARCH);
+  } catch (err) {
+    message = err.message;
+  }
+  assert(message.includes('INV-2026-0001') && message.includes('40.00'), 'The error names the document and the gap');
+
+  assert(throwsCode(() => guardianInvoiceEntries(chart, guardianInvoice({ currency: 'EGP' }), ...MARCH), 'JOURNAL_RATE_MISSING'),
+    'Foreign-currency invoice without a locked rate is refused');
+  assert(throwsCode(() => guardianInvoiceEntries(chart, guardianInvoice({ currency: 'EGP', exchangeRateSnapshot: { rate: 50, isFallback: true } }), ...MARCH), 'JOURNAL_RATE_MISSING'),
+    'A fallback rate is not accepted');
+
+  // ============================================================
+  // 4. CREDIT NOTES
+  // ============================================================
+  section('4. Credit notes');
+
+  const note = {
+    _id: 'cn1',
+    creditNoteNumber: 'CN-0001',
+    invoiceNumber: 'INV-2026-0001',
+    guardianSnapshot: { firstName: 'Amina', lastName: 'Yusuf' },
+    currency: 'USD',
+    subtotal: 40,
+    transferFeeCredited: 2,
+    total: 44,
+    status: 'issued',
+    issuedAt: new Date('2026-03-15T00:00:00Z')
+  };
+  const [refund] = creditNoteEntries(chart, note, ...MARCH);
+  assert(balanced(refund), 'Credit note entry balances');
+  assert(lineFor(refund, 'tuitionRevenue').debit === 40 && lineFor(refund, 'transferFeeIncome').debit === 2, 'Tuition and fee reversed at face value');
+  assert(lineFor(refund, 'taxPayable').debit === 2 && lineFor(refund, 'bank').credit === 44, 'Remainder reverses tax; refund paid from the bank');
+
+  const voided = creditNoteEntries(chart, { ...note, status: 'voided', voidedAt: new Date('2026-03-20T00:00:00Z') }, ...MARCH);
+  assert(voided.length === 2 && voided.every(balanced), 'Issue and void both posted in the same month');
+  assert(lineFor(voided[1], 'bank').debit === 44 && lineFor(voided[1], 'tuitionRevenue').credit === 40, 'Void mirrors the issue entry');
+
+  assert(throwsCode(() => creditNoteEntries(chart, { ...note, total: 30 }, ...MARCH), 'JOURNAL_UNBALANCED'),
+    'A refund smaller than its tuition and fee is refused');
+
+  // ============================================================
+  // 5. TEACHER INVOICES
+  // ============================================================
+  section('5. Teacher invoice and payout postings');
+
+  const teacherInvoice = {
+    _id: 'ti1',
+    invoiceNumber: 'TI-2026-03-001',
+    teacher: { firstName: 'Omar', lastName: 'Said' },
+    status: 'paid',
+    month: 2,
+    year: 2026,
+    createdAt: new Date('2026-02-28T00:00:00Z'),
+    changeHistory: [{ action: 'publish', changedAt: new Date('2026-03-01T08:00:00Z') }],
+    totalUSD: 300,
+    totalEGP: 14619,
+    bonusesUSD: 25,
+    bonuses: [{ source: 'guardian', amountUSD: 10 }, { source: 'admin', amountUSD: 15 }],
+    extrasUSD: -5,
+    paidAt: new Date('2026-03-05T00:00:00Z'),
+    transferFeeEGP: 25,
+    netAmountEGP: 14594,
+    paymentMethod: 'instapay'
+  };
+  const [published, payout] = teacherInvoiceEntries(chart, teacherInvoice, ...MARCH);
+  assert(published && payout && balanced(published) && balanced(payout), 'Publish and payout entries balance');
+  assert(lineFor(published, 'salaryExpense').debit === 280, 'Salary is the total less bonuses and extras');
+  assert(lineFor(published, 'tipsPayable').debit === 10 && lineFor(published, 'bonusExpense').debit === 15, 'Guardian tips clear tips payable; the rest is bonus expense');
+  assert(lineFor(published, 'extrasExpense').credit === 5, 'Negative extras become a credit');
+  assert(lineFor(payout, 'salariesPayable').debit === 300, 'Payout clears the payable at the invoice rate');
+  assert(lineFor(payout, 'teacherTransferFees').originalAmount === -25, 'Withheld transfer fee kept in EGP');
+  assert(teacherInvoiceEntries(chart, { ...teacherInvoice, status: 'draft', paidAt: null }, ...MARCH).length === 0, 'Unpublished teacher invoices post nothing');
+
+  // ============================================================
+  // 6. NUMBERING AND TOTALS
+  // ============================================================
+  section('6. Entry numbering and journal totals');
+
+  const journal = numberLines([
+    { kind: 'invoice', entries: guardianInvoiceEntries(chart, invoice, ...MARCH) },
+    { kind: 'invoice', entries: guardianInvoiceEntries(chart, egp, ...MARCH) },
+    { kind: 'credit_note', entries: creditNoteEntries(chart, note, ...MARCH) },
+    { kind: 'teacher_invoice', entries: teacherInvoiceEntries(chart, teacherInvoice, ...MARCH) }
+  ]);
+  assert(journal.totals.entries === 6, `Six entries numbered (got ${journal.totals.entries})`);
+  assert(journal.totals.debit === journal.totals.credit, 'Journal debits equal credits');
+  assert(journal.lines[0].entryNumber === 'JE-00001' && journal.lines[0].sourceType === 'teacher_invoice', 'Entries ordered by date from JE-00001');
+  assert(journal.lines.every((line, idx) => idx === 0 || line.date >= journal.lines[idx - 1].date), 'Lines in date order');
+
+  // ============================================================
+  // 7. RENDERING
+  // ============================================================
+  section('7. CSV rendering and formula guard');
+
+  const doc = {
+    baseCurrency: 'USD',
+    accounts: chart,
+    lines: [{
+      entryNumber: 'JE-00001',
+      date: new Date('2026-03-03T10:00:00Z'),
+      accountCode: '1100',
+      accountName: 'Accounts receivable',
+      debit: 0,
+      credit: 12.5,
+      description: '=HYPERLINK("http://evil.example","x")',
+      reference: '+1-555',
+      contact: '@guardian',
+      sourceType: 'invoice',
+      sourceNumber: 'INV-1',
+      originalCurrency: 'USD',
+      originalAmount: -12.5
+    }, {
+      entryNumber: 'JE-00001',
+      date: new Date('2026-03-03T10:00:00Z'),
+      accountCode: '4000',
+      accountName: '-Tuition',
+      debit: 12.5,
+      credit: 0,
+      description: '\tTabbed, with comma',
+      reference: 'INV-1',
+      contact: 'Plain Name',
+      sourceType: 'invoice',
+      sourceNumber: 'INV-1',
+      originalCurrency: 'USD',
+      originalAmount: 12.5
+    }]
+  };
+  const csv = renderJournal(doc, 'csv');
+  assert(csv.includes('"\'=HYPERLINK(""http://evil.example"",""x"")"'), 'Leading = is prefixed, quoted and its quotes escaped');
+  assert(csv.includes('"\'+1-555"') && csv.includes('"\'@guardian"'), 'Leading + and @ are prefixed');
+  assert(csv.includes('"\'-Tuition"') && csv.includes('"\'\tTabbed, with comma"'), 'Leading - and tab are prefixed');
+  assert(csv.includes(',-12.5\r\n') && csv.includes(',Plain Name,'), 'Negative numbers and plain text left alone');
+
+  const xero = renderJournal(doc, 'xero');
+  assert(xero.includes(',-12.50\r\n') && xero.includes(',12.50\r\n'), 'Xero signed amounts are not escaped');
+  assert(xero.includes('03/03/2026'), 'Xero uses day/month/year');
+  const quickbooks = renderJournal(doc, 'quickbooks');
+  assert(quickbooks.includes('"\'-Tuition"') && quickbooks.includes('03/03/2026'), 'QuickBooks escapes account names');
+  assert(throwsCode(() => renderJournal(doc, 'pdf'), 'JOURNAL_FORMAT_INVALID'), 'Unknown formats refused');
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(60));
+
+  if (failed > 0) {
+    console.log('\n❌ Some tests FAILED. Review output above.\n');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 ALL TESTS PASSED!\n');
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Test error:', err);
+  process.exit(1);
+});
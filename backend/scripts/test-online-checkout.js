@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+// backend/scripts/test-online-checkout.js
+// ============================================================
+// End-to-end check of the public invoice checkout using the local
+// fake payment provider (no gateway credentials needed).
+//
+// Prerequisites:
+//   1. MongoDB running locally
+//   2. An unpaid guardian invoice in the test DB
+//      (node backend/scripts/seed-payment-link-test.js creates some)
+//
+// Usage:
+//   node backend/scripts/test-online-checkout.js [invoiceNumber|invoiceId]
+//
+// Tests:
+//   1. Checkout creates a 'created' Payment for the outstanding balance
+//   2. A tampered webhook signature is rejected
+//   3. A signed payment.completed webhook settles the invoice
+//   4. Replaying the same webhook does not add a second payment log
+//   5. Returning to the page after the webhook is a no-op
+// ============================================================
+
+process.env.PAYMENT_FAKE_PROVIDER_ENABLED = 'true';
+
+const mongoose = require('mongoose');
+require('../models/User');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const onlinePaymentService = require('../services/onlinePaymentService');
+const fakeProvider = require('../services/paymentProviders/fakeProvider');
+
+const TEST_DB = process.env.MONGODB_URI || 'mongodb://localhost:27017/waraqadb_test';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${label}`);
+  } else {
+    failed++;
+    console.log(`  ❌ FAIL: ${label}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  ${title}`);
+  console.log('═'.repeat(60));
+}
+
+// Minimal stand-in for an Express request carrying a webhook delivery.
+function buildWebhookRequest(body, { tamper = false } = {}) {
+  const rawBody = JSON.stringify(body);
+  const headers = fakeProvider.buildSignedHeaders(rawBody);
+  if (tamper) headers['X-Waraqa-Signature'] = `sha256=${'0'.repeat(64)}`;
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    body,
+    rawBody: Buffer.from(rawBody),
+    get: (name) => lower[String(name).toLowerCase()]
+  };
+}
+
+async function findTargetInvoice(ref) {
+  if (ref && mongoose.Types.ObjectId.isValid(ref)) return Invoice.findById(ref);
+  if (ref) return Invoice.findOne({ invoiceNumber: ref });
+  return Invoice.findOne({
+    type: 'guardian_invoice',
+    deleted: { $ne: true },
+    status: { $in: ['draft', 'pending', 'sent', 'overdue'] },
+    invoiceSlug: { $ne: null }
+  }).sort({ createdAt: 1 });
+}
+
+// ============================================================
+async function main() {
+  console.log(`\n🔗 Connecting to ${TEST_DB} …`);
+  await mongoose.connect(TEST_DB);
+  console.log('✅ Connected\n');
+
+  const invoice = await findTargetInvoice(process.argv[2]);
+  if (!invoice || !invoice.invoiceSlug) {
+    console.error('\n❌ No unpaid guardian invoice with a public slug found. Seed the test DB first.');
+    process.exit(1);
+  }
+  console.log(`🧾 Using invoice ${invoice.invoiceNumber || invoice._id} (${invoice.status})`);
+
+  // ============================================================
+  section('TEST 1: Start checkout');
+  const checkout = await onlinePaymentService.startCheckout({ slug: invoice.invoiceSlug, providerId: 'fake' });
+  const payment = await Payment.findById(checkout.paymentId);
+  assert(Boolean(checkout.redirectUrl), 'Checkout returns a redirect URL');
+  assert(payment && payment.status === 'created', 'Payment stored with status created');
+  assert(payment && payment.idempotencyKey && payment.providerOrderId === checkout.orderId, 'Payment carries idempotencyKey and provider order id');
+
+  const logsBefore = (await Invoice.findById(invoice._id).select('paymentLogs').lean()).paymentLogs.length;
+  const event = {
+    id: `evt_${checkout.orderId}`,
+    type: 'payment.completed',
+    orderId: checkout.orderId,
+    transactionId: `fake_txn_${checkout.orderId}`,
+    amount: checkout.amount,
+    currency: checkout.currency
+  };
+
+  // ============================================================
+  section('TEST 2: Tampered signature');
+  const rejected = await onlinePaymentService.handleWebhook('fake', buildWebhookRequest(event, { tamper: true }));
+  assert(rejected.status === 401, `Tampered webhook rejected (status ${rejected.status})`);
+
+  // ============================================================
+  section('TEST 3: Signed webhook applies the payment');
+  const first = await onlinePaymentService.handleWebhook('fake', buildWebhookRequest(event));
+  assert(first.status === 200 && first.body.applied === true, 'Webhook applied the payment');
+  const afterFirst = await Invoice.findById(invoice._id).lean();
+  const appliedPayment = await Payment.findById(checkout.paymentId).lean();
+  assert(afterFirst.status === 'paid', `Invoice is paid (status ${afterFirst.status})`);
+  assert(afterFirst.paymentLogs.length === logsBefore + 1, 'Exactly one payment log added');
+  assert(appliedPayment.status === 'applied' && appliedPayment.transactionId === event.transactionId, 'Payment applied with provider transaction id');
+
+  // ============================================================
+  section('TEST 4: Replayed webhook');
+  const replay = await onlinePaymentService.handleWebhook('fake', buildWebhookRequest(event));
+  const afterReplay = await Invoice.findById(invoice._id).lean();
+  assert(replay.status === 200 && replay.body.duplicate === true, 'Replay acknowledged as duplicate');
+  assert(afterReplay.paymentLogs.length === afterFirst.paymentLogs.length, 'Replay added no payment log');
+
+  // ============================================================
+  section('TEST 5: Guardian returns after webhook');
+  const returned = await onlinePaymentService.confirmCheckout({ slug: invoice.invoiceSlug, providerId: 'fake', orderId: checkout.orderId });
+  const afterReturn = await Invoice.findById(invoice._id).lean();
+  assert(returned.status === 'paid' && returned.duplicate === true, 'Return reports already paid');
+  assert(afterReturn.paymentLogs.length === afterFirst.paymentLogs.length, 'Return added no payment log');
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(60));
+
+  await mongoose.disconnect();
+
+  if (failed > 0) {
+    console.log('\n❌ Some tests FAILED. Review output above.\n');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 ALL TESTS PASSED!\n');
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Test error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+// backend/scripts/test-payout-files.js
+// ============================================================
+// Automated test suite for teacher payout batches and payment files.
+// Covers grouping and file generation in services/teacherPayoutService.js
+// and the batch totals on models/TeacherPayoutBatch.js; documents are
+// built in memory, so no database is needed.
+//
+// Prerequisites:
+//   none
+//
+// Usage:
+//   node backend/scripts/test-payout-files.js
+//
+// Tests:
+//   1. Payout method per teacher and admin overrides
+//   2. Skipped invoices (status, open batch, no EGP amount)
+//   3. Missing payee details
+//   4. Bank, InstaPay and wallet file layouts
+//   5. Batch totals across line outcomes
+// ============================================================
+
+const mongoose = require('mongoose');
+const TeacherPayoutBatch = require('../models/TeacherPayoutBatch');
+const teacherPayoutService = require('../services/teacherPayoutService');
+
+const { groupPayoutLines, buildBatchFile } = teacherPayoutService;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${label}`);
+  } else {
+    failed++;
+    console.log(`  ❌ FAIL: ${label}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  ${title}`);
+  console.log('═'.repeat(60));
+}
+
+const throwsCode = (fn, code) => {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return err.code === code;
+  }
+};
+
+const teacher = (firstName, teacherInfo = {}, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  firstName,
+  lastName: 'Teacher',
+  teacherInfo,
+  ...extra
+});
+
+const publishedInvoice = (number, teacherDoc, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  invoiceNumber: number,
+  status: 'published',
+  netAmountEGP: 5000,
+  teacher: teacherDoc,
+  ...overrides
+});
+
+const rowsOf = (content) => content.trimEnd().split('\r\n');
+
+async function main() {
+  // ============================================================
+  // 1. METHODS
+  // ============================================================
+  section('1. Payout method per teacher');
+
+  const banked = teacher('Bassem', { bankDetails: { accountNumber: '100200300', bankName: 'CIB', iban: 'EG380019000500000000263180002', swift: 'CIBEEGCX' }, instapayName: 'bassem@instapay' });
+  const instapay = teacher('Iman', { instapayName: 'iman@instapay' }, { phone: '+201001234567' });
+  const wallet = teacher('Walid', {}, { whatsapp: '+201112223334' });
+  const ibanOnly = teacher('Hana', { bankDetails: { iban: 'EG800002000156789012345180002', bankName: 'NBE' } });
+  const nothing = teacher('Nour');
+
+  const invoices = [
+    publishedInvoice('TI-001', banked, { netAmountEGP: 12345.678 }),
+    publishedInvoice('TI-002', instapay),
+    publishedInvoice('TI-003', wallet, { netAmountEGP: 800.5 }),
+    publishedInvoice('TI-004', ibanOnly),
+    publishedInvoice('TI-005', nothing),
+    publishedInvoice('TI-006', instapay)
+  ];
+  const overrides = { [String(invoices[5]._id)]: 'vodafone_cash', [String(invoices[0]._id)]: 'cheque' };
+  const { groups, skipped } = groupPayoutLines(invoices, { methodOverrides: overrides });
+  const numbers = (method) => (groups.get(method) || []).map((line) => line.invoiceNumber).join(',');
+  assert(skipped.length === 0, 'Every published invoice with an amount is grouped');
+  assert(numbers('bank_transfer') === 'TI-001,TI-004,TI-005', 'Bank details (account or IBAN) pay by bank; no details defaults to bank');
+  assert(numbers('instapay') === 'TI-002', 'InstaPay address used when there are no bank details');
+  assert(numbers('vodafone_cash') === 'TI-003,TI-006', 'Phone as wallet number last; admin override applied');
+  const bankLine = groups.get('bank_transfer')[0];
+  assert(bankLine.amountEGP === 12345.68, 'Amount rounded to piastres');
+  assert(bankLine.teacherName === 'Bassem Teacher' && bankLine.payee.iban.startsWith('EG38') && bankLine.status === 'pending', 'Line snapshots the payee');
+  assert(String(bankLine.teacher) === String(banked._id), 'Line keeps the teacher id');
+
+  // ============================================================
+  // 2. SKIPPED
+  // ============================================================
+  section('2. Skipped invoices');
+
+  const paid = publishedInvoice('TI-010', banked, { status: 'paid' });
+  const busy = publishedInvoice('TI-011', banked);
+  const zero = publishedInvoice('TI-012', banked, { netAmountEGP: 0 });
+  const missingRate = publishedInvoice('TI-013', banked, { netAmountEGP: undefined });
+  const result = groupPayoutLines([paid, busy, zero, missingRate], { inBatch: new Map([[String(busy._id), 'PB-202603-0001']]) });
+  const reasons = result.skipped.map((entry) => entry.reason);
+  assert(result.groups.size === 0 && result.skipped.length === 4, 'Nothing grouped, four skipped');
+  assert(reasons[0] === 'Invoice is paid, only published invoices can be paid out', 'Only published invoices');
+  assert(reasons[1] === 'Already in payout batch PB-202603-0001', 'Invoice in an open batch skipped with the batch number');
+  assert(reasons[2].startsWith('No EGP amount') && reasons[3].startsWith('No EGP amount'), 'Zero or missing EGP amount skipped');
+
+  // ============================================================
+  // 3. PAYEE DETAILS
+  // ============================================================
+  section('3. Missing payee details');
+
+  assert(groups.get('bank_transfer')[0].missingDetails.length === 0, 'Account number and bank name are enough');
+  assert(groups.get('bank_transfer')[1].missingDetails.length === 0, 'IBAN stands in for the account number');
+  assert(groups.get('bank_transfer')[2].missingDetails.join(',') === 'accountNumber/iban,bankName', 'No bank details reported');
+  assert(groups.get('vodafone_cash')[1].missingDetails.length === 0, 'Override to wallet uses the phone number');
+  const whatsappOnly = groupPayoutLines([publishedInvoice('TI-020', wallet)], { methodOverrides: {} });
+  assert(whatsappOnly.groups.get('vodafone_cash')[0].payee.walletNumber === '+201112223334', 'WhatsApp number used when there is no phone');
+  const otherOverride = groupPayoutLines([publishedInvoice('TI-021', wallet)], { methodOverrides: { [String(invoices[0]._id)]: 'instapay' } });
+  assert(otherOverride.groups.has('vodafone_cash'), 'Overrides only apply to their own invoice');
+  const wrongMethod = groupPayoutLines([invoices[2]], { methodOverrides: { [String(invoices[2]._id)]: 'instapay' } });
+  assert(wrongMethod.groups.get('instapay')[0].missingDetails.join() === 'instapayName', 'Override to InstaPay without an address is flagged');
+
+  // ============================================================
+  // 4. FILES
+  // ============================================================
+  section('4. Payment file layouts');
+
+  const bankBatch = new TeacherPayoutBatch({
+    batchNumber: 'PB-202603-0007',
+    method: 'bank_transfer',
+    lines: [
+      ...groups.get('bank_transfer'),
+      { ...groups.get('bank_transfer')[0], invoiceNumber: 'TI-098', status: 'removed' },
+      { ...groups.get('bank_transfer')[0], invoiceNumber: 'TI-099', status: 'failed' }
+    ]
+  });
+  const bankFile = buildBatchFile(bankBatch);
+  const bankRows = rowsOf(bankFile.content);
+  assert(bankFile.fileName === 'PB-202603-0007-bank_transfer.csv', 'File named after batch and method');
+  assert(bankRows[0] === 'Beneficiary Name,Account Number,IBAN,Bank Name,SWIFT,Amount,Currency,Reference', 'Bank header');
+  assert(bankRows.length === 4, 'Removed and failed lines left out');
+  assert(bankRows[1] === 'Bassem Teacher,100200300,EG380019000500000000263180002,CIB,CIBEEGCX,12345.68,EGP,PB-202603-0007 TI-001', 'Bank row with two-decimal amount and batch reference');
+  assert(bankFile.content.endsWith('\r\n') && !bankFile.content.includes('\n\n'), 'CRLF line endings');
+
+  const instapayBatch = new TeacherPayoutBatch({
+    batchNumber: 'PB-202603-0008',
+    method: 'instapay',
+    lines: [{ ...groups.get('instapay')[0], payee: { ...groups.get('instapay')[0].payee, name: 'Iman "Mimi", Teacher' } }]
+  });
+  const instapayRows = rowsOf(buildBatchFile(instapayBatch).content);
+  assert(instapayRows[0] === 'Beneficiary Name,InstaPay Address,Amount,Currency,Reference', 'InstaPay header');
+  assert(instapayRows[1] === '"Iman ""Mimi"", Teacher",iman@instapay,5000.00,EGP,PB-202603-0008 TI-002', 'Commas and quotes in names are escaped');
+
+  const walletBatch = new TeacherPayoutBatch({ batchNumber: 'PB-202603-0009', method: 'vodafone_cash', lines: groups.get('vodafone_cash') });
+  const walletRows = rowsOf(buildBatchFile(walletBatch).content);
+  assert(walletRows[0] === 'Wallet Number,Beneficiary Name,Amount,Reference', 'Wallet header');
+  assert(walletRows[1] === '+201112223334,Walid Teacher,800.50,PB-202603-0009 TI-003', 'Wallet number kept with its + prefix');
+  assert(walletRows[2].startsWith('+201001234567,Iman Teacher,5000.00,'), 'Overridden line in the wallet file');
+
+  assert(throwsCode(() => buildBatchFile({ batchNumber: 'X', method: 'cheque', lines: [] }), 'PAYOUT_INVALID'), 'Unknown method has no layout');
+  assert(rowsOf(buildBatchFile({ batchNumber: 'X', method: 'instapay', lines: [] }).content).length === 1, 'Empty batch gives a header-only file');
+
+  // ============================================================
+  // 5. TOTALS
+  // ============================================================
+  section('5. Batch totals');
+
+  const totals = bankBatch.recalculateTotals();
+  assert(totals.count === 4 && totals.amountEGP === 34691.36, `Removed line excluded; a failed line stays in the batch total (got ${totals.count}, ${totals.amountEGP})`);
+  assert(totals.failedCount === 1 && totals.failedEGP === 12345.68, 'Failed line counted separately');
+  bankBatch.lines[0].status = 'paid';
+  bankBatch.lines[1].status = 'paid';
+  const after = bankBatch.recalculateTotals();
+  assert(after.paidCount === 2 && after.paidEGP === 17345.68, 'Paid lines summed');
+  const cents = new TeacherPayoutBatch({
+    batchNumber: 'PB-202603-0010',
+    method: 'instapay',
+    lines: [0.1, 0.2, 0.7].map((amountEGP, idx) => ({ ...groups.get('instapay')[0], invoiceNumber: `TI-3${idx}`, amountEGP, status: 'paid' }))
+  }).recalculateTotals();
+  assert(cents.amountEGP === 1 && cents.paidEGP === 1, 'Floating-point sums rounded to piastres');
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(60));
+
+  if (failed > 0) {
+    console.log('\n❌ Some tests FAILED. Review output above.\n');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 ALL TESTS PASSED!\n');
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Test error:', err);
+  process.exit(1);
+});
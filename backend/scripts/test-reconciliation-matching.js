@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+// backend/scripts/test-reconciliation-matching.js
+// ============================================================
+// Automated test suite for statement reconciliation matching.
+// Covers the pure parsing and scoring steps of
+// services/reconciliationService.js, so no database is needed.
+//
+// Prerequisites:
+//   none
+//
+// Usage:
+//   node backend/scripts/test-reconciliation-matching.js
+//
+// Tests:
+//   1. Amount and date parsing
+//   2. Bank and PayPal statement layouts
+//   3. Candidate scoring (amount, reference, payer, date window)
+//   4. Suggestion ranking and threshold
+//   5. Hours credited for a matched payment
+// ============================================================
+
+const reconciliationService = require('../services/reconciliationService');
+
+const {
+  parseAmount,
+  parseStatementDate,
+  parseStatement,
+  scoreCandidate,
+  rankSuggestions,
+  resolvePaidHours
+} = reconciliationService;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${label}`);
+  } else {
+    failed++;
+    console.log(`  ❌ FAIL: ${label}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  ${title}`);
+  console.log('═'.repeat(60));
+}
+
+const throwsCode = (fn, code) => {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return err.code === code;
+  }
+};
+
+const day = (value) => (value ? value.toISOString().slice(0, 10) : null);
+
+const openInvoice = (overrides = {}) => ({
+  _id: 'inv42',
+  invoiceNumber: 'INV-2026-0042',
+  guardian: { firstName: 'Amina', lastName: 'Yusuf' },
+  currency: 'USD',
+  total: 131,
+  paidAmount: 0,
+  status: 'sent',
+  createdAt: new Date('2026-03-03T10:00:00Z'),
+  ...overrides
+});
+
+const statementLine = (overrides = {}) => ({
+  date: new Date('2026-03-10T00:00:00Z'),
+  amount: 131,
+  currency: 'USD',
+  ...overrides
+});
+
+async function main() {
+  // ============================================================
+  // 1. PARSING
+  // ============================================================
+  section('1. Amount and date parsing');
+
+  assert(parseAmount('1,234.50') === 1234.5 && parseAmount('1.234,50') === 1234.5, 'Both thousand/decimal conventions');
+  assert(parseAmount('1,234') === 1234, 'A comma followed by three digits is a thousands separator');
+  assert(parseAmount('(25.00)') === -25 && parseAmount('-12') === -12, 'Parentheses and minus are negative');
+  assert(parseAmount('EGP 500') === 500, 'Currency text stripped');
+  assert(Number.isNaN(parseAmount('')) && Number.isNaN(parseAmount(null)) && Number.isNaN(parseAmount('abc')), 'Unreadable amounts are NaN');
+
+  assert(day(parseStatementDate('2026-03-10')) === '2026-03-10', 'ISO date');
+  assert(day(parseStatementDate('10/03/2026')) === '2026-03-10', 'Day/month by default');
+  assert(day(parseStatementDate('03/10/2026', 'MDY')) === '2026-03-10', 'Month/day when asked');
+  assert(day(parseStatementDate('25/12/2026', 'MDY')) === '2026-12-25', 'An impossible month flips the order');
+  assert(day(parseStatementDate('10.03.26')) === '2026-03-10', 'Dotted two-digit year');
+  assert(parseStatementDate('someday') === null && parseStatementDate('') === null, 'Unreadable dates are null');
+
+  // ============================================================
+  // 2. STATEMENT LAYOUTS
+  // ============================================================
+  section('2. Bank and PayPal statement layouts');
+
+  const bank = parseStatement([
+    '\uFEFFDate,Description,Debit,Credit,Currency,Reference',
+    '10/03/2026,Transfer from AMINA YUSUF INV-2026-0042,,131.00,USD,TRX1',
+    '11/03/2026,Card fee,5.00,,USD,',
+    '12/03/2026,Unreadable,,abc,USD,'
+  ].join('\n'), { source: 'bank' });
+  assert(bank.lines.length === 1, 'Only the incoming credit is kept');
+  assert(bank.skipped.debits === 1 && bank.skipped.invalid === 1, 'Debit and unreadable rows counted');
+  const [credit] = bank.lines;
+  assert(day(credit.date) === '2026-03-10' && credit.amount === 131 && credit.currency === 'USD', 'Date, amount and currency read');
+  assert(credit.reference === 'TRX1' && credit.rowNumber === 2, 'Reference and source row kept');
+
+  const paypal = parseStatement([
+    'Date,Name,Type,Status,Currency,Gross,Transaction ID,Subject,Note',
+    '03/10/2026,Amina Yusuf,Payment,Completed,USD,"1,234.50",PP1,Invoice INV-2026-0042,March',
+    '03/11/2026,Someone,Payment,Pending,USD,10.00,PP2,,',
+    '03/12/2026,Bank,Withdrawal,Completed,USD,-50.00,PP3,,'
+  ].join('\n'), { source: 'paypal' });
+  assert(paypal.lines.length === 1 && paypal.skipped.incomplete === 1 && paypal.skipped.debits === 1, 'Pending and outgoing PayPal rows skipped');
+  assert(day(paypal.lines[0].date) === '2026-03-10', 'PayPal dates read month/day');
+  assert(paypal.lines[0].payerName === 'Amina Yusuf' && paypal.lines[0].reference === 'PP1', 'Payer and transaction id mapped');
+  assert(paypal.lines[0].description === 'Invoice INV-2026-0042 · March · Payment', 'Subject, note and type joined as description');
+
+  const noCurrency = parseStatement('Date,Amount\n2026-03-10,50', { source: 'instapay', defaultCurrency: 'egp' });
+  assert(noCurrency.lines[0].currency === 'EGP', 'Default currency applied and upper-cased');
+  assert(throwsCode(() => parseStatement('Date,Amount\n2026-03-10,50', { source: 'cheque' }), 'STATEMENT_SOURCE_INVALID'), 'Unknown source refused');
+  assert(throwsCode(() => parseStatement('Date,Memo\n2026-03-10,hello'), 'STATEMENT_COLUMNS_MISSING'), 'Missing amount column refused');
+  assert(throwsCode(() => parseStatement('Date,Amount\n'), 'STATEMENT_EMPTY'), 'Empty statement refused');
+
+  // ============================================================
+  // 3. SCORING
+  // ============================================================
+  section('3. Candidate scoring');
+
+  const perfect = scoreCandidate(statementLine({ reference: 'INV-2026-0042', payerName: 'AMINA YUSUF' }), openInvoice());
+  assert(perfect.score === 125, `Amount, reference, payer and date all count (got ${perfect.score})`);
+  assert(perfect.reasons.includes('amount equals balance due') && perfect.reasons.includes('invoice reference in statement text'), 'Reasons listed');
+
+  const partlyPaid = openInvoice({ paidAmount: 31 });
+  assert(scoreCandidate(statementLine(), partlyPaid).reasons.includes('amount equals invoice total'), 'Full total on a partly paid invoice still matches');
+  assert(scoreCandidate(statementLine({ amount: 100 }), partlyPaid).reasons.includes('amount equals balance due'), 'Balance due preferred');
+  assert(scoreCandidate(statementLine({ amount: 100.5 }), partlyPaid).reasons.includes('amount within 1% of balance due'), 'Within 1% of the balance');
+  assert(scoreCandidate(statementLine({ amount: 102 }), partlyPaid).score === 10, 'More than 1% off scores only the date');
+  assert(scoreCandidate(statementLine({ currency: 'EGP' }), openInvoice()).score === 10, 'Amounts ignored across currencies');
+  assert(scoreCandidate(statementLine({ currency: undefined }), openInvoice()).score === 60, 'A statement without currency still matches amounts');
+
+  assert(scoreCandidate(statementLine({ amount: 1, description: 'payment INV-2026-00421' }), openInvoice()).score === 10, 'Reference must match a whole token');
+  assert(scoreCandidate(statementLine({ amount: 1, payerName: 'Omar Yusuf' }), openInvoice()).reasons.includes('guardian last name matches payer'), 'Last name alone gives a partial name score');
+  assert(scoreCandidate(statementLine({ amount: 1, payerName: 'Yusufi Amina' }), openInvoice()).score === 10, 'Name tokens must match whole words');
+
+  assert(scoreCandidate(statementLine({ date: new Date('2026-03-02T12:00:00Z') }), openInvoice()).score === 60, 'Paid a day before issue counts as in window');
+  assert(scoreCandidate(statementLine({ date: new Date('2026-04-17T10:00:00Z') }), openInvoice()).score === 60, 'Day 45 is in the window');
+  assert(scoreCandidate(statementLine({ date: new Date('2026-04-18T11:00:00Z') }), openInvoice()).score === 50, 'Day 46 is not');
+
+  // ============================================================
+  // 4. RANKING
+  // ============================================================
+  section('4. Suggestion ranking');
+
+  const invoices = [
+    openInvoice(),
+    openInvoice({ _id: 'inv43', invoiceNumber: 'INV-2026-0043', guardian: { firstName: 'Omar', lastName: 'Said' } }),
+    openInvoice({ _id: 'inv44', invoiceNumber: 'INV-2026-0044', guardian: { firstName: 'Sara', lastName: 'Ali' }, total: 200 }),
+    openInvoice({ _id: 'inv45', invoiceNumber: 'INV-2026-0045', guardian: { firstName: 'Lina', lastName: 'Yusuf' } }),
+    openInvoice({ _id: 'inv46', invoiceNumber: 'INV-2026-0046', guardian: { firstName: 'Hadi', lastName: 'Nour' } })
+  ];
+  const ranked = rankSuggestions(statementLine({ payerName: 'Amina Yusuf' }), invoices);
+  assert(ranked.length === 3, 'At most three suggestions');
+  assert(ranked[0].invoiceNumber === 'INV-2026-0042' && ranked[0].score === 85, 'Full name match ranks first');
+  assert(ranked[1].invoiceNumber === 'INV-2026-0045', 'Same surname ranks second');
+  assert(ranked.every((entry) => entry.invoiceNumber !== 'INV-2026-0044'), 'Different amount and name falls below the threshold');
+  assert(ranked[0].guardianName === 'Amina Yusuf' && ranked[0].amountDue === 131 && ranked[0].currency === 'USD', 'Suggestion carries guardian and balance');
+  assert(rankSuggestions(statementLine({ amount: 7, currency: 'EGP' }), invoices).length === 0, 'Nothing suggested without amount or text evidence');
+
+  // ============================================================
+  // 5. HOURS
+  // ============================================================
+  section('5. Hours credited for a matched payment');
+
+  const hourly = openInvoice({
+    total: 115,
+    taxRate: 10,
+    guardianFinancial: { hourlyRate: 20, transferFee: { amount: 5, waived: false } }
+  });
+  assert(resolvePaidHours(hourly, 115) === 5, 'Paying the quote credits the quoted hours');
+  assert(resolvePaidHours(hourly, 60) === 2.5, 'A partial payment is net of the unpaid fee and tax');
+  assert(resolvePaidHours(hourly, 4) === undefined, 'A payment that only covers the fee credits no hours');
+  assert(resolvePaidHours({ ...hourly, paidAmount: 60 }, 22) === 1, 'Once the fee is paid later payments are not charged it again');
+  assert(resolvePaidHours(openInvoice(), 131) === undefined, 'No hours without a real hourly rate');
+  assert(resolvePaidHours({ ...hourly, paidAmount: 115 }, 10) === undefined, 'No hours on a settled invoice');
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(60));
+
+  if (failed > 0) {
+    console.log('\n❌ Some tests FAILED. Review output above.\n');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 ALL TESTS PASSED!\n');
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Test error:', err);
+  process.exit(1);
+});
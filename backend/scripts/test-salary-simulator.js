@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+// backend/scripts/test-salary-simulator.js
+// ============================================================
+// Automated test suite for the what-if salary simulator.
+// Covers the per-month calculation in
+// services/teacherSalarySimulationService.js with unsaved
+// SalarySettings documents, so no database is needed.
+//
+// Prerequisites:
+//   none
+//
+// Usage:
+//   node backend/scripts/test-salary-simulator.js
+//
+// Tests:
+//   1. Proposal validation
+//   2. Closed months (Cairo time)
+//   3. Partition changes and tier boundaries
+//   4. Exchange rate and transfer fee changes
+//   5. Custom rates and fees stay in force
+//   6. Rounding and totals
+// ============================================================
+
+const SalarySettings = require('../models/SalarySettings');
+const teacherSalarySimulationService = require('../services/teacherSalarySimulationService');
+
+const { normalizeProposal, closedPeriods, computeMonth, simulateMonth, addToTotals, emptyTotals } = teacherSalarySimulationService;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${label}`);
+  } else {
+    failed++;
+    console.log(`  ❌ FAIL: ${label}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  ${title}`);
+  console.log('═'.repeat(60));
+}
+
+const throwsCode = (fn, code) => {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return err.code === code;
+  }
+};
+
+const currentSettings = new SalarySettings({
+  rateModel: 'flat',
+  ratePartitions: [
+    { name: '0-60 hours', minHours: 0, maxHours: 60, rateUSD: 3 },
+    { name: '61-120 hours', minHours: 61, maxHours: 120, rateUSD: 3.5 },
+    { name: '121+ hours', minHours: 121, maxHours: 9999, rateUSD: 4 }
+  ]
+});
+const proposedSettings = new SalarySettings({
+  rateModel: 'flat',
+  ratePartitions: normalizeProposal({
+    ratePartitions: [
+      { name: 'Starter', minHours: 0, maxHours: 40, rateUSD: 3.25 },
+      { name: 'Core', minHours: 41, maxHours: 9999, rateUSD: 3.75 },
+      { name: 'Retired tier', minHours: 0, maxHours: 9999, rateUSD: 10, isActive: false }
+    ]
+  }).ratePartitions
+});
+const flatFee = { model: 'flat', value: 50 };
+const percentFee = { model: 'percentage', value: 2 };
+
+const run = (overrides = {}) => simulateMonth({
+  teacher: {},
+  hours: 50,
+  savedRate: 48.5,
+  current: { settings: currentSettings, fee: flatFee },
+  proposed: { settings: proposedSettings, fee: flatFee },
+  ...overrides
+});
+
+async function main() {
+  // ============================================================
+  // 1. VALIDATION
+  // ============================================================
+  section('1. Proposal validation');
+
+  const defaults = normalizeProposal({});
+  assert(defaults.months === 3 && defaults.ratePartitions === null && defaults.exchangeRate === null && defaults.transferFee === null, 'Three months and saved settings by default');
+  const full = normalizeProposal({ months: '6', rateModel: 'flat', exchangeRate: '50.25', transferFee: { model: 'none' } });
+  assert(full.months === 6 && full.exchangeRate === 50.25 && full.transferFee.value === 0, 'Strings parsed; fee value defaults to 0');
+  assert(normalizeProposal({ exchangeRate: '' }).exchangeRate === null, 'Empty exchange rate keeps the saved rates');
+  assert(proposedSettings.ratePartitions[0].name === 'Starter' && proposedSettings.ratePartitions[2].isActive === false, 'Partitions keep names and active flags');
+  const badProposals = [
+    { months: -1 },
+    { months: 13 },
+    { rateModel: 'tiered' },
+    { ratePartitions: [] },
+    { ratePartitions: [{ minHours: 10, maxHours: 5, rateUSD: 3 }] },
+    { ratePartitions: [{ minHours: 0, maxHours: 5, rateUSD: 0 }] },
+    { exchangeRate: -1 },
+    { transferFee: { model: 'tiered', value: 1 } },
+    { transferFee: { model: 'flat', value: -5 } }
+  ];
+  assert(badProposals.every((proposal) => throwsCode(() => normalizeProposal(proposal), 'SIMULATION_INVALID')), 'Invalid proposals refused');
+
+  // ============================================================
+  // 2. PERIODS
+  // ============================================================
+  section('2. Closed months');
+
+  const early = closedPeriods(3, new Date('2026-01-15T12:00:00Z'));
+  assert(early.periods.map((p) => `${p.year}-${p.month}`).join(',') === '2025-10,2025-11,2025-12', 'Months run back across the new year, oldest first');
+  const cairoApril = closedPeriods(3, new Date('2026-03-31T22:30:00Z'));
+  assert(cairoApril.periods[2].month === 3, 'Late on 31 March UTC is already April in Cairo, so March is closed');
+  assert(cairoApril.startDate.toISOString() === '2025-12-31T22:00:00.000Z' && cairoApril.endDate.toISOString() === '2026-03-31T22:00:00.000Z', 'Range starts and ends at Cairo midnight');
+
+  // ============================================================
+  // 3. PARTITIONS
+  // ============================================================
+  section('3. Partition changes and tier boundaries');
+
+  const base = run();
+  assert(base.current.partition === '0-60 hours' && base.current.rateUSD === 3 && base.current.totalUSD === 150, 'Current tier: 50 hrs × $3');
+  assert(base.proposed.partition === 'Core' && base.proposed.rateUSD === 3.75 && base.proposed.totalUSD === 187.5, 'Proposed tier: 50 hrs × $3.75');
+  assert(base.deltaUSD === 37.5 && base.deltaNetEGP === 1818.75, 'USD and net EGP deltas');
+  assert(run({ hours: 60 }).current.rateUSD === 3 && run({ hours: 61 }).current.rateUSD === 3.5, 'Tier edges are inclusive (60 → first tier, 61 → second)');
+  assert(run({ hours: 40 }).proposed.partition === 'Starter' && run({ hours: 41 }).proposed.partition === 'Core', 'Proposed tier edges');
+  assert(run({ hours: 500 }).proposed.rateUSD === 3.75, 'Inactive partitions are ignored');
+  const overlapping = new SalarySettings({
+    rateModel: 'flat',
+    ratePartitions: [
+      { name: 'Wide', minHours: 0, maxHours: 100, rateUSD: 3 },
+      { name: 'Narrow', minHours: 50, maxHours: 60, rateUSD: 5 }
+    ]
+  });
+  assert(run({ proposed: { settings: overlapping, fee: flatFee } }).proposed.partition === 'Wide', 'Overlapping partitions: the lowest starting one wins');
+  assert(run({ hours: 0 }).deltaUSD === 0 && run({ hours: 0 }).current.netEGP === 0, 'No hours, nothing paid (the fee never makes net negative)');
+
+  // ============================================================
+  // 4. RATE AND FEE
+  // ============================================================
+  section('4. Exchange rate and transfer fee changes');
+
+  const sameTiers = { settings: currentSettings, fee: flatFee };
+  const rateOnly = run({ proposed: sameTiers, proposedRate: 50 });
+  assert(rateOnly.deltaUSD === 0 && rateOnly.proposed.totalEGP === 7500 && rateOnly.deltaNetEGP === 225, 'A new exchange rate moves only the EGP side');
+  assert(rateOnly.current.exchangeRate === 48.5 && rateOnly.proposed.exchangeRate === 50, 'Both rates reported');
+
+  const percent = run({ proposed: { settings: currentSettings, fee: percentFee } });
+  assert(percent.proposed.transferFeeEGP === 145.5 && percent.deltaNetEGP === -95.5, 'Percentage fee: 2% of 7,275 EGP instead of 50');
+  const none = run({ proposed: { settings: currentSettings, fee: { model: 'none', value: 0 } } });
+  assert(none.proposed.transferFeeEGP === 0 && none.deltaNetEGP === 50, 'Dropping the fee adds it back to net');
+
+  const noRate = run({ savedRate: null });
+  assert(noRate.current.netEGP === null && noRate.proposed.netEGP === null && noRate.deltaNetEGP === null, 'Month without a saved rate has no EGP figures');
+  assert(noRate.deltaUSD === 37.5, 'USD delta still reported without a rate');
+  const proposedOnly = run({ savedRate: null, proposedRate: 50 });
+  assert(proposedOnly.proposed.netEGP !== null && proposedOnly.deltaNetEGP === null, 'A proposed rate alone gives no EGP delta');
+
+  // ============================================================
+  // 5. CUSTOM TERMS
+  // ============================================================
+  section('5. Custom rates and fees');
+
+  const customRate = { teacherInfo: { customRateOverride: { enabled: true, rateUSD: 5 } } };
+  const custom = run({ teacher: customRate });
+  assert(custom.current.partition === 'custom' && custom.proposed.rateUSD === 5 && custom.deltaUSD === 0, 'Custom rate ignores the partition change');
+  const disabled = run({ teacher: { teacherInfo: { customRateOverride: { enabled: false, rateUSD: 5 } } } });
+  assert(disabled.current.rateUSD === 3, 'A disabled override is not used');
+  const customFee = { teacherInfo: { customTransferFee: { enabled: true, model: 'flat', value: 20 } } };
+  const keepsFee = run({ teacher: customFee, proposed: { settings: currentSettings, fee: percentFee } });
+  assert(keepsFee.current.transferFeeEGP === 20 && keepsFee.proposed.transferFeeEGP === 20 && keepsFee.deltaNetEGP === 0, 'Custom transfer fee ignores the default fee change');
+
+  // ============================================================
+  // 6. ROUNDING AND TOTALS
+  // ============================================================
+  section('6. Rounding and totals');
+
+  const thirds = computeMonth({ hours: 10 / 3, extraUSD: 0, rate: 3, exchangeRate: 48.5, fee: flatFee });
+  assert(thirds.grossUSD === 10, `200 minutes (3.333 hrs) × $3 is $10.00 (got ${thirds.grossUSD})`);
+  const halfPiastre = computeMonth({ hours: 50, extraUSD: 0, rate: 3.75, exchangeRate: 48.5, fee: percentFee });
+  assert(halfPiastre.transferFeeEGP === 181.88 && halfPiastre.netEGP === 8911.87, '2% of 9,093.75 EGP rounds the fee to 181.88');
+  const withExtras = computeMonth({ hours: 10, extraUSD: -12.5, rate: 3, exchangeRate: 48.5, fee: flatFee });
+  assert(withExtras.grossUSD === 30 && withExtras.totalUSD === 17.5 && withExtras.netEGP === 798.75, 'Deductions reduce the total before conversion');
+  const tiny = computeMonth({ hours: 1, extraUSD: 0, rate: 0.5, exchangeRate: 48.5, fee: flatFee });
+  assert(tiny.netEGP === 0, 'Fee above the converted total leaves nothing, not a negative payout');
+
+  const totals = emptyTotals();
+  [run(), run({ hours: 62 }), run({ savedRate: null })].forEach((row) => addToTotals(totals, row));
+  assert(totals.hours === 162 && totals.currentUSD === 517 && totals.proposedUSD === 607.5, 'Hours and USD summed over every month');
+  assert(totals.deltaUSD === 90.5, 'USD delta from the summed totals');
+  assert(totals.currentNetEGP === 17699.5 && totals.deltaNetEGP === 2570.5, 'Months without a rate left out of the EGP totals');
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(60));
+
+  if (failed > 0) {
+    console.log('\n❌ Some tests FAILED. Review output above.\n');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 ALL TESTS PASSED!\n');
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Test error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+// backend/scripts/test-teacher-calendar-import.js
+// ============================================================
+// Automated test suite for the Google Calendar -> busy time import.
+// Google is replaced by the in-memory client in services/googleCalendarMock.js,
+// so only MongoDB is needed.
+//
+// Prerequisites:
+//   1. MongoDB running locally
+//
+// Usage:
+//   node backend/scripts/test-teacher-calendar-import.js
+//
+// Tests:
+//   1. Connecting an unshared calendar is refused
+//   2. First (full) read mirrors busy events only
+//   3. Mirrored time blocks booking (hasConflictForTeacher, busy intervals)
+//   4. Incremental read with a sync token (move, cancel, add)
+//   5. Expired sync token (410) falls back to a full read
+//   6. Paged full read
+//   7. Imported periods are never pushed back to Google
+//   8. Pause and disconnect remove the imported busy time
+// ============================================================
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Class = require('../models/Class');
+const UnavailablePeriod = require('../models/UnavailablePeriod');
+const TeacherCalendarConnection = require('../models/TeacherCalendarConnection');
+const availabilityService = require('../services/availabilityService');
+const availabilitySyncService = require('../services/teacherAvailabilityCalendarSyncService');
+const teacherCalendarImportService = require('../services/teacherCalendarImportService');
+const { createMockCalendarClient } = require('../services/googleCalendarMock');
+
+const TEST_DB = process.env.MONGODB_URI || 'mongodb://localhost:27017/waraqadb_test';
+const CALENDAR_ID = 'calendar-import-teacher@example.com';
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${label}`);
+  } else {
+    failed++;
+    console.log(`  ❌ FAIL: ${label}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  ${title}`);
+  console.log('═'.repeat(60));
+}
+
+// Whole hours from now, aligned to the hour so tests do not straddle "now"
+const hoursFromNow = (hours) => {
+  const date = new Date();
+  date.setUTCMinutes(0, 0, 0);
+  return new Date(date.getTime() + hours * 3600000);
+};
+
+const timed = (startHours, lengthHours, extra = {}) => ({
+  start: { dateTime: hoursFromNow(startHours).toISOString() },
+  end: { dateTime: hoursFromNow(startHours + lengthHours).toISOString() },
+  ...extra,
+});
+
+const imported = (teacherId) => UnavailablePeriod.find({ teacherId, source: 'google_calendar' }).sort({ startDateTime: 1 }).lean();
+
+const flushHooks = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+async function main() {
+  await mongoose.connect(TEST_DB);
+  console.log(`Connected to ${TEST_DB}`);
+
+  const mock = createMockCalendarClient();
+  teacherCalendarImportService.setCalendarClientFactory(() => mock);
+
+  // Count outbound pushes of unavailable periods
+  let outboundPushes = 0;
+  availabilitySyncService.isConfigured = () => true;
+  availabilitySyncService.syncUnavailablePeriodEvent = async ({ periodDoc }) => {
+    if (periodDoc?.source === 'google_calendar') outboundPushes++;
+    return { ok: true, skipped: true };
+  };
+
+  const stamp = Date.now();
+  const { insertedId: teacherId } = await User.collection.insertOne({
+    firstName: 'Import',
+    lastName: 'Teacher',
+    email: `calendar-import-${stamp}@example.com`,
+    password: 'not-a-real-password',
+    role: 'teacher',
+    isActive: true,
+    timezone: 'Africa/Cairo',
+    teacherInfo: { classCalendarId: 'waraqa-classes@group.calendar.google.com' },
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  });
+  const actor = { _id: teacherId, role: 'teacher' };
+
+  // A class the teacher also copied into their personal calendar
+  const { insertedId: classId } = await Class.collection.insertOne({
+    teacher: teacherId,
+    subject: 'Calendar import test',
+    scheduledDate: hoursFromNow(50),
+    duration: 60,
+    status: 'scheduled',
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  });
+
+  try {
+    // ============================================================
+    section('1. Connecting an unshared calendar is refused');
+    // ============================================================
+    try {
+      await teacherCalendarImportService.connectCalendar(actor, teacherId, { calendarId: CALENDAR_ID });
+      assert(false, 'connect should fail before the calendar is shared');
+    } catch (err) {
+      assert(err.code === 'CALENDAR_NOT_SHARED', `Refused with CALENDAR_NOT_SHARED (got ${err.code})`);
+    }
+    try {
+      await teacherCalendarImportService.connectCalendar(actor, teacherId, { calendarId: 'waraqa-classes@group.calendar.google.com' });
+      assert(false, 'connect should refuse the Waraqa class calendar');
+    } catch (err) {
+      assert(err.code === 'CALENDAR_IS_WARAQA', `Waraqa calendar refused (got ${err.code})`);
+    }
+
+    // ============================================================
+    section('2. First (full) read mirrors busy events only');
+    // ============================================================
+    mock.mock.addCalendar(CALENDAR_ID, { timeZone: 'Africa/Cairo' });
+    const dentist = mock.mock.upsertEvent(CALENDAR_ID, timed(24, 1, { summary: 'Dentist' }));
+    const allDay = new Date(hoursFromNow(72).getTime());
+    const allDayStart = allDay.toISOString().slice(0, 10);
+    const allDayEnd = new Date(allDay.getTime() + 86400000).toISOString().slice(0, 10);
+    const trip = mock.mock.upsertEvent(CALENDAR_ID, { summary: 'Trip', start: { date: allDayStart }, end: { date: allDayEnd } });
+    mock.mock.upsertEvent(CALENDAR_ID, timed(30, 1, { summary: 'Reminder', transparency: 'transparent' }));
+    mock.mock.upsertEvent(CALENDAR_ID, timed(32, 1, { summary: 'Declined', attendees: [{ email: CALENDAR_ID, self: true, responseStatus: 'declined' }] }));
+    mock.mock.upsertEvent(CALENDAR_ID, timed(34, 1, { id: `cl${'a'.repeat(24)}`, summary: 'Waraqa class invite' }));
+    mock.mock.upsertEvent(CALENDAR_ID, timed(36, 1, { summary: 'Meeting invite', organizer: { email: 'waraqa-classes@group.calendar.google.com' } }));
+    mock.mock.upsertEvent(CALENDAR_ID, timed(50, 1, { summary: 'Copy of my class' }));
+    mock.mock.upsertEvent(CALENDAR_ID, timed(24 * 200, 1, { summary: 'Far away' }));
+    mock.mock.upsertEvent(CALENDAR_ID, timed(-5, 1, { summary: 'Earlier today' }));
+
+    const connected = await teacherCalendarImportService.connectCalendar(actor, teacherId, { calendarId: CALENDAR_ID });
+    assert(connected.connection?.status === 'active', `Connection active (got ${connected.connection?.status})`);
+    assert(connected.connection?.incremental === true, 'Sync token stored');
+    let periods = await imported(teacherId);
+    assert(periods.length === 2, `2 busy blocks imported (got ${periods.length})`);
+    assert(periods.every((p) => p.description === 'Busy in Google Calendar'), 'Event titles are not copied');
+    assert(periods[0]?.externalEventId === dentist.id, 'Timed event mirrored');
+    assert(periods[1]?.externalEventId === trip.id, 'All-day event mirrored');
+    const tripStart = periods[1] && new Date(periods[1].startDateTime);
+    const expectedTripStart = require('moment-timezone').tz(allDayStart, 'Africa/Cairo').toDate();
+    assert(tripStart && tripStart.getTime() === expectedTripStart.getTime(), 'All-day event starts at midnight in the calendar time zone');
+
+    // ============================================================
+    section('3. Mirrored time blocks booking');
+    // ============================================================
+    const conflict = await UnavailablePeriod.hasConflictForTeacher(teacherId, hoursFromNow(24.5), hoursFromNow(25.5));
+    assert(Boolean(conflict), 'hasConflictForTeacher sees the dentist appointment');
+    const intervals = await availabilityService.getBusyIntervalsForWindow(teacherId, hoursFromNow(20), hoursFromNow(28));
+    assert(intervals.some((i) => i.type !== 'class'), 'getBusyIntervalsForWindow returns the imported block');
+    const free = await UnavailablePeriod.hasConflictForTeacher(teacherId, hoursFromNow(30), hoursFromNow(31));
+    assert(!free, 'Free (transparent) time stays bookable');
+
+    // ============================================================
+    section('4. Incremental read with a sync token');
+    // ============================================================
+    mock.mock.upsertEvent(CALENDAR_ID, { ...timed(26, 2), id: dentist.id });
+    mock.mock.cancelEvent(CALENDAR_ID, trip.id);
+    const gym = mock.mock.upsertEvent(CALENDAR_ID, timed(40, 1, { summary: 'Gym' }));
+    const callsBefore = mock.mock.calls.length;
+    const incremental = await teacherCalendarImportService.syncTeacherCalendar(teacherId);
+    const incrementalCall = mock.mock.calls[callsBefore];
+    assert(incremental.full === false, 'Read was incremental');
+    assert(Boolean(incrementalCall?.params?.syncToken) && !incrementalCall?.params?.timeMin, 'events.list called with syncToken only');
+    periods = await imported(teacherId);
+    assert(periods.length === 2, `2 busy blocks after changes (got ${periods.length})`);
+    const moved = periods.find((p) => p.externalEventId === dentist.id);
+    assert(moved && new Date(moved.startDateTime).getTime() === hoursFromNow(26).getTime(), 'Moved event updated');
+    assert(!periods.some((p) => p.externalEventId === trip.id), 'Cancelled event removed');
+    assert(periods.some((p) => p.externalEventId === gym.id), 'New event added');
+
+    // ============================================================
+    section('5. Expired sync token falls back to a full read');
+    // ============================================================
+    mock.mock.expireSyncTokens(CALENDAR_ID);
+    mock.mock.upsertEvent(CALENDAR_ID, { ...timed(40, 1), id: gym.id, transparency: 'transparent' });
+    const recovered = await teacherCalendarImportService.syncTeacherCalendar(teacherId);
+    assert(recovered.full === true, 'Recovered with a full read');
+    periods = await imported(teacherId);
+    assert(!periods.some((p) => p.externalEventId === gym.id), 'Event marked free is removed');
+    assert(periods.length === 1, `1 busy block left (got ${periods.length})`);
+
+    // ============================================================
+    section('6. Paged full read');
+    // ============================================================
+    for (let i = 0; i < 260; i++) {
+      mock.mock.upsertEvent(CALENDAR_ID, timed(24 * 5 + i, 0.5, { summary: `Block ${i}` }));
+    }
+    const pagedCallsBefore = mock.mock.calls.length;
+    await teacherCalendarImportService.syncTeacherCalendar(teacherId, { full: true });
+    const pages = mock.mock.calls.slice(pagedCallsBefore).length;
+    periods = await imported(teacherId);
+    assert(pages === 2, `Read in 2 pages (got ${pages})`);
+    assert(periods.length === 261, `261 busy blocks imported (got ${periods.length})`);
+    const connection = await TeacherCalendarConnection.findOne({ teacher: teacherId }).lean();
+    assert(connection.importedCount === 261, `importedCount updated (got ${connection.importedCount})`);
+
+    // ============================================================
+    section('7. Imported periods are never pushed back to Google');
+    // ============================================================
+    await flushHooks();
+    assert(outboundPushes === 0, `No outbound pushes for imported periods (got ${outboundPushes})`);
+
+    // ============================================================
+    section('8. Pause and disconnect');
+    // ============================================================
+    const paused = await teacherCalendarImportService.setImportEnabled(teacherId, false);
+    assert(paused.connection?.status === 'disabled', 'Import paused');
+    assert((await imported(teacherId)).length === 0, 'Pausing removes imported busy time');
+    const skipped = await teacherCalendarImportService.syncTeacherCalendar(teacherId);
+    assert(skipped.skipped === true, 'Paused import is not read');
+
+    await teacherCalendarImportService.setImportEnabled(teacherId, true);
+    assert((await imported(teacherId)).length === 261, 'Resuming imports again');
+
+    const disconnected = await teacherCalendarImportService.disconnectCalendar(teacherId);
+    assert(disconnected.removed === 261, `Disconnect removed 261 blocks (got ${disconnected.removed})`);
+    assert(!(await TeacherCalendarConnection.exists({ teacher: teacherId })), 'Connection deleted');
+  } finally {
+    teacherCalendarImportService.setCalendarClientFactory(null);
+    await UnavailablePeriod.deleteMany({ teacherId });
+    await TeacherCalendarConnection.deleteMany({ teacher: teacherId });
+    await Class.collection.deleteOne({ _id: classId });
+    await User.collection.deleteOne({ _id: teacherId });
+  }
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(60));
+
+  if (failed > 0) {
+    console.log('\n❌ Some tests FAILED. Review output above.\n');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 ALL TESTS PASSED!\n');
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(err => {
+  console.error('❌ Test error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+// backend/scripts/test-teacher-leave-ledger.js
+// ============================================================
+// Automated test suite for the teacher leave ledger.
+// Covers accrual, carry-over, the per-year deduction split and
+// balance totals in services/teacherLeaveLedgerService.js;
+// system vacations are passed in, so no database is needed.
+//
+// Prerequisites:
+//   none
+//
+// Usage:
+//   node backend/scripts/test-teacher-leave-ledger.js
+//
+// Tests:
+//   1. Leave policy and yearly accrual
+//   2. Carry-over and its cap
+//   3. Vacation days split across Dec/Jan
+//   4. System vacations and early ends
+//   5. Balance totals and fractional days
+// ============================================================
+
+const teacherLeaveLedgerService = require('../services/teacherLeaveLedgerService');
+const { normalizeAllowanceConfig } = require('../services/teacherVacationService');
+
+const {
+  normalizeLeavePolicy,
+  carryOverCapFor,
+  carryOverFrom,
+  splitChargeableDays,
+  summarizeEntries
+} = teacherLeaveLedgerService;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${label}`);
+  } else {
+    failed++;
+    console.log(`  ❌ FAIL: ${label}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  ${title}`);
+  console.log('═'.repeat(60));
+}
+
+// Local dates, the same clock the ledger's year bounds use
+const on = (year, month, day, hour = 0) => new Date(year, month - 1, day, hour);
+const vacation = (startDate, endDate, extra = {}) => ({ _id: 'v1', role: 'teacher', status: 'approved', startDate, endDate, ...extra });
+const split = (value) => [...value.entries()].map(([year, days]) => `${year}:${days}`).join(',');
+const entry = (type, days) => ({ type, days });
+
+async function main() {
+  // ============================================================
+  // 1. POLICY AND ACCRUAL
+  // ============================================================
+  section('1. Leave policy and yearly accrual');
+
+  assert(JSON.stringify(normalizeLeavePolicy({})) === '{"enforcement":"block","carryOverMaxDays":0}', 'Block and no carry-over by default');
+  const warn = normalizeLeavePolicy({ enforcement: 'warn', carryOverMaxDays: '5.8' });
+  assert(warn.enforcement === 'warn' && warn.carryOverMaxDays === 5, 'Warn mode; policy cap floored to whole days');
+  assert(normalizeLeavePolicy({ enforcement: 'ignore', carryOverMaxDays: -3 }).enforcement === 'block' && normalizeLeavePolicy({ carryOverMaxDays: -3 }).carryOverMaxDays === 0, 'Unknown mode blocks; negative cap is zero');
+  assert(normalizeLeavePolicy(null).carryOverMaxDays === 0, 'Missing setting falls back to the defaults');
+
+  const teacherInfo = { vacationAllowance: { defaultDaysPerYear: 21, yearlyOverrides: [{ year: 2026, days: 25 }, { year: 2027, days: -1 }] } };
+  assert(normalizeAllowanceConfig(teacherInfo, 2025).allocatedDays === 21, 'Accrual is the default yearly allowance');
+  assert(normalizeAllowanceConfig(teacherInfo, 2026).allocatedDays === 25, 'A yearly override replaces it');
+  assert(normalizeAllowanceConfig(teacherInfo, 2027).allocatedDays === 21, 'Negative overrides are ignored');
+  assert(normalizeAllowanceConfig({ vacationDaysPerYear: 14 }, 2026).allocatedDays === 14, 'Legacy allowance field still read');
+
+  // ============================================================
+  // 2. CARRY-OVER
+  // ============================================================
+  section('2. Carry-over and its cap');
+
+  const policy = normalizeLeavePolicy({ carryOverMaxDays: 5 });
+  const previousYear = [entry('accrual', 21), entry('deduction', -13)];
+  assert(carryOverFrom(previousYear, carryOverCapFor({}, policy)) === 5, '8 unused days, cap 5: five carried');
+  assert(carryOverFrom(previousYear, 10) === 8, 'Under the cap the whole balance moves');
+  assert(carryOverFrom([entry('accrual', 21), entry('deduction', -21)], 5) === 0, 'Nothing left, nothing carried');
+  assert(carryOverFrom([entry('accrual', 10), entry('deduction', -14)], 5) === 0, 'An overdrawn year never carries a negative balance');
+  assert(carryOverFrom([...previousYear, entry('carry_over', 5)], 20) === 13, 'The previous year\'s own carry-over counts toward what is unused');
+  assert(carryOverFrom([...previousYear, entry('adjustment', -2)], 20) === 6, 'Manual adjustments count too');
+
+  assert(carryOverCapFor({ teacherInfo: { vacationAllowance: { carryOverMaxDays: 0 } } }, policy) === 0, 'A teacher cap of 0 overrides the policy');
+  assert(carryOverCapFor({ teacherInfo: { vacationAllowance: { carryOverMaxDays: null } } }, policy) === 5, 'No teacher cap uses the policy');
+  assert(carryOverCapFor({ teacherInfo: { vacationAllowance: { carryOverMaxDays: '3' } } }, policy) === 3, 'Teacher cap read as a number');
+  assert(carryOverCapFor({ teacherInfo: { vacationAllowance: { carryOverMaxDays: -4 } } }, policy) === 0, 'Negative teacher cap is zero');
+  assert(carryOverFrom(previousYear, 0) === 0, 'Cap 0 disables carry-over');
+
+  // ============================================================
+  // 3. DEC/JAN SPLIT
+  // ============================================================
+  section('3. Vacation days split across Dec/Jan');
+
+  const newYear = vacation(on(2025, 12, 29), on(2026, 1, 3));
+  assert(split(splitChargeableDays(newYear)) === '2025:3,2026:3', '29 Dec – 3 Jan: three days in each year');
+  assert(split(splitChargeableDays(vacation(on(2025, 12, 31, 15), on(2026, 1, 1, 9)))) === '2025:1,2026:1', 'Part days count as whole days on both sides');
+  assert(split(splitChargeableDays(vacation(on(2025, 12, 1), on(2025, 12, 31)))) === '2025:31', 'A December-only vacation stays in its year');
+  assert(split(splitChargeableDays(vacation(on(2024, 12, 30), on(2026, 1, 2)))) === '2024:2,2025:365,2026:2', 'A vacation spanning three years is split three ways');
+  assert(split(splitChargeableDays(vacation(on(2028, 2, 28), on(2028, 3, 1)))) === '2028:3', 'Leap day counted');
+  assert(split(splitChargeableDays(vacation(on(2025, 4, 20), on(2025, 5, 5)))) === '2025:16', 'Clock changes do not drop a day (run with TZ=Africa/Cairo)');
+  assert(splitChargeableDays(vacation(on(2026, 1, 5), on(2026, 1, 4))).size === 0, 'End before start books nothing');
+  assert(splitChargeableDays(vacation('not a date', on(2026, 1, 4))).size === 0, 'Unreadable dates book nothing');
+
+  // ============================================================
+  // 4. SYSTEM VACATIONS AND EARLY ENDS
+  // ============================================================
+  section('4. System vacations and early ends');
+
+  const newYearHoliday = [{ startDate: on(2026, 1, 1), endDate: on(2026, 1, 1), isActive: true }];
+  assert(split(splitChargeableDays(newYear, newYearHoliday)) === '2025:3,2026:2', 'A school holiday on 1 Jan is not charged');
+  const acrossYears = [{ startDate: on(2025, 12, 31), endDate: on(2026, 1, 2), isActive: true }];
+  assert(split(splitChargeableDays(newYear, acrossYears)) === '2025:2,2026:1', 'A holiday spanning the new year is removed from both years');
+  const inactive = [{ startDate: on(2025, 12, 29), endDate: on(2026, 1, 3), isActive: false }];
+  assert(split(splitChargeableDays(newYear, inactive)) === '2025:3,2026:3', 'Inactive system vacations are ignored');
+  const fullyCovered = [{ startDate: on(2026, 1, 1), endDate: on(2026, 1, 10), isActive: true }];
+  assert(split(splitChargeableDays(newYear, fullyCovered)) === '2025:3', 'A year with nothing chargeable gets no deduction');
+
+  assert(split(splitChargeableDays({ ...newYear, actualEndDate: on(2025, 12, 30) })) === '2025:2', 'Ended early in December: January deduction disappears');
+  assert(split(splitChargeableDays({ ...newYear, actualEndDate: on(2026, 1, 1) })) === '2025:3,2026:1', 'Ended early on 1 Jan: one January day');
+
+  // ============================================================
+  // 5. BALANCE
+  // ============================================================
+  section('5. Balance totals');
+
+  const year = [entry('accrual', 21), entry('carry_over', 5), entry('adjustment', 1.5), entry('deduction', -3), entry('deduction', -2)];
+  const balance = summarizeEntries(year, 4);
+  assert(balance.accruedDays === 21 && balance.carriedOverDays === 5 && balance.adjustmentDays === 1.5, 'Accrual, carry-over and adjustments summed by type');
+  assert(balance.usedDays === 5 && balance.remainingDays === 22.5, 'Used days are positive; remaining keeps half days');
+  assert(balance.pendingDays === 4 && balance.availableDays === 18.5, 'Pending requests reduce what is available');
+  const overdrawn = summarizeEntries([entry('accrual', 5), entry('deduction', -7)], 2);
+  assert(overdrawn.remainingDays === -2 && overdrawn.availableDays === 0, 'Overdrawn balance shows negative remaining, zero available');
+  const tenths = summarizeEntries([entry('accrual', 0.1), entry('adjustment', 0.2)]);
+  assert(Math.abs(tenths.remainingDays - 0.3) < 1e-9, 'Fractional adjustments add up');
+  assert(summarizeEntries([]).remainingDays === 0 && summarizeEntries().availableDays === 0, 'An empty year is zero');
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(60));
+
+  if (failed > 0) {
+    console.log('\n❌ Some tests FAILED. Review output above.\n');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 ALL TESTS PASSED!\n');
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Test error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+// backend/scripts/test-teacher-pay-rules.js
+// ============================================================
+// Automated test suite for rule-based teacher pay components.
+// Covers rule validation and matching in
+// services/teacherPayRulesService.js on pre-loaded classes,
+// so no database is needed.
+//
+// Prerequisites:
+//   none
+//
+// Usage:
+//   node backend/scripts/test-teacher-pay-rules.js
+//
+// Tests:
+//   1. Rule validation and keys
+//   2. Premium rules (subject, student type, group, first class)
+//   3. Overlapping rules stack per class
+//   4. Penalties, grace hours and already-charged classes
+//   5. Units and rounding
+// ============================================================
+
+const teacherPayRulesService = require('../services/teacherPayRulesService');
+
+const { normalizeRules, matchRules, CLASS_PREMIUM_KEY } = teacherPayRulesService;
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, label) {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${label}`);
+  } else {
+    failed++;
+    console.log(`  ❌ FAIL: ${label}`);
+  }
+}
+
+function section(title) {
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  ${title}`);
+  console.log('═'.repeat(60));
+}
+
+const throwsCode = (fn, code) => {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return err.code === code;
+  }
+};
+
+const lesson = (id, overrides = {}) => ({
+  _id: id,
+  scheduledDate: new Date('2026-03-10T15:00:00Z'),
+  duration: 60,
+  subject: 'Quran',
+  status: 'attended',
+  ...overrides
+});
+
+const lineFor = (lines, key) => lines.find((line) => line.ruleSource.key === key);
+const ids = (line) => (line ? line.ruleSource.classIds.map(String).sort().join(',') : '');
+
+async function main() {
+  // ============================================================
+  // 1. VALIDATION
+  // ============================================================
+  section('1. Rule validation and keys');
+
+  const rules = normalizeRules([
+    { name: 'Tajweed premium', type: 'subject_premium', subjects: ['tajweed'], amountUSD: 2 },
+    { name: 'Adult rate', type: 'student_type', studentTypes: ['adult', 'teen'], amountUSD: '1.5' },
+    { name: 'Group', type: 'group_class', amountUSD: 1, unit: 'per_class', minStudents: 1 },
+    { name: 'Trial', type: 'first_class', amountUSD: -1, unit: 'per_class' },
+    { name: 'Unreported', type: 'unreported_penalty', amountUSD: 3, unit: 'per_class' },
+    { name: 'No show', type: 'no_show_penalty', amountUSD: 5, unit: 'per_class' },
+    { name: 'Late report', type: 'late_report_penalty', amountUSD: -0.5, unit: 'per_class', graceHours: 2 }
+  ]);
+  const byKey = Object.fromEntries(rules.map((rule) => [rule.key, rule]));
+  assert(Object.keys(byKey).join(',') === 'tajweed_premium,adult_rate,group,trial,unreported,no_show,late_report', 'Keys derived from names');
+  assert(byKey.adult_rate.amountUSD === 1.5 && byKey.adult_rate.studentTypes.join() === 'adult', 'Amount parsed; unknown student types dropped');
+  assert(byKey.group.minStudents === 2 && byKey.tajweed_premium.unit === 'per_hour', 'Group size at least two; per hour by default');
+  assert(byKey.trial.amountUSD === -1, 'Premiums may be negative (a lower rate)');
+  assert(byKey.late_report.amountUSD === 0.5, 'Penalty amounts stored as positive');
+  assert(byKey.no_show.statuses.join() === 'no_show_both', 'No-show penalty defaults to no_show_both');
+
+  const clash = normalizeRules([
+    { name: 'Premium', type: 'first_class', amountUSD: 1 },
+    { name: 'Premium', type: 'first_class', amountUSD: 2 },
+    { name: 'x', key: CLASS_PREMIUM_KEY, type: 'first_class', amountUSD: 1 }
+  ]);
+  assert(clash[0].key === 'premium' && clash[1].key === 'premium_2', 'Duplicate keys made unique');
+  assert(clash[2].key !== CLASS_PREMIUM_KEY, 'The per-class premium key is reserved');
+
+  const badRules = [
+    { type: 'first_class', amountUSD: 1 },
+    { name: 'x', type: 'bonus', amountUSD: 1 },
+    { name: 'x', type: 'first_class', amountUSD: 0 },
+    { name: 'x', type: 'first_class', amountUSD: 'abc' },
+    { name: 'x', type: 'subject_premium', amountUSD: 1 },
+    { name: 'x', type: 'student_type', studentTypes: ['teen'], amountUSD: 1 }
+  ];
+  assert(badRules.every((rule) => throwsCode(() => normalizeRules([rule]), 'PAY_RULES_INVALID')), 'Invalid rules refused');
+  assert(throwsCode(() => normalizeRules({}), 'PAY_RULES_INVALID'), 'Rules must be a list');
+
+  // ============================================================
+  // 2. PREMIUMS
+  // ============================================================
+  section('2. Premium rules');
+
+  const payable = [
+    lesson('c1', { subject: 'Tajweed', student: { studentId: 's1' } }),
+    lesson('c2', { subject: 'Arabic', classReport: { subject: 'Tajweed review' }, student: { studentId: 's2' } }),
+    lesson('c3', { subject: 'Arabic', duration: 30, student: { studentId: 's3' } })
+  ];
+  const context = {
+    payable,
+    studentTypes: new Map([['c1', 'adult'], ['c3', 'adult'], ['c2', 'child']]),
+    groupSizes: new Map([['c1', 1], ['c2', 2], ['c3', 3]]),
+    firstClasses: new Set(['c3'])
+  };
+  const premiums = matchRules(rules.filter((rule) => !rule.type.endsWith('_penalty')), context);
+  assert(ids(lineFor(premiums, 'tajweed_premium')) === 'c1,c2', 'Subject matched on the class or its report, case-insensitive');
+  assert(lineFor(premiums, 'tajweed_premium').amountUSD === 4, '2 hrs × $2');
+  assert(ids(lineFor(premiums, 'adult_rate')) === 'c1,c3' && lineFor(premiums, 'adult_rate').amountUSD === 2.25, 'Adult classes: 1.5 hrs × $1.50');
+  assert(ids(lineFor(premiums, 'group')) === 'c2,c3' && lineFor(premiums, 'group').amountUSD === 2, 'Group slots of two or more: 2 × $1');
+  const trial = lineFor(premiums, 'trial');
+  assert(ids(trial) === 'c3' && trial.amountUSD === -1 && trial.category === 'penalty', 'A negative premium is a deduction line');
+  assert(lineFor(premiums, 'group').category === 'premium' && lineFor(premiums, 'group').ruleSource.rateUSD === 1, 'Premium line carries its rule source');
+
+  const inactive = matchRules([{ ...byKey.tajweed_premium, isActive: false }, { ...byKey.group, type: 'mystery' }], context);
+  assert(inactive.length === 0, 'Inactive and unknown rules ignored');
+  assert(matchRules([byKey.tajweed_premium], { payable: [] }).length === 0, 'No classes, no lines');
+
+  // ============================================================
+  // 3. OVERLAPS
+  // ============================================================
+  section('3. Overlapping rules');
+
+  const overlapping = normalizeRules([
+    { name: 'Tajweed', type: 'subject_premium', subjects: ['tajweed'], amountUSD: 2 },
+    { name: 'Quran and tajweed', type: 'subject_premium', subjects: ['quran', 'tajweed'], amountUSD: 1 },
+    { name: 'Adults', type: 'student_type', studentTypes: ['adult'], amountUSD: -0.5 }
+  ]);
+  const both = [lesson('o1', { subject: 'Quran tajweed' }), lesson('o2', { subject: 'Quran' })];
+  const stacked = matchRules(overlapping, { payable: both, studentTypes: new Map([['o1', 'adult'], ['o2', 'adult']]) });
+  assert(stacked.length === 3, 'Each matching rule gives its own line');
+  assert(ids(lineFor(stacked, 'tajweed')) === 'o1' && ids(lineFor(stacked, 'quran_and_tajweed')) === 'o1,o2', 'A class in two subject rules is counted in both');
+  assert(lineFor(stacked, 'quran_and_tajweed').amountUSD === 2, 'A class matching two subjects of one rule counts once');
+  const net = stacked.reduce((sum, line) => sum + line.amountUSD, 0);
+  assert(net === 3, `Premiums and a lower adult rate net out (got ${net})`);
+
+  // ============================================================
+  // 4. PENALTIES
+  // ============================================================
+  section('4. Penalties');
+
+  const monthClasses = [
+    lesson('m1', { reportSubmission: { status: 'unreported' } }),
+    lesson('m2', { status: 'no_show_both' }),
+    lesson('m3', { status: 'cancelled_by_teacher' }),
+    lesson('m4', { reportSubmission: { status: 'unreported' } })
+  ];
+  const deadline = new Date('2026-03-11T15:00:00Z');
+  const reported = [
+    lesson('p1', { classReport: { submittedAt: new Date('2026-03-11T16:30:00Z') }, reportSubmission: { teacherDeadline: deadline } }),
+    lesson('p2', { classReport: { submittedAt: new Date('2026-03-11T17:30:00Z') }, reportSubmission: { teacherDeadline: deadline } }),
+    lesson('p3', { reportSubmission: { teacherDeadline: deadline } })
+  ];
+  const penaltyRules = rules.filter((rule) => rule.type.endsWith('_penalty'));
+  const penalties = matchRules(penaltyRules, { payable: reported, monthClasses, charged: new Map([['unreported', new Set(['m4'])]]) });
+  assert(ids(lineFor(penalties, 'unreported')) === 'm1' && lineFor(penalties, 'unreported').amountUSD === -3, 'Unreported class charged once; already charged class skipped');
+  assert(ids(lineFor(penalties, 'no_show')) === 'm2' && lineFor(penalties, 'no_show').amountUSD === -5, 'Only the configured no-show statuses');
+  assert(ids(lineFor(penalties, 'late_report')) === 'p2', 'Late report counted only past the grace hours');
+  assert(lineFor(penalties, 'late_report').amountUSD === -0.5 && lineFor(penalties, 'late_report').ruleSource.rateUSD === -0.5, 'Penalty rate is negative');
+
+  const teacherStatuses = normalizeRules([{ name: 'No show', type: 'no_show_penalty', amountUSD: 5, unit: 'per_class', statuses: ['no_show_both', 'cancelled_by_teacher'] }]);
+  assert(ids(matchRules(teacherStatuses, { monthClasses })[0]) === 'm2,m3', 'Custom no-show statuses');
+  assert(matchRules(penaltyRules, { payable: reported, monthClasses, isAdjustment: true }).length === 0, 'Adjustment invoices never repeat penalties');
+  const chargedOut = matchRules([byKey.no_show], { monthClasses, charged: new Map([['no_show', new Set(['m2'])]]) });
+  assert(chargedOut.length === 0, 'Nothing left to charge, no line');
+  const otherKey = matchRules([byKey.no_show], { monthClasses, charged: new Map([['unreported', new Set(['m2'])]]) });
+  assert(ids(otherKey[0]) === 'm2', 'Charges under another rule do not block this one');
+
+  // ============================================================
+  // 5. UNITS AND ROUNDING
+  // ============================================================
+  section('5. Units and rounding');
+
+  const thirds = [lesson('t1', { duration: 20 }), lesson('t2', { duration: 20 }), lesson('t3', { duration: 20 })];
+  const [perHour] = matchRules(normalizeRules([{ name: 'Quran', type: 'subject_premium', subjects: ['quran'], amountUSD: 3 }]), { payable: thirds });
+  assert(perHour.ruleSource.hours === 1 && perHour.amountUSD === 3, 'Three 20-minute classes are one hour, paid $3.00 not $2.99');
+  assert(perHour.reason === 'Quran: 3 classes — 1.00 hrs × $3.00/hr', `Line reason (got "${perHour.reason}")`);
+
+  const [odd] = matchRules(normalizeRules([{ name: 'Quran', type: 'subject_premium', subjects: ['quran'], amountUSD: 1.333 }]), {
+    payable: [lesson('r1', { duration: 45 }), lesson('r2', { duration: 50 })]
+  });
+  assert(odd.ruleSource.rateUSD === 1.33 && odd.ruleSource.hours === 1.583, 'Rate stored to the cent, hours to three decimals');
+  assert(odd.amountUSD === 2.11, `1.583 hrs × $1.33 rounds to $2.11 (got ${odd.amountUSD})`);
+
+  const [perClass] = matchRules(normalizeRules([{ name: 'Quran', type: 'subject_premium', subjects: ['quran'], amountUSD: 0.75, unit: 'per_class' }]), { payable: thirds });
+  assert(perClass.amountUSD === 2.25 && perClass.reason.includes('3 × $0.75/class'), 'Per-class rules ignore duration');
+
+  const [tiny] = matchRules(normalizeRules([{ name: 'Tiny', type: 'subject_premium', subjects: ['quran'], amountUSD: 0.01 }]), {
+    payable: [lesson('z1', { duration: 5 })]
+  });
+  assert(tiny === undefined, 'A line that rounds to zero is dropped');
+
+  // ============================================================
+  // RESULTS
+  // ============================================================
+  console.log(`\n${'═'.repeat(60)}`);
+  console.log(`  RESULTS: ${passed} passed, ${failed} failed`);
+  console.log('═'.repeat(60));
+
+  if (failed > 0) {
+    console.log('\n❌ Some tests FAILED. Review output above.\n');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 ALL TESTS PASSED!\n');
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Test error:', err);
+  process.exit(1);
+});
@@ -29,6 +29,12 @@ const teacherSalaryRoutes = require('./routes/teacherSalary');
 const analyticsRoutes = require('./routes/analytics');
 const settingsManagementRoutes = require('./routes/settingsManagement');
 const currencyRoutes = require('./routes/currency');
+const billingPackageRoutes = require('./routes/billingPackages');
+const dunningRoutes = require('./routes/dunning');
+const taxRoutes = require('./routes/tax');
+const creditNoteRoutes = require('./routes/creditNotes');
+const reconciliationRoutes = require('./routes/reconciliation');
+const accountingRoutes = require('./routes/accounting');
 const templateRoutes = require('./routes/templates');
 const libraryRoutes = require('./routes/library');
 const libraryShareRoutes = require('./routes/libraryShares');
@@ -37,6 +43,10 @@ const onboardingRoutes = require('./routes/onboarding');
 const meetingRoutes = require('./routes/meetings');
 const leadRoutes = require('./routes/leads');
 const teacherContractRoutes = require('./routes/teacherContract');
+const teacherScorecardRoutes = require('./routes/teacherScorecards');
+const coverRequestRoutes = require('./routes/coverRequests');
+const teacherOnboardingRoutes = require('./routes/teacherOnboarding');
+const calendarFeedRoutes = require('./routes/calendarFeeds');
 const trashRoutes = require('./routes/trash');
 
 // Create Express application
@@ -201,6 +211,9 @@ const shouldSkipGlobalLimits = (req) => {
   // rate-limiting must not drop it, since the website treats any non-2xx as a
   // permanent failure and does not retry.
   if (p === '/api/meetings/webhook/website-booking') return true;
+  // Payment provider webhooks (signed per provider) retry on non-2xx and may
+  // arrive in bursts from a few provider IPs.
+  if (p.startsWith('/api/invoices/webhooks/payments/')) return true;
   // Health/version should never be rate-limited.
   return p === '/api/health' || p === '/api/version';
 };
@@ -353,6 +366,12 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/onboarding', onboardingRoutes);
 app.use('/api/settings-management', settingsManagementRoutes);
 app.use('/api/currency', currencyRoutes);
+app.use('/api/billing-packages', billingPackageRoutes);
+app.use('/api/dunning', dunningRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/accounting', accountingRoutes);
 app.use('/api/templates', templateRoutes);
 app.use('/api/library', libraryRoutes);
 app.use('/api/library/shares', libraryShareRoutes);
@@ -360,6 +379,10 @@ app.use('/api/whiteboard', whiteboardRoutes);
 app.use('/api/meetings', meetingRoutes);
 app.use('/api/leads', leadRoutes);
 app.use('/api/teacher-contract', teacherContractRoutes);
+app.use('/api/teacher-scorecards', teacherScorecardRoutes);
+app.use('/api/cover-requests', coverRequestRoutes);
+app.use('/api/teacher-onboarding', teacherOnboardingRoutes);
+app.use('/api/calendar-feeds', calendarFeedRoutes);
 app.use('/api/evaluations', require('./routes/evaluations'));
 app.use('/api/teacher-interview-feedback', require('./routes/teacherInterviewFeedback'));
 app.use('/api/trash', trashRoutes);
@@ -376,6 +399,9 @@ app.use('/api/vacations', vacationRoutes);
 const systemVacationRoutes = require('./routes/systemVacations');
 app.use('/api/system-vacations', systemVacationRoutes);
 
+// Hijri-date scheduling rules (Ramadan timetables, Eid breaks)
+app.use('/api/hijri-schedule-rules', require('./routes/hijriScheduleRules'));
+
 // Notifications routes
 const notificationRoutes = require('./routes/notifications');
 app.use('/api/notifications', notificationRoutes);
@@ -422,6 +448,19 @@ const startDatabaseDependentJobs = () => {
     console.warn('Failed to start dashboard scheduled job:', e && e.message);
   }
 
+  // Resolve Hijri scheduling rules (daily at 04:45 Cairo, before generation)
+  try {
+    const cron = require('node-cron');
+    const { runHijriScheduleRulesJob } = require('./jobs/hijriScheduleRulesJob');
+    cron.schedule('45 4 * * *', async () => {
+      try {
+        await runHijriScheduleRulesJob();
+      } catch (e) { console.error('Scheduled Hijri rules job failed:', e && e.message); }
+    }, { timezone: 'Africa/Cairo' });
+  } catch (e) {
+    console.warn('Failed to schedule Hijri rules job:', e && e.message);
+  }
+
   // Schedule recurring-classes generation job (daily at 05:00)
   try {
     const cron = require('node-cron');
@@ -505,6 +544,15 @@ const startDatabaseDependentJobs = () => {
     console.warn('Failed to schedule zero-hour invoice check job:', e && e.message);
   }
 
+  // Schedule overdue-invoice dunning (daily at 10:00). The policy is disabled
+  // until an admin enables it from the dunning queue.
+  try {
+    const { scheduleDunning } = require('./jobs/dunningJob');
+    scheduleDunning();
+  } catch (e) {
+    console.warn('Failed to schedule dunning job:', e && e.message);
+  }
+
   // Schedule teacher invoice generation job (monthly on 1st at 00:05)
   try {
     const cron = require('node-cron');
@@ -514,6 +562,71 @@ const startDatabaseDependentJobs = () => {
     console.warn('Failed to start teacher invoice generation job:', e && e.message);
   }
 
+  // Schedule monthly teacher scorecards (1st of the month at 04:30 Cairo)
+  try {
+    const cron = require('node-cron');
+    const { runTeacherScorecardsJob } = require('./jobs/teacherScorecardsJob');
+    cron.schedule('30 4 1 * *', async () => {
+      try {
+        await runTeacherScorecardsJob();
+      } catch (e) { console.error('Scheduled teacher scorecards job failed:', e && e.message); }
+    }, { timezone: 'Africa/Cairo' });
+  } catch (e) {
+    console.warn('Failed to schedule teacher scorecards job:', e && e.message);
+  }
+
+  // Daily teacher document expiry reminders (05:15 Cairo)
+  try {
+    const cron = require('node-cron');
+    const { runTeacherDocumentExpiryJob } = require('./jobs/teacherDocumentExpiryJob');
+    cron.schedule('15 5 * * *', async () => {
+      try {
+        await runTeacherDocumentExpiryJob();
+      } catch (e) { console.error('Scheduled teacher document expiry job failed:', e && e.message); }
+    }, { timezone: 'Africa/Cairo' });
+  } catch (e) {
+    console.warn('Failed to schedule teacher document expiry job:', e && e.message);
+  }
+
+  // Daily expiry of unused package hours (01:30 Cairo)
+  try {
+    const cron = require('node-cron');
+    const { runExpirePackageHoursJob } = require('./jobs/expirePackageHoursJob');
+    cron.schedule('30 1 * * *', async () => {
+      try {
+        await runExpirePackageHoursJob();
+      } catch (e) { console.error('Scheduled package hours expiry job failed:', e && e.message); }
+    }, { timezone: 'Africa/Cairo' });
+  } catch (e) {
+    console.warn('Failed to schedule package hours expiry job:', e && e.message);
+  }
+
+  // Daily lock of invoices still waiting for an exchange rate (01:45 Cairo)
+  try {
+    const cron = require('node-cron');
+    const CurrencyService = require('./services/currencyService');
+    cron.schedule('45 1 * * *', async () => {
+      try {
+        await CurrencyService.lockPendingInvoiceRates();
+      } catch (e) { console.error('Scheduled pending exchange rate lock failed:', e && e.message); }
+    }, { timezone: 'Africa/Cairo' });
+  } catch (e) {
+    console.warn('Failed to schedule pending exchange rate lock:', e && e.message);
+  }
+
+  // Import teachers' own Google calendar busy time (every 15 minutes)
+  try {
+    const cron = require('node-cron');
+    const { runTeacherCalendarImportJob } = require('./jobs/teacherCalendarImportJob');
+    cron.schedule('*/15 * * * *', async () => {
+      try {
+        await runTeacherCalendarImportJob();
+      } catch (e) { console.error('Scheduled teacher calendar import job failed:', e && e.message); }
+    }, { timezone: 'Africa/Cairo' });
+  } catch (e) {
+    console.warn('Failed to schedule teacher calendar import job:', e && e.message);
+  }
+
   // Start email queue processor
   try {
     const { initEmailQueueProcessor } = require('./services/emailService');
@@ -0,0 +1,874 @@
+// backend/services/accountingExportService.js
+// ============================================================
+// Double-entry journal export for the accounting system
+// ============================================================
+// buildJournal() turns one period of money movements into balanced journal
+// entries in the base currency (USD):
+//   - guardian invoice issued      Dr receivable / Cr tuition, tax, fees
+//   - guardian payment received    Dr bank|PayPal|card|cash / Cr receivable, tips
+//   - credit note (refund)         Dr tuition, fees, tax / Cr bank (reversed when voided)
+//   - teacher invoice published    Dr salaries, bonuses, extras, tips / Cr salaries payable
+//   - teacher invoice paid         Dr salaries payable / Cr bank, transfer fees withheld
+// Account codes come from the chart of accounts stored in Setting
+// `accounting.chartOfAccounts`; the chart is snapshotted on every export.
+//
+// createExport() stores the journal as a locked JournalExport together with a
+// fingerprint of the lines each source document produced. Saving an invoice,
+// credit note or teacher invoice inside a locked period flags the export's
+// drift at once (flagLockedPeriodEdit, from the model save hooks); checkDrift()
+// rebuilds the whole period with the export's own chart and flags documents
+// whose lines changed, disappeared or were added after the export.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Setting = require('../models/Setting');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const TeacherInvoice = require('../models/TeacherInvoice');
+const JournalExport = require('../models/JournalExport');
+
+const CHART_SETTING_KEY = 'accounting.chartOfAccounts';
+const BASE_CURRENCY = 'USD';
+const FORMATS = ['csv', 'xero', 'quickbooks'];
+const MAX_PERIOD_DAYS = 366;
+
+const DEFAULT_CHART = {
+  accounts: {
+    bank: { code: '1000', name: 'Bank' },
+    paypal: { code: '1010', name: 'PayPal' },
+    cardClearing: { code: '1020', name: 'Card payments clearing' },
+    cash: { code: '1030', name: 'Cash on hand' },
+    accountsReceivable: { code: '1100', name: 'Accounts receivable' },
+    salariesPayable: { code: '2100', name: 'Teacher salaries payable' },
+    teacherTransferFees: { code: '2110', name: 'Teacher transfer fees withheld' },
+    taxPayable: { code: '2200', name: 'Sales tax payable' },
+    tipsPayable: { code: '2300', name: 'Tips payable to teachers' },
+    tuitionRevenue: { code: '4000', name: 'Tuition revenue' },
+    transferFeeIncome: { code: '4100', name: 'Transfer fees recharged' },
+    lateFeeIncome: { code: '4200', name: 'Late fees' },
+    discounts: { code: '4900', name: 'Discounts given' },
+    salaryExpense: { code: '5000', name: 'Teacher salaries' },
+    bonusExpense: { code: '5010', name: 'Teacher bonuses' },
+    extrasExpense: { code: '5020', name: 'Teacher extras and reimbursements' },
+    rounding: { code: '7900', name: 'Currency rounding' }
+  },
+  // Invoice / teacher invoice payment method -> account key
+  paymentAccounts: {
+    manual: 'bank',
+    bank_transfer: 'bank',
+    check: 'bank',
+    instapay: 'bank',
+    vodafone_cash: 'bank',
+    other: 'bank',
+    paypal: 'paypal',
+    credit_card: 'cardClearing',
+    cash: 'cash'
+  },
+  refundAccount: 'bank',
+  xeroTaxRate: 'Tax Exempt'
+};
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const trimmed = (value, max = 120) => String(value ?? '').trim().slice(0, max);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* ----------------------------- chart of accounts ----------------------------- */
+
+function normalizeChart(raw = {}) {
+  const accounts = {};
+  Object.entries(DEFAULT_CHART.accounts).forEach(([key, fallback]) => {
+    const entry = raw.accounts?.[key] || {};
+    const code = trimmed(entry.code ?? fallback.code, 30);
+    const name = trimmed(entry.name ?? fallback.name);
+    if (!code || !name) {
+      throw buildError(400, `Account "${key}" needs a code and a name`, 'CHART_INVALID');
+    }
+    accounts[key] = { code, name };
+  });
+
+  const paymentAccounts = {};
+  Object.entries(DEFAULT_CHART.paymentAccounts).forEach(([method, fallback]) => {
+    const key = raw.paymentAccounts?.[method] || fallback;
+    if (!accounts[key]) {
+      throw buildError(400, `Payment method "${method}" maps to an unknown account`, 'CHART_INVALID');
+    }
+    paymentAccounts[method] = key;
+  });
+
+  const refundAccount = raw.refundAccount || DEFAULT_CHART.refundAccount;
+  if (!accounts[refundAccount]) {
+    throw buildError(400, 'Refund account is unknown', 'CHART_INVALID');
+  }
+
+  return {
+    accounts,
+    paymentAccounts,
+    refundAccount,
+    xeroTaxRate: trimmed(raw.xeroTaxRate ?? DEFAULT_CHART.xeroTaxRate, 60) || DEFAULT_CHART.xeroTaxRate
+  };
+}
+
+async function getChart() {
+  const doc = await Setting.findOne({ key: CHART_SETTING_KEY }).lean();
+  if (!doc || !doc.value) return normalizeChart(DEFAULT_CHART);
+  try {
+    return normalizeChart(doc.value);
+  } catch (err) {
+    console.warn('[Accounting] Stored chart of accounts is invalid, using defaults:', err.message);
+    return normalizeChart(DEFAULT_CHART);
+  }
+}
+
+async function updateChart(body = {}) {
+  const current = await getChart();
+  const next = normalizeChart({
+    accounts: { ...current.accounts, ...(body.accounts || {}) },
+    paymentAccounts: { ...current.paymentAccounts, ...(body.paymentAccounts || {}) },
+    refundAccount: body.refundAccount !== undefined ? body.refundAccount : current.refundAccount,
+    xeroTaxRate: body.xeroTaxRate !== undefined ? body.xeroTaxRate : current.xeroTaxRate
+  });
+  await Setting.findOneAndUpdate(
+    { key: CHART_SETTING_KEY },
+    { $set: { value: next, description: 'Chart of accounts used by the journal export' } },
+    { upsert: true, new: true }
+  );
+  return next;
+}
+
+/* --------------------------------- period --------------------------------- */
+
+const parseDay = (value) => {
+  if (!value) return null;
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Accepts { year, month } or inclusive { from, to } (YYYY-MM-DD, UTC days).
+ * Returns [periodStart, periodEnd) boundaries.
+ */
+function resolvePeriod({ year, month, from, to } = {}) {
+  let start;
+  let end;
+  if (year && month) {
+    const y = Number(year);
+    const m = Number(month);
+    if (!Number.isInteger(y) || !Number.isInteger(m) || m < 1 || m > 12) {
+      throw buildError(400, 'Invalid year/month', 'PERIOD_INVALID');
+    }
+    start = new Date(Date.UTC(y, m - 1, 1));
+    end = new Date(Date.UTC(y, m, 1));
+  } else {
+    start = parseDay(from);
+    const last = parseDay(to);
+    if (!start || !last) throw buildError(400, 'Provide year and month, or from and to dates', 'PERIOD_INVALID');
+    end = new Date(last.getTime() + DAY_MS);
+  }
+  if (end <= start) throw buildError(400, 'Period end must be after its start', 'PERIOD_INVALID');
+  if ((end - start) / DAY_MS > MAX_PERIOD_DAYS) {
+    throw buildError(400, 'A journal export can cover at most one year', 'PERIOD_INVALID');
+  }
+  return { periodStart: start, periodEnd: end };
+}
+
+const inPeriod = (value, periodStart, periodEnd) => {
+  if (!value) return false;
+  const date = new Date(value);
+  return date >= periodStart && date < periodEnd;
+};
+
+/* -------------------------------- journal --------------------------------- */
+
+const personName = (person) => {
+  if (!person || typeof person !== 'object') return '';
+  return [person.firstName, person.lastName].filter(Boolean).join(' ').trim();
+};
+
+// Invoice currency units per 1 USD, as locked on the document.
+// Documents still waiting for a rate (or locked at the old 1:1 fallback) are
+// refused rather than booked at parity.
+const lockedRate = (currency, snapshot, number) => {
+  if (!currency || String(currency).toUpperCase() === BASE_CURRENCY) return 1;
+  const rate = Number(snapshot?.rate);
+  if (!Number.isFinite(rate) || rate <= 0 || snapshot?.isFallback) {
+    throw buildError(409, `${number} has no locked ${BASE_CURRENCY}/${currency} exchange rate yet`, 'JOURNAL_RATE_MISSING');
+  }
+  return rate;
+};
+
+const HALF_CENT = 0.005;
+
+/**
+ * Builds one balanced entry. `lines` are { account, debit, credit, original }
+ * in document currency and must balance there. Amounts are converted with
+ * `rate`; only the conversion rounding (at most half a cent per line) lands on
+ * the rounding account. Anything larger throws JOURNAL_UNBALANCED so a bad
+ * posting is reported instead of hidden.
+ */
+function makeEntry(chart, { date, memo, reference, contact, sourceType, sourceNumber, currency, rate, lines }) {
+  const imbalance = roundCurrency(lines.reduce((sum, line) => sum + (Number(line.debit) || 0) - (Number(line.credit) || 0), 0));
+  if (Math.abs(imbalance) >= HALF_CENT) {
+    throw buildError(422, `${sourceNumber} (${sourceType}) does not balance: debits ${imbalance > 0 ? 'exceed' : 'fall short of'} credits by ${Math.abs(imbalance).toFixed(2)} ${currency}`, 'JOURNAL_UNBALANCED');
+  }
+
+  const out = [];
+  lines.forEach((line) => {
+    // A negative residual (e.g. an override below the itemised amounts) flips sides
+    const original = roundCurrency((Number(line.debit) || 0) - (Number(line.credit) || 0));
+    const converted = roundCurrency(original / rate);
+    if (converted === 0) return;
+    out.push({
+      account: line.account,
+      debit: converted > 0 ? converted : 0,
+      credit: converted < 0 ? Math.abs(converted) : 0,
+      original
+    });
+  });
+  if (!out.length) return null;
+
+  const diff = roundCurrency(out.reduce((sum, line) => sum + line.debit - line.credit, 0));
+  if (Math.abs(diff) > roundCurrency(out.length * HALF_CENT)) {
+    throw buildError(422, `${sourceNumber} (${sourceType}) is off by ${Math.abs(diff).toFixed(2)} ${BASE_CURRENCY} after conversion`, 'JOURNAL_UNBALANCED');
+  }
+  if (diff !== 0) {
+    out.push({
+      account: 'rounding',
+      debit: diff < 0 ? Math.abs(diff) : 0,
+      credit: diff > 0 ? diff : 0,
+      original: null
+    });
+  }
+
+  return {
+    date: new Date(date),
+    sourceType,
+    lines: out.map((line) => ({
+      date: new Date(date),
+      accountKey: line.account,
+      accountCode: chart.accounts[line.account]?.code,
+      accountName: chart.accounts[line.account]?.name,
+      debit: line.debit,
+      credit: line.credit,
+      description: memo,
+      reference: reference || sourceNumber,
+      contact,
+      sourceType,
+      sourceNumber,
+      originalCurrency: currency,
+      originalAmount: line.original
+    }))
+  };
+}
+
+const paymentAccountFor = (chart, method) => chart.paymentAccounts[method] || chart.paymentAccounts.manual;
+
+function guardianInvoiceEntries(chart, invoice, periodStart, periodEnd) {
+  const entries = [];
+  const number = invoice.invoiceNumber || String(invoice._id);
+  const contact = personName(invoice.guardian);
+  const currency = invoice.currency || BASE_CURRENCY;
+  const rate = lockedRate(currency, invoice.exchangeRateSnapshot, `Invoice ${number}`);
+  const issued = !['draft', 'cancelled'].includes(invoice.status);
+
+  if (issued && inPeriod(invoice.createdAt, periodStart, periodEnd)) {
+    const total = roundCurrency(invoice.total);
+    const tax = roundCurrency(invoice.tax);
+    const discount = roundCurrency(invoice.discount);
+    const lateFee = roundCurrency(invoice.lateFee);
+    const fee = invoice.guardianFinancial?.transferFee;
+    const transferFee = fee && !fee.waived ? roundCurrency(fee.amount) : 0;
+    // Tuition is the invoice's own subtotal; a total that disagrees with its
+    // parts fails the balance check in makeEntry instead of being absorbed
+    const tuition = Number.isFinite(Number(invoice.subtotal))
+      ? roundCurrency(invoice.subtotal)
+      : roundCurrency(total + discount - tax - lateFee - transferFee);
+    const entry = makeEntry(chart, {
+      date: invoice.createdAt,
+      memo: `Invoice ${number} issued${contact ? ` — ${contact}` : ''}`,
+      contact,
+      sourceType: 'invoice',
+      sourceNumber: number,
+      currency,
+      rate,
+      lines: [
+        { account: 'accountsReceivable', debit: total },
+        { account: 'discounts', debit: discount },
+        { account: 'tuitionRevenue', credit: tuition },
+        { account: 'taxPayable', credit: tax },
+        { account: 'lateFeeIncome', credit: lateFee },
+        { account: 'transferFeeIncome', credit: transferFee }
+      ]
+    });
+    if (entry) entries.push(entry);
+  }
+
+  (invoice.paymentLogs || []).forEach((log) => {
+    const method = log.paymentMethod || log.method;
+    if (!log || ['refund', 'tip_distribution'].includes(log.method) || method === 'refund') return;
+    const amount = roundCurrency(log.amount);
+    const tip = roundCurrency(log.tip);
+    if (amount <= 0 && tip <= 0) return;
+    if (!inPeriod(log.processedAt, periodStart, periodEnd)) return;
+    const entry = makeEntry(chart, {
+      date: log.processedAt,
+      memo: `Payment for invoice ${number}${contact ? ` — ${contact}` : ''}`,
+      reference: log.transactionId,
+      contact,
+      sourceType: 'payment',
+      sourceNumber: number,
+      currency,
+      rate,
+      lines: [
+        { account: paymentAccountFor(chart, method), debit: amount + tip },
+        { account: 'accountsReceivable', credit: amount },
+        { account: 'tipsPayable', credit: tip }
+      ]
+    });
+    if (entry) entries.push(entry);
+  });
+
+  return entries;
+}
+
+function creditNoteEntries(chart, note, periodStart, periodEnd) {
+  const entries = [];
+  const number = note.creditNoteNumber || String(note._id);
+  const contact = personName(note.guardianSnapshot);
+  const currency = note.currency || BASE_CURRENCY;
+  const rate = lockedRate(currency, note.exchangeRate, `Credit note ${number}`);
+  const total = roundCurrency(note.total);
+  const transferFee = roundCurrency(note.transferFeeCredited);
+  const tuition = roundCurrency(note.subtotal);
+  // Tax is whatever the refund holds beyond tuition and fee; a refund smaller
+  // than those parts fails the balance check instead of shrinking tuition
+  const tax = roundCurrency(Math.max(0, total - tuition - transferFee));
+  const lines = [
+    { account: 'tuitionRevenue', debit: tuition },
+    { account: 'transferFeeIncome', debit: transferFee },
+    { account: 'taxPayable', debit: tax },
+    { account: chart.refundAccount, credit: total }
+  ];
+  const base = {
+    reference: note.refundReference,
+    contact,
+    sourceType: 'credit_note',
+    sourceNumber: number,
+    currency,
+    rate
+  };
+
+  if (inPeriod(note.issuedAt, periodStart, periodEnd)) {
+    const entry = makeEntry(chart, {
+      ...base,
+      date: note.issuedAt,
+      memo: `Credit note ${number} for invoice ${note.invoiceNumber || ''}`.trim(),
+      lines
+    });
+    if (entry) entries.push(entry);
+  }
+  if (note.status === 'voided' && inPeriod(note.voidedAt, periodStart, periodEnd)) {
+    const entry = makeEntry(chart, {
+      ...base,
+      date: note.voidedAt,
+      memo: `Credit note ${number} voided`,
+      lines: lines.map((line) => ({ account: line.account, debit: line.credit, credit: line.debit }))
+    });
+    if (entry) entries.push(entry);
+  }
+  return entries;
+}
+
+const publishedAt = (invoice) => {
+  const published = (invoice.changeHistory || []).filter((entry) => entry?.action === 'publish');
+  return published.length ? published[published.length - 1].changedAt : invoice.createdAt;
+};
+
+function teacherInvoiceEntries(chart, invoice, periodStart, periodEnd) {
+  const entries = [];
+  const number = invoice.invoiceNumber || String(invoice._id);
+  const contact = personName(invoice.teacher);
+  const totalUSD = roundCurrency(invoice.totalUSD);
+  const totalEGP = roundCurrency(invoice.totalEGP);
+  // EGP per USD actually used on the invoice (overrides included)
+  const egpRate = totalUSD > 0 && totalEGP > 0
+    ? totalEGP / totalUSD
+    : (Number(invoice.exchangeRateSnapshot?.rate) || 1);
+
+  const publishDate = publishedAt(invoice);
+  if (['published', 'paid', 'archived'].includes(invoice.status) && inPeriod(publishDate, periodStart, periodEnd)) {
+    const bonuses = roundCurrency(invoice.bonusesUSD);
+    const guardianTips = roundCurrency(Math.min(bonuses, (invoice.bonuses || [])
+      .filter((bonus) => bonus?.source === 'guardian')
+      .reduce((sum, bonus) => sum + (Number(bonus.amountUSD) || 0), 0)));
+    const extras = roundCurrency(invoice.extrasUSD);
+    const entry = makeEntry(chart, {
+      date: publishDate,
+      memo: `Teacher invoice ${number} (${String(invoice.month).padStart(2, '0')}/${invoice.year})${contact ? ` — ${contact}` : ''}`,
+      contact,
+      sourceType: 'teacher_invoice',
+      sourceNumber: number,
+      currency: BASE_CURRENCY,
+      rate: 1,
+      lines: [
+        { account: 'salaryExpense', debit: roundCurrency(totalUSD - bonuses - extras) },
+        { account: 'bonusExpense', debit: roundCurrency(bonuses - guardianTips) },
+        { account: 'tipsPayable', debit: guardianTips },
+        extras >= 0
+          ? { account: 'extrasExpense', debit: extras }
+          : { account: 'extrasExpense', credit: Math.abs(extras) },
+        { account: 'salariesPayable', credit: totalUSD }
+      ]
+    });
+    if (entry) entries.push(entry);
+  }
+
+  if (invoice.paidAt && inPeriod(invoice.paidAt, periodStart, periodEnd)) {
+    const fee = roundCurrency(invoice.transferFeeEGP);
+    const net = roundCurrency(invoice.netAmountEGP);
+    const entry = makeEntry(chart, {
+      date: invoice.paidAt,
+      memo: `Salary payout ${number}${contact ? ` — ${contact}` : ''}`,
+      reference: invoice.transactionId,
+      contact,
+      sourceType: 'teacher_payment',
+      sourceNumber: number,
+      currency: 'EGP',
+      rate: egpRate,
+      lines: [
+        { account: 'salariesPayable', debit: roundCurrency(net + fee) },
+        { account: paymentAccountFor(chart, invoice.paymentMethod), credit: net },
+        { account: 'teacherTransferFees', credit: fee }
+      ]
+    });
+    if (entry) entries.push(entry);
+  }
+
+  return entries;
+}
+
+const fingerprintLines = (lines) => crypto
+  .createHash('sha1')
+  .update(JSON.stringify(lines.map((line) => [
+    new Date(line.date).toISOString(), line.accountKey, line.debit, line.credit, line.sourceType, line.reference || ''
+  ])))
+  .digest('hex');
+
+// Per-document failures reported instead of exported (see makeEntry, lockedRate)
+const DOCUMENT_PROBLEMS = ['JOURNAL_UNBALANCED', 'JOURNAL_RATE_MISSING'];
+
+/**
+ * Loads every document with activity in [periodStart, periodEnd) and returns
+ * the journal entries grouped by source document, plus the documents that
+ * could not be posted (`problems`).
+ */
+async function buildJournal({ periodStart, periodEnd }, chart) {
+  const range = { $gte: periodStart, $lt: periodEnd };
+
+  const [invoices, creditNotes, teacherInvoices] = await Promise.all([
+    Invoice.find({
+      type: 'guardian_invoice',
+      deleted: { $ne: true },
+      $or: [{ createdAt: range }, { 'paymentLogs.processedAt': range }]
+    })
+      .select('invoiceNumber guardian status createdAt subtotal total tax discount lateFee currency exchangeRateSnapshot guardianFinancial.transferFee paymentLogs')
+      .populate('guardian', 'firstName lastName')
+      .lean(),
+    CreditNote.find({ $or: [{ issuedAt: range }, { voidedAt: range }] }).lean(),
+    TeacherInvoice.find({
+      deleted: { $ne: true },
+      status: { $in: ['published', 'paid', 'archived'] },
+      $or: [{ createdAt: range }, { paidAt: range }, { changeHistory: { $elemMatch: { action: 'publish', changedAt: range } } }]
+    })
+      .populate('teacher', 'firstName lastName')
+      .lean()
+  ]);
+
+  const documents = [];
+  const problems = [];
+  const collect = (kind, doc, number, build) => {
+    let entries;
+    try {
+      entries = build(chart, doc, periodStart, periodEnd);
+    } catch (err) {
+      if (!DOCUMENT_PROBLEMS.includes(err.code)) throw err;
+      problems.push({ kind, ref: doc._id, number, code: err.code, message: err.message });
+      return;
+    }
+    if (!entries.length) return;
+    documents.push({ kind, ref: doc._id, number, entries });
+  };
+  invoices.forEach((invoice) => collect('invoice', invoice, invoice.invoiceNumber, guardianInvoiceEntries));
+  creditNotes.forEach((note) => collect('credit_note', note, note.creditNoteNumber, creditNoteEntries));
+  teacherInvoices.forEach((invoice) => collect('teacher_invoice', invoice, invoice.invoiceNumber, teacherInvoiceEntries));
+
+  return {
+    documents: documents.map((doc) => ({
+      ...doc,
+      fingerprint: fingerprintLines(doc.entries.flatMap((entry) => entry.lines))
+    })),
+    problems
+  };
+}
+
+// Flattens documents into numbered lines (JE-00001…) ordered by date.
+function numberLines(documents) {
+  const entries = documents
+    .flatMap((doc) => doc.entries)
+    .sort((a, b) => a.date - b.date || String(a.lines[0]?.sourceNumber).localeCompare(String(b.lines[0]?.sourceNumber)));
+  const lines = [];
+  entries.forEach((entry, idx) => {
+    const entryNumber = `JE-${String(idx + 1).padStart(5, '0')}`;
+    entry.lines.forEach((line) => lines.push({ entryNumber, ...line }));
+  });
+  const debit = roundCurrency(lines.reduce((sum, line) => sum + line.debit, 0));
+  const credit = roundCurrency(lines.reduce((sum, line) => sum + line.credit, 0));
+  return { lines, totals: { entries: entries.length, lines: lines.length, debit, credit } };
+}
+
+const summarizeByAccount = (lines) => {
+  const byAccount = new Map();
+  lines.forEach((line) => {
+    const row = byAccount.get(line.accountKey) || { accountKey: line.accountKey, accountCode: line.accountCode, accountName: line.accountName, debit: 0, credit: 0 };
+    row.debit = roundCurrency(row.debit + line.debit);
+    row.credit = roundCurrency(row.credit + line.credit);
+    byAccount.set(line.accountKey, row);
+  });
+  return Array.from(byAccount.values()).sort((a, b) => String(a.accountCode).localeCompare(String(b.accountCode)));
+};
+
+/* -------------------------------- exports --------------------------------- */
+
+async function previewJournal(periodInput) {
+  const period = resolvePeriod(periodInput);
+  const chart = await getChart();
+  const { documents, problems } = await buildJournal(period, chart);
+  const { lines, totals } = numberLines(documents);
+  return { ...period, totals, accounts: summarizeByAccount(lines), documentCount: documents.length, problems };
+}
+
+async function createExport(periodInput, actorId) {
+  const period = resolvePeriod(periodInput);
+  const overlapping = await JournalExport.findOne({
+    status: 'locked',
+    periodStart: { $lt: period.periodEnd },
+    periodEnd: { $gt: period.periodStart }
+  }).select('label periodStart periodEnd').lean();
+  if (overlapping) {
+    throw buildError(409, `This period overlaps the locked export "${overlapping.label}". Void it first to re-export.`, 'JOURNAL_PERIOD_LOCKED');
+  }
+
+  const chart = await getChart();
+  const { documents, problems } = await buildJournal(period, chart);
+  if (problems.length) {
+    const listed = problems.slice(0, 5).map((problem) => problem.message).join('; ');
+    const err = buildError(409, `${problems.length} document(s) cannot be posted: ${listed}${problems.length > 5 ? '; …' : ''}`, 'JOURNAL_DOCUMENT_PROBLEMS');
+    err.problems = problems;
+    throw err;
+  }
+  const { lines, totals } = numberLines(documents);
+  if (!lines.length) throw buildError(400, 'Nothing to export for this period', 'JOURNAL_EMPTY');
+
+  const lastDay = new Date(period.periodEnd.getTime() - DAY_MS);
+  const label = trimmed(periodInput.label, 120)
+    || `${period.periodStart.toISOString().slice(0, 10)} – ${lastDay.toISOString().slice(0, 10)}`;
+
+  return JournalExport.create({
+    ...period,
+    label,
+    baseCurrency: BASE_CURRENCY,
+    accounts: chart,
+    lines,
+    documents: documents.map(({ kind, ref, number, fingerprint }) => ({ kind, ref, number, fingerprint })),
+    totals,
+    createdBy: actorId
+  });
+}
+
+async function listExports({ page = 1, limit = 20 } = {}) {
+  const safeLimit = Math.min(100, Math.max(1, Number(limit) || 20));
+  const safePage = Math.max(1, Number(page) || 1);
+  const [exports, total] = await Promise.all([
+    JournalExport.find()
+      .select('-lines -documents -accounts')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ periodStart: -1, createdAt: -1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .lean(),
+    JournalExport.countDocuments()
+  ]);
+  return { exports, pagination: { page: safePage, limit: safeLimit, total } };
+}
+
+async function loadExport(exportId) {
+  if (!mongoose.Types.ObjectId.isValid(exportId)) throw buildError(400, 'Invalid export id', 'JOURNAL_INVALID_ID');
+  const doc = await JournalExport.findById(exportId);
+  if (!doc) throw buildError(404, 'Journal export not found', 'JOURNAL_NOT_FOUND');
+  return doc;
+}
+
+async function getExport(exportId) {
+  const doc = await loadExport(exportId);
+  const plain = doc.toObject();
+  return {
+    ...plain,
+    lines: undefined,
+    documents: undefined,
+    documentCount: plain.documents.length,
+    accountSummary: summarizeByAccount(plain.lines)
+  };
+}
+
+/**
+ * Re-runs the export's period with the chart it was built with and records
+ * which covered documents changed since.
+ */
+async function checkDrift(exportId) {
+  const doc = await loadExport(exportId);
+  const chart = normalizeChart(doc.accounts || DEFAULT_CHART);
+  const { documents: current, problems } = await buildJournal({ periodStart: doc.periodStart, periodEnd: doc.periodEnd }, chart);
+  const keyOf = (entry) => `${entry.kind}:${String(entry.ref)}`;
+  const live = new Map(current.map((entry) => [keyOf(entry), entry]));
+  const unpostable = new Set(problems.map(keyOf));
+  const exported = new Map(doc.documents.map((entry) => [keyOf(entry), entry]));
+
+  const items = [];
+  exported.forEach((entry, key) => {
+    const now = live.get(key);
+    if (!now) items.push({ kind: entry.kind, ref: entry.ref, number: entry.number, change: unpostable.has(key) ? 'modified' : 'removed' });
+    else if (now.fingerprint !== entry.fingerprint) items.push({ kind: entry.kind, ref: entry.ref, number: entry.number, change: 'modified' });
+  });
+  live.forEach((entry, key) => {
+    if (!exported.has(key)) items.push({ kind: entry.kind, ref: entry.ref, number: entry.number, change: 'added' });
+  });
+
+  doc.drift = { checkedAt: new Date(), count: items.length, items };
+  await doc.save();
+  return doc.drift;
+}
+
+const ENTRY_BUILDERS = {
+  invoice: guardianInvoiceEntries,
+  credit_note: creditNoteEntries,
+  teacher_invoice: teacherInvoiceEntries
+};
+
+// Dates at which a document can put lines into a journal
+function journalDates(kind, doc) {
+  let dates;
+  if (kind === 'invoice') dates = [doc.createdAt, ...(doc.paymentLogs || []).map((log) => log?.processedAt)];
+  else if (kind === 'credit_note') dates = [doc.issuedAt, doc.voidedAt];
+  else dates = [doc.createdAt, doc.paidAt, ...(doc.changeHistory || []).map((entry) => entry?.changedAt)];
+  return dates.filter(Boolean).map((value) => new Date(value)).filter((date) => !Number.isNaN(date.getTime()));
+}
+
+// Same document filter as buildJournal: anything else contributes no lines
+function journalsDocument(kind, doc) {
+  if (doc.deleted === true) return false;
+  if (kind === 'invoice') return doc.type === 'guardian_invoice';
+  if (kind === 'teacher_invoice') return ['published', 'paid', 'archived'].includes(doc.status);
+  return true;
+}
+
+/**
+ * Locked-period check run from the Invoice, CreditNote and TeacherInvoice
+ * save hooks. Rebuilds the saved document's lines for every locked export
+ * whose period it touches and records the difference as drift right away,
+ * so an exported period can't change without the export showing it.
+ * @returns {Promise<Array>} the exports flagged, as { exportId, label, change }
+ */
+async function flagLockedPeriodEdit(kind, source) {
+  const doc = source && typeof source.toObject === 'function' ? source.toObject() : source;
+  if (!doc?._id || !ENTRY_BUILDERS[kind]) return [];
+  if (kind === 'invoice' && doc.type && doc.type !== 'guardian_invoice') return [];
+
+  const touches = journalDates(kind, doc).map((date) => ({ periodStart: { $lte: date }, periodEnd: { $gt: date } }));
+  const exports = await JournalExport.find({
+    status: 'locked',
+    $or: [{ documents: { $elemMatch: { kind, ref: doc._id } } }, ...touches]
+  }).select('label periodStart periodEnd accounts documents drift');
+
+  const flagged = [];
+  for (const exp of exports) {
+    let fingerprint = null;
+    let unreadable = false;
+    if (journalsDocument(kind, doc)) {
+      try {
+        const chart = normalizeChart(exp.accounts || DEFAULT_CHART);
+        const entries = ENTRY_BUILDERS[kind](chart, doc, exp.periodStart, exp.periodEnd);
+        if (entries.length) fingerprint = fingerprintLines(entries.flatMap((entry) => entry.lines));
+      } catch (err) {
+        unreadable = true;
+      }
+    }
+
+    const key = (entry) => `${entry.kind}:${String(entry.ref)}`;
+    const self = `${kind}:${String(doc._id)}`;
+    const covered = exp.documents.find((entry) => key(entry) === self);
+    let change = null;
+    if (covered) {
+      if (unreadable) change = 'modified';
+      else if (!fingerprint) change = 'removed';
+      else if (fingerprint !== covered.fingerprint) change = 'modified';
+    } else if (fingerprint) {
+      change = 'added';
+    }
+
+    const existing = (exp.drift?.items || []).filter((item) => key(item) !== self);
+    const hadItem = existing.length !== (exp.drift?.items || []).length;
+    if (!change && !hadItem) continue;
+
+    // An edit that restores the exported lines clears its earlier flag
+    const items = change
+      ? [...existing, { kind, ref: doc._id, number: covered?.number || doc.invoiceNumber || doc.creditNoteNumber, change, detectedAt: new Date() }]
+      : existing;
+    await JournalExport.updateOne(
+      { _id: exp._id },
+      { $set: { 'drift.items': items, 'drift.count': items.length } }
+    );
+    if (change) flagged.push({ exportId: exp._id, label: exp.label, change });
+  }
+  if (flagged.length) {
+    console.warn(`[Accounting] ${kind} ${doc.invoiceNumber || doc.creditNoteNumber || doc._id} changed inside locked export(s): ${flagged.map((f) => f.label).join(', ')}`);
+  }
+  return flagged;
+}
+
+/**
+ * Save-hook wrapper: never lets the locked-period check fail the save.
+ */
+function watchLockedPeriods(kind) {
+  return async function lockedPeriodHook(doc) {
+    try {
+      let source = doc;
+      // Query hooks (updateOne) only know the filter; reload the updated document
+      if (!source || typeof source.toObject !== 'function') {
+        const id = this?.getFilter?.()?._id;
+        if (!id || typeof id === 'object' && !mongoose.Types.ObjectId.isValid(String(id))) return;
+        source = await this.model.findById(id).lean();
+      }
+      if (source) await flagLockedPeriodEdit(kind, source);
+    } catch (err) {
+      console.warn(`[Accounting] Locked-period check failed for ${kind}:`, err && err.message);
+    }
+  };
+}
+
+async function voidExport(exportId, actorId, reason) {
+  const doc = await loadExport(exportId);
+  if (doc.status === 'voided') throw buildError(409, 'Journal export is already voided', 'JOURNAL_ALREADY_VOIDED');
+  doc.status = 'voided';
+  doc.voidedAt = new Date();
+  doc.voidedBy = actorId;
+  doc.voidReason = trimmed(reason, 500) || undefined;
+  await doc.save();
+  return doc;
+}
+
+/* -------------------------------- formats --------------------------------- */
+
+// Names and descriptions are user-supplied: a leading =, +, -, @, tab or CR
+// would run as a formula in the accountant's spreadsheet, so such cells are
+// prefixed with ' and quoted. Plain numbers (signed Xero amounts) are left as is.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^-?\d+(\.\d+)?$/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) return `"'${text.replace(/"/g, '""')}"`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (header, rows) => [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+const pad2 = (value) => String(value).padStart(2, '0');
+const isoDay = (date) => new Date(date).toISOString().slice(0, 10);
+const dmy = (date) => { const d = new Date(date); return `${pad2(d.getUTCDate())}/${pad2(d.getUTCMonth() + 1)}/${d.getUTCFullYear()}`; };
+const mdy = (date) => { const d = new Date(date); return `${pad2(d.getUTCMonth() + 1)}/${pad2(d.getUTCDate())}/${d.getUTCFullYear()}`; };
+const money = (value) => (value ? roundCurrency(value).toFixed(2) : '');
+
+const RENDERERS = {
+  // Full detail, one row per journal line
+  csv: (doc) => toCsv(
+    ['Entry', 'Date', 'Account Code', 'Account Name', 'Debit', 'Credit', 'Currency', 'Description', 'Reference', 'Contact', 'Source Type', 'Source Number', 'Original Currency', 'Original Amount'],
+    doc.lines.map((line) => [
+      line.entryNumber, isoDay(line.date), line.accountCode, line.accountName, money(line.debit), money(line.credit),
+      doc.baseCurrency, line.description, line.reference, line.contact, line.sourceType, line.sourceNumber,
+      line.originalCurrency, line.originalAmount ?? ''
+    ])
+  ),
+  // Xero manual journal import: signed amounts, one narration per entry
+  xero: (doc) => toCsv(
+    ['*Narration', '*Date', 'Description', '*AccountCode', '*TaxRate', '*Amount'],
+    doc.lines.map((line) => [
+      `${line.entryNumber} ${line.description || ''}`.trim(), dmy(line.date), line.reference || line.sourceNumber,
+      line.accountCode, doc.accounts?.xeroTaxRate || DEFAULT_CHART.xeroTaxRate, roundCurrency(line.debit - line.credit).toFixed(2)
+    ])
+  ),
+  // QuickBooks Online journal entry import (accounts matched by name)
+  quickbooks: (doc) => toCsv(
+    ['JournalNo', 'JournalDate', 'Currency', 'Memo', 'AccountName', 'Debits', 'Credits', 'Description', 'Name'],
+    doc.lines.map((line) => [
+      line.entryNumber, mdy(line.date), doc.baseCurrency, line.description, line.accountName,
+      money(line.debit), money(line.credit), line.reference || line.sourceNumber, line.contact
+    ])
+  )
+};
+
+/**
+ * Renders a stored export (or any { lines } journal) in one of FORMATS.
+ */
+function renderJournal(doc, format = 'csv') {
+  if (!FORMATS.includes(format)) {
+    throw buildError(400, `Unknown format. Allowed: ${FORMATS.join(', ')}`, 'JOURNAL_FORMAT_INVALID');
+  }
+  return RENDERERS[format](doc);
+}
+
+async function renderExport(exportId, format = 'csv', actorId) {
+  const doc = await loadExport(exportId);
+  const content = renderJournal(doc, format);
+  await JournalExport.updateOne({ _id: doc._id }, { $push: { downloads: { format, at: new Date(), by: actorId } } });
+  const suffix = format === 'csv' ? 'journal' : `journal-${format}`;
+  return {
+    fileName: `${suffix}-${isoDay(doc.periodStart)}-to-${isoDay(new Date(doc.periodEnd.getTime() - DAY_MS))}.csv`,
+    content
+  };
+}
+
+module.exports = {
+  DEFAULT_CHART,
+  FORMATS,
+  normalizeChart,
+  getChart,
+  updateChart,
+  resolvePeriod,
+  buildJournal,
+  previewJournal,
+  createExport,
+  listExports,
+  getExport,
+  checkDrift,
+  flagLockedPeriodEdit,
+  watchLockedPeriods,
+  voidExport,
+  renderExport,
+  // Pure posting and rendering steps, used by scripts/test-journal-export.js
+  makeEntry,
+  guardianInvoiceEntries,
+  creditNoteEntries,
+  teacherInvoiceEntries,
+  numberLines,
+  renderJournal
+};
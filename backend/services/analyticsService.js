@@ -15,6 +15,58 @@ const SalarySettings = require('../models/SalarySettings');
 const MonthlyExchangeRates = require('../models/MonthlyExchangeRates');
 
 class AnalyticsService {
+  /**
+   * Aggregation expression converting a guardian Invoice amount to the base currency
+   * using the rate locked on the invoice. Invoices without a snapshot are base-currency.
+   * @param {String} field - Field path, e.g. '$total' or '$items.amount'
+   * @returns {Object} MongoDB expression
+   */
+  static baseAmountExpr(field = '$total') {
+    return {
+      $cond: [
+        { $gt: [{ $ifNull: ['$exchangeRateSnapshot.rate', 0] }, 0] },
+        { $divide: [field, '$exchangeRateSnapshot.rate'] },
+        field
+      ]
+    };
+  }
+
+  /**
+   * Paid guardian revenue for a period, in the base currency and per invoice currency
+   * @param {Object} options - { start, end }
+   * @returns {Promise<Object>} { baseCurrency, totalBase, byCurrency }
+   */
+  static async getGuardianRevenue(options = {}) {
+    const Invoice = require('../models/Invoice');
+    const { start, end } = options;
+    const paidDate = {};
+    if (start) paidDate.$gte = new Date(start);
+    if (end) paidDate.$lt = new Date(end);
+
+    const rows = await Invoice.aggregate([
+      { $match: { type: 'guardian_invoice', status: 'paid', ...(start || end ? { paidDate } : {}) } },
+      { $group: {
+        _id: { $ifNull: ['$currency', 'USD'] },
+        total: { $sum: '$total' },
+        totalBase: { $sum: this.baseAmountExpr('$total') },
+        invoiceCount: { $sum: 1 }
+      } },
+      { $sort: { totalBase: -1 } }
+    ]);
+
+    const round = (value) => Math.round((value || 0) * 100) / 100;
+    return {
+      baseCurrency: 'USD',
+      totalBase: round(rows.reduce((sum, r) => sum + (r.totalBase || 0), 0)),
+      byCurrency: rows.map(r => ({
+        currency: r._id,
+        total: round(r.total),
+        totalBase: round(r.totalBase),
+        invoiceCount: r.invoiceCount
+      }))
+    };
+  }
+
   /**
    * Get admin dashboard statistics
    * @param {Object} options - { year, startMonth, endMonth }
@@ -974,6 +974,8 @@ async function searchTeachersForSharing(searchPayload, targetTimezone = tzUtils.
 }
 
 module.exports = {
+  canFitInSlot,
+  getBusyIntervalsForWindow,
   validateTeacherAvailability,
   getAlternativeTimeSlots,
   checkAvailabilityCompliance,
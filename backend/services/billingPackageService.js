@@ -0,0 +1,347 @@
+// backend/services/billingPackageService.js
+// Prepaid-hours package catalog: admin CRUD, per-guardian assignment and the
+// pricing resolution used by the guardian invoice generators.
+const mongoose = require('mongoose');
+const BillingPackage = require('../models/BillingPackage');
+const User = require('../models/User');
+const Invoice = require('../models/Invoice');
+const CurrencyService = require('./currencyService');
+const guardianHoursService = require('./guardianHoursService');
+
+const roundHours = guardianHoursService.roundHours;
+
+const roundCurrency = (value) => {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return 0;
+  return Math.round(numeric * 100) / 100;
+};
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+const normalizeTiers = (tiers) => {
+  if (!Array.isArray(tiers) || !tiers.length) {
+    throw buildError(400, 'At least one tier is required', 'PACKAGE_TIERS_REQUIRED');
+  }
+  const normalized = tiers.map((tier) => {
+    const hours = toNumberOrNull(tier?.hours);
+    const pricePerHour = toNumberOrNull(tier?.pricePerHour);
+    if (hours === null || hours <= 0) {
+      throw buildError(400, 'Tier hours must be a positive number', 'PACKAGE_TIER_INVALID');
+    }
+    if (pricePerHour === null || pricePerHour < 0) {
+      throw buildError(400, 'Tier price per hour must be zero or more', 'PACKAGE_TIER_INVALID');
+    }
+    return {
+      label: String(tier?.label || '').trim() || `${hours}-hour bundle`,
+      hours,
+      pricePerHour: roundCurrency(pricePerHour),
+      isDefault: Boolean(tier?.isDefault)
+    };
+  });
+
+  const seen = new Set();
+  normalized.forEach((tier) => {
+    if (seen.has(tier.hours)) {
+      throw buildError(400, `Duplicate tier for ${tier.hours} hours`, 'PACKAGE_TIER_DUPLICATE');
+    }
+    seen.add(tier.hours);
+  });
+
+  // Exactly one default tier keeps "refill" pricing predictable
+  const defaultIndex = normalized.findIndex((tier) => tier.isDefault);
+  normalized.forEach((tier, idx) => { tier.isDefault = idx === (defaultIndex >= 0 ? defaultIndex : 0); });
+  return normalized.sort((a, b) => a.hours - b.hours);
+};
+
+const normalizeSiblingDiscounts = (rules) => {
+  if (!Array.isArray(rules)) return [];
+  return rules.map((rule) => {
+    const minStudents = toNumberOrNull(rule?.minStudents);
+    const percent = toNumberOrNull(rule?.percent);
+    if (minStudents === null || minStudents < 2) {
+      throw buildError(400, 'Sibling discounts apply from 2 students upwards', 'PACKAGE_SIBLING_INVALID');
+    }
+    if (percent === null || percent < 0 || percent > 100) {
+      throw buildError(400, 'Sibling discount percent must be between 0 and 100', 'PACKAGE_SIBLING_INVALID');
+    }
+    return { minStudents: Math.floor(minStudents), percent };
+  }).sort((a, b) => a.minStudents - b.minStudents);
+};
+
+const normalizePackagePayload = (body = {}, { partial = false } = {}) => {
+  const payload = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (!name) throw buildError(400, 'Package name is required', 'PACKAGE_NAME_REQUIRED');
+    payload.name = name;
+  }
+  if (body.description !== undefined) payload.description = String(body.description || '').trim();
+  if (!partial || body.tiers !== undefined) payload.tiers = normalizeTiers(body.tiers);
+  if (body.expiry !== undefined || body.validityDays !== undefined) {
+    const validityDays = toNumberOrNull(body.expiry?.validityDays ?? body.validityDays) || 0;
+    if (validityDays < 0) throw buildError(400, 'Validity days cannot be negative', 'PACKAGE_EXPIRY_INVALID');
+    payload.expiry = { validityDays: Math.floor(validityDays) };
+  }
+  if (body.siblingDiscounts !== undefined) payload.siblingDiscounts = normalizeSiblingDiscounts(body.siblingDiscounts);
+  if (body.siblingDiscountAppliesTo !== undefined) {
+    payload.siblingDiscountAppliesTo = body.siblingDiscountAppliesTo === 'all_students'
+      ? 'all_students'
+      : 'additional_students';
+  }
+  if (body.isActive !== undefined) payload.isActive = Boolean(body.isActive);
+
+  return payload;
+};
+
+const ensureObjectId = (id, label = 'id') => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw buildError(400, `Invalid ${label}`, 'INVALID_ID');
+  }
+};
+
+async function listPackages({ includeInactive = false } = {}) {
+  const filter = includeInactive ? {} : { isActive: true };
+  const packages = await BillingPackage.find(filter).sort({ isActive: -1, name: 1 }).lean();
+  if (!packages.length) return packages;
+
+  const counts = await User.aggregate([
+    { $match: { role: 'guardian', 'guardianInfo.billingPackage.package': { $in: packages.map((p) => p._id) } } },
+    { $group: { _id: '$guardianInfo.billingPackage.package', count: { $sum: 1 } } }
+  ]);
+  const countMap = new Map(counts.map((row) => [String(row._id), row.count]));
+  return packages.map((pkg) => ({ ...pkg, guardianCount: countMap.get(String(pkg._id)) || 0 }));
+}
+
+async function createPackage(body, userId) {
+  const payload = normalizePackagePayload(body);
+  return BillingPackage.create({ ...payload, createdBy: userId, updatedBy: userId });
+}
+
+async function updatePackage(packageId, body, userId) {
+  ensureObjectId(packageId, 'package id');
+  const pkg = await BillingPackage.findById(packageId);
+  if (!pkg) throw buildError(404, 'Package not found', 'PACKAGE_NOT_FOUND');
+
+  const payload = normalizePackagePayload(body, { partial: true });
+  Object.assign(pkg, payload);
+  pkg.updatedBy = userId;
+  await pkg.save();
+  return pkg;
+}
+
+// Packages are archived rather than deleted: guardians and issued invoices keep referencing them.
+async function archivePackage(packageId, userId) {
+  return updatePackage(packageId, { isActive: false }, userId);
+}
+
+/**
+ * Assign (or clear, when packageId is empty) a guardian's package and tier.
+ */
+async function assignPackageToGuardian(guardianId, { packageId, tierHours } = {}, userId) {
+  ensureObjectId(guardianId, 'guardian id');
+  const guardian = await User.findOne({ _id: guardianId, role: 'guardian' });
+  if (!guardian) throw buildError(404, 'Guardian not found', 'GUARDIAN_NOT_FOUND');
+
+  guardian.guardianInfo = guardian.guardianInfo || {};
+
+  if (!packageId) {
+    guardian.guardianInfo.billingPackage = { package: null };
+    guardian.markModified('guardianInfo.billingPackage');
+    await guardian.save();
+    return { guardian, package: null };
+  }
+
+  ensureObjectId(packageId, 'package id');
+  const pkg = await BillingPackage.findById(packageId);
+  if (!pkg) throw buildError(404, 'Package not found', 'PACKAGE_NOT_FOUND');
+  if (!pkg.isActive) throw buildError(400, 'Package is archived', 'PACKAGE_INACTIVE');
+
+  const tier = pkg.getTier(tierHours);
+  guardian.guardianInfo.billingPackage = {
+    package: pkg._id,
+    tierHours: tier ? tier.hours : undefined,
+    assignedAt: new Date(),
+    assignedBy: userId || undefined
+  };
+  guardian.markModified('guardianInfo.billingPackage');
+  await guardian.save();
+  return { guardian, package: pkg };
+}
+
+const activeStudentKeys = (guardian) => {
+  const students = Array.isArray(guardian?.guardianInfo?.students) ? guardian.guardianInfo.students : [];
+  return students
+    .filter((student) => student && student.isActive !== false)
+    .map((student) => [student._id, student.standaloneStudentId].filter(Boolean).map(String));
+};
+
+/**
+ * Pure pricing for a package tier against a guardian's students.
+ * Returns the invoice snapshot plus a per-student rate resolver.
+ */
+function computePackagePricing(pkg, guardian, { exchangeRate = null } = {}) {
+  if (!pkg) return null;
+  const doc = typeof pkg.getTier === 'function' ? pkg : BillingPackage.hydrate(pkg);
+  const tier = doc.getTier(guardian?.guardianInfo?.billingPackage?.tierHours);
+  if (!tier) return null;
+
+  const studentKeys = activeStudentKeys(guardian);
+  const discountPercent = doc.getSiblingDiscountPercent(studentKeys.length);
+  const appliesTo = pkg.siblingDiscountAppliesTo || 'additional_students';
+  // Tier prices are catalogued in the base currency; bill in the guardian's currency
+  const conversion = Number(exchangeRate?.rate) > 0 ? Number(exchangeRate.rate) : 1;
+  const baseRate = roundCurrency(tier.pricePerHour * conversion);
+  const discountedRate = roundCurrency(baseRate * (1 - discountPercent / 100));
+
+  // The validity window opens at payment (Invoice.startPackageValidity), not here
+  const validityDays = Number(pkg.expiry?.validityDays || 0) || 0;
+
+  const rateForStudent = (studentId) => {
+    if (!discountPercent || !studentId) return baseRate;
+    const key = String(studentId);
+    const position = studentKeys.findIndex((keys) => keys.includes(key));
+    if (position < 0) return baseRate;
+    if (appliesTo === 'additional_students' && position === 0) return baseRate;
+    return discountedRate;
+  };
+
+  return {
+    hourlyRate: baseRate,
+    packageHours: Number(tier.hours),
+    rateForStudent,
+    snapshot: {
+      package: pkg._id,
+      name: pkg.name,
+      tierLabel: tier.label || `${tier.hours}-hour bundle`,
+      tierHours: Number(tier.hours),
+      pricePerHour: baseRate,
+      siblingDiscountPercent: discountPercent,
+      siblingDiscountAppliesTo: appliesTo,
+      validityDays,
+      expiresAt: null,
+      currency: exchangeRate?.currency || 'USD',
+      basePricePerHour: roundCurrency(tier.pricePerHour)
+    }
+  };
+}
+
+/**
+ * Load the guardian's assigned package (if any, and still active) and compute pricing.
+ * Returns null when the guardian is billed from guardianInfo.hourlyRate alone.
+ */
+async function resolveGuardianPackagePricing(guardian, opts = {}) {
+  const packageId = guardian?.guardianInfo?.billingPackage?.package;
+  if (!packageId) return null;
+  try {
+    const query = BillingPackage.findOne({ _id: packageId, isActive: true });
+    if (opts.session) query.session(opts.session);
+    const pkg = await query;
+    const currency = guardian?.guardianInfo?.billingCurrency;
+    const needsRate = currency && currency !== CurrencyService.BASE_CURRENCY;
+    const exchangeRate = needsRate ? await CurrencyService.getLockedRate(currency, opts.now) : null;
+    if (needsRate && !exchangeRate) {
+      // Tier prices are in the base currency; without a rate they cannot be converted
+      console.warn(`resolveGuardianPackagePricing: no ${CurrencyService.BASE_CURRENCY}/${currency} rate, package pricing skipped`);
+      return null;
+    }
+    return computePackagePricing(pkg, guardian, { ...opts, exchangeRate });
+  } catch (err) {
+    console.warn('resolveGuardianPackagePricing failed:', err && err.message);
+    return null;
+  }
+}
+
+/**
+ * Forfeit the unused hours of package invoices whose validity has lapsed.
+ * Hours are consumed oldest invoice first, so a guardian's remaining balance
+ * belongs to their newest paid invoices; whatever part of it sits on an expired
+ * package is recorded as billingPackage.expiredHours and the guardian's hours are
+ * recomputed from paid invoices (which subtract it).
+ */
+async function expireUnusedPackageHours({ now = new Date() } = {}) {
+  const due = await Invoice.find({
+    deleted: { $ne: true },
+    'guardianFinancial.billingPackage.expiresAt': { $lte: now },
+    'guardianFinancial.billingPackage.expiredAt': null
+  }).select('guardian').lean();
+
+  const guardianIds = [...new Set(due.map((inv) => guardianHoursService.normalizeId(inv.guardian)).filter(Boolean))];
+  const result = { guardians: 0, invoices: 0, expiredHours: 0, failed: 0 };
+  if (!guardianIds.length) return result;
+
+  const hoursMap = await guardianHoursService.computeGuardianHoursFromPaidInvoices(guardianIds);
+  const creditedByInvoice = await guardianHoursService.loadCreditedHoursByInvoice(guardianIds);
+  const invoices = await guardianHoursService.loadPaidInvoices(
+    guardianIds,
+    'createdAt paidDate guardianFinancial.billingPackage.expiresAt guardianFinancial.billingPackage.expiredAt'
+  );
+
+  const byGuardian = new Map();
+  invoices.forEach((inv) => {
+    const guardianId = guardianHoursService.normalizeId(inv.guardian);
+    if (!byGuardian.has(guardianId)) byGuardian.set(guardianId, []);
+    byGuardian.get(guardianId).push(inv);
+  });
+
+  const touched = [];
+  for (const guardianId of guardianIds) {
+    try {
+      const newestFirst = (byGuardian.get(guardianId) || [])
+        .sort((a, b) => new Date(b.paidDate || b.createdAt) - new Date(a.paidDate || a.createdAt));
+      let remaining = Math.max(0, roundHours(hoursMap.get(guardianId)?.totalHours || 0));
+      let expiredForGuardian = 0;
+
+      for (const inv of newestFirst) {
+        const { effectiveCredit } = guardianHoursService.resolveInvoiceCredit(inv, creditedByInvoice);
+        const unused = roundHours(Math.min(effectiveCredit, remaining));
+        remaining = roundHours(remaining - unused);
+
+        const pkg = inv.guardianFinancial?.billingPackage;
+        if (!pkg?.expiresAt || pkg.expiredAt || new Date(pkg.expiresAt) > now) continue;
+        const expiredHours = roundHours((Number(pkg.expiredHours || 0) || 0) + unused);
+        await Invoice.updateOne(
+          { _id: inv._id },
+          { $set: { 'guardianFinancial.billingPackage.expiredHours': expiredHours, 'guardianFinancial.billingPackage.expiredAt': now } }
+        );
+        result.invoices += 1;
+        expiredForGuardian = roundHours(expiredForGuardian + unused);
+      }
+
+      result.guardians += 1;
+      result.expiredHours = roundHours(result.expiredHours + expiredForGuardian);
+      if (expiredForGuardian > 0) touched.push(guardianId);
+    } catch (err) {
+      result.failed += 1;
+      console.warn('expireUnusedPackageHours failed for guardian', guardianId, err && err.message);
+    }
+  }
+
+  if (touched.length) {
+    const recomputed = await guardianHoursService.computeGuardianHoursFromPaidInvoices(touched);
+    await guardianHoursService.syncComputedHoursToStorage(recomputed);
+  }
+  return result;
+}
+
+module.exports = {
+  listPackages,
+  createPackage,
+  updatePackage,
+  archivePackage,
+  assignPackageToGuardian,
+  computePackagePricing,
+  resolveGuardianPackagePricing,
+  expireUnusedPackageHours
+};
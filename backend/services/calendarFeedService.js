@@ -0,0 +1,467 @@
+// backend/services/calendarFeedService.js
+// Subscribable iCalendar (ICS) feeds for Apple, Outlook and any other client
+// that can subscribe to a URL.
+//
+// Every teacher, guardian or student account can hold tokenized feeds; a
+// guardian can also hold one feed per student. A feed is rendered on each
+// request from Class and Meeting documents in a rolling window, so calendar
+// apps pick up reschedules and cancellations on their next refresh.
+//
+// Times are written in the timezone the class is anchored to
+// (timeAnchor.timezone, falling back to Class.timezone) with a matching
+// VTIMEZONE block, so the calendar app converts to the viewer's zone and the
+// wall-clock time survives DST changes the same way the dashboard does.
+// Cancelled occurrences (and occurrences hidden by a vacation hold) stay in
+// the feed as STATUS:CANCELLED so subscribed calendars remove them.
+//
+// Meeting links are sensitive: anyone with the feed URL can read the feed.
+// They are only written when the owner opted in for that feed and is a
+// participant of the class or meeting (its teacher or a guardian on it).
+const moment = require('moment-timezone');
+const mongoose = require('mongoose');
+
+const CalendarFeed = require('../models/CalendarFeed');
+const Class = require('../models/Class');
+const Meeting = require('../models/Meeting');
+const Student = require('../models/Student');
+const User = require('../models/User');
+const { MEETING_STATUSES } = require('../constants/meetingConstants');
+const { DEFAULT_TIMEZONE } = require('../utils/timezoneUtils');
+
+const FEED_ROLES = ['teacher', 'guardian', 'student'];
+const MAX_FEEDS_PER_OWNER = 20;
+const WINDOW_PAST_DAYS = 30;
+const WINDOW_FUTURE_DAYS = 180;
+const MAX_EVENTS = 2000;
+const CANCELLED_CLASS_STATUSES = new Set([
+  'cancelled',
+  'cancelled_by_teacher',
+  'cancelled_by_student',
+  'cancelled_by_guardian',
+  'cancelled_by_admin',
+]);
+const PRODID = '-//Waraqa//Class Schedule//EN';
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(String(value || ''));
+const personName = (person) => `${person?.firstName || ''} ${person?.lastName || ''}`.trim();
+const sameId = (a, b) => Boolean(a) && Boolean(b) && String(a?._id || a) === String(b?._id || b);
+
+const resolveZone = (...candidates) => candidates.find((tz) => tz && moment.tz.zone(tz)) || DEFAULT_TIMEZONE;
+
+// ─── ICS serialisation ──────────────────────────────────────────────────────
+
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// RFC 5545 §3.1: lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length ? 74 : 75;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatUtc = (date) => moment.utc(date).format('YYYYMMDDTHHmmss[Z]');
+const formatLocal = (date, timezone) => moment.tz(date, timezone).format('YYYYMMDDTHHmmss');
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+};
+
+/**
+ * VTIMEZONE for `timezone` covering [from, to], written as one observance per
+ * transition from the tz database (no RRULEs, so historic rule changes are
+ * exact). Zones without transitions get a single STANDARD block.
+ */
+function buildVTimezone(timezone, from, to) {
+  const zone = moment.tz.zone(timezone);
+  if (!zone) return [];
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  const fromMs = new Date(from).getTime();
+  const toMs = new Date(to).getTime();
+  // moment stores offsets with the sign inverted (UTC - local)
+  const utcOffsetAt = (idx) => -zone.offsets[idx];
+
+  let first = zone.untils.findIndex((until) => until > fromMs);
+  if (first < 0) first = zone.untils.length - 1;
+
+  for (let idx = first; idx < zone.untils.length; idx += 1) {
+    const startMs = idx === 0 ? null : zone.untils[idx - 1];
+    if (startMs !== null && startMs > toMs) break;
+    const offsetTo = utcOffsetAt(idx);
+    const offsetFrom = idx === 0 ? offsetTo : utcOffsetAt(idx - 1);
+    const isDst = startMs !== null && moment.tz(startMs, timezone).isDST();
+    const kind = isDst ? 'DAYLIGHT' : 'STANDARD';
+    const localStart = startMs === null
+      ? '19700101T000000'
+      : moment.utc(startMs).add(offsetFrom, 'minutes').format('YYYYMMDDTHHmmss');
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${localStart}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `TZNAME:${zone.abbrs[idx] || timezone}`,
+      `END:${kind}`
+    );
+    if (!Number.isFinite(zone.untils[idx])) break;
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Serialise events into a VCALENDAR document.
+ * @param {Array<{ uid, start, end, timezone, summary, description, location,
+ *   url, status, lastModified }>} events
+ */
+function buildCalendar(events, { name = 'Waraqa', from, to, now = new Date() } = {}) {
+  const zones = [...new Set(events.map((event) => event.timezone))];
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-PUBLISHED-TTL:PT1H',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+  ];
+  zones.forEach((timezone) => lines.push(...buildVTimezone(timezone, from, to)));
+
+  events.forEach((event) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatUtc(now)}`,
+      `DTSTART;TZID=${event.timezone}:${formatLocal(event.start, event.timezone)}`,
+      `DTEND;TZID=${event.timezone}:${formatLocal(event.end, event.timezone)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `STATUS:${event.status}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtc(event.lastModified)}`);
+    if (event.status === 'CANCELLED') lines.push('TRANSP:TRANSPARENT');
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// ─── Event sources ──────────────────────────────────────────────────────────
+
+/** Who the feed shows the schedule of, as query filters. */
+function resolveFeedSubject(feed, owner) {
+  if (feed.scope === 'student') {
+    const studentId = new mongoose.Types.ObjectId(String(feed.studentId));
+    return {
+      classFilter: {
+        $or: [
+          { 'student.guardianId': owner._id, 'student.studentId': studentId },
+          { isGroup: true, roster: { $elemMatch: { guardianId: owner._id, studentId } } },
+        ],
+      },
+      meetingFilter: {
+        $or: [
+          { 'links.studentIds': studentId },
+          { 'links.guardianStudentSubIds': String(studentId) },
+        ],
+      },
+      studentIds: new Set([String(studentId)]),
+    };
+  }
+  if (owner.role === 'teacher') {
+    return {
+      classFilter: { teacher: owner._id },
+      meetingFilter: { teacherId: owner._id },
+      studentIds: null,
+    };
+  }
+  if (owner.role === 'student') {
+    return {
+      classFilter: { $or: [{ 'student.studentId': owner._id }, { 'roster.studentId': owner._id }] },
+      meetingFilter: { 'links.studentIds': owner._id },
+      studentIds: new Set([String(owner._id)]),
+    };
+  }
+  return {
+    classFilter: { $or: [{ 'student.guardianId': owner._id }, { 'roster.guardianId': owner._id }] },
+    meetingFilter: { guardianId: owner._id },
+    studentIds: null,
+  };
+}
+
+/** Whether the feed owner takes part in the class (teacher or guardian on it). */
+function isClassParticipant(cls, owner) {
+  if (sameId(cls.teacher, owner._id)) return true;
+  if (sameId(cls.student?.guardianId, owner._id) || sameId(cls.student?.studentId, owner._id)) return true;
+  return (cls.roster || []).some((entry) => sameId(entry.guardianId, owner._id) || sameId(entry.studentId, owner._id));
+}
+
+function classEvent(cls, { owner, feed, studentIds }) {
+  const timezone = resolveZone(cls.timeAnchor?.timezone, cls.timezone);
+  const start = new Date(cls.scheduledDate);
+  const end = new Date(start.getTime() + Number(cls.duration || 0) * 60000);
+  const teacherName = personName(cls.teacher) || 'Teacher';
+
+  // Guardians and students only see their own students of a group class
+  let studentName = cls.student?.studentName || 'Student';
+  if (cls.isGroup && Array.isArray(cls.roster) && cls.roster.length) {
+    const visible = owner.role === 'teacher'
+      ? cls.roster
+      : cls.roster.filter((entry) => (studentIds
+        ? studentIds.has(String(entry.studentId))
+        : sameId(entry.guardianId, owner._id)));
+    const names = (visible.length ? visible : cls.roster.slice(0, 1)).map((entry) => entry.studentName);
+    studentName = owner.role === 'teacher' ? `Group: ${names.join(', ')}` : names.join(', ');
+  }
+
+  const cancelled = CANCELLED_CLASS_STATUSES.has(String(cls.status)) || cls.hidden === true;
+  const subject = cls.subject || cls.title || 'Class';
+  const summary = owner.role === 'teacher'
+    ? `${studentName} - ${subject}`
+    : `${studentName} - ${subject} (${teacherName})`;
+  const meetingLink = cls.meetingLink || cls.teacher?.teacherInfo?.googleMeetLink || '';
+  const showLink = Boolean(feed.includeMeetingLinks && meetingLink && !cancelled && isClassParticipant(cls, owner));
+
+  const description = [
+    `Subject: ${subject}`,
+    `Duration: ${Number(cls.duration || 0)} minutes`,
+    owner.role === 'teacher' ? `Student: ${studentName}` : `Teacher: ${teacherName}`,
+    showLink ? `Meeting link: ${meetingLink}` : null,
+  ].filter(Boolean).join('\n');
+
+  return {
+    uid: `class-${cls._id}@waraqa`,
+    start,
+    end,
+    timezone,
+    summary: cancelled ? `[Cancelled] ${summary}` : summary,
+    description,
+    location: showLink ? meetingLink : 'Online',
+    url: showLink ? meetingLink : null,
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    lastModified: cls.updatedAt || null,
+  };
+}
+
+const MEETING_LABELS = {
+  new_student_evaluation: 'Evaluation',
+  current_student_follow_up: 'Follow-up meeting',
+  teacher_sync: 'Teacher meeting',
+  new_teacher_interview: 'Interview',
+};
+
+function meetingEvent(meeting, { owner, feed }) {
+  const timezone = resolveZone(meeting.timezone);
+  const cancelled = meeting.status === MEETING_STATUSES.CANCELLED;
+  const label = MEETING_LABELS[meeting.meetingType] || 'Meeting';
+  const students = (meeting.bookingPayload?.students || []).map((s) => s.studentName).filter(Boolean);
+  const summary = students.length ? `${label}: ${students.join(', ')}` : label;
+  const isParticipant = sameId(meeting.teacherId, owner._id) || sameId(meeting.guardianId, owner._id)
+    || (meeting.links?.studentIds || []).some((id) => sameId(id, owner._id));
+  const meetingLink = meeting.meetingLinkSnapshot || '';
+  const showLink = Boolean(feed.includeMeetingLinks && meetingLink && !cancelled && isParticipant);
+
+  return {
+    uid: meeting.calendar?.icsUid || `meeting-${meeting._id}@waraqa`,
+    start: meeting.scheduledStart,
+    end: meeting.scheduledEnd,
+    timezone,
+    summary: cancelled ? `[Cancelled] ${summary}` : summary,
+    description: [`Duration: ${Number(meeting.durationMinutes || 0)} minutes`, showLink ? `Meeting link: ${meetingLink}` : null]
+      .filter(Boolean).join('\n'),
+    location: showLink ? meetingLink : 'Online',
+    url: showLink ? meetingLink : null,
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    lastModified: meeting.updatedAt || null,
+  };
+}
+
+// ─── Feed management ────────────────────────────────────────────────────────
+
+const serializeFeed = (feed) => ({
+  _id: feed._id,
+  owner: feed.owner,
+  scope: feed.scope,
+  studentId: feed.studentId,
+  studentName: feed.studentName,
+  label: feed.label,
+  token: feed.token,
+  includeMeetingLinks: feed.includeMeetingLinks,
+  lastAccessedAt: feed.lastAccessedAt,
+  accessCount: feed.accessCount,
+  createdAt: feed.createdAt,
+});
+
+async function resolveOwner(actor, ownerId) {
+  const targetId = ownerId && actor.role === 'admin' ? ownerId : actor._id;
+  if (!isObjectId(targetId)) throw buildError(400, 'Invalid user id', 'INVALID_ID');
+  const owner = await User.findById(targetId).select('firstName lastName role isActive guardianInfo.students');
+  if (!owner) throw buildError(404, 'User not found', 'USER_NOT_FOUND');
+  if (!FEED_ROLES.includes(owner.role)) {
+    throw buildError(400, 'Calendar feeds are available to teachers, guardians and students', 'ROLE_NOT_SUPPORTED');
+  }
+  return owner;
+}
+
+async function findOwnedFeed(actor, feedId) {
+  if (!isObjectId(feedId)) throw buildError(400, 'Invalid feed id', 'INVALID_ID');
+  const feed = await CalendarFeed.findOne({ _id: feedId, revokedAt: null });
+  if (!feed) throw buildError(404, 'Calendar feed not found', 'FEED_NOT_FOUND');
+  if (actor.role !== 'admin' && !sameId(feed.owner, actor._id)) {
+    throw buildError(403, 'Not allowed to manage this feed', 'FORBIDDEN');
+  }
+  return feed;
+}
+
+async function listFeeds(actor, { ownerId } = {}) {
+  const owner = await resolveOwner(actor, ownerId);
+  const feeds = await CalendarFeed.find({ owner: owner._id, revokedAt: null }).sort({ createdAt: 1 }).lean();
+  const students = owner.role === 'guardian'
+    ? (owner.guardianInfo?.students || []).map((s) => ({ _id: s._id, name: personName(s) }))
+    : [];
+  return { feeds: feeds.map(serializeFeed), students };
+}
+
+async function createFeed(actor, { ownerId, scope = 'user', studentId = null, label = '', includeMeetingLinks = false } = {}) {
+  const owner = await resolveOwner(actor, ownerId);
+  if (!CalendarFeed.FEED_SCOPES.includes(scope)) throw buildError(400, 'Invalid feed scope', 'INVALID_SCOPE');
+
+  const active = await CalendarFeed.countDocuments({ owner: owner._id, revokedAt: null });
+  if (active >= MAX_FEEDS_PER_OWNER) {
+    throw buildError(400, `At most ${MAX_FEEDS_PER_OWNER} active feeds per account; revoke one first`, 'TOO_MANY_FEEDS');
+  }
+
+  let studentName = '';
+  if (scope === 'student') {
+    if (owner.role !== 'guardian') throw buildError(400, 'Only guardians can create per-student feeds', 'SCOPE_NOT_ALLOWED');
+    if (!isObjectId(studentId)) throw buildError(400, 'A student is required', 'STUDENT_REQUIRED');
+    const embedded = owner.guardianInfo?.students?.id?.(studentId) || null;
+    const standalone = embedded ? null : await Student.findOne({ _id: studentId, guardian: owner._id }).select('firstName lastName').lean();
+    if (!embedded && !standalone) throw buildError(400, 'Student does not belong to this guardian', 'STUDENT_NOT_IN_GUARDIAN');
+    studentName = personName(embedded || standalone);
+  }
+
+  const feed = await CalendarFeed.create({
+    owner: owner._id,
+    scope,
+    studentId: scope === 'student' ? studentId : null,
+    studentName,
+    label: String(label || '').trim().slice(0, 120),
+    token: CalendarFeed.generateToken(),
+    includeMeetingLinks: Boolean(includeMeetingLinks),
+    createdBy: actor._id,
+  });
+  return serializeFeed(feed);
+}
+
+async function updateFeed(actor, feedId, { label, includeMeetingLinks } = {}) {
+  const feed = await findOwnedFeed(actor, feedId);
+  if (label !== undefined) feed.label = String(label || '').trim().slice(0, 120);
+  if (includeMeetingLinks !== undefined) feed.includeMeetingLinks = Boolean(includeMeetingLinks);
+  await feed.save();
+  return serializeFeed(feed);
+}
+
+/** New URL for the same feed; the old URL stops working immediately. */
+async function rotateFeed(actor, feedId) {
+  const feed = await findOwnedFeed(actor, feedId);
+  feed.token = CalendarFeed.generateToken();
+  await feed.save();
+  return serializeFeed(feed);
+}
+
+async function revokeFeed(actor, feedId) {
+  const feed = await findOwnedFeed(actor, feedId);
+  feed.revokedAt = new Date();
+  await feed.save();
+  return { revoked: true };
+}
+
+/**
+ * Render the ICS document for a feed token. Unknown and revoked tokens, and
+ * feeds whose owner was deactivated, all look the same to the caller.
+ */
+async function renderFeed(token, { now = new Date() } = {}) {
+  const notFound = () => buildError(404, 'Calendar feed not found', 'FEED_NOT_FOUND');
+  if (!token || !/^[a-f0-9]{48}$/i.test(String(token))) throw notFound();
+  const feed = await CalendarFeed.findOne({ token: String(token).toLowerCase(), revokedAt: null }).lean();
+  if (!feed) throw notFound();
+  const owner = await User.findById(feed.owner).select('firstName lastName role isActive').lean();
+  if (!owner || owner.isActive === false || !FEED_ROLES.includes(owner.role)) throw notFound();
+
+  const from = moment(now).subtract(WINDOW_PAST_DAYS, 'days').toDate();
+  const to = moment(now).add(WINDOW_FUTURE_DAYS, 'days').toDate();
+  const { classFilter, meetingFilter, studentIds } = resolveFeedSubject(feed, owner);
+
+  const [classes, meetings] = await Promise.all([
+    Class.find({
+      ...classFilter,
+      status: { $ne: 'pattern' },
+      scheduledDate: { $gte: from, $lte: to },
+    })
+      .select('teacher student roster isGroup subject title status hidden scheduledDate duration timezone timeAnchor meetingLink updatedAt')
+      .populate('teacher', 'firstName lastName teacherInfo.googleMeetLink')
+      .sort({ scheduledDate: 1 })
+      .limit(MAX_EVENTS)
+      .lean(),
+    Meeting.find({ ...meetingFilter, scheduledStart: { $gte: from, $lte: to } })
+      .select('meetingType status scheduledStart scheduledEnd durationMinutes timezone teacherId guardianId links bookingPayload.students meetingLinkSnapshot calendar.icsUid updatedAt')
+      .sort({ scheduledStart: 1 })
+      .limit(MAX_EVENTS)
+      .lean(),
+  ]);
+
+  const context = { owner, feed, studentIds };
+  const events = [
+    ...classes.map((cls) => classEvent(cls, context)),
+    ...meetings.map((meeting) => meetingEvent(meeting, context)),
+  ];
+
+  const ownerLabel = feed.scope === 'student' ? (feed.studentName || 'Student') : (personName(owner) || 'My');
+  const name = feed.label || `Waraqa – ${ownerLabel} schedule`;
+
+  CalendarFeed.updateOne({ _id: feed._id }, { $set: { lastAccessedAt: now }, $inc: { accessCount: 1 } })
+    .catch((err) => console.warn('[calendarFeed] access stamp failed:', err && err.message));
+
+  return { ics: buildCalendar(events, { name, from, to, now }), eventCount: events.length };
+}
+
+module.exports = {
+  buildCalendar,
+  buildVTimezone,
+  listFeeds,
+  createFeed,
+  updateFeed,
+  rotateFeed,
+  revokeFeed,
+  renderFeed,
+};
@@ -0,0 +1,725 @@
+// backend/services/capacityForecastService.js
+// Teacher capacity forecasting and hiring-need planner.
+//
+// Demand, in weekly teaching hours for each upcoming month:
+//  - booked: classes scheduled over the next four weeks,
+//  - pipeline: open RegistrationLeads and scheduled new-student evaluation
+//    Meetings, weighted by their historical conversion rates and placed in the
+//    month the student wants to start,
+//  - inflow: from the second month on, the average number of new students per
+//    month seen in the Class history,
+// all reduced by the monthly churn of active students and scaled by the
+// seasonal index of the month (historical Class hours per calendar month,
+// once a year of history exists).
+//
+// Supply is what active teachers can take at the planning utilization
+// (hireThresholdPct of the capacity config): their AvailabilitySlot hours,
+// capped at targetHoursPerTeacherPerDay x 7 a week. Teachers closed to new
+// students only count for the hours already booked with them. Teachers without
+// slots are treated as flexible and spread over the bands the demand needs.
+//
+// Demand and supply are broken down by teacher gender, standardized subject and
+// time-of-day band (Cairo time). The hiring need for a month is the shortfall
+// summed over gender x band, divided by what one new teacher adds. A teacher's
+// free hours count towards every subject they teach, so the subject breakdown
+// is indicative rather than additive.
+const moment = require('moment-timezone');
+
+const Setting = require('../models/Setting');
+const Class = require('../models/Class');
+const User = require('../models/User');
+const AvailabilitySlot = require('../models/AvailabilitySlot');
+const RegistrationLead = require('../models/RegistrationLead');
+const Meeting = require('../models/Meeting');
+const RecruitmentCampaign = require('../models/RecruitmentCampaign');
+const { MEETING_TYPES, MEETING_STATUSES } = require('../constants/meetingConstants');
+const { STANDARD_SUBJECTS, standardizeSubjects } = require('../utils/subjectStandardization');
+const { parseGenderPreference } = require('./teacherMatchingService');
+
+const CAPACITY_CONFIG_KEY = 'recruitment_capacity_config_v1';
+
+const DEFAULT_CAPACITY_CONFIG = {
+  targetHoursPerTeacherPerDay: 4,
+  horizonDays: 14,
+  hireThresholdPct: 75,
+  urgentThresholdPct: 85,
+  minFemaleTeachers: 3,
+  minMaleTeachers: 3,
+  forecastMonths: 3,
+};
+
+const PLANNING_TZ = 'Africa/Cairo';
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const GENDERS = ['female', 'male'];
+const OTHER_SUBJECT = 'Other';
+const BANDS = [
+  { key: 'night', label: 'Night (00-06)', from: 0, to: 6 },
+  { key: 'morning', label: 'Morning (06-12)', from: 6, to: 12 },
+  { key: 'afternoon', label: 'Afternoon (12-17)', from: 12, to: 17 },
+  { key: 'evening', label: 'Evening (17-24)', from: 17, to: 24 },
+];
+const BOOKED_STATUSES = ['scheduled', 'in_progress'];
+const DELIVERED_STATUSES = ['attended', 'missed_by_student', 'absent', 'completed'];
+const WEEKS_PER_MONTH = 52 / 12;
+const HISTORY_MONTHS = 24;
+const RATE_WINDOW_DAYS = 180;
+const OPEN_LEAD_MAX_AGE_DAYS = 90;
+// Used until there is enough history to measure a rate
+const DEFAULT_LEAD_CONVERSION = 0.5;
+const DEFAULT_EVALUATION_CONVERSION = 0.6;
+const MIN_RATE_SAMPLE = 5;
+
+const round1 = (value) => Math.round((Number(value) || 0) * 10) / 10;
+const bandOf = (hour) => BANDS.find((band) => hour >= band.from && hour < band.to).key;
+const bucketKey = (gender, subject, band) => `${gender}|${subject}|${band}`;
+const splitKey = (key) => {
+  const [gender, subject, band] = key.split('|');
+  return { gender, subject, band };
+};
+
+function addHours(map, key, hours) {
+  if (!hours) return;
+  map.set(key, (map.get(key) || 0) + hours);
+}
+
+function scaleMap(map, factor) {
+  const out = new Map();
+  map.forEach((hours, key) => out.set(key, hours * factor));
+  return out;
+}
+
+function mergeInto(target, source, factor = 1) {
+  source.forEach((hours, key) => addHours(target, key, hours * factor));
+  return target;
+}
+
+function sumMap(map) {
+  let total = 0;
+  map.forEach((hours) => { total += hours; });
+  return total;
+}
+
+// Fractions of the total per bucket, used to spread demand with no detail
+function toMix(map) {
+  const total = sumMap(map);
+  return total > 0 ? scaleMap(map, 1 / total) : new Map();
+}
+
+// Hours of a time window per Cairo time-of-day band
+function bandHours(start, minutes) {
+  const out = {};
+  const cursor = moment(start).tz(PLANNING_TZ);
+  for (let done = 0; done < minutes; done += 15) {
+    const step = Math.min(15, minutes - done);
+    const band = bandOf(cursor.hour());
+    out[band] = (out[band] || 0) + step / 60;
+    cursor.add(15, 'minutes');
+  }
+  return out;
+}
+
+const subjectsOf = (raw) => {
+  const list = standardizeSubjects(Array.isArray(raw) ? raw : [raw].filter(Boolean));
+  return list.length ? list : [OTHER_SUBJECT];
+};
+
+/**
+ * Capacity thresholds shared by the operations summary and the planner.
+ */
+async function getCapacityConfig() {
+  const setting = await Setting.findOne({ key: CAPACITY_CONFIG_KEY }).lean();
+  const stored = (setting && typeof setting.value === 'object' && setting.value) ? setting.value : {};
+  const clampNum = (val, def, min, max) => {
+    const n = Number(val);
+    if (Number.isNaN(n)) return def;
+    return Math.max(min, Math.min(max, n));
+  };
+  return {
+    targetHoursPerTeacherPerDay: clampNum(stored.targetHoursPerTeacherPerDay, DEFAULT_CAPACITY_CONFIG.targetHoursPerTeacherPerDay, 0.5, 16),
+    horizonDays: Math.round(clampNum(stored.horizonDays, DEFAULT_CAPACITY_CONFIG.horizonDays, 1, 60)),
+    hireThresholdPct: Math.round(clampNum(stored.hireThresholdPct, DEFAULT_CAPACITY_CONFIG.hireThresholdPct, 10, 100)),
+    urgentThresholdPct: Math.round(clampNum(stored.urgentThresholdPct, DEFAULT_CAPACITY_CONFIG.urgentThresholdPct, 10, 100)),
+    minFemaleTeachers: Math.round(clampNum(stored.minFemaleTeachers, DEFAULT_CAPACITY_CONFIG.minFemaleTeachers, 0, 100)),
+    minMaleTeachers: Math.round(clampNum(stored.minMaleTeachers, DEFAULT_CAPACITY_CONFIG.minMaleTeachers, 0, 100)),
+    forecastMonths: Math.round(clampNum(stored.forecastMonths, DEFAULT_CAPACITY_CONFIG.forecastMonths, 1, 12)),
+  };
+}
+
+// --- Teachers and booked hours ------------------------------------------------
+
+async function loadTeachers() {
+  const teachers = await User.find({ role: 'teacher', isActive: true })
+    .select('gender timezone teacherInfo.subjects teacherInfo.acceptingNewStudents')
+    .lean();
+  return teachers.map((teacher) => {
+    const subjects = standardizeSubjects(teacher.teacherInfo?.subjects || []);
+    return {
+      id: String(teacher._id),
+      gender: GENDERS.includes(String(teacher.gender).toLowerCase()) ? String(teacher.gender).toLowerCase() : 'male',
+      timezone: teacher.timezone || PLANNING_TZ,
+      // Teachers without subjects are treated as able to teach any of them
+      subjects: subjects.length ? subjects : STANDARD_SUBJECTS,
+      accepting: teacher.teacherInfo?.acceptingNewStudents !== false,
+    };
+  });
+}
+
+// Group classes count every roster student; 1:1 classes their single student
+const classStudentIds = (cls) => (cls.isGroup && cls.roster?.length
+  ? cls.roster.map((entry) => entry.studentId)
+  : [cls.student?.studentId]).filter(Boolean).map(String);
+
+// Aggregation counterpart of classStudentIds
+const STUDENT_IDS_EXPR = {
+  $cond: [
+    { $and: ['$isGroup', { $gt: [{ $size: { $ifNull: ['$roster', []] } }, 0] }] },
+    '$roster.studentId',
+    ['$student.studentId'],
+  ],
+};
+
+/**
+ * Weekly hours booked over the next four weeks, as demand buckets and per
+ * teacher per band.
+ */
+async function loadBooked(teachers, now) {
+  const byId = new Map(teachers.map((t) => [t.id, t]));
+  const classes = await Class.find({
+    teacher: { $in: teachers.map((t) => t.id) },
+    hidden: { $ne: true },
+    status: { $in: BOOKED_STATUSES },
+    scheduledDate: { $gte: now, $lt: moment(now).add(28, 'days').toDate() },
+  }).select('teacher subject duration scheduledDate student.studentId isGroup roster.studentId').lean();
+
+  const demand = new Map();
+  const perTeacher = new Map();
+  const students = new Set();
+  classes.forEach((cls) => {
+    const teacher = byId.get(String(cls.teacher));
+    if (!teacher) return;
+    const subject = subjectsOf(cls.subject)[0];
+    const bands = bandHours(cls.scheduledDate, Number(cls.duration) || 0);
+    const teacherBands = perTeacher.get(teacher.id) || {};
+    Object.entries(bands).forEach(([band, hours]) => {
+      addHours(demand, bucketKey(teacher.gender, subject, band), hours / 4);
+      teacherBands[band] = (teacherBands[band] || 0) + hours / 4;
+    });
+    perTeacher.set(teacher.id, teacherBands);
+    classStudentIds(cls).forEach((id) => students.add(id));
+  });
+  return { demand, perTeacher, studentCount: students.size };
+}
+
+// --- History: churn, inflow, seasonality --------------------------------------
+
+async function loadHistory(now) {
+  const monthStart = moment(now).tz(PLANNING_TZ).startOf('month');
+  const rows = await Class.aggregate([
+    {
+      $match: {
+        hidden: { $ne: true },
+        status: { $in: DELIVERED_STATUSES },
+        scheduledDate: { $gte: monthStart.clone().subtract(HISTORY_MONTHS, 'months').toDate(), $lt: monthStart.toDate() },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          month: { $dateToString: { format: '%Y-%m', date: '$scheduledDate', timezone: PLANNING_TZ } },
+          students: STUDENT_IDS_EXPR,
+        },
+        minutes: { $sum: '$duration' },
+      },
+    },
+  ]);
+
+  const months = [];
+  for (let i = HISTORY_MONTHS; i >= 1; i -= 1) months.push(monthStart.clone().subtract(i, 'months').format('YYYY-MM'));
+  const hoursByMonth = new Map(months.map((m) => [m, 0]));
+  const studentsByMonth = new Map(months.map((m) => [m, new Set()]));
+  rows.forEach((row) => {
+    const month = row._id.month;
+    if (!hoursByMonth.has(month)) return;
+    hoursByMonth.set(month, hoursByMonth.get(month) + (Number(row.minutes) || 0) / 60);
+    (row._id.students || []).filter(Boolean).forEach((id) => studentsByMonth.get(month).add(String(id)));
+  });
+
+  const firstActive = months.findIndex((m) => studentsByMonth.get(m).size > 0);
+  const activeMonths = firstActive === -1 ? [] : months.slice(firstActive);
+
+  // Churn: share of last month's students without a class this month
+  const churnSamples = [];
+  for (let i = Math.max(1, activeMonths.length - 6); i < activeMonths.length; i += 1) {
+    const prev = studentsByMonth.get(activeMonths[i - 1]);
+    const curr = studentsByMonth.get(activeMonths[i]);
+    if (!prev.size) continue;
+    let lost = 0;
+    prev.forEach((id) => { if (!curr.has(id)) lost += 1; });
+    churnSamples.push(lost / prev.size);
+  }
+
+  // New students: first seen in a month, once three months of history precede it
+  const seen = new Set();
+  const newSamples = [];
+  activeMonths.forEach((month, i) => {
+    let fresh = 0;
+    studentsByMonth.get(month).forEach((id) => {
+      if (!seen.has(id)) fresh += 1;
+      seen.add(id);
+    });
+    if (i >= 3) newSamples.push(fresh);
+  });
+
+  // Seasonal index per calendar month once a full year is available
+  const seasonal = { available: activeMonths.length >= 12, index: {} };
+  if (seasonal.available) {
+    const mean = activeMonths.reduce((sum, m) => sum + hoursByMonth.get(m), 0) / activeMonths.length;
+    for (let cal = 1; cal <= 12; cal += 1) {
+      const samples = activeMonths.filter((m) => Number(m.slice(5)) === cal).map((m) => hoursByMonth.get(m));
+      seasonal.index[cal] = mean > 0 && samples.length
+        ? samples.reduce((a, b) => a + b, 0) / samples.length / mean
+        : 1;
+    }
+  }
+
+  const lastMonth = activeMonths[activeMonths.length - 1];
+  const lastStudents = lastMonth ? studentsByMonth.get(lastMonth).size : 0;
+  const recentNew = newSamples.slice(-6);
+  return {
+    monthsOfHistory: activeMonths.length,
+    monthlyChurnRate: churnSamples.length ? churnSamples.reduce((a, b) => a + b, 0) / churnSamples.length : 0,
+    monthlyNewStudents: recentNew.length ? recentNew.reduce((a, b) => a + b, 0) / recentNew.length : 0,
+    lastMonthWeeklyHoursPerStudent: lastStudents ? hoursByMonth.get(lastMonth) / lastStudents / WEEKS_PER_MONTH : 0,
+    seasonal,
+  };
+}
+
+// --- Pipeline -----------------------------------------------------------------
+
+async function leadConversionRate(now) {
+  const leads = await RegistrationLead.find({
+    createdAt: { $gte: moment(now).subtract(RATE_WINDOW_DAYS, 'days').toDate(), $lt: moment(now).subtract(30, 'days').toDate() },
+  }).select('status').lean();
+  if (leads.length < MIN_RATE_SAMPLE) return { rate: DEFAULT_LEAD_CONVERSION, sample: leads.length, measured: false };
+  return { rate: leads.filter((l) => l.status === 'converted').length / leads.length, sample: leads.length, measured: true };
+}
+
+async function evaluationConversionRate(now) {
+  const meetings = await Meeting.find({
+    meetingType: MEETING_TYPES.NEW_STUDENT_EVALUATION,
+    status: MEETING_STATUSES.COMPLETED,
+    guardianId: { $ne: null },
+    scheduledStart: { $gte: moment(now).subtract(RATE_WINDOW_DAYS, 'days').toDate(), $lt: moment(now).subtract(14, 'days').toDate() },
+  }).select('guardianId scheduledStart').lean();
+  if (meetings.length < MIN_RATE_SAMPLE) return { rate: DEFAULT_EVALUATION_CONVERSION, sample: meetings.length, measured: false };
+
+  // A group class converts every guardian on its roster
+  const guardianIds = meetings.map((m) => m.guardianId);
+  const latestClass = await Class.aggregate([
+    { $match: { $or: [{ 'student.guardianId': { $in: guardianIds } }, { 'roster.guardianId': { $in: guardianIds } }] } },
+    { $project: { createdAt: 1, guardians: { $setUnion: [['$student.guardianId'], { $ifNull: ['$roster.guardianId', []] }] } } },
+    { $unwind: '$guardians' },
+    { $match: { guardians: { $in: guardianIds } } },
+    { $group: { _id: '$guardians', createdAt: { $max: '$createdAt' } } },
+  ]);
+  const latestByGuardian = new Map(latestClass.map((row) => [String(row._id), row.createdAt]));
+  const converted = meetings.filter((m) => {
+    const latest = latestByGuardian.get(String(m.guardianId));
+    return latest && new Date(latest) >= new Date(m.scheduledStart);
+  }).length;
+  return { rate: converted / meetings.length, sample: meetings.length, measured: true };
+}
+
+const monthOffset = (now, date) => {
+  const from = moment(now).tz(PLANNING_TZ).startOf('month');
+  const to = moment(date).tz(PLANNING_TZ).startOf('month');
+  return to.diff(from, 'months');
+};
+
+/**
+ * Expected weekly hours from open leads, each entry starting in a given
+ * forecast month (1 = next month).
+ */
+async function loadLeadDemand(now, { conversion, genderMix, fallbackBandMix }) {
+  const leads = await RegistrationLead.find({
+    status: 'new',
+    createdAt: { $gte: moment(now).subtract(OPEN_LEAD_MAX_AGE_DAYS, 'days').toDate() },
+    'onboarding.completedAt': null,
+  }).select('personalInfo.email personalInfo.timezone preferences.teacherPreferences students availability onboarding.waitingAt').lean();
+
+  const entries = [];
+  let studentCount = 0;
+  leads.forEach((lead) => {
+    const tz = lead.personalInfo?.timezone || PLANNING_TZ;
+    const preferred = parseGenderPreference(lead.preferences?.teacherPreferences);
+    const genders = preferred ? { [preferred]: 1 } : genderMix;
+    const separate = lead.availability?.schedulingMode === 'separate';
+    let start = 1;
+    if (lead.onboarding?.waitingAt) start = 2;
+    else if (lead.availability?.preferredStartingDate) start = Math.max(1, monthOffset(now, lead.availability.preferredStartingDate));
+
+    (lead.students || []).forEach((student, index) => {
+      studentCount += 1;
+      const slots = (lead.availability?.slots || []).filter((slot) => (separate
+        ? Number(slot.studentIndex) === index
+        : slot.studentIndex === null || slot.studentIndex === undefined || Number(slot.studentIndex) === index));
+      const duration = Number(student.classDuration) || Number(lead.availability?.sharedDuration) || 60;
+      const perWeek = Number(student.classesPerWeek) || slots.length || 2;
+      const hours = (perWeek * duration / 60) * conversion;
+
+      // Time-of-day band of each requested slot, in Cairo time
+      const bands = {};
+      slots.forEach((slot) => {
+        const day = DAY_NAMES.indexOf(slot.day);
+        if (day < 0 || !/^\d{1,2}:\d{2}$/.test(slot.startTime || '')) return;
+        const local = moment.tz(now, tz).day(day).format('YYYY-MM-DD');
+        const slotStart = moment.tz(`${local} ${slot.startTime}`, 'YYYY-MM-DD HH:mm', tz);
+        const band = bandOf(slotStart.clone().tz(PLANNING_TZ).hour());
+        bands[band] = (bands[band] || 0) + 1;
+      });
+      const bandTotal = Object.values(bands).reduce((a, b) => a + b, 0);
+      const bandMix = bandTotal ? Object.fromEntries(Object.entries(bands).map(([b, n]) => [b, n / bandTotal])) : fallbackBandMix;
+
+      const subjects = subjectsOf(student.courses || []);
+      const demand = new Map();
+      Object.entries(genders).forEach(([gender, gShare]) => {
+        subjects.forEach((subject) => {
+          Object.entries(bandMix).forEach(([band, bShare]) => {
+            addHours(demand, bucketKey(gender, subject, band), hours * gShare * bShare / subjects.length);
+          });
+        });
+      });
+      entries.push({ start, demand });
+    });
+  });
+
+  return {
+    entries,
+    leadCount: leads.length,
+    studentCount,
+    emails: new Set(leads.map((lead) => String(lead.personalInfo?.email || '').toLowerCase()).filter(Boolean)),
+  };
+}
+
+async function loadEvaluationDemand(now, { conversion, hoursPerStudent, mix, leadEmails }) {
+  const meetings = await Meeting.find({
+    meetingType: MEETING_TYPES.NEW_STUDENT_EVALUATION,
+    status: MEETING_STATUSES.SCHEDULED,
+    scheduledStart: { $gte: now },
+  }).select('bookingPayload.guardianEmail bookingPayload.students').lean();
+
+  let studentCount = 0;
+  meetings.forEach((meeting) => {
+    // Families who also registered are already counted through their lead
+    if (leadEmails.has(String(meeting.bookingPayload?.guardianEmail || '').toLowerCase())) return;
+    const students = (meeting.bookingPayload?.students || []).filter((s) => !s.isExistingStudent);
+    studentCount += students.length || 1;
+  });
+  return {
+    meetingCount: meetings.length,
+    studentCount,
+    demand: scaleMap(mix, studentCount * hoursPerStudent * conversion),
+  };
+}
+
+// --- Supply -----------------------------------------------------------------------
+
+async function loadSupply(teachers, booked, { weeklyCap, utilization, bandMix, now }) {
+  const slots = await AvailabilitySlot.find({
+    teacherId: { $in: teachers.map((t) => t.id) },
+    isActive: true,
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: now } }],
+  }).select('teacherId dayOfWeek startTime endTime timezone').lean();
+  const slotsByTeacher = new Map();
+  slots.forEach((slot) => {
+    const key = String(slot.teacherId);
+    if (!slotsByTeacher.has(key)) slotsByTeacher.set(key, []);
+    slotsByTeacher.get(key).push(slot);
+  });
+
+  const supply = new Map();
+  const genderBand = new Map();
+  let availableWeeklyHours = 0;
+  let openTeachers = 0;
+  teachers.forEach((teacher) => {
+    const bookedBands = booked.perTeacher.get(teacher.id) || {};
+    let capacityBands = {};
+    if (teacher.accepting) {
+      openTeachers += 1;
+      const teacherSlots = slotsByTeacher.get(teacher.id) || [];
+      if (teacherSlots.length) {
+        teacherSlots.forEach((slot) => {
+          const tz = slot.timezone || teacher.timezone;
+          const local = moment.tz(now, tz).day(Number(slot.dayOfWeek)).format('YYYY-MM-DD');
+          const start = moment.tz(`${local} ${slot.startTime}`, 'YYYY-MM-DD HH:mm', tz);
+          let end = moment.tz(`${local} ${slot.endTime}`, 'YYYY-MM-DD HH:mm', tz);
+          if (!end.isAfter(start)) end = end.add(1, 'day');
+          Object.entries(bandHours(start, end.diff(start, 'minutes'))).forEach(([band, hours]) => {
+            capacityBands[band] = (capacityBands[band] || 0) + hours;
+          });
+        });
+      } else {
+        capacityBands = Object.fromEntries(Object.entries(bandMix).map(([band, share]) => [band, share * weeklyCap]));
+      }
+      const total = Object.values(capacityBands).reduce((a, b) => a + b, 0);
+      const scale = total > weeklyCap ? weeklyCap / total : 1;
+      availableWeeklyHours += Math.min(total, weeklyCap);
+      capacityBands = Object.fromEntries(Object.entries(capacityBands).map(([band, hours]) => [band, hours * scale * utilization]));
+    }
+    // Hours already taught stay covered whatever the availability says
+    BANDS.forEach(({ key: band }) => {
+      const hours = Math.max(capacityBands[band] || 0, bookedBands[band] || 0);
+      if (!hours) return;
+      addHours(genderBand, `${teacher.gender}|${band}`, hours);
+      teacher.subjects.forEach((subject) => addHours(supply, bucketKey(teacher.gender, subject, band), hours));
+    });
+  });
+
+  return { supply, genderBand, availableWeeklyHours, openTeachers };
+}
+
+// --- Projection -------------------------------------------------------------------
+
+function dimensionBreakdown(demand, supply, pick) {
+  const rows = new Map();
+  const collect = (map, field) => map.forEach((hours, key) => {
+    const id = pick(splitKey(key));
+    const row = rows.get(id) || { key: id, demand: 0, supply: 0 };
+    row[field] += hours;
+    rows.set(id, row);
+  });
+  collect(demand, 'demand');
+  collect(supply, 'supply');
+  return Array.from(rows.values())
+    .map((row) => ({
+      key: row.key,
+      demand: round1(row.demand),
+      supply: round1(row.supply),
+      shortfall: round1(Math.max(0, row.demand - row.supply)),
+    }))
+    .sort((a, b) => b.shortfall - a.shortfall || b.demand - a.demand);
+}
+
+// Spread `total` hires over rows by shortfall (largest remainder)
+function allocateHires(rows, total) {
+  const sum = rows.reduce((acc, row) => acc + row.shortfall, 0);
+  if (!sum || !total) return rows.map(() => 0);
+  const raw = rows.map((row) => (row.shortfall / sum) * total);
+  const hires = raw.map(Math.floor);
+  let left = total - hires.reduce((a, b) => a + b, 0);
+  raw.map((value, i) => ({ i, rest: value - Math.floor(value) }))
+    .sort((a, b) => b.rest - a.rest)
+    .forEach(({ i }) => { if (left > 0) { hires[i] += 1; left -= 1; } });
+  return hires;
+}
+
+function planMonth({ demand, supply, genderBandSupply, perNewTeacher }) {
+  const genderBandDemand = new Map();
+  demand.forEach((hours, key) => {
+    const { gender, band } = splitKey(key);
+    addHours(genderBandDemand, `${gender}|${band}`, hours);
+  });
+
+  const gaps = [];
+  genderBandDemand.forEach((hours, key) => {
+    const shortfall = hours - (genderBandSupply.get(key) || 0);
+    if (shortfall >= 0.5) {
+      const [gender, band] = key.split('|');
+      gaps.push({ gender, band, shortfall });
+    }
+  });
+  gaps.sort((a, b) => b.shortfall - a.shortfall);
+  const shortfall = gaps.reduce((acc, gap) => acc + gap.shortfall, 0);
+  const hiresNeeded = perNewTeacher > 0 ? Math.ceil(shortfall / perNewTeacher) : 0;
+  const hires = allocateHires(gaps, hiresNeeded);
+
+  const profiles = gaps.map((gap, i) => {
+    const subjects = [];
+    demand.forEach((hours, key) => {
+      const parts = splitKey(key);
+      if (parts.gender !== gap.gender || parts.band !== gap.band) return;
+      const subjectGap = hours - (supply.get(key) || 0);
+      if (subjectGap >= 0.5) subjects.push({ subject: parts.subject, shortfall: round1(subjectGap) });
+    });
+    subjects.sort((a, b) => b.shortfall - a.shortfall);
+    return {
+      gender: gap.gender,
+      band: gap.band,
+      bandLabel: BANDS.find((b) => b.key === gap.band).label,
+      subjects: subjects.slice(0, 3),
+      shortfallHours: round1(gap.shortfall),
+      hires: hires[i],
+    };
+  }).filter((profile) => profile.hires > 0);
+
+  return { shortfall, hiresNeeded, profiles };
+}
+
+/**
+ * Project demand and supply for the next `months` months and recommend hires.
+ * @param {{ months?: number }} options
+ */
+async function buildForecast({ months } = {}) {
+  const now = new Date();
+  const config = await getCapacityConfig();
+  const horizon = Math.max(1, Math.min(12, Number(months) || config.forecastMonths));
+  const utilization = config.hireThresholdPct / 100;
+  const weeklyCap = config.targetHoursPerTeacherPerDay * 7;
+  const perNewTeacher = weeklyCap * utilization;
+
+  const teachers = await loadTeachers();
+  const [booked, history, leadRate, evaluationRate] = await Promise.all([
+    loadBooked(teachers, now),
+    loadHistory(now),
+    leadConversionRate(now),
+    evaluationConversionRate(now),
+  ]);
+
+  // Where demand does not say which gender, subject or band it needs, it is
+  // spread like the hours booked today
+  const mix = toMix(booked.demand);
+  const genderMix = {};
+  const bandMix = {};
+  mix.forEach((share, key) => {
+    const { gender, band } = splitKey(key);
+    genderMix[gender] = (genderMix[gender] || 0) + share;
+    bandMix[band] = (bandMix[band] || 0) + share;
+  });
+  if (!Object.keys(genderMix).length) GENDERS.forEach((g) => { genderMix[g] = 1 / GENDERS.length; });
+  if (!Object.keys(bandMix).length) BANDS.forEach((b) => { bandMix[b.key] = 1 / BANDS.length; });
+
+  const hoursPerStudent = booked.studentCount
+    ? sumMap(booked.demand) / booked.studentCount
+    : (history.lastMonthWeeklyHoursPerStudent || 2);
+  const newStudentMix = mix.size ? mix : (() => {
+    const fallback = new Map();
+    Object.entries(genderMix).forEach(([gender, gShare]) => Object.entries(bandMix).forEach(([band, bShare]) => {
+      addHours(fallback, bucketKey(gender, OTHER_SUBJECT, band), gShare * bShare);
+    }));
+    return fallback;
+  })();
+
+  const leads = await loadLeadDemand(now, { conversion: leadRate.rate, genderMix, fallbackBandMix: bandMix });
+  const [evaluations, supply, campaigns] = await Promise.all([
+    loadEvaluationDemand(now, {
+      conversion: evaluationRate.rate,
+      hoursPerStudent,
+      mix: newStudentMix,
+      leadEmails: leads.emails,
+    }),
+    loadSupply(teachers, booked, { weeklyCap, utilization, bandMix, now }),
+    RecruitmentCampaign.find({ status: { $in: ['draft', 'open'] } }).select('title status targetHires').lean(),
+  ]);
+
+  const churn = history.monthlyChurnRate;
+  const seasonalIndex = (date) => (history.seasonal.available
+    ? history.seasonal.index[moment(date).tz(PLANNING_TZ).month() + 1] || 1
+    : 1);
+  const currentSeason = seasonalIndex(now);
+  const inflowHours = history.monthlyNewStudents * hoursPerStudent;
+
+  const monthsOut = [];
+  let previousHires = 0;
+  for (let k = 1; k <= horizon; k += 1) {
+    const monthStart = moment(now).tz(PLANNING_TZ).startOf('month').add(k, 'months');
+    const demand = scaleMap(booked.demand, (1 - churn) ** k);
+    leads.entries.forEach((entry) => {
+      if (entry.start <= k) mergeInto(demand, entry.demand, (1 - churn) ** (k - entry.start));
+    });
+    mergeInto(demand, evaluations.demand, (1 - churn) ** (k - 1));
+    for (let j = 2; j <= k; j += 1) mergeInto(demand, newStudentMix, inflowHours * (1 - churn) ** (k - j));
+    const seasonal = currentSeason > 0 ? seasonalIndex(monthStart) / currentSeason : 1;
+    const projected = scaleMap(demand, seasonal);
+
+    const plan = planMonth({
+      demand: projected,
+      supply: supply.supply,
+      genderBandSupply: supply.genderBand,
+      perNewTeacher,
+    });
+    monthsOut.push({
+      month: monthStart.format('YYYY-MM'),
+      label: monthStart.format('MMM YYYY'),
+      seasonalFactor: Math.round(seasonal * 100) / 100,
+      demandWeeklyHours: round1(sumMap(projected)),
+      supplyWeeklyHours: round1(sumMap(supply.genderBand)),
+      shortfallWeeklyHours: round1(plan.shortfall),
+      hiresNeeded: plan.hiresNeeded,
+      additionalHires: Math.max(0, plan.hiresNeeded - previousHires),
+      profiles: plan.profiles,
+      breakdown: {
+        gender: dimensionBreakdown(projected, supply.supply, (p) => p.gender)
+          // Subject supply repeats across subjects; use the gender totals instead
+          .map((row) => {
+            let total = 0;
+            supply.genderBand.forEach((hours, key) => { if (key.startsWith(`${row.key}|`)) total += hours; });
+            return { ...row, supply: round1(total), shortfall: round1(Math.max(0, row.demand - total)) };
+          }),
+        subject: dimensionBreakdown(projected, supply.supply, (p) => p.subject),
+        band: dimensionBreakdown(projected, supply.supply, (p) => p.band)
+          .map((row) => {
+            let total = 0;
+            supply.genderBand.forEach((hours, key) => { if (key.endsWith(`|${row.key}`)) total += hours; });
+            return { ...row, label: BANDS.find((b) => b.key === row.key)?.label || row.key, supply: round1(total), shortfall: round1(Math.max(0, row.demand - total)) };
+          }),
+      },
+    });
+    previousHires = Math.max(previousHires, plan.hiresNeeded);
+  }
+
+  const campaignTarget = campaigns.reduce((sum, c) => sum + (Number(c.targetHires) || 0), 0);
+  const peakHires = monthsOut.reduce((max, m) => Math.max(max, m.hiresNeeded), 0);
+
+  return {
+    generatedAt: now.toISOString(),
+    horizonMonths: horizon,
+    config: {
+      weeklyHoursPerTeacher: weeklyCap,
+      planningUtilizationPct: config.hireThresholdPct,
+      weeklyHoursPerNewTeacher: round1(perNewTeacher),
+    },
+    assumptions: {
+      leadConversionRate: Math.round(leadRate.rate * 100),
+      leadConversionMeasured: leadRate.measured,
+      evaluationConversionRate: Math.round(evaluationRate.rate * 100),
+      evaluationConversionMeasured: evaluationRate.measured,
+      monthlyChurnPct: Math.round(churn * 1000) / 10,
+      monthlyNewStudents: round1(history.monthlyNewStudents),
+      weeklyHoursPerStudent: round1(hoursPerStudent),
+      monthsOfHistory: history.monthsOfHistory,
+      seasonalityAvailable: history.seasonal.available,
+    },
+    current: {
+      teacherCount: teachers.length,
+      openTeacherCount: supply.openTeachers,
+      bookedWeeklyHours: round1(sumMap(booked.demand)),
+      availableWeeklyHours: round1(supply.availableWeeklyHours),
+      plannableWeeklyHours: round1(sumMap(supply.genderBand)),
+      activeStudents: booked.studentCount,
+    },
+    pipeline: {
+      openLeads: leads.leadCount,
+      leadStudents: leads.studentCount,
+      scheduledEvaluations: evaluations.meetingCount,
+      evaluationStudents: evaluations.studentCount,
+      expectedWeeklyHours: round1(
+        leads.entries.reduce((sum, entry) => sum + sumMap(entry.demand), 0) + sumMap(evaluations.demand)
+      ),
+    },
+    months: monthsOut,
+    campaigns: {
+      active: campaigns.map((c) => ({ _id: c._id, title: c.title, status: c.status, targetHires: c.targetHires || 0 })),
+      targetHires: campaignTarget,
+      peakHiresNeeded: peakHires,
+      gap: peakHires - campaignTarget,
+    },
+  };
+}
+
+module.exports = {
+  CAPACITY_CONFIG_KEY,
+  DEFAULT_CAPACITY_CONFIG,
+  BANDS,
+  getCapacityConfig,
+  buildForecast,
+};
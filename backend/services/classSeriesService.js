@@ -0,0 +1,525 @@
+// backend/services/classSeriesService.js
+// Series definitions for recurring class patterns.
+//
+// A pattern's dates come from an RFC 5545 RRULE (Class.recurrence.rrule, with
+// dtstart in the pattern timezone) minus EXDATEs plus RDATEs; the time and
+// duration of each date come from the recurrenceDetails slot for its weekday.
+// Patterns saved before rules existed are read as FREQ=WEEKLY;BYDAY=<slot
+// days>, which is exactly what the old generator produced.
+//
+// Exceptions are stored on the pattern, not derived from the children, so
+// deleting or moving one occurrence survives every later regeneration.
+const moment = require('moment-timezone');
+
+const Class = require('../models/Class');
+const tzUtils = require('../utils/timezone');
+const {
+  isValidDateString,
+  parseRRule,
+  formatRRule,
+  expandRRule,
+  weekdayOfDate,
+} = require('../utils/recurrenceRule');
+
+const MAX_EXDATES = 500;
+const MAX_RDATES = 200;
+const PREVIEW_LIMIT = 20;
+// Same tolerance the generator uses to recognise an existing occurrence
+const MATCH_TOLERANCE_MS = 90 * 60 * 1000;
+const EXDATE_RE = /^(\d{4}-\d{2}-\d{2})(T([01]\d|2[0-3]):[0-5]\d)?$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const FREQUENCY_TO_LEGACY = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly',
+};
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const seriesTimezone = (pattern) => pattern?.timezone || 'UTC';
+const todayIn = (timezone) => moment.tz(new Date(), timezone).format('YYYY-MM-DD');
+const localDateOf = (date, timezone) => moment.tz(date, timezone).format('YYYY-MM-DD');
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+function slotDaysOf(pattern) {
+  const days = (pattern?.recurrenceDetails || [])
+    .map((slot) => Number(slot?.dayOfWeek))
+    .filter((day) => Number.isInteger(day) && day >= 0 && day <= 6);
+  return Array.from(new Set(days)).sort((a, b) => a - b);
+}
+
+/**
+ * The rule older patterns implicitly followed: every slot weekday, every week,
+ * from the day the pattern was created (or first scheduled, if earlier).
+ */
+function legacySeriesDefinition(pattern) {
+  const timezone = seriesTimezone(pattern);
+  let days = slotDaysOf(pattern);
+  if (!days.length && Array.isArray(pattern?.recurrence?.daysOfWeek)) {
+    days = Array.from(new Set(pattern.recurrence.daysOfWeek.map(Number)))
+      .filter((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+      .sort((a, b) => a - b);
+  }
+  if (!days.length && pattern?.scheduledDate) {
+    days = [moment.tz(pattern.scheduledDate, timezone).day()];
+  }
+
+  const anchors = [pattern?.createdAt, pattern?.scheduledDate]
+    .map((value) => (value ? new Date(value) : null))
+    .filter((value) => value && !Number.isNaN(value.getTime()))
+    .sort((a, b) => a - b);
+
+  const rule = { freq: 'WEEKLY', interval: 1, byDay: days.map((weekday) => ({ weekday, n: null })) };
+  return {
+    rrule: formatRRule(rule),
+    dtstart: anchors.length ? localDateOf(anchors[0], timezone) : todayIn(timezone),
+  };
+}
+
+/**
+ * Effective series definition of a pattern: { rule, rrule, dtstart, exdates,
+ * rdates, legacy }. A stored rule that no longer parses falls back to the
+ * legacy weekly rule rather than stopping generation.
+ */
+function resolveSeries(pattern) {
+  const recurrence = toPlain(pattern?.recurrence) || {};
+  const exdates = Array.isArray(recurrence.exdates) ? recurrence.exdates.map(String) : [];
+  const rdates = Array.isArray(recurrence.rdates) ? recurrence.rdates.map((entry) => ({ ...toPlain(entry) })) : [];
+  const legacy = legacySeriesDefinition(pattern);
+
+  if (recurrence.rrule) {
+    try {
+      const rule = parseRRule(recurrence.rrule);
+      return {
+        rule,
+        rrule: formatRRule(rule),
+        dtstart: isValidDateString(recurrence.dtstart) ? recurrence.dtstart : legacy.dtstart,
+        exdates,
+        rdates,
+        legacy: false,
+      };
+    } catch (err) {
+      console.warn(`[classSeries] pattern ${pattern?._id} has an invalid rule "${recurrence.rrule}": ${err.message}`);
+    }
+  }
+
+  return { rule: parseRRule(legacy.rrule), rrule: legacy.rrule, dtstart: legacy.dtstart, exdates, rdates, legacy: true };
+}
+
+/**
+ * Weekday -> [{ time, hours, minutes, duration, timezone }] from the pattern's
+ * slots (or a generator perDayMap), falling back to the pattern's own start.
+ */
+function buildSlotMap(pattern, perDayMap) {
+  const timezone = seriesTimezone(pattern);
+  const fallbackStart = pattern?.scheduledDate ? moment.tz(pattern.scheduledDate, timezone) : null;
+  const map = new Map();
+  const add = (day, { hours, minutes, duration, timezone: slotTimezone }) => {
+    const h = Number.isFinite(hours) ? hours : fallbackStart?.hours();
+    const m = Number.isFinite(minutes) ? minutes : fallbackStart?.minutes();
+    if (!Number.isFinite(h) || !Number.isFinite(m)) return;
+    const list = map.get(day) || [];
+    list.push({
+      time: `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`,
+      hours: h,
+      minutes: m,
+      duration: typeof duration === 'number' ? duration : pattern.duration,
+      timezone: slotTimezone || timezone,
+    });
+    map.set(day, list);
+  };
+
+  if (perDayMap && perDayMap.size) {
+    for (const [day, slots] of perDayMap) {
+      for (const slot of slots || []) add(Number(day), slot || {});
+    }
+  } else {
+    for (const slot of pattern?.recurrenceDetails || []) {
+      const [hh, mm] = String(slot?.time || '').split(':').map((part) => parseInt(part, 10));
+      add(Number(slot?.dayOfWeek), { hours: hh, minutes: mm, duration: slot?.duration, timezone: slot?.timezone });
+    }
+  }
+
+  if (!map.size && fallbackStart) {
+    add(fallbackStart.day(), { hours: fallbackStart.hours(), minutes: fallbackStart.minutes(), duration: pattern.duration, timezone });
+  }
+  return map;
+}
+
+function buildOccurrence(date, slot, source, index) {
+  const [year, month, day] = date.split('-').map(Number);
+  const start = tzUtils.buildUtcFromParts(
+    { year, month: month - 1, day, hour: slot.hours, minute: slot.minutes },
+    slot.timezone,
+  );
+  return {
+    date,
+    time: slot.time,
+    start,
+    duration: slot.duration,
+    timezone: slot.timezone,
+    source,
+    index,
+  };
+}
+
+/**
+ * Occurrences of a pattern between two local dates (inclusive), sorted by
+ * start. Each is { date, time, start, duration, timezone, source, index };
+ * source is 'rule' or 'rdate'. EXDATEs still count towards COUNT, as in RFC 5545.
+ */
+function planSeriesOccurrences(pattern, { fromDate, toDate, perDayMap, series, limit } = {}) {
+  const resolved = series || resolveSeries(pattern);
+  const slotMap = buildSlotMap(pattern, perDayMap);
+  if (!slotMap.size) return [];
+  const fallbackSlots = slotMap.values().next().value;
+  const excluded = new Set(resolved.exdates || []);
+  const occurrences = [];
+
+  const dates = expandRRule(resolved.rule, { dtstart: resolved.dtstart, from: fromDate, to: toDate });
+  for (const { date, index } of dates) {
+    if (excluded.has(date)) continue;
+    const slots = slotMap.get(weekdayOfDate(date)) || fallbackSlots;
+    for (const slot of slots) {
+      if (excluded.has(`${date}T${slot.time}`)) continue;
+      occurrences.push(buildOccurrence(date, slot, 'rule', index));
+    }
+  }
+
+  for (const extra of resolved.rdates || []) {
+    if (!isValidDateString(extra?.date) || !TIME_RE.test(extra?.time || '')) continue;
+    if ((fromDate && extra.date < fromDate) || (toDate && extra.date > toDate)) continue;
+    if (excluded.has(extra.date) || excluded.has(`${extra.date}T${extra.time}`)) continue;
+    const [hours, minutes] = extra.time.split(':').map(Number);
+    occurrences.push(buildOccurrence(extra.date, {
+      time: extra.time,
+      hours,
+      minutes,
+      duration: typeof extra.duration === 'number' ? extra.duration : (fallbackSlots[0]?.duration || pattern.duration),
+      timezone: extra.timezone || seriesTimezone(pattern),
+    }, 'rdate', null));
+  }
+
+  occurrences.sort((a, b) => a.start - b.start);
+  const seen = new Set();
+  const unique = occurrences.filter((occ) => {
+    const key = `${occ.start.getTime()}|${occ.duration}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return limit ? unique.slice(0, limit) : unique;
+}
+
+function normalizeExdates(list) {
+  if (!Array.isArray(list)) throw buildError(400, 'exdates must be a list', 'INVALID_SERIES_EXCEPTION');
+  const values = list.map((value) => String(value || '').trim()).filter(Boolean);
+  for (const value of values) {
+    const match = EXDATE_RE.exec(value);
+    if (!match || !isValidDateString(match[1])) {
+      throw buildError(400, `Invalid skipped date "${value}" (use YYYY-MM-DD or YYYY-MM-DDTHH:mm)`, 'INVALID_SERIES_EXCEPTION');
+    }
+  }
+  const unique = Array.from(new Set(values)).sort();
+  if (unique.length > MAX_EXDATES) {
+    throw buildError(400, `A series can skip at most ${MAX_EXDATES} dates`, 'INVALID_SERIES_EXCEPTION');
+  }
+  return unique;
+}
+
+function normalizeRdates(list) {
+  if (!Array.isArray(list)) throw buildError(400, 'rdates must be a list', 'INVALID_SERIES_EXCEPTION');
+  const seen = new Set();
+  const result = [];
+  for (const entry of list) {
+    const date = String(entry?.date || '').trim();
+    const time = String(entry?.time || '').trim();
+    if (!isValidDateString(date) || !TIME_RE.test(time)) {
+      throw buildError(400, 'Each extra session needs a date (YYYY-MM-DD) and time (HH:mm)', 'INVALID_SERIES_EXCEPTION');
+    }
+    const item = { date, time };
+    if (entry.duration !== undefined && entry.duration !== null && entry.duration !== '') {
+      const duration = Number(entry.duration);
+      if (!Number.isFinite(duration) || duration < 15 || duration > 180) {
+        throw buildError(400, 'Extra session duration must be between 15 and 180 minutes', 'INVALID_SERIES_EXCEPTION');
+      }
+      item.duration = duration;
+    }
+    if (entry.timezone) {
+      if (!moment.tz.zone(String(entry.timezone))) {
+        throw buildError(400, `Unknown timezone "${entry.timezone}"`, 'INVALID_SERIES_EXCEPTION');
+      }
+      item.timezone = String(entry.timezone);
+    }
+    const key = `${date}T${time}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    result.push(item);
+  }
+  if (result.length > MAX_RDATES) {
+    throw buildError(400, `A series can have at most ${MAX_RDATES} extra sessions`, 'INVALID_SERIES_EXCEPTION');
+  }
+  return result.sort((a, b) => `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`));
+}
+
+/**
+ * Validate a requested definition ({ rrule, dtstart, exdates, rdates }), taking
+ * missing parts from `current`. Returns the canonical form plus the parsed rule.
+ * @throws 400 INVALID_RRULE | INVALID_SERIES_START | INVALID_SERIES_EXCEPTION
+ */
+function normalizeSeriesDefinition(input = {}, { current = null, timezone = 'UTC' } = {}) {
+  const rruleText = input.rrule !== undefined && input.rrule !== null && input.rrule !== '' ? input.rrule : current?.rrule;
+  let rule;
+  try {
+    rule = parseRRule(rruleText);
+  } catch (err) {
+    throw buildError(400, err.message, 'INVALID_RRULE');
+  }
+
+  const dtstart = input.dtstart ? String(input.dtstart).trim() : (current?.dtstart || todayIn(timezone));
+  if (!isValidDateString(dtstart)) {
+    throw buildError(400, 'Series start date must be a valid YYYY-MM-DD date', 'INVALID_SERIES_START');
+  }
+  if (rule.until && rule.until < dtstart) {
+    throw buildError(400, 'The series ends before it starts', 'INVALID_RRULE');
+  }
+
+  return {
+    rule,
+    rrule: formatRRule(rule),
+    dtstart,
+    exdates: normalizeExdates(input.exdates !== undefined ? input.exdates : (current?.exdates || [])),
+    rdates: normalizeRdates(input.rdates !== undefined ? input.rdates : (current?.rdates || [])),
+  };
+}
+
+/**
+ * Class.recurrence fields for a normalized definition, including the legacy
+ * frequency/interval/daysOfWeek/maxOccurrences mirrors.
+ */
+function toRecurrenceFields(definition, slotDays = []) {
+  const { rule } = definition;
+  const ruleDays = Array.from(new Set((rule.byDay || []).map((entry) => entry.weekday))).sort((a, b) => a - b);
+  return {
+    rrule: definition.rrule,
+    dtstart: definition.dtstart,
+    exdates: definition.exdates,
+    rdates: definition.rdates,
+    frequency: FREQUENCY_TO_LEGACY[rule.freq] || 'weekly',
+    interval: rule.interval || 1,
+    daysOfWeek: ruleDays.length ? ruleDays : slotDays,
+    maxOccurrences: rule.count || undefined,
+  };
+}
+
+/**
+ * When a series' slot days change, a rule whose BYDAY simply listed the old
+ * days (the default) is moved to the new days. Other rules are left alone.
+ */
+function retargetRuleDays(rrule, previousDays = [], nextDays = []) {
+  let rule;
+  try {
+    rule = parseRRule(rrule);
+  } catch (_) {
+    return rrule;
+  }
+  const sameSet = (a, b) => a.length === b.length && a.every((day) => b.includes(day));
+  const before = Array.from(new Set(previousDays.map(Number)));
+  const after = Array.from(new Set(nextDays.map(Number))).sort((a, b) => a - b);
+  const ruleDays = rule.byDay.map((entry) => entry.weekday);
+  if (!after.length || rule.byDay.some((entry) => entry.n !== null) || !sameSet(Array.from(new Set(ruleDays)), before)) {
+    return formatRRule(rule);
+  }
+  rule.byDay = after.map((weekday) => ({ weekday, n: null }));
+  return formatRRule(rule);
+}
+
+/**
+ * Next occurrences for a proposed definition, used by the editors before
+ * saving. `pattern` may be a stored pattern or just { timezone,
+ * recurrenceDetails, duration } for a series that does not exist yet.
+ */
+function previewRule(pattern, input = {}, { limit = PREVIEW_LIMIT } = {}) {
+  const timezone = seriesTimezone(pattern);
+  const current = pattern?._id ? resolveSeries(pattern) : null;
+  const definition = normalizeSeriesDefinition(input, { current, timezone });
+  const today = todayIn(timezone);
+  const fromDate = definition.dtstart > today ? definition.dtstart : today;
+  const toDate = moment.tz(fromDate, timezone).add(2, 'years').format('YYYY-MM-DD');
+  const occurrences = planSeriesOccurrences(pattern, {
+    fromDate,
+    toDate,
+    series: { ...definition, legacy: false },
+    limit: Math.min(Math.max(Number(limit) || PREVIEW_LIMIT, 1), 100),
+  });
+
+  return {
+    rrule: definition.rrule,
+    dtstart: definition.dtstart,
+    exdates: definition.exdates,
+    rdates: definition.rdates,
+    timezone,
+    occurrences: occurrences.map(({ start, ...occ }) => ({ ...occ, start: start.toISOString() })),
+  };
+}
+
+// Where the rule put an occurrence: a class moved by a Hijri scheduling rule
+// (Class.hijriShift) still stands for its original slot.
+const plannedStartOf = (classDoc, start = classDoc?.scheduledDate) => (
+  classDoc?.hijriShift?.originalScheduledDate || start
+);
+
+const matchesOccurrence = (child, occ) => (
+  Math.abs(new Date(plannedStartOf(child)).getTime() - occ.start.getTime()) <= MATCH_TOLERANCE_MS
+  && Number(child.duration) === Number(occ.duration)
+);
+
+/**
+ * Save a new definition on a pattern and bring its upcoming classes in line:
+ * scheduled occurrences the rule no longer produces are cancelled (kept as
+ * history), missing ones are generated.
+ */
+async function updateSeriesRule(patternId, input = {}, actor = null) {
+  const pattern = await Class.findById(patternId);
+  if (!pattern) throw buildError(404, 'Series not found', 'SERIES_NOT_FOUND');
+  if (pattern.status !== 'pattern') throw buildError(400, 'Target class is not a series pattern', 'NOT_A_SERIES');
+
+  const timezone = seriesTimezone(pattern);
+  const definition = normalizeSeriesDefinition(input, { current: resolveSeries(pattern), timezone });
+  Object.assign(pattern.recurrence, toRecurrenceFields(definition, slotDaysOf(pattern)));
+  pattern.markModified('recurrence');
+  pattern.lastModifiedBy = actor?._id || null;
+  pattern.lastModifiedAt = new Date();
+  await pattern.save();
+
+  const now = new Date();
+  const months = pattern.recurrence?.generationPeriodMonths || 2;
+  const planned = planSeriesOccurrences(pattern, {
+    fromDate: todayIn(timezone),
+    toDate: moment.tz(now, timezone).add(months, 'months').format('YYYY-MM-DD'),
+  });
+
+  const upcoming = await Class.find({
+    parentRecurringClass: pattern._id,
+    scheduledDate: { $gte: now },
+    status: 'scheduled',
+  }).select('_id scheduledDate duration hijriShift').lean();
+  const removedIds = upcoming
+    .filter((child) => !planned.some((occ) => matchesOccurrence(child, occ)))
+    .map((child) => child._id);
+
+  if (removedIds.length) {
+    await Class.updateMany({ _id: { $in: removedIds }, status: 'scheduled' }, {
+      $set: {
+        status: 'cancelled_by_admin',
+        'cancellation.reason': 'Removed from the series schedule',
+        'cancellation.cancelledAt': now,
+        'cancellation.cancelledBy': actor?._id || null,
+        'cancellation.cancelledByRole': 'admin',
+      },
+      $unset: { pendingReschedule: 1 },
+    });
+  }
+
+  // Required lazily: the generator itself plans through this service
+  const { generateRecurringClasses } = require('../utils/generateRecurringClasses');
+  const created = await generateRecurringClasses(pattern, months, null, { throwOnError: true });
+
+  return { pattern, created, removedIds };
+}
+
+const occurrenceKey = (date, timezone) => moment.tz(date, timezone).format('YYYY-MM-DD[T]HH:mm');
+
+async function loadPatternFor(classDoc) {
+  if (!classDoc?.parentRecurringClass || classDoc.status === 'pattern') return null;
+  const pattern = await Class.findById(classDoc.parentRecurringClass);
+  return pattern && pattern.status === 'pattern' ? pattern : null;
+}
+
+// Store the current (possibly legacy) definition with the new exceptions
+async function saveExceptions(pattern, { exdates, rdates }) {
+  const current = resolveSeries(pattern);
+  const definition = normalizeSeriesDefinition({
+    rrule: current.rrule,
+    dtstart: current.dtstart,
+    exdates: Array.from(new Set(exdates)).sort().slice(-MAX_EXDATES),
+    rdates: rdates.slice(-MAX_RDATES),
+  }, { timezone: seriesTimezone(pattern) });
+  await Class.updateOne({ _id: pattern._id }, {
+    $set: {
+      'recurrence.rrule': definition.rrule,
+      'recurrence.dtstart': definition.dtstart,
+      'recurrence.exdates': definition.exdates,
+      'recurrence.rdates': definition.rdates,
+    },
+  });
+}
+
+// Drop the slot at `date` from the series: an extra session is removed, a
+// rule occurrence gets an EXDATE.
+function withoutSlot(series, key) {
+  const [date, time] = key.split('T');
+  const rdates = series.rdates.filter((entry) => !(entry.date === date && entry.time === time));
+  const exdates = rdates.length === series.rdates.length ? [...series.exdates, key] : series.exdates;
+  return { exdates, rdates };
+}
+
+/**
+ * A single occurrence was deleted: keep the generator from recreating it.
+ */
+async function recordOccurrenceRemoved(classDoc) {
+  const pattern = await loadPatternFor(classDoc);
+  if (!pattern) return false;
+  const series = resolveSeries(pattern);
+  await saveExceptions(pattern, withoutSlot(series, occurrenceKey(plannedStartOf(classDoc), classDoc.timezone || seriesTimezone(pattern))));
+  return true;
+}
+
+/**
+ * A single occurrence moved to another time (or got another length): skip its
+ * old slot and keep the new one as an extra session of the series.
+ * `previous` is { scheduledDate, timezone?, duration? } before the change.
+ */
+async function recordOccurrenceMoved(classDoc, previous = {}) {
+  const previousStart = previous.scheduledDate ? new Date(previous.scheduledDate) : null;
+  if (!previousStart || Number.isNaN(previousStart.getTime())) return false;
+  const sameStart = previousStart.getTime() === new Date(classDoc?.scheduledDate).getTime();
+  const sameDuration = previous.duration === undefined || Number(previous.duration) === Number(classDoc?.duration);
+  if (sameStart && sameDuration) return false;
+
+  const pattern = await loadPatternFor(classDoc);
+  if (!pattern) return false;
+  const timezone = classDoc.timezone || seriesTimezone(pattern);
+  const series = resolveSeries(pattern);
+  const { exdates, rdates } = withoutSlot(series, occurrenceKey(plannedStartOf(classDoc, previousStart), previous.timezone || timezone));
+  const [date, time] = occurrenceKey(classDoc.scheduledDate, timezone).split('T');
+  rdates.push({ date, time, duration: Number(classDoc.duration) || undefined, timezone });
+  await saveExceptions(pattern, { exdates, rdates });
+  // Now an explicit extra session, no longer a Hijri-shifted rule slot
+  if (classDoc.hijriShift?.originalScheduledDate) {
+    await Class.updateOne({ _id: classDoc._id }, { $unset: { hijriShift: 1 } });
+  }
+  return true;
+}
+
+module.exports = {
+  MAX_EXDATES,
+  MAX_RDATES,
+  legacySeriesDefinition,
+  resolveSeries,
+  planSeriesOccurrences,
+  normalizeSeriesDefinition,
+  toRecurrenceFields,
+  retargetRuleDays,
+  previewRule,
+  updateSeriesRule,
+  recordOccurrenceRemoved,
+  recordOccurrenceMoved,
+};
@@ -0,0 +1,582 @@
+// backend/services/coverBoardService.js
+// Substitute-teacher (cover) board.
+//
+// Class occurrences that lost their teacher are posted as CoverRequests:
+//  - classes held or temporarily cancelled by an approved teacher vacation,
+//  - classes the teacher cancels on the day itself (Cairo day),
+//  - on-hold classes or any other future class an admin posts by hand.
+// At post time every active teacher is checked for subject qualification and
+// availability (availability slots, unavailable periods, existing classes) and
+// the matching teachers are notified. Depending on the board mode the first
+// teacher to claim gets the class, or an admin approves one of the claimants.
+//
+// Accepting cover only touches that one occurrence: Class.teacher moves to the
+// substitute, the class is scheduled again and the guardian is notified. Salary
+// follows Class.teacher, so the substitute's monthly invoice picks up the hours
+// once the class is reported and the original teacher's does not.
+const moment = require('moment-timezone');
+
+const Class = require('../models/Class');
+const CoverRequest = require('../models/CoverRequest');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const { validateTeacherAvailability } = require('./availabilityService');
+
+const CAIRO_TZ = 'Africa/Cairo';
+const CONFIG_KEY = 'coverBoardConfig';
+const CLAIM_MODES = ['first_come', 'admin_approval'];
+const DEFAULT_CONFIG = {
+  claimMode: 'first_come',
+  postVacationClasses: true,
+  postSameDayTeacherCancellations: true,
+  // Teachers with no subjects on their profile are still treated as qualified
+  requireSubjectMatch: true
+};
+// Class statuses an occurrence can be in while it is waiting for cover
+const COVERABLE_STATUSES = ['scheduled', 'on_hold', 'cancelled', 'cancelled_by_teacher'];
+const CANDIDATE_LOOKAHEAD_DAYS = 30;
+const BOARD_LINK = '/dashboard/cover-board';
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const personName = (user) => `${user?.firstName || ''} ${user?.lastName || ''}`.trim() || 'Teacher';
+const normalizeText = (value) => String(value || '').trim().toLowerCase();
+
+const normalizeConfig = (value = {}) => ({
+  claimMode: CLAIM_MODES.includes(value.claimMode) ? value.claimMode : DEFAULT_CONFIG.claimMode,
+  postVacationClasses: value.postVacationClasses !== undefined
+    ? Boolean(value.postVacationClasses)
+    : DEFAULT_CONFIG.postVacationClasses,
+  postSameDayTeacherCancellations: value.postSameDayTeacherCancellations !== undefined
+    ? Boolean(value.postSameDayTeacherCancellations)
+    : DEFAULT_CONFIG.postSameDayTeacherCancellations,
+  requireSubjectMatch: value.requireSubjectMatch !== undefined
+    ? Boolean(value.requireSubjectMatch)
+    : DEFAULT_CONFIG.requireSubjectMatch
+});
+
+async function getConfig() {
+  const doc = await Setting.findOne({ key: CONFIG_KEY }).lean();
+  return normalizeConfig(doc?.value || DEFAULT_CONFIG);
+}
+
+async function updateConfig(value = {}) {
+  const config = normalizeConfig({ ...(await getConfig()), ...value });
+  await Setting.findOneAndUpdate(
+    { key: CONFIG_KEY },
+    { value: config, description: 'Substitute cover board mode and auto-posting rules' },
+    { upsert: true, new: true }
+  );
+  return config;
+}
+
+// --- Eligibility ------------------------------------------------------------
+
+// A posted class still needs cover while it is in the future, still belongs to
+// the teacher it was posted for and has not been rescheduled or cancelled for
+// good in the meantime.
+function stillNeedsCover(cls, originalTeacherId) {
+  if (!cls || cls.deleted || cls.status === 'pattern') return false;
+  if (!COVERABLE_STATUSES.includes(cls.status)) return false;
+  if (cls.status === 'cancelled' && cls.cancellation?.isTemporary === false) return false;
+  if (new Date(cls.scheduledDate) <= new Date()) return false;
+  return String(cls.teacher?._id || cls.teacher) === String(originalTeacherId);
+}
+
+const classWindow = (cls) => {
+  const start = new Date(cls.scheduledDate);
+  return { start, end: new Date(start.getTime() + Number(cls.duration || 60) * 60000) };
+};
+
+function isQualified(teacher, subject, config) {
+  if (!config.requireSubjectMatch || !subject) return true;
+  const subjects = (teacher.teacherInfo?.subjects || []).map(normalizeText).filter(Boolean);
+  return subjects.length === 0 || subjects.includes(normalizeText(subject));
+}
+
+async function isFree(teacherId, cls) {
+  const { start, end } = classWindow(cls);
+  const result = await validateTeacherAvailability(teacherId, start, end, String(cls._id));
+  return Boolean(result?.isAvailable);
+}
+
+async function findEligibleTeachers(cls, config) {
+  const teachers = await User.find({
+    role: 'teacher',
+    isActive: true,
+    _id: { $ne: cls.teacher }
+  }).select('_id firstName lastName teacherInfo.subjects').lean();
+
+  const eligible = [];
+  for (const teacher of teachers) {
+    if (!isQualified(teacher, cls.subject, config)) continue;
+    if (await isFree(teacher._id, cls)) eligible.push(teacher._id);
+  }
+  return eligible;
+}
+
+// --- Posting ----------------------------------------------------------------
+
+async function notifyTeachersOfPosts(postsByTeacher) {
+  for (const [teacherId, requests] of postsByTeacher.entries()) {
+    const first = requests[0];
+    const message = requests.length === 1
+      ? `${first.subject || 'A class'} for ${first.studentName || 'a student'} on ${moment(first.scheduledDate).tz(first.timezone || CAIRO_TZ).format('DD MMM YYYY hh:mm A')} needs a substitute teacher.`
+      : `${requests.length} classes need a substitute teacher and fit your schedule.`;
+    try {
+      await notificationService.createNotification({
+        userId: teacherId,
+        title: 'Cover available',
+        message,
+        type: 'class',
+        relatedTo: 'class',
+        relatedId: first.class,
+        actionRequired: true,
+        actionLink: BOARD_LINK
+      });
+    } catch (err) {
+      console.warn('[coverBoard] Failed to notify teacher', teacherId, err.message);
+    }
+  }
+}
+
+async function createRequest(cls, { source, vacationId = null, postedBy = null, note = '' }, config) {
+  const existing = await CoverRequest.findOne({ class: cls._id, status: 'open' });
+  if (existing) return { request: existing, created: false };
+
+  const eligibleTeachers = await findEligibleTeachers(cls, config);
+  try {
+    const request = await CoverRequest.create({
+      class: cls._id,
+      originalTeacher: cls.teacher,
+      source,
+      vacation: vacationId || undefined,
+      scheduledDate: cls.scheduledDate,
+      duration: cls.duration,
+      subject: cls.subject,
+      studentName: cls.student?.studentName,
+      guardian: cls.student?.guardianId,
+      timezone: cls.timezone,
+      classStatusAtPost: cls.status,
+      claimMode: config.claimMode,
+      eligibleTeachers,
+      postedBy: postedBy || undefined,
+      note: note || undefined
+    });
+    return { request, created: true };
+  } catch (err) {
+    // Another request raced us to the open slot for this class
+    if (err?.code === 11000) {
+      return { request: await CoverRequest.findOne({ class: cls._id, status: 'open' }), created: false };
+    }
+    throw err;
+  }
+}
+
+async function notifyPosted(requests) {
+  const postsByTeacher = new Map();
+  const uncovered = [];
+  requests.forEach((request) => {
+    if (!request.eligibleTeachers?.length) uncovered.push(request);
+    request.eligibleTeachers.forEach((teacherId) => {
+      const key = String(teacherId);
+      if (!postsByTeacher.has(key)) postsByTeacher.set(key, []);
+      postsByTeacher.get(key).push(request);
+    });
+  });
+  await notifyTeachersOfPosts(postsByTeacher);
+
+  if (uncovered.length) {
+    try {
+      await notificationService.notifyRole({
+        role: 'admin',
+        title: 'No substitute available',
+        message: `${uncovered.length} class${uncovered.length === 1 ? '' : 'es'} posted for cover have no qualified teacher free at that time.`,
+        type: 'warning',
+        related: { actionLink: BOARD_LINK }
+      });
+    } catch (err) {
+      console.warn('[coverBoard] Failed to notify admins', err.message);
+    }
+  }
+}
+
+/**
+ * Post class occurrences to the cover board.
+ * @param {Array<string>} classIds
+ * @param {Object} options - { source, vacationId, postedBy, note }
+ * @returns {Promise<{posted: Array, skipped: Array}>}
+ */
+async function postClasses(classIds = [], options = {}) {
+  const source = options.source || 'manual';
+  const config = await getConfig();
+  const classes = await Class.find({ _id: { $in: classIds } });
+  const posted = [];
+  const skipped = [];
+  const created = [];
+
+  for (const cls of classes) {
+    if (!stillNeedsCover(cls, cls.teacher)) {
+      skipped.push({ classId: cls._id, reason: 'Class is in the past, already covered or cancelled for good' });
+      continue;
+    }
+    const result = await createRequest(cls, { ...options, source }, config);
+    posted.push(result.request);
+    if (result.created) created.push(result.request);
+  }
+  const foundIds = new Set(classes.map((c) => String(c._id)));
+  classIds.filter((id) => !foundIds.has(String(id))).forEach((id) => skipped.push({ classId: id, reason: 'Class not found' }));
+
+  if (created.length) await notifyPosted(created);
+  return { posted, skipped };
+}
+
+/**
+ * Post the classes a teacher vacation put on hold or cancelled temporarily.
+ * Called after the vacation is applied to the classes.
+ */
+async function postVacationClasses(vacation, postedBy = null) {
+  if (!vacation || vacation.role !== 'teacher') return { posted: [], skipped: [] };
+  const config = await getConfig();
+  if (!config.postVacationClasses) return { posted: [], skipped: [] };
+
+  const end = new Date(vacation.actualEndDate || vacation.endDate);
+  const classes = await Class.find({
+    teacher: vacation.user,
+    scheduledDate: { $gte: new Date(Math.max(Date.now(), new Date(vacation.startDate).getTime())), $lt: end },
+    // Classes left scheduled with the absent teacher need cover just as much
+    $or: [
+      { status: 'scheduled' },
+      { status: { $in: ['on_hold', 'cancelled'] }, 'cancellation.isTemporary': true }
+    ]
+  }).select('_id').lean();
+  if (!classes.length) return { posted: [], skipped: [] };
+
+  return postClasses(classes.map((c) => c._id), {
+    source: 'vacation',
+    vacationId: vacation._id,
+    postedBy: postedBy || vacation.approvedBy
+  });
+}
+
+/**
+ * Post a class the teacher cancelled for later the same (Cairo) day.
+ */
+async function postTeacherCancellation(classDoc, postedBy = null) {
+  if (!classDoc || classDoc.status !== 'cancelled_by_teacher') return null;
+  const config = await getConfig();
+  if (!config.postSameDayTeacherCancellations) return null;
+
+  const now = moment().tz(CAIRO_TZ);
+  const start = moment(classDoc.scheduledDate).tz(CAIRO_TZ);
+  if (!start.isAfter(now) || !start.isSame(now, 'day')) return null;
+
+  const { posted } = await postClasses([classDoc._id], {
+    source: 'teacher_cancellation',
+    postedBy: postedBy || classDoc.teacher?._id || classDoc.teacher,
+    note: classDoc.cancellation?.reason
+  });
+  return posted[0] || null;
+}
+
+// --- Board ------------------------------------------------------------------
+
+async function expireOpenRequests() {
+  await CoverRequest.updateMany(
+    { status: 'open', scheduledDate: { $lte: new Date() } },
+    { $set: { status: 'expired', closedReason: 'Class started without cover' } }
+  );
+}
+
+async function closeStaleRequests(requests) {
+  const open = requests.filter((r) => r.status === 'open');
+  if (!open.length) return requests;
+  const classes = await Class.find({ _id: { $in: open.map((r) => r.class?._id || r.class) } })
+    .select('_id teacher status scheduledDate cancellation deleted')
+    .lean();
+  const byId = new Map(classes.map((c) => [String(c._id), c]));
+  const staleIds = open
+    .filter((r) => !stillNeedsCover(byId.get(String(r.class?._id || r.class)), r.originalTeacher?._id || r.originalTeacher))
+    .map((r) => r._id);
+  if (!staleIds.length) return requests;
+
+  await CoverRequest.updateMany(
+    { _id: { $in: staleIds }, status: 'open' },
+    { $set: { status: 'cancelled', closedReason: 'Class no longer needs cover' } }
+  );
+  const stale = new Set(staleIds.map(String));
+  return requests.map((r) => (stale.has(String(r._id))
+    ? { ...r, status: 'cancelled', closedReason: 'Class no longer needs cover' }
+    : r));
+}
+
+const serializeForTeacher = (request, teacherId) => {
+  const myClaim = (request.claims || []).find((c) => String(c.teacher?._id || c.teacher) === String(teacherId));
+  return {
+    _id: request._id,
+    class: request.class,
+    source: request.source,
+    scheduledDate: request.scheduledDate,
+    duration: request.duration,
+    subject: request.subject,
+    studentName: request.studentName,
+    timezone: request.timezone,
+    claimMode: request.claimMode,
+    status: request.status,
+    note: request.note,
+    myClaim: myClaim ? { claimedAt: myClaim.claimedAt, note: myClaim.note } : null,
+    assignedToMe: String(request.assignedTeacher?._id || request.assignedTeacher || '') === String(teacherId)
+  };
+};
+
+/**
+ * Board listing. Admins see every request (filtered by status); teachers see
+ * the open requests they were matched to plus the ones they claimed or got.
+ */
+async function listRequests(user, { status = 'open' } = {}) {
+  await expireOpenRequests();
+  const isAdmin = user.role === 'admin';
+  const query = {};
+
+  if (isAdmin) {
+    if (status) query.status = status;
+  } else if (status === 'open') {
+    query.status = 'open';
+    query.eligibleTeachers = user._id;
+  } else {
+    query.$or = [{ assignedTeacher: user._id }, { 'claims.teacher': user._id }];
+    if (status) query.status = status;
+  }
+
+  const requests = await CoverRequest.find(query)
+    .sort({ scheduledDate: status === 'open' ? 1 : -1 })
+    .limit(200)
+    .populate('originalTeacher', 'firstName lastName')
+    .populate('assignedTeacher', 'firstName lastName')
+    .populate('claims.teacher', 'firstName lastName')
+    .lean();
+
+  const fresh = await closeStaleRequests(requests);
+  const visible = status === 'open' ? fresh.filter((r) => r.status === 'open') : fresh;
+  if (isAdmin) {
+    return {
+      requests: visible.map((r) => ({ ...r, eligibleCount: (r.eligibleTeachers || []).length })),
+      config: await getConfig()
+    };
+  }
+  return { requests: visible.map((r) => serializeForTeacher(r, user._id)) };
+}
+
+/**
+ * Future classes that lost their teacher and are not on the board yet.
+ */
+async function listCandidates() {
+  const now = new Date();
+  const until = moment(now).add(CANDIDATE_LOOKAHEAD_DAYS, 'days').toDate();
+  const classes = await Class.find({
+    scheduledDate: { $gt: now, $lte: until },
+    deleted: { $ne: true },
+    $or: [
+      { status: { $in: ['on_hold', 'cancelled_by_teacher'] } },
+      { status: 'cancelled', 'cancellation.isTemporary': true }
+    ]
+  })
+    .sort({ scheduledDate: 1 })
+    .limit(200)
+    .select('_id title subject scheduledDate duration timezone status teacher student cancellation.reason')
+    .populate('teacher', 'firstName lastName')
+    .lean();
+
+  const onBoard = await CoverRequest.find({ class: { $in: classes.map((c) => c._id) }, status: 'open' })
+    .select('class')
+    .lean();
+  const posted = new Set(onBoard.map((r) => String(r.class)));
+  return classes.filter((c) => !posted.has(String(c._id)));
+}
+
+// --- Claiming and assignment -------------------------------------------------
+
+async function loadOpenRequest(requestId) {
+  const request = await CoverRequest.findById(requestId);
+  if (!request) throw buildError(404, 'Cover request not found', 'COVER_NOT_FOUND');
+  if (request.status !== 'open') throw buildError(409, 'This cover request is no longer open', 'COVER_CLOSED');
+  if (new Date(request.scheduledDate) <= new Date()) {
+    request.status = 'expired';
+    request.closedReason = 'Class started without cover';
+    await request.save();
+    throw buildError(409, 'This class has already started', 'COVER_EXPIRED');
+  }
+  return request;
+}
+
+async function loadCoverableClass(request) {
+  const cls = await Class.findById(request.class);
+  if (!stillNeedsCover(cls, request.originalTeacher)) {
+    await CoverRequest.updateOne(
+      { _id: request._id, status: 'open' },
+      { $set: { status: 'cancelled', closedReason: 'Class no longer needs cover' } }
+    );
+    throw buildError(409, 'This class no longer needs cover', 'COVER_NOT_NEEDED');
+  }
+  return cls;
+}
+
+async function ensureTeacherCanCover(teacherId, cls) {
+  const teacher = await User.findOne({ _id: teacherId, role: 'teacher', isActive: true })
+    .select('_id firstName lastName teacherInfo.subjects')
+    .lean();
+  if (!teacher) throw buildError(400, 'Substitute must be an active teacher', 'COVER_INVALID_TEACHER');
+  if (String(teacher._id) === String(cls.teacher)) {
+    throw buildError(400, 'The class already belongs to this teacher', 'COVER_SAME_TEACHER');
+  }
+  if (!(await isFree(teacher._id, cls))) {
+    throw buildError(409, `${personName(teacher)} is no longer free at this time`, 'COVER_TEACHER_BUSY');
+  }
+  return teacher;
+}
+
+// Moves the occurrence to the substitute and tells the guardian and the
+// substitute. Only this class document changes; the series keeps its teacher.
+async function applyCover(request, substitute, actorId) {
+  const cls = await loadCoverableClass(request);
+  const originalTeacher = await User.findById(request.originalTeacher).select('firstName lastName').lean();
+
+  cls.rescheduleHistory = cls.rescheduleHistory || [];
+  cls.rescheduleHistory.push({
+    oldDate: cls.scheduledDate,
+    newDate: cls.scheduledDate,
+    reason: `Covered by ${personName(substitute)} for ${personName(originalTeacher)}`,
+    rescheduledBy: actorId
+  });
+  cls.cover = {
+    originalTeacher: request.originalTeacher,
+    coverRequest: request._id,
+    assignedAt: new Date()
+  };
+  cls.teacher = substitute._id;
+  cls.status = 'scheduled';
+  cls.hidden = false;
+  cls.cancellation = undefined;
+  cls.lastModifiedBy = actorId;
+  await cls.save();
+
+  notificationService.notifyClassEvent({
+    classObj: cls.toObject(),
+    eventType: 'cover_assigned',
+    extraMsg: `${personName(substitute)} will teach this class in place of ${personName(originalTeacher)}.`
+  }).catch((err) => console.warn('[coverBoard] Failed to send cover notifications', err.message));
+
+  return cls;
+}
+
+async function assignRequest(request, teacher, actorId) {
+  const claimed = await CoverRequest.findOneAndUpdate(
+    { _id: request._id, status: 'open' },
+    {
+      $set: { status: 'assigned', assignedTeacher: teacher._id, assignedAt: new Date(), assignedBy: actorId }
+    },
+    { new: true }
+  );
+  if (!claimed) throw buildError(409, 'Another teacher already took this cover', 'COVER_TAKEN');
+
+  try {
+    await applyCover(claimed, teacher, actorId);
+  } catch (err) {
+    // Leave the request open again unless the class itself went away
+    if (err.code !== 'COVER_NOT_NEEDED') {
+      await CoverRequest.updateOne(
+        { _id: claimed._id, status: 'assigned' },
+        { $set: { status: 'open' }, $unset: { assignedTeacher: 1, assignedAt: 1, assignedBy: 1 } }
+      );
+    } else {
+      await CoverRequest.updateOne(
+        { _id: claimed._id },
+        { $set: { status: 'cancelled', closedReason: 'Class no longer needs cover' }, $unset: { assignedTeacher: 1, assignedAt: 1, assignedBy: 1 } }
+      );
+    }
+    throw err;
+  }
+  return claimed;
+}
+
+/**
+ * A teacher claims a cover. In first-come mode the claim assigns the class
+ * right away; otherwise it is queued for admin approval.
+ */
+async function claimRequest(requestId, user, note = '') {
+  const request = await loadOpenRequest(requestId);
+  if (!request.eligibleTeachers.some((id) => String(id) === String(user._id))) {
+    throw buildError(403, 'This cover was not offered to you', 'COVER_NOT_ELIGIBLE');
+  }
+  if (request.claims.some((c) => String(c.teacher) === String(user._id))) {
+    throw buildError(409, 'You already claimed this cover', 'COVER_ALREADY_CLAIMED');
+  }
+  const cls = await loadCoverableClass(request);
+  const teacher = await ensureTeacherCanCover(user._id, cls);
+  const claim = { teacher: teacher._id, claimedAt: new Date(), note: String(note || '').trim().slice(0, 500) || undefined };
+
+  if (request.claimMode === 'first_come') {
+    await CoverRequest.updateOne({ _id: request._id, status: 'open' }, { $push: { claims: claim } });
+    return assignRequest(request, teacher, user._id);
+  }
+
+  const updated = await CoverRequest.findOneAndUpdate(
+    { _id: request._id, status: 'open', 'claims.teacher': { $ne: teacher._id } },
+    { $push: { claims: claim } },
+    { new: true }
+  );
+  if (!updated) throw buildError(409, 'This cover request is no longer open', 'COVER_CLOSED');
+
+  try {
+    await notificationService.notifyRole({
+      role: 'admin',
+      title: 'Cover claimed',
+      message: `${personName(teacher)} offered to cover ${request.subject || 'a class'} for ${request.studentName || 'a student'} on ${moment(request.scheduledDate).tz(CAIRO_TZ).format('DD MMM YYYY hh:mm A')} (Cairo).`,
+      type: 'class',
+      related: { relatedTo: 'class', relatedId: request.class, actionRequired: true, actionLink: BOARD_LINK }
+    });
+  } catch (err) {
+    console.warn('[coverBoard] Failed to notify admins of claim', err.message);
+  }
+  return updated;
+}
+
+/**
+ * Admin assigns a cover, to one of the claimants or any other teacher.
+ */
+async function approveRequest(requestId, teacherId, adminId) {
+  const request = await loadOpenRequest(requestId);
+  const cls = await loadCoverableClass(request);
+  const teacher = await ensureTeacherCanCover(teacherId, cls);
+  return assignRequest(request, teacher, adminId);
+}
+
+async function cancelRequest(requestId, reason = '') {
+  const request = await CoverRequest.findOneAndUpdate(
+    { _id: requestId, status: 'open' },
+    { $set: { status: 'cancelled', closedReason: String(reason || '').trim().slice(0, 500) || 'Withdrawn by admin' } },
+    { new: true }
+  );
+  if (!request) throw buildError(404, 'Open cover request not found', 'COVER_NOT_FOUND');
+  return request;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  getConfig,
+  updateConfig,
+  postClasses,
+  postVacationClasses,
+  postTeacherCancellation,
+  listRequests,
+  listCandidates,
+  claimRequest,
+  approveRequest,
+  cancelRequest
+};
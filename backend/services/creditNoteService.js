@@ -0,0 +1,302 @@
+// backend/services/creditNoteService.js
+// Credit notes are the documents issued for guardian invoice refunds. Issuing or
+// voiding one never touches the invoice's amounts; it only refreshes
+// Invoice.credited (the running totals other code reads) and writes
+// credit_note_* entries to InvoiceAudit against the original invoice.
+// Guardian hours come back through guardianHoursService, which subtracts
+// issued credit-note hours from each paid invoice.
+const mongoose = require('mongoose');
+const CreditNote = require('../models/CreditNote');
+const InvoiceAudit = require('../models/InvoiceAudit');
+const TemplateService = require('./templateService');
+
+const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const roundHours = (value) => Math.round((Number(value) || 0) * 1000) / 1000;
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const toObjectId = (value) => {
+  const raw = value && value._id ? value._id : value;
+  return mongoose.Types.ObjectId.isValid(raw) ? new mongoose.Types.ObjectId(String(raw)) : null;
+};
+
+/**
+ * Spread the credited hours over the invoice's students in proportion to
+ * their invoiced hours; the last line absorbs rounding so lines sum to subtotal.
+ */
+function buildLines(invoice, { hours, hourlyRate, subtotal }) {
+  const perStudent = new Map();
+  let totalHours = 0;
+  for (const item of invoice.items || []) {
+    if (!item || item.excludeFromStudentBalance || item.exemptFromGuardian) continue;
+    const minutes = Number(item.duration || 0) || 0;
+    if (minutes <= 0) continue;
+    const studentId = item.student?._id || item.student || null;
+    const key = studentId ? String(studentId) : 'unassigned';
+    const snapshot = item.studentSnapshot || item.student || {};
+    const name = [snapshot.firstName, snapshot.lastName].filter(Boolean).join(' ').trim();
+    const entry = perStudent.get(key) || { student: studentId, name, hours: 0 };
+    entry.hours += minutes / 60;
+    perStudent.set(key, entry);
+    totalHours += minutes / 60;
+  }
+
+  if (!perStudent.size || totalHours <= 0) {
+    return [{ description: 'Refunded lesson hours', hours, rate: hourlyRate, amount: subtotal }];
+  }
+
+  const entries = Array.from(perStudent.values());
+  let allocatedHours = 0;
+  let allocatedAmount = 0;
+  return entries.map((entry, idx) => {
+    const isLast = idx === entries.length - 1;
+    const lineHours = isLast ? roundHours(hours - allocatedHours) : roundHours(hours * (entry.hours / totalHours));
+    const lineAmount = isLast ? roundCurrency(subtotal - allocatedAmount) : roundCurrency(lineHours * hourlyRate);
+    allocatedHours = roundHours(allocatedHours + lineHours);
+    allocatedAmount = roundCurrency(allocatedAmount + lineAmount);
+    return {
+      description: `Refunded lesson hours${entry.name ? ` — ${entry.name}` : ''}`,
+      student: entry.student || null,
+      studentName: entry.name || null,
+      hours: lineHours,
+      rate: hourlyRate,
+      amount: lineAmount
+    };
+  });
+}
+
+async function writeAudit({ invoiceId, creditNoteId, actor, action, diff, meta }) {
+  try {
+    await InvoiceAudit.create({
+      invoiceId,
+      creditNoteId,
+      actorId: toObjectId(actor),
+      action,
+      diff: diff || null,
+      meta: meta || null
+    });
+  } catch (err) {
+    console.error('Failed to record credit note audit entry', err.message);
+  }
+}
+
+/**
+ * Recompute Invoice.credited from the issued credit notes. Mutates the given
+ * invoice document; the caller saves it.
+ */
+async function refreshInvoiceCredit(invoice) {
+  const [row] = await CreditNote.aggregate([
+    { $match: { invoice: toObjectId(invoice._id), status: 'issued' } },
+    { $group: { _id: null, hours: { $sum: '$hours' }, amount: { $sum: '$total' }, count: { $sum: 1 } } }
+  ]);
+  invoice.credited = {
+    hours: roundHours(row?.hours || 0),
+    amount: roundCurrency(row?.amount || 0),
+    count: row?.count || 0
+  };
+  invoice.markModified?.('credited');
+  return invoice.credited;
+}
+
+/**
+ * Issue a credit note for a refund. Amount/hour validation against the invoice
+ * is done by InvoiceService.recordInvoiceRefund before calling this.
+ */
+async function issueForInvoice(invoice, refund, actorId) {
+  const guardian = invoice.guardian || invoice.$locals?.guardianRef || null;
+  const guardianId = toObjectId(guardian);
+  if (!guardianId) throw buildError(400, 'Invoice has no guardian to credit', 'CREDIT_NOTE_NO_GUARDIAN');
+
+  const hours = roundHours(refund.hours);
+  const hourlyRate = roundCurrency(refund.hourlyRate);
+  const subtotal = roundCurrency(refund.baseAmount);
+  const transferFeeCredited = roundCurrency(refund.transferFee);
+  const lines = buildLines(invoice, { hours, hourlyRate, subtotal });
+  if (transferFeeCredited > 0) {
+    lines.push({ description: 'Transfer fee (proportional)', hours: 0, rate: 0, amount: transferFeeCredited });
+  }
+  // Tax collected on the refunded hours (accounting export derives it the same way)
+  const taxCredited = roundCurrency(Math.max(0, roundCurrency(refund.amount) - subtotal - transferFeeCredited));
+  if (taxCredited > 0) {
+    lines.push({ description: invoice.taxDetails?.label || 'Tax', hours: 0, rate: 0, amount: taxCredited });
+  }
+
+  const creditNote = await CreditNote.create({
+    invoice: invoice._id,
+    invoiceNumber: invoice.invoiceNumber || invoice.invoiceName || null,
+    guardian: guardianId,
+    guardianSnapshot: {
+      firstName: guardian.firstName || invoice.guardianSnapshot?.firstName,
+      lastName: guardian.lastName || invoice.guardianSnapshot?.lastName,
+      email: guardian.email || invoice.guardianSnapshot?.email
+    },
+    currency: invoice.currency || 'USD',
+    exchangeRate: invoice.exchangeRateSnapshot || null,
+    legalEntity: invoice.legalEntity?.key ? invoice.legalEntity : null,
+    taxDetails: invoice.taxDetails?.label ? invoice.taxDetails : null,
+    lines,
+    hours,
+    hourlyRate,
+    subtotal,
+    transferFeeCredited,
+    total: roundCurrency(refund.amount),
+    reason: refund.reason,
+    refundReference: refund.refundReference,
+    issuedAt: refund.processedAt || new Date(),
+    issuedBy: toObjectId(actorId)
+  });
+
+  await refreshInvoiceCredit(invoice);
+  await writeAudit({
+    invoiceId: invoice._id,
+    creditNoteId: creditNote._id,
+    actor: actorId,
+    action: 'credit_note_issued',
+    diff: { creditNoteNumber: creditNote.creditNoteNumber, amount: creditNote.total, hours: creditNote.hours, transferFee: transferFeeCredited },
+    meta: { reason: refund.reason || null, refundReference: refund.refundReference || null, credited: invoice.credited }
+  });
+
+  return creditNote;
+}
+
+/**
+ * Void an issued credit note. The document stays (status "voided") so its
+ * number is never reused; Invoice.credited is refreshed on the given invoice.
+ */
+async function voidCreditNote(creditNote, invoice, actorId, reason) {
+  if (creditNote.status !== 'issued') {
+    throw buildError(400, 'Credit note is already voided', 'CREDIT_NOTE_VOIDED');
+  }
+  creditNote.status = 'voided';
+  creditNote.voidedAt = new Date();
+  creditNote.voidedBy = toObjectId(actorId);
+  creditNote.voidReason = reason ? String(reason).trim() : undefined;
+  await creditNote.save();
+
+  await refreshInvoiceCredit(invoice);
+  await writeAudit({
+    invoiceId: invoice._id,
+    creditNoteId: creditNote._id,
+    actor: actorId,
+    action: 'credit_note_voided',
+    diff: { creditNoteNumber: creditNote.creditNoteNumber, amount: creditNote.total, hours: creditNote.hours },
+    meta: { reason: creditNote.voidReason || null, credited: invoice.credited }
+  });
+
+  return creditNote;
+}
+
+async function findLatestIssued(invoiceId) {
+  return CreditNote.findOne({ invoice: invoiceId, status: 'issued' }).sort({ issuedAt: -1, createdAt: -1 });
+}
+
+async function listCreditNotes({ guardian, invoice, status, page = 1, limit = 25 } = {}) {
+  const filter = {};
+  if (guardian) filter.guardian = toObjectId(guardian);
+  if (invoice) filter.invoice = toObjectId(invoice);
+  if (status && ['issued', 'voided'].includes(status)) filter.status = status;
+
+  const safeLimit = Math.min(100, Math.max(1, Number(limit) || 25));
+  const safePage = Math.max(1, Number(page) || 1);
+  const [creditNotes, total] = await Promise.all([
+    CreditNote.find(filter)
+      .sort({ issuedAt: -1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .lean(),
+    CreditNote.countDocuments(filter)
+  ]);
+  return { creditNotes, pagination: { page: safePage, limit: safeLimit, total } };
+}
+
+async function getCreditNote(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw buildError(400, 'Invalid credit note id', 'INVALID_ID');
+  const creditNote = await CreditNote.findById(id).lean();
+  if (!creditNote) throw buildError(404, 'Credit note not found', 'CREDIT_NOTE_NOT_FOUND');
+  return creditNote;
+}
+
+async function getAuditTrail(id) {
+  return InvoiceAudit.find({ creditNoteId: toObjectId(id) })
+    .sort({ at: -1 })
+    .populate('actorId', 'firstName lastName email')
+    .lean();
+}
+
+/**
+ * Public view for the guardian-facing slug page; internal ids and actors stay out.
+ */
+async function getPublicBySlug(slug) {
+  const creditNote = await CreditNote.findOne({ publicSlug: String(slug || '') }).lean();
+  if (!creditNote) throw buildError(404, 'Credit note not found', 'CREDIT_NOTE_NOT_FOUND');
+  const { issuedBy, voidedBy, guardian, ...rest } = creditNote;
+  return rest;
+}
+
+/**
+ * Shape a credit note like an invoice so TemplateService renders it with the
+ * admin-configured template.
+ */
+function toRenderable(creditNote) {
+  return {
+    type: 'guardian_invoice',
+    documentTitle: creditNote.status === 'voided' ? 'CREDIT NOTE (VOID)' : 'CREDIT NOTE',
+    numberLabel: 'Credit Note Number',
+    dateLabel: 'Issue Date',
+    referenceLabel: 'Credits invoice',
+    referenceNumber: creditNote.invoiceNumber || String(creditNote.invoice),
+    invoiceNumber: creditNote.creditNoteNumber,
+    createdAt: creditNote.issuedAt,
+    guardian: creditNote.guardianSnapshot || {},
+    legalEntity: creditNote.legalEntity,
+    taxDetails: creditNote.taxDetails ? { ...creditNote.taxDetails, note: null } : null,
+    items: (creditNote.lines || []).map((line) => ({
+      description: line.description,
+      hours: line.hours,
+      rate: line.rate,
+      amount: line.amount
+    })),
+    subtotal: creditNote.subtotal,
+    tax: 0,
+    discount: 0,
+    total: creditNote.total,
+    notes: [creditNote.reason ? `Reason: ${creditNote.reason}` : null, creditNote.refundReference ? `Refund reference: ${creditNote.refundReference}` : null]
+      .filter(Boolean)
+      .join('\n')
+  };
+}
+
+async function renderDocument(creditNote, format = 'pdf') {
+  const renderable = toRenderable(creditNote);
+  const baseName = creditNote.creditNoteNumber || `credit-note-${creditNote._id}`;
+  if (format === 'docx') {
+    return {
+      buffer: await TemplateService.generateDocxBuffer(renderable),
+      contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      filename: `${baseName}.docx`
+    };
+  }
+  return {
+    buffer: await TemplateService.generatePDFBuffer(renderable),
+    contentType: 'application/pdf',
+    filename: `${baseName}.pdf`
+  };
+}
+
+module.exports = {
+  issueForInvoice,
+  voidCreditNote,
+  refreshInvoiceCredit,
+  findLatestIssued,
+  listCreditNotes,
+  getCreditNote,
+  getAuditTrail,
+  getPublicBySlug,
+  renderDocument,
+  toRenderable
+};
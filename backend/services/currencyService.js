@@ -14,6 +14,11 @@ class CurrencyService {
    */
   static SUPPORTED_CURRENCIES = ['USD', 'EGP', 'EUR', 'GBP', 'SAR', 'AED', 'QAR'];
 
+  /**
+   * Reporting currency; guardian invoice rates are stored as units of invoice currency per 1 base
+   */
+  static BASE_CURRENCY = 'USD';
+
   /**
    * Fetch rates from ExchangeRate-API
    * @param {String} baseCurrency - Base currency code
@@ -211,6 +216,96 @@ class CurrencyService {
     }
   }
 
+  /**
+   * Resolve the rate to freeze on a guardian invoice.
+   * Unlike getConversionRate this never falls back to 1:1: it reports where the
+   * rate came from so the invoice can show it, and returns null when no stored
+   * rate exists so the invoice stays unlocked (see Invoice.lockExchangeRate).
+   * Lookup order: exact period, most recent earlier period, inverse pair,
+   * MonthlyExchangeRates (USD→EGP only).
+   * @param {String} currency - Invoice currency
+   * @param {Date} [at] - Invoice date (selects the rate period)
+   * @returns {Promise<Object|null>} { baseCurrency, currency, rate, source, year, month } or null
+   */
+  static async getLockedRate(currency, at = new Date()) {
+    const base = this.BASE_CURRENCY;
+    const target = String(currency || base).toUpperCase();
+    const date = at instanceof Date && !Number.isNaN(at.getTime()) ? at : new Date();
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const result = { baseCurrency: base, currency: target, rate: 1, source: 'identity', year, month };
+
+    if (target === base) return result;
+
+    const findPair = async (from, to) => {
+      const exact = await CurrencyRate.findOne({ baseCurrency: from, targetCurrency: to, year, month }).lean();
+      if (exact?.activeRate?.value > 0) return exact;
+      return CurrencyRate.findOne({
+        baseCurrency: from,
+        targetCurrency: to,
+        'activeRate.value': { $gt: 0 },
+        $or: [{ year: { $lt: year } }, { year, month: { $lte: month } }]
+      }).sort({ year: -1, month: -1 }).lean();
+    };
+
+    try {
+      const direct = await findPair(base, target);
+      if (direct) {
+        return { ...result, rate: direct.activeRate.value, source: direct.activeRate.source || 'currency-rate', year: direct.year, month: direct.month };
+      }
+
+      const inverse = await findPair(target, base);
+      if (inverse) {
+        return { ...result, rate: 1 / inverse.activeRate.value, source: `${inverse.activeRate.source || 'currency-rate'} (inverse)`, year: inverse.year, month: inverse.month };
+      }
+
+      if (target === 'EGP') {
+        const MonthlyExchangeRates = require('../models/MonthlyExchangeRates');
+        const monthly = await MonthlyExchangeRates.findOne({
+          $or: [{ year: { $lt: year } }, { year, month: { $lte: month } }]
+        }).sort({ year: -1, month: -1 }).lean();
+        if (monthly?.rate > 0) {
+          return { ...result, rate: monthly.rate, source: monthly.source || 'monthly-exchange-rates', year: monthly.year, month: monthly.month };
+        }
+      }
+    } catch (error) {
+      console.error('[getLockedRate] Error:', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Lock invoices that were left waiting for an exchange rate (or were locked
+   * at the old 1:1 fallback), and their credit notes, now that a rate may exist.
+   * Written with a direct update so totals are not recalculated.
+   * @returns {Promise<Object>} { checked, locked }
+   */
+  static async lockPendingInvoiceRates() {
+    const Invoice = require('../models/Invoice');
+    const CreditNote = require('../models/CreditNote');
+    const pending = await Invoice.find({
+      deleted: { $ne: true },
+      $or: [{ exchangeRatePending: true }, { 'exchangeRateSnapshot.isFallback': true }]
+    }).select('currency createdAt').lean();
+
+    let locked = 0;
+    for (const invoice of pending) {
+      const rate = await this.getLockedRate(invoice.currency || this.BASE_CURRENCY, invoice.createdAt || new Date());
+      if (!rate) continue;
+      const snapshot = { ...rate, lockedAt: new Date() };
+      await Invoice.updateOne(
+        { _id: invoice._id },
+        { $set: { exchangeRateSnapshot: snapshot, exchangeRatePending: false } }
+      );
+      // Credit notes carry their invoice's rate
+      await CreditNote.updateMany({ invoice: invoice._id }, { $set: { exchangeRate: snapshot } });
+      locked += 1;
+    }
+    if (locked) console.log(`[CurrencyService] Locked exchange rates on ${locked} of ${pending.length} pending invoice(s)`);
+    return { checked: pending.length, locked };
+  }
+
   /**
    * Convert amount between currencies
    * @param {Number} amount - Amount to convert
@@ -7,6 +7,7 @@ const mongoose = require('mongoose');
 const User = require('../models/User');
 const Class = require('../models/Class');
 const Invoice = require('../models/Invoice');
+const AnalyticsService = require('./analyticsService');
 const Student = require('../models/Student');
 
 const normalizeStudentKeyPart = (value = '') => String(value || '').trim().toLowerCase();
@@ -269,15 +270,15 @@ async function getInvoiceStats() {
 
     const monthlyAgg = await Invoice.aggregate([
       { $match: { paidDate: { $gte: monthStart, $lt: monthEnd }, status: { $in: ['paid', 'refunded'] } } },
-      { $group: { _id: null, total: { $sum: '$paidAmount' }, count: { $sum: 1 } } }
+      { $group: { _id: null, total: { $sum: AnalyticsService.baseAmountExpr('$paidAmount') }, count: { $sum: 1 } } }
     ]);
     const ytdAgg = await Invoice.aggregate([
       { $match: { paidDate: { $gte: yearStart, $lt: monthEnd }, status: { $in: ['paid', 'refunded'] } } },
-      { $group: { _id: null, total: { $sum: '$paidAmount' } } }
+      { $group: { _id: null, total: { $sum: AnalyticsService.baseAmountExpr('$paidAmount') } } }
     ]);
     const unpaidAgg = await Invoice.aggregate([
       { $match: { status: { $ne: 'paid' } } },
-      { $group: { _id: null, unpaid: { $sum: { $subtract: ['$total', { $ifNull: ['$paidAmount', 0] }] } } } }
+      { $group: { _id: null, unpaid: { $sum: AnalyticsService.baseAmountExpr({ $subtract: ['$total', { $ifNull: ['$paidAmount', 0] }] }) } } }
     ]);
     const pendingCount = (await Invoice.aggregate([{ $match: { status: { $in: ['draft','sent','pending'] } } }, { $count: 'count' }]))[0]?.count || 0;
     const overdueCount = (await Invoice.aggregate([{ $match: { status: 'overdue' } }, { $count: 'count' }]))[0]?.count || 0;
@@ -355,7 +356,7 @@ async function getGuardianStats({ lowHoursThreshold = 2, topLimit = 5 } = {}) {
     // top owing guardians
     const topOwing = await Invoice.aggregate([
       { $match: { status: { $ne: 'paid' } } },
-      { $project: { guardian: 1, remaining: { $subtract: ['$total', { $ifNull: ['$paidAmount', 0] }] } } },
+      { $project: { guardian: 1, remaining: AnalyticsService.baseAmountExpr({ $subtract: ['$total', { $ifNull: ['$paidAmount', 0] }] }) } },
       { $group: { _id: '$guardian', totalOwed: { $sum: '$remaining' } } },
       { $sort: { totalOwed: -1 } },
       { $limit: topLimit },
@@ -587,8 +588,8 @@ async function getGrowthStats() {
     const classesThisMonth = (await Class.aggregate([{ $match: { scheduledDate: { $gte: thisMonthStart, $lt: thisMonthEnd } } }, { $count: 'count' }]))[0]?.count || 0;
     const classesLastMonth = (await Class.aggregate([{ $match: { scheduledDate: { $gte: lastMonthStart, $lt: thisMonthStart } } }, { $count: 'count' }]))[0]?.count || 0;
 
-    const revenueThisMonthAgg = await Invoice.aggregate([{ $match: { paidDate: { $gte: thisMonthStart, $lt: thisMonthEnd }, status: { $in: ['paid', 'refunded'] } } }, { $group: { _id: null, total: { $sum: '$paidAmount' } } }]);
-    const revenueLastMonthAgg = await Invoice.aggregate([{ $match: { paidDate: { $gte: lastMonthStart, $lt: thisMonthStart }, status: { $in: ['paid', 'refunded'] } } }, { $group: { _id: null, total: { $sum: '$paidAmount' } } }]);
+    const revenueThisMonthAgg = await Invoice.aggregate([{ $match: { paidDate: { $gte: thisMonthStart, $lt: thisMonthEnd }, status: { $in: ['paid', 'refunded'] } } }, { $group: { _id: null, total: { $sum: AnalyticsService.baseAmountExpr('$paidAmount') } } }]);
+    const revenueLastMonthAgg = await Invoice.aggregate([{ $match: { paidDate: { $gte: lastMonthStart, $lt: thisMonthStart }, status: { $in: ['paid', 'refunded'] } } }, { $group: { _id: null, total: { $sum: AnalyticsService.baseAmountExpr('$paidAmount') } } }]);
 
     const revenueThis = revenueThisMonthAgg[0]?.total || 0;
     const revenueLast = revenueLastMonthAgg[0]?.total || 0;
@@ -0,0 +1,588 @@
+// backend/services/dunningService.js
+// Staged escalation for overdue guardian invoices: a configurable list of steps
+// (offset from the due date, channels, action) is walked once per invoice.
+// Email reminders go through the email queue; WhatsApp reminders are queued on
+// the invoice's delivery channels for an admin to send from the dunning queue.
+// The "pause_classes" action stops recurring class generation for the guardian
+// until the blocking invoice is settled.
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const { shouldSendEmail } = require('../utils/emailPreferenceCheck');
+
+const POLICY_SETTING_KEY = 'dunning.policy';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNPAID_STATUSES = ['pending', 'sent', 'overdue'];
+const CHANNELS = ['email', 'whatsapp'];
+const ACTIONS = ['remind', 'pause_classes'];
+const TEMPLATE_PREFIX = 'dunning:';
+
+const DEFAULT_POLICY = {
+  enabled: false,
+  steps: [
+    { key: 'due', label: 'Due date reminder', offsetDays: 0, channels: ['email', 'whatsapp'], action: 'remind' },
+    { key: 'overdue_3', label: '3 days overdue', offsetDays: 3, channels: ['email', 'whatsapp'], action: 'remind' },
+    { key: 'overdue_7', label: 'Final notice', offsetDays: 7, channels: ['email', 'whatsapp'], action: 'remind' },
+    { key: 'pause_classes', label: 'Pause class generation', offsetDays: 10, channels: ['email'], action: 'pause_classes' }
+  ]
+};
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const ensureObjectId = (id, label = 'id') => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw buildError(400, `Invalid ${label}`, 'INVALID_ID');
+  }
+};
+
+const slugifyKey = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const normalizeStep = (step, idx) => {
+  const offsetDays = Number(step?.offsetDays);
+  if (!Number.isFinite(offsetDays) || offsetDays < 0) {
+    throw buildError(400, 'Step offset must be zero or more days after the due date', 'DUNNING_STEP_INVALID');
+  }
+  const action = ACTIONS.includes(step?.action) ? step.action : 'remind';
+  const channels = Array.isArray(step?.channels)
+    ? [...new Set(step.channels.filter((ch) => CHANNELS.includes(ch)))]
+    : [];
+  if (action === 'remind' && !channels.length) {
+    throw buildError(400, 'Reminder steps need at least one channel', 'DUNNING_STEP_INVALID');
+  }
+  const label = String(step?.label || '').trim() || (offsetDays ? `${offsetDays} days overdue` : 'Due date reminder');
+  return {
+    key: slugifyKey(step?.key) || slugifyKey(`${action}_${offsetDays}`) || `step_${idx + 1}`,
+    label,
+    offsetDays: Math.floor(offsetDays),
+    channels,
+    action
+  };
+};
+
+const normalizePolicy = (policy = {}) => {
+  const steps = Array.isArray(policy.steps) ? policy.steps.map(normalizeStep) : [];
+  steps.sort((a, b) => a.offsetDays - b.offsetDays);
+  const seen = new Set();
+  steps.forEach((step) => {
+    if (seen.has(step.key)) throw buildError(400, `Duplicate step key "${step.key}"`, 'DUNNING_STEP_DUPLICATE');
+    seen.add(step.key);
+  });
+  return { enabled: Boolean(policy.enabled), steps };
+};
+
+async function getPolicy() {
+  const doc = await Setting.findOne({ key: POLICY_SETTING_KEY }).lean();
+  if (!doc || !doc.value) return normalizePolicy(DEFAULT_POLICY);
+  try {
+    return normalizePolicy(doc.value);
+  } catch (err) {
+    console.warn('[Dunning] Stored policy is invalid, using defaults:', err.message);
+    return normalizePolicy(DEFAULT_POLICY);
+  }
+}
+
+async function updatePolicy(body = {}) {
+  const current = await getPolicy();
+  const next = normalizePolicy({
+    enabled: body.enabled !== undefined ? body.enabled : current.enabled,
+    steps: body.steps !== undefined ? body.steps : current.steps
+  });
+  await Setting.findOneAndUpdate(
+    { key: POLICY_SETTING_KEY },
+    { $set: { value: next, description: 'Overdue guardian invoice reminder steps' } },
+    { upsert: true, new: true }
+  );
+  return next;
+}
+
+const daysOverdue = (invoice, now) => {
+  if (!invoice.dueDate) return 0;
+  return Math.max(0, Math.floor((now - new Date(invoice.dueDate)) / DAY_MS));
+};
+
+const stepDueAt = (invoice, step) => new Date(new Date(invoice.dueDate).getTime() + step.offsetDays * DAY_MS);
+
+const ensureDunningState = (invoice) => {
+  if (!invoice.dunning) {
+    invoice.dunning = { nextStepIndex: 0, paused: false, skipStepKeys: [], history: [] };
+  }
+  return invoice.dunning;
+};
+
+const pushHistory = (invoice, entry) => {
+  const state = ensureDunningState(invoice);
+  state.history.push({ ...entry, at: entry.at || new Date() });
+  invoice.markModified('dunning');
+};
+
+const buildWhatsappMessage = (guardian, invoice, overdueDays, link) => {
+  const name = guardian?.firstName || 'there';
+  const amount = `${invoice.getDueAmount().toFixed(2)} ${invoice.currency || 'USD'}`;
+  const lead = overdueDays > 0
+    ? `your invoice ${invoice.invoiceNumber || ''} is ${overdueDays} day${overdueDays === 1 ? '' : 's'} overdue`
+    : `your invoice ${invoice.invoiceNumber || ''} is due today`;
+  return `Hi ${name}, a friendly reminder that ${lead.replace(/\s+/g, ' ')}. Amount due: ${amount}.${link ? `\nPay here: ${link}` : ''}`;
+};
+
+const publicInvoiceLink = (invoice) => (invoice.invoiceSlug
+  ? `${emailService.resolvePublicAppBaseUrl()}/public/invoices/${invoice.invoiceSlug}`
+  : null);
+
+async function sendEmailStep({ invoice, guardian, step, overdueDays, isFinal, classesPaused }) {
+  if (!guardian.email) return { channel: 'email', skipped: 'no_email' };
+  if (!(await shouldSendEmail(guardian._id, 'paymentReminder'))) return { channel: 'email', skipped: 'preference' };
+
+  const branding = await emailService.loadBrandingAndLogo();
+  const tpl = emailService.buildGuardianPaymentReminderEmail({
+    guardian,
+    invoice: { ...invoice.toObject(), remainingBalance: invoice.getDueAmount() },
+    daysOverdue: overdueDays,
+    isFinal,
+    classesPaused,
+    branding
+  });
+  await emailService.enqueueEmail({
+    to: guardian.email,
+    subject: tpl.subject,
+    html: tpl.html,
+    text: tpl.text,
+    type: 'paymentReminder',
+    userId: guardian._id,
+    relatedId: invoice._id,
+    priority: 2
+  });
+  invoice.recordDelivery({
+    channel: 'email',
+    status: 'sent',
+    templateId: `${TEMPLATE_PREFIX}${step.key}`,
+    meta: { dunningStep: step.key, to: guardian.email },
+    note: `Dunning "${step.label}" emailed`
+  });
+  return { channel: 'email' };
+}
+
+// There is no WhatsApp API integration: the message is queued on the invoice
+// and an admin sends it from the dunning queue (wa.me link), which marks it sent.
+function queueWhatsappStep({ invoice, guardian, step, overdueDays }) {
+  if (!guardian.phone) return { channel: 'whatsapp', skipped: 'no_phone' };
+  invoice.recordDelivery({
+    channel: 'whatsapp',
+    status: 'queued',
+    templateId: `${TEMPLATE_PREFIX}${step.key}`,
+    meta: {
+      dunningStep: step.key,
+      phone: guardian.phone,
+      message: buildWhatsappMessage(guardian, invoice, overdueDays, publicInvoiceLink(invoice))
+    },
+    note: `Dunning "${step.label}" WhatsApp queued`
+  });
+  return { channel: 'whatsapp' };
+}
+
+async function pauseClassGeneration(guardian, invoice) {
+  const current = guardian.guardianInfo?.dunning || {};
+  if (current.classGenerationPausedAt) return false;
+  await User.updateOne(
+    { _id: guardian._id },
+    {
+      $set: {
+        'guardianInfo.dunning.classGenerationPausedAt': new Date(),
+        'guardianInfo.dunning.classGenerationPausedByInvoice': invoice._id
+      }
+    }
+  );
+  const guardianName = [guardian.firstName, guardian.lastName].filter(Boolean).join(' ') || 'Guardian';
+  await notificationService.notifyRole({
+    role: 'admin',
+    title: 'Class generation paused',
+    message: `${guardianName}: new classes paused — invoice ${invoice.invoiceNumber || invoice._id} is unpaid.`,
+    type: 'invoice',
+    related: { relatedTo: 'invoice', relatedId: invoice._id }
+  }).catch((err) => console.warn('[Dunning] Admin notification failed:', err.message));
+  return true;
+}
+
+async function executeStep({ invoice, guardian, step, policy, now, actor = null }) {
+  const optOutChannels = guardian.guardianInfo?.dunning?.optOutChannels || [];
+  const overdueDays = daysOverdue(invoice, now);
+  const remindSteps = policy.steps.filter((s) => s.action === 'remind');
+  const isFinal = step.action === 'remind' && remindSteps[remindSteps.length - 1]?.key === step.key
+    && policy.steps.some((s) => s.action === 'pause_classes');
+
+  let classesPaused = false;
+  if (step.action === 'pause_classes') {
+    classesPaused = await pauseClassGeneration(guardian, invoice);
+    invoice.pushActivity({
+      actor,
+      action: 'dunning',
+      note: classesPaused ? 'Class generation paused (dunning)' : 'Class generation already paused',
+      diff: { dunningStep: step.key }
+    });
+  }
+
+  const results = [];
+  for (const channel of step.channels) {
+    if (optOutChannels.includes(channel)) {
+      results.push({ channel, skipped: 'opted_out' });
+      continue;
+    }
+    try {
+      if (channel === 'email') {
+        results.push(await sendEmailStep({ invoice, guardian, step, overdueDays, isFinal, classesPaused }));
+      } else if (channel === 'whatsapp') {
+        results.push(queueWhatsappStep({ invoice, guardian, step, overdueDays }));
+      }
+    } catch (err) {
+      console.warn(`[Dunning] ${channel} step "${step.key}" failed for invoice ${invoice._id}:`, err.message);
+      results.push({ channel, skipped: 'error' });
+    }
+  }
+
+  const delivered = results.filter((r) => !r.skipped).map((r) => r.channel);
+  const skipped = results.filter((r) => r.skipped).map((r) => `${r.channel}: ${r.skipped}`);
+  pushHistory(invoice, {
+    stepKey: step.key,
+    outcome: 'executed',
+    channels: delivered,
+    note: skipped.length ? `Skipped ${skipped.join(', ')}` : undefined,
+    actor
+  });
+  return { stepKey: step.key, channels: delivered, skipped };
+}
+
+/**
+ * Advance a single invoice through every step that has come due.
+ * When several steps are due at once (e.g. the policy was just enabled), only
+ * the latest is executed and the earlier ones are recorded as superseded.
+ */
+async function advanceInvoice(invoice, guardian, policy, { now = new Date(), actor = null } = {}) {
+  const state = ensureDunningState(invoice);
+  const dueSteps = [];
+  for (let idx = state.nextStepIndex || 0; idx < policy.steps.length; idx += 1) {
+    if (stepDueAt(invoice, policy.steps[idx]) > now) break;
+    dueSteps.push({ idx, step: policy.steps[idx] });
+  }
+  if (!dueSteps.length) return null;
+
+  const skipKeys = new Set(state.skipStepKeys || []);
+  const runnable = dueSteps.filter(({ step }) => !skipKeys.has(step.key));
+  const latest = runnable[runnable.length - 1] || null;
+
+  dueSteps.forEach(({ step }) => {
+    if (skipKeys.has(step.key)) {
+      pushHistory(invoice, { stepKey: step.key, outcome: 'skipped', note: 'Skipped by admin', actor });
+    } else if (!latest || step.key !== latest.step.key) {
+      pushHistory(invoice, { stepKey: step.key, outcome: 'superseded', note: 'A later step was already due', actor });
+    }
+  });
+
+  let result = null;
+  if (latest) {
+    result = await executeStep({ invoice, guardian, step: latest.step, policy, now, actor });
+    state.lastStepKey = latest.step.key;
+    state.lastStepAt = now;
+  }
+  state.nextStepIndex = dueSteps[dueSteps.length - 1].idx + 1;
+  invoice.markModified('dunning');
+  invoice._skipRecalculate = true;
+  await invoice.save();
+  return result;
+}
+
+const unpaidGuardianInvoiceFilter = () => ({
+  type: 'guardian_invoice',
+  deleted: { $ne: true },
+  status: { $in: UNPAID_STATUSES }
+});
+
+const GUARDIAN_FIELDS = 'firstName lastName email phone timezone guardianInfo.epithet guardianInfo.dunning';
+
+/**
+ * Lift dunning class pauses whose blocking invoice has been paid, cancelled or removed.
+ */
+async function releaseSettledPauses() {
+  const paused = await User.find({
+    role: 'guardian',
+    'guardianInfo.dunning.classGenerationPausedAt': { $ne: null }
+  }).select('guardianInfo.dunning').lean();
+  if (!paused.length) return 0;
+
+  let released = 0;
+  for (const guardian of paused) {
+    const stillOpen = await Invoice.exists({
+      ...unpaidGuardianInvoiceFilter(),
+      guardian: guardian._id,
+      _id: guardian.guardianInfo?.dunning?.classGenerationPausedByInvoice
+    });
+    if (stillOpen) continue;
+    await resumeClassGeneration(guardian._id);
+    released += 1;
+  }
+  return released;
+}
+
+async function resumeClassGeneration(guardianId) {
+  ensureObjectId(guardianId, 'guardian id');
+  const result = await User.updateOne(
+    { _id: guardianId, role: 'guardian' },
+    {
+      $set: {
+        'guardianInfo.dunning.classGenerationPausedAt': null,
+        'guardianInfo.dunning.classGenerationPausedByInvoice': null
+      }
+    }
+  );
+  if (!result.matchedCount) throw buildError(404, 'Guardian not found', 'GUARDIAN_NOT_FOUND');
+  return true;
+}
+
+/**
+ * Guardian ids whose recurring class generation is paused by dunning.
+ */
+async function getPausedGuardianIds() {
+  const rows = await User.find({
+    role: 'guardian',
+    'guardianInfo.dunning.classGenerationPausedAt': { $ne: null }
+  }).select('_id').lean();
+  return new Set(rows.map((row) => String(row._id)));
+}
+
+/**
+ * Daily dunning pass: release settled pauses, then advance every overdue
+ * invoice whose guardian has not opted out and whose dunning is not paused.
+ */
+async function runDunningCycle({ now = new Date(), limit = 500 } = {}) {
+  const released = await releaseSettledPauses();
+  const policy = await getPolicy();
+  const summary = { enabled: policy.enabled, processed: 0, executed: 0, released, errors: 0 };
+  if (!policy.enabled || !policy.steps.length) return summary;
+
+  const firstOffset = policy.steps[0].offsetDays;
+  const invoices = await Invoice.find({
+    ...unpaidGuardianInvoiceFilter(),
+    dueDate: { $lte: new Date(now.getTime() - firstOffset * DAY_MS) },
+    'dunning.paused': { $ne: true },
+    $or: [
+      { 'dunning.nextStepIndex': { $exists: false } },
+      { 'dunning.nextStepIndex': { $lt: policy.steps.length } }
+    ]
+  })
+    .sort({ dueDate: 1 })
+    .limit(limit)
+    .populate('guardian', GUARDIAN_FIELDS);
+
+  for (const invoice of invoices) {
+    const guardian = invoice.guardian;
+    if (!guardian || guardian.guardianInfo?.dunning?.optOut) continue;
+    summary.processed += 1;
+    try {
+      const result = await advanceInvoice(invoice, guardian, policy, { now });
+      if (result) summary.executed += 1;
+    } catch (err) {
+      summary.errors += 1;
+      console.error(`[Dunning] Failed to advance invoice ${invoice._id}:`, err.message);
+    }
+  }
+  return summary;
+}
+
+const describeStep = (step) => (step ? { key: step.key, label: step.label, action: step.action, channels: step.channels, offsetDays: step.offsetDays } : null);
+
+/**
+ * Admin queue: every unpaid guardian invoice that is inside the policy window,
+ * with its current/next step and any WhatsApp reminders waiting to be sent.
+ */
+async function getDunningQueue({ now = new Date(), includePaused = true } = {}) {
+  const policy = await getPolicy();
+  const filter = { ...unpaidGuardianInvoiceFilter(), dueDate: { $lte: now } };
+  if (!includePaused) filter['dunning.paused'] = { $ne: true };
+
+  const invoices = await Invoice.find(filter)
+    .select('invoiceNumber invoiceSlug status total adjustedTotal paidAmount currency dueDate guardian dunning delivery.channels')
+    .populate('guardian', GUARDIAN_FIELDS)
+    .sort({ dueDate: 1 })
+    .limit(500)
+    .lean();
+
+  const items = invoices.map((invoice) => {
+    const state = invoice.dunning || {};
+    const nextIndex = state.nextStepIndex || 0;
+    const nextStep = policy.steps[nextIndex] || null;
+    const lastStep = policy.steps.find((step) => step.key === state.lastStepKey) || null;
+    const base = Number(invoice.adjustedTotal) > 0 ? Number(invoice.adjustedTotal) : Number(invoice.total || 0);
+    const guardian = invoice.guardian || {};
+    const pendingWhatsapp = (invoice.delivery?.channels || [])
+      .filter((ch) => ch.channel === 'whatsapp' && ch.status === 'queued' && String(ch.templateId || '').startsWith(TEMPLATE_PREFIX))
+      .map((ch) => ({
+        templateId: ch.templateId,
+        stepKey: String(ch.templateId).slice(TEMPLATE_PREFIX.length),
+        phone: ch.meta?.phone || guardian.phone || '',
+        message: ch.meta?.message || '',
+        queuedAt: ch.createdAt
+      }));
+
+    return {
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceSlug: invoice.invoiceSlug,
+      status: invoice.status,
+      dueDate: invoice.dueDate,
+      daysOverdue: daysOverdue(invoice, now),
+      amountDue: Math.max(0, Math.round((base - Number(invoice.paidAmount || 0)) * 100) / 100),
+      currency: invoice.currency || 'USD',
+      guardian: {
+        _id: guardian._id,
+        name: [guardian.firstName, guardian.lastName].filter(Boolean).join(' '),
+        email: guardian.email || '',
+        phone: guardian.phone || '',
+        optOut: Boolean(guardian.guardianInfo?.dunning?.optOut),
+        optOutChannels: guardian.guardianInfo?.dunning?.optOutChannels || [],
+        classGenerationPausedAt: guardian.guardianInfo?.dunning?.classGenerationPausedAt || null
+      },
+      paused: Boolean(state.paused),
+      pausedAt: state.paused ? state.pausedAt || null : null,
+      lastStep: lastStep ? { ...describeStep(lastStep), at: state.lastStepAt } : null,
+      nextStep: nextStep ? { ...describeStep(nextStep), dueAt: stepDueAt(invoice, nextStep), willSkip: (state.skipStepKeys || []).includes(nextStep.key) } : null,
+      completed: nextIndex >= policy.steps.length,
+      pendingWhatsapp,
+      history: (state.history || []).slice(-10)
+    };
+  });
+
+  return { policy, items };
+}
+
+async function loadInvoiceForAction(invoiceId) {
+  ensureObjectId(invoiceId, 'invoice id');
+  const invoice = await Invoice.findOne({ _id: invoiceId, type: 'guardian_invoice', deleted: { $ne: true } });
+  if (!invoice) throw buildError(404, 'Invoice not found', 'INVOICE_NOT_FOUND');
+  ensureDunningState(invoice);
+  return invoice;
+}
+
+async function saveAction(invoice) {
+  invoice.markModified('dunning');
+  invoice._skipRecalculate = true;
+  await invoice.save();
+  return invoice.dunning;
+}
+
+async function pauseInvoiceDunning(invoiceId, actor, note) {
+  const invoice = await loadInvoiceForAction(invoiceId);
+  invoice.dunning.paused = true;
+  invoice.dunning.pausedAt = new Date();
+  invoice.dunning.pausedBy = actor || undefined;
+  pushHistory(invoice, { outcome: 'paused', note, actor });
+  invoice.pushActivity({ actor, action: 'dunning', note: note || 'Dunning paused' });
+  return saveAction(invoice);
+}
+
+async function resumeInvoiceDunning(invoiceId, actor, note) {
+  const invoice = await loadInvoiceForAction(invoiceId);
+  invoice.dunning.paused = false;
+  invoice.dunning.pausedAt = undefined;
+  invoice.dunning.pausedBy = undefined;
+  pushHistory(invoice, { outcome: 'resumed', note, actor });
+  invoice.pushActivity({ actor, action: 'dunning', note: note || 'Dunning resumed' });
+  return saveAction(invoice);
+}
+
+/**
+ * Mark a step (the next one by default) to be skipped when it comes due.
+ * Passing skip=false un-skips it.
+ */
+async function setStepSkipped(invoiceId, { stepKey, skip = true } = {}, actor) {
+  const invoice = await loadInvoiceForAction(invoiceId);
+  const policy = await getPolicy();
+  const key = stepKey || policy.steps[invoice.dunning.nextStepIndex || 0]?.key;
+  const stepIndex = policy.steps.findIndex((step) => step.key === key);
+  if (stepIndex < 0) throw buildError(400, 'Unknown dunning step', 'DUNNING_STEP_UNKNOWN');
+  if (stepIndex < (invoice.dunning.nextStepIndex || 0)) {
+    throw buildError(400, 'This step has already run', 'DUNNING_STEP_DONE');
+  }
+
+  const keys = new Set(invoice.dunning.skipStepKeys || []);
+  if (skip) keys.add(key); else keys.delete(key);
+  invoice.dunning.skipStepKeys = [...keys];
+  invoice.pushActivity({
+    actor,
+    action: 'dunning',
+    note: `${skip ? 'Skipping' : 'Restored'} dunning step "${policy.steps[stepIndex].label}"`,
+    diff: { dunningStep: key, skip: Boolean(skip) }
+  });
+  return saveAction(invoice);
+}
+
+/**
+ * Record that a queued dunning WhatsApp reminder was sent by an admin.
+ */
+async function markWhatsappSent(invoiceId, { templateId } = {}, actor) {
+  const invoice = await loadInvoiceForAction(invoiceId);
+  const record = (invoice.delivery?.channels || []).find((ch) => ch.channel === 'whatsapp'
+    && ch.status === 'queued'
+    && String(ch.templateId || '').startsWith(TEMPLATE_PREFIX)
+    && (!templateId || ch.templateId === templateId));
+  if (!record) throw buildError(404, 'No queued WhatsApp reminder for this invoice', 'DUNNING_WHATSAPP_NOT_FOUND');
+
+  invoice.recordDelivery({
+    channel: 'whatsapp',
+    status: 'sent',
+    templateId: record.templateId,
+    meta: record.meta,
+    actor,
+    note: 'Dunning WhatsApp reminder sent'
+  });
+  invoice.updatedBy = actor || invoice.updatedBy;
+  invoice._skipRecalculate = true;
+  await invoice.save();
+  return invoice.delivery;
+}
+
+async function setGuardianPreferences(guardianId, { optOut, optOutChannels } = {}) {
+  ensureObjectId(guardianId, 'guardian id');
+  const update = {};
+  if (optOut !== undefined) update['guardianInfo.dunning.optOut'] = Boolean(optOut);
+  if (optOutChannels !== undefined) {
+    update['guardianInfo.dunning.optOutChannels'] = Array.isArray(optOutChannels)
+      ? [...new Set(optOutChannels.filter((ch) => CHANNELS.includes(ch)))]
+      : [];
+  }
+  if (!Object.keys(update).length) throw buildError(400, 'Nothing to update', 'NO_CHANGES');
+
+  const guardian = await User.findOneAndUpdate(
+    { _id: guardianId, role: 'guardian' },
+    { $set: update },
+    { new: true }
+  ).select('firstName lastName guardianInfo.dunning').lean();
+  if (!guardian) throw buildError(404, 'Guardian not found', 'GUARDIAN_NOT_FOUND');
+  return guardian.guardianInfo?.dunning || {};
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  getPolicy,
+  updatePolicy,
+  normalizePolicy,
+  advanceInvoice,
+  runDunningCycle,
+  getDunningQueue,
+  getPausedGuardianIds,
+  releaseSettledPauses,
+  resumeClassGeneration,
+  pauseInvoiceDunning,
+  resumeInvoiceDunning,
+  setStepSkipped,
+  markWhatsappSent,
+  setGuardianPreferences
+};
@@ -938,6 +938,59 @@ function buildGuardianInvoiceCreatedEmail({ guardian, invoice, branding }) {
   return { subject: `New invoice — ${period || invoice.invoiceNumber || 'details inside'}`, html: baseEmailTemplate({ preheader: `Invoice: ${amount}`, body, icon: _ICONS.invoice, branding }), text };
 }
 
+function buildGuardianPaymentReminderEmail({ guardian, invoice, daysOverdue = 0, isFinal = false, classesPaused = false, branding }) {
+  const amountDue = Number(invoice.remainingBalance ?? invoice.adjustedTotal ?? invoice.total ?? 0);
+  const amount = `${amountDue.toFixed(2)} ${invoice.currency || 'USD'}`;
+  const invoiceLink = invoice?.invoiceSlug
+    ? `${resolvePublicAppBaseUrl()}/public/invoices/${invoice.invoiceSlug}`
+    : _dashUrl('/invoices');
+  const dueStr = invoice.dueDate ? formatInTimezone(invoice.dueDate, guardian?.timezone) : '';
+  let rows = _infoRow('Invoice #', invoice.invoiceNumber || invoice._id);
+  if (dueStr) rows += _infoRow('Due Date', dueStr);
+  rows += _infoRow('Amount Due', amount);
+  const lead = daysOverdue > 0
+    ? `Your invoice is <strong>${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue</strong>.`
+    : 'Your invoice is due today.';
+  const notice = classesPaused
+    ? _alert('New classes are paused until this invoice is paid. Already scheduled classes are not affected.', '#fef2f2', '#ef4444', '#991b1b')
+    : isFinal
+      ? _alert('This is a final reminder. Scheduling of new classes will be paused if the invoice stays unpaid.')
+      : '';
+  const body = `${_hi(guardian)}
+    <p style="margin:0 0 14px;color:#374151;">${lead} If you have already paid, please ignore this message.</p>
+    ${_card(_infoTable(rows))}
+    ${notice}
+    ${_btn('Pay Invoice', invoiceLink)}`;
+  const text = `Hi ${formatPersonName(guardian)},\n\n${daysOverdue > 0 ? `Your invoice is ${daysOverdue} day(s) overdue.` : 'Your invoice is due today.'}\nInvoice: ${invoice.invoiceNumber || ''}\nAmount due: ${amount}\n${classesPaused ? 'New classes are paused until it is paid.\n' : ''}\nPay here: ${invoiceLink}`;
+  const subject = classesPaused
+    ? `Classes paused — invoice ${invoice.invoiceNumber || ''} unpaid`.trim()
+    : `${isFinal ? 'Final reminder' : 'Payment reminder'} — invoice ${invoice.invoiceNumber || ''}`.trim();
+  return { subject, html: baseEmailTemplate({ preheader: `Amount due: ${amount}`, body, icon: _ICONS.payment, branding }), text };
+}
+
+function buildGuardianInstallmentReminderEmail({ guardian, invoice, installment, daysOverdue = 0, branding }) {
+  const amount = `${Number(installment.amount || 0).toFixed(2)} ${invoice.currency || 'USD'}`;
+  const invoiceLink = invoice?.invoiceSlug
+    ? `${resolvePublicAppBaseUrl()}/public/invoices/${invoice.invoiceSlug}`
+    : _dashUrl('/invoices');
+  const dueStr = installment.dueDate ? formatInTimezone(installment.dueDate, guardian?.timezone) : '';
+  const label = `Installment ${installment.sequence} of ${installment.total}`;
+  let rows = _infoRow('Invoice #', invoice.invoiceNumber || invoice._id);
+  rows += _infoRow('Installment', `${installment.sequence} of ${installment.total}`);
+  if (dueStr) rows += _infoRow('Due Date', dueStr);
+  rows += _infoRow('Amount Due', amount);
+  const lead = daysOverdue > 0
+    ? `${label} of your payment plan is <strong>${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue</strong>.`
+    : `${label} of your payment plan is due soon.`;
+  const body = `${_hi(guardian)}
+    <p style="margin:0 0 14px;color:#374151;">${lead} Lesson hours are released as each installment is paid. If you have already paid, please ignore this message.</p>
+    ${_card(_infoTable(rows))}
+    ${_btn('Pay Installment', invoiceLink)}`;
+  const text = `Hi ${formatPersonName(guardian)},\n\n${daysOverdue > 0 ? `${label} is ${daysOverdue} day(s) overdue.` : `${label} is due${dueStr ? ` on ${dueStr}` : ' soon'}.`}\nInvoice: ${invoice.invoiceNumber || ''}\nAmount due: ${amount}\n\nPay here: ${invoiceLink}`;
+  const subject = `${daysOverdue > 0 ? 'Overdue installment' : 'Upcoming installment'} — invoice ${invoice.invoiceNumber || ''}`.trim();
+  return { subject, html: baseEmailTemplate({ preheader: `${label}: ${amount}`, body, icon: _ICONS.payment, branding }), text };
+}
+
 function buildAdminNewInvoiceEmail({ admin, invoice, guardian, branding }) {
   const period = invoice.billingPeriodLabel || (invoice.month && invoice.year ? `${invoice.month}/${invoice.year}` : '');
   let rows = _infoRow('Guardian', `${guardian?.firstName || ''} ${guardian?.lastName || ''}`.trim()) +
@@ -1323,6 +1376,7 @@ module.exports = {
   initEmailQueueProcessor,
   loadBrandingAndLogo,
   invalidateBrandingCache,
+  resolvePublicAppBaseUrl,
   baseEmailTemplate,
   formatInTimezone,
   // Backward-compatible direct-send
@@ -1345,6 +1399,8 @@ module.exports = {
   buildConsecutiveAbsentEmail,
   buildMonthlyStudentReportEmail,
   buildGuardianInvoiceCreatedEmail,
+  buildGuardianPaymentReminderEmail,
+  buildGuardianInstallmentReminderEmail,
   buildAdminNewInvoiceEmail,
   buildMeetingScheduledEmail,
   buildVacationApprovedEmail,
@@ -0,0 +1,168 @@
+// backend/services/googleCalendarMock.js
+// In-memory stand-in for the parts of the googleapis Calendar v3 client that
+// the calendar import reads (events.list). It follows the API's sync rules
+// closely enough to exercise incremental sync locally:
+//  - a full list pages through live events and hands out nextSyncToken on the
+//    last page only;
+//  - a list with syncToken returns everything changed since, including
+//    cancelled events, and rejects timeMin/timeMax like Google does;
+//  - expired tokens fail with 410 Gone and unknown/unshared calendars with 404.
+// Used by scripts/test-teacher-calendar-import.js and, with
+// GOOGLE_CALENDAR_IMPORT_MOCK=true, by a local server without Google access.
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decode = (value) => {
+  try {
+    return JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+  } catch (_) {
+    return null;
+  }
+};
+
+const apiError = (status, message) => {
+  const err = new Error(message);
+  err.code = status;
+  err.response = { status, data: { error: { code: status, message } } };
+  return err;
+};
+
+const eventEnd = (event) => new Date(event.end?.dateTime || event.end?.date || 0);
+const eventStart = (event) => new Date(event.start?.dateTime || event.start?.date || 0);
+
+function createMockCalendarClient({ pageSize = 250, autoCreateCalendars = false } = {}) {
+  const calendars = new Map();
+  let seq = 0;
+  let idCounter = 0;
+
+  const getCalendar = (calendarId) => {
+    if (autoCreateCalendars && calendarId && !calendars.has(String(calendarId))) {
+      store.addCalendar(String(calendarId));
+    }
+    const calendar = calendars.get(String(calendarId));
+    if (!calendar) throw apiError(404, 'Not Found');
+    return calendar;
+  };
+
+  const store = {
+    // Make a calendar readable by the "service account"
+    addCalendar(calendarId, { timeZone = 'UTC' } = {}) {
+      if (!calendars.has(calendarId)) {
+        calendars.set(calendarId, { id: calendarId, timeZone, events: new Map(), minValidSeq: 0 });
+      }
+      return calendars.get(calendarId);
+    },
+
+    removeCalendar(calendarId) {
+      calendars.delete(calendarId);
+    },
+
+    upsertEvent(calendarId, event) {
+      const calendar = getCalendar(calendarId);
+      idCounter += 1;
+      seq += 1;
+      const id = event.id || `mock${idCounter}`;
+      const previous = calendar.events.get(id) || {};
+      const next = { status: 'confirmed', ...previous, ...event, id, updated: new Date().toISOString(), _seq: seq };
+      calendar.events.set(id, next);
+      return { ...next };
+    },
+
+    cancelEvent(calendarId, eventId) {
+      const calendar = getCalendar(calendarId);
+      const existing = calendar.events.get(eventId);
+      if (!existing) return null;
+      seq += 1;
+      const cancelled = { id: eventId, status: 'cancelled', updated: new Date().toISOString(), _seq: seq };
+      calendar.events.set(eventId, cancelled);
+      return { ...cancelled };
+    },
+
+    // Invalidate every sync token issued so far (Google does this at will)
+    expireSyncTokens(calendarId) {
+      getCalendar(calendarId).minValidSeq = seq + 1;
+    },
+
+    calls: [],
+  };
+
+  const list = async (params = {}) => {
+    store.calls.push({ method: 'events.list', params: { ...params } });
+    const calendar = getCalendar(params.calendarId);
+    const maxResults = Math.min(Number(params.maxResults) || pageSize, 2500);
+
+    let cursor;
+    if (params.pageToken) {
+      cursor = decode(params.pageToken);
+      if (!cursor || cursor.calendarId !== calendar.id) throw apiError(400, 'Invalid page token');
+    } else if (params.syncToken) {
+      if (params.timeMin || params.timeMax) throw apiError(400, 'timeMin/timeMax cannot be used with syncToken');
+      const token = decode(params.syncToken);
+      if (!token || token.calendarId !== calendar.id) throw apiError(400, 'Invalid sync token');
+      if (token.seq < calendar.minValidSeq) throw apiError(410, 'Sync token is no longer valid, a full sync is required.');
+      cursor = { calendarId: calendar.id, offset: 0, since: token.seq, upTo: seq };
+    } else {
+      cursor = {
+        calendarId: calendar.id,
+        offset: 0,
+        since: null,
+        upTo: seq,
+        timeMin: params.timeMin || null,
+        timeMax: params.timeMax || null,
+        showDeleted: Boolean(params.showDeleted),
+      };
+    }
+
+    const matches = Array.from(calendar.events.values())
+      .filter((event) => event._seq <= cursor.upTo)
+      .filter((event) => {
+        if (cursor.since !== null) return event._seq > cursor.since;
+        if (event.status === 'cancelled' && !cursor.showDeleted) return false;
+        if (event.status === 'cancelled') return true;
+        if (cursor.timeMin && eventEnd(event) <= new Date(cursor.timeMin)) return false;
+        if (cursor.timeMax && eventStart(event) >= new Date(cursor.timeMax)) return false;
+        return true;
+      })
+      .sort((a, b) => a._seq - b._seq);
+
+    const page = matches.slice(cursor.offset, cursor.offset + maxResults);
+    const hasMore = cursor.offset + maxResults < matches.length;
+    const data = {
+      kind: 'calendar#events',
+      timeZone: calendar.timeZone,
+      items: page.map(({ _seq, ...event }) => ({ ...event })),
+    };
+    if (hasMore) {
+      data.nextPageToken = encode({ ...cursor, offset: cursor.offset + maxResults });
+    } else {
+      data.nextSyncToken = encode({ calendarId: calendar.id, seq: cursor.upTo });
+    }
+    return { data };
+  };
+
+  return {
+    events: { list },
+    calendars: {
+      get: async ({ calendarId }) => {
+        const calendar = getCalendar(calendarId);
+        return { data: { id: calendar.id, timeZone: calendar.timeZone } };
+      },
+    },
+    mock: store,
+  };
+}
+
+let sharedClient = null;
+
+// One process-wide mock so calendars added from a REPL or seed script are
+// visible to the import service. Any calendar id "exists" (empty) until
+// events are added to it.
+const getSharedMockClient = () => {
+  if (!sharedClient) sharedClient = createMockCalendarClient({ autoCreateCalendars: true });
+  return sharedClient;
+};
+
+module.exports = {
+  createMockCalendarClient,
+  getSharedMockClient,
+};
@@ -0,0 +1,264 @@
+// backend/services/groupClassService.js
+// Group classes: one session taught to a roster of students who may belong to
+// different guardians (siblings, halaqa).
+//
+// The roster lives on the Class document (Class.roster). Billing follows each
+// roster entry: attendance, waivers and the class groupBilling mode decide how
+// many minutes every guardian is charged (Class.computeGroupBilling), and the
+// Class post-save hook hands any change to InvoiceService, which adjusts
+// guardian hours and the per-guardian invoice lines. Teacher hours count the
+// session once.
+//
+// A 1:1 class can only become a group class before it is consumed (scheduled
+// or in progress), so hours already charged to the original guardian never
+// need to be re-split.
+const mongoose = require('mongoose');
+
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const User = require('../models/User');
+const InvoiceService = require('./invoiceService');
+
+const BILLING_MODES = ['per_student', 'split'];
+const ROSTER_ATTENDANCE = ['pending', 'attended', 'absent', 'excused'];
+const REPORT_FIELDS = ['lessonTopic', 'recitedQuran', 'newAssignment', 'previousAssignmentEvaluation', 'teacherNotes'];
+// Statuses in which a 1:1 class may still be turned into a group class
+const CONVERTIBLE_STATUSES = ['scheduled', 'in_progress', 'pattern'];
+const MAX_ROSTER_SIZE = 30;
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(String(value || ''));
+const personName = (person) => `${person?.firstName || ''} ${person?.lastName || ''}`.trim();
+
+/**
+ * Check one requested roster entry against the guardian's students (embedded
+ * or standalone) and return the stored shape.
+ */
+async function resolveRosterEntry(input, guardianCache) {
+  const guardianId = String(input?.guardianId || '');
+  const studentId = String(input?.studentId || '');
+  if (!isObjectId(guardianId) || !isObjectId(studentId)) {
+    throw buildError(400, 'Each roster entry needs a valid guardianId and studentId', 'INVALID_ROSTER_ENTRY');
+  }
+
+  if (!guardianCache.has(guardianId)) {
+    const guardianDoc = await User.findOne({ _id: guardianId, role: 'guardian' }).select('firstName lastName guardianInfo.students');
+    guardianCache.set(guardianId, guardianDoc);
+  }
+  const guardianDoc = guardianCache.get(guardianId);
+  if (!guardianDoc) throw buildError(404, 'Guardian not found', 'GUARDIAN_NOT_FOUND');
+
+  let studentName = '';
+  const embedded = guardianDoc.guardianInfo?.students?.id?.(studentId) || null;
+  if (embedded) {
+    studentName = personName(embedded);
+  } else {
+    const standalone = await Student.findOne({ _id: studentId, guardian: guardianId }).select('firstName lastName').lean();
+    if (!standalone) throw buildError(400, 'Student does not belong to this guardian', 'STUDENT_NOT_IN_GUARDIAN');
+    studentName = personName(standalone);
+  }
+
+  const share = input.billingShare === undefined || input.billingShare === null ? 1 : Number(input.billingShare);
+  if (!Number.isFinite(share) || share < 0 || share > 1) {
+    throw buildError(400, 'billingShare must be between 0 and 1', 'INVALID_BILLING_SHARE');
+  }
+
+  return {
+    guardianId,
+    studentId,
+    studentName: (typeof input.studentName === 'string' && input.studentName.trim()) || studentName || 'Unknown Student',
+    billingShare: share,
+    waived: Boolean(input.waived),
+  };
+}
+
+function normalizeGroupBilling(value = {}, current = {}) {
+  const mode = value.mode !== undefined ? value.mode : (current.mode || 'per_student');
+  if (!BILLING_MODES.includes(mode)) {
+    throw buildError(400, `Billing mode must be one of: ${BILLING_MODES.join(', ')}`, 'INVALID_BILLING_MODE');
+  }
+  return {
+    mode,
+    chargeAbsent: value.chargeAbsent !== undefined ? Boolean(value.chargeAbsent) : current.chargeAbsent !== false,
+  };
+}
+
+/**
+ * Replace the roster of one class. Entries already on the roster keep their
+ * attendance, report and invoice link; new students start as pending.
+ */
+function mergeRoster(classDoc, entries) {
+  const existing = new Map((classDoc.roster || []).map((entry) => [String(entry.studentId), entry]));
+  return entries.map((entry) => {
+    const before = existing.get(entry.studentId);
+    if (!before) return entry;
+    return {
+      ...before.toObject(),
+      guardianId: entry.guardianId,
+      studentName: entry.studentName,
+      billingShare: entry.billingShare,
+      waived: entry.waived,
+    };
+  });
+}
+
+async function applyRosterToClass(classDoc, entries, groupBilling, actor) {
+  const wasGroup = Boolean(classDoc.isGroup);
+  const previousGuardianId = classDoc.student?.guardianId ? String(classDoc.student.guardianId) : null;
+
+  if (!wasGroup && !CONVERTIBLE_STATUSES.includes(classDoc.status)) {
+    throw buildError(409, 'Only upcoming classes can be turned into group classes', 'CLASS_ALREADY_CONSUMED');
+  }
+
+  classDoc.isGroup = true;
+  classDoc.roster = mergeRoster(classDoc, entries);
+  classDoc.groupBilling = normalizeGroupBilling(groupBilling, classDoc.groupBilling || {});
+  classDoc.markModified('groupBilling');
+  if (actor?._id) classDoc.lastModifiedBy = actor._id;
+  classDoc.lastModifiedAt = new Date();
+  await classDoc.save();
+
+  // A converted class may still sit on the original guardian's invoice as a
+  // 1:1 line; if that guardian is not on the roster the line has to go.
+  if (!wasGroup && previousGuardianId && !entries.some((entry) => entry.guardianId === previousGuardianId)) {
+    await InvoiceService.syncGroupClassInvoices(classDoc.toObject(), { guardianIds: [previousGuardianId] });
+  }
+  return classDoc;
+}
+
+/**
+ * Set the roster (and optionally the billing rules) of a class.
+ * With `applyToSeries` the recurring pattern and its upcoming scheduled
+ * occurrences get the same roster.
+ */
+async function setRoster(classId, { roster, groupBilling, applyToSeries = false } = {}, actor = null) {
+  if (!isObjectId(classId)) throw buildError(400, 'Invalid class id', 'INVALID_ID');
+  if (!Array.isArray(roster) || !roster.length) {
+    throw buildError(400, 'A group class needs at least one student', 'ROSTER_REQUIRED');
+  }
+  if (roster.length > MAX_ROSTER_SIZE) {
+    throw buildError(400, `A group class can have at most ${MAX_ROSTER_SIZE} students`, 'ROSTER_TOO_LARGE');
+  }
+
+  const classDoc = await Class.findById(classId);
+  if (!classDoc) throw buildError(404, 'Class not found', 'CLASS_NOT_FOUND');
+
+  const guardianCache = new Map();
+  const entries = [];
+  for (const input of roster) {
+    const entry = await resolveRosterEntry(input, guardianCache);
+    if (entries.some((other) => other.studentId === entry.studentId)) {
+      throw buildError(400, `${entry.studentName} is on the roster twice`, 'DUPLICATE_STUDENT');
+    }
+    entries.push(entry);
+  }
+
+  await applyRosterToClass(classDoc, entries, groupBilling, actor);
+
+  let seriesUpdated = 0;
+  const patternId = classDoc.status === 'pattern' ? classDoc._id : classDoc.parentRecurringClass;
+  if (applyToSeries && patternId) {
+    const targets = await Class.find({
+      $or: [
+        { _id: patternId, status: 'pattern' },
+        { parentRecurringClass: patternId, status: 'scheduled', scheduledDate: { $gte: new Date() } },
+      ],
+      _id: { $ne: classDoc._id },
+    });
+    for (const target of targets) {
+      try {
+        await applyRosterToClass(target, entries, groupBilling, actor);
+        seriesUpdated += 1;
+      } catch (err) {
+        console.warn(`[groupClassService] roster not applied to ${target._id}:`, err && err.message);
+      }
+    }
+  }
+
+  return { class: classDoc, seriesUpdated };
+}
+
+/**
+ * Write per-student attendance and report fields onto a group class document
+ * (not saved). Students left pending follow the class-level attendance, and a
+ * class reported as attended where nobody attended becomes missed_by_student.
+ */
+function applyRosterReport(classDoc, entries = [], { classAttendance = null } = {}) {
+  if (!classDoc?.isGroup) return classDoc;
+  const byStudent = new Map((Array.isArray(entries) ? entries : []).map((entry) => [String(entry?.studentId || ''), entry]));
+
+  (classDoc.roster || []).forEach((rosterEntry) => {
+    const input = byStudent.get(String(rosterEntry.studentId));
+    if (input) {
+      if (input.attendance !== undefined) {
+        if (!ROSTER_ATTENDANCE.includes(input.attendance)) {
+          throw buildError(400, `Attendance must be one of: ${ROSTER_ATTENDANCE.join(', ')}`, 'INVALID_ATTENDANCE');
+        }
+        rosterEntry.attendance = input.attendance;
+      }
+      const report = { ...(rosterEntry.report?.toObject ? rosterEntry.report.toObject() : rosterEntry.report || {}) };
+      REPORT_FIELDS.forEach((field) => {
+        if (typeof input[field] === 'string') report[field] = input[field].trim();
+      });
+      if (input.classScore !== undefined && input.classScore !== null && input.classScore !== '') {
+        const score = Number(input.classScore);
+        if (!Number.isFinite(score) || score < 0 || score > 5) {
+          throw buildError(400, 'classScore must be between 0 and 5', 'INVALID_CLASS_SCORE');
+        }
+        report.classScore = score;
+      }
+      rosterEntry.report = report;
+    }
+    if (rosterEntry.attendance === 'pending' && classAttendance === 'attended') rosterEntry.attendance = 'attended';
+    if (rosterEntry.attendance === 'pending' && classAttendance === 'missed_by_student') rosterEntry.attendance = 'absent';
+  });
+
+  if (classAttendance === 'attended' && classDoc.roster.length
+    && !classDoc.roster.some((entry) => entry.attendance === 'attended')) {
+    classDoc.status = 'missed_by_student';
+    if (classDoc.classReport) classDoc.classReport.attendance = 'missed_by_student';
+    if (classDoc.attendance) classDoc.attendance.studentPresent = false;
+  }
+  classDoc.markModified('roster');
+  return classDoc;
+}
+
+/**
+ * Correct per-student attendance/report fields after the fact. Teachers can
+ * only touch their own classes; billing follows through the save hook.
+ */
+async function updateRosterAttendance(classId, entries, actor) {
+  if (!isObjectId(classId)) throw buildError(400, 'Invalid class id', 'INVALID_ID');
+  if (!Array.isArray(entries) || !entries.length) throw buildError(400, 'No roster changes supplied', 'ROSTER_REQUIRED');
+
+  const classDoc = await Class.findById(classId);
+  if (!classDoc) throw buildError(404, 'Class not found', 'CLASS_NOT_FOUND');
+  if (!classDoc.isGroup) throw buildError(400, 'This is not a group class', 'NOT_GROUP_CLASS');
+  if (actor?.role === 'teacher' && String(classDoc.teacher) !== String(actor._id)) {
+    throw buildError(403, 'Not allowed to update this class', 'FORBIDDEN');
+  }
+
+  const known = new Set(classDoc.roster.map((entry) => String(entry.studentId)));
+  const unknown = entries.find((entry) => !known.has(String(entry?.studentId || '')));
+  if (unknown) throw buildError(400, 'Student is not on the roster', 'STUDENT_NOT_ON_ROSTER');
+
+  applyRosterReport(classDoc, entries);
+  classDoc.lastModifiedBy = actor?._id || classDoc.lastModifiedBy;
+  classDoc.lastModifiedAt = new Date();
+  await classDoc.save();
+  return classDoc;
+}
+
+module.exports = {
+  BILLING_MODES,
+  ROSTER_ATTENDANCE,
+  setRoster,
+  applyRosterReport,
+  updateRosterAttendance,
+};
@@ -1,5 +1,7 @@
+const mongoose = require('mongoose');
 const Invoice = require('../models/Invoice');
 const Class = require('../models/Class');
+const CreditNote = require('../models/CreditNote');
 
 const COUNTABLE_CLASS_STATUSES = new Set(['attended', 'missed_by_student', 'absent']);
 const COUNTABLE_ATTENDANCE = new Set(['attended', 'missed_by_student']);
@@ -37,7 +39,68 @@ const shouldCountClass = (cls) => {
   return COUNTABLE_CLASS_STATUSES.has(status);
 };
 
-const buildPaidInvoiceAllocations = (invoices = []) => {
+// Hours credited back per invoice by issued (non-voided) credit notes.
+const loadCreditedHoursByInvoice = async (guardianIds = []) => {
+  const credited = new Map();
+  const objectIds = guardianIds
+    .filter((id) => mongoose.Types.ObjectId.isValid(id))
+    .map((id) => new mongoose.Types.ObjectId(id));
+  if (!objectIds.length) return credited;
+  const rows = await CreditNote.aggregate([
+    { $match: { guardian: { $in: objectIds }, status: 'issued' } },
+    { $group: { _id: '$invoice', hours: { $sum: '$hours' } } }
+  ]);
+  for (const row of rows) {
+    credited.set(String(row._id), roundHours(row.hours));
+  }
+  return credited;
+};
+
+/**
+ * Hours one paid invoice still credits: paid hours (or item hours when no
+ * payment logs carry hours) minus credit notes and expired package hours.
+ * perStudentItems is used to spread that credit over the invoice's students.
+ */
+const resolveInvoiceCredit = (invoice, creditedByInvoice = new Map()) => {
+  const items = Array.isArray(invoice?.items) ? invoice.items : [];
+
+  // Sum per-student hours from items (used for proportional distribution)
+  const perStudentItems = new Map();
+  let totalItemHours = 0;
+  for (const item of items) {
+    const studentId = normalizeId(item?.student);
+    if (!studentId) continue;
+    const hours = resolveItemHours(item);
+    if (!Number.isFinite(hours) || hours <= 0) continue;
+    perStudentItems.set(studentId, roundHours((perStudentItems.get(studentId) || 0) + hours));
+    totalItemHours = roundHours(totalItemHours + hours);
+  }
+
+  // Sum paid hours from paymentLogs (reflects actual payment, survives item removal).
+  // Include negative/refund entries as debits to avoid phantom remaining hours.
+  let totalPaidHours = 0;
+  let hasPaidHoursLogs = false;
+  const paymentLogs = Array.isArray(invoice?.paymentLogs) ? invoice.paymentLogs : [];
+  for (const log of paymentLogs) {
+    if (!log) continue;
+    if (log.method === 'tip_distribution' || log.paymentMethod === 'tip_distribution') continue;
+    const paidHours = Number(log.paidHours);
+    if (!Number.isFinite(paidHours) || Math.abs(paidHours) <= 0) continue;
+    hasPaidHoursLogs = true;
+    totalPaidHours = roundHours(totalPaidHours + paidHours);
+  }
+
+  // Use paymentLogs.paidHours whenever logs exist (net of refunds/debits).
+  // Fall back to item totals only when no paidHours logs are present.
+  // Credit notes and expired package hours then come back out of the invoice.
+  const creditedHours = creditedByInvoice.get(normalizeId(invoice?._id)) || 0;
+  const expiredHours = Number(invoice?.guardianFinancial?.billingPackage?.expiredHours || 0) || 0;
+  const effectiveCredit = Math.max(0, roundHours((hasPaidHoursLogs ? Math.max(0, totalPaidHours) : totalItemHours) - creditedHours - expiredHours));
+
+  return { perStudentItems, totalItemHours, effectiveCredit };
+};
+
+const buildPaidInvoiceAllocations = (invoices = [], creditedByInvoice = new Map()) => {
   const perGuardian = new Map();
 
   for (const invoice of invoices) {
@@ -50,37 +113,7 @@ const buildPaidInvoiceAllocations = (invoices = []) => {
     }
 
     const entry = perGuardian.get(guardianId);
-    const items = Array.isArray(invoice.items) ? invoice.items : [];
-
-    // Sum per-student hours from items (used for proportional distribution)
-    const perStudentItems = new Map();
-    let totalItemHours = 0;
-    for (const item of items) {
-      const studentId = normalizeId(item?.student);
-      if (!studentId) continue;
-      const hours = resolveItemHours(item);
-      if (!Number.isFinite(hours) || hours <= 0) continue;
-      perStudentItems.set(studentId, roundHours((perStudentItems.get(studentId) || 0) + hours));
-      totalItemHours = roundHours(totalItemHours + hours);
-    }
-
-    // Sum paid hours from paymentLogs (reflects actual payment, survives item removal).
-    // Include negative/refund entries as debits to avoid phantom remaining hours.
-    let totalPaidHours = 0;
-    let hasPaidHoursLogs = false;
-    const paymentLogs = Array.isArray(invoice.paymentLogs) ? invoice.paymentLogs : [];
-    for (const log of paymentLogs) {
-      if (!log) continue;
-      if (log.method === 'tip_distribution' || log.paymentMethod === 'tip_distribution') continue;
-      const paidHours = Number(log.paidHours);
-      if (!Number.isFinite(paidHours) || Math.abs(paidHours) <= 0) continue;
-      hasPaidHoursLogs = true;
-      totalPaidHours = roundHours(totalPaidHours + paidHours);
-    }
-
-    // Use paymentLogs.paidHours whenever logs exist (net of refunds/debits).
-    // Fall back to item totals only when no paidHours logs are present.
-    const effectiveCredit = hasPaidHoursLogs ? Math.max(0, totalPaidHours) : totalItemHours;
+    const { perStudentItems, totalItemHours, effectiveCredit } = resolveInvoiceCredit(invoice, creditedByInvoice);
 
     if (totalItemHours > 0 && effectiveCredit > 0) {
       const scale = effectiveCredit / totalItemHours;
@@ -96,42 +129,60 @@ const buildPaidInvoiceAllocations = (invoices = []) => {
 
 const computeConsumedHoursAllTime = async (guardianId) => {
   const consumed = new Map();
+  const addMinutes = (studentId, minutes) => {
+    if (!studentId || !(minutes > 0)) return;
+    consumed.set(studentId, roundHours((consumed.get(studentId) || 0) + minutes / 60));
+  };
   const classDocs = await Class.find({
-    'student.guardianId': guardianId,
     $or: [
-      { status: { $in: Array.from(COUNTABLE_CLASS_STATUSES) } },
-      { 'classReport.attendance': { $in: Array.from(COUNTABLE_ATTENDANCE) } }
+      {
+        isGroup: { $ne: true },
+        'student.guardianId': guardianId,
+        $or: [
+          { status: { $in: Array.from(COUNTABLE_CLASS_STATUSES) } },
+          { 'classReport.attendance': { $in: Array.from(COUNTABLE_ATTENDANCE) } }
+        ]
+      },
+      // Group classes: each roster student is charged their own share
+      { isGroup: true, 'roster.guardianId': guardianId, status: { $in: Array.from(COUNTABLE_CLASS_STATUSES) } }
     ]
   })
-    .select('scheduledDate duration status classReport student.studentId student._id billingWaiver.guardian.waived')
+    .select('scheduledDate duration status classReport student.studentId student._id billingWaiver.guardian.waived isGroup roster groupBilling')
     .lean();
 
+  const gid = normalizeId(guardianId);
   for (const cls of classDocs || []) {
+    if (cls.isGroup) {
+      Class.computeGroupBilling(cls)
+        .filter((entry) => normalizeId(entry.guardianId) === gid)
+        .forEach((entry) => addMinutes(normalizeId(entry.studentId), Number(entry.minutes) || 0));
+      continue;
+    }
     if (!shouldCountClass(cls)) continue;
     const studentId = normalizeId(cls?.student?.studentId) || normalizeId(cls?.student?._id);
-    if (!studentId) continue;
-    const minutes = Number(cls?.duration || 0) || 0;
-    if (minutes <= 0) continue;
-    const hours = minutes / 60;
-    consumed.set(studentId, roundHours((consumed.get(studentId) || 0) + hours));
+    addMinutes(studentId, Number(cls?.duration || 0) || 0);
   }
 
   return consumed;
 };
 
+// Invoices whose hours a guardian has paid for (fields resolveInvoiceCredit needs)
+const loadPaidInvoices = (guardianIds, extraFields = '') => Invoice.find({
+  guardian: { $in: guardianIds },
+  deleted: { $ne: true },
+  // Installment-plan invoices count their paid installments before the invoice is paid
+  $or: [{ status: 'paid' }, { 'installmentPlan.active': true, paidAmount: { $gt: 0 } }]
+})
+  .select(`guardian items.student items.duration items.quantityHours paymentLogs.paidHours paymentLogs.amount paymentLogs.method guardianFinancial.billingPackage.expiredHours ${extraFields}`.trim())
+  .lean();
+
 const computeGuardianHoursFromPaidInvoices = async (guardianIds = []) => {
   const normalized = Array.from(new Set((guardianIds || []).map((id) => normalizeId(id)).filter(Boolean)));
   if (!normalized.length) return new Map();
 
-  const invoices = await Invoice.find({
-    guardian: { $in: normalized },
-    deleted: { $ne: true },
-    status: 'paid'
-  })
-    .select('guardian items.student items.duration items.quantityHours paymentLogs.paidHours paymentLogs.amount paymentLogs.method')
-    .lean();
-
-  const allocations = buildPaidInvoiceAllocations(invoices);
+  const invoices = await loadPaidInvoices(normalized);
+  const creditedByInvoice = await loadCreditedHoursByInvoice(normalized);
+  const allocations = buildPaidInvoiceAllocations(invoices, creditedByInvoice);
   const result = new Map();
 
   for (const guardianId of normalized) {
@@ -249,7 +300,11 @@ const syncComputedHoursToStorage = async (hoursMap) => {
 
 module.exports = {
   computeGuardianHoursFromPaidInvoices,
+  loadPaidInvoices,
+  loadCreditedHoursByInvoice,
+  resolveInvoiceCredit,
   syncComputedHoursToStorage,
+  shouldCountClass,
   normalizeId,
   roundHours
 };
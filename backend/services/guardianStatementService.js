@@ -0,0 +1,414 @@
+// backend/services/guardianStatementService.js
+// Guardian account statement: one running-balance ledger assembled from
+// Invoice (charges, paymentLogs, legacy refunds, adjustments), issued
+// CreditNotes, consumed Classes, PaymentLink coverage and GuardianHoursAudit
+// manual corrections.
+//
+// Two balances are tracked side by side:
+//   - hours:  prepaid hours remaining (purchased − refunded − consumed ± manual)
+//   - amount: money due (invoiced − paid, credits owed back are negative)
+const ExcelJS = require('exceljs');
+const dayjs = require('dayjs');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const Class = require('../models/Class');
+const User = require('../models/User');
+const PaymentLink = require('../models/PaymentLink');
+const GuardianHoursAudit = require('../models/GuardianHoursAudit');
+const { shouldCountClass, roundHours } = require('./guardianHoursService');
+
+const roundCurrency = (value) => {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return 0;
+  return Math.round(numeric * 100) / 100;
+};
+
+const buildError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const ENTRY_TYPE_LABELS = {
+  invoice: 'Invoice',
+  payment: 'Payment',
+  refund: 'Refund',
+  credit_note: 'Credit note',
+  class: 'Class',
+  credit: 'Credit',
+  credit_settled: 'Credit settled',
+  adjustment: 'Adjustment',
+  hours_adjustment: 'Hours correction'
+};
+
+const invoiceRef = (invoice) => invoice.invoiceNumber || invoice.invoiceSlug || String(invoice._id);
+
+const resolveRange = ({ from, to } = {}) => {
+  const end = to ? dayjs(to).endOf('day') : dayjs().endOf('day');
+  const start = from ? dayjs(from).startOf('day') : end.startOf('month');
+  if (!start.isValid() || !end.isValid()) throw buildError(400, 'Invalid date range');
+  if (start.isAfter(end)) throw buildError(400, 'Start date must be before end date');
+  return { start: start.toDate(), end: end.toDate() };
+};
+
+const invoiceItemHours = (invoice) => (invoice.items || []).reduce((sum, item) => {
+  const qty = Number(item?.quantityHours);
+  if (Number.isFinite(qty) && qty > 0) return sum + qty;
+  return sum + ((Number(item?.duration || 0) || 0) / 60);
+}, 0);
+
+function buildInvoiceEntries(invoices) {
+  const entries = [];
+  for (const invoice of invoices) {
+    const ref = invoiceRef(invoice);
+    const issuedAt = invoice.createdAt || invoice.billingPeriod?.startDate;
+    const total = roundCurrency(invoice.adjustedTotal || invoice.total || 0);
+
+    if (invoice.status !== 'draft' && invoice.status !== 'cancelled' && total > 0) {
+      entries.push({
+        date: issuedAt,
+        type: 'invoice',
+        description: `Invoice issued${invoice.billingPeriod?.startDate ? ` (${dayjs(invoice.billingPeriod.startDate).format('DD MMM YYYY')})` : ''}`,
+        reference: ref,
+        invoiceId: invoice._id,
+        hours: 0,
+        amount: total
+      });
+    }
+
+    const logs = (invoice.paymentLogs || []).filter((log) => log && log.method !== 'tip_distribution');
+    const hasPaidHours = logs.some((log) => Number.isFinite(Number(log.paidHours)) && Number(log.paidHours) !== 0);
+    // Legacy paid invoices without paidHours on their logs credit their item hours once
+    let legacyHours = !hasPaidHours && invoice.status === 'paid' ? roundHours(invoiceItemHours(invoice)) : 0;
+
+    for (const log of logs) {
+      const amount = roundCurrency(log.amount || 0);
+      const date = log.processedAt || invoice.paidDate || issuedAt;
+      if (log.method === 'refund' || amount < 0) {
+        const refundAmount = Math.abs(amount);
+        // A refund returns money and cancels the same amount of the charge,
+        // so it moves hours but leaves the money due unchanged.
+        entries.push({
+          date,
+          type: 'refund',
+          description: log.note || 'Refund issued',
+          reference: log.transactionId || ref,
+          invoiceId: invoice._id,
+          hours: -Math.abs(Number(log.paidHours || 0) || 0),
+          amount: 0,
+          refundAmount
+        });
+        continue;
+      }
+      let hours = Number(log.paidHours || 0) || 0;
+      if (!hours && legacyHours) {
+        hours = legacyHours;
+        legacyHours = 0;
+      }
+      entries.push({
+        date,
+        type: 'payment',
+        description: `Payment (${log.paymentMethod || log.method || 'manual'})${log.tip ? ` incl. $${roundCurrency(log.tip).toFixed(2)} tip` : ''}`,
+        reference: log.transactionId || ref,
+        invoiceId: invoice._id,
+        hours: roundHours(hours),
+        amount: -amount
+      });
+    }
+
+    // Post-payment adjustments: credits are money owed back until settled by a
+    // later delivered class; debits are informational (hours already flow
+    // through class consumption and nothing bills them separately).
+    for (const adj of invoice.adjustments || []) {
+      if (!adj) continue;
+      const isCredit = adj.type === 'credit';
+      entries.push({
+        date: adj.createdAt || issuedAt,
+        type: isCredit ? 'credit' : 'adjustment',
+        description: adj.description || adj.reason,
+        reference: ref,
+        invoiceId: invoice._id,
+        hours: 0,
+        amount: isCredit ? roundCurrency(adj.amountDelta) : 0,
+        info: { hoursDelta: adj.hoursDelta, reason: adj.reason }
+      });
+      if (isCredit && adj.settled) {
+        entries.push({
+          date: adj.settledAt || adj.createdAt || issuedAt,
+          type: 'credit_settled',
+          description: `Credit covered by delivered class: ${adj.description || adj.reason}`,
+          reference: ref,
+          invoiceId: invoice._id,
+          hours: 0,
+          amount: -roundCurrency(adj.amountDelta)
+        });
+      }
+    }
+  }
+  return entries;
+}
+
+async function buildClassEntries(guardianId, end) {
+  const classes = await Class.find({
+    scheduledDate: { $lte: end },
+    $or: [
+      {
+        isGroup: { $ne: true },
+        'student.guardianId': guardianId,
+        $or: [
+          { status: { $in: ['attended', 'missed_by_student', 'absent'] } },
+          { 'classReport.attendance': { $in: ['attended', 'missed_by_student'] } }
+        ]
+      },
+      { isGroup: true, 'roster.guardianId': guardianId, status: { $in: ['attended', 'missed_by_student', 'absent'] } }
+    ]
+  })
+    .select('scheduledDate duration status subject classReport.attendance student.studentName student.studentId billingWaiver.guardian.waived isGroup roster groupBilling')
+    .lean();
+
+  // Group classes show this guardian's students and their share of the session
+  const counted = classes
+    .map((cls) => Class.projectClassForGuardian(cls, guardianId, { projected: false }))
+    .filter((cls) => shouldCountClass(cls) && Number(cls.duration || 0) > 0);
+  if (!counted.length) return [];
+
+  // Which invoice(s) paid for each class
+  const links = await PaymentLink.find({ class: { $in: counted.map((cls) => cls._id) } })
+    .select('class invoice')
+    .populate('invoice', 'invoiceNumber invoiceSlug')
+    .lean();
+  const coveredBy = new Map();
+  for (const link of links) {
+    const key = String(link.class);
+    const ref = link.invoice ? invoiceRef(link.invoice) : null;
+    if (!ref) continue;
+    if (!coveredBy.has(key)) coveredBy.set(key, new Set());
+    coveredBy.get(key).add(ref);
+  }
+
+  return counted.map((cls) => {
+    const attendance = cls.classReport?.attendance || cls.status;
+    const refs = coveredBy.get(String(cls._id));
+    return {
+      date: cls.scheduledDate,
+      type: 'class',
+      description: `${cls.subject || 'Class'} · ${cls.student?.studentName || 'Student'} (${String(attendance).replace(/_/g, ' ')})`,
+      reference: refs ? Array.from(refs).join(', ') : 'Not yet covered',
+      classId: cls._id,
+      hours: -roundHours((Number(cls.duration) || 0) / 60),
+      amount: 0
+    };
+  });
+}
+
+async function buildManualHourEntries(guardianId, end) {
+  const audits = await GuardianHoursAudit.find({
+    entityType: 'User',
+    entityId: guardianId,
+    action: 'hours_manual_adjust',
+    success: true,
+    timestamp: { $lte: end }
+  }).lean();
+
+  return audits.map((audit) => {
+    const before = Number(audit.before?.totalHours || 0) || 0;
+    const after = Number(audit.after?.totalHours || 0) || 0;
+    return {
+      date: audit.timestamp,
+      type: 'hours_adjustment',
+      description: audit.reason ? `Manual hours correction: ${audit.reason}` : 'Manual hours correction',
+      reference: audit.metadata?.requestedAction || '',
+      hours: roundHours(after - before),
+      amount: 0
+    };
+  }).filter((entry) => entry.hours !== 0);
+}
+
+// Like a refund: money goes back and the same amount of the charge is
+// cancelled, so only the hours balance moves.
+function buildCreditNoteEntries(creditNotes) {
+  return creditNotes.map((note) => ({
+    date: note.issuedAt,
+    type: 'credit_note',
+    description: `Credit note${note.reason ? `: ${note.reason}` : ''}`,
+    reference: note.creditNoteNumber,
+    invoiceId: note.invoice,
+    hours: -roundHours(note.hours || 0),
+    amount: 0,
+    refundAmount: roundCurrency(note.total || 0),
+    info: { invoiceNumber: note.invoiceNumber || null }
+  }));
+}
+
+/**
+ * Build the statement for a guardian over [from, to].
+ * @param {String} guardianId
+ * @param {Object} options - { from, to } (dates or YYYY-MM-DD); defaults to the current month
+ */
+async function buildGuardianStatement(guardianId, options = {}) {
+  if (!mongoose.Types.ObjectId.isValid(guardianId)) throw buildError(400, 'Invalid guardian id');
+  const guardian = await User.findOne({ _id: guardianId, role: 'guardian' })
+    .select('firstName lastName email phone guardianInfo.totalHours guardianInfo.billingAddress guardianInfo.billingCurrency')
+    .lean();
+  if (!guardian) throw buildError(404, 'Guardian not found');
+
+  const { start, end } = resolveRange(options);
+
+  const invoices = await Invoice.find({
+    guardian: guardian._id,
+    type: 'guardian_invoice',
+    deleted: { $ne: true },
+    createdAt: { $lte: end }
+  })
+    .select('invoiceNumber invoiceSlug status total adjustedTotal createdAt paidDate billingPeriod items.duration items.quantityHours paymentLogs adjustments')
+    .lean();
+
+  const [classEntries, manualEntries, creditNotes] = await Promise.all([
+    buildClassEntries(guardian._id, end),
+    buildManualHourEntries(guardian._id, end),
+    CreditNote.find({ guardian: guardian._id, status: 'issued', issuedAt: { $lte: end } })
+      .select('creditNoteNumber invoice invoiceNumber hours total reason issuedAt')
+      .lean()
+  ]);
+
+  const allEntries = [...buildInvoiceEntries(invoices), ...buildCreditNoteEntries(creditNotes), ...classEntries, ...manualEntries]
+    .filter((entry) => entry.date && new Date(entry.date) <= end)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const opening = { hours: 0, amount: 0 };
+  const totals = { invoiced: 0, paid: 0, refunded: 0, credits: 0, hoursPurchased: 0, hoursConsumed: 0, hoursRefunded: 0, hoursAdjusted: 0 };
+  const entries = [];
+  let hoursBalance = 0;
+  let amountBalance = 0;
+
+  for (const entry of allEntries) {
+    hoursBalance = roundHours(hoursBalance + entry.hours);
+    amountBalance = roundCurrency(amountBalance + entry.amount);
+    if (new Date(entry.date) < start) {
+      opening.hours = hoursBalance;
+      opening.amount = amountBalance;
+      continue;
+    }
+
+    if (entry.type === 'invoice') totals.invoiced = roundCurrency(totals.invoiced + entry.amount);
+    if (entry.type === 'payment') {
+      totals.paid = roundCurrency(totals.paid - entry.amount);
+      totals.hoursPurchased = roundHours(totals.hoursPurchased + entry.hours);
+    }
+    if (entry.type === 'refund' || entry.type === 'credit_note') {
+      totals.refunded = roundCurrency(totals.refunded + (entry.refundAmount || 0));
+      totals.hoursRefunded = roundHours(totals.hoursRefunded - entry.hours);
+    }
+    if (entry.type === 'credit' || entry.type === 'credit_settled') totals.credits = roundCurrency(totals.credits - entry.amount);
+    if (entry.type === 'class') totals.hoursConsumed = roundHours(totals.hoursConsumed - entry.hours);
+    if (entry.type === 'hours_adjustment') totals.hoursAdjusted = roundHours(totals.hoursAdjusted + entry.hours);
+
+    entries.push({
+      ...entry,
+      typeLabel: ENTRY_TYPE_LABELS[entry.type] || entry.type,
+      hoursBalance,
+      amountBalance
+    });
+  }
+
+  return {
+    guardian: {
+      _id: guardian._id,
+      name: [guardian.firstName, guardian.lastName].filter(Boolean).join(' '),
+      email: guardian.email || '',
+      phone: guardian.phone || '',
+      recordedTotalHours: roundHours(guardian.guardianInfo?.totalHours || 0)
+    },
+    currency: guardian.guardianInfo?.billingCurrency || 'USD',
+    period: { from: start, to: end },
+    opening,
+    closing: { hours: hoursBalance, amount: amountBalance },
+    totals,
+    entries,
+    generatedAt: new Date()
+  };
+}
+
+/**
+ * Render a statement to an XLSX buffer.
+ */
+async function exportStatementToExcel(statement) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Waraqa';
+  workbook.created = new Date();
+  const currency = statement.currency || 'USD';
+
+  const sheet = workbook.addWorksheet('Statement');
+  sheet.columns = [
+    { header: 'Date', key: 'date', width: 14 },
+    { header: 'Type', key: 'type', width: 16 },
+    { header: 'Description', key: 'description', width: 48 },
+    { header: 'Reference', key: 'reference', width: 22 },
+    { header: 'Hours', key: 'hours', width: 10 },
+    { header: 'Hours Balance', key: 'hoursBalance', width: 14 },
+    { header: `Amount ${currency}`, key: 'amount', width: 14 },
+    { header: `Balance Due ${currency}`, key: 'amountBalance', width: 16 }
+  ];
+  sheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } };
+  sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+
+  sheet.addRow({
+    date: dayjs(statement.period.from).format('YYYY-MM-DD'),
+    type: 'Opening',
+    description: 'Opening balance',
+    hoursBalance: statement.opening.hours,
+    amountBalance: statement.opening.amount
+  }).font = { italic: true };
+
+  statement.entries.forEach((entry) => {
+    sheet.addRow({
+      date: dayjs(entry.date).format('YYYY-MM-DD'),
+      type: entry.typeLabel,
+      description: entry.description,
+      reference: entry.reference,
+      hours: entry.hours || null,
+      hoursBalance: entry.hoursBalance,
+      amount: entry.refundAmount ? -entry.refundAmount : (entry.amount || null),
+      amountBalance: entry.amountBalance
+    });
+  });
+
+  sheet.addRow({
+    date: dayjs(statement.period.to).format('YYYY-MM-DD'),
+    type: 'Closing',
+    description: 'Closing balance',
+    hoursBalance: statement.closing.hours,
+    amountBalance: statement.closing.amount
+  }).font = { bold: true };
+
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [
+    { header: 'Item', key: 'item', width: 28 },
+    { header: 'Value', key: 'value', width: 18 }
+  ];
+  summary.getRow(1).font = { bold: true };
+  [
+    ['Guardian', statement.guardian.name],
+    ['Period', `${dayjs(statement.period.from).format('YYYY-MM-DD')} → ${dayjs(statement.period.to).format('YYYY-MM-DD')}`],
+    ['Opening hours', statement.opening.hours],
+    ['Hours purchased', statement.totals.hoursPurchased],
+    ['Hours consumed', statement.totals.hoursConsumed],
+    ['Hours refunded', statement.totals.hoursRefunded],
+    ['Manual hour corrections', statement.totals.hoursAdjusted],
+    ['Closing hours', statement.closing.hours],
+    [`Opening balance due (${currency})`, statement.opening.amount],
+    [`Invoiced (${currency})`, statement.totals.invoiced],
+    [`Paid (${currency})`, statement.totals.paid],
+    [`Refunded (${currency})`, statement.totals.refunded],
+    [`Credits (${currency})`, statement.totals.credits],
+    [`Closing balance due (${currency})`, statement.closing.amount]
+  ].forEach(([item, value]) => summary.addRow({ item, value }));
+
+  return workbook.xlsx.writeBuffer();
+}
+
+module.exports = {
+  buildGuardianStatement,
+  exportStatementToExcel
+};
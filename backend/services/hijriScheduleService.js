@@ -0,0 +1,560 @@
+// backend/services/hijriScheduleService.js
+// Hijri-date scheduling rules (models/HijriScheduleRule.js).
+//
+// A rule is defined once on Hijri dates and resolved for every Hijri year with
+// the configured offset (settings.hijriOffsetDays), so "1–3 Shawwal" lands on
+// the right Gregorian days each year and follows later offset corrections.
+//
+// - pause: each resolved window becomes a managed SystemVacation (hijriRule,
+//   hijriYear), so classes are held and restored exactly like a vacation
+//   entered by hand.
+// - shift: scheduled classes starting inside the rule's local time band on
+//   those days move by shiftMinutes. The original start is kept in
+//   Class.hijriShift so the move can be reverted and the series generator
+//   still recognises the slot. Sessions whose time was set explicitly on a
+//   series (extra or individually moved sessions) are left alone.
+//
+// syncRule/syncAllRules reconcile the classes with the rules; they run daily
+// (jobs/hijriScheduleRulesJob.js), after a rule changes and after the offset
+// setting changes. The generator applies both kinds to new occurrences.
+const moment = require('moment-timezone');
+
+const Class = require('../models/Class');
+const HijriScheduleRule = require('../models/HijriScheduleRule');
+const Setting = require('../models/Setting');
+const SystemVacation = require('../models/SystemVacation');
+const systemVacationService = require('./systemVacationService');
+const { DEFAULT_TIMEZONE } = require('../utils/timezoneUtils');
+const { getLocalDayTimeParts } = require('./classTimezoneService');
+const { HIJRI_MONTHS, CALENDAR, toHijri, resolveHijriRange, formatHijriRange } = require('../utils/hijriCalendar');
+
+const HIJRI_OFFSET_KEY = 'hijriOffsetDays';
+// Pause windows become system vacations this many days ahead
+const SYNC_HORIZON_DAYS = 120;
+const TIME_RE = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const invalid = (message) => buildError(400, message, 'INVALID_HIJRI_RULE');
+
+async function loadHijriOffsets() {
+  const setting = await Setting.findOne({ key: HIJRI_OFFSET_KEY }).lean();
+  const value = setting?.value && typeof setting.value === 'object' ? setting.value : {};
+  const defaultOffset = Number(value.default ?? value.defaultOffset ?? 0);
+  const byRegion = {};
+  Object.entries(value.byRegion && typeof value.byRegion === 'object' ? value.byRegion : {}).forEach(([key, offset]) => {
+    const region = String(key || '').trim().toUpperCase();
+    if (region && Number.isFinite(Number(offset))) byRegion[region] = Number(offset);
+  });
+  return { default: Number.isFinite(defaultOffset) ? defaultOffset : 0, byRegion };
+}
+
+const offsetFor = (rule, offsets) => {
+  const region = String(rule?.region || '').toUpperCase();
+  if (region && Object.prototype.hasOwnProperty.call(offsets.byRegion || {}, region)) return offsets.byRegion[region];
+  return offsets.default || 0;
+};
+
+/**
+ * Gregorian window of a rule in one Hijri year.
+ * startDate/endDate are calendar days; start/end bound them in the rule timezone.
+ */
+function resolveRuleWindow(rule, hijriYear, offsets) {
+  const offset = offsetFor(rule, offsets);
+  const { startDate, endDate } = resolveHijriRange(hijriYear, rule.hijriMonth, rule.startDay, rule.endDay, offset);
+  const timezone = rule.timezone || DEFAULT_TIMEZONE;
+  return {
+    hijriYear,
+    label: formatHijriRange(hijriYear, rule.hijriMonth, rule.startDay, rule.endDay),
+    startDate,
+    endDate,
+    start: moment.tz(startDate, timezone).startOf('day').toDate(),
+    end: moment.tz(endDate, timezone).endOf('day').toDate(),
+    offset,
+  };
+}
+
+/** Windows of a rule that overlap [from, to], earliest first */
+function ruleWindowsBetween(rule, from, to, offsets) {
+  const timezone = rule.timezone || DEFAULT_TIMEZONE;
+  const firstYear = toHijri(moment.tz(from, timezone).format('YYYY-MM-DD')).year - 1;
+  const lastYear = toHijri(moment.tz(to, timezone).format('YYYY-MM-DD')).year + 1;
+  const windows = [];
+  for (let year = firstYear; year <= lastYear; year += 1) {
+    const window = resolveRuleWindow(rule, year, offsets);
+    if (window.end >= from && window.start <= to) windows.push(window);
+  }
+  return windows;
+}
+
+/** The current or next window of a rule */
+function nextRuleWindow(rule, offsets, now = new Date()) {
+  const timezone = rule.timezone || DEFAULT_TIMEZONE;
+  const year = toHijri(moment.tz(now, timezone).format('YYYY-MM-DD'), offsetFor(rule, offsets)).year;
+  return [year, year + 1].map((y) => resolveRuleWindow(rule, y, offsets)).find((window) => window.end >= now) || null;
+}
+
+const toInt = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+/**
+ * Validate a rule definition. `current` supplies missing fields on update.
+ */
+function normalizeRuleInput(input = {}, current = {}) {
+  const pick = (key) => (input[key] !== undefined ? input[key] : current[key]);
+
+  const name = String(pick('name') || '').trim();
+  if (!name) throw invalid('Rule name is required');
+  if (name.length > 100) throw invalid('Rule name must be 100 characters or fewer');
+
+  const action = pick('action');
+  if (!HijriScheduleRule.RULE_ACTIONS.includes(action)) throw invalid('Action must be "pause" or "shift"');
+
+  const hijriMonth = toInt(pick('hijriMonth'));
+  if (!Number.isInteger(hijriMonth) || hijriMonth < 1 || hijriMonth > 12) throw invalid('Hijri month must be between 1 and 12');
+
+  const startDay = toInt(pick('startDay')) ?? 1;
+  if (!Number.isInteger(startDay) || startDay < 1 || startDay > 30) throw invalid('Start day must be between 1 and 30');
+  const endDay = toInt(pick('endDay'));
+  if (endDay !== null && (!Number.isInteger(endDay) || endDay < startDay || endDay > 30)) {
+    throw invalid('End day must be between the start day and 30 (leave empty for the end of the month)');
+  }
+
+  const message = String(pick('message') || '').trim();
+  if (message.length > 1000) throw invalid('Message must be 1000 characters or fewer');
+
+  const timezone = String(pick('timezone') || DEFAULT_TIMEZONE).trim();
+  if (!moment.tz.zone(timezone)) throw invalid(`Unknown timezone "${timezone}"`);
+
+  const region = String(pick('region') || '').trim().toUpperCase();
+  if (region && !/^[A-Z]{2,10}$/.test(region)) throw invalid('Region must be a country code such as SA or EG');
+
+  const definition = {
+    name,
+    message,
+    action,
+    hijriMonth,
+    startDay,
+    endDay,
+    timezone,
+    region,
+    isActive: pick('isActive') === undefined ? true : Boolean(pick('isActive')),
+    shiftMinutes: 0,
+    timeBand: { from: '17:00', to: '23:59' },
+  };
+
+  if (action === 'shift') {
+    const shiftMinutes = toInt(pick('shiftMinutes'));
+    if (!Number.isInteger(shiftMinutes) || shiftMinutes === 0 || Math.abs(shiftMinutes) > 720) {
+      throw invalid('Shift must be a whole number of minutes between -720 and 720, not 0');
+    }
+    const band = { ...(current.timeBand || {}), ...(input.timeBand || {}) };
+    const from = String(band.from || '').trim();
+    const to = String(band.to || '').trim();
+    if (!TIME_RE.test(from) || !TIME_RE.test(to)) throw invalid('Time band must use HH:mm times');
+    if (from === to) throw invalid('Time band start and end must differ');
+    definition.shiftMinutes = shiftMinutes;
+    definition.timeBand = { from, to };
+  }
+
+  return definition;
+}
+
+// from > to wraps past midnight (e.g. 20:00–02:00)
+const inTimeBand = (time, band) => (
+  band.from <= band.to ? time >= band.from && time <= band.to : time >= band.from || time <= band.to
+);
+
+/**
+ * The shift that applies to a class starting at `start` (local day and time
+ * in `timezone`), or null. `shiftWindows` comes from getShiftWindows.
+ */
+function matchShift(start, timezone, shiftWindows) {
+  if (!start || !shiftWindows?.length) return null;
+  const local = moment.tz(start, timezone || DEFAULT_TIMEZONE);
+  const date = local.format('YYYY-MM-DD');
+  const time = local.format('HH:mm');
+  const hit = shiftWindows.find(({ rule, window }) => (
+    date >= window.startDate && date <= window.endDate && inTimeBand(time, rule.timeBand || {})
+  ));
+  return hit ? { rule: hit.rule, window: hit.window, minutes: hit.rule.shiftMinutes } : null;
+}
+
+function buildShiftWindows(rules, from, to, offsets) {
+  return rules.flatMap((rule) => ruleWindowsBetween(rule, from, to, offsets).map((window) => ({ rule, window })));
+}
+
+/** Active shift rules resolved for [from, to], as { rule, window } pairs */
+async function getShiftWindows(from, to) {
+  const rules = await HijriScheduleRule.find({ isActive: true, action: 'shift' }).lean();
+  if (!rules.length) return [];
+  return buildShiftWindows(rules, from, to, await loadHijriOffsets());
+}
+
+/** Fields that move a class by a matched shift */
+function buildShiftUpdate(classDoc, match) {
+  const original = new Date(classDoc.scheduledDate);
+  const scheduledDate = new Date(original.getTime() + match.minutes * 60000);
+  const set = {
+    scheduledDate,
+    hijriShift: {
+      rule: match.rule._id,
+      hijriYear: match.window.hijriYear,
+      minutes: match.minutes,
+      originalScheduledDate: original,
+    },
+  };
+  if (Number.isFinite(Number(classDoc.duration))) {
+    set.endsAt = new Date(scheduledDate.getTime() + Number(classDoc.duration) * 60000);
+  }
+  // Keep the DST anchor on the new local time so timezone jobs don't move it back
+  if (classDoc.timeAnchor?.timezone) {
+    const parts = getLocalDayTimeParts(scheduledDate, classDoc.timeAnchor.timezone);
+    if (parts) {
+      set['timeAnchor.localTime'] = parts.localTime;
+      set['timeAnchor.dayOfWeek'] = parts.dayOfWeek;
+    }
+  }
+  return set;
+}
+
+// Local 'YYYY-MM-DDTHH:mm' slots set explicitly on the given series (RDATEs)
+async function loadExplicitSeriesSlots(patternIds) {
+  const ids = Array.from(new Set(patternIds.filter(Boolean).map(String)));
+  if (!ids.length) return new Map();
+  const patterns = await Class.find({ _id: { $in: ids } }).select('_id recurrence.rdates').lean();
+  return new Map(patterns.map((p) => [
+    String(p._id),
+    new Set((p.recurrence?.rdates || []).map((entry) => `${entry.date}T${entry.time}`)),
+  ]));
+}
+
+const isExplicitSeriesSlot = (cls, explicitSlots) => {
+  const slots = explicitSlots.get(String(cls.parentRecurringClass || ''));
+  if (!slots?.size) return false;
+  return slots.has(moment.tz(cls.scheduledDate, cls.timezone || DEFAULT_TIMEZONE).format('YYYY-MM-DD[T]HH:mm'));
+};
+
+const IMPACT_FIELDS = '_id scheduledDate duration subject teacher student status timezone timeAnchor parentRecurringClass hijriShift';
+
+/**
+ * Classes a shift rule window moves: { pending } still at their original time,
+ * { applied } already moved by this rule for this year.
+ */
+async function findShiftCandidates(rule, window, { now = new Date(), populate = false } = {}) {
+  // Class-local days can be up to ~14h either side of the rule timezone's day
+  const from = new Date(Math.max(now.getTime(), window.start.getTime() - 86400000));
+  const to = new Date(window.end.getTime() + 86400000);
+  let query = Class.find({
+    scheduledDate: { $gte: from, $lte: to },
+    status: 'scheduled',
+    'hijriShift.rule': null,
+  }).select(IMPACT_FIELDS).sort({ scheduledDate: 1 });
+  if (populate) query = query.populate('teacher', 'firstName lastName fullName email');
+  const classes = await query.lean();
+
+  const explicitSlots = await loadExplicitSeriesSlots(classes.map((cls) => cls.parentRecurringClass));
+  const windows = [{ rule, window }];
+  const pending = classes
+    .filter((cls) => !isExplicitSeriesSlot(cls, explicitSlots))
+    .map((cls) => ({ cls, match: matchShift(cls.scheduledDate, cls.timezone, windows) }))
+    .filter(({ match }) => match);
+
+  let appliedQuery = rule._id
+    ? Class.find({
+      'hijriShift.rule': rule._id,
+      'hijriShift.hijriYear': window.hijriYear,
+      scheduledDate: { $gte: now },
+    }).select(IMPACT_FIELDS).sort({ scheduledDate: 1 })
+    : null;
+  if (appliedQuery && populate) appliedQuery = appliedQuery.populate('teacher', 'firstName lastName fullName email');
+  const applied = appliedQuery ? await appliedQuery.lean() : [];
+
+  return { pending, applied };
+}
+
+const pauseImpactQuery = (window) => ({
+  scheduledDate: { $gte: window.start, $lte: window.end },
+  status: { $in: ['scheduled', 'in_progress', 'on_hold'] },
+});
+
+/**
+ * Classes affected by a rule in one window, grouped per student like the
+ * system vacation impact. Shifted classes carry shiftedTo (or
+ * originalScheduledDate when the shift is already applied).
+ */
+async function buildRuleImpact(rule, window, { now = new Date() } = {}) {
+  if (rule.action === 'pause') {
+    const classes = await Class.find(pauseImpactQuery(window))
+      .populate('teacher', 'firstName lastName fullName email')
+      .select(IMPACT_FIELDS)
+      .sort({ scheduledDate: 1 })
+      .lean();
+    const vacation = rule._id
+      ? await SystemVacation.findOne({ hijriRule: rule._id, hijriYear: window.hijriYear }).lean()
+      : null;
+    const conflict = vacation ? null : await systemVacationService.getOverlappingSystemVacation(window.start, window.end);
+    return {
+      impact: systemVacationService.summarizeClassImpact(classes),
+      vacation,
+      conflict: conflict ? { _id: conflict._id, name: conflict.name, startDate: conflict.startDate, endDate: conflict.endDate } : null,
+    };
+  }
+
+  const { pending, applied } = await findShiftCandidates(rule, window, { now, populate: true });
+  const classes = [
+    ...pending.map(({ cls, match }) => ({ ...cls, shiftedTo: new Date(new Date(cls.scheduledDate).getTime() + match.minutes * 60000) })),
+    ...applied.map((cls) => ({ ...cls, alreadyShifted: true })),
+  ].sort((a, b) => new Date(a.scheduledDate) - new Date(b.scheduledDate));
+  return {
+    impact: systemVacationService.summarizeClassImpact(classes, (cls) => (cls.alreadyShifted
+      ? { alreadyShifted: true, originalScheduledDate: cls.hijriShift?.originalScheduledDate || null }
+      : { shiftedTo: cls.shiftedTo })),
+    vacation: null,
+    conflict: null,
+  };
+}
+
+/**
+ * Preview a saved rule or a draft definition for one Hijri year (default:
+ * the current or next window). Nothing is changed.
+ */
+async function previewRule(ruleOrInput, { hijriYear, now = new Date() } = {}) {
+  const rule = ruleOrInput?._id ? ruleOrInput : normalizeRuleInput(ruleOrInput);
+  const offsets = await loadHijriOffsets();
+  const year = toInt(hijriYear);
+  if (year !== null && (!Number.isInteger(year) || year < 1300 || year > 1600)) throw invalid('Hijri year must be between 1300 and 1600');
+  const window = year !== null ? resolveRuleWindow(rule, year, offsets) : nextRuleWindow(rule, offsets, now);
+  const result = await buildRuleImpact(rule, window, { now });
+  return { rule, window, calendar: CALENDAR, ...result };
+}
+
+const vacationName = (rule, window) => `${rule.name} ${window.hijriYear} AH`.slice(0, 100);
+const vacationMessage = (rule, window) => rule.message || `Classes are paused for ${window.label}.`;
+
+async function syncPauseWindow(rule, window, summary) {
+  const existing = await SystemVacation.findOne({ hijriRule: rule._id, hijriYear: window.hijriYear });
+  if (existing) {
+    // Ended early by an admin: leave it ended
+    if (!existing.isActive) return;
+    const moved = existing.startDate.getTime() !== window.start.getTime() || existing.endDate.getTime() !== window.end.getTime();
+    existing.name = vacationName(rule, window);
+    existing.message = vacationMessage(rule, window);
+    existing.timezone = rule.timezone;
+    if (moved) {
+      existing.startDate = window.start;
+      existing.endDate = window.end;
+    }
+    await existing.save();
+    if (moved) {
+      await systemVacationService.restoreClassesAfterSystemVacation(existing._id);
+      await systemVacationService.putClassesOnHold(existing);
+      summary.vacationsUpdated += 1;
+    }
+    return;
+  }
+
+  const overlapping = await systemVacationService.getOverlappingSystemVacation(window.start, window.end);
+  if (overlapping) {
+    summary.notes.push(`${window.label} overlaps the system vacation "${overlapping.name}"; not paused automatically.`);
+    return;
+  }
+  await systemVacationService.createSystemVacation({
+    name: vacationName(rule, window),
+    message: vacationMessage(rule, window),
+    startDate: window.start,
+    endDate: window.end,
+    timezone: rule.timezone,
+    createdBy: rule.createdBy,
+    hijriRule: rule._id,
+    hijriYear: window.hijriYear,
+  });
+  summary.vacationsCreated += 1;
+}
+
+async function revertShiftedClass(cls) {
+  const { originalScheduledDate, minutes } = cls.hijriShift || {};
+  const untouched = originalScheduledDate
+    && new Date(cls.scheduledDate).getTime() === new Date(originalScheduledDate).getTime() + Number(minutes) * 60000;
+  if (!untouched || cls.status !== 'scheduled') {
+    // Moved or settled since: keep the class where it is, just forget the shift
+    await Class.updateOne({ _id: cls._id }, { $unset: { hijriShift: 1 } });
+    return false;
+  }
+  const set = { scheduledDate: new Date(originalScheduledDate) };
+  if (Number.isFinite(Number(cls.duration))) set.endsAt = new Date(set.scheduledDate.getTime() + Number(cls.duration) * 60000);
+  if (cls.timeAnchor?.timezone) {
+    const parts = getLocalDayTimeParts(set.scheduledDate, cls.timeAnchor.timezone);
+    if (parts) {
+      set['timeAnchor.localTime'] = parts.localTime;
+      set['timeAnchor.dayOfWeek'] = parts.dayOfWeek;
+    }
+  }
+  await Class.updateOne({ _id: cls._id }, { $set: set, $unset: { hijriShift: 1 } });
+  return true;
+}
+
+async function syncShiftWindows(rule, windows, now, summary) {
+  // Shifts whose window moved away (offset changed) are undone first
+  const shifted = await Class.find({ 'hijriShift.rule': rule._id, scheduledDate: { $gte: now } })
+    .select(IMPACT_FIELDS).lean();
+  const ruleWindows = windows.map((window) => ({ rule, window }));
+  for (const cls of shifted) {
+    const match = matchShift(cls.hijriShift?.originalScheduledDate, cls.timezone, ruleWindows);
+    if (match && match.minutes === cls.hijriShift.minutes && match.window.hijriYear === cls.hijriShift.hijriYear) continue;
+    if (await revertShiftedClass(cls)) summary.classesReverted += 1;
+  }
+
+  for (const window of windows) {
+    const { pending } = await findShiftCandidates(rule, window, { now });
+    for (const { cls, match } of pending) {
+      const result = await Class.updateOne(
+        { _id: cls._id, status: 'scheduled', scheduledDate: cls.scheduledDate, 'hijriShift.rule': null },
+        { $set: buildShiftUpdate(cls, match) },
+      );
+      if (result.modifiedCount) summary.classesShifted += 1;
+    }
+  }
+}
+
+const emptySummary = (rule) => ({
+  ruleId: rule._id,
+  vacationsCreated: 0,
+  vacationsUpdated: 0,
+  vacationsRemoved: 0,
+  classesShifted: 0,
+  classesReverted: 0,
+  notes: [],
+});
+
+/**
+ * Undo everything a rule did to upcoming classes: its future managed
+ * vacations are removed (a running one is ended) and shifted classes go back.
+ */
+async function revertRule(rule, { now = new Date(), actorId = null } = {}) {
+  const summary = emptySummary(rule);
+  const vacations = await SystemVacation.find({ hijriRule: rule._id, isActive: true, endDate: { $gte: now } });
+  for (const vacation of vacations) {
+    if (vacation.startDate > now) {
+      await systemVacationService.restoreClassesAfterSystemVacation(vacation._id);
+      await SystemVacation.deleteOne({ _id: vacation._id });
+    } else {
+      await systemVacationService.endSystemVacation(vacation._id, actorId || rule.createdBy);
+    }
+    summary.vacationsRemoved += 1;
+  }
+
+  const shifted = await Class.find({ 'hijriShift.rule': rule._id, scheduledDate: { $gte: now } })
+    .select(IMPACT_FIELDS).lean();
+  for (const cls of shifted) {
+    if (await revertShiftedClass(cls)) summary.classesReverted += 1;
+  }
+  return summary;
+}
+
+/**
+ * Bring upcoming classes in line with one rule for the next SYNC_HORIZON_DAYS.
+ */
+async function syncRule(rule, { now = new Date(), offsets } = {}) {
+  if (!rule.isActive) return revertRule(rule, { now });
+  const resolvedOffsets = offsets || await loadHijriOffsets();
+  const horizon = new Date(now.getTime() + SYNC_HORIZON_DAYS * 86400000);
+  const windows = ruleWindowsBetween(rule, now, horizon, resolvedOffsets);
+  const summary = emptySummary(rule);
+
+  if (rule.action === 'pause') {
+    for (const window of windows) {
+      await syncPauseWindow(rule, window, summary);
+    }
+  } else {
+    await syncShiftWindows(rule, windows, now, summary);
+  }
+
+  await HijriScheduleRule.updateOne({ _id: rule._id }, {
+    $set: { lastSyncedAt: new Date(), lastSyncNote: summary.notes.join(' ') },
+  });
+  return summary;
+}
+
+/** Sync every rule (daily job, and after the Hijri offset changes) */
+async function syncAllRules({ now = new Date() } = {}) {
+  const rules = await HijriScheduleRule.find({}).sort({ createdAt: 1 });
+  const offsets = await loadHijriOffsets();
+  const totals = { rules: rules.length, vacationsCreated: 0, vacationsUpdated: 0, classesShifted: 0, classesReverted: 0, failed: 0 };
+  for (const rule of rules) {
+    try {
+      // Inactive rules were reverted when they were switched off
+      if (!rule.isActive) continue;
+      const summary = await syncRule(rule, { now, offsets });
+      totals.vacationsCreated += summary.vacationsCreated;
+      totals.vacationsUpdated += summary.vacationsUpdated;
+      totals.classesShifted += summary.classesShifted;
+      totals.classesReverted += summary.classesReverted;
+    } catch (err) {
+      totals.failed += 1;
+      console.error('Hijri rule sync failed for', String(rule._id), err && err.message);
+    }
+  }
+  return totals;
+}
+
+/** Rules with their current or next window, for the admin list */
+async function listRules({ now = new Date() } = {}) {
+  const [rules, offsets] = await Promise.all([
+    HijriScheduleRule.find({}).populate('createdBy', 'firstName lastName email').sort({ hijriMonth: 1, startDay: 1 }).lean(),
+    loadHijriOffsets(),
+  ]);
+  return rules.map((rule) => ({ ...rule, nextWindow: nextRuleWindow(rule, offsets, now) }));
+}
+
+async function createRule(input, actor) {
+  const definition = normalizeRuleInput(input);
+  const rule = await HijriScheduleRule.create({ ...definition, createdBy: actor._id });
+  const sync = await syncRule(rule);
+  return { rule, sync };
+}
+
+async function updateRule(ruleId, input, actor) {
+  const rule = await HijriScheduleRule.findById(ruleId);
+  if (!rule) throw buildError(404, 'Hijri rule not found', 'HIJRI_RULE_NOT_FOUND');
+  const definition = normalizeRuleInput(input, rule.toObject());
+  // Undo the old definition's effects, then apply the new one
+  await revertRule(rule, { actorId: actor._id });
+  Object.assign(rule, definition, { updatedBy: actor._id });
+  await rule.save();
+  const sync = await syncRule(rule);
+  return { rule, sync };
+}
+
+async function deleteRule(ruleId, actor) {
+  const rule = await HijriScheduleRule.findById(ruleId);
+  if (!rule) throw buildError(404, 'Hijri rule not found', 'HIJRI_RULE_NOT_FOUND');
+  const summary = await revertRule(rule, { actorId: actor._id });
+  await HijriScheduleRule.deleteOne({ _id: rule._id });
+  return summary;
+}
+
+module.exports = {
+  HIJRI_MONTHS,
+  SYNC_HORIZON_DAYS,
+  loadHijriOffsets,
+  resolveRuleWindow,
+  ruleWindowsBetween,
+  nextRuleWindow,
+  normalizeRuleInput,
+  matchShift,
+  buildShiftWindows,
+  getShiftWindows,
+  previewRule,
+  syncRule,
+  syncAllRules,
+  revertRule,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+};
@@ -0,0 +1,417 @@
+// backend/services/installmentService.js
+// Installment plans split an open guardian invoice into dated installments.
+// Payments on a plan invoice are routed by InvoiceService.processInvoicePayment
+// to InvoiceService.processInstallmentPayment, which settles whole installments
+// (applyPaymentToPlan below), logs each payment with the installment hours and
+// releases those hours: guardianHoursService and the PaymentLink credit pool
+// count a plan invoice's paid installments before the invoice itself is paid.
+// The invoice's dueDate moves to the last installment so dunning only starts
+// once the whole schedule is late; earlier installments are reminded from
+// jobs/paymentReminderJob via sendInstallmentReminders().
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const { shouldSendEmail } = require('../utils/emailPreferenceCheck');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['draft', 'pending', 'sent', 'overdue'];
+const MIN_INSTALLMENTS = 2;
+const MAX_INSTALLMENTS = 12;
+const AMOUNT_TOLERANCE = 0.01;
+const UPCOMING_REMINDER_DAYS = 3;
+const OVERDUE_REMINDER_INTERVAL_DAYS = 3;
+const MAX_OVERDUE_REMINDERS = 3;
+
+const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const roundHours = (value) => Math.round((Number(value) || 0) * 1000) / 1000;
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const isPlanActive = (invoice) => Boolean(invoice?.installmentPlan?.active);
+
+const sortedInstallments = (invoice) => [...(invoice?.installmentPlan?.installments || [])]
+  .sort((a, b) => (a.sequence || 0) - (b.sequence || 0));
+
+/**
+ * Pending installments with the amount each one actually settles. The last
+ * one absorbs any drift between the stored schedule and the invoice balance
+ * (totals can still move until the first installment is paid).
+ */
+function pendingSchedule(invoice) {
+  const pending = sortedInstallments(invoice).filter((inst) => inst.status !== 'paid');
+  if (!pending.length) return [];
+  const due = typeof invoice.getDueAmount === 'function'
+    ? roundCurrency(invoice.getDueAmount())
+    : roundCurrency(Math.max(0, Number(invoice.adjustedTotal || invoice.total || 0) - Number(invoice.paidAmount || 0)));
+  let allocated = 0;
+  return pending.map((installment, idx) => {
+    const isLast = idx === pending.length - 1;
+    const amount = isLast ? roundCurrency(Math.max(0, due - allocated)) : roundCurrency(installment.amount);
+    allocated = roundCurrency(allocated + amount);
+    return { installment, amount, hours: roundHours(installment.hours) };
+  });
+}
+
+function nextPendingInstallment(invoice) {
+  if (!isPlanActive(invoice)) return null;
+  return pendingSchedule(invoice)[0] || null;
+}
+
+function releasedHours(invoice) {
+  return roundHours(sortedInstallments(invoice)
+    .filter((inst) => inst.status === 'paid')
+    .reduce((sum, inst) => sum + (Number(inst.hours) || 0), 0));
+}
+
+/**
+ * Build the schedule: either explicit [{ dueDate, amount }] rows that add up to
+ * the balance, or { count, firstDueDate, intervalDays } split evenly (the last
+ * installment takes the rounding). Hours follow the amounts proportionally.
+ */
+function buildSchedule({ dueAmount, totalHours, count, firstDueDate, intervalDays = 30, installments }) {
+  let rows;
+  if (Array.isArray(installments) && installments.length) {
+    rows = installments.map((row) => ({ dueDate: startOfDay(row.dueDate), amount: roundCurrency(row.amount) }));
+    if (rows.some((row) => !row.dueDate)) throw buildError(400, 'Every installment needs a valid due date', 'INSTALLMENT_DATE_INVALID');
+    if (rows.some((row) => !(row.amount > 0))) throw buildError(400, 'Every installment needs an amount above zero', 'INSTALLMENT_AMOUNT_INVALID');
+    const sum = roundCurrency(rows.reduce((acc, row) => acc + row.amount, 0));
+    if (Math.abs(sum - dueAmount) > AMOUNT_TOLERANCE) {
+      throw buildError(400, `Installments add up to ${sum.toFixed(2)} but the balance due is ${dueAmount.toFixed(2)}`, 'INSTALLMENT_TOTAL_MISMATCH');
+    }
+  } else {
+    const n = Math.floor(Number(count));
+    const first = startOfDay(firstDueDate || new Date());
+    const interval = Math.floor(Number(intervalDays));
+    if (!first) throw buildError(400, 'First due date is invalid', 'INSTALLMENT_DATE_INVALID');
+    if (!Number.isFinite(interval) || interval < 1) throw buildError(400, 'Interval must be at least one day', 'INSTALLMENT_INTERVAL_INVALID');
+    const base = roundCurrency(Math.floor((dueAmount / n) * 100) / 100);
+    rows = Array.from({ length: n }, (_, idx) => ({
+      dueDate: new Date(first.getTime() + idx * interval * DAY_MS),
+      amount: idx === n - 1 ? roundCurrency(dueAmount - base * (n - 1)) : base
+    }));
+  }
+
+  if (rows.length < MIN_INSTALLMENTS || rows.length > MAX_INSTALLMENTS) {
+    throw buildError(400, `A plan needs between ${MIN_INSTALLMENTS} and ${MAX_INSTALLMENTS} installments`, 'INSTALLMENT_COUNT_INVALID');
+  }
+  rows.sort((a, b) => a.dueDate - b.dueDate);
+
+  let hoursAllocated = 0;
+  return rows.map((row, idx) => {
+    const isLast = idx === rows.length - 1;
+    const hours = isLast
+      ? roundHours(totalHours - hoursAllocated)
+      : roundHours(totalHours * (row.amount / dueAmount));
+    hoursAllocated = roundHours(hoursAllocated + hours);
+    return { sequence: idx + 1, dueDate: row.dueDate, amount: row.amount, hours, status: 'pending' };
+  });
+}
+
+const loadInvoice = async (invoiceId) => {
+  if (!mongoose.Types.ObjectId.isValid(invoiceId)) throw buildError(400, 'Invalid invoice id', 'INVALID_ID');
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice || invoice.deleted) throw buildError(404, 'Invoice not found', 'INVOICE_NOT_FOUND');
+  return invoice;
+};
+
+async function createPlan(invoiceId, options = {}, actorId) {
+  const InvoiceService = require('./invoiceService');
+  const invoice = await loadInvoice(invoiceId);
+  if (invoice.type !== 'guardian_invoice') throw buildError(400, 'Installment plans are for guardian invoices only', 'INSTALLMENT_INVOICE_TYPE');
+  if (!OPEN_STATUSES.includes(invoice.status)) throw buildError(400, `A ${invoice.status} invoice cannot be put on a plan`, 'INSTALLMENT_INVOICE_CLOSED');
+  if (isPlanActive(invoice)) throw buildError(409, 'Invoice already has an installment plan', 'INSTALLMENT_PLAN_EXISTS');
+  if (roundCurrency(invoice.paidAmount) > 0) {
+    throw buildError(400, 'Invoice already has payments recorded; plans must start from an unpaid invoice', 'INSTALLMENT_INVOICE_PAID');
+  }
+
+  const quote = InvoiceService.buildPaymentQuote(invoice);
+  if (!quote) throw buildError(400, 'Invoice has no balance to split', 'INSTALLMENT_NOTHING_DUE');
+
+  const installments = buildSchedule({
+    dueAmount: quote.amount,
+    totalHours: quote.paidHours,
+    count: options.count,
+    firstDueDate: options.firstDueDate,
+    intervalDays: options.intervalDays,
+    installments: options.installments
+  });
+
+  invoice.installmentPlan = {
+    active: true,
+    installments,
+    note: options.note ? String(options.note).trim() : undefined,
+    originalDueDate: invoice.dueDate,
+    createdAt: new Date(),
+    createdBy: actorId || undefined
+  };
+  invoice.dueDate = installments[installments.length - 1].dueDate;
+  invoice.updatedBy = actorId || invoice.updatedBy;
+  invoice.pushActivity({
+    actor: actorId,
+    action: 'update',
+    note: `Installment plan: ${installments.length} installments`,
+    diff: { installments: installments.length, amount: quote.amount }
+  });
+  await invoice.recordAuditEntry({
+    actor: actorId,
+    action: 'installment_plan_created',
+    diff: { installments: installments.map(({ sequence, dueDate, amount, hours }) => ({ sequence, dueDate, amount, hours })) },
+    meta: { note: invoice.installmentPlan.note || null, originalDueDate: invoice.installmentPlan.originalDueDate || null }
+  });
+  await invoice.save();
+  return invoice;
+}
+
+/**
+ * Cancel a plan that has not collected anything yet; the invoice gets its
+ * original due date back.
+ */
+async function cancelPlan(invoiceId, actorId) {
+  const invoice = await loadInvoice(invoiceId);
+  if (!isPlanActive(invoice)) throw buildError(400, 'Invoice has no active installment plan', 'INSTALLMENT_PLAN_MISSING');
+  if (sortedInstallments(invoice).some((inst) => inst.status === 'paid')) {
+    throw buildError(400, 'Installments were already paid; record the remaining installments instead', 'INSTALLMENT_PLAN_STARTED');
+  }
+
+  invoice.installmentPlan.active = false;
+  invoice.installmentPlan.cancelledAt = new Date();
+  invoice.installmentPlan.cancelledBy = actorId || undefined;
+  if (invoice.installmentPlan.originalDueDate) invoice.dueDate = invoice.installmentPlan.originalDueDate;
+  invoice.markModified('installmentPlan');
+  invoice.updatedBy = actorId || invoice.updatedBy;
+  invoice.pushActivity({ actor: actorId, action: 'update', note: 'Installment plan cancelled' });
+  await invoice.recordAuditEntry({ actor: actorId, action: 'installment_plan_cancelled', diff: null, meta: null });
+  await invoice.save();
+  return invoice;
+}
+
+/**
+ * Mark the installments a payment settles. The amount has to cover whole
+ * installments in order (one, or several at once); the caller saves.
+ * Returns { installments, hours, settlesPlan }.
+ */
+function applyPaymentToPlan(invoice, amount, { paidAt, paymentMethod, transactionId } = {}) {
+  const schedule = pendingSchedule(invoice);
+  if (!schedule.length) throw buildError(400, 'All installments are already paid', 'INSTALLMENT_PLAN_SETTLED');
+
+  const paid = roundCurrency(amount);
+  let cumulative = 0;
+  let coveredCount = 0;
+  for (const entry of schedule) {
+    cumulative = roundCurrency(cumulative + entry.amount);
+    coveredCount += 1;
+    if (Math.abs(cumulative - paid) <= AMOUNT_TOLERANCE) break;
+    if (cumulative > paid) {
+      coveredCount = 0;
+      break;
+    }
+  }
+  if (!coveredCount || Math.abs(cumulative - paid) > AMOUNT_TOLERANCE) {
+    const next = schedule[0];
+    throw buildError(
+      400,
+      `Payment of ${paid.toFixed(2)} does not match installment #${next.installment.sequence} (${next.amount.toFixed(2)}) or a run of consecutive installments`,
+      'INSTALLMENT_AMOUNT_MISMATCH'
+    );
+  }
+
+  const when = paidAt ? new Date(paidAt) : new Date();
+  const covered = schedule.slice(0, coveredCount);
+  covered.forEach(({ installment, amount: settled }) => {
+    installment.status = 'paid';
+    installment.paidAmount = settled;
+    installment.paidAt = when;
+    installment.paymentMethod = paymentMethod || undefined;
+    installment.transactionId = transactionId || undefined;
+  });
+  const settlesPlan = coveredCount === schedule.length;
+  if (settlesPlan) invoice.installmentPlan.completedAt = when;
+  invoice.markModified('installmentPlan');
+
+  return {
+    installments: covered.map(({ installment }) => installment),
+    hours: roundHours(covered.reduce((sum, entry) => sum + entry.hours, 0)),
+    settlesPlan
+  };
+}
+
+/**
+ * Plan view for the admin modal and the public invoice page.
+ */
+function summarizePlan(invoice, now = new Date()) {
+  const plan = invoice?.installmentPlan;
+  if (!plan || (!plan.active && !plan.completedAt)) return null;
+  const today = startOfDay(now);
+  const effective = new Map(pendingSchedule(invoice).map((entry) => [String(entry.installment._id), entry.amount]));
+  const installments = sortedInstallments(invoice).map((inst) => {
+    const isPaid = inst.status === 'paid';
+    const dueDay = startOfDay(inst.dueDate);
+    const daysOverdue = !isPaid && dueDay && dueDay < today ? Math.round((today - dueDay) / DAY_MS) : 0;
+    return {
+      _id: inst._id,
+      sequence: inst.sequence,
+      dueDate: inst.dueDate,
+      amount: isPaid ? roundCurrency(inst.paidAmount || inst.amount) : (effective.get(String(inst._id)) ?? roundCurrency(inst.amount)),
+      hours: roundHours(inst.hours),
+      status: isPaid ? 'paid' : (daysOverdue > 0 ? 'overdue' : 'pending'),
+      daysOverdue,
+      paidAt: inst.paidAt || null
+    };
+  });
+  const next = installments.find((inst) => inst.status !== 'paid') || null;
+  return {
+    active: Boolean(plan.active),
+    createdAt: plan.createdAt,
+    completedAt: plan.completedAt || null,
+    note: plan.note || null,
+    installments,
+    paidCount: installments.filter((inst) => inst.status === 'paid').length,
+    totalCount: installments.length,
+    releasedHours: releasedHours(invoice),
+    totalHours: roundHours(installments.reduce((sum, inst) => sum + inst.hours, 0)),
+    paidAmount: roundCurrency(installments.filter((inst) => inst.status === 'paid').reduce((sum, inst) => sum + inst.amount, 0)),
+    remainingAmount: roundCurrency(installments.filter((inst) => inst.status !== 'paid').reduce((sum, inst) => sum + inst.amount, 0)),
+    nextInstallment: next,
+    currency: invoice.currency || 'USD'
+  };
+}
+
+const publicInvoiceLink = (invoice) => (invoice.invoiceSlug
+  ? `${emailService.resolvePublicAppBaseUrl()}/public/invoices/${invoice.invoiceSlug}`
+  : null);
+
+async function sendReminder(invoice, guardian, entry, { kind, daysOverdue }) {
+  const { installment, amount } = entry;
+  const total = invoice.installmentPlan.installments.length;
+  const label = `installment ${installment.sequence} of ${total}`;
+  const channels = [];
+
+  if (guardian.email && await shouldSendEmail(guardian._id, 'paymentReminder')) {
+    const branding = await emailService.loadBrandingAndLogo();
+    const tpl = emailService.buildGuardianInstallmentReminderEmail({
+      guardian,
+      invoice: invoice.toObject(),
+      installment: { sequence: installment.sequence, total, dueDate: installment.dueDate, amount },
+      daysOverdue,
+      branding
+    });
+    await emailService.enqueueEmail({
+      to: guardian.email,
+      subject: tpl.subject,
+      html: tpl.html,
+      text: tpl.text,
+      type: 'paymentReminder',
+      userId: guardian._id,
+      relatedId: invoice._id,
+      priority: 2
+    });
+    invoice.recordDelivery({
+      channel: 'email',
+      status: 'sent',
+      templateId: `installment:${installment.sequence}:${kind}`,
+      meta: { installment: installment.sequence, kind, to: guardian.email },
+      note: `Reminder for ${label} emailed`
+    });
+    channels.push('email');
+  }
+
+  await notificationService.createNotification({
+    userId: guardian._id,
+    title: kind === 'overdue' ? 'Installment overdue' : 'Installment due soon',
+    message: kind === 'overdue'
+      ? `Invoice ${invoice.invoiceNumber || ''}: ${label} (${amount.toFixed(2)} ${invoice.currency || 'USD'}) is ${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue.`
+      : `Invoice ${invoice.invoiceNumber || ''}: ${label} (${amount.toFixed(2)} ${invoice.currency || 'USD'}) is due on ${new Date(installment.dueDate).toLocaleDateString()}.`,
+    type: 'invoice',
+    relatedTo: 'invoice',
+    relatedId: invoice._id,
+    actionLink: publicInvoiceLink(invoice) || undefined
+  });
+  channels.push('in_app');
+  return channels;
+}
+
+/**
+ * Remind guardians about the next open installment of each plan: once when it
+ * is due within UPCOMING_REMINDER_DAYS, then every OVERDUE_REMINDER_INTERVAL_DAYS
+ * while it is overdue (at most MAX_OVERDUE_REMINDERS times).
+ */
+async function sendInstallmentReminders({ now = new Date(), limit = 500 } = {}) {
+  const summary = { checked: 0, upcoming: 0, overdue: 0, errors: 0 };
+  const invoices = await Invoice.find({
+    type: 'guardian_invoice',
+    deleted: { $ne: true },
+    status: { $in: OPEN_STATUSES },
+    'installmentPlan.active': true,
+    'installmentPlan.installments': {
+      $elemMatch: { status: 'pending', dueDate: { $lte: new Date(now.getTime() + UPCOMING_REMINDER_DAYS * DAY_MS) } }
+    }
+  })
+    .limit(limit)
+    .populate('guardian', 'firstName lastName email timezone guardianInfo.epithet');
+
+  const today = startOfDay(now);
+  for (const invoice of invoices) {
+    const guardian = invoice.guardian;
+    const entry = nextPendingInstallment(invoice);
+    if (!guardian || !entry) continue;
+    summary.checked += 1;
+
+    const { installment } = entry;
+    const dueDay = startOfDay(installment.dueDate);
+    const daysOverdue = dueDay < today ? Math.round((today - dueDay) / DAY_MS) : 0;
+    let kind = null;
+    if (daysOverdue > 0) {
+      const last = installment.lastOverdueReminderAt ? new Date(installment.lastOverdueReminderAt) : null;
+      const intervalPassed = !last || now - last >= OVERDUE_REMINDER_INTERVAL_DAYS * DAY_MS;
+      if (intervalPassed && (installment.overdueReminderCount || 0) < MAX_OVERDUE_REMINDERS) kind = 'overdue';
+    } else if (!installment.upcomingReminderSentAt) {
+      kind = 'upcoming';
+    }
+    if (!kind) continue;
+
+    try {
+      await sendReminder(invoice, guardian, entry, { kind, daysOverdue });
+      if (kind === 'overdue') {
+        installment.lastOverdueReminderAt = now;
+        installment.overdueReminderCount = (installment.overdueReminderCount || 0) + 1;
+        summary.overdue += 1;
+      } else {
+        installment.upcomingReminderSentAt = now;
+        summary.upcoming += 1;
+      }
+      invoice.markModified('installmentPlan');
+      invoice._skipRecalculate = true;
+      await invoice.save();
+    } catch (err) {
+      summary.errors += 1;
+      console.error(`[Installments] Failed to remind invoice ${invoice._id}:`, err.message);
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  isPlanActive,
+  pendingSchedule,
+  nextPendingInstallment,
+  releasedHours,
+  buildSchedule,
+  createPlan,
+  cancelPlan,
+  applyPaymentToPlan,
+  summarizePlan,
+  sendInstallmentReminders
+};
@@ -57,6 +57,159 @@ class InvoicePDFService {
     return doc;
   }
 
+  /**
+   * Generate PDF for a guardian account statement
+   * @param {Object} statement - Result of guardianStatementService.buildGuardianStatement
+   * @returns {PDFDocument} PDF document stream
+   */
+  generateGuardianStatementPDF(statement) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `Account Statement - ${statement.guardian.name}`,
+        Author: 'Waraq Inc',
+        Subject: 'Guardian account statement',
+        Creator: 'Class Management System'
+      }
+    });
+
+    this._addStatementHeader(doc, statement);
+    this._addStatementDetails(doc, statement);
+    this._addStatementTable(doc, statement);
+
+    doc.end();
+    return doc;
+  }
+
+  /**
+   * Statement header: company block, title and period
+   */
+  _addStatementHeader(doc, statement) {
+    doc.fontSize(24)
+       .font('Helvetica-Bold')
+       .text('Waraq Inc', 50, 50);
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .text('Online Class Management System', 50, 80)
+       .text('Email: support@waraq.com', 50, 95);
+
+    doc.fontSize(18)
+       .font('Helvetica-Bold')
+       .text('ACCOUNT STATEMENT', 300, 50, { width: 245, align: 'right' });
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .text(`${formatDateDDMMMYYYY(statement.period.from)} - ${formatDateDDMMMYYYY(statement.period.to)}`, 300, 75, { width: 245, align: 'right' });
+
+    doc.moveTo(50, 120)
+       .lineTo(545, 120)
+       .stroke();
+  }
+
+  /**
+   * Statement guardian block and balance summary
+   */
+  _addStatementDetails(doc, statement) {
+    const startY = 140;
+
+    doc.fontSize(10)
+       .font('Helvetica-Bold')
+       .text('ACCOUNT:', 50, startY);
+    doc.fontSize(11)
+       .font('Helvetica')
+       .text(statement.guardian.name, 50, startY + 20)
+       .text(statement.guardian.email || '', 50, startY + 35);
+
+    const rows = [
+      ['Opening hours', statement.opening.hours.toFixed(2)],
+      ['Purchased / consumed', `+${statement.totals.hoursPurchased.toFixed(2)} / -${statement.totals.hoursConsumed.toFixed(2)}`],
+      ['Closing hours', statement.closing.hours.toFixed(2)],
+      ['Opening balance due', this._formatCurrency(statement.opening.amount, statement.currency)],
+      ['Invoiced / paid', `${this._formatCurrency(statement.totals.invoiced, statement.currency)} / ${this._formatCurrency(statement.totals.paid, statement.currency)}`],
+      ['Closing balance due', this._formatCurrency(statement.closing.amount, statement.currency)]
+    ];
+
+    doc.rect(320, startY - 10, 225, rows.length * 16 + 14).stroke();
+    let currentY = startY;
+    doc.fontSize(9);
+    rows.forEach(([label, value], idx) => {
+      const bold = idx === 2 || idx === 5;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').text(label, 330, currentY);
+      doc.text(value, 430, currentY, { width: 105, align: 'right' });
+      currentY += 16;
+    });
+
+    doc.y = Math.max(currentY, startY + 60) + 20;
+  }
+
+  /**
+   * Statement ledger table with running balances
+   */
+  _addStatementTable(doc, statement) {
+    const cols = [
+      { key: 'date', label: 'Date', x: 50, width: 62 },
+      { key: 'type', label: 'Type', x: 112, width: 62 },
+      { key: 'description', label: 'Description', x: 174, width: 150 },
+      { key: 'hours', label: 'Hours', x: 324, width: 44, align: 'right' },
+      { key: 'hoursBalance', label: 'Hrs bal.', x: 368, width: 44, align: 'right' },
+      { key: 'amount', label: 'Amount', x: 412, width: 64, align: 'right' },
+      { key: 'amountBalance', label: 'Due', x: 476, width: 69, align: 'right' }
+    ];
+
+    const drawHeader = (y) => {
+      doc.fontSize(8).font('Helvetica-Bold');
+      cols.forEach((col) => doc.text(col.label, col.x, y, { width: col.width, align: col.align || 'left' }));
+      doc.moveTo(50, y + 12).lineTo(545, y + 12).stroke();
+      return y + 18;
+    };
+
+    const drawRow = (row, y, font = 'Helvetica') => {
+      doc.fontSize(8).font(font);
+      const heights = cols.map((col) => doc.heightOfString(String(row[col.key] ?? ''), { width: col.width }));
+      cols.forEach((col) => doc.text(String(row[col.key] ?? ''), col.x, y, { width: col.width, align: col.align || 'left' }));
+      return y + Math.max(...heights, 10) + 4;
+    };
+
+    let currentY = drawHeader(doc.y);
+    currentY = drawRow({
+      date: formatDateDDMMMYYYY(statement.period.from),
+      description: 'Opening balance',
+      hoursBalance: statement.opening.hours.toFixed(2),
+      amountBalance: this._formatCurrency(statement.opening.amount, statement.currency)
+    }, currentY, 'Helvetica-Oblique');
+
+    statement.entries.forEach((entry) => {
+      if (currentY > 740) {
+        doc.addPage();
+        currentY = drawHeader(50);
+      }
+      const amount = entry.refundAmount ? -entry.refundAmount : entry.amount;
+      currentY = drawRow({
+        date: formatDateDDMMMYYYY(entry.date),
+        type: entry.typeLabel,
+        description: entry.reference ? `${entry.description} (${entry.reference})` : entry.description,
+        hours: entry.hours ? entry.hours.toFixed(2) : '',
+        hoursBalance: entry.hoursBalance.toFixed(2),
+        amount: amount ? this._formatCurrency(amount, statement.currency) : '',
+        amountBalance: this._formatCurrency(entry.amountBalance, statement.currency)
+      }, currentY);
+    });
+
+    if (currentY > 740) {
+      doc.addPage();
+      currentY = 50;
+    }
+    doc.moveTo(50, currentY).lineTo(545, currentY).stroke();
+    drawRow({
+      date: formatDateDDMMMYYYY(statement.period.to),
+      description: 'Closing balance',
+      hoursBalance: statement.closing.hours.toFixed(2),
+      amountBalance: this._formatCurrency(statement.closing.amount, statement.currency)
+    }, currentY + 4, 'Helvetica-Bold');
+  }
+
   /**
    * Add company header and logo
    */
@@ -368,7 +521,7 @@ class InvoicePDFService {
     if (currency === 'USD') {
       return `$${value.toFixed(2)}`;
     }
-    return `${value.toFixed(2)} EGP`;
+    return `${value.toFixed(2)} ${currency || 'EGP'}`;
   }
 }
 
@@ -14,6 +14,9 @@ dayjs.extend(utcPlugin);
 dayjs.extend(timezonePlugin);
 const notificationService = require('./notificationService');
 const TeacherSalaryService = require('./teacherSalaryService');
+const billingPackageService = require('./billingPackageService');
+const CreditNoteService = require('./creditNoteService');
+const InstallmentService = require('./installmentService');
 
 const roundCurrency = (value) => {
   const numeric = Number(value);
@@ -80,7 +83,9 @@ const EPSILON_CURRENCY = 0.05;
 const ACTIVE_UNPAID_INVOICE_STATUSES = ['draft', 'pending', 'sent', 'overdue'];
 const INVOICE_DEBUG = String(process.env.INVOICE_DEBUG || '').toLowerCase() === 'true';
 
-const resolveInvoiceHourlyRate = (invoice) => {
+// fallback: rate used when nothing on the invoice or guardian carries one
+// (checkout quotes pass null so they never run at a made-up price)
+const resolveInvoiceHourlyRate = (invoice, { fallback = 10 } = {}) => {
   const doc = invoice || {};
   const fromInvoice = Number(doc?.guardianFinancial?.hourlyRate || 0) || 0;
   if (fromInvoice > 0) return fromInvoice;
@@ -94,7 +99,7 @@ const resolveInvoiceHourlyRate = (invoice) => {
   if (hours > 0 && amount > 0) {
     return Math.round((amount / hours) * 100) / 100;
   }
-  return 10;
+  return fallback;
 };
 
 const computeInvoiceItemHours = (invoice) => {
@@ -113,6 +118,24 @@ const extractTransferFeeAmount = (invoice) => {
   return roundCurrency(amount);
 };
 
+// The transfer fee is collected with the first payment; later partial payments
+// only owe whatever part of it earlier payments did not cover.
+const resolveUnpaidTransferFee = (invoice) => {
+  const fee = extractTransferFeeAmount(invoice);
+  if (!fee) return 0;
+  const paid = Math.max(0, Number(invoice?.paidAmount || 0) || 0);
+  return roundCurrency(Math.max(0, fee - paid));
+};
+
+// Country tax rules set taxRate on the invoice; tax is charged on the hours
+// portion only (see Invoice.recalculateTotals), never on the transfer fee.
+const resolveInvoiceTaxRate = (invoice) => {
+  const rate = Number(invoice?.taxRate || 0);
+  return Number.isFinite(rate) && rate > 0 ? rate : 0;
+};
+
+const computeTaxShare = (baseAmount, taxRate) => roundCurrency((Number(baseAmount || 0) * taxRate) / 100);
+
 const calculatePaidHoursFromLogs = (invoice, hourlyRate) => {
   const logs = Array.isArray(invoice?.paymentLogs) ? invoice.paymentLogs : [];
   if (!logs.length) return 0;
@@ -130,6 +153,8 @@ const calculatePaidHoursFromLogs = (invoice, hourlyRate) => {
       total += loggedHours;
     }
   }
+  // Hours taken back by issued credit notes (see creditNoteService)
+  total -= Number(invoice?.credited?.hours || 0) || 0;
   return Math.max(0, roundHours(total));
 };
 
@@ -276,6 +301,21 @@ const collectBilledClassIds = async (baseFilter = {}) => {
   return Array.from(merged).map((id) => toObjectId(id)).filter(Boolean);
 };
 
+// Classes billed to a guardian: their students' 1:1 classes plus group
+// classes with one of their students on the roster.
+const buildGuardianClassScope = (guardianId, studentIds = null) => ({
+  $or: [
+    {
+      'student.guardianId': guardianId,
+      isGroup: { $ne: true },
+      ...(studentIds ? { 'student.studentId': { $in: studentIds } } : {})
+    },
+    { isGroup: true, 'roster.guardianId': guardianId }
+  ]
+});
+
+const GROUP_CLASS_FIELDS = 'isGroup roster groupBilling billingWaiver';
+
 const getGuardianStudentIds = async (guardianDoc, invoiceDoc) => {
   const collected = new Set();
   const studentEntries = Array.isArray(guardianDoc?.guardianInfo?.students)
@@ -981,6 +1021,7 @@ class InvoiceService {
         // ✅ Query classes by guardian id (studentId filter only when available)
         const unpaidQuery = {
           'student.guardianId': guardian._id,
+          isGroup: { $ne: true }, // group classes are billed per roster guardian
           hidden: { $ne: true },
           status: { $nin: [...NOT_ELIGIBLE_STATUSES] },
           paidByGuardian: { $ne: true },
@@ -1195,6 +1236,7 @@ class InvoiceService {
           if (studentIdsForExtend.length) {
             const latestUnbilled = await Class.findOne({
               'student.guardianId': guardian._id,
+              isGroup: { $ne: true },
               'student.studentId': { $in: studentIdsForExtend },
               billedInInvoiceId: null,
               status: { $in: ['attended', 'missed_by_student', 'completed', 'absent'] },
@@ -1252,6 +1294,7 @@ class InvoiceService {
         // Find earliest unbilled class for this guardian
         const earliestClass = await Class.findOne({
           'student.guardianId': guardian._id,
+          isGroup: { $ne: true },
           'student.studentId': { $in: studentIds },
           billedInInvoiceId: null,
           status: { $nin: [...NOT_ELIGIBLE_STATUSES] }
@@ -1269,6 +1312,7 @@ class InvoiceService {
         // so we can size the window to cover every stuck lesson in one shot.
         const latestClass = await Class.findOne({
           'student.guardianId': guardian._id,
+          isGroup: { $ne: true },
           'student.studentId': { $in: studentIds },
           billedInInvoiceId: null,
           status: { $in: ['attended', 'missed_by_student', 'completed', 'absent'] },
@@ -1362,6 +1406,7 @@ class InvoiceService {
           // Start from EARLIEST unbilled class, not the triggering class
           let additional = await Class.find({
             'student.guardianId': guardian._id,
+            isGroup: { $ne: true },
             'student.studentId': { $in: studentIds },
             scheduledDate: { $gte: billingStartDate, $lt: searchEndDate },
             // Exclude classes that are in active invoices
@@ -1571,14 +1616,20 @@ class InvoiceService {
       const now = new Date();
       const month = now.getMonth() + 1;
       const year = now.getFullYear();
-      const defaultPackageHours = guardian.guardianInfo?.defaultPackageHours || 10;
-      const defaultRate = guardian.guardianInfo?.hourlyRate || 10;
       const session = opts.session || null;
+      // Assigned prepaid package (if any) sets the refill size and per-student rates
+      const packagePricing = await billingPackageService.resolveGuardianPackagePricing(guardian, { now, session });
+      const defaultPackageHours = packagePricing?.packageHours || guardian.guardianInfo?.defaultPackageHours || 10;
+      const defaultRate = packagePricing?.hourlyRate || guardian.guardianInfo?.hourlyRate || 10;
+      const rateForStudent = (studentId) => (packagePricing ? packagePricing.rateForStudent(studentId) : defaultRate);
+      const packageLabel = packagePricing ? ` (${packagePricing.snapshot.name})` : '';
       const createdBy = opts.createdBy || null;
       const triggerSource = opts.triggeredBy === 'auto-payg' ? 'auto-payg' : 'manual';
       // If caller requested to invoice only due hours (guardian has negative balance)
       const dueOnlyHours = Number.isFinite(Number(opts.dueOnlyHours)) && Number(opts.dueOnlyHours) > 0 ? Number(opts.dueOnlyHours) : 0;
       const isAutoPayg = triggerSource === 'auto-payg';
+      // Package guardians buy the next bundle instead of being billed class-by-class
+      const isPackageRefill = Boolean(packagePricing) && opts.packageRefill === true;
       let items = [];
       if (dueOnlyHours > 0) {
         const amount = Math.round((dueOnlyHours * defaultRate) * 100) / 100;
@@ -1595,19 +1646,20 @@ class InvoiceService {
           amount,
           attended: false
         });
-      } else if (!isAutoPayg) {
+      } else if (!isAutoPayg || isPackageRefill) {
         items = zeroHourStudents.map(s => {
-          const amount = defaultPackageHours * defaultRate;
+          const studentRate = rateForStudent(s._id);
+          const amount = Math.round((defaultPackageHours * studentRate) * 100) / 100;
           return {
             lessonId: null,
             class: null,
             student: s._id,
             studentSnapshot: { firstName: s.firstName, lastName: s.lastName, email: s.email || '' },
             teacher: null,
-            description: `Refill ${defaultPackageHours} hours for ${s.firstName} ${s.lastName}`,
+            description: `Refill ${defaultPackageHours} hours for ${s.firstName} ${s.lastName}${packageLabel}`,
             date: now,
             duration: defaultPackageHours * 60,
-            rate: defaultRate,
+            rate: studentRate,
             amount,
             attended: false
           };
@@ -1617,7 +1669,7 @@ class InvoiceService {
       const shouldForceGuardianTopUp = opts.reason === 'threshold_followup';
 
       // Guardian-level top-up if guardian totalHours <= 0 and no students listed
-      if (!dueOnlyHours && !isAutoPayg && (((guardian.guardianInfo?.totalHours || 0) <= 0 && zeroHourStudents.length === 0) || (shouldForceGuardianTopUp && zeroHourStudents.length === 0))) {
+      if (!dueOnlyHours && (!isAutoPayg || isPackageRefill) && (((guardian.guardianInfo?.totalHours || 0) <= 0 && zeroHourStudents.length === 0) || (shouldForceGuardianTopUp && zeroHourStudents.length === 0))) {
         const amount = defaultPackageHours * defaultRate;
         items.push({
           lessonId: null,
@@ -1625,7 +1677,7 @@ class InvoiceService {
           student: null,
           studentSnapshot: {},
           teacher: null,
-          description: `Guardian top-up ${defaultPackageHours} hours`,
+          description: `Guardian top-up ${defaultPackageHours} hours${packageLabel}`,
           date: now,
           duration: defaultPackageHours * 60,
           rate: defaultRate,
@@ -1652,7 +1704,7 @@ class InvoiceService {
       try {
         const trackedStudentIds = collectGuardianStudentIds(guardian, zeroHourStudents);
 
-        if (trackedStudentIds.length >= 0) {
+        if (!isPackageRefill && trackedStudentIds.length >= 0) {
           // ✅ Exclude classes already in any active invoice
           const billedIds = await collectBilledClassIds({
             deleted: { $ne: true },
@@ -1662,6 +1714,7 @@ class InvoiceService {
           // ✅ FIRST: Find ALL unpaid classes to determine the billing start date
           const allUnpaidQuery = {
             'student.guardianId': guardian._id,
+            isGroup: { $ne: true },
             _id: { $nin: billedIds },
             status: { $nin: [...NOT_ELIGIBLE_STATUSES] }
           };
@@ -1679,6 +1732,7 @@ class InvoiceService {
             }
             allUnpaidClasses = await Class.find({
               'student.guardianId': guardian._id,
+              isGroup: { $ne: true },
               _id: { $nin: billedIds },
               status: { $nin: [...NOT_ELIGIBLE_STATUSES] }
             })
@@ -1700,6 +1754,7 @@ class InvoiceService {
           // ✅ Include classes within billing period — use shared NOT_ELIGIBLE filter
           const upcomingQuery = {
             'student.guardianId': guardian._id,
+            isGroup: { $ne: true },
             scheduledDate: { $gte: billingStart, $lt: billingEnd },
             _id: { $nin: billedIds },
             paidByGuardian: { $ne: true },
@@ -1719,6 +1774,7 @@ class InvoiceService {
             }
             const fallbackUpcomingQuery = {
               'student.guardianId': guardian._id,
+              isGroup: { $ne: true },
               scheduledDate: { $gte: billingStart, $lt: billingEnd },
               _id: { $nin: billedIds },
               paidByGuardian: { $ne: true },
@@ -1743,7 +1799,7 @@ class InvoiceService {
           console.log(`🔍 [Zero-Hour PAYG Invoice] Found ${upcoming.length} eligible classes in billing period`);
 
           if (Array.isArray(upcoming) && upcoming.length > 0) {
-            const guardianDefaultRate = guardian.guardianInfo?.hourlyRate || defaultRate;
+            const guardianDefaultRate = packagePricing ? null : (guardian.guardianInfo?.hourlyRate || defaultRate);
             items = upcoming.map((cls) => {
               const fullName = (cls.student && cls.student.studentName) || '';
               const [firstName, ...rest] = String(fullName).trim().split(' ').filter(Boolean);
@@ -1752,7 +1808,9 @@ class InvoiceService {
               // Use the actual class status from database - don't force or derive anything
               const classStatus = cls.status || 'scheduled';
               const attended = cls.status === 'attended';
-              const rate = (Number.isFinite(cls.guardianRate) && cls.guardianRate > 0) ? cls.guardianRate : guardianDefaultRate;
+              const rate = (Number.isFinite(cls.guardianRate) && cls.guardianRate > 0)
+                ? cls.guardianRate
+                : (guardianDefaultRate ?? rateForStudent(cls.student?.studentId));
               
               return {
                 lessonId: cls._id ? String(cls._id) : null,
@@ -1813,7 +1871,7 @@ class InvoiceService {
         notes: opts.reason 
           ? opts.reason
           : `Account balance low. Invoice created for upcoming classes.`,
-        guardianFinancial: buildGuardianFinancialSnapshot(guardian),
+        guardianFinancial: buildGuardianFinancialSnapshot(guardian, packagePricing),
         coverage: {
           strategy: 'full_period',
           endDate: resolvedCoverageEnd,
@@ -1836,7 +1894,8 @@ class InvoiceService {
             id: s._id ? s._id.toString() : undefined,
             hoursRemaining: Number(s.hoursRemaining || 0)
           })),
-          trigger: triggerSource
+          trigger: triggerSource,
+          billingPackage: packagePricing ? packagePricing.snapshot.name : undefined
         }
       });
 
@@ -2000,6 +2059,307 @@ class InvoiceService {
     }
   }
 
+  /**
+   * Apply a teaching-hours change caused by one class. Same-month classes move
+   * the running monthlyHours counter; older classes become a cross-month
+   * adjustment on the teacher's nearest invoice.
+   */
+  static async applyTeacherHoursDelta({ classDoc, netHoursDiff, reason }) {
+    if (!classDoc?.teacher || !netHoursDiff) return;
+    // ── Cross-month detection (teacher only) ──────────────────
+    const CAIRO_TZ = 'Africa/Cairo';
+    const classMonth = classDoc.scheduledDate ? dayjs(classDoc.scheduledDate).tz(CAIRO_TZ) : null;
+    const nowCairo = dayjs().tz(CAIRO_TZ);
+    const isSameMonth = classMonth
+      ? (classMonth.month() === nowCairo.month() && classMonth.year() === nowCairo.year())
+      : true; // if no scheduledDate, treat as current month
+
+    try {
+      const teacher = await User.findById(classDoc.teacher);
+      if (teacher && teacher.role === 'teacher') {
+        const oldHours = Number(teacher.teacherInfo?.monthlyHours || 0);
+        console.log(`👨‍🏫 Teacher: ${teacher.firstName} ${teacher.lastName}`);
+        console.log(`   Current monthlyHours: ${oldHours.toFixed(2)}h`);
+        console.log(`   Adjustment: ${netHoursDiff > 0 ? '+' : ''}${netHoursDiff.toFixed(4)}h`);
+        console.log(`   Same month as class: ${isSameMonth ? 'YES' : 'NO'}`);
+
+        if (isSameMonth) {
+          await teacher.addTeachingHours(netHoursDiff);
+          console.log(`   ✅ monthlyHours updated → ${Number(teacher.teacherInfo?.monthlyHours || 0).toFixed(2)}h`);
+        } else {
+          // Cross-month: record adjustment on nearest teacher invoice
+          await InvoiceService.recordTeacherCrossMonthAdjustment({
+            teacher, classDoc, hoursDelta: netHoursDiff, reason
+          });
+          console.log(`   📆 Cross-month adjustment recorded`);
+        }
+      } else {
+        console.log(`   ⚠️  Teacher not found or invalid role`);
+      }
+    } catch (err) {
+      console.error(`   ❌ Teacher hours failed:`, err.message);
+    }
+  }
+
+  /**
+   * Consume (positive hours) or give back (negative hours) guardian prepaid
+   * hours, per student. `entries` is [{ studentId, hours }].
+   */
+  static async applyGuardianHoursDelta(guardianId, entries = []) {
+    const changes = (entries || []).filter((entry) => entry && Number(entry.hours));
+    if (!guardianId || !changes.length) return;
+    try {
+      const guardian = await User.findById(guardianId);
+      if (guardian && guardian.role === 'guardian') {
+        const netHoursDiff = changes.reduce((sum, entry) => sum + Number(entry.hours), 0);
+        const oldTotal = Number(guardian.guardianInfo?.totalHours || 0);
+        console.log(`👪 Guardian: ${guardian.firstName} ${guardian.lastName}`);
+        console.log(`   Current totalHours: ${oldTotal.toFixed(2)}h`);
+        console.log(`   Adjustment: ${netHoursDiff > 0 ? '-' : '+'}${Math.abs(netHoursDiff).toFixed(4)}h`);
+
+        // Update each student's hoursRemaining
+        if (Array.isArray(guardian.guardianInfo?.students)) {
+          for (const entry of changes) {
+            if (!entry.studentId) continue;
+            const studentIndex = findGuardianStudentIndex(guardian, entry.studentId);
+            if (studentIndex === -1) continue;
+            const student = guardian.guardianInfo.students[studentIndex];
+            const oldSH = Number(student.hoursRemaining || 0);
+            guardian.guardianInfo.students[studentIndex].hoursRemaining = oldSH - Number(entry.hours);
+            guardian.markModified('guardianInfo.students');
+            console.log(`   Student ${student.firstName}: ${oldSH.toFixed(2)}h → ${(oldSH - Number(entry.hours)).toFixed(2)}h`);
+          }
+        }
+
+        // Cumulative consumed (only increments, never decrements)
+        if (netHoursDiff > 0) {
+          try {
+            guardian.guardianInfo.cumulativeConsumedHours = (guardian.guardianInfo.cumulativeConsumedHours || 0) + netHoursDiff;
+          } catch (_) { /* non-fatal */ }
+        }
+
+        guardian.guardianInfo.totalHours = oldTotal - netHoursDiff;
+        guardian.markModified('guardianInfo');
+        await guardian.save();
+        console.log(`   ✅ totalHours → ${Number(guardian.guardianInfo?.totalHours || 0).toFixed(2)}h`);
+      }
+    } catch (err) {
+      console.error(`   ❌ Guardian hours failed:`, err.message);
+    }
+  }
+
+  /**
+   * Group-class counterpart of onClassStateChanged.
+   * - Teacher hours follow the session (status/duration), counted once.
+   * - Guardian hours follow each roster entry's billable minutes
+   *   (Class.computeGroupBilling), diffed against the pre-save snapshot.
+   * - Each guardian's invoice carries one line for the class holding the
+   *   minutes of that guardian's students.
+   */
+  static async onGroupClassStateChanged(classDoc, prev = {}) {
+    try {
+      const isCountableStatus = (status) => ['attended', 'missed_by_student', 'absent'].includes(status);
+      const statusChanged = typeof prev.status !== 'undefined' && String(prev.status) !== String(classDoc.status);
+      const prevDuration = Number(prev.duration || 0);
+      const currentDuration = Number(classDoc.duration || 0);
+      const durationChanged = prevDuration > 0 && prevDuration !== currentDuration;
+
+      // ── TEACHER HOURS (one session, however many students) ────
+      if (prev.skipHourAdjustment !== true && (statusChanged || (durationChanged && isCountableStatus(classDoc.status)))) {
+        const oldContrib = isCountableStatus(prev.status) ? prevDuration / 60 : 0;
+        const newContrib = isCountableStatus(classDoc.status) ? currentDuration / 60 : 0;
+        const netHoursDiff = newContrib - oldContrib;
+        if (netHoursDiff !== 0) {
+          const dateStr = classDoc.scheduledDate
+            ? new Date(classDoc.scheduledDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+            : '';
+          await InvoiceService.applyTeacherHoursDelta({
+            classDoc,
+            netHoursDiff,
+            reason: `Group class (${classDoc.subject || 'Class'}) on ${dateStr}: ${prev.status || 'N/A'}→${classDoc.status}, ${prevDuration}→${currentDuration} min (${netHoursDiff > 0 ? '+' : ''}${netHoursDiff.toFixed(2)}h)`
+          });
+        }
+      }
+
+      // ── GUARDIAN HOURS (per roster entry) ─────────────────────
+      const key = (guardianId, studentId) => `${guardianId}:${studentId}`;
+      const previousMinutes = new Map((prev.groupBilling || []).map((entry) => [key(entry.guardianId, entry.studentId), entry]));
+      const currentEntries = Class.computeGroupBilling(classDoc);
+      const deltasByGuardian = new Map();
+      const pushDelta = (guardianId, studentId, minutes) => {
+        if (!minutes) return;
+        const list = deltasByGuardian.get(String(guardianId)) || [];
+        list.push({ studentId, hours: minutes / 60 });
+        deltasByGuardian.set(String(guardianId), list);
+      };
+      currentEntries.forEach((entry) => {
+        const k = key(entry.guardianId, entry.studentId);
+        const before = previousMinutes.get(k);
+        previousMinutes.delete(k);
+        pushDelta(entry.guardianId, entry.studentId, entry.minutes - Number(before?.minutes || 0));
+      });
+      // Students removed from the roster get their consumed time back
+      previousMinutes.forEach((entry) => pushDelta(entry.guardianId, entry.studentId, -Number(entry.minutes || 0)));
+      for (const [guardianId, entries] of deltasByGuardian) {
+        await InvoiceService.applyGuardianHoursDelta(guardianId, entries);
+      }
+
+      const guardianIds = new Set([
+        ...currentEntries.map((entry) => String(entry.guardianId)),
+        ...(prev.groupBilling || []).map((entry) => String(entry.guardianId))
+      ]);
+      const invoices = await InvoiceService.syncGroupClassInvoices(classDoc, { guardianIds: Array.from(guardianIds) });
+      return { success: true, group: true, guardiansAdjusted: deltasByGuardian.size, invoices };
+    } catch (err) {
+      console.warn('[onGroupClassStateChanged] failed:', err && err.message);
+      return { success: false, error: err && err.message };
+    }
+  }
+
+  /**
+   * Bring each guardian's invoice line for a group class in line with the
+   * roster. Unpaid invoices get the line added, resized or removed; paid ones
+   * get a credit/debit adjustment for the difference. Guardians without an
+   * open invoice are picked up when their next invoice is built.
+   */
+  static async syncGroupClassInvoices(classDoc, { guardianIds = null } = {}) {
+    const classId = classDoc?._id;
+    if (!classId || !classDoc.isGroup) return [];
+    const ids = guardianIds || [...new Set((classDoc.roster || []).map((entry) => String(entry.guardianId?._id || entry.guardianId)))];
+    const results = [];
+    const dateStr = classDoc.scheduledDate
+      ? new Date(classDoc.scheduledDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+      : '';
+    const toAttendance = (status) => {
+      if (status === 'attended') return { attended: true, attendanceStatus: 'attended' };
+      if (String(status || '').startsWith('cancelled')) return { attended: false, attendanceStatus: 'cancelled' };
+      if (status === 'missed_by_student') return { attended: false, attendanceStatus: 'student_absent' };
+      return { attended: false, attendanceStatus: null };
+    };
+
+    for (const guardianId of ids) {
+      try {
+        const view = Class.projectClassForGuardian(classDoc, guardianId);
+        const minutes = Number(view.duration || 0);
+        const existing = await Invoice.findOne({
+          guardian: guardianId,
+          type: 'guardian_invoice',
+          deleted: { $ne: true },
+          status: { $nin: ['cancelled', 'refunded'] },
+          'items.class': classId
+        });
+        const item = existing ? (existing.items || []).find((it) => String(it.class) === String(classId)) : null;
+
+        if (!existing || !item) {
+          if (!minutes) continue;
+          const openInvoice = await Invoice.findOne({
+            guardian: guardianId,
+            type: 'guardian_invoice',
+            status: { $in: ACTIVE_UNPAID_INVOICE_STATUSES },
+            deleted: { $ne: true }
+          }).sort({ createdAt: 1 });
+          if (!openInvoice) {
+            results.push({ guardianId, reason: 'no_unpaid_invoice' });
+            continue;
+          }
+          const rate = (Number.isFinite(classDoc.guardianRate) && classDoc.guardianRate > 0)
+            ? classDoc.guardianRate
+            : resolveInvoiceHourlyRate(openInvoice);
+          await InvoiceService.updateInvoiceItems(String(openInvoice._id), {
+            addItems: [{
+              lessonId: String(classId),
+              class: classId,
+              student: view.student?.studentId,
+              studentSnapshot: resolveStudentSnapshotFromClass(view),
+              teacher: classDoc.teacher?._id || classDoc.teacher,
+              description: `${classDoc.subject || 'Class'} (group)`,
+              date: classDoc.scheduledDate || new Date(),
+              duration: minutes,
+              rate,
+              amount: roundCurrency((minutes / 60) * rate),
+              ...toAttendance(classDoc.status),
+              status: classDoc.status
+            }],
+            note: 'Auto-added: group class'
+          }, null);
+          await Class.updateOne(
+            { _id: classId },
+            { $set: { 'roster.$[entry].billedInInvoiceId': openInvoice._id } },
+            { arrayFilters: [{ 'entry.guardianId': new mongoose.Types.ObjectId(String(guardianId)) }] }
+          );
+          results.push({ guardianId, invoiceId: openInvoice._id, action: 'added', minutes });
+          continue;
+        }
+
+        const rate = Number(item.rate || resolveInvoiceHourlyRate(existing) || 0);
+        const deltaMinutes = minutes - Number(item.duration || 0);
+        if (existing.status === 'paid' || Number(existing.paidAmount || 0) > 0) {
+          if (Math.abs(deltaMinutes) > 0.001) {
+            const hoursDelta = deltaMinutes / 60;
+            await InvoiceService.createPaidInvoiceAdjustment({
+              invoiceId: existing._id,
+              type: hoursDelta < 0 ? 'credit' : 'debit',
+              reason: minutes === 0 && String(classDoc.status).startsWith('cancelled') ? 'class_cancelled' : 'duration_changed',
+              classDoc: view,
+              description: `Group class on ${dateStr}: ${view.student?.studentName || 'students'} ${Number(item.duration || 0)}→${minutes} min`,
+              hoursDelta,
+              amountDelta: roundCurrency(hoursDelta * rate),
+              previousDuration: Number(item.duration || 0),
+              newDuration: minutes,
+              actorId: null
+            });
+          }
+          // Keep the item snapshot in step with the roster for display
+          const att = toAttendance(classDoc.status);
+          await Invoice.updateOne(
+            { _id: existing._id, 'items.class': classId },
+            {
+              $set: {
+                'items.$.duration': minutes,
+                'items.$.amount': roundCurrency((minutes / 60) * rate),
+                'items.$.status': classDoc.status,
+                'items.$.attended': att.attended,
+                'items.$.attendanceStatus': att.attendanceStatus
+              }
+            }
+          );
+          results.push({ guardianId, invoiceId: existing._id, action: 'adjusted', deltaMinutes });
+          continue;
+        }
+
+        // Nothing left to charge this guardian (cancelled, excused, waived or
+        // removed from the roster): drop the line from the open invoice.
+        if (!minutes) {
+          await InvoiceService.updateInvoiceItems(String(existing._id), { removeItemIds: [String(item._id)], note: 'Auto-removed: group class' }, null);
+          await Class.updateOne(
+            { _id: classId },
+            { $set: { 'roster.$[entry].billedInInvoiceId': null } },
+            { arrayFilters: [{ 'entry.guardianId': new mongoose.Types.ObjectId(String(guardianId)) }] }
+          );
+          results.push({ guardianId, invoiceId: existing._id, action: 'removed' });
+          continue;
+        }
+
+        await InvoiceService.updateInvoiceItems(String(existing._id), {
+          modifyItems: [{
+            _id: String(item._id),
+            duration: minutes,
+            amount: roundCurrency((minutes / 60) * rate),
+            studentSnapshot: resolveStudentSnapshotFromClass(view),
+            status: classDoc.status,
+            ...toAttendance(classDoc.status)
+          }],
+          note: 'Auto-update from group class change'
+        }, null);
+        results.push({ guardianId, invoiceId: existing._id, action: 'updated', minutes });
+      } catch (err) {
+        console.warn(`[syncGroupClassInvoices] guardian ${guardianId} failed:`, err && err.message);
+        results.push({ guardianId, error: err && err.message });
+      }
+    }
+    return results;
+  }
+
   /**
    * Handle class state changes and reflect them on the linked invoice.
    * - If invoice is unpaid: directly modify the item (duration/attendance) and recalc.
@@ -2009,6 +2369,9 @@ class InvoiceService {
    * 🔒 PREVENTS DUPLICATE ADJUSTMENTS on report re-submissions
    */
   static async onClassStateChanged(classDoc, prev = {}) {
+    if (classDoc && classDoc.isGroup) {
+      return InvoiceService.onGroupClassStateChanged(classDoc, prev);
+    }
     try {
       const classId = classDoc && (classDoc._id || classDoc.id);
       const invoiceId = classDoc && classDoc.billedInInvoiceId;
@@ -2099,90 +2462,22 @@ class InvoiceService {
         console.log(`📊 Net diff: ${netHoursDiff > 0 ? '+' : ''}${netHoursDiff.toFixed(4)}h`);
         console.log(`════════════════════════════════════════════════════════════════\n`);
 
-        const User = require('../models/User');
-
         if (netHoursDiff !== 0) {
-          // ── Cross-month detection (teacher only) ──────────────────
-          const CAIRO_TZ = 'Africa/Cairo';
-          const classMonth = classDoc.scheduledDate ? dayjs(classDoc.scheduledDate).tz(CAIRO_TZ) : null;
-          const nowCairo = dayjs().tz(CAIRO_TZ);
-          const isSameMonth = classMonth
-            ? (classMonth.month() === nowCairo.month() && classMonth.year() === nowCairo.year())
-            : true; // if no scheduledDate, treat as current month
-
           // ── TEACHER HOURS ─────────────────────────────────────────
           if (classDoc.teacher) {
-            try {
-              const teacher = await User.findById(classDoc.teacher);
-              if (teacher && teacher.role === 'teacher') {
-                const oldHours = Number(teacher.teacherInfo?.monthlyHours || 0);
-                console.log(`👨‍🏫 Teacher: ${teacher.firstName} ${teacher.lastName}`);
-                console.log(`   Current monthlyHours: ${oldHours.toFixed(2)}h`);
-                console.log(`   Adjustment: ${netHoursDiff > 0 ? '+' : ''}${netHoursDiff.toFixed(4)}h`);
-                console.log(`   Same month as class: ${isSameMonth ? 'YES' : 'NO'}`);
-
-                if (isSameMonth) {
-                  await teacher.addTeachingHours(netHoursDiff);
-                  console.log(`   ✅ monthlyHours updated → ${Number(teacher.teacherInfo?.monthlyHours || 0).toFixed(2)}h`);
-                } else {
-                  // Cross-month: record adjustment on nearest teacher invoice
-                  const dateStr = classDoc.scheduledDate
-                    ? new Date(classDoc.scheduledDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
-                    : '';
-                  const reason = statusChanged
-                    ? `Class (${classDoc.subject || 'Class'}) on ${dateStr}: status changed ${prev.status}→${classDoc.status} (${netHoursDiff > 0 ? '+' : ''}${netHoursDiff.toFixed(2)}h)`
-                    : `Class (${classDoc.subject || 'Class'}) on ${dateStr}: duration ${prevDuration}→${currentDuration} min (${netHoursDiff > 0 ? '+' : ''}${netHoursDiff.toFixed(2)}h)`;
-                  await InvoiceService.recordTeacherCrossMonthAdjustment({
-                    teacher, classDoc, hoursDelta: netHoursDiff, reason
-                  });
-                  console.log(`   📆 Cross-month adjustment recorded`);
-                }
-              } else {
-                console.log(`   ⚠️  Teacher not found or invalid role`);
-              }
-            } catch (err) {
-              console.error(`   ❌ Teacher hours failed:`, err.message);
-            }
+            const dateStr = classDoc.scheduledDate
+              ? new Date(classDoc.scheduledDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+              : '';
+            const reason = statusChanged
+              ? `Class (${classDoc.subject || 'Class'}) on ${dateStr}: status changed ${prev.status}→${classDoc.status} (${netHoursDiff > 0 ? '+' : ''}${netHoursDiff.toFixed(2)}h)`
+              : `Class (${classDoc.subject || 'Class'}) on ${dateStr}: duration ${prevDuration}→${currentDuration} min (${netHoursDiff > 0 ? '+' : ''}${netHoursDiff.toFixed(2)}h)`;
+            await InvoiceService.applyTeacherHoursDelta({ classDoc, netHoursDiff, reason });
           }
 
           // ── GUARDIAN HOURS (always immediate) ─────────────────────
           if (guardianId) {
-            try {
-              const guardian = await User.findById(guardianId);
-              if (guardian && guardian.role === 'guardian') {
-                const oldTotal = Number(guardian.guardianInfo?.totalHours || 0);
-                console.log(`👪 Guardian: ${guardian.firstName} ${guardian.lastName}`);
-                console.log(`   Current totalHours: ${oldTotal.toFixed(2)}h`);
-                console.log(`   Adjustment: ${netHoursDiff > 0 ? '-' : '+'}${Math.abs(netHoursDiff).toFixed(4)}h`);
-
-                // Update student's hoursRemaining
-                const studentId = classDoc.student?.studentId?._id || classDoc.student?.studentId;
-                if (studentId && Array.isArray(guardian.guardianInfo?.students)) {
-                  const studentIndex = findGuardianStudentIndex(guardian, studentId);
-                  if (studentIndex !== -1) {
-                    const student = guardian.guardianInfo.students[studentIndex];
-                    const oldSH = Number(student.hoursRemaining || 0);
-                    guardian.guardianInfo.students[studentIndex].hoursRemaining = oldSH - netHoursDiff;
-                    guardian.markModified('guardianInfo.students');
-                    console.log(`   Student ${student.firstName}: ${oldSH.toFixed(2)}h → ${(oldSH - netHoursDiff).toFixed(2)}h`);
-                  }
-                }
-
-                // Cumulative consumed (only increments, never decrements)
-                if (netHoursDiff > 0) {
-                  try {
-                    guardian.guardianInfo.cumulativeConsumedHours = (guardian.guardianInfo.cumulativeConsumedHours || 0) + netHoursDiff;
-                  } catch (_) { /* non-fatal */ }
-                }
-
-                guardian.guardianInfo.totalHours = oldTotal - netHoursDiff;
-                guardian.markModified('guardianInfo');
-                await guardian.save();
-                console.log(`   ✅ totalHours → ${Number(guardian.guardianInfo?.totalHours || 0).toFixed(2)}h`);
-              }
-            } catch (err) {
-              console.error(`   ❌ Guardian hours failed:`, err.message);
-            }
+            const studentId = classDoc.student?.studentId?._id || classDoc.student?.studentId;
+            await InvoiceService.applyGuardianHoursDelta(guardianId, [{ studentId, hours: netHoursDiff }]);
           }
         } else {
           console.log(`📊 Net diff is 0 — no hour adjustment needed`);
@@ -2720,9 +3015,10 @@ class InvoiceService {
           .filter(Boolean);
 
         const classDocs = candidateObjectIds.length
-          ? await Class.find({ _id: { $in: candidateObjectIds } })
-              .select('scheduledDate duration subject status teacher student reportSubmission classReport timezone anchoredTimezone billedInInvoiceId guardianRate')
-              .lean()
+          ? (await Class.find({ _id: { $in: candidateObjectIds } })
+              .select(`scheduledDate duration subject status teacher student reportSubmission classReport timezone anchoredTimezone billedInInvoiceId guardianRate ${GROUP_CLASS_FIELDS}`)
+              .lean())
+              .map((cls) => Class.projectClassForGuardian(cls, invoice.guardian?._id || invoice.guardian))
           : [];
 
         const classMap = new Map();
@@ -2953,15 +3249,15 @@ class InvoiceService {
       if (!studentIds.length) return result;
 
       // 3. Fetch ALL classes for this guardian's students (non-pattern, non-hidden)
-      const allClasses = await Class.find({
-        'student.guardianId': gId,
-        'student.studentId': { $in: studentIds },
+      const allClasses = (await Class.find({
+        ...buildGuardianClassScope(gId, studentIds),
         hidden: { $ne: true },
         status: { $ne: 'pattern' }
       })
         .sort({ scheduledDate: 1, createdAt: 1 })
-        .select('scheduledDate duration subject status teacher student reportSubmission classReport timezone anchoredTimezone billedInInvoiceId paidByGuardian guardianRate billingWaiver')
-        .lean();
+        .select(`scheduledDate duration subject status teacher student reportSubmission classReport timezone anchoredTimezone billedInInvoiceId paidByGuardian guardianRate billingWaiver ${GROUP_CLASS_FIELDS}`)
+        .lean())
+        .map((cls) => Class.projectClassForGuardian(cls, gId));
 
       // 4. Classify each class and enrich with deadline info
       const now = new Date();
@@ -3061,6 +3357,10 @@ class InvoiceService {
             // Fallback: use stored item hours
             capacityMinutes = Math.round(computeInvoiceItemHours(invoice) * 60);
           }
+          // Credit notes shrink the capacity to the hours still paid (0 when fully credited)
+          if (Number(invoice.credited?.hours || 0) > EPSILON_HOURS) {
+            capacityMinutes = Math.min(capacityMinutes, Math.round(paidHours * 60));
+          }
         } else {
           // Unpaid: use coverage cap if set, otherwise no cap
           const coverageMax = Number(invoice.coverage?.maxHours);
@@ -3551,8 +3851,7 @@ class InvoiceService {
       }
 
       const classQuery = {
-        'student.guardianId': guardianId,
-        'student.studentId': { $in: studentIds },
+        ...buildGuardianClassScope(guardianId, studentIds),
         hidden: { $ne: true },
         status: { $ne: 'pattern' },
         paidByGuardian: { $ne: true }
@@ -3568,7 +3867,7 @@ class InvoiceService {
       let classDocs = await Class.find(classQuery)
         .sort({ scheduledDate: 1, createdAt: 1 })
         .limit(MAX_DYNAMIC_CLASS_RESULTS)
-        .select('scheduledDate duration subject status teacher student reportSubmission classReport timezone anchoredTimezone billedInInvoiceId guardianRate')
+        .select(`scheduledDate duration subject status teacher student reportSubmission classReport timezone anchoredTimezone billedInInvoiceId guardianRate ${GROUP_CLASS_FIELDS}`)
         .lean();
 
       if (!classDocs.length && studentIds.length > 0) {
@@ -3579,7 +3878,7 @@ class InvoiceService {
           });
         }
         const fallbackQuery = {
-          'student.guardianId': guardianId,
+          ...buildGuardianClassScope(guardianId),
           hidden: { $ne: true },
           status: { $ne: 'pattern' },
           paidByGuardian: { $ne: true }
@@ -3593,7 +3892,7 @@ class InvoiceService {
         classDocs = await Class.find(fallbackQuery)
           .sort({ scheduledDate: 1, createdAt: 1 })
           .limit(MAX_DYNAMIC_CLASS_RESULTS)
-          .select('scheduledDate duration subject status teacher student reportSubmission classReport timezone anchoredTimezone billedInInvoiceId guardianRate')
+          .select(`scheduledDate duration subject status teacher student reportSubmission classReport timezone anchoredTimezone billedInInvoiceId guardianRate ${GROUP_CLASS_FIELDS}`)
           .lean();
       }
 
@@ -3604,8 +3903,7 @@ class InvoiceService {
       // even after the fix to eligibility.
       if (isUnpaid && billingStart) {
         const strandedQuery = {
-          'student.guardianId': guardianId,
-          'student.studentId': { $in: studentIds },
+          ...buildGuardianClassScope(guardianId, studentIds),
           hidden: { $ne: true },
           status: { $nin: [...NOT_ELIGIBLE_STATUSES] },
           paidByGuardian: { $ne: true },
@@ -3618,7 +3916,7 @@ class InvoiceService {
         const strandedDocs = await Class.find(strandedQuery)
           .sort({ scheduledDate: 1 })
           .limit(MAX_DYNAMIC_CLASS_RESULTS)
-          .select('scheduledDate duration subject status teacher student reportSubmission classReport timezone anchoredTimezone billedInInvoiceId guardianRate')
+          .select(`scheduledDate duration subject status teacher student reportSubmission classReport timezone anchoredTimezone billedInInvoiceId guardianRate ${GROUP_CLASS_FIELDS}`)
           .lean();
 
         if (Array.isArray(strandedDocs) && strandedDocs.length) {
@@ -3649,7 +3947,7 @@ class InvoiceService {
 
       if (pinnedObjectIds.length) {
         const pinnedDocs = await Class.find({ _id: { $in: pinnedObjectIds } })
-          .select('scheduledDate duration subject status teacher student reportSubmission classReport timezone anchoredTimezone billedInInvoiceId guardianRate')
+          .select(`scheduledDate duration subject status teacher student reportSubmission classReport timezone anchoredTimezone billedInInvoiceId guardianRate ${GROUP_CLASS_FIELDS}`)
           .lean();
 
         if (Array.isArray(pinnedDocs) && pinnedDocs.length) {
@@ -3664,6 +3962,8 @@ class InvoiceService {
         }
       }
 
+      classDocs = classDocs.map((cls) => Class.projectClassForGuardian(cls, guardianId));
+
       classDocs.sort((a, b) => {
         const aDate = ensureDate(a?.scheduledDate) || ensureDate(a?.dateTime) || new Date(0);
         const bDate = ensureDate(b?.scheduledDate) || ensureDate(b?.dateTime) || new Date(0);
@@ -4085,6 +4385,7 @@ class InvoiceService {
       if (!desiredEndDate || (lastExistingDate && desiredEndDate <= lastExistingDate)) {
         const latestClass = await Class.findOne({
           'student.guardianId': guardianId,
+          isGroup: { $ne: true },
           'student.studentId': { $in: studentIds },
           status: { $nin: ['pattern'] }
         })
@@ -4111,6 +4412,7 @@ class InvoiceService {
 
       let additionalClasses = await Class.find({
         'student.guardianId': guardianId,
+        isGroup: { $ne: true },
         'student.studentId': { $in: studentIds },
         status: { $nin: disallowedStatuses },
         scheduledDate: {
@@ -4253,13 +4555,37 @@ class InvoiceService {
       const status = String(invoiceDoc?.status || '').toLowerCase();
       const shouldMarkPaid = status === 'paid';
 
+      // Once credit notes took hours back, only the classes that still fit in
+      // the net paid hours stay linked; the rest are released for re-invoicing.
+      const creditedHours = Number(invoiceDoc?.credited?.hours || 0) || 0;
+      if (shouldMarkPaid && creditedHours > EPSILON_HOURS) {
+        const capMinutes = Math.round(calculatePaidHoursFromLogs(invoiceDoc) * 60);
+        const withinCap = new Set();
+        let runningMinutes = 0;
+        for (const item of sorted) {
+          const normalized = normalizeId(item.class);
+          if (!normalized) continue;
+          if (runningMinutes < capMinutes) withinCap.add(normalized.toString());
+          runningMinutes += Number(item.duration || 0) || 0;
+        }
+        const releasedIds = allClassIds.filter((id) => !withinCap.has(id.toString()));
+        if (releasedIds.length) {
+          await Class.updateMany(
+            { _id: { $in: releasedIds }, billedInInvoiceId: invoiceDoc._id },
+            { $set: { billedInInvoiceId: null, billedAt: null, flaggedUninvoiced: true, paidByGuardian: false }, $unset: { paidByGuardianAt: 1 } }
+          ).exec();
+        }
+        allClassIds.splice(0, allClassIds.length, ...allClassIds.filter((id) => withinCap.has(id.toString())));
+        if (!allClassIds.length) return;
+      }
+
       if (shouldMarkPaid) {
         const invoiceId = invoiceDoc?._id || null;
         const linkFilter = invoiceId
           ? { $or: [{ billedInInvoiceId: invoiceId }, { billedInInvoiceId: null }, { billedInInvoiceId: { $exists: false } }] }
           : {};
         await Class.updateMany(
-          { _id: { $in: allClassIds }, ...linkFilter },
+          { _id: { $in: allClassIds }, isGroup: { $ne: true }, ...linkFilter },
           {
             $set: {
               paidByGuardian: true,
@@ -4387,6 +4713,7 @@ class InvoiceService {
 
         const unpaidClassesQuery = {
           'student.guardianId': guardianId,
+          isGroup: { $ne: true },
           'student.studentId': { $in: studentIds },
           _id: { $nin: billedClassIds },
           // ✅ ONLY include billable statuses - EXPLICITLY EXCLUDE CANCELLED
@@ -4693,6 +5020,7 @@ class InvoiceService {
         triggeredBy: 'auto-payg',
         billingPeriodStart: prevEnd,
         billingWindowDays,
+        packageRefill: Boolean(guardian.guardianInfo?.billingPackage?.package),
       });
 
       // Notify guardian about the newly created follow-up invoice (similar to first-lesson flow)
@@ -4801,11 +5129,23 @@ class InvoiceService {
           beforeItemsMap.set(toPlainId(existing._id), summarizeItem(existing));
         });
 
-        const newLessonIds = addItems.map((it) => it.lessonId).filter(Boolean);
-        const newClassIds = addItems.map((it) => it.class).filter(Boolean);
+        // A group class is billed once per guardian, so it only conflicts with
+        // another invoice of the same guardian.
+        const addedClassIds = addItems.map((it) => it.class).filter(Boolean);
+        const groupClassIds = new Set();
+        if (addedClassIds.length) {
+          const Class = require('../models/Class');
+          const groupQuery = Class.find({ _id: { $in: addedClassIds }, isGroup: true }).select('_id').lean();
+          const groupDocs = sessionArg ? await groupQuery.session(sessionArg) : await groupQuery;
+          groupDocs.forEach((doc) => groupClassIds.add(String(doc._id)));
+        }
+        const isGroupItem = (it) => groupClassIds.has(String(it.class || it.lessonId || ''));
+        const newLessonIds = addItems.filter((it) => !isGroupItem(it)).map((it) => it.lessonId).filter(Boolean);
+        const newClassIds = addItems.filter((it) => !isGroupItem(it)).map((it) => it.class).filter(Boolean);
+        const newGroupClassIds = Array.from(groupClassIds);
         
         // Check for conflicts using either lessonId or class field
-        if (newLessonIds.length || newClassIds.length) {
+        if (newLessonIds.length || newClassIds.length || newGroupClassIds.length) {
           const conflictQuery = {
             _id: { $ne: invoice._id },
             deleted: { $ne: true },
@@ -4820,6 +5160,9 @@ class InvoiceService {
             conflictQuery.$or.push({ 'items.class': { $in: newClassIds } });
             conflictQuery.$or.push({ 'items.lessonId': { $in: newClassIds.map((id) => String(id)) } });
           }
+          if (newGroupClassIds.length) {
+            conflictQuery.$or.push({ guardian: invoice.guardian, 'items.class': { $in: newGroupClassIds } });
+          }
           
           let conflict = sessionArg
             ? await Invoice.findOne(conflictQuery).session(sessionArg)
@@ -4830,8 +5173,9 @@ class InvoiceService {
             const isLocked = conflictStatus === 'paid' || conflictStatus === 'refunded';
             // If client allows transfer, remove from conflicting invoice and proceed
             if (updates.transferOnDuplicate === true && !isLocked) {
+              const sameGuardian = String(conflict.guardian) === String(invoice.guardian);
               const conflictingLessonIds = new Set(newLessonIds);
-              const conflictingClassIds = new Set(newClassIds.map(id => String(id)));
+              const conflictingClassIds = new Set([...newClassIds.map(id => String(id)), ...(sameGuardian ? newGroupClassIds : [])]);
               const beforeCount = conflict.items?.length || 0;
               conflict.items = (conflict.items || []).filter((it) => {
                 const lessonMatch = it.lessonId && conflictingLessonIds.has(String(it.lessonId));
@@ -5278,6 +5622,59 @@ class InvoiceService {
     }
   }
 
+  /**
+   * Quote the payment that settles an invoice's outstanding balance.
+   * Mirrors RecordPaymentModal: hours are derived from the amount net of the
+   * still-unpaid transfer fee and tax, then the amount is re-derived from the rounded hours so the
+   * quote always passes processInvoicePayment's amount/hours consistency check.
+   */
+  static buildPaymentQuote(invoice) {
+    if (!invoice) return null;
+    // On an installment plan only the next installment is payable
+    if (InstallmentService.isPlanActive(invoice)) {
+      const next = InstallmentService.nextPendingInstallment(invoice);
+      if (!next || next.amount <= 0) return null;
+      const planRate = resolveInvoiceHourlyRate(invoice, { fallback: null });
+      if (!Number.isFinite(planRate) || planRate <= 0) return null;
+      return {
+        amount: next.amount,
+        paidHours: next.hours,
+        hourlyRate: planRate,
+        transferFee: 0,
+        dueAmount: next.amount,
+        currency: invoice.currency || 'USD',
+        installment: { _id: next.installment._id, sequence: next.installment.sequence, dueDate: next.installment.dueDate }
+      };
+    }
+    const dueAmount = typeof invoice.getDueAmount === 'function'
+      ? Number(invoice.getDueAmount() || 0)
+      : Math.max(0, Number(invoice.adjustedTotal || invoice.total || 0) - Number(invoice.paidAmount || 0));
+    if (!Number.isFinite(dueAmount) || dueAmount <= 0) return null;
+
+    const hourlyRate = resolveInvoiceHourlyRate(invoice, { fallback: null });
+    if (!Number.isFinite(hourlyRate) || hourlyRate <= 0) return null;
+    const transferFee = resolveUnpaidTransferFee(invoice);
+    const taxRate = resolveInvoiceTaxRate(invoice);
+
+    const basePortion = (dueAmount - transferFee) / (1 + taxRate / 100);
+    if (basePortion <= 0) return null;
+    const paidHours = roundHours(basePortion / hourlyRate);
+    const baseAmount = roundCurrency(paidHours * hourlyRate);
+    const tax = computeTaxShare(baseAmount, taxRate);
+    const amount = roundCurrency(baseAmount + tax + transferFee);
+
+    return {
+      amount,
+      paidHours,
+      hourlyRate,
+      transferFee,
+      tax,
+      taxRate,
+      dueAmount: roundCurrency(dueAmount),
+      currency: invoice.currency || 'USD'
+    };
+  }
+
   /**
    * Process payment: record payment and adjust student/guardian balances if needed
    */
@@ -5460,11 +5857,19 @@ class InvoiceService {
         console.warn('Duplicate detection failed unexpectedly', dupErr && dupErr.message);
       }
 
+      // Installment plans settle whole installments and release their hours
+      // without capping the invoice (see installmentService).
+      if (InstallmentService.isPlanActive(invoice)) {
+        return InvoiceService.processInstallmentPayment(invoice, paymentData, adminUserId, createdPayment);
+      }
+
       // 1) Determine hourly rate and normalize amount/hours inputs
       let hourlyRate = resolveInvoiceHourlyRate(invoice);
       if (!Number.isFinite(hourlyRate) || hourlyRate <= 0) {
         hourlyRate = 10;
       }
+      const taxRate = resolveInvoiceTaxRate(invoice);
+      const transferFee = resolveUnpaidTransferFee(invoice);
 
       const hasHours = paymentData && paymentData.paidHours !== undefined && paymentData.paidHours !== null && paymentData.paidHours !== '';
       const hasAmount = paymentData && paymentData.amount !== undefined && paymentData.amount !== null && paymentData.amount !== '';
@@ -5472,12 +5877,13 @@ class InvoiceService {
       let amount = hasAmount ? Number(paymentData.amount) : undefined;
 
       if (!hasHours && hasAmount) {
-        // derive hours from amount
-        paidHours = Math.round((Number(amount) / hourlyRate) * 1000) / 1000; // hours to 3 decimals
+        // derive hours from amount (net of the unpaid transfer fee and tax)
+        paidHours = Math.round((Math.max(0, Number(amount) - transferFee) / (hourlyRate * (1 + taxRate / 100))) * 1000) / 1000; // hours to 3 decimals
         paymentData.paidHours = paidHours;
       } else if (hasHours && !hasAmount) {
-        // derive amount from hours
-        amount = Math.round((Number(paidHours) * hourlyRate) * 100) / 100; // money cents
+        // derive amount from hours (plus tax and the unpaid transfer fee)
+        const hoursAmount = Math.round((Number(paidHours) * hourlyRate) * 100) / 100; // money cents
+        amount = roundCurrency(hoursAmount + computeTaxShare(hoursAmount, taxRate) + transferFee);
         paymentData.amount = amount;
       }
 
@@ -5485,12 +5891,10 @@ class InvoiceService {
         throw new Error('Provide either amount or paidHours');
       }
 
-      // Ensure consistency between amount and hours (accounting for transfer fee if applicable)
+      // Ensure consistency between amount and hours (accounting for tax and transfer fee if applicable)
       const baseAmount = Math.round((Number(paymentData.paidHours || paidHours || 0) * hourlyRate) * 100) / 100;
-      const transferFee = (invoice.guardianFinancial?.transferFee?.amount && !invoice.guardianFinancial?.transferFee?.waived) 
-        ? Number(invoice.guardianFinancial.transferFee.amount) 
-        : 0;
-      const expectedAmount = Math.round((baseAmount + transferFee) * 100) / 100;
+      const taxAmount = computeTaxShare(baseAmount, taxRate);
+      const expectedAmount = Math.round((baseAmount + taxAmount + transferFee) * 100) / 100;
       const providedAmount = Math.round((Number(paymentData.amount || amount || 0)) * 100) / 100;
       
       if (Math.abs(expectedAmount - providedAmount) > 0.01) {
@@ -5500,9 +5904,11 @@ class InvoiceService {
           expectedAmount,
           providedAmount,
           baseAmount,
+          taxAmount,
           transferFee
         });
-        return { success: false, error: 'validation_error', message: `Mismatch between hours and amount at $${hourlyRate}/hr. Expected $${expectedAmount.toFixed(2)} (base: $${baseAmount.toFixed(2)} + fee: $${transferFee.toFixed(2)}), got $${providedAmount.toFixed(2)}.` };
+        const taxNote = taxAmount > 0 ? ` + tax: $${taxAmount.toFixed(2)}` : '';
+        return { success: false, error: 'validation_error', message: `Mismatch between hours and amount at $${hourlyRate}/hr. Expected $${expectedAmount.toFixed(2)} (base: $${baseAmount.toFixed(2)}${taxNote} + fee: $${transferFee.toFixed(2)}), got $${providedAmount.toFixed(2)}.` };
       }
 
       // If paidHours is provided, treat it as the authoritative cap for this invoice.
@@ -5704,6 +6110,7 @@ class InvoiceService {
               await Class.updateMany(
                 {
                   _id: { $in: classIdsToMark },
+                  isGroup: { $ne: true },
                   ...(invoiceId
                     ? { $or: [{ billedInInvoiceId: invoiceId }, { billedInInvoiceId: null }, { billedInInvoiceId: { $exists: false } }] }
                     : {})
@@ -6061,6 +6468,124 @@ class InvoiceService {
     }
   }
 
+  /**
+   * Record a payment against an invoice on an installment plan. The amount
+   * must settle one or more whole installments; their hours are logged on the
+   * payment and released to the guardian right away. The last installment
+   * turns the invoice paid and runs the usual settlement follow-ups.
+   */
+  static async processInstallmentPayment(invoice, paymentData, adminUserId, createdPayment = null) {
+    const markPayment = async (update) => {
+      if (!createdPayment) return;
+      try {
+        await Payment.findByIdAndUpdate(createdPayment._id, update).exec();
+      } catch (markErr) {
+        console.warn('Failed to update installment Payment record', markErr && markErr.message);
+      }
+    };
+
+    const amount = roundCurrency(paymentData.amount);
+    if (!(amount > 0)) {
+      await markPayment({ $set: { status: 'failed', error: 'amount_required' } });
+      return { success: false, error: 'validation_error', message: 'Installment payments need an amount' };
+    }
+
+    const paymentMethod = paymentData.paymentMethod || paymentData.method || 'manual';
+    const transactionId = paymentData.transactionId ? String(paymentData.transactionId) : undefined;
+    const paidAt = ensureDate(paymentData.paidAt) || new Date();
+    let applied;
+    try {
+      applied = InstallmentService.applyPaymentToPlan(invoice, amount, { paidAt, paymentMethod, transactionId });
+    } catch (planErr) {
+      await markPayment({ $set: { status: 'failed', error: planErr.message } });
+      return { success: false, error: 'validation_error', message: planErr.message };
+    }
+
+    const sequences = applied.installments.map((inst) => inst.sequence);
+    const label = `Installment${sequences.length > 1 ? 's' : ''} #${sequences.join(', #')}`;
+    const logEntry = {
+      amount,
+      method: paymentMethod,
+      paymentMethod,
+      transactionId,
+      processedBy: adminUserId || undefined,
+      processedAt: paidAt,
+      note: [label, paymentData.note].filter(Boolean).join(' — '),
+      paidHours: applied.hours,
+      tip: 0,
+      snapshot: {
+        invoiceRemainingBefore: roundCurrency(invoice.getDueAmount()),
+        invoiceRemainingAfter: roundCurrency(Math.max(0, invoice.getDueAmount() - amount))
+      }
+    };
+    if (!Array.isArray(invoice.paymentLogs)) invoice.paymentLogs = [];
+    invoice.paymentLogs.push(logEntry);
+    invoice.markModified('paymentLogs');
+    invoice.paidAmount = roundCurrency((invoice.paidAmount || 0) + amount);
+    invoice.creditHours = InstallmentService.releasedHours(invoice);
+    invoice.paymentMethod = ['credit_card', 'bank_transfer', 'paypal', 'cash', 'check'].includes(paymentMethod) ? paymentMethod : invoice.paymentMethod;
+    if (transactionId) invoice.transactionId = transactionId;
+    if (applied.settlesPlan) {
+      invoice.installmentPlan.active = false;
+      invoice.status = 'paid';
+      invoice.paidDate = paidAt;
+    }
+    invoice.updatedBy = adminUserId || invoice.updatedBy;
+    invoice.pushActivity({ actor: adminUserId, action: 'payment', note: logEntry.note, diff: { amount, method: paymentMethod, installments: sequences } });
+    await invoice.recordAuditEntry({
+      actor: adminUserId,
+      action: 'payment',
+      diff: { amount, method: paymentMethod, transactionId: transactionId || null, paidAmount: invoice.paidAmount, remainingBalance: logEntry.snapshot.invoiceRemainingAfter },
+      meta: { note: paymentData.note || null, paidHours: applied.hours, installments: sequences, planSettled: applied.settlesPlan }
+    });
+    invoice._skipConflictCheck = true;
+    invoice._skipRecalculate = true;
+    await invoice.save();
+
+    await markPayment({ $set: { status: 'applied', appliedAt: new Date(), paidHours: applied.hours, logSnapshot: logEntry } });
+
+    const guardianId = (invoice.guardian && invoice.guardian._id) || invoice.guardian;
+    try {
+      const { computeGuardianHoursFromPaidInvoices, syncComputedHoursToStorage } = require('./guardianHoursService');
+      const hoursMap = await computeGuardianHoursFromPaidInvoices([guardianId]);
+      await syncComputedHoursToStorage(hoursMap);
+    } catch (hoursErr) {
+      console.warn('Failed to release installment hours to guardian', hoursErr && hoursErr.message);
+    }
+    try {
+      const paymentLinkService = require('./paymentLinkService');
+      if (guardianId) await paymentLinkService.onInvoicePaid({ guardian: guardianId });
+    } catch (linkErr) {
+      console.warn('Failed to re-map payment links after installment', linkErr && linkErr.message);
+    }
+
+    if (applied.settlesPlan) {
+      try {
+        const classIds = (invoice.items || []).map((item) => item.class || item.lessonId).filter(Boolean);
+        if (classIds.length) {
+          await Class.updateMany(
+            { _id: { $in: classIds }, isGroup: { $ne: true } },
+            { $set: { paidByGuardian: true, paidByGuardianAt: new Date(), billedInInvoiceId: invoice._id, billedAt: new Date() } }
+          ).exec();
+          for (const classId of classIds) {
+            await InvoiceService.removeClassFromUnpaidInvoices(classId, invoice._id);
+          }
+        }
+      } catch (cleanupErr) {
+        console.warn('Failed to settle classes after final installment', cleanupErr && cleanupErr.message);
+      }
+      notificationService.notifyInvoiceEvent({ invoice, eventType: 'paid' }).catch(console.error);
+      try {
+        if (guardianId) await InvoiceService.ensureNextInvoiceIfBelowThreshold(guardianId, invoice);
+      } catch (followErr) {
+        console.warn('Post-installment follow-up invoice generation failed:', followErr && followErr.message);
+      }
+    }
+
+    const fresh = await Invoice.findById(invoice._id).populate('guardian').exec().catch(() => null);
+    return { success: true, invoice: fresh || invoice, installments: sequences, planSettled: applied.settlesPlan };
+  }
+
   static async revertInvoiceToUnpaid(invoiceId, adminUserId, options = {}) {
     try {
       console.log('🔁 [InvoiceService] revertInvoiceToUnpaid START', { invoiceId, adminUserId });
@@ -6107,6 +6632,19 @@ class InvoiceService {
   invoice.paidAmount = 0;
   invoice.paidDate = null;
   invoice.transactionId = null;
+      // Reverted payments reopen every installment of the plan
+      if (invoice.installmentPlan && (invoice.installmentPlan.active || invoice.installmentPlan.completedAt)) {
+        (invoice.installmentPlan.installments || []).forEach((inst) => {
+          inst.status = 'pending';
+          inst.paidAmount = 0;
+          inst.paidAt = undefined;
+          inst.transactionId = undefined;
+        });
+        invoice.installmentPlan.active = true;
+        invoice.installmentPlan.completedAt = undefined;
+        invoice.creditHours = 0;
+        invoice.markModified('installmentPlan');
+      }
       if (tipReverted > 0) {
         const tipBefore = Number(invoice.tip || 0) || 0;
         invoice.tip = Math.max(0, roundCurrency(tipBefore - tipReverted));
@@ -6273,15 +6811,13 @@ class InvoiceService {
         adminUserId: adminUserId ? adminUserId.toString() : null
       });
 
-      const statusBefore = invoice.status;
-
       const guardianRef = invoice.guardian || (invoice.$locals ? invoice.$locals.guardianRef : null);
 
       if (!['paid', 'sent', 'overdue'].includes(invoice.status)) {
         throw new Error('Only invoices with recorded payments can be refunded');
       }
 
-      const paidTotal = Number(invoice.paidAmount || 0);
+      const paidTotal = roundCurrency(Number(invoice.paidAmount || 0) - Number(invoice.credited?.amount || 0));
       if (!Number.isFinite(paidTotal) || paidTotal <= 0) {
         throw new Error('No payments available to refund for this invoice');
       }
@@ -6301,8 +6837,10 @@ class InvoiceService {
       const hourlyRate = resolveInvoiceHourlyRate(invoice);
       const transferFeeAmount = extractTransferFeeAmount(invoice);
 
+      // Tax collected on the refunded hours goes back with them
       const baseAmount = roundCurrency(normalizedHours * hourlyRate);
-      let expectedAmount = baseAmount;
+      const taxShare = computeTaxShare(baseAmount, resolveInvoiceTaxRate(invoice));
+      let expectedAmount = roundCurrency(baseAmount + taxShare);
 
       // ✅ SIMPLE APPROACH: Calculate transfer fee proportion based on HOURS, not class count
       // When refunding hours (not specific classes), the transfer fee should be proportional to hours
@@ -6315,10 +6853,7 @@ class InvoiceService {
         // Simple hours-based proportion
         const hoursRatio = Math.min(1, normalizedHours / feeCoverageHours);
         proportionalFee = roundCurrency(transferFeeAmount * hoursRatio);
-        expectedAmount = roundCurrency(baseAmount + proportionalFee);
-      } else {
-        // No transfer fee or waived - only expect base amount
-        expectedAmount = baseAmount;
+        expectedAmount = roundCurrency(baseAmount + taxShare + proportionalFee);
       }
 
       console.log('💰 [InvoiceService] Transfer fee calculation', {
@@ -6336,26 +6871,28 @@ class InvoiceService {
       // If transfer fee exists, validate against expectedAmount (base + proportional fee)
       // If no transfer fee, validate against baseAmount only
       if (Math.abs(expectedAmount - normalizedAmount) > EPSILON_CURRENCY) {
-        const feeNote = transferFeeAmount > 0 
-          ? ` (including $${proportionalFee.toFixed(2)} proportional transfer fee)`
-          : '';
-        throw new Error(`Mismatch between refund amount and hours at $${hourlyRate}/hr. Expected $${expectedAmount.toFixed(2)}${feeNote}, received $${normalizedAmount.toFixed(2)}.`);
+        const feeNote = [
+          taxShare > 0 ? `$${taxShare.toFixed(2)} tax` : null,
+          transferFeeAmount > 0 ? `$${proportionalFee.toFixed(2)} proportional transfer fee` : null
+        ].filter(Boolean).join(' and ');
+        const includingNote = feeNote ? ` (including ${feeNote})` : '';
+        throw new Error(`Mismatch between refund amount and hours at $${hourlyRate}/hr. Expected $${expectedAmount.toFixed(2)}${includingNote}, received $${normalizedAmount.toFixed(2)}.`);
+      }
+
+      if (normalizedAmount > paidTotal + EPSILON_CURRENCY) {
+        throw new Error('Refund amount cannot exceed the paid amount not yet credited');
+      }
+
+      const creditableHours = calculatePaidHoursFromLogs(invoice, hourlyRate);
+      const hasPaidHoursLogs = (invoice.paymentLogs || []).some((log) => log && Number(log.paidHours) > 0);
+      if (hasPaidHoursLogs && normalizedHours > creditableHours + EPSILON_HOURS) {
+        throw new Error(`Refund hours exceed the ${creditableHours}h paid on this invoice and not yet credited`);
       }
 
       const processedAt = refundData.processedAt ? new Date(refundData.processedAt) : new Date();
 
-      // ✅ Pass the proportional fee to recordRefund so it can adjust the transfer fee
-      const { invoice: updatedInvoice } = await invoice.recordRefund(
-        normalizedAmount,
-        {
-          reason: refundData.reason,
-          refundReference: refundData.refundReference,
-          refundHours: normalizedHours,
-          processedAt,
-          proportionalTransferFee: proportionalFee  // ✅ NEW: Tell invoice how much transfer fee to deduct
-        },
-        adminUserId
-      );
+      // The invoice keeps its issued amounts; hours checks below run against it unchanged.
+      const updatedInvoice = invoice;
 
       const resolveStudentId = (item) => {
         if (!item) return null;
@@ -6403,19 +6940,35 @@ class InvoiceService {
       let guardianAfterHours = null;
       let leftoverAppliedToGuardian = 0;
 
-      if (guardianIdValue && normalizedHours > 0) {
-        const guardianUser = await User.findById(guardianIdValue);
-        if (guardianUser && guardianUser.guardianInfo) {
-          guardianUser.guardianInfo = guardianUser.guardianInfo || {};
+      const guardianUser = guardianIdValue && normalizedHours > 0
+        ? await User.findById(guardianIdValue)
+        : null;
+      if (guardianUser?.guardianInfo && refundableItems.length === 0
+        && normalizedHours > Number(guardianUser.guardianInfo.totalHours || 0) + EPSILON_HOURS) {
+        throw new Error('Refund hours exceed guardian balance');
+      }
+
+      // Issue the credit note before touching balances, so a failure here leaves
+      // hours unchanged (guardianHoursService subtracts credit-note hours later).
+      // Refreshes updatedInvoice.credited.
+      const creditNote = await CreditNoteService.issueForInvoice(updatedInvoice, {
+        amount: normalizedAmount,
+        hours: normalizedHours,
+        hourlyRate,
+        baseAmount,
+        transferFee: proportionalFee,
+        reason: refundData.reason,
+        refundReference: refundData.refundReference,
+        processedAt
+      }, adminUserId);
+
+      if (guardianUser) {
+        if (guardianUser.guardianInfo) {
           guardianUser.guardianInfo.autoTotalHours = false;
 
           const initialTotalHours = Number(guardianUser.guardianInfo.totalHours || 0);
           guardianBeforeHours = Number.isFinite(initialTotalHours) ? roundHours(initialTotalHours) : 0;
 
-          if (refundableItems.length === 0 && normalizedHours > initialTotalHours + EPSILON_HOURS) {
-            throw new Error('Refund hours exceed guardian balance');
-          }
-
           const studentsArray = Array.isArray(guardianUser.guardianInfo.students)
             ? guardianUser.guardianInfo.students
             : [];
@@ -6557,8 +7110,6 @@ class InvoiceService {
 
       const totalItemHours = computeInvoiceItemHours(updatedInvoice);
 
-      updatedInvoice.recalculateTotals();
-
       const itemDates = Array.isArray(updatedInvoice.items)
         ? updatedInvoice.items
           .map((item) => {
@@ -6574,8 +7125,6 @@ class InvoiceService {
       const invoiceStartDate = itemDates.length ? itemDates[0] : null;
       const invoiceEndDate = itemDates.length ? itemDates[itemDates.length - 1] : null;
 
-      const statusAfter = updatedInvoice.status;
-
       const formatHoursValue = (value) => {
         if (!Number.isFinite(value)) return '0';
         const normalized = Math.round(value * 100) / 100;
@@ -6591,7 +7140,7 @@ class InvoiceService {
       const formatCurrency = (value) => (Number.isFinite(value) ? value.toFixed(2) : '0.00');
 
       const summaryMessageParts = [];
-      summaryMessageParts.push(`Refunded ${formatHourLabel(normalizedHours)} ($${formatCurrency(normalizedAmount)}).`);
+      summaryMessageParts.push(`Credit note ${creditNote.creditNoteNumber} issued for ${formatHourLabel(normalizedHours)} ($${formatCurrency(normalizedAmount)}).`);
 
       if (guardianSummary) {
         summaryMessageParts.push(`Guardian paid hours were ${formatHoursValue(guardianSummary.before)} and became ${formatHoursValue(guardianSummary.after)}.`);
@@ -6601,35 +7150,18 @@ class InvoiceService {
       summaryMessageParts.push(`Invoice period spans ${rangeLabel}.`);
 
       if (transferFeeAmount > EPSILON_CURRENCY) {
-        const remainingTransferFee = roundCurrency(transferFeeAmount - proportionalFee);
         summaryMessageParts.push(
           proportionalFee > EPSILON_CURRENCY
-            ? `Transfer fees: $${formatCurrency(transferFeeAmount)} → $${formatCurrency(remainingTransferFee)} (refunded $${formatCurrency(proportionalFee)}).`
-            : `Transfer fees remain $${formatCurrency(transferFeeAmount)} (no fee refund).`
+            ? `Credited $${formatCurrency(proportionalFee)} of the $${formatCurrency(transferFeeAmount)} transfer fee.`
+            : `Transfer fees of $${formatCurrency(transferFeeAmount)} are not credited.`
         );
       }
 
-      summaryMessageParts.push(`Invoice status changed from ${statusBefore} to ${statusAfter}.`);
-
       const summaryMessage = summaryMessageParts.filter(Boolean).join(' ');
 
-      await updatedInvoice.recordAuditEntry({
-        actor: adminUserId,
-        action: 'refund_adjustment',
-        diff: {
-          refundHours: normalizedHours,
-          expectedAmount,
-          refundAmount: normalizedAmount
-        },
-        meta: {
-          reason: refundData.reason || null,
-          refundReference: refundData.refundReference || null
-        }
-      });
-
-      // ─── After refund, rebalance invoice items to match new paid hours ───
-      // The net paid hours after refund determines which classes stay on this invoice.
-      // Classes beyond the new cap are unlinked so they can be picked up by future invoices.
+      // ─── After the credit note, cap coverage at the hours still paid ───
+      // Stored items stay as issued; syncInvoiceCoverageClasses releases the
+      // classes beyond the cap so future invoices can pick them up.
       const netPaidHours = calculatePaidHoursFromLogs(updatedInvoice, hourlyRate);
       if (netPaidHours > 0) {
         updatedInvoice.coverage = updatedInvoice.coverage && typeof updatedInvoice.coverage === 'object'
@@ -6640,74 +7172,9 @@ class InvoiceService {
         updatedInvoice.coverage.updatedAt = new Date();
         updatedInvoice.coverage.updatedBy = adminUserId || updatedInvoice.coverage.updatedBy;
         updatedInvoice.markModified('coverage');
-
-        // Trim items beyond the new paid-hours cap (same split logic as payment)
-        const capMinutes = Math.round(netPaidHours * 60);
-        const refundItemsAsc = Array.isArray(updatedInvoice.items)
-          ? [...updatedInvoice.items].sort((a, b) => {
-              const da = new Date(a?.date || 0).getTime();
-              const db = new Date(b?.date || 0).getTime();
-              return da - db;
-            })
-          : [];
-        let running = 0;
-        const keptItems = [];
-        const droppedItems = [];
-        for (const item of refundItemsAsc) {
-          const minutes = Number(item?.duration || 0) || 0;
-          if (running + minutes > capMinutes) {
-            const remaining = capMinutes - running;
-            if (remaining > 0) {
-              item.fullDuration = item.fullDuration || minutes;
-              item.isPartial = true;
-              item.partialMinutes = remaining;
-              item.partialOfMinutes = minutes;
-              item.duration = remaining;
-              item.amount = roundCurrency((remaining / 60) * (Number(item?.rate || 0) || hourlyRate));
-              keptItems.push(item);
-              running += remaining;
-            } else {
-              droppedItems.push(item);
-            }
-            continue;
-          }
-          keptItems.push(item);
-          running += minutes;
-        }
-
-        if (keptItems.length !== refundItemsAsc.length || droppedItems.length > 0) {
-          updatedInvoice.items = keptItems;
-          updatedInvoice.markModified('items');
-
-          // Unlink dropped classes so they're available for future invoices
-          const droppedClassIds = droppedItems
-            .map((it) => it?.class || it?.lessonId)
-            .filter(Boolean);
-          if (droppedClassIds.length) {
-            try {
-              const Class = require('../models/Class');
-              await Class.updateMany(
-                { _id: { $in: droppedClassIds } },
-                { $set: { billedInInvoiceId: null, billedAt: null, flaggedUninvoiced: true, paidByGuardian: false }, $unset: { paidByGuardianAt: 1 } }
-              ).exec();
-              console.log(`🔓 [Refund] Unlinked ${droppedClassIds.length} classes beyond new ${netPaidHours}h cap`);
-            } catch (unlinkErr) {
-              console.warn('Failed to unlink classes after refund cap', unlinkErr?.message);
-            }
-          }
-        }
-
-        // Update the last-kept item's date as coverage end
-        const lastKept = keptItems.length ? keptItems[keptItems.length - 1] : null;
-        const lastDate = lastKept?.date ? new Date(lastKept.date) : null;
-        if (lastDate && !Number.isNaN(lastDate.getTime())) {
-          updatedInvoice.coverage.endDate = lastDate;
-          updatedInvoice.markModified('coverage');
-        }
-
-        updatedInvoice.recalculateTotals();
       }
 
+      updatedInvoice._skipRecalculate = true;
       await updatedInvoice.save();
 
       // Canonical reconciliation: recompute guardian hours from invoice logs/classes
@@ -6759,10 +7226,6 @@ class InvoiceService {
           start: invoiceStartDate ? invoiceStartDate.toISOString() : null,
           end: invoiceEndDate ? invoiceEndDate.toISOString() : null
         },
-        status: {
-          before: statusBefore,
-          after: statusAfter
-        },
         refund: {
           amount: normalizedAmount,
           expectedAmount,
@@ -6770,11 +7233,18 @@ class InvoiceService {
           hours: normalizedHours,
           processedAt
         },
+        creditNote: {
+          _id: creditNote._id,
+          creditNoteNumber: creditNote.creditNoteNumber,
+          publicSlug: creditNote.publicSlug,
+          total: creditNote.total,
+          hours: creditNote.hours
+        },
         message: summaryMessage
       };
 
       console.log('📬 [InvoiceService] Refund summary', refundSummary);
-      console.log('✅ [InvoiceService] recordInvoiceRefund COMPLETE', { invoiceId, statusBefore, statusAfter });
+      console.log('✅ [InvoiceService] recordInvoiceRefund COMPLETE', { invoiceId, creditNoteNumber: creditNote.creditNoteNumber });
 
       return { success: true, invoice: updatedInvoice, summary: refundSummary };
     } catch (err) {
@@ -6796,6 +7266,16 @@ class InvoiceService {
       if (!invoice) return { success: false, message: 'Invoice not found' };
 
       const refunds = Array.isArray(invoice.refunds) ? invoice.refunds : [];
+
+      // Refunds are credit notes now; undo voids the latest one. Older invoices
+      // may still carry in-place refunds, which fall through to the legacy path.
+      const latestCreditNote = await CreditNoteService.findLatestIssued(invoice._id);
+      const lastLegacyRefund = refunds[refunds.length - 1];
+      const lastLegacyAt = lastLegacyRefund?.processedDate ? new Date(lastLegacyRefund.processedDate).getTime() : 0;
+      if (latestCreditNote && new Date(latestCreditNote.issuedAt).getTime() >= lastLegacyAt) {
+        return InvoiceService.voidCreditNote(latestCreditNote._id, adminUserId, { reason: 'Refund undone' });
+      }
+
       if (!refunds.length) {
         return { success: false, message: 'No refunds to undo on this invoice' };
       }
@@ -7004,6 +7484,64 @@ class InvoiceService {
     }
   }
 
+  /**
+   * Void a credit note: the invoice's credited totals drop, coverage grows back
+   * to the net paid hours and guardian hours are recomputed.
+   */
+  static async voidCreditNote(creditNoteId, adminUserId, { reason } = {}) {
+    try {
+      const CreditNote = require('../models/CreditNote');
+      const creditNote = await CreditNote.findById(creditNoteId);
+      if (!creditNote) return { success: false, message: 'Credit note not found' };
+
+      const invoice = await Invoice.findById(creditNote.invoice).populate('guardian').exec();
+      if (!invoice) return { success: false, message: 'Credited invoice not found' };
+
+      await CreditNoteService.voidCreditNote(creditNote, invoice, adminUserId, reason);
+
+      const netPaidHours = calculatePaidHoursFromLogs(invoice, resolveInvoiceHourlyRate(invoice));
+      if (netPaidHours > 0) {
+        invoice.coverage = invoice.coverage && typeof invoice.coverage === 'object' ? invoice.coverage : {};
+        invoice.coverage.maxHours = netPaidHours;
+        invoice.coverage.strategy = 'cap_hours';
+        invoice.coverage.updatedAt = new Date();
+        invoice.coverage.updatedBy = adminUserId;
+        invoice.markModified('coverage');
+      }
+      invoice._skipRecalculate = true;
+      await invoice.save();
+
+      try {
+        const { computeGuardianHoursFromPaidInvoices, syncComputedHoursToStorage, normalizeId } = require('./guardianHoursService');
+        const gid = normalizeId(creditNote.guardian);
+        if (gid) {
+          const hoursMap = await computeGuardianHoursFromPaidInvoices([gid]);
+          await syncComputedHoursToStorage(hoursMap);
+        }
+      } catch (recomputeErr) {
+        console.warn('[voidCreditNote] guardian hours recompute failed:', recomputeErr?.message || recomputeErr);
+      }
+
+      await InvoiceService.syncInvoiceCoverageClasses(invoice);
+
+      await invoice.populate([
+        { path: 'guardian', select: 'firstName lastName email guardianInfo' },
+        { path: 'teacher', select: 'firstName lastName email' },
+        { path: 'items.student', select: 'firstName lastName email' }
+      ]);
+
+      return {
+        success: true,
+        invoice,
+        creditNote,
+        message: `Credit note ${creditNote.creditNoteNumber} voided: restored $${roundCurrency(creditNote.total).toFixed(2)} (${roundHours(creditNote.hours)}h) to invoice ${invoice.invoiceNumber || invoice._id}.`
+      };
+    } catch (err) {
+      console.error('[voidCreditNote] error:', err);
+      return { success: false, message: err.message || 'Failed to void credit note' };
+    }
+  }
+
   /**
    * Generate invoice docx buffer
    */
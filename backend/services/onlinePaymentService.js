@@ -0,0 +1,348 @@
+// backend/services/onlinePaymentService.js
+// ============================================================
+// Online checkout for guardian invoices (public invoice page)
+// ============================================================
+// Flow:
+//   1. Guardian opens /public/invoices/:slug and picks a provider.
+//   2. startCheckout() quotes the outstanding balance, creates the provider
+//      order and stores a Payment { status: 'created', idempotencyKey }.
+//   3. The provider reports the outcome (signed webhook and/or the guardian
+//      returning to the page). applyCompletedPayment() claims the Payment and
+//      runs it through InvoiceService.processInvoicePayment with the same
+//      idempotencyKey and the provider transaction id, so a replayed or
+//      concurrent delivery can never credit hours twice.
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const InvoiceService = require('./invoiceService');
+const notificationService = require('./notificationService');
+const { getEnabledProvider, getProvider, listEnabledProviders } = require('./paymentProviders');
+
+const NON_PAYABLE_STATUSES = new Set(['paid', 'refunded', 'cancelled']);
+const AMOUNT_TOLERANCE = 0.01;
+const MAX_PROVIDER_EVENTS = 20;
+
+const buildError = (message, status = 400, code = 'CHECKOUT_ERROR') => {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+};
+
+const resolvePublicInvoiceUrl = (invoice) => {
+  const { resolvePublicAppBaseUrl } = require('./emailService');
+  return `${resolvePublicAppBaseUrl()}/public/invoices/${invoice.invoiceSlug}`;
+};
+
+const isInvoicePayable = (invoice) => {
+  if (!invoice || invoice.deleted) return false;
+  if (invoice.type !== 'guardian_invoice') return false;
+  if (NON_PAYABLE_STATUSES.has(String(invoice.status || '').toLowerCase())) return false;
+  return Boolean(InvoiceService.buildPaymentQuote(invoice));
+};
+
+/**
+ * Checkout block rendered on the public invoice page.
+ */
+const getCheckoutOptions = (invoice) => {
+  const providers = listEnabledProviders();
+  const quote = isInvoicePayable(invoice) ? InvoiceService.buildPaymentQuote(invoice) : null;
+  return {
+    available: Boolean(quote) && providers.length > 0,
+    providers: quote ? providers : [],
+    amountDue: quote ? quote.amount : 0,
+    currency: invoice?.currency || 'USD'
+  };
+};
+
+const findPublicInvoice = async (slug) => {
+  const invoice = await Invoice.findOne({ invoiceSlug: slug, deleted: { $ne: true } });
+  if (!invoice) throw buildError('Invoice not found', 404, 'INVOICE_NOT_FOUND');
+  return invoice;
+};
+
+/**
+ * Create a provider order for the invoice's outstanding balance.
+ * Returns the URL the guardian must be redirected to.
+ */
+const startCheckout = async ({ slug, providerId }) => {
+  const provider = getEnabledProvider(providerId);
+  if (!provider) throw buildError('This payment method is not available', 400, 'PROVIDER_UNAVAILABLE');
+
+  const invoice = await findPublicInvoice(slug);
+  if (!isInvoicePayable(invoice)) {
+    throw buildError('This invoice has no outstanding balance', 409, 'INVOICE_NOT_PAYABLE');
+  }
+
+  const quote = InvoiceService.buildPaymentQuote(invoice);
+  const idempotencyKey = `checkout:${provider.id}:${new mongoose.Types.ObjectId().toString()}`;
+  const publicUrl = resolvePublicInvoiceUrl(invoice);
+  const returnUrl = `${publicUrl}?checkout=return&provider=${encodeURIComponent(provider.id)}`;
+  const cancelUrl = `${publicUrl}?checkout=cancelled`;
+
+  const order = await provider.createOrder({
+    amount: quote.amount,
+    currency: quote.currency,
+    reference: invoice.invoiceNumber || String(invoice._id),
+    description: invoice.invoiceName || `Invoice ${invoice.invoiceNumber || ''}`.trim(),
+    returnUrl,
+    cancelUrl,
+    idempotencyKey
+  });
+
+  const payment = await Payment.create({
+    invoice: invoice._id,
+    amount: quote.amount,
+    paidHours: quote.paidHours,
+    paymentMethod: provider.paymentMethod,
+    idempotencyKey,
+    provider: provider.id,
+    providerOrderId: order.orderId,
+    currency: quote.currency,
+    status: 'created'
+  });
+
+  // Logged with a direct update so the invoice pre-save recalculation does not run.
+  await Invoice.updateOne(
+    { _id: invoice._id },
+    {
+      $push: {
+        activityLog: {
+          action: 'note',
+          at: new Date(),
+          note: `Online checkout started via ${provider.label}`,
+          diff: { provider: provider.id, orderId: order.orderId, amount: quote.amount }
+        }
+      }
+    }
+  ).catch((err) => {
+    console.warn('[onlinePaymentService] failed to log checkout activity:', err?.message || err);
+  });
+
+  return {
+    paymentId: payment._id,
+    provider: provider.id,
+    orderId: order.orderId,
+    redirectUrl: order.redirectUrl,
+    amount: quote.amount,
+    currency: quote.currency
+  };
+};
+
+const recordProviderEvent = async (paymentId, { eventId, type }) => {
+  if (!eventId && !type) return;
+  await Payment.updateOne(
+    { _id: paymentId },
+    { $push: { providerEvents: { $each: [{ eventId, type, receivedAt: new Date() }], $slice: -MAX_PROVIDER_EVENTS } } }
+  ).catch(() => {});
+};
+
+const notifyAdminsOfFailure = async (payment, message) => {
+  try {
+    await notificationService.notifyRole({
+      role: 'admin',
+      title: 'Online payment needs review',
+      message,
+      type: 'invoice',
+      related: { relatedTo: 'invoice', relatedId: payment.invoice }
+    });
+  } catch (err) {
+    console.warn('[onlinePaymentService] admin notification failed:', err?.message || err);
+  }
+};
+
+/**
+ * Apply a provider-confirmed payment exactly once.
+ * Safe to call from both the webhook and the return-from-checkout path.
+ */
+const applyCompletedPayment = async ({ provider, orderId, transactionId, amount, currency, eventId, eventType }) => {
+  const payment = await Payment.findOne({ provider: provider.id, providerOrderId: orderId });
+  if (!payment) {
+    console.warn('[onlinePaymentService] completed payment for unknown order', { provider: provider.id, orderId });
+    return { success: false, ignored: true, reason: 'unknown_order' };
+  }
+
+  await recordProviderEvent(payment._id, { eventId, type: eventType || 'payment.completed' });
+
+  if (payment.status === 'applied') {
+    return { success: true, duplicate: true, payment };
+  }
+
+  const reportedAmount = Number(amount);
+  const amountMatches = Number.isFinite(reportedAmount) && Math.abs(reportedAmount - Number(payment.amount || 0)) <= AMOUNT_TOLERANCE;
+  const currencyMatches = !currency || !payment.currency
+    || String(currency).toUpperCase() === String(payment.currency).toUpperCase();
+  if (!amountMatches || !currencyMatches) {
+    const error = `amount_mismatch: expected ${payment.amount} ${payment.currency || ''}, provider reported ${amount} ${currency || ''}`.trim();
+    await Payment.updateOne({ _id: payment._id, status: { $ne: 'applied' } }, { $set: { status: 'failed', error, transactionId } });
+    await notifyAdminsOfFailure(payment, `A ${provider.label} payment (${transactionId || orderId}) did not match the invoice amount and was not applied.`);
+    return { success: false, reason: 'amount_mismatch', payment };
+  }
+
+  // Claim the payment so concurrent deliveries cannot both apply it.
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ['created', 'failed'] } },
+    { $set: { status: 'pending', transactionId, paidAt: new Date() }, $unset: { error: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { success: true, duplicate: true, inFlight: true, payment };
+  }
+
+  let result;
+  try {
+    result = await InvoiceService.processInvoicePayment(claimed.invoice, {
+      amount: claimed.amount,
+      paidHours: claimed.paidHours,
+      paymentMethod: provider.paymentMethod,
+      transactionId,
+      idempotencyKey: claimed.idempotencyKey,
+      paidAt: claimed.paidAt,
+      note: `Online payment via ${provider.label}`
+    }, null);
+  } catch (err) {
+    result = { success: false, message: err?.message || 'processing_failed' };
+  }
+
+  if (!result || !result.success) {
+    const error = result?.message || result?.error || 'processing_failed';
+    await Payment.updateOne({ _id: claimed._id, status: { $ne: 'applied' } }, { $set: { status: 'failed', error } });
+    await notifyAdminsOfFailure(claimed, `A ${provider.label} payment (${transactionId || orderId}) was captured but could not be applied: ${error}`);
+    return { success: false, reason: 'apply_failed', message: error, payment: claimed };
+  }
+
+  // processInvoicePayment marks the Payment applied when it applied it; when it
+  // reports the invoice as already settled nothing new was credited.
+  if (result.duplicate) {
+    await Payment.updateOne(
+      { _id: claimed._id, status: 'pending' },
+      { $set: { status: 'failed', error: result.message || 'invoice_already_settled' } }
+    );
+    await notifyAdminsOfFailure(claimed, `A ${provider.label} payment (${transactionId || orderId}) arrived for an invoice that was already settled. Review for a refund.`);
+    return { success: true, duplicate: true, invoice: result.invoice, payment: claimed };
+  }
+
+  if (result.invoice) {
+    notificationService.notifyInvoiceEvent({ invoice: result.invoice, eventType: 'paid' }).catch(console.error);
+  }
+  return { success: true, invoice: result.invoice, payment: claimed };
+};
+
+const markPaymentFailed = async ({ provider, orderId, reason, eventId, eventType }) => {
+  const payment = await Payment.findOne({ provider: provider.id, providerOrderId: orderId });
+  if (!payment) return { success: false, ignored: true, reason: 'unknown_order' };
+  await recordProviderEvent(payment._id, { eventId, type: eventType || 'payment.failed' });
+  await Payment.updateOne(
+    { _id: payment._id, status: { $in: ['created', 'failed'] } },
+    { $set: { status: 'failed', error: reason || 'declined' } }
+  );
+  return { success: true, payment };
+};
+
+/**
+ * Guardian returned from the provider: confirm (capture) the order and apply it.
+ */
+const confirmCheckout = async ({ slug, providerId, orderId }) => {
+  const provider = getEnabledProvider(providerId);
+  if (!provider) throw buildError('This payment method is not available', 400, 'PROVIDER_UNAVAILABLE');
+  if (!orderId) throw buildError('Missing checkout reference', 400, 'ORDER_REQUIRED');
+
+  const invoice = await findPublicInvoice(slug);
+  const payment = await Payment.findOne({ provider: provider.id, providerOrderId: String(orderId), invoice: invoice._id });
+  if (!payment) throw buildError('Checkout not found for this invoice', 404, 'CHECKOUT_NOT_FOUND');
+  if (payment.status === 'applied') return { status: 'paid', duplicate: true };
+
+  const outcome = await provider.confirmOrder({ orderId: payment.providerOrderId });
+  if (outcome.status === 'failed') {
+    await markPaymentFailed({ provider, orderId: payment.providerOrderId, reason: outcome.reason, eventType: 'return.failed' });
+    return { status: 'failed', reason: outcome.reason || 'declined' };
+  }
+  if (outcome.status !== 'completed') {
+    return { status: 'pending' };
+  }
+
+  const applied = await applyCompletedPayment({
+    provider,
+    orderId: payment.providerOrderId,
+    transactionId: outcome.transactionId,
+    amount: outcome.amount,
+    currency: outcome.currency,
+    eventType: 'return.completed'
+  });
+  if (!applied.success) {
+    return { status: 'review', reason: applied.reason || 'apply_failed' };
+  }
+  return { status: 'paid', duplicate: Boolean(applied.duplicate) };
+};
+
+/**
+ * Verify and apply a provider webhook delivery.
+ * Returns { status, body } for the route to send back, plus the updated
+ * invoice when a payment was applied.
+ */
+const handleWebhook = async (providerId, req) => {
+  const provider = getProvider(providerId);
+  if (!provider || !provider.isEnabled()) {
+    return { status: 404, body: { ok: false, error: 'unknown provider' } };
+  }
+
+  const verified = await provider.verifyWebhook(req);
+  if (!verified) {
+    return { status: 401, body: { ok: false, error: 'invalid signature' } };
+  }
+
+  const event = provider.parseWebhookEvent(req);
+  if (!event || event.type === 'ignored' || !event.orderId) {
+    return { status: 200, body: { ok: true, ignored: true } };
+  }
+
+  if (event.type === 'order.approved') {
+    // PayPal: the buyer approved but may never come back to the page; capture now.
+    const outcome = await provider.confirmOrder({ orderId: event.orderId });
+    if (outcome.status !== 'completed') {
+      return { status: 200, body: { ok: true, status: outcome.status } };
+    }
+    Object.assign(event, {
+      transactionId: outcome.transactionId,
+      amount: outcome.amount,
+      currency: outcome.currency
+    });
+  }
+
+  if (event.type === 'payment.failed') {
+    const failed = await markPaymentFailed({ provider, orderId: event.orderId, reason: event.reason, eventId: event.eventId, eventType: event.type });
+    return { status: 200, body: { ok: true, ignored: Boolean(failed.ignored) } };
+  }
+
+  const applied = await applyCompletedPayment({
+    provider,
+    orderId: event.orderId,
+    transactionId: event.transactionId,
+    amount: event.amount,
+    currency: event.currency,
+    eventId: event.eventId,
+    eventType: event.type
+  });
+
+  // Always acknowledge verified deliveries; failures are surfaced to admins
+  // instead of making the provider retry forever.
+  return {
+    status: 200,
+    invoice: applied.success && !applied.duplicate ? applied.invoice : null,
+    body: {
+      ok: true,
+      applied: Boolean(applied.success && !applied.duplicate),
+      duplicate: Boolean(applied.duplicate),
+      ignored: Boolean(applied.ignored),
+      reason: applied.reason || undefined
+    }
+  };
+};
+
+module.exports = {
+  getCheckoutOptions,
+  startCheckout,
+  confirmCheckout,
+  handleWebhook,
+  applyCompletedPayment
+};
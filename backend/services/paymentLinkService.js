@@ -78,6 +78,35 @@ function isReportWindowOpen(cls, now = new Date()) {
   return false;
 }
 
+// ============================================================
+// Group classes
+// ============================================================
+
+// A guardian's 1:1 classes plus group classes with one of their students on the roster.
+function guardianClassScope(guardianId) {
+  return {
+    $or: [
+      { 'student.guardianId': guardianId, isGroup: { $ne: true } },
+      { isGroup: true, 'roster.guardianId': guardianId }
+    ]
+  };
+}
+
+/**
+ * Hours of a class to cover for one guardian, per student. 1:1 classes are a
+ * single share of the full duration; group classes give one share per roster
+ * student of this guardian, sized by the class's group billing rules.
+ */
+function guardianShares(cls, guardianId) {
+  if (!cls.isGroup) {
+    return [{ studentId: cls.student?.studentId || null, hours: roundHours((cls.duration || 60) / 60) }];
+  }
+  const Class = require('../models/Class');
+  return Class.computeGroupBilling(cls, { projected: true })
+    .filter((entry) => String(entry.guardianId) === String(guardianId) && entry.minutes > 0)
+    .map((entry) => ({ studentId: entry.studentId, hours: roundHours(entry.minutes / 60) }));
+}
+
 // ============================================================
 // Core algorithm
 // ============================================================
@@ -108,7 +137,7 @@ async function slideAndReMap(guardianId, fromDate, opts = {}) {
   // Find ALL classes in range (including excluded statuses) so that
   // stale links for newly-cancelled classes get cleaned up too.
   const affectedClasses = await Class.find({
-    'student.guardianId': gId,
+    ...guardianClassScope(gId),
     scheduledDate: { $gte: fromDate },
     hidden: { $ne: true }
   }).select('_id').lean(qOpts);
@@ -126,11 +155,13 @@ async function slideAndReMap(guardianId, fromDate, opts = {}) {
 
   // -------------------------------------------------------
   // 2. THE CREDIT POOL  – all paid invoices, oldest first
+  //    (installment-plan invoices contribute the hours of their
+  //    paid installments, kept in creditHours)
   // -------------------------------------------------------
   const paidInvoices = await Invoice.find({
     guardian: gId,
     type: 'guardian_invoice',
-    status: 'paid',
+    $or: [{ status: 'paid' }, { 'installmentPlan.active': true }],
     deleted: { $ne: true }
   }).sort({ 'billingPeriod.startDate': 1, createdAt: 1 })
     .select('_id billingPeriod creditHours hoursCovered items guardianFinancial coverage total paidAmount')
@@ -165,12 +196,12 @@ async function slideAndReMap(guardianId, fromDate, opts = {}) {
   // 3. THE CHRONOLOGICAL ALLOCATION  (The Slide)
   // -------------------------------------------------------
   const classesToAllocate = await Class.find({
-    'student.guardianId': gId,
+    ...guardianClassScope(gId),
     scheduledDate: { $gte: fromDate },
     status: { $nin: [...EXCLUDED_STATUSES] },
     hidden: { $ne: true }
   }).sort({ scheduledDate: 1 })
-    .select('_id scheduledDate duration status student endsAt reportSubmission')
+    .select('_id scheduledDate duration status student endsAt reportSubmission isGroup roster groupBilling billingWaiver')
     .lean(qOpts);
 
   const now = new Date();
@@ -180,7 +211,6 @@ async function slideAndReMap(guardianId, fromDate, opts = {}) {
   const auditEntries = [];
 
   for (const cls of classesToAllocate) {
-    const classHours = roundHours((cls.duration || 60) / 60);
     let type = linkTypeForStatus(cls.status);
     if (!type) continue; // excluded status
 
@@ -196,43 +226,46 @@ async function slideAndReMap(guardianId, fromDate, opts = {}) {
       }
     }
 
-    let hoursNeeded = classHours;
+    for (const share of guardianShares(cls, gId)) {
+      let hoursNeeded = share.hours;
 
-    while (hoursNeeded > 0.0001 && poolIdx < pools.length) {
-      const pool = pools[poolIdx];
+      while (hoursNeeded > 0.0001 && poolIdx < pools.length) {
+        const pool = pools[poolIdx];
 
-      if (pool.remaining <= 0.0001) {
-        poolIdx++;
-        continue;
-      }
+        if (pool.remaining <= 0.0001) {
+          poolIdx++;
+          continue;
+        }
 
-      const hoursFromThisInvoice = roundHours(Math.min(hoursNeeded, pool.remaining));
+        const hoursFromThisInvoice = roundHours(Math.min(hoursNeeded, pool.remaining));
 
-      linksToInsert.push({
-        guardian: gId,
-        student: cls.student?.studentId || null,
-        class: cls._id,
-        invoice: pool.invoiceId,
-        hoursCovered: hoursFromThisInvoice,
-        type
-      });
+        linksToInsert.push({
+          guardian: gId,
+          student: share.studentId,
+          class: cls._id,
+          invoice: pool.invoiceId,
+          hoursCovered: hoursFromThisInvoice,
+          type
+        });
 
-      pool.remaining = roundHours(pool.remaining - hoursFromThisInvoice);
-      hoursNeeded = roundHours(hoursNeeded - hoursFromThisInvoice);
+        pool.remaining = roundHours(pool.remaining - hoursFromThisInvoice);
+        hoursNeeded = roundHours(hoursNeeded - hoursFromThisInvoice);
 
-      if (pool.remaining <= 0.0001) {
-        poolIdx++;
+        if (pool.remaining <= 0.0001) {
+          poolIdx++;
+        }
       }
-    }
 
-    // 4. THE SETTLEMENT – uncovered hours
-    if (hoursNeeded > 0.0001) {
-      uncoveredClasses.push({
-        classId: cls._id,
-        scheduledDate: cls.scheduledDate,
-        totalHours: classHours,
-        uncoveredHours: hoursNeeded
-      });
+      // 4. THE SETTLEMENT – uncovered hours
+      if (hoursNeeded > 0.0001) {
+        uncoveredClasses.push({
+          classId: cls._id,
+          studentId: share.studentId,
+          scheduledDate: cls.scheduledDate,
+          totalHours: share.hours,
+          uncoveredHours: hoursNeeded
+        });
+      }
     }
   }
 
@@ -265,11 +298,20 @@ async function slideAndReMap(guardianId, fromDate, opts = {}) {
 async function onClassChanged(classDoc, opts = {}) {
   if (!classDoc?.student?.guardianId) return null;
   const fromDate = classDoc.scheduledDate || new Date();
+  if (classDoc.isGroup) {
+    // Every guardian on the roster has their own credit pool
+    const guardianIds = [...new Set((classDoc.roster || []).map((entry) => String(entry.guardianId?._id || entry.guardianId)))];
+    const results = [];
+    for (const guardianId of guardianIds) {
+      results.push(await slideAndReMap(guardianId, fromDate, opts));
+    }
+    return results;
+  }
   return slideAndReMap(classDoc.student.guardianId, fromDate, opts);
 }
 
 /**
- * Called when an invoice is paid — re-map all classes for this guardian.
+ * Called when an invoice (or one of its installments) is paid — re-map all classes for this guardian.
  */
 async function onInvoicePaid(invoiceDoc, opts = {}) {
   if (!invoiceDoc?.guardian) return null;
@@ -347,10 +389,12 @@ async function getInvoiceCreditSummary(invoiceId) {
  */
 async function isClassCovered(classId) {
   const Class = require('../models/Class');
-  const cls = await Class.findById(classId).select('duration').lean();
+  const cls = await Class.findById(classId).select('duration status isGroup roster groupBilling billingWaiver').lean();
   if (!cls) return false;
 
-  const classHours = roundHours((cls.duration || 60) / 60);
+  const classHours = cls.isGroup
+    ? roundHours(Class.computeGroupBilling(cls, { projected: true }).reduce((sum, entry) => sum + entry.minutes, 0) / 60)
+    : roundHours((cls.duration || 60) / 60);
 
   const agg = await PaymentLink.aggregate([
     { $match: { class: new mongoose.Types.ObjectId(String(classId)) } },
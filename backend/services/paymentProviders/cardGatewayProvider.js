@@ -0,0 +1,110 @@
+// backend/services/paymentProviders/cardGatewayProvider.js
+// Generic hosted card checkout. Works with any gateway that exposes a
+// "checkout session" API and signs webhooks with an HMAC shared secret.
+//
+// Env:
+//   CARD_GATEWAY_API_URL         base URL, e.g. https://api.gateway.example/v1 (required)
+//   CARD_GATEWAY_API_KEY         bearer key for the session API (required)
+//   CARD_GATEWAY_WEBHOOK_SECRET  shared secret for webhook signatures
+//   CARD_GATEWAY_LABEL           button label on the public invoice page
+//
+// Contract:
+//   POST /checkout/sessions      -> { id, url }
+//   GET  /checkout/sessions/:id  -> { id, status: 'paid'|'open'|'failed', payment_id, amount, currency }
+//   Webhook headers X-Gateway-Timestamp / X-Gateway-Signature, body
+//   { id, type: 'checkout.session.completed'|'checkout.session.failed', data: { session_id, payment_id, amount, currency } }
+//   Amounts are in minor units (cents).
+const axios = require('axios');
+const { verifyHmacRequest } = require('./signature');
+
+const resolveApiBase = () => String(process.env.CARD_GATEWAY_API_URL || '').replace(/\/+$/, '');
+
+const gatewayRequest = async (method, path, body, extraHeaders = {}) => {
+  const { data } = await axios({
+    method,
+    url: `${resolveApiBase()}${path}`,
+    data: body,
+    headers: {
+      Authorization: `Bearer ${process.env.CARD_GATEWAY_API_KEY}`,
+      'Content-Type': 'application/json',
+      ...extraHeaders
+    },
+    timeout: 15000
+  });
+  return data;
+};
+
+const toMinorUnits = (amount) => Math.round(Number(amount || 0) * 100);
+const fromMinorUnits = (value) => Math.round(Number(value || 0)) / 100;
+
+module.exports = {
+  id: 'card',
+  get label() {
+    return process.env.CARD_GATEWAY_LABEL || 'Credit / debit card';
+  },
+  paymentMethod: 'credit_card',
+
+  isEnabled() {
+    return Boolean(process.env.CARD_GATEWAY_API_URL && process.env.CARD_GATEWAY_API_KEY);
+  },
+
+  async createOrder({ amount, currency, reference, description, returnUrl, cancelUrl, idempotencyKey }) {
+    const session = await gatewayRequest('post', '/checkout/sessions', {
+      amount: toMinorUnits(amount),
+      currency,
+      reference,
+      description,
+      success_url: returnUrl,
+      cancel_url: cancelUrl,
+      metadata: { reference }
+    }, idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {});
+    if (!session?.id || !session?.url) {
+      throw new Error('Card gateway did not return a checkout session');
+    }
+    return { orderId: session.id, redirectUrl: session.url };
+  },
+
+  async confirmOrder({ orderId }) {
+    const session = await gatewayRequest('get', `/checkout/sessions/${encodeURIComponent(orderId)}`);
+    if (session?.status === 'paid') {
+      return {
+        status: 'completed',
+        orderId,
+        transactionId: session.payment_id,
+        amount: fromMinorUnits(session.amount),
+        currency: session.currency
+      };
+    }
+    if (session?.status === 'failed') {
+      return { status: 'failed', orderId, reason: session.failure_reason || 'failed' };
+    }
+    return { status: 'pending', orderId };
+  },
+
+  async verifyWebhook(req) {
+    return verifyHmacRequest(req, {
+      secret: process.env.CARD_GATEWAY_WEBHOOK_SECRET,
+      timestampHeader: 'X-Gateway-Timestamp',
+      signatureHeader: 'X-Gateway-Signature'
+    });
+  },
+
+  parseWebhookEvent(req) {
+    const event = req.body || {};
+    const data = event.data || {};
+    if (event.type === 'checkout.session.completed') {
+      return {
+        eventId: event.id,
+        type: 'payment.completed',
+        orderId: data.session_id,
+        transactionId: data.payment_id,
+        amount: fromMinorUnits(data.amount),
+        currency: data.currency
+      };
+    }
+    if (event.type === 'checkout.session.failed') {
+      return { eventId: event.id, type: 'payment.failed', orderId: data.session_id, reason: data.failure_reason || event.type };
+    }
+    return { eventId: event.id, type: 'ignored' };
+  }
+};
@@ -0,0 +1,85 @@
+// backend/services/paymentProviders/fakeProvider.js
+// Local stand-in for a real gateway, used by scripts/test-online-checkout.js and
+// for exercising the public checkout flow without provider credentials.
+// "Approval" is immediate: the redirect goes straight back to the invoice page.
+//
+// Env:
+//   PAYMENT_FAKE_PROVIDER_ENABLED=true   enable (never enabled in production)
+//   PAYMENT_FAKE_WEBHOOK_SECRET          webhook secret (defaults to a dev value)
+const crypto = require('crypto');
+const { signPayload, verifyHmacRequest } = require('./signature');
+
+const DEFAULT_SECRET = 'fake-payment-webhook-secret';
+
+// Orders live in memory only; a restart forgets them (fine for local testing).
+const orders = new Map();
+
+const getSecret = () => process.env.PAYMENT_FAKE_WEBHOOK_SECRET || DEFAULT_SECRET;
+
+const appendQuery = (url, params) => {
+  const separator = String(url).includes('?') ? '&' : '?';
+  return `${url}${separator}${new URLSearchParams(params).toString()}`;
+};
+
+module.exports = {
+  id: 'fake',
+  label: 'Test payment',
+  paymentMethod: 'credit_card',
+
+  isEnabled() {
+    return process.env.NODE_ENV !== 'production'
+      && String(process.env.PAYMENT_FAKE_PROVIDER_ENABLED || '').toLowerCase() === 'true';
+  },
+
+  async createOrder({ amount, currency, reference, returnUrl }) {
+    const orderId = `fake_${crypto.randomBytes(8).toString('hex')}`;
+    orders.set(orderId, { amount: Number(amount), currency, reference, status: 'approved' });
+    return { orderId, redirectUrl: appendQuery(returnUrl, { token: orderId }) };
+  },
+
+  async confirmOrder({ orderId }) {
+    const order = orders.get(orderId);
+    if (!order) return { status: 'failed', orderId, reason: 'unknown_order' };
+    if (order.status === 'declined') return { status: 'failed', orderId, reason: 'declined' };
+    order.status = 'captured';
+    return {
+      status: 'completed',
+      orderId,
+      transactionId: `fake_txn_${orderId.replace(/^fake_/, '')}`,
+      amount: order.amount,
+      currency: order.currency
+    };
+  },
+
+  async verifyWebhook(req) {
+    return verifyHmacRequest(req, {
+      secret: getSecret(),
+      timestampHeader: 'X-Waraqa-Timestamp',
+      signatureHeader: 'X-Waraqa-Signature'
+    });
+  },
+
+  parseWebhookEvent(req) {
+    const event = req.body || {};
+    if (event.type === 'payment.completed' || event.type === 'payment.failed') {
+      return {
+        eventId: event.id,
+        type: event.type,
+        orderId: event.orderId,
+        transactionId: event.transactionId,
+        amount: Number(event.amount),
+        currency: event.currency,
+        reason: event.reason
+      };
+    }
+    return { eventId: event.id, type: 'ignored' };
+  },
+
+  // Test helper: build the headers a real delivery would carry for `body`.
+  buildSignedHeaders(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    return {
+      'X-Waraqa-Timestamp': String(timestamp),
+      'X-Waraqa-Signature': `sha256=${signPayload(getSecret(), timestamp, rawBody)}`
+    };
+  }
+};
@@ -0,0 +1,33 @@
+// backend/services/paymentProviders/index.js
+// Registry of online payment providers for the public invoice checkout.
+//
+// Every provider exposes the same surface:
+//   id, label, paymentMethod (Invoice.paymentLogs method enum)
+//   isEnabled()                       -> credentials/config present
+//   createOrder({ amount, currency, reference, description, returnUrl, cancelUrl, idempotencyKey })
+//                                     -> { orderId, redirectUrl }
+//   confirmOrder({ orderId })         -> { status: 'completed'|'pending'|'failed', transactionId, amount, currency }
+//   verifyWebhook(req)                -> Promise<boolean>
+//   parseWebhookEvent(req)            -> { eventId, type: 'payment.completed'|'payment.failed'|'order.approved'|'ignored', orderId, ... }
+const paypalProvider = require('./paypalProvider');
+const cardGatewayProvider = require('./cardGatewayProvider');
+const fakeProvider = require('./fakeProvider');
+
+const PROVIDERS = [paypalProvider, cardGatewayProvider, fakeProvider];
+
+const getProvider = (id) => PROVIDERS.find((provider) => provider.id === String(id || '').trim().toLowerCase()) || null;
+
+const getEnabledProvider = (id) => {
+  const provider = getProvider(id);
+  return provider && provider.isEnabled() ? provider : null;
+};
+
+const listEnabledProviders = () => PROVIDERS
+  .filter((provider) => provider.isEnabled())
+  .map((provider) => ({ id: provider.id, label: provider.label }));
+
+module.exports = {
+  getProvider,
+  getEnabledProvider,
+  listEnabledProviders
+};
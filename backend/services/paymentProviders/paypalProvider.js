@@ -0,0 +1,190 @@
+// backend/services/paymentProviders/paypalProvider.js
+// PayPal Orders v2: create an order, send the guardian to the approval link,
+// capture on return (or on the CHECKOUT.ORDER.APPROVED webhook).
+//
+// Env:
+//   PAYPAL_CLIENT_ID / PAYPAL_CLIENT_SECRET  REST app credentials (required)
+//   PAYPAL_WEBHOOK_ID                        id of the webhook registered in the PayPal app
+//   PAYPAL_MODE=live                         use the live API (defaults to sandbox)
+//   PAYPAL_API_BASE                          explicit API base override
+const axios = require('axios');
+
+const resolveApiBase = () => {
+  if (process.env.PAYPAL_API_BASE) return String(process.env.PAYPAL_API_BASE).replace(/\/+$/, '');
+  return String(process.env.PAYPAL_MODE || '').toLowerCase() === 'live'
+    ? 'https://api-m.paypal.com'
+    : 'https://api-m.sandbox.paypal.com';
+};
+
+let cachedToken = null;
+
+const getAccessToken = async () => {
+  if (cachedToken && cachedToken.expiresAt > Date.now() + 60 * 1000) {
+    return cachedToken.token;
+  }
+  const { data } = await axios.post(
+    `${resolveApiBase()}/v1/oauth2/token`,
+    'grant_type=client_credentials',
+    {
+      auth: { username: process.env.PAYPAL_CLIENT_ID, password: process.env.PAYPAL_CLIENT_SECRET },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000
+    }
+  );
+  cachedToken = {
+    token: data.access_token,
+    expiresAt: Date.now() + (Number(data.expires_in || 0) * 1000)
+  };
+  return cachedToken.token;
+};
+
+const paypalRequest = async (method, path, body, extraHeaders = {}) => {
+  const token = await getAccessToken();
+  const { data } = await axios({
+    method,
+    url: `${resolveApiBase()}${path}`,
+    data: body,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json',
+      ...extraHeaders
+    },
+    timeout: 15000
+  });
+  return data;
+};
+
+// Pull the completed capture out of an order / capture response.
+const extractCapture = (order) => {
+  const units = Array.isArray(order?.purchase_units) ? order.purchase_units : [];
+  for (const unit of units) {
+    const captures = Array.isArray(unit?.payments?.captures) ? unit.payments.captures : [];
+    const capture = captures.find((c) => c && c.status === 'COMPLETED') || captures[0];
+    if (capture) return capture;
+  }
+  return null;
+};
+
+const toResult = (order) => {
+  const capture = extractCapture(order);
+  if (capture && capture.status === 'COMPLETED') {
+    return {
+      status: 'completed',
+      orderId: order.id,
+      transactionId: capture.id,
+      amount: Number(capture.amount?.value),
+      currency: capture.amount?.currency_code
+    };
+  }
+  if (capture && ['DECLINED', 'FAILED'].includes(capture.status)) {
+    return { status: 'failed', orderId: order.id, reason: capture.status };
+  }
+  return { status: 'pending', orderId: order?.id };
+};
+
+module.exports = {
+  id: 'paypal',
+  label: 'PayPal',
+  paymentMethod: 'paypal',
+
+  isEnabled() {
+    return Boolean(process.env.PAYPAL_CLIENT_ID && process.env.PAYPAL_CLIENT_SECRET);
+  },
+
+  async createOrder({ amount, currency, reference, description, returnUrl, cancelUrl, idempotencyKey }) {
+    const order = await paypalRequest('post', '/v2/checkout/orders', {
+      intent: 'CAPTURE',
+      purchase_units: [{
+        reference_id: reference,
+        custom_id: reference,
+        invoice_id: reference,
+        description: description ? String(description).slice(0, 127) : undefined,
+        amount: { currency_code: currency, value: Number(amount).toFixed(2) }
+      }],
+      application_context: {
+        return_url: returnUrl,
+        cancel_url: cancelUrl,
+        user_action: 'PAY_NOW',
+        shipping_preference: 'NO_SHIPPING'
+      }
+    }, idempotencyKey ? { 'PayPal-Request-Id': idempotencyKey } : {});
+
+    const approve = (order.links || []).find((link) => link.rel === 'approve' || link.rel === 'payer-action');
+    if (!approve) {
+      throw new Error('PayPal did not return an approval link');
+    }
+    return { orderId: order.id, redirectUrl: approve.href };
+  },
+
+  // Capture an approved order. Capturing twice is answered with
+  // ORDER_ALREADY_CAPTURED, in which case the stored order is read back.
+  async confirmOrder({ orderId }) {
+    try {
+      const order = await paypalRequest('post', `/v2/checkout/orders/${encodeURIComponent(orderId)}/capture`, {}, {
+        'PayPal-Request-Id': `capture-${orderId}`
+      });
+      return toResult(order);
+    } catch (err) {
+      const issue = err?.response?.data?.details?.[0]?.issue;
+      if (issue === 'ORDER_ALREADY_CAPTURED' || issue === 'ORDER_NOT_APPROVED') {
+        const order = await paypalRequest('get', `/v2/checkout/orders/${encodeURIComponent(orderId)}`);
+        return toResult(order);
+      }
+      throw err;
+    }
+  },
+
+  // PayPal signs webhooks with a certificate; the verify-webhook-signature API
+  // checks the transmission headers against the registered webhook id.
+  async verifyWebhook(req) {
+    const webhookId = process.env.PAYPAL_WEBHOOK_ID;
+    if (!webhookId || !this.isEnabled()) return false;
+    const headers = {
+      auth_algo: req.get('PAYPAL-AUTH-ALGO'),
+      cert_url: req.get('PAYPAL-CERT-URL'),
+      transmission_id: req.get('PAYPAL-TRANSMISSION-ID'),
+      transmission_sig: req.get('PAYPAL-TRANSMISSION-SIG'),
+      transmission_time: req.get('PAYPAL-TRANSMISSION-TIME')
+    };
+    if (Object.values(headers).some((value) => !value)) return false;
+    try {
+      const data = await paypalRequest('post', '/v1/notifications/verify-webhook-signature', {
+        ...headers,
+        webhook_id: webhookId,
+        webhook_event: req.body
+      });
+      return data?.verification_status === 'SUCCESS';
+    } catch (err) {
+      console.warn('[paypalProvider] webhook verification failed:', err?.message || err);
+      return false;
+    }
+  },
+
+  parseWebhookEvent(req) {
+    const event = req.body || {};
+    const resource = event.resource || {};
+    switch (event.event_type) {
+      case 'CHECKOUT.ORDER.APPROVED':
+        return { eventId: event.id, type: 'order.approved', orderId: resource.id };
+      case 'PAYMENT.CAPTURE.COMPLETED':
+        return {
+          eventId: event.id,
+          type: 'payment.completed',
+          orderId: resource.supplementary_data?.related_ids?.order_id || null,
+          transactionId: resource.id,
+          amount: Number(resource.amount?.value),
+          currency: resource.amount?.currency_code
+        };
+      case 'PAYMENT.CAPTURE.DENIED':
+      case 'PAYMENT.CAPTURE.DECLINED':
+        return {
+          eventId: event.id,
+          type: 'payment.failed',
+          orderId: resource.supplementary_data?.related_ids?.order_id || null,
+          reason: event.event_type
+        };
+      default:
+        return { eventId: event.id, type: 'ignored' };
+    }
+  }
+};
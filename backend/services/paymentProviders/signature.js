@@ -0,0 +1,42 @@
+// backend/services/paymentProviders/signature.js
+// HMAC helpers shared by providers that sign webhooks with a shared secret.
+// Same scheme as the inbound website booking webhook: HMAC-SHA256 over
+// `${timestamp}.${rawBody}`, hex encoded, optionally prefixed with "sha256=".
+const crypto = require('crypto');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const signPayload = (secret, timestamp, rawBody) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${rawBody}`)
+  .digest('hex');
+
+const getRawBody = (req) => (req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {}));
+
+// Returns true only on an exact, fresh match (replay window +/- 5 minutes).
+const verifyHmacRequest = (req, { secret, timestampHeader, signatureHeader, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS }) => {
+  if (!secret) return false;
+  const ts = req.get(timestampHeader);
+  const sigHeader = req.get(signatureHeader) || '';
+  if (!ts || !sigHeader) return false;
+  if (!/^\d+$/.test(String(ts))) return false;
+  if (Math.abs(Math.floor(Date.now() / 1000) - Number(ts)) > toleranceSeconds) return false;
+
+  const expected = signPayload(secret, ts, getRawBody(req));
+  const provided = sigHeader.replace(/^sha256=/, '');
+  let a;
+  let b;
+  try {
+    a = Buffer.from(expected, 'hex');
+    b = Buffer.from(provided, 'hex');
+  } catch (e) {
+    return false;
+  }
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+module.exports = {
+  signPayload,
+  getRawBody,
+  verifyHmacRequest
+};
@@ -0,0 +1,562 @@
+// backend/services/reconciliationService.js
+// ============================================================
+// Bank / InstaPay / PayPal statement import and reconciliation
+// ============================================================
+// Flow:
+//   1. An admin uploads a CSV export. parseStatement() maps the columns of
+//      the known export layouts (bank, InstaPay, PayPal activity) and keeps
+//      incoming credits only.
+//   2. importStatement() stores each credit as a BankStatementLine; the row
+//      fingerprint makes re-importing an overlapping export a no-op.
+//   3. Every new line is scored against the open guardian invoices by
+//      amount, invoice reference, payer name and date. Lines with a good
+//      candidate become "suggested", the rest stay "unmatched" for review.
+//   4. confirmMatches() applies the admin-approved pairs through
+//      InvoiceService.processInvoicePayment with the statement reference as
+//      transactionId and a per-line idempotencyKey, so confirming twice never
+//      credits hours twice.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { parse: parseCsv } = require('csv-parse/sync');
+const BankStatementLine = require('../models/BankStatementLine');
+const Invoice = require('../models/Invoice');
+const InvoiceService = require('./invoiceService');
+
+const SOURCES = ['bank', 'instapay', 'paypal'];
+const OPEN_STATUSES = ['pending', 'sent', 'overdue'];
+const AMOUNT_TOLERANCE = 0.01;
+const MIN_SUGGESTION_SCORE = 30;
+const MAX_SUGGESTIONS = 3;
+const DATE_WINDOW_DAYS = 45;
+
+const PAYMENT_METHOD_BY_SOURCE = {
+  bank: 'bank_transfer',
+  instapay: 'bank_transfer',
+  paypal: 'paypal'
+};
+
+// Header aliases, compared lower-cased with punctuation stripped.
+const COLUMN_ALIASES = {
+  date: ['date', 'transaction date', 'value date', 'booking date', 'posting date'],
+  credit: ['credit', 'credit amount', 'deposit', 'deposits', 'money in', 'paid in'],
+  debit: ['debit', 'debit amount', 'withdrawal', 'withdrawals', 'money out', 'paid out'],
+  amount: ['amount', 'gross', 'transaction amount', 'value'],
+  currency: ['currency', 'ccy'],
+  payerName: ['name', 'payer', 'payer name', 'sender', 'sender name', 'from', 'from name', 'counterparty', 'beneficiary'],
+  reference: ['transaction id', 'reference', 'reference number', 'ref', 'transaction reference', 'receipt id', 'instapay reference'],
+  description: ['description', 'details', 'narrative', 'memo', 'note', 'subject', 'item title', 'remarks', 'transaction details'],
+  status: ['status'],
+  type: ['type', 'transaction type']
+};
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const roundHours = (value) => Math.round((Number(value) || 0) * 1000) / 1000;
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+const normalizeText = (value) => String(value || '').toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * "1,234.50", "1.234,50", "(25.00)", "EGP 500", "-12" → number (NaN when unreadable).
+ */
+function parseAmount(value) {
+  if (value === undefined || value === null) return NaN;
+  let text = String(value).trim();
+  if (!text) return NaN;
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  text = text.replace(/[^0-9.,-]/g, '');
+  if (text.startsWith('-')) {
+    negative = !negative;
+    text = text.slice(1);
+  }
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  if (lastComma > lastDot) {
+    // Comma is the decimal separator when followed by 1–2 digits ("1.234,50")
+    text = /,\d{1,2}$/.test(text) ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+  const numeric = Number(text);
+  if (!Number.isFinite(numeric) || text === '') return NaN;
+  return negative ? -numeric : numeric;
+}
+
+/**
+ * Parse a statement date. dateFormat is "DMY" or "MDY" for slash/dot dates;
+ * ISO dates and "12 Mar 2025" style dates are recognised regardless.
+ */
+function parseStatementDate(value, dateFormat = 'DMY') {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (iso) {
+    const date = new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const numeric = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+  if (numeric) {
+    let [, first, second, year] = numeric.map(Number);
+    if (year < 100) year += 2000;
+    let day = dateFormat === 'MDY' ? second : first;
+    let month = dateFormat === 'MDY' ? first : second;
+    // An impossible month means the export used the other order
+    if (month > 12 && day <= 12) [day, month] = [month, day];
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  const parsed = new Date(text);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+}
+
+function resolveColumns(headers) {
+  const normalized = headers.map((header) => ({ header, key: normalizeHeader(header) }));
+  // Free-text columns are all kept: PayPal splits the payer's text over Subject and Note
+  const columns = {
+    description: normalized.filter((entry) => COLUMN_ALIASES.description.includes(entry.key)).map((entry) => entry.header)
+  };
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    if (field === 'description') continue;
+    for (const alias of aliases) {
+      const hit = normalized.find((entry) => entry.key === alias);
+      if (hit) {
+        columns[field] = hit.header;
+        break;
+      }
+    }
+  }
+  return columns;
+}
+
+function buildFingerprint(source, line) {
+  return crypto
+    .createHash('sha1')
+    .update([source, line.date.toISOString().slice(0, 10), line.amount.toFixed(2), line.currency || '', line.reference || '', line.description || '', line.payerName || ''].join('|'))
+    .digest('hex');
+}
+
+/**
+ * Turn a CSV export into incoming-payment lines. Debits, zero rows and
+ * non-completed PayPal activity are skipped and counted.
+ */
+function parseStatement(text, { source = 'bank', dateFormat, defaultCurrency } = {}) {
+  if (!SOURCES.includes(source)) throw buildError(400, `Unsupported statement source "${source}"`, 'STATEMENT_SOURCE_INVALID');
+
+  let rows;
+  try {
+    rows = parseCsv(String(text || '').replace(/^\uFEFF/, ''), {
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true
+    });
+  } catch (err) {
+    throw buildError(400, `Could not read the CSV file: ${err.message}`, 'STATEMENT_CSV_INVALID');
+  }
+  if (!rows.length) throw buildError(400, 'The statement has no rows', 'STATEMENT_EMPTY');
+
+  const columns = resolveColumns(Object.keys(rows[0]));
+  if (!columns.date || !(columns.amount || columns.credit)) {
+    throw buildError(400, 'The statement needs a date column and an amount or credit column', 'STATEMENT_COLUMNS_MISSING');
+  }
+
+  // PayPal activity exports use US dates
+  const effectiveDateFormat = dateFormat || (source === 'paypal' ? 'MDY' : 'DMY');
+  const lines = [];
+  const skipped = { debits: 0, incomplete: 0, invalid: 0 };
+
+  rows.forEach((row, idx) => {
+    const rowNumber = idx + 2; // header is row 1
+    if (columns.status && source === 'paypal') {
+      const status = String(row[columns.status] || '').toLowerCase();
+      if (status && status !== 'completed') {
+        skipped.incomplete += 1;
+        return;
+      }
+    }
+
+    let amount = NaN;
+    if (columns.credit) {
+      amount = parseAmount(row[columns.credit]);
+      if (!Number.isFinite(amount) && columns.debit && Number.isFinite(parseAmount(row[columns.debit]))) {
+        skipped.debits += 1;
+        return;
+      }
+    }
+    if (!Number.isFinite(amount) && columns.amount) amount = parseAmount(row[columns.amount]);
+
+    const date = parseStatementDate(row[columns.date], effectiveDateFormat);
+    if (!Number.isFinite(amount) || !date) {
+      skipped.invalid += 1;
+      return;
+    }
+    if (amount <= 0) {
+      skipped.debits += 1;
+      return;
+    }
+
+    const pick = (field) => (columns[field] ? String(row[columns[field]] || '').trim() : '');
+    const descriptionParts = [...columns.description.map((header) => String(row[header] || '').trim()), pick('type')].filter(Boolean);
+    lines.push({
+      rowNumber,
+      date,
+      amount: roundCurrency(amount),
+      currency: (pick('currency') || defaultCurrency || '').toUpperCase() || undefined,
+      payerName: pick('payerName') || undefined,
+      reference: pick('reference') || undefined,
+      description: descriptionParts.join(' · ') || undefined,
+      raw: row
+    });
+  });
+
+  return { lines, skipped, columns };
+}
+
+const guardianNameOf = (invoice) => {
+  const guardian = invoice.guardian && invoice.guardian.firstName !== undefined ? invoice.guardian : (invoice.guardianSnapshot || {});
+  return [guardian.firstName, guardian.lastName].filter(Boolean).join(' ').trim();
+};
+
+const dueAmountOf = (invoice) => {
+  const total = Number(invoice.adjustedTotal || invoice.total || 0);
+  return roundCurrency(Math.max(0, total - Number(invoice.paidAmount || 0)));
+};
+
+/**
+ * Score one open invoice against a statement line. Amounts only count when
+ * the currencies agree (or the statement has none).
+ */
+function scoreCandidate(line, invoice) {
+  let score = 0;
+  const reasons = [];
+  const invoiceCurrency = String(invoice.currency || 'USD').toUpperCase();
+  const currencyMatches = !line.currency || line.currency === invoiceCurrency;
+
+  if (currencyMatches) {
+    const due = dueAmountOf(invoice);
+    const total = roundCurrency(invoice.adjustedTotal || invoice.total || 0);
+    if (Math.abs(line.amount - due) <= AMOUNT_TOLERANCE) {
+      score += 50;
+      reasons.push('amount equals balance due');
+    } else if (Math.abs(line.amount - total) <= AMOUNT_TOLERANCE) {
+      score += 40;
+      reasons.push('amount equals invoice total');
+    } else if (due > 0 && Math.abs(line.amount - due) / due <= 0.01) {
+      score += 25;
+      reasons.push('amount within 1% of balance due');
+    }
+  }
+
+  const haystack = ` ${normalizeText([line.reference, line.description, line.payerName].filter(Boolean).join(' '))} `;
+  const identifiers = [invoice.invoiceNumber, invoice.invoiceName, invoice.invoiceSlug]
+    .map(normalizeText)
+    .filter((value) => value && value.length >= 4);
+  if (identifiers.some((id) => haystack.includes(` ${id} `))) {
+    score += 40;
+    reasons.push('invoice reference in statement text');
+  }
+
+  const guardianTokens = normalizeText(guardianNameOf(invoice)).split(' ').filter((token) => token.length >= 2);
+  if (guardianTokens.length) {
+    const found = guardianTokens.filter((token) => haystack.includes(` ${token} `));
+    if (found.length === guardianTokens.length) {
+      score += 25;
+      reasons.push('guardian name matches payer');
+    } else if (found.includes(guardianTokens[guardianTokens.length - 1])) {
+      score += 10;
+      reasons.push('guardian last name matches payer');
+    }
+  }
+
+  const issuedAt = new Date(invoice.createdAt || invoice.billingPeriod?.startDate || 0).getTime();
+  const paidAt = new Date(line.date).getTime();
+  if (issuedAt && paidAt >= issuedAt - 86400000 && paidAt - issuedAt <= DATE_WINDOW_DAYS * 86400000) {
+    score += 10;
+    reasons.push(`paid within ${DATE_WINDOW_DAYS} days of issue`);
+  }
+
+  return { score, reasons };
+}
+
+async function loadOpenInvoices() {
+  return Invoice.find({ type: 'guardian_invoice', deleted: { $ne: true }, status: { $in: OPEN_STATUSES } })
+    .select('invoiceNumber invoiceName invoiceSlug guardian guardianSnapshot currency total adjustedTotal paidAmount status createdAt billingPeriod')
+    .populate('guardian', 'firstName lastName email')
+    .lean();
+}
+
+function rankSuggestions(line, invoices) {
+  return invoices
+    .map((invoice) => ({ invoice, ...scoreCandidate(line, invoice) }))
+    .filter((entry) => entry.score >= MIN_SUGGESTION_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ invoice, score, reasons }) => ({
+      invoice: invoice._id,
+      invoiceNumber: invoice.invoiceNumber || invoice.invoiceName,
+      guardianName: guardianNameOf(invoice),
+      amountDue: dueAmountOf(invoice),
+      currency: invoice.currency || 'USD',
+      score,
+      reasons
+    }));
+}
+
+/**
+ * Re-score open (unmatched/suggested) lines against the current open invoices.
+ * With no lineIds every open line is refreshed.
+ */
+async function suggestForLines(lineIds) {
+  const filter = { status: { $in: ['unmatched', 'suggested'] } };
+  if (Array.isArray(lineIds) && lineIds.length) filter._id = { $in: lineIds.filter((id) => mongoose.Types.ObjectId.isValid(id)) };
+  const [lines, invoices] = await Promise.all([BankStatementLine.find(filter), loadOpenInvoices()]);
+
+  let suggested = 0;
+  for (const line of lines) {
+    line.suggestions = rankSuggestions(line, invoices);
+    line.status = line.suggestions.length ? 'suggested' : 'unmatched';
+    if (line.suggestions.length) suggested += 1;
+    await line.save();
+  }
+  return { processed: lines.length, suggested, unmatched: lines.length - suggested };
+}
+
+async function importStatement({ buffer, fileName, source = 'bank', dateFormat, defaultCurrency }, actorId) {
+  if (!buffer || !buffer.length) throw buildError(400, 'Upload a CSV statement file', 'STATEMENT_FILE_MISSING');
+  const { lines, skipped } = parseStatement(buffer.toString('utf8'), { source, dateFormat, defaultCurrency });
+
+  const batchId = `${source}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+  const docs = lines.map((line) => ({
+    ...line,
+    batchId,
+    source,
+    fileName,
+    fingerprint: buildFingerprint(source, line),
+    importedBy: actorId || undefined
+  }));
+
+  const existing = new Set(
+    (await BankStatementLine.find({ fingerprint: { $in: docs.map((doc) => doc.fingerprint) } }).select('fingerprint').lean())
+      .map((doc) => doc.fingerprint)
+  );
+  const seen = new Set();
+  const fresh = docs.filter((doc) => {
+    if (existing.has(doc.fingerprint) || seen.has(doc.fingerprint)) return false;
+    seen.add(doc.fingerprint);
+    return true;
+  });
+
+  const inserted = fresh.length ? await BankStatementLine.insertMany(fresh, { ordered: false }) : [];
+  const suggestion = inserted.length
+    ? await suggestForLines(inserted.map((doc) => doc._id))
+    : { processed: 0, suggested: 0, unmatched: 0 };
+
+  return {
+    batchId,
+    imported: inserted.length,
+    duplicates: docs.length - fresh.length,
+    skipped,
+    suggested: suggestion.suggested,
+    unmatched: suggestion.unmatched
+  };
+}
+
+async function listLines({ status, batchId, page = 1, limit = 50 } = {}) {
+  const filter = {};
+  if (status === 'open') filter.status = { $in: ['unmatched', 'suggested'] };
+  else if (status && status !== 'all') filter.status = status;
+  if (batchId) filter.batchId = batchId;
+
+  const safeLimit = Math.min(200, Math.max(1, Number(limit) || 50));
+  const safePage = Math.max(1, Number(page) || 1);
+  const [lines, total, counts] = await Promise.all([
+    BankStatementLine.find(filter)
+      .select('-raw')
+      .sort({ date: -1, rowNumber: 1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .populate('matchedInvoice', 'invoiceNumber invoiceName status')
+      .lean(),
+    BankStatementLine.countDocuments(filter),
+    BankStatementLine.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+
+  const summary = { unmatched: 0, suggested: 0, matched: 0, ignored: 0 };
+  counts.forEach((row) => { summary[row._id] = row.count; });
+  return { lines, summary, pagination: { page: safePage, limit: safeLimit, total } };
+}
+
+/**
+ * Manual lookup for lines without a usable suggestion: open invoices whose
+ * number or guardian matches the query, scored against the line when given.
+ */
+async function searchCandidates({ q, lineId } = {}) {
+  const invoices = await loadOpenInvoices();
+  const query = normalizeText(q);
+  const line = lineId && mongoose.Types.ObjectId.isValid(lineId) ? await BankStatementLine.findById(lineId).lean() : null;
+
+  return invoices
+    .filter((invoice) => {
+      if (!query) return true;
+      const text = normalizeText([invoice.invoiceNumber, invoice.invoiceName, guardianNameOf(invoice), invoice.guardian?.email].join(' '));
+      return text.includes(query);
+    })
+    .map((invoice) => ({
+      invoice: invoice._id,
+      invoiceNumber: invoice.invoiceNumber || invoice.invoiceName,
+      guardianName: guardianNameOf(invoice),
+      amountDue: dueAmountOf(invoice),
+      currency: invoice.currency || 'USD',
+      ...(line ? scoreCandidate(line, invoice) : { score: 0, reasons: [] })
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 25);
+}
+
+/**
+ * Hours for a statement payment. A payment that settles the quote uses the
+ * quote's hours; anything else is converted net of the unpaid transfer fee and
+ * tax, matching processInvoicePayment's amount/hours consistency check.
+ */
+function resolvePaidHours(invoice, amount) {
+  const quote = InvoiceService.buildPaymentQuote(invoice);
+  if (!quote) return undefined;
+  if (Math.abs(quote.amount - amount) <= AMOUNT_TOLERANCE) return quote.paidHours;
+  const base = amount - quote.transferFee;
+  if (base <= 0) return undefined;
+  return roundHours(base / (quote.hourlyRate * (1 + (quote.taxRate || 0) / 100)));
+}
+
+async function applyMatch(line, invoiceId, actorId) {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice || invoice.deleted || invoice.type !== 'guardian_invoice') {
+    throw buildError(404, 'Invoice not found', 'INVOICE_NOT_FOUND');
+  }
+  const invoiceCurrency = String(invoice.currency || 'USD').toUpperCase();
+  if (line.currency && line.currency !== invoiceCurrency) {
+    throw buildError(400, `Statement currency ${line.currency} does not match invoice currency ${invoiceCurrency}`, 'CURRENCY_MISMATCH');
+  }
+
+  const transactionId = line.reference || `STMT-${line._id}`;
+  const result = await InvoiceService.processInvoicePayment(invoice._id, {
+    amount: line.amount,
+    paidHours: resolvePaidHours(invoice, line.amount),
+    paymentMethod: PAYMENT_METHOD_BY_SOURCE[line.source] || 'bank_transfer',
+    transactionId,
+    idempotencyKey: `statement:${line._id}`,
+    paidAt: line.date,
+    note: `Reconciled from ${line.source} statement${line.fileName ? ` (${line.fileName}, row ${line.rowNumber})` : ''}`
+  }, actorId);
+
+  if (!result || !result.success) {
+    throw buildError(400, result?.message || result?.error || 'Payment could not be applied', 'PAYMENT_APPLY_FAILED');
+  }
+  if (result.duplicate) {
+    throw buildError(409, result.message || 'Invoice is already settled', 'INVOICE_ALREADY_SETTLED');
+  }
+  return { transactionId, invoice: result.invoice };
+}
+
+/**
+ * Apply admin-confirmed matches ([{ lineId, invoiceId }]). Each pair is
+ * independent: failures are stored on the line and reported, the rest proceed.
+ */
+async function confirmMatches(matches, actorId) {
+  if (!Array.isArray(matches) || !matches.length) throw buildError(400, 'No matches to confirm', 'MATCHES_MISSING');
+
+  const results = [];
+  const touchedInvoices = [];
+  for (const { lineId, invoiceId } of matches) {
+    if (!mongoose.Types.ObjectId.isValid(lineId) || !mongoose.Types.ObjectId.isValid(invoiceId)) {
+      results.push({ lineId, success: false, message: 'Invalid line or invoice id' });
+      continue;
+    }
+    const line = await BankStatementLine.findById(lineId);
+    if (!line) {
+      results.push({ lineId, success: false, message: 'Statement line not found' });
+      continue;
+    }
+    if (line.status === 'matched' || line.status === 'ignored') {
+      results.push({ lineId, success: false, message: `Line is already ${line.status}` });
+      continue;
+    }
+
+    try {
+      const { transactionId, invoice } = await applyMatch(line, invoiceId, actorId);
+      line.status = 'matched';
+      line.matchedInvoice = invoiceId;
+      line.transactionId = transactionId;
+      line.matchedAt = new Date();
+      line.matchedBy = actorId || undefined;
+      line.lastError = undefined;
+      await line.save();
+      if (invoice) touchedInvoices.push(invoice);
+      results.push({ lineId, invoiceId, success: true });
+    } catch (err) {
+      line.lastError = err.message;
+      await line.save();
+      results.push({ lineId, invoiceId, success: false, message: err.message });
+    }
+  }
+
+  // Invoices that received money leave the open pool; refresh what is still pending
+  if (touchedInvoices.length) await suggestForLines();
+
+  return {
+    results,
+    invoices: touchedInvoices,
+    confirmed: results.filter((row) => row.success).length,
+    failed: results.filter((row) => !row.success).length
+  };
+}
+
+async function ignoreLines(lineIds, actorId, note) {
+  if (!Array.isArray(lineIds) || !lineIds.length) throw buildError(400, 'No statement lines selected', 'LINES_MISSING');
+  const ids = lineIds.filter((id) => mongoose.Types.ObjectId.isValid(id));
+  const result = await BankStatementLine.updateMany(
+    { _id: { $in: ids }, status: { $in: ['unmatched', 'suggested'] } },
+    { $set: { status: 'ignored', ignoredAt: new Date(), ignoredBy: actorId || undefined, note: note ? String(note).trim() : undefined } }
+  );
+  return { ignored: result.modifiedCount || 0 };
+}
+
+async function reopenLine(lineId) {
+  const line = mongoose.Types.ObjectId.isValid(lineId) ? await BankStatementLine.findById(lineId) : null;
+  if (!line) throw buildError(404, 'Statement line not found', 'LINE_NOT_FOUND');
+  if (line.status !== 'ignored') throw buildError(400, 'Only ignored lines can be reopened', 'LINE_NOT_IGNORED');
+  line.status = 'unmatched';
+  line.ignoredAt = undefined;
+  line.ignoredBy = undefined;
+  await line.save();
+  await suggestForLines([line._id]);
+  return BankStatementLine.findById(line._id).select('-raw').lean();
+}
+
+module.exports = {
+  parseStatement,
+  parseAmount,
+  parseStatementDate,
+  scoreCandidate,
+  rankSuggestions,
+  resolvePaidHours,
+  importStatement,
+  suggestForLines,
+  listLines,
+  searchCandidates,
+  confirmMatches,
+  ignoreLines,
+  reopenLine
+};
@@ -52,6 +52,8 @@ async function applySystemVacation(systemVacation) {
  * @param {Date} vacationData.endDate - End date in the specified timezone
  * @param {string} vacationData.timezone - Timezone for the vacation period
  * @param {string} vacationData.createdBy - Admin user ID
+ * @param {string} [vacationData.hijriRule] - Hijri scheduling rule that generated it
+ * @param {number} [vacationData.hijriYear] - Hijri year it was resolved for
  */
 async function createSystemVacation(vacationData) {
   try {
@@ -61,7 +63,9 @@ async function createSystemVacation(vacationData) {
       startDate: vacationData.startDate,
       endDate: vacationData.endDate,
       timezone: vacationData.timezone,
-      createdBy: vacationData.createdBy
+      createdBy: vacationData.createdBy,
+      hijriRule: vacationData.hijriRule || null,
+      hijriYear: vacationData.hijriYear ?? null
     });
 
     const affectedClasses = await Class.countDocuments(
@@ -278,6 +282,88 @@ async function getActiveSystemVacationForDate(date) {
   }
 }
 
+/**
+ * Get all active system vacations overlapping a date range, earliest first.
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Promise<Array>}
+ */
+async function getActiveSystemVacationsBetween(startDate, endDate) {
+  try {
+    return await SystemVacation.find(buildSystemVacationOverlapQuery(startDate, endDate))
+      .sort({ startDate: 1 });
+  } catch (error) {
+    console.error('Error loading system vacations for range:', error);
+    return [];
+  }
+}
+
+/**
+ * Summarize classes affected by a schedule change, grouped per student
+ * (used by the system vacation and Hijri rule impact previews).
+ * @param {Array} classes - lean classes with teacher populated
+ * @param {Function} [mapClass] - extra fields for each listed class
+ * @returns {{ totalStudents: number, totalClasses: number, totalMinutes: number, students: Array }}
+ */
+function summarizeClassImpact(classes, mapClass = () => ({})) {
+  const grouped = new Map();
+  let totalMinutes = 0;
+
+  for (const cls of classes) {
+    const studentId = String(cls?.student?.studentId || 'unknown');
+    const guardianId = String(cls?.student?.guardianId || '');
+    const key = `${studentId}:${guardianId}`;
+    const duration = Number(cls?.duration) || 0;
+    totalMinutes += duration;
+
+    if (!grouped.has(key)) {
+      grouped.set(key, {
+        studentId,
+        studentName: cls?.student?.studentName || 'Student',
+        guardianName: null,
+        guardianEmail: null,
+        configuredHandling: { handling: 'hold' },
+        firstClassStart: cls?.scheduledDate || null,
+        lastClassEnd: cls?.scheduledDate
+          ? new Date(new Date(cls.scheduledDate).getTime() + duration * 60 * 1000)
+          : null,
+        classes: [],
+      });
+    }
+
+    const entry = grouped.get(key);
+    const classEnd = cls?.scheduledDate
+      ? new Date(new Date(cls.scheduledDate).getTime() + duration * 60 * 1000)
+      : null;
+
+    if (!entry.firstClassStart || new Date(cls.scheduledDate) < new Date(entry.firstClassStart)) {
+      entry.firstClassStart = cls.scheduledDate;
+    }
+    if (classEnd && (!entry.lastClassEnd || classEnd > new Date(entry.lastClassEnd))) {
+      entry.lastClassEnd = classEnd;
+    }
+
+    entry.classes.push({
+      classId: cls._id,
+      scheduledDate: cls.scheduledDate,
+      duration: cls.duration,
+      subject: cls.subject,
+      teacherName: cls.teacher
+        ? (cls.teacher.fullName || `${cls.teacher.firstName || ''} ${cls.teacher.lastName || ''}`.trim() || cls.teacher.email)
+        : null,
+      status: cls.status,
+      ...mapClass(cls),
+    });
+  }
+
+  return {
+    totalStudents: grouped.size,
+    totalClasses: classes.length,
+    totalMinutes,
+    students: Array.from(grouped.values()),
+  };
+}
+
 /**
  * Get an overlapping active system vacation for a date range.
  * @param {Date} startDate
@@ -409,6 +495,8 @@ module.exports = {
   getCurrentOrUpcomingVacation,
   getActiveSystemVacationForDate,
   getOverlappingSystemVacation,
+  getActiveSystemVacationsBetween,
+  summarizeClassImpact,
   getAllSystemVacations,
   endSystemVacation,
   checkAndRestoreExpiredSystemVacations
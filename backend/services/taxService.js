@@ -0,0 +1,190 @@
+// backend/services/taxService.js
+// Tax rules per guardian country and the legal entities invoices are issued by.
+// Both live in one Setting document. New guardian invoices snapshot the matching
+// rule (rate, reverse-charge note) and entity (address, tax number, numbering
+// series) in Invoice#applyTaxRules, so editing the config never rewrites issued
+// invoices.
+const mongoose = require('mongoose');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+
+const CONFIG_SETTING_KEY = 'invoicing.taxConfig';
+const WILDCARD_COUNTRY = '*';
+
+const DEFAULT_CONFIG = {
+  defaultEntityKey: 'waraqa',
+  legalEntities: [
+    {
+      key: 'waraqa',
+      name: 'Waraqa',
+      address: '',
+      taxRegistrationNumber: '',
+      email: '',
+      phone: '',
+      series: { enabled: false, prefix: '', resetYearly: true, padding: 4 }
+    }
+  ],
+  rules: []
+};
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const slugifyKey = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const normalizeCountry = (value) => String(value || '').trim().toLowerCase();
+
+const trimmed = (value, max = 500) => String(value || '').trim().slice(0, max);
+
+const normalizeEntity = (entity, idx) => {
+  const name = trimmed(entity?.name, 200);
+  if (!name) throw buildError(400, 'Legal entity name is required', 'TAX_ENTITY_INVALID');
+  const series = entity?.series || {};
+  const prefix = trimmed(series.prefix, 20).toUpperCase().replace(/[^A-Z0-9-]/g, '');
+  const padding = Math.min(8, Math.max(1, Math.floor(Number(series.padding) || 4)));
+  const enabled = Boolean(series.enabled);
+  if (enabled && !prefix) {
+    throw buildError(400, `Numbering series for "${name}" needs a prefix`, 'TAX_ENTITY_INVALID');
+  }
+  return {
+    key: slugifyKey(entity?.key) || slugifyKey(name) || `entity_${idx + 1}`,
+    name,
+    address: trimmed(entity?.address),
+    taxRegistrationNumber: trimmed(entity?.taxRegistrationNumber, 60),
+    email: trimmed(entity?.email, 200),
+    phone: trimmed(entity?.phone, 60),
+    series: { enabled, prefix, resetYearly: series.resetYearly !== false, padding }
+  };
+};
+
+const normalizeRule = (rule, entityKeys) => {
+  const country = rule?.country === WILDCARD_COUNTRY ? WILDCARD_COUNTRY : trimmed(rule?.country, 80);
+  if (!country) throw buildError(400, 'Tax rule country is required', 'TAX_RULE_INVALID');
+  const rate = Number(rule?.rate);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+    throw buildError(400, `Tax rate for ${country} must be between 0 and 100`, 'TAX_RULE_INVALID');
+  }
+  const legalEntityKey = slugifyKey(rule?.legalEntityKey);
+  if (legalEntityKey && !entityKeys.has(legalEntityKey)) {
+    throw buildError(400, `Tax rule for ${country} references an unknown legal entity`, 'TAX_RULE_INVALID');
+  }
+  return {
+    country,
+    label: trimmed(rule?.label, 60) || 'VAT',
+    rate: Math.round(rate * 100) / 100,
+    reverseCharge: Boolean(rule?.reverseCharge),
+    reverseChargeNote: trimmed(rule?.reverseChargeNote) || 'Reverse charge: VAT to be accounted for by the recipient.',
+    legalEntityKey: legalEntityKey || null
+  };
+};
+
+const normalizeConfig = (config = {}) => {
+  const sourceEntities = Array.isArray(config.legalEntities) && config.legalEntities.length
+    ? config.legalEntities
+    : DEFAULT_CONFIG.legalEntities;
+  const legalEntities = sourceEntities.map(normalizeEntity);
+  const entityKeys = new Set();
+  legalEntities.forEach((entity) => {
+    if (entityKeys.has(entity.key)) throw buildError(400, `Duplicate legal entity key "${entity.key}"`, 'TAX_ENTITY_DUPLICATE');
+    entityKeys.add(entity.key);
+  });
+
+  const rules = Array.isArray(config.rules) ? config.rules.map((rule) => normalizeRule(rule, entityKeys)) : [];
+  const seenCountries = new Set();
+  rules.forEach((rule) => {
+    const key = normalizeCountry(rule.country);
+    if (seenCountries.has(key)) throw buildError(400, `Duplicate tax rule for ${rule.country}`, 'TAX_RULE_DUPLICATE');
+    seenCountries.add(key);
+  });
+
+  const defaultEntityKey = entityKeys.has(slugifyKey(config.defaultEntityKey))
+    ? slugifyKey(config.defaultEntityKey)
+    : legalEntities[0].key;
+
+  return { defaultEntityKey, legalEntities, rules };
+};
+
+async function getConfig() {
+  const doc = await Setting.findOne({ key: CONFIG_SETTING_KEY }).lean();
+  if (!doc || !doc.value) return normalizeConfig(DEFAULT_CONFIG);
+  try {
+    return normalizeConfig(doc.value);
+  } catch (err) {
+    console.warn('[Tax] Stored config is invalid, using defaults:', err.message);
+    return normalizeConfig(DEFAULT_CONFIG);
+  }
+}
+
+async function updateConfig(body = {}) {
+  const current = await getConfig();
+  const next = normalizeConfig({
+    defaultEntityKey: body.defaultEntityKey !== undefined ? body.defaultEntityKey : current.defaultEntityKey,
+    legalEntities: body.legalEntities !== undefined ? body.legalEntities : current.legalEntities,
+    rules: body.rules !== undefined ? body.rules : current.rules
+  });
+  await Setting.findOneAndUpdate(
+    { key: CONFIG_SETTING_KEY },
+    { $set: { value: next, description: 'Guardian invoice tax rules and legal entities' } },
+    { upsert: true, new: true }
+  );
+  return next;
+}
+
+const guardianCountry = (guardian) => guardian?.guardianInfo?.billingAddress?.country
+  || guardian?.address?.country
+  || '';
+
+/**
+ * Pick the tax rule and legal entity for a guardian. Country matching is
+ * case-insensitive; a "*" rule applies when no country rule matches.
+ * Reverse charge only zero-rates guardians with a tax registration number.
+ */
+function resolveForGuardian(guardian, config) {
+  const country = guardianCountry(guardian);
+  const customerTaxId = trimmed(guardian?.guardianInfo?.taxRegistrationNumber, 60);
+  const rule = config.rules.find((r) => r.country !== WILDCARD_COUNTRY && normalizeCountry(r.country) === normalizeCountry(country))
+    || config.rules.find((r) => r.country === WILDCARD_COUNTRY)
+    || null;
+  const entityKey = rule?.legalEntityKey || config.defaultEntityKey;
+  const legalEntity = config.legalEntities.find((e) => e.key === entityKey) || config.legalEntities[0];
+
+  const reverseCharge = Boolean(rule?.reverseCharge && customerTaxId);
+  return {
+    legalEntity,
+    tax: rule ? {
+      country: rule.country === WILDCARD_COUNTRY ? (country || null) : rule.country,
+      label: rule.label,
+      rate: reverseCharge ? 0 : rule.rate,
+      reverseCharge,
+      note: reverseCharge ? rule.reverseChargeNote : null,
+      customerTaxId: customerTaxId || null
+    } : null
+  };
+}
+
+async function resolveForGuardianId(guardianId) {
+  if (!mongoose.Types.ObjectId.isValid(guardianId)) throw buildError(400, 'Invalid guardian id', 'INVALID_ID');
+  const guardian = await User.findOne({ _id: guardianId, role: 'guardian' })
+    .select('firstName lastName address guardianInfo.billingAddress guardianInfo.taxRegistrationNumber')
+    .lean();
+  if (!guardian) throw buildError(404, 'Guardian not found', 'GUARDIAN_NOT_FOUND');
+  const config = await getConfig();
+  return { guardianId: guardian._id, country: guardianCountry(guardian) || null, ...resolveForGuardian(guardian, config) };
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  WILDCARD_COUNTRY,
+  normalizeConfig,
+  getConfig,
+  updateConfig,
+  resolveForGuardian,
+  resolveForGuardianId
+};
@@ -230,6 +230,7 @@ const syncAvailabilitySlotEvent = async ({ slotDoc, mode = 'upsert' }) => {
 const syncUnavailablePeriodEvent = async ({ periodDoc, mode = 'upsert' }) => {
   if (!isConfigured()) return { ok: true, skipped: true, reason: 'not-configured' };
   if (!periodDoc?._id || !periodDoc?.teacherId) return { ok: true, skipped: true, reason: 'missing-period-or-teacher' };
+  if (periodDoc.source === 'google_calendar') return { ok: true, skipped: true, reason: 'imported-from-calendar' };
 
   const teacher = await loadTeacher(periodDoc.teacherId);
   if (!teacher) return { ok: true, skipped: true, reason: 'teacher-not-found' };
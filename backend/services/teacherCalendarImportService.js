@@ -0,0 +1,458 @@
+// backend/services/teacherCalendarImportService.js
+// Google Calendar -> Dashboard: mirror teachers' own appointments as busy time.
+//
+// The outbound services (teacherClassCalendarSyncService,
+// teacherAvailabilityCalendarSyncService) write Waraqa's schedule into Google.
+// This one reads the teacher's personal calendar, shared with the same service
+// account, and keeps one UnavailablePeriod (source 'google_calendar') per busy
+// event instance, so availabilityService.getBusyIntervalsForWindow and
+// validateTeacherAvailability stop offering and booking those hours.
+//
+// - The first read (and a weekly refresh) lists upcoming events in full and
+//   reconciles the mirror; every other read passes Google's syncToken and only
+//   applies what changed. A 410 Gone falls back to a full read.
+// - Only busy time is mirrored: free ("transparent") and declined events are
+//   ignored, and titles/descriptions are never copied.
+// - Events Waraqa wrote itself (class, availability and unavailability events,
+//   meeting invites) are ignored, as are personal copies of a teacher's own
+//   class at the same start and length.
+// - Only the next HORIZON_DAYS are mirrored; the weekly full read picks up
+//   events that move into the horizon.
+//
+// Set GOOGLE_CALENDAR_IMPORT_ENABLED=true (with the service-account variables
+// the outbound sync uses) to read from Google, or GOOGLE_CALENDAR_IMPORT_MOCK=true
+// to use the in-memory calendar in services/googleCalendarMock.js.
+const moment = require('moment-timezone');
+
+const TeacherCalendarConnection = require('../models/TeacherCalendarConnection');
+const UnavailablePeriod = require('../models/UnavailablePeriod');
+const Class = require('../models/Class');
+const User = require('../models/User');
+const { getCalendarClient } = require('./teacherClassCalendarSyncService');
+const { getSharedMockClient } = require('./googleCalendarMock');
+
+const SOURCE = 'google_calendar';
+const LOOKBACK_HOURS = 24;
+const HORIZON_DAYS = 120;
+const FULL_RESYNC_DAYS = 7;
+const PAGE_SIZE = 250;
+const MAX_PAGES = 40;
+const IMPORTED_DESCRIPTION = 'Busy in Google Calendar';
+const WARAQA_EVENT_ID = /^(cl|av|up)[a-f0-9]{24}$/;
+const BUSY_CLASS_STATUSES = ['scheduled', 'in_progress'];
+
+let clientFactory = null;
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const getConfig = () => ({
+  enabled: String(process.env.GOOGLE_CALENDAR_IMPORT_ENABLED || 'false').toLowerCase() === 'true',
+  mock: String(process.env.GOOGLE_CALENDAR_IMPORT_MOCK || 'false').toLowerCase() === 'true',
+  clientEmail: (process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL || '').trim(),
+  privateKey: (process.env.GOOGLE_SERVICE_ACCOUNT_PRIVATE_KEY || '').trim(),
+  waraqaCalendarId: (process.env.GOOGLE_CALENDAR_ID || '').trim(),
+});
+
+const isConfigured = () => {
+  const cfg = getConfig();
+  return Boolean(clientFactory || cfg.mock || (cfg.enabled && cfg.clientEmail && cfg.privateKey));
+};
+
+/**
+ * Swap the Calendar client (tests, scripts). Pass null to restore the default.
+ * @param {Function|null} factory returns an object exposing events.list
+ */
+const setCalendarClientFactory = (factory) => {
+  clientFactory = typeof factory === 'function' ? factory : null;
+};
+
+const getClient = () => {
+  if (clientFactory) return clientFactory();
+  if (getConfig().mock) return getSharedMockClient();
+  return getCalendarClient();
+};
+
+const errorStatus = (err) => Number(err?.response?.status || err?.code) || null;
+
+const describeError = (err) => {
+  const status = errorStatus(err);
+  if (status === 404 || status === 403) {
+    return 'The calendar is not shared with the Waraqa service account';
+  }
+  return err?.response?.data?.error?.message || err?.message || 'Calendar sync failed';
+};
+
+/* ----------------------------- event mapping ----------------------------- */
+
+const parseEventTime = (value, fallbackZone) => {
+  if (!value) return null;
+  if (value.dateTime) {
+    const date = new Date(value.dateTime);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  if (value.date) {
+    // All-day events start at local midnight of the calendar's time zone
+    const zone = value.timeZone || fallbackZone || 'UTC';
+    const local = moment.tz(value.date, 'YYYY-MM-DD', true, zone);
+    return local.isValid() ? local.toDate() : null;
+  }
+  return null;
+};
+
+const isWaraqaEvent = (event, waraqaCalendarIds) => {
+  const privateProps = event?.extendedProperties?.private || {};
+  if (Object.keys(privateProps).some((key) => key.startsWith('waraqa'))) return true;
+  if (WARAQA_EVENT_ID.test(String(event?.id || ''))) return true;
+  const organizer = String(event?.organizer?.email || '').toLowerCase();
+  return Boolean(organizer && waraqaCalendarIds.has(organizer));
+};
+
+const isDeclinedBySelf = (event) => (Array.isArray(event?.attendees) ? event.attendees : [])
+  .some((attendee) => attendee?.self && attendee.responseStatus === 'declined');
+
+/**
+ * Decide what a listed event means for the mirror.
+ * @returns {{ action: 'upsert', start: Date, end: Date } | { action: 'remove', reason: string }}
+ */
+const classifyEvent = (event, { timeZone, waraqaCalendarIds, now, horizonEnd }) => {
+  if (!event?.id) return { action: 'remove', reason: 'invalid' };
+  if (event.status === 'cancelled') return { action: 'remove', reason: 'cancelled' };
+  if (event.transparency === 'transparent') return { action: 'remove', reason: 'free' };
+  if (isDeclinedBySelf(event)) return { action: 'remove', reason: 'declined' };
+  if (isWaraqaEvent(event, waraqaCalendarIds)) return { action: 'remove', reason: 'waraqa' };
+
+  const start = parseEventTime(event.start, timeZone);
+  const end = parseEventTime(event.end, timeZone);
+  if (!start || !end || end <= start) return { action: 'remove', reason: 'invalid' };
+  if (end <= now) return { action: 'remove', reason: 'past' };
+  if (start >= horizonEnd) return { action: 'remove', reason: 'beyond-horizon' };
+  return { action: 'upsert', start, end };
+};
+
+const getWaraqaCalendarIds = (teacher) => {
+  const ids = [getConfig().waraqaCalendarId, teacher?.teacherInfo?.classCalendarId]
+    .filter(Boolean)
+    .map((id) => String(id).toLowerCase());
+  return new Set(ids);
+};
+
+// A teacher who copies a class into their own calendar should not block the class itself
+const matchesOwnClass = async (teacherId, start, end) => {
+  const duration = Math.round((end.getTime() - start.getTime()) / 60000);
+  const match = await Class.exists({
+    teacher: teacherId,
+    scheduledDate: start,
+    duration,
+    status: { $in: BUSY_CLASS_STATUSES },
+  });
+  return Boolean(match);
+};
+
+/* ------------------------------- reading ------------------------------- */
+
+const readEvents = async (client, connection, { full, now }) => {
+  const base = {
+    calendarId: connection.calendarId,
+    singleEvents: true,
+    maxResults: PAGE_SIZE,
+  };
+  if (full) {
+    base.timeMin = new Date(now.getTime() - LOOKBACK_HOURS * 3600000).toISOString();
+    base.showDeleted = false;
+  } else {
+    base.syncToken = connection.syncToken;
+  }
+
+  const items = [];
+  let timeZone = null;
+  let pageToken = null;
+  let nextSyncToken = null;
+  for (let page = 0; page < MAX_PAGES; page += 1) {
+    const params = pageToken ? { ...base, pageToken } : base;
+    // eslint-disable-next-line no-await-in-loop
+    const { data = {} } = await client.events.list(params);
+    if (!timeZone && data.timeZone) timeZone = data.timeZone;
+    if (Array.isArray(data.items)) items.push(...data.items);
+    if (!data.nextPageToken) {
+      nextSyncToken = data.nextSyncToken || null;
+      pageToken = null;
+      break;
+    }
+    pageToken = data.nextPageToken;
+  }
+  if (pageToken) {
+    throw buildError(502, `Calendar has more than ${MAX_PAGES * PAGE_SIZE} upcoming events`, 'CALENDAR_TOO_LARGE');
+  }
+  return { items, timeZone, nextSyncToken };
+};
+
+const applyEvents = async (connection, teacher, { items, timeZone }, { full, now }) => {
+  const teacherId = connection.teacher;
+  const context = {
+    timeZone: timeZone || teacher?.timezone || 'UTC',
+    waraqaCalendarIds: getWaraqaCalendarIds(teacher),
+    now,
+    horizonEnd: new Date(now.getTime() + HORIZON_DAYS * 86400000),
+  };
+
+  const stats = { upserted: 0, removed: 0, ignored: 0 };
+  const kept = new Set();
+  const toRemove = new Set();
+
+  for (const event of items) {
+    const decision = classifyEvent(event, context);
+    let keep = decision.action === 'upsert';
+    // eslint-disable-next-line no-await-in-loop
+    if (keep && await matchesOwnClass(teacherId, decision.start, decision.end)) keep = false;
+
+    if (!keep) {
+      if (event?.id) toRemove.add(String(event.id));
+      stats.ignored += 1;
+      continue;
+    }
+
+    const eventId = String(event.id);
+    kept.add(eventId);
+    toRemove.delete(eventId);
+    // eslint-disable-next-line no-await-in-loop
+    await UnavailablePeriod.findOneAndUpdate(
+      { teacherId, source: SOURCE, externalEventId: eventId },
+      {
+        $set: {
+          externalCalendarId: connection.calendarId,
+          startDateTime: decision.start,
+          endDateTime: decision.end,
+          reason: 'external_calendar',
+          description: IMPORTED_DESCRIPTION,
+          affectsScheduledClasses: false,
+          status: 'approved',
+          isActive: true,
+        },
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    stats.upserted += 1;
+  }
+
+  const removeFilter = { teacherId, source: SOURCE };
+  if (full) {
+    // A full read lists every live event, so anything not kept is stale
+    removeFilter.externalEventId = { $nin: Array.from(kept) };
+  } else {
+    removeFilter.externalEventId = { $in: Array.from(toRemove) };
+  }
+  if (full || toRemove.size) {
+    const result = await UnavailablePeriod.deleteMany(removeFilter);
+    stats.removed = result?.deletedCount || 0;
+  }
+  return stats;
+};
+
+/* ------------------------------ public API ------------------------------ */
+
+const toSummary = (connection) => {
+  if (!connection) return null;
+  const doc = typeof connection.toObject === 'function' ? connection.toObject() : connection;
+  const { syncToken, __v, ...rest } = doc;
+  return { ...rest, incremental: Boolean(syncToken) };
+};
+
+/**
+ * Read a teacher's calendar once (incrementally when possible) and update the mirror.
+ * @param {string} teacherId
+ * @param {{ full?: boolean }} [options] full forces a complete re-read
+ */
+async function syncTeacherCalendar(teacherId, { full = false } = {}) {
+  const connection = await TeacherCalendarConnection.findOne({ teacher: teacherId });
+  if (!connection) throw buildError(404, 'No calendar is connected for this teacher', 'CALENDAR_NOT_CONNECTED');
+  if (!connection.enabled) return { skipped: true, reason: 'disabled', connection: toSummary(connection) };
+  if (!isConfigured()) throw buildError(503, 'Google Calendar import is not configured', 'CALENDAR_IMPORT_NOT_CONFIGURED');
+
+  const teacher = await User.findById(teacherId).select('timezone teacherInfo.classCalendarId').lean();
+  const now = new Date();
+  const fullResyncDue = !connection.lastFullSyncAt
+    || (now.getTime() - new Date(connection.lastFullSyncAt).getTime()) > FULL_RESYNC_DAYS * 86400000;
+  let useFull = Boolean(full || !connection.syncToken || fullResyncDue);
+
+  try {
+    const client = getClient();
+    let listed;
+    try {
+      listed = await readEvents(client, connection, { full: useFull, now });
+    } catch (err) {
+      if (useFull || errorStatus(err) !== 410) throw err;
+      // Google expired the token: start over from a full read
+      useFull = true;
+      listed = await readEvents(client, connection, { full: true, now });
+    }
+
+    const stats = await applyEvents(connection, teacher, listed, { full: useFull, now });
+
+    connection.syncToken = listed.nextSyncToken;
+    connection.lastSyncedAt = now;
+    if (useFull) connection.lastFullSyncAt = now;
+    connection.status = 'active';
+    connection.lastError = '';
+    connection.lastErrorAt = null;
+    connection.importedCount = await UnavailablePeriod.countDocuments({
+      teacherId,
+      source: SOURCE,
+      endDateTime: { $gt: now },
+    });
+    await connection.save();
+
+    return { ...stats, full: useFull, connection: toSummary(connection) };
+  } catch (err) {
+    connection.status = 'error';
+    connection.lastError = describeError(err);
+    connection.lastErrorAt = now;
+    await connection.save().catch(() => {});
+    if (err.status) throw err;
+    const status = errorStatus(err);
+    throw buildError(status === 404 || status === 403 ? 400 : 502, connection.lastError, 'CALENDAR_SYNC_FAILED');
+  }
+}
+
+/**
+ * Connection state for the availability page.
+ * @param {string} teacherId
+ */
+async function getConnection(teacherId) {
+  const connection = await TeacherCalendarConnection.findOne({ teacher: teacherId }).lean();
+  return {
+    configured: isConfigured(),
+    serviceAccountEmail: getConfig().clientEmail || null,
+    connection: toSummary(connection),
+  };
+}
+
+/**
+ * Connect (or change) the calendar to import from and run a first full read.
+ * @param {Object} actor req.user
+ * @param {string} teacherId
+ * @param {{ calendarId: string }} body
+ */
+async function connectCalendar(actor, teacherId, { calendarId } = {}) {
+  if (!isConfigured()) throw buildError(503, 'Google Calendar import is not configured', 'CALENDAR_IMPORT_NOT_CONFIGURED');
+  const normalized = String(calendarId || '').trim();
+  if (!normalized) throw buildError(400, 'Enter the Google calendar to import (usually your Google email)', 'CALENDAR_ID_REQUIRED');
+
+  const teacher = await User.findOne({ _id: teacherId, role: 'teacher' }).select('teacherInfo.classCalendarId').lean();
+  if (!teacher) throw buildError(404, 'Teacher not found', 'TEACHER_NOT_FOUND');
+  if (getWaraqaCalendarIds(teacher).has(normalized.toLowerCase())) {
+    throw buildError(400, 'This is a Waraqa calendar; connect your personal calendar instead', 'CALENDAR_IS_WARAQA');
+  }
+
+  // Fail early with a useful message if the calendar is not shared yet
+  try {
+    await getClient().events.list({ calendarId: normalized, maxResults: 1, singleEvents: true, timeMin: new Date().toISOString() });
+  } catch (err) {
+    const status = errorStatus(err);
+    if (status === 404 || status === 403) {
+      const email = getConfig().clientEmail;
+      throw buildError(400, email
+        ? `Share this calendar with ${email} ("See all event details") and try again`
+        : 'The calendar is not shared with the Waraqa service account', 'CALENDAR_NOT_SHARED');
+    }
+    throw buildError(502, describeError(err), 'CALENDAR_SYNC_FAILED');
+  }
+
+  const existing = await TeacherCalendarConnection.findOne({ teacher: teacherId });
+  if (existing && existing.calendarId !== normalized) {
+    await UnavailablePeriod.deleteMany({ teacherId, source: SOURCE });
+  }
+  await TeacherCalendarConnection.findOneAndUpdate(
+    { teacher: teacherId },
+    {
+      $set: {
+        calendarId: normalized,
+        enabled: true,
+        status: 'pending',
+        syncToken: existing && existing.calendarId === normalized ? existing.syncToken : null,
+        lastError: '',
+        lastErrorAt: null,
+        connectedBy: actor?._id || null,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  try {
+    const result = await syncTeacherCalendar(teacherId, { full: true });
+    return { ...(await getConnection(teacherId)), result };
+  } catch (err) {
+    // Keep the connection; the status and error explain what went wrong
+    return { ...(await getConnection(teacherId)), error: err.message };
+  }
+}
+
+/**
+ * Pause or resume the import without forgetting the calendar. Pausing removes
+ * the mirrored busy time.
+ */
+async function setImportEnabled(teacherId, enabled) {
+  const connection = await TeacherCalendarConnection.findOne({ teacher: teacherId });
+  if (!connection) throw buildError(404, 'No calendar is connected for this teacher', 'CALENDAR_NOT_CONNECTED');
+  connection.enabled = Boolean(enabled);
+  connection.status = connection.enabled ? 'pending' : 'disabled';
+  connection.syncToken = null;
+  if (!connection.enabled) {
+    await UnavailablePeriod.deleteMany({ teacherId, source: SOURCE });
+    connection.importedCount = 0;
+  }
+  await connection.save();
+  if (connection.enabled) {
+    await syncTeacherCalendar(teacherId, { full: true }).catch(() => {});
+  }
+  return getConnection(teacherId);
+}
+
+/**
+ * Disconnect the calendar and remove everything imported from it.
+ */
+async function disconnectCalendar(teacherId) {
+  await TeacherCalendarConnection.deleteOne({ teacher: teacherId });
+  const result = await UnavailablePeriod.deleteMany({ teacherId, source: SOURCE });
+  return { disconnected: true, removed: result?.deletedCount || 0 };
+}
+
+/**
+ * Incremental sync for every enabled connection (scheduled job).
+ */
+async function syncAllConnections() {
+  if (!isConfigured()) return { skipped: true, reason: 'not-configured' };
+  const connections = await TeacherCalendarConnection.find({ enabled: true }).select('teacher').lean();
+  const summary = { teachers: connections.length, synced: 0, failed: 0, upserted: 0, removed: 0 };
+  for (const connection of connections) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await syncTeacherCalendar(connection.teacher);
+      summary.synced += 1;
+      summary.upserted += result.upserted || 0;
+      summary.removed += result.removed || 0;
+    } catch (err) {
+      summary.failed += 1;
+      console.warn('[CalendarImport] sync failed for teacher', String(connection.teacher), err && err.message);
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  SOURCE,
+  HORIZON_DAYS,
+  isConfigured,
+  setCalendarClientFactory,
+  classifyEvent,
+  syncTeacherCalendar,
+  syncAllConnections,
+  getConnection,
+  connectCalendar,
+  setImportEnabled,
+  disconnectCalendar,
+};
@@ -0,0 +1,429 @@
+// backend/services/teacherEarningsStatementService.js
+// ============================================================
+// Teacher annual earnings statements
+// ============================================================
+// A statement certifies what a teacher was paid in one calendar year. It is
+// built from the year's paid salary invoices (adjustment invoices fold into
+// their month), snapshotted with the issuing legal entity, and signed with an
+// HMAC over the figures. The public verification URL re-computes the
+// signature, so an edited record or a superseded/revoked statement shows up
+// as not valid.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const TeacherEarningsStatement = require('../models/TeacherEarningsStatement');
+const TeacherInvoice = require('../models/TeacherInvoice');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const taxService = require('./taxService');
+const { resolvePublicAppBaseUrl } = require('./emailService');
+const { formatDateDDMMMYYYY } = require('../utils/dateHelpers');
+
+const PAID_STATUSES = ['paid', 'archived'];
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+const LOGO_FETCH_TIMEOUT_MS = 5000;
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const round3 = (value) => Math.round((Number(value) || 0) * 1000) / 1000;
+
+const signingSecret = () => process.env.STATEMENT_SIGNING_SECRET || process.env.JWT_SECRET || 'waraqa-statements';
+
+const verifyUrlFor = (token) => `${resolvePublicAppBaseUrl()}/public/earnings-statements/${token}`;
+
+const parseYear = (value) => {
+  const year = parseInt(value, 10);
+  const current = new Date().getFullYear();
+  if (!Number.isInteger(year) || year < 2000 || year > current) {
+    throw buildError(400, `Year must be between 2000 and ${current}`, 'STATEMENT_INVALID_YEAR');
+  }
+  return year;
+};
+
+// Canonical payload the signature covers
+const signedPayload = (statement) => JSON.stringify({
+  statementNumber: statement.statementNumber,
+  teacher: String(statement.teacher?._id || statement.teacher),
+  year: statement.year,
+  issuedAt: new Date(statement.issuedAt).toISOString(),
+  months: (statement.months || []).map((m) => [
+    m.month, m.hours, m.grossUSD, m.bonusesUSD, m.extrasUSD, m.deductionsUSD,
+    m.totalUSD, m.totalEGP, m.transferFeeEGP, m.netEGP
+  ]),
+  totals: [statement.totals.totalUSD, statement.totals.netEGP]
+});
+
+const sign = (statement) => crypto.createHmac('sha256', signingSecret()).update(signedPayload(statement)).digest('hex');
+
+const signatureMatches = (statement) => {
+  const expected = Buffer.from(sign(statement), 'hex');
+  const actual = Buffer.from(String(statement.signature || ''), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Monthly salary figures for one teacher and year, from paid invoices only.
+ */
+async function buildYearFigures(teacherId, year) {
+  const invoices = await TeacherInvoice.find({
+    teacher: teacherId,
+    year,
+    status: { $in: PAID_STATUSES },
+    paidAt: { $ne: null },
+    deleted: { $ne: true }
+  })
+    .select('invoiceNumber month totalHours grossAmountUSD bonusesUSD extras extrasUSD totalUSD exchangeRateSnapshot totalEGP transferFeeEGP netAmountEGP paidAt')
+    .sort({ month: 1, paidAt: 1 })
+    .lean();
+
+  const byMonth = new Map();
+  invoices.forEach((inv) => {
+    const row = byMonth.get(inv.month) || {
+      month: inv.month, invoiceNumbers: [], hours: 0, grossUSD: 0, bonusesUSD: 0, extrasUSD: 0,
+      deductionsUSD: 0, totalUSD: 0, exchangeRates: [], totalEGP: 0, transferFeeEGP: 0, netEGP: 0, paidAt: null
+    };
+    // Negative extras (penalties) are reported as deductions; an admin override
+    // of the extras total is split the same way.
+    const extraLines = (inv.extras || []).map((e) => Number(e.amountUSD || 0));
+    const linesTotal = extraLines.reduce((sum, v) => sum + v, 0);
+    let positive = extraLines.filter((v) => v > 0).reduce((sum, v) => sum + v, 0);
+    let negative = extraLines.filter((v) => v < 0).reduce((sum, v) => sum + v, 0);
+    if (round2(linesTotal) !== round2(inv.extrasUSD)) {
+      positive = Math.max(0, Number(inv.extrasUSD || 0));
+      negative = Math.min(0, Number(inv.extrasUSD || 0));
+    }
+
+    row.invoiceNumbers.push(inv.invoiceNumber);
+    row.hours += Number(inv.totalHours || 0);
+    row.grossUSD += Number(inv.grossAmountUSD || 0);
+    row.bonusesUSD += Number(inv.bonusesUSD || 0);
+    row.extrasUSD += positive;
+    row.deductionsUSD += Math.abs(negative);
+    row.totalUSD += Number(inv.totalUSD || 0);
+    const rate = Number(inv.exchangeRateSnapshot?.rate || 0);
+    if (rate && !row.exchangeRates.includes(rate)) row.exchangeRates.push(rate);
+    row.totalEGP += Number(inv.totalEGP || 0);
+    row.transferFeeEGP += Number(inv.transferFeeEGP || 0);
+    row.netEGP += Number(inv.netAmountEGP || 0);
+    if (!row.paidAt || new Date(inv.paidAt) > new Date(row.paidAt)) row.paidAt = inv.paidAt;
+    byMonth.set(inv.month, row);
+  });
+
+  const months = [...byMonth.values()]
+    .sort((a, b) => a.month - b.month)
+    .map((row) => ({
+      ...row,
+      hours: round3(row.hours),
+      grossUSD: round2(row.grossUSD),
+      bonusesUSD: round2(row.bonusesUSD),
+      extrasUSD: round2(row.extrasUSD),
+      deductionsUSD: round2(row.deductionsUSD),
+      totalUSD: round2(row.totalUSD),
+      totalEGP: round2(row.totalEGP),
+      transferFeeEGP: round2(row.transferFeeEGP),
+      netEGP: round2(row.netEGP)
+    }));
+
+  const sum = (field, rounder = round2) => rounder(months.reduce((acc, m) => acc + m[field], 0));
+  const totals = {
+    invoices: invoices.length,
+    hours: sum('hours', round3),
+    grossUSD: sum('grossUSD'),
+    bonusesUSD: sum('bonusesUSD'),
+    extrasUSD: sum('extrasUSD'),
+    deductionsUSD: sum('deductionsUSD'),
+    totalUSD: sum('totalUSD'),
+    totalEGP: sum('totalEGP'),
+    transferFeeEGP: sum('transferFeeEGP'),
+    netEGP: sum('netEGP')
+  };
+  return { months, totals };
+}
+
+async function nextStatementNumber(year) {
+  const prefix = `ES-${year}-`;
+  const last = await TeacherEarningsStatement.findOne({ statementNumber: { $regex: `^${prefix}` } })
+    .sort({ statementNumber: -1 })
+    .select('statementNumber')
+    .lean();
+  const seq = last ? Number(last.statementNumber.slice(prefix.length)) + 1 : 1;
+  return `${prefix}${String(seq).padStart(5, '0')}`;
+}
+
+/**
+ * Issues (and signs) a statement for a teacher's year; earlier active
+ * statements for the same year are superseded.
+ */
+async function issueStatement(teacherId, yearInput, userId) {
+  if (!mongoose.Types.ObjectId.isValid(teacherId)) throw buildError(400, 'Invalid teacher id', 'INVALID_ID');
+  const year = parseYear(yearInput);
+  const teacher = await User.findOne({ _id: teacherId, role: 'teacher' }).select('firstName lastName').lean();
+  if (!teacher) throw buildError(404, 'Teacher not found', 'TEACHER_NOT_FOUND');
+
+  const { months, totals } = await buildYearFigures(teacher._id, year);
+  if (!months.length) throw buildError(404, `No paid salary invoices in ${year}`, 'STATEMENT_NO_EARNINGS');
+
+  const taxConfig = await taxService.getConfig();
+  const entity = taxConfig.legalEntities.find((e) => e.key === taxConfig.defaultEntityKey) || taxConfig.legalEntities[0];
+
+  const statement = new TeacherEarningsStatement({
+    statementNumber: await nextStatementNumber(year),
+    teacher: teacher._id,
+    teacherName: [teacher.firstName, teacher.lastName].filter(Boolean).join(' ').trim(),
+    year,
+    issuer: {
+      name: entity?.name,
+      address: entity?.address,
+      taxRegistrationNumber: entity?.taxRegistrationNumber,
+      email: entity?.email
+    },
+    months,
+    totals,
+    verifyToken: crypto.randomUUID(),
+    issuedAt: new Date(),
+    issuedBy: userId
+  });
+  statement.signature = sign(statement);
+
+  await TeacherEarningsStatement.updateMany(
+    { teacher: teacher._id, year, status: 'active' },
+    { $set: { status: 'superseded', supersededAt: new Date() } }
+  );
+  await statement.save();
+  return statement;
+}
+
+async function listStatements({ teacherId, year } = {}) {
+  const query = {};
+  if (teacherId) query.teacher = teacherId;
+  if (year) query.year = parseInt(year, 10);
+  return TeacherEarningsStatement.find(query)
+    .select('-signature -months')
+    .populate('teacher', 'firstName lastName email')
+    .sort({ year: -1, issuedAt: -1 })
+    .limit(200)
+    .lean();
+}
+
+async function getStatement(statementId) {
+  if (!mongoose.Types.ObjectId.isValid(statementId)) throw buildError(404, 'Statement not found', 'STATEMENT_NOT_FOUND');
+  const statement = await TeacherEarningsStatement.findById(statementId);
+  if (!statement) throw buildError(404, 'Statement not found', 'STATEMENT_NOT_FOUND');
+  return statement;
+}
+
+async function revokeStatement(statementId, userId, reason) {
+  const statement = await getStatement(statementId);
+  if (statement.status === 'revoked') throw buildError(409, 'Statement is already revoked', 'STATEMENT_REVOKED');
+  statement.status = 'revoked';
+  statement.revokedAt = new Date();
+  statement.revokedBy = userId;
+  statement.revokeReason = String(reason || '').trim().slice(0, 300) || undefined;
+  await statement.save();
+  return statement;
+}
+
+/**
+ * Public verification: what the certificate says and whether it still holds.
+ */
+async function verifyStatement(token) {
+  const statement = await TeacherEarningsStatement.findOne({ verifyToken: String(token || '') }).lean();
+  if (!statement) throw buildError(404, 'Statement not found', 'STATEMENT_NOT_FOUND');
+  const authentic = signatureMatches(statement);
+  return {
+    statementNumber: statement.statementNumber,
+    teacherName: statement.teacherName,
+    year: statement.year,
+    issuer: statement.issuer,
+    issuedAt: statement.issuedAt,
+    months: statement.months,
+    totals: statement.totals,
+    status: statement.status,
+    revokedAt: statement.revokedAt,
+    supersededAt: statement.supersededAt,
+    authentic,
+    valid: authentic && statement.status === 'active'
+  };
+}
+
+/* ---------------------------------- PDF ---------------------------------- */
+
+// Branding logo as an image buffer PDFKit can embed (PNG/JPEG), or null.
+async function loadLogoBuffer() {
+  try {
+    const doc = await Setting.findOne({ key: 'branding.logo' }).lean();
+    const logo = doc?.value;
+    const dataUri = typeof logo?.dataUri === 'string' ? logo.dataUri : null;
+    const match = dataUri && dataUri.match(/^data:image\/(png|jpe?g);base64,(.+)$/);
+    if (match) return Buffer.from(match[2], 'base64');
+
+    const url = typeof logo === 'string' ? logo : logo?.url;
+    if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) return null;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), LOGO_FETCH_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok || !/image\/(png|jpe?g)/.test(response.headers.get('content-type') || '')) return null;
+      return Buffer.from(await response.arrayBuffer());
+    } finally {
+      clearTimeout(timer);
+    }
+  } catch (err) {
+    console.warn('[earningsStatement] Could not load branding logo:', err.message);
+    return null;
+  }
+}
+
+const usd = (value) => `$${round2(value).toFixed(2)}`;
+const egp = (value) => `${round2(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Renders the statement PDF and returns it as a Buffer.
+ */
+async function renderStatementPDF(statementInput) {
+  const statement = statementInput.toObject ? statementInput.toObject() : statementInput;
+  const verifyUrl = verifyUrlFor(statement.verifyToken);
+  const [logo, qr] = await Promise.all([
+    loadLogoBuffer(),
+    QRCode.toBuffer(verifyUrl, { type: 'png', width: 220, margin: 1 }).catch(() => null)
+  ]);
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `Earnings statement ${statement.statementNumber}`,
+      Author: statement.issuer?.name || 'Waraqa',
+      Subject: `Annual earnings ${statement.year} — ${statement.teacherName}`
+    }
+  });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  // Header: logo + issuer on the left, title on the right
+  let headerBottom = 50;
+  if (logo) {
+    try {
+      doc.image(logo, 50, 45, { fit: [120, 50] });
+      headerBottom = 100;
+    } catch (err) {
+      console.warn('[earningsStatement] Logo could not be embedded:', err.message);
+    }
+  }
+  doc.font('Helvetica-Bold').fontSize(12).text(statement.issuer?.name || 'Waraqa', 50, headerBottom);
+  doc.font('Helvetica').fontSize(9).fillColor('#444444');
+  [statement.issuer?.address, statement.issuer?.taxRegistrationNumber && `Tax no. ${statement.issuer.taxRegistrationNumber}`, statement.issuer?.email]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line, 50, doc.y, { width: 250 }));
+  doc.fillColor('#000000');
+
+  doc.font('Helvetica-Bold').fontSize(16).text('CERTIFICATE OF EARNINGS', 300, 50, { width: 245, align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(`Statement ${statement.statementNumber}`, 300, 72, { width: 245, align: 'right' })
+    .text(`Issued ${formatDateDDMMMYYYY(statement.issuedAt)}`, 300, 86, { width: 245, align: 'right' });
+
+  let y = Math.max(doc.y, headerBottom + 50) + 10;
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+  y += 14;
+
+  doc.font('Helvetica').fontSize(10).text(
+    `This is to certify that ${statement.teacherName} received the following salary payments from ${statement.issuer?.name || 'Waraqa'} `
+    + `for teaching services between 1 January and 31 December ${statement.year}. USD amounts were converted to EGP at the `
+    + 'exchange rate locked on each monthly salary invoice.',
+    50, y, { width: 495, align: 'justify' }
+  );
+  y = doc.y + 14;
+
+  // Monthly table
+  const cols = [
+    { label: 'Month', x: 50, w: 62, align: 'left' },
+    { label: 'Hours', x: 112, w: 40 },
+    { label: 'Salary $', x: 152, w: 52 },
+    { label: 'Bonus $', x: 204, w: 46 },
+    { label: 'Extras $', x: 250, w: 46 },
+    { label: 'Deduct. $', x: 296, w: 50 },
+    { label: 'Total $', x: 346, w: 52 },
+    { label: 'Rate', x: 398, w: 36 },
+    { label: 'Fees EGP', x: 434, w: 50 },
+    { label: 'Net EGP', x: 484, w: 61 }
+  ];
+  const drawRow = (values, font = 'Helvetica') => {
+    doc.font(font).fontSize(8);
+    cols.forEach((col, idx) => doc.text(values[idx], col.x, y, { width: col.w, align: col.align || 'right' }));
+    y += 14;
+  };
+  drawRow(cols.map((c) => c.label), 'Helvetica-Bold');
+  doc.moveTo(50, y - 3).lineTo(545, y - 3).stroke();
+  statement.months.forEach((m) => {
+    if (y > 720) {
+      doc.addPage();
+      y = 50;
+    }
+    drawRow([
+      MONTH_NAMES[m.month - 1],
+      round3(m.hours).toFixed(2),
+      usd(m.grossUSD),
+      usd(m.bonusesUSD),
+      usd(m.extrasUSD),
+      m.deductionsUSD ? `-${usd(m.deductionsUSD)}` : usd(0),
+      usd(m.totalUSD),
+      (m.exchangeRates || []).map((r) => Number(r).toFixed(2)).join('/') || '—',
+      egp(m.transferFeeEGP),
+      egp(m.netEGP)
+    ]);
+  });
+  doc.moveTo(50, y - 3).lineTo(545, y - 3).stroke();
+  const t = statement.totals;
+  drawRow([
+    'Total', round3(t.hours).toFixed(2), usd(t.grossUSD), usd(t.bonusesUSD), usd(t.extrasUSD),
+    t.deductionsUSD ? `-${usd(t.deductionsUSD)}` : usd(0), usd(t.totalUSD), '', egp(t.transferFeeEGP), egp(t.netEGP)
+  ], 'Helvetica-Bold');
+
+  y += 10;
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text(`Total paid in ${statement.year}: EGP ${egp(t.netEGP)} (gross USD ${round2(t.totalUSD).toFixed(2)})`, 50, y);
+  y = doc.y + 24;
+
+  // Verification block
+  if (y > 640) {
+    doc.addPage();
+    y = 50;
+  }
+  if (qr) doc.image(qr, 50, y, { width: 90 });
+  doc.font('Helvetica-Bold').fontSize(10).text('Verification', 155, y);
+  doc.font('Helvetica').fontSize(8).fillColor('#444444')
+    .text('This statement is electronically signed. Scan the code or open the link below to confirm it is authentic and current:', 155, y + 14, { width: 390 })
+    .fillColor('#1d4ed8')
+    .text(verifyUrl, 155, doc.y + 2, { width: 390, link: verifyUrl, underline: true })
+    .fillColor('#444444')
+    .text(`Signature: ${String(statement.signature || '').slice(0, 32)}…`, 155, doc.y + 4, { width: 390 });
+  doc.fillColor('#000000');
+
+  doc.end();
+  return done;
+}
+
+module.exports = {
+  buildYearFigures,
+  issueStatement,
+  listStatements,
+  getStatement,
+  revokeStatement,
+  verifyStatement,
+  renderStatementPDF,
+  verifyUrlFor
+};
@@ -224,7 +224,7 @@ class TeacherInvoicePDFService {
         currentY = 50;
       }
 
-      doc.text(extra.category, 50, currentY);
+      doc.text(extra.ruleSource?.name ? `${extra.category} · ${extra.ruleSource.name}` : extra.category, 50, currentY, { width: 240 });
       const sign = extra.amountUSD >= 0 ? '+' : '';
       doc.text(`${sign}$${extra.amountUSD.toFixed(2)}`, 300, currentY);
       doc.text(extra.reason.substring(0, 30), 400, currentY);
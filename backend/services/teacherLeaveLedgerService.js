@@ -0,0 +1,336 @@
+// services/teacherLeaveLedgerService.js
+// Yearly leave ledger for teachers.
+//
+// Each year is "opened" lazily the first time it is looked at: the accrual entry
+// mirrors teacherInfo.vacationAllowance for that year, the carry-over entry takes
+// the previous year's unused balance up to the carry-over cap, and approved
+// teacher vacations that have no deduction yet are back-filled. Deductions are
+// kept in sync by syncVacationDeductions() whenever a vacation is approved,
+// rejected or ended early, so the ledger always reflects the booked days.
+//
+// Policy (Setting `teacherLeavePolicy`):
+//   enforcement       'block' rejects requests over the balance, 'warn' lets them through with a warning
+//   carryOverMaxDays  unused days that move to the next year (teacherInfo.vacationAllowance.carryOverMaxDays overrides)
+
+const mongoose = require('mongoose');
+const Vacation = require('../models/Vacation');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const TeacherLeaveLedgerEntry = require('../models/TeacherLeaveLedgerEntry');
+const {
+  countChargeableDays,
+  getYearBounds,
+  getTeacherVacationAllowanceStatus,
+  normalizeAllowanceConfig,
+  buildChargeableDaySet,
+  getOverlappingSystemVacations,
+} = require('./teacherVacationService');
+
+const LEAVE_POLICY_KEY = 'teacherLeavePolicy';
+const DEFAULT_LEAVE_POLICY = { enforcement: 'block', carryOverMaxDays: 0 };
+const DEDUCTED_STATUSES = ['approved', 'active', 'ended'];
+
+const buildError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const normalizeLeavePolicy = (value = {}) => {
+  const base = value && typeof value === 'object' ? value : {};
+  const carryOverMaxDays = Number(base.carryOverMaxDays);
+  return {
+    enforcement: base.enforcement === 'warn' ? 'warn' : 'block',
+    carryOverMaxDays: Number.isFinite(carryOverMaxDays) ? Math.max(0, Math.floor(carryOverMaxDays)) : 0,
+  };
+};
+
+const getLeavePolicy = async () => {
+  const doc = await Setting.findOne({ key: LEAVE_POLICY_KEY }).lean();
+  return normalizeLeavePolicy(doc?.value || DEFAULT_LEAVE_POLICY);
+};
+
+const updateLeavePolicy = async (value = {}) => {
+  const policy = normalizeLeavePolicy(value);
+  await Setting.findOneAndUpdate(
+    { key: LEAVE_POLICY_KEY },
+    { value: policy, description: 'Teacher leave balance enforcement and carry-over' },
+    { upsert: true, new: true }
+  );
+  return policy;
+};
+
+const carryOverCapFor = (teacher, policy) => {
+  const own = teacher?.teacherInfo?.vacationAllowance?.carryOverMaxDays;
+  if (own !== null && own !== undefined && Number.isFinite(Number(own))) return Math.max(0, Number(own));
+  return policy.carryOverMaxDays;
+};
+
+const upsertEntry = async ({ teacherId, year, entryKey, type, days, vacation = null, note, createdBy = null }) => {
+  if (!days) {
+    await TeacherLeaveLedgerEntry.deleteOne({ teacher: teacherId, entryKey });
+    return null;
+  }
+  return TeacherLeaveLedgerEntry.findOneAndUpdate(
+    { teacher: teacherId, entryKey },
+    {
+      $set: { year, type, days, vacation, note },
+      $setOnInsert: { createdBy },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const sumEntries = (entries = []) => entries.reduce((sum, entry) => sum + Number(entry.days || 0), 0);
+
+// Unused days of the previous year that move into the next one.
+const carryOverFrom = (previousEntries, cap) => (cap > 0 ? Math.min(cap, Math.max(0, sumEntries(previousEntries))) : 0);
+
+// Chargeable days (SystemVacation days excluded) of a vacation, split per calendar year.
+const splitChargeableDays = (vacation, systemVacations = []) => {
+  const start = new Date(vacation.startDate);
+  const end = new Date(vacation.actualEndDate || vacation.endDate);
+  const result = new Map();
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) return result;
+
+  for (let year = start.getFullYear(); year <= end.getFullYear(); year += 1) {
+    const bounds = getYearBounds(year);
+    const clippedStart = start > bounds.start ? start : bounds.start;
+    const clippedEnd = end < bounds.end ? end : bounds.end;
+    const days = countChargeableDays({ startDate: clippedStart, endDate: clippedEnd, year, systemVacations });
+    if (days > 0) result.set(year, days);
+  }
+  return result;
+};
+
+const chargeableDaysByYear = async (vacation) => {
+  const systemVacations = await getOverlappingSystemVacations({
+    startDate: vacation.startDate,
+    endDate: vacation.actualEndDate || vacation.endDate,
+  });
+  return splitChargeableDays(vacation, systemVacations);
+};
+
+/**
+ * Brings the deduction entries of one teacher vacation in line with its current
+ * status and dates. Safe to call repeatedly.
+ */
+const syncVacationDeductions = async (vacation, actorId = null) => {
+  if (!vacation || vacation.role !== 'teacher') return [];
+  const teacherId = vacation.user?._id || vacation.user;
+  const desired = DEDUCTED_STATUSES.includes(vacation.status)
+    ? await chargeableDaysByYear(vacation)
+    : new Map();
+
+  const existing = await TeacherLeaveLedgerEntry.find({ vacation: vacation._id, type: 'deduction' }).select('year entryKey').lean();
+  const staleKeys = existing
+    .filter((entry) => !desired.has(entry.year))
+    .map((entry) => entry.entryKey);
+  if (staleKeys.length) {
+    await TeacherLeaveLedgerEntry.deleteMany({ teacher: teacherId, entryKey: { $in: staleKeys } });
+  }
+
+  const entries = [];
+  for (const [year, days] of desired.entries()) {
+    // eslint-disable-next-line no-await-in-loop
+    const entry = await upsertEntry({
+      teacherId,
+      year,
+      entryKey: `deduction:${vacation._id}:${year}`,
+      type: 'deduction',
+      days: -days,
+      vacation: vacation._id,
+      note: vacation.actualEndDate && vacation.endedAt ? 'Vacation (ended early)' : 'Vacation',
+      createdBy: actorId || vacation.approvedBy || null,
+    });
+    if (entry) entries.push(entry);
+  }
+  return entries;
+};
+
+const backfillDeductions = async (teacherId, year) => {
+  const bounds = getYearBounds(year);
+  const vacations = await Vacation.find({
+    role: 'teacher',
+    user: teacherId,
+    status: { $in: DEDUCTED_STATUSES },
+    startDate: { $lte: bounds.end },
+    $or: [
+      { actualEndDate: { $gte: bounds.start } },
+      { actualEndDate: null, endDate: { $gte: bounds.start } },
+    ],
+  }).select('_id user role status startDate endDate actualEndDate endedAt approvedBy').lean();
+  if (!vacations.length) return;
+
+  const synced = await TeacherLeaveLedgerEntry.find({
+    teacher: teacherId,
+    year,
+    type: 'deduction',
+    vacation: { $in: vacations.map((v) => v._id) },
+  }).distinct('vacation');
+  const syncedIds = new Set(synced.map(String));
+
+  for (const vacation of vacations) {
+    // eslint-disable-next-line no-await-in-loop
+    if (!syncedIds.has(String(vacation._id))) await syncVacationDeductions(vacation);
+  }
+};
+
+/**
+ * Ensures the accrual, carry-over and back-filled deductions for a teacher/year
+ * exist and returns the year's entries.
+ */
+const openYear = async (teacherId, year, { teacher = null, policy = null, withCarryOver = true } = {}) => {
+  const teacherDoc = teacher || await User.findById(teacherId).select('teacherInfo').lean();
+  if (!teacherDoc) throw buildError(404, 'Teacher not found');
+  const leavePolicy = policy || await getLeavePolicy();
+
+  const allowance = normalizeAllowanceConfig(teacherDoc.teacherInfo || {}, year);
+  await upsertEntry({
+    teacherId,
+    year,
+    entryKey: `accrual:${year}`,
+    type: 'accrual',
+    days: Number(allowance.allocatedDays || 0),
+    note: allowance.currentYearOverrideDays !== null ? `${year} allowance override` : 'Yearly allowance',
+  });
+
+  await backfillDeductions(teacherId, year);
+
+  if (withCarryOver) {
+    const cap = carryOverCapFor(teacherDoc, leavePolicy);
+    const previous = cap > 0
+      ? await openYear(teacherId, year - 1, { teacher: teacherDoc, policy: leavePolicy, withCarryOver: false })
+      : [];
+    const carried = carryOverFrom(previous, cap);
+    await upsertEntry({
+      teacherId,
+      year,
+      entryKey: `carry_over:${year}`,
+      type: 'carry_over',
+      days: carried,
+      note: `Carried over from ${year - 1} (max ${cap} day(s))`,
+    });
+  }
+
+  return TeacherLeaveLedgerEntry.find({ teacher: teacherId, year }).sort({ createdAt: 1 }).lean();
+};
+
+const pendingDaysForYear = async (teacherId, year) => {
+  const bounds = getYearBounds(year);
+  const pending = await Vacation.find({
+    role: 'teacher',
+    user: teacherId,
+    status: 'pending',
+    startDate: { $lte: bounds.end },
+    endDate: { $gte: bounds.start },
+  }).select('_id startDate endDate actualEndDate status').lean();
+  if (!pending.length) return 0;
+  const systemVacations = await getOverlappingSystemVacations({ startDate: bounds.start, endDate: bounds.end });
+  return buildChargeableDaySet({
+    vacations: pending,
+    systemVacations,
+    year,
+    statuses: new Set(['pending']),
+  }).size;
+};
+
+// Year totals from its ledger entries; pending requests only reduce what is still available.
+const summarizeEntries = (entries = [], pendingDays = 0) => {
+  const byType = (type) => entries.filter((entry) => entry.type === type);
+  const accruedDays = sumEntries(byType('accrual'));
+  const carriedOverDays = sumEntries(byType('carry_over'));
+  const adjustmentDays = sumEntries(byType('adjustment'));
+  const usedDays = -sumEntries(byType('deduction'));
+  const remainingDays = accruedDays + carriedOverDays + adjustmentDays - usedDays;
+  return {
+    accruedDays,
+    carriedOverDays,
+    adjustmentDays,
+    usedDays,
+    pendingDays,
+    remainingDays,
+    availableDays: Math.max(0, remainingDays - pendingDays),
+  };
+};
+
+/**
+ * Balance for one teacher/year, with the ledger entries behind it.
+ */
+const getLeaveBalance = async (teacherId, year = new Date().getFullYear()) => {
+  if (!mongoose.Types.ObjectId.isValid(teacherId)) throw buildError(400, 'Invalid teacher id');
+  const [teacher, policy] = await Promise.all([
+    User.findById(teacherId).select('role teacherInfo').lean(),
+    getLeavePolicy(),
+  ]);
+  if (!teacher || teacher.role !== 'teacher') throw buildError(404, 'Teacher not found');
+
+  const entries = await openYear(teacherId, year, { teacher, policy });
+  const pendingDays = await pendingDaysForYear(teacherId, year);
+
+  return {
+    year,
+    ...summarizeEntries(entries, pendingDays),
+    carryOverMaxDays: carryOverCapFor(teacher, policy),
+    enforcement: policy.enforcement,
+    entries,
+  };
+};
+
+/**
+ * Allowance check used by the vacation routes: the per-year request check from
+ * teacherVacationService, with carry-over and manual adjustments added to the
+ * allocation.
+ */
+const getAllowanceStatus = async ({ teacherId, year, startDate, endDate, excludeVacationId = null }) => {
+  const entries = await openYear(teacherId, year);
+  const carriedOverDays = sumEntries(entries.filter((entry) => entry.type === 'carry_over'));
+  const adjustmentDays = sumEntries(entries.filter((entry) => entry.type === 'adjustment'));
+  const status = await getTeacherVacationAllowanceStatus({ teacherId, year, startDate, endDate, excludeVacationId });
+  const allocatedDays = Math.max(0, status.allocatedDays + carriedOverDays + adjustmentDays);
+  const remainingDays = Math.max(0, allocatedDays - status.reservedDays);
+  return {
+    ...status,
+    carriedOverDays,
+    adjustmentDays,
+    allocatedDays,
+    remainingDays,
+    canRequest: status.requestedDays <= remainingDays,
+  };
+};
+
+const addAdjustment = async (teacherId, { year, days, note } = {}, userId) => {
+  const numericYear = Number(year);
+  const numericDays = Number(days);
+  if (!Number.isInteger(numericYear) || numericYear < 2000 || numericYear > 3000) throw buildError(400, 'A valid year is required');
+  if (!Number.isFinite(numericDays) || numericDays === 0) throw buildError(400, 'Adjustment days must be a non-zero number');
+  if (!String(note || '').trim()) throw buildError(400, 'A note is required for manual adjustments');
+
+  const teacher = await User.findById(teacherId).select('role').lean();
+  if (!teacher || teacher.role !== 'teacher') throw buildError(404, 'Teacher not found');
+
+  return TeacherLeaveLedgerEntry.create({
+    teacher: teacherId,
+    year: numericYear,
+    type: 'adjustment',
+    days: numericDays,
+    note: String(note).trim().slice(0, 300),
+    createdBy: userId,
+  });
+};
+
+module.exports = {
+  DEFAULT_LEAVE_POLICY,
+  normalizeLeavePolicy,
+  carryOverCapFor,
+  carryOverFrom,
+  splitChargeableDays,
+  summarizeEntries,
+  getLeavePolicy,
+  updateLeavePolicy,
+  syncVacationDeductions,
+  openYear,
+  getLeaveBalance,
+  getAllowanceStatus,
+  addAdjustment,
+};
@@ -0,0 +1,491 @@
+// backend/services/teacherMatchingService.js
+// Ranked teacher recommendations for a new student.
+//
+// The student side comes from a RegistrationLead (one of its students) or from
+// a student assessed in an EvaluationSession. Every active teacher is scored
+// on:
+//  - availability: how many of the requested weekly slots the teacher can take
+//    (teacher AvailabilitySlots in the slot timezone, minus existing classes
+//    and approved unavailable periods, checked for the first week the student
+//    would start),
+//  - subject qualification, age and gender preferences, spoken language,
+//  - current load (scheduled hours over the next four weeks),
+//  - performance (latest TeacherScorecard score).
+// Each factor is 0-100 with a short explanation; the total is the weighted
+// average of the factors that apply to this student. Teachers who are closed
+// to new students or do not meet the requested teacher gender stay in the
+// list but are marked ineligible.
+const moment = require('moment-timezone');
+
+const RegistrationLead = require('../models/RegistrationLead');
+const EvaluationSession = require('../models/EvaluationSession');
+const AvailabilitySlot = require('../models/AvailabilitySlot');
+const Class = require('../models/Class');
+const User = require('../models/User');
+const TeacherScorecard = require('../models/TeacherScorecard');
+const { canFitInSlot, getBusyIntervalsForWindow } = require('./availabilityService');
+const { currentPeriod } = require('./teacherScorecardService');
+const teacherOnboardingService = require('./teacherOnboardingService');
+const { DEFAULT_TIMEZONE } = require('../utils/timezoneUtils');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const FACTOR_WEIGHTS = {
+  availability: 35,
+  subject: 20,
+  age: 10,
+  gender: 10,
+  load: 10,
+  language: 5,
+  performance: 10
+};
+const SLOT_STEP_MINUTES = 15;
+const LOAD_LOOKAHEAD_DAYS = 28;
+// Weekly hours at which the load factor bottoms out
+const FULL_LOAD_WEEKLY_HOURS = 30;
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const normalizeText = (value) => String(value || '').trim().toLowerCase();
+const clampScore = (value) => Math.max(0, Math.min(100, Math.round(value)));
+const uniqueText = (values = []) => {
+  const seen = new Set();
+  return values.map((v) => String(v || '').trim()).filter((v) => {
+    const key = v.toLowerCase();
+    if (!v || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+const ageOn = (birthDate, at = new Date()) => {
+  if (!birthDate) return null;
+  const years = moment(at).diff(moment(birthDate), 'years');
+  return Number.isFinite(years) && years >= 0 ? years : null;
+};
+
+// "Female teacher", "sister", "ustadha" ... in the lead's teacher preference tags
+function parseGenderPreference(tags = []) {
+  const text = (Array.isArray(tags) ? tags : []).join(' ');
+  if (/\b(female|sister|woman|women|ustadha)\b/i.test(text)) return 'female';
+  if (/\b(male|brother|man|men|ustadh|sheikh)\b/i.test(text)) return 'male';
+  return null;
+}
+
+// --- Student profiles ----------------------------------------------------------
+
+async function findEmbeddedStudent(guardianId, match) {
+  if (!guardianId) return { guardian: null, student: null };
+  const guardian = await User.findOne({ _id: guardianId, role: 'guardian' })
+    .select('firstName lastName timezone guardianInfo.students guardianInfo.spokenLanguages')
+    .lean();
+  const students = guardian?.guardianInfo?.students || [];
+  return { guardian, student: students.find(match) || null };
+}
+
+async function buildLeadProfile(leadId, studentIndex = 0) {
+  const lead = await RegistrationLead.findById(leadId).lean();
+  if (!lead) throw buildError(404, 'Lead not found.', 'MATCH_LEAD_NOT_FOUND');
+
+  const index = Math.max(0, Number(studentIndex) || 0);
+  const leadStudent = (lead.students || [])[index];
+  if (!leadStudent) throw buildError(404, 'Student not found on this lead.', 'MATCH_STUDENT_NOT_FOUND');
+
+  const timezone = lead.personalInfo?.timezone || DEFAULT_TIMEZONE;
+  const separate = lead.availability?.schedulingMode === 'separate';
+  const slots = (lead.availability?.slots || [])
+    .filter((slot) => (separate
+      ? Number(slot.studentIndex) === index
+      : slot.studentIndex === null || slot.studentIndex === undefined || Number(slot.studentIndex) === index))
+    .map((slot) => ({
+      dayOfWeek: DAY_NAMES.indexOf(slot.day),
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      duration: Number(slot.duration) || null
+    }))
+    .filter((slot) => slot.dayOfWeek >= 0);
+
+  const { guardian, student } = lead.status === 'converted'
+    ? await findEmbeddedStudent(lead.conversion?.guardianUserId, (s) => (
+      normalizeText(s.firstName) === normalizeText(leadStudent.firstName)
+      && normalizeText(s.lastName) === normalizeText(leadStudent.lastName)
+    ))
+    : { guardian: null, student: null };
+
+  const languages = uniqueText([
+    ...(guardian?.guardianInfo?.spokenLanguages || []),
+    ...(student?.language ? [student.language] : [])
+  ]);
+
+  return {
+    source: 'lead',
+    studentName: `${leadStudent.firstName || ''} ${leadStudent.lastName || ''}`.trim(),
+    timezone,
+    age: ageOn(leadStudent.birthDate),
+    gender: leadStudent.gender || null,
+    subjects: leadStudent.courses || [],
+    languages,
+    genderPreference: parseGenderPreference(lead.preferences?.teacherPreferences),
+    duration: Number(leadStudent.classDuration) || Number(lead.availability?.sharedDuration) || 60,
+    startDate: lead.availability?.preferredStartingDate || null,
+    slots,
+    guardianId: guardian?._id || null,
+    studentId: student?._id || null
+  };
+}
+
+async function buildEvaluationProfile(sessionId, studentSubId, adminId) {
+  const session = await EvaluationSession.findOne({ _id: sessionId, admin: adminId }).lean();
+  const evaluated = session?.students?.find((s) => String(s._id) === String(studentSubId));
+  if (!evaluated) throw buildError(404, 'Evaluated student not found.', 'MATCH_STUDENT_NOT_FOUND');
+
+  const timezone = evaluated.availabilityTimezone || DEFAULT_TIMEZONE;
+  const slots = (evaluated.availabilitySlots || [])
+    .filter((slot) => Number.isInteger(slot.day) && slot.start && slot.end)
+    .map((slot) => ({
+      dayOfWeek: slot.day,
+      startTime: slot.start,
+      endTime: slot.end,
+      duration: Number(slot.durationMinutes) || null
+    }));
+
+  const { guardian, student } = evaluated.guardianUser
+    ? await findEmbeddedStudent(evaluated.guardianUser, (s) => String(s._id) === String(evaluated.studentUser))
+    : { guardian: null, student: null };
+
+  return {
+    source: 'evaluation',
+    studentName: evaluated.name,
+    timezone,
+    age: Number(evaluated.age) || ageOn(student?.dateOfBirth),
+    gender: student?.gender || null,
+    subjects: evaluated.desiredSubjects?.length ? evaluated.desiredSubjects : (student?.subjects || []),
+    languages: uniqueText([
+      ...(guardian?.guardianInfo?.spokenLanguages || []),
+      ...(student?.language ? [student.language] : [])
+    ]),
+    genderPreference: null,
+    duration: slots.find((s) => s.duration)?.duration || student?.classDuration || 60,
+    startDate: evaluated.expectedStartDate && moment(evaluated.expectedStartDate).isValid()
+      ? moment(evaluated.expectedStartDate).toDate()
+      : null,
+    slots,
+    guardianId: guardian?._id || null,
+    studentId: student?._id || null
+  };
+}
+
+// --- Factors -------------------------------------------------------------------
+
+// First date on/after `from` (student timezone) for each requested weekday
+function slotOccurrences(profile) {
+  const tz = profile.timezone;
+  const now = moment.tz(tz);
+  const start = profile.startDate && moment(profile.startDate).isAfter(now)
+    ? moment.tz(profile.startDate, tz).startOf('day')
+    : now.clone().startOf('day');
+
+  return profile.slots.map((slot) => {
+    const date = start.clone();
+    while (date.day() !== slot.dayOfWeek) date.add(1, 'day');
+    const dateStr = date.format('YYYY-MM-DD');
+    const windowStart = moment.tz(`${dateStr} ${slot.startTime}`, 'YYYY-MM-DD HH:mm', tz);
+    let windowEnd = moment.tz(`${dateStr} ${slot.endTime}`, 'YYYY-MM-DD HH:mm', tz);
+    if (!windowEnd.isAfter(windowStart)) windowEnd = windowEnd.add(1, 'day');
+    const duration = slot.duration || profile.duration || windowEnd.diff(windowStart, 'minutes');
+    return { ...slot, windowStart, windowEnd, duration };
+  });
+}
+
+const overlapsBusy = (start, end, busy) => busy.some((b) => b.start < end && b.end > start);
+
+function fitsTeacherSlots(start, end, slots, teacherTz) {
+  return slots.some((slot) => {
+    const tz = slot.timezone || teacherTz;
+    const startLocal = moment(start).tz(tz);
+    const endLocal = moment(end).tz(tz);
+    if (startLocal.format('YYYY-MM-DD') !== endLocal.format('YYYY-MM-DD')) return false;
+    if (Number(slot.dayOfWeek) !== startLocal.day()) return false;
+    return canFitInSlot(slot.startTime, slot.endTime, startLocal.format('HH:mm'), endLocal.format('HH:mm'));
+  });
+}
+
+async function scoreAvailability(teacher, occurrences) {
+  if (!occurrences.length) {
+    return { score: null, detail: 'No weekly slots were requested.', matchedSlots: [] };
+  }
+
+  const teacherTz = teacher.timezone || DEFAULT_TIMEZONE;
+  const teacherSlots = teacher.teacherInfo?.availabilityStatus === 'default_24_7'
+    ? []
+    : await AvailabilitySlot.findActiveByTeacher(teacher._id).lean();
+  const alwaysAvailable = teacherSlots.length === 0;
+
+  const rangeStart = new Date(Math.min(...occurrences.map((o) => o.windowStart.valueOf())));
+  const rangeEnd = new Date(Math.max(...occurrences.map((o) => o.windowEnd.valueOf())) + 24 * 3600000);
+  const busy = await getBusyIntervalsForWindow(teacher._id, rangeStart, rangeEnd);
+
+  const matchedSlots = [];
+  const missed = [];
+  occurrences.forEach((occ) => {
+    const lastStart = moment.max(occ.windowStart, occ.windowEnd.clone().subtract(occ.duration, 'minutes'));
+    for (const cursor = occ.windowStart.clone(); !cursor.isAfter(lastStart); cursor.add(SLOT_STEP_MINUTES, 'minutes')) {
+      const start = cursor.toDate();
+      const end = cursor.clone().add(occ.duration, 'minutes').toDate();
+      if (overlapsBusy(start, end, busy)) continue;
+      if (!alwaysAvailable && !fitsTeacherSlots(start, end, teacherSlots, teacherTz)) continue;
+      matchedSlots.push({
+        dayOfWeek: occ.dayOfWeek,
+        time: cursor.format('HH:mm'),
+        duration: occ.duration,
+        teacherLocal: `${DAY_NAMES[moment(start).tz(teacherTz).day()]} ${moment(start).tz(teacherTz).format('HH:mm')} (${teacherTz})`
+      });
+      return;
+    }
+    missed.push(`${DAY_NAMES[occ.dayOfWeek]} ${occ.startTime}-${occ.endTime}`);
+  });
+
+  const score = clampScore((matchedSlots.length / occurrences.length) * 100);
+  const detail = missed.length
+    ? `${matchedSlots.length} of ${occurrences.length} requested slots free; busy or unavailable: ${missed.join(', ')}.`
+    : `All ${occurrences.length} requested slots free${alwaysAvailable ? ' (no availability restrictions set)' : ''}.`;
+  return { score, detail, matchedSlots };
+}
+
+function scoreSubject(teacher, subjects) {
+  const wanted = (subjects || []).map(normalizeText).filter(Boolean);
+  if (!wanted.length) return { score: null, detail: 'No courses requested.', matched: [] };
+  const teacherSubjects = (teacher.teacherInfo?.subjects || []).map(normalizeText).filter(Boolean);
+  const matched = (subjects || []).filter((course) => {
+    const c = normalizeText(course);
+    return teacherSubjects.some((s) => s.includes(c) || c.includes(s));
+  });
+  return {
+    score: clampScore((matched.length / wanted.length) * 100),
+    detail: matched.length
+      ? `Teaches ${matched.join(', ')}${matched.length < wanted.length ? ` (${wanted.length - matched.length} requested course(s) not listed)` : ''}.`
+      : `None of the requested courses (${subjects.join(', ')}) are in the teacher's subjects.`,
+    matched
+  };
+}
+
+function scoreAge(teacher, profile) {
+  if (profile.age === null || profile.age === undefined) {
+    return { score: null, detail: 'Student age unknown.' };
+  }
+  const info = teacher.teacherInfo || {};
+  const genderRange = profile.gender === 'female' ? info.preferredFemaleAgeRange
+    : profile.gender === 'male' ? info.preferredMaleAgeRange
+      : null;
+  const min = genderRange?.min ?? info.preferredStudentAgeRange?.min ?? 3;
+  const max = genderRange?.max ?? info.preferredStudentAgeRange?.max ?? 70;
+  const inRange = profile.age >= min && profile.age <= max;
+  return {
+    score: inRange ? 100 : 0,
+    detail: `Student is ${profile.age}; teacher prefers ${min}-${max}${genderRange ? ` for ${profile.gender} students` : ''}.`
+  };
+}
+
+function scoreGender(teacher, preference) {
+  if (!preference) return { score: null, detail: 'No teacher gender requested.', mismatch: false };
+  const mismatch = teacher.gender !== preference;
+  return {
+    score: mismatch ? 0 : 100,
+    detail: mismatch ? `Family asked for a ${preference} teacher.` : `Matches the requested ${preference} teacher.`,
+    mismatch
+  };
+}
+
+function scoreLanguage(teacher, languages) {
+  const wanted = languages || [];
+  if (!wanted.length) return { score: null, detail: 'No family language on record.' };
+  const spoken = (teacher.teacherInfo?.spokenLanguages || []).map(normalizeText);
+  const shared = wanted.filter((l) => spoken.includes(normalizeText(l)));
+  return {
+    score: clampScore((shared.length / wanted.length) * 100),
+    detail: shared.length ? `Speaks ${shared.join(', ')}.` : `Does not list ${wanted.join(', ')}.`
+  };
+}
+
+function scoreLoad(weeklyHours) {
+  const hours = Math.round((weeklyHours || 0) * 10) / 10;
+  return {
+    score: clampScore(100 * (1 - hours / FULL_LOAD_WEEKLY_HOURS)),
+    detail: `${hours} scheduled hours per week over the next four weeks.`,
+    weeklyHours: hours
+  };
+}
+
+function scorePerformance(card) {
+  if (!card || card.score === null || card.score === undefined) {
+    return { score: null, detail: 'No scorecard yet.' };
+  }
+  return { score: clampScore(card.score), detail: `Scorecard ${card.score} for ${card.period}.` };
+}
+
+async function loadWeeklyHours(teacherIds) {
+  const now = new Date();
+  const until = new Date(now.getTime() + LOAD_LOOKAHEAD_DAYS * 24 * 3600000);
+  const rows = await Class.aggregate([
+    {
+      $match: {
+        teacher: { $in: teacherIds },
+        status: { $in: ['scheduled', 'in_progress'] },
+        hidden: { $ne: true },
+        scheduledDate: { $gte: now, $lt: until }
+      }
+    },
+    { $group: { _id: '$teacher', minutes: { $sum: '$duration' } } }
+  ]);
+  return new Map(rows.map((r) => [String(r._id), (r.minutes / 60) / (LOAD_LOOKAHEAD_DAYS / 7)]));
+}
+
+// Prefer the last closed month; fall back to the running one
+async function loadScorecards(teacherIds) {
+  const current = currentPeriod();
+  const previous = moment(`${current}-01`).subtract(1, 'month').format('YYYY-MM');
+  const cards = await TeacherScorecard.find({ teacher: { $in: teacherIds }, period: { $in: [previous, current] } })
+    .select('teacher period score')
+    .lean();
+  const byTeacher = new Map();
+  cards.forEach((card) => {
+    const key = String(card.teacher);
+    const existing = byTeacher.get(key);
+    if (!existing || (card.period === previous && card.score !== null)) byTeacher.set(key, card);
+  });
+  return byTeacher;
+}
+
+// Payload for POST /api/classes: a weekly series on the matched slots
+function buildClassDraft(profile, teacher, availability, subject) {
+  if (!profile.guardianId || !profile.studentId || !availability.matchedSlots.length) return null;
+  const firstSlot = availability.matchedSlots[0];
+  const draft = {
+    title: 'One on one',
+    subject: subject.matched[0] || profile.subjects[0] || teacher.teacherInfo?.subjects?.[0] || 'Quran',
+    teacher: String(teacher._id),
+    student: {
+      guardianId: String(profile.guardianId),
+      studentId: String(profile.studentId),
+      studentName: profile.studentName
+    },
+    isRecurring: true,
+    timezone: profile.timezone,
+    anchoredTimezone: 'student',
+    recurrence: { frequency: 'weekly', interval: 1, duration: firstSlot.duration },
+    recurrenceDetails: availability.matchedSlots.map((slot) => ({
+      dayOfWeek: slot.dayOfWeek,
+      time: slot.time,
+      duration: slot.duration,
+      timezone: profile.timezone
+    }))
+  };
+  if (profile.startDate && moment(profile.startDate).isAfter(moment())) {
+    draft.scheduledDate = `${moment.tz(profile.startDate, profile.timezone).format('YYYY-MM-DD')}T${firstSlot.time}`;
+  }
+  return draft;
+}
+
+/**
+ * Scores every active teacher for the student described by `profile` and
+ * returns them best first.
+ */
+async function rankTeachers(profile) {
+  const teachers = await User.find({ role: 'teacher', isActive: true })
+    .select('firstName lastName gender timezone profilePicture teacherInfo.subjects teacherInfo.spokenLanguages teacherInfo.acceptingNewStudents teacherInfo.availabilityStatus teacherInfo.preferredStudentAgeRange teacherInfo.preferredFemaleAgeRange teacherInfo.preferredMaleAgeRange')
+    .lean();
+  const teacherIds = teachers.map((t) => t._id);
+  const [weeklyHours, scorecards, onboardingIds] = await Promise.all([
+    loadWeeklyHours(teacherIds),
+    loadScorecards(teacherIds),
+    teacherOnboardingService.getIncompleteTeacherIds()
+  ]);
+  const onboarding = new Set(onboardingIds);
+  const occurrences = slotOccurrences(profile);
+
+  const recommendations = [];
+  for (const teacher of teachers) {
+    const availability = await scoreAvailability(teacher, occurrences);
+    const subject = scoreSubject(teacher, profile.subjects);
+    const gender = scoreGender(teacher, profile.genderPreference);
+    const factors = {
+      availability,
+      subject,
+      age: scoreAge(teacher, profile),
+      gender,
+      load: scoreLoad(weeklyHours.get(String(teacher._id))),
+      language: scoreLanguage(teacher, profile.languages),
+      performance: scorePerformance(scorecards.get(String(teacher._id)))
+    };
+
+    let total = 0;
+    let weightSum = 0;
+    const explanation = Object.entries(factors).map(([key, factor]) => {
+      const weight = FACTOR_WEIGHTS[key];
+      if (factor.score !== null) {
+        total += factor.score * weight;
+        weightSum += weight;
+      }
+      return { factor: key, score: factor.score, weight: factor.score === null ? 0 : weight, detail: factor.detail };
+    });
+
+    const blockers = [];
+    if (teacher.teacherInfo?.acceptingNewStudents === false) blockers.push('Not accepting new students');
+    if (onboarding.has(String(teacher._id))) blockers.push('Onboarding incomplete');
+    if (gender.mismatch) blockers.push(`Not a ${profile.genderPreference} teacher`);
+
+    recommendations.push({
+      teacher: {
+        _id: teacher._id,
+        name: `${teacher.firstName || ''} ${teacher.lastName || ''}`.trim(),
+        gender: teacher.gender || null,
+        timezone: teacher.timezone || DEFAULT_TIMEZONE,
+        profilePicture: teacher.profilePicture || null
+      },
+      score: weightSum > 0 ? Math.round(total / weightSum) : 0,
+      eligible: blockers.length === 0,
+      blockers,
+      explanation,
+      matchedSlots: availability.matchedSlots,
+      weeklyHours: factors.load.weeklyHours,
+      classDraft: blockers.length === 0 ? buildClassDraft(profile, teacher, availability, subject) : null
+    });
+  }
+
+  recommendations.sort((a, b) => (Number(b.eligible) - Number(a.eligible)) || (b.score - a.score));
+
+  return {
+    student: {
+      source: profile.source,
+      name: profile.studentName,
+      timezone: profile.timezone,
+      age: profile.age,
+      gender: profile.gender,
+      subjects: profile.subjects,
+      languages: profile.languages,
+      genderPreference: profile.genderPreference,
+      slots: profile.slots,
+      canCreateClass: Boolean(profile.guardianId && profile.studentId)
+    },
+    weights: FACTOR_WEIGHTS,
+    recommendations
+  };
+}
+
+async function recommendForLead(leadId, { studentIndex = 0 } = {}) {
+  return rankTeachers(await buildLeadProfile(leadId, studentIndex));
+}
+
+async function recommendForEvaluation(sessionId, studentSubId, adminId) {
+  return rankTeachers(await buildEvaluationProfile(sessionId, studentSubId, adminId));
+}
+
+module.exports = {
+  FACTOR_WEIGHTS,
+  parseGenderPreference,
+  recommendForLead,
+  recommendForEvaluation
+};
@@ -0,0 +1,554 @@
+// backend/services/teacherOnboardingService.js
+// Post-hire onboarding checklist and document vault.
+//
+// Checklist items and what ticks them automatically:
+//  - agreement:    the recruitment contract was accepted (public agreement link
+//                  or the in-app contract form), or an agreement is in the vault
+//  - identity:     an unexpired ID copy in the vault (or legacy idCardImages)
+//  - bank:         approved bank details or an Instapay name on the profile
+//  - calendar:     the teacher's Google class calendar is provisioned
+//  - availability: at least one active availability slot
+//  - training:     marked passed in a TrainingBatch
+// Admins can tick or waive any item by hand; resetting an item to pending
+// hands it back to the data. A teacher with an incomplete checklist is closed
+// to new students and cannot be reopened until it is complete again.
+const moment = require('moment-timezone');
+const cloudinary = require('cloudinary').v2;
+
+const TeacherOnboarding = require('../models/TeacherOnboarding');
+const TeacherDocument = require('../models/TeacherDocument');
+const TeacherContractLead = require('../models/TeacherContractLead');
+const TeacherContractSubmission = require('../models/TeacherContractSubmission');
+const TrainingBatch = require('../models/TrainingBatch');
+const AvailabilitySlot = require('../models/AvailabilitySlot');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+
+const CHECKLIST_ITEMS = [
+  { key: 'agreement', label: 'Signed agreement' },
+  { key: 'identity', label: 'ID copy' },
+  { key: 'bank', label: 'Bank details' },
+  { key: 'calendar', label: 'Calendar connected' },
+  { key: 'availability', label: 'Availability set up' },
+  { key: 'training', label: 'Training completed' },
+];
+const ITEM_LABELS = CHECKLIST_ITEMS.reduce((acc, item) => ({ ...acc, [item.key]: item.label }), {});
+const EXPIRY_WARNING_DAYS = 30;
+const DOWNLOAD_LINK_SECONDS = 300;
+const VAULT_FOLDER = process.env.CLOUDINARY_TEACHER_VAULT_FOLDER || 'waraqa/teacher-vault';
+
+const isCloudinaryConfigured = Boolean(
+  process.env.CLOUDINARY_CLOUD_NAME &&
+  process.env.CLOUDINARY_API_KEY &&
+  process.env.CLOUDINARY_API_SECRET
+);
+
+let cloudinaryReady = false;
+function ensureCloudinary() {
+  if (cloudinaryReady) return;
+  if (!cloudinary.config().cloud_name) {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+    });
+  }
+  cloudinaryReady = true;
+}
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const personName = (user) => `${user?.firstName || ''} ${user?.lastName || ''}`.trim() || 'Teacher';
+const formatDate = (date) => moment(date).tz('Africa/Cairo').format('DD MMM YYYY');
+const isUnexpired = (doc, now = new Date()) => !doc.expiresAt || new Date(doc.expiresAt) > now;
+
+// --- Data-driven checks -----------------------------------------------------
+
+async function findCandidate(onboarding, teacher) {
+  if (onboarding.candidateId) {
+    const Model = onboarding.candidateSource === 'submission' ? TeacherContractSubmission : TeacherContractLead;
+    const doc = await Model.findById(onboarding.candidateId).lean();
+    if (doc) return doc;
+  }
+  const submission = await TeacherContractSubmission.findOne({ user: teacher._id }).lean();
+  if (submission) return submission;
+  if (!teacher.email) return null;
+  return TeacherContractLead.findOne({ 'personalInfo.email': teacher.email }).sort({ createdAt: -1 }).lean();
+}
+
+async function evaluateItems(onboarding, teacher) {
+  const now = new Date();
+  const info = teacher.teacherInfo || {};
+  const [candidate, documents, slotCount] = await Promise.all([
+    findCandidate(onboarding, teacher),
+    TeacherDocument.find({ teacher: teacher._id, status: 'active' }).select('type expiresAt').lean(),
+    AvailabilitySlot.countDocuments({ teacherId: teacher._id, isActive: true }),
+  ]);
+  const candidateIds = [onboarding.candidateId, candidate?._id].filter(Boolean);
+  const training = await TrainingBatch.findOne({
+    candidates: {
+      $elemMatch: {
+        outcome: 'passed',
+        $or: [{ convertedUserId: teacher._id }, { candidateId: { $in: candidateIds } }],
+      },
+    },
+  }).select('title').lean();
+
+  const docsOfType = (type) => documents.filter((d) => d.type === type);
+  const results = {};
+
+  const contract = candidate?.recruitment?.contract || {};
+  const agreementDoc = docsOfType('agreement').find((d) => isUnexpired(d, now));
+  if (contract.acceptedAt) {
+    results.agreement = { done: true, detail: `Contract accepted on ${formatDate(contract.acceptedAt)}` };
+  } else if (candidate?.contract?.accepted) {
+    results.agreement = { done: true, detail: 'Contract accepted in the application form' };
+  } else if (agreementDoc) {
+    results.agreement = { done: true, detail: 'Signed agreement in the vault' };
+  } else {
+    results.agreement = { done: false, detail: 'No accepted contract or signed agreement yet' };
+  }
+
+  const identityDocs = docsOfType('identity');
+  const validId = identityDocs.find((d) => isUnexpired(d, now));
+  if (validId) {
+    results.identity = {
+      done: true,
+      detail: validId.expiresAt ? `ID copy valid until ${formatDate(validId.expiresAt)}` : 'ID copy in the vault',
+    };
+  } else if (identityDocs.length) {
+    const latest = identityDocs.reduce((a, b) => (new Date(a.expiresAt) > new Date(b.expiresAt) ? a : b));
+    results.identity = { done: false, detail: `ID copy expired on ${formatDate(latest.expiresAt)}` };
+  } else if ((info.idCardImages || []).length) {
+    results.identity = { done: true, detail: 'ID card images on the profile' };
+  } else {
+    results.identity = { done: false, detail: 'Upload an ID copy to the vault' };
+  }
+
+  const bank = info.bankDetails || {};
+  if ((bank.iban || bank.accountNumber) && !bank.pendingApproval) {
+    results.bank = { done: true, detail: bank.bankName ? `Bank account at ${bank.bankName}` : 'Bank account on file' };
+  } else if (info.instapayName) {
+    results.bank = { done: true, detail: `Instapay: ${info.instapayName}` };
+  } else {
+    results.bank = {
+      done: false,
+      detail: bank.pendingApproval ? 'Bank details waiting for admin approval' : 'No bank details or Instapay name yet',
+    };
+  }
+
+  results.calendar = info.classCalendarId
+    ? { done: true, detail: 'Class calendar connected' }
+    : { done: false, detail: 'Class calendar not provisioned yet' };
+
+  results.availability = slotCount > 0
+    ? { done: true, detail: `${slotCount} availability slot${slotCount === 1 ? '' : 's'}` }
+    : { done: false, detail: 'No availability slots yet' };
+
+  results.training = training
+    ? { done: true, detail: `Passed ${training.title}` }
+    : { done: false, detail: 'Not marked passed in a training batch' };
+
+  return results;
+}
+
+// --- Accepting-new-students enforcement -------------------------------------
+
+const isComplete = (onboarding) => onboarding.items.every((item) => item.status !== 'pending');
+const missingItems = (onboarding) => onboarding.items
+  .filter((item) => item.status === 'pending')
+  .map((item) => ITEM_LABELS[item.key] || item.key);
+
+async function closeToNewStudents(teacher, onboarding) {
+  if (teacher.teacherInfo?.acceptingNewStudents === false) return false;
+  const lifecycle = teacher.teacherInfo.lifecycle && typeof teacher.teacherInfo.lifecycle === 'object'
+    ? teacher.teacherInfo.lifecycle
+    : { stage: 'active', history: [] };
+  if (!Array.isArray(lifecycle.history)) lifecycle.history = [];
+  lifecycle.history.push({
+    at: new Date(),
+    type: 'accepting',
+    note: `Closed to new students: onboarding incomplete (${missingItems(onboarding).join(', ')})`,
+  });
+  lifecycle.history = lifecycle.history.slice(-100);
+  teacher.teacherInfo.lifecycle = lifecycle;
+  teacher.teacherInfo.acceptingNewStudents = false;
+  teacher.teacherInfo.acceptingStudentsUpdatedAt = new Date();
+  teacher.markModified('teacherInfo');
+  await teacher.save();
+  return true;
+}
+
+// --- Checklist ---------------------------------------------------------------
+
+function serializeOnboarding(onboarding) {
+  const doc = typeof onboarding.toObject === 'function' ? onboarding.toObject() : onboarding;
+  const items = CHECKLIST_ITEMS.map((def) => {
+    const item = (doc.items || []).find((i) => i.key === def.key) || { key: def.key, status: 'pending', source: 'auto' };
+    return { ...item, label: def.label };
+  });
+  return {
+    _id: doc._id,
+    teacher: doc.teacher,
+    candidateSource: doc.candidateSource,
+    candidateId: doc.candidateId,
+    items,
+    done: items.filter((i) => i.status !== 'pending').length,
+    total: items.length,
+    completedAt: doc.completedAt,
+    lastCheckedAt: doc.lastCheckedAt,
+    createdAt: doc.createdAt,
+  };
+}
+
+/**
+ * Re-evaluate the automatic items and enforce the accepting-students block.
+ * @param {Object} onboarding - TeacherOnboarding document
+ * @returns {Promise<{onboarding: Object, closed: boolean}>}
+ */
+async function refreshChecklist(onboarding) {
+  const teacher = await User.findById(onboarding.teacher);
+  if (!teacher || teacher.role !== 'teacher') throw buildError(404, 'Teacher not found', 'TEACHER_NOT_FOUND');
+  teacher.teacherInfo = teacher.teacherInfo || {};
+
+  const results = await evaluateItems(onboarding, teacher);
+  const now = new Date();
+  CHECKLIST_ITEMS.forEach(({ key }) => {
+    let item = onboarding.items.find((i) => i.key === key);
+    if (!item) {
+      onboarding.items.push({ key, status: 'pending', source: 'auto' });
+      item = onboarding.items[onboarding.items.length - 1];
+    }
+    item.detail = results[key].detail;
+    if (item.source === 'manual') return;
+    const nextStatus = results[key].done ? 'done' : 'pending';
+    if (item.status !== nextStatus) {
+      item.status = nextStatus;
+      item.completedAt = nextStatus === 'done' ? now : null;
+      item.completedBy = null;
+    }
+  });
+
+  const complete = isComplete(onboarding);
+  if (complete && !onboarding.completedAt) onboarding.completedAt = now;
+  if (!complete) onboarding.completedAt = null;
+  onboarding.lastCheckedAt = now;
+  await onboarding.save();
+
+  const closed = complete ? false : await closeToNewStudents(teacher, onboarding);
+  return { onboarding, closed };
+}
+
+async function startOnboarding(teacherId, { candidateSource, candidateId, actorId } = {}) {
+  const teacher = await User.findById(teacherId).select('_id role').lean();
+  if (!teacher || teacher.role !== 'teacher') throw buildError(404, 'Teacher not found', 'TEACHER_NOT_FOUND');
+
+  let onboarding = await TeacherOnboarding.findOne({ teacher: teacherId });
+  if (!onboarding) {
+    onboarding = new TeacherOnboarding({
+      teacher: teacherId,
+      candidateSource: candidateSource || undefined,
+      candidateId: candidateId || null,
+      items: CHECKLIST_ITEMS.map(({ key }) => ({ key })),
+      startedBy: actorId || null,
+    });
+  }
+  const result = await refreshChecklist(onboarding);
+  return serializeOnboarding(result.onboarding);
+}
+
+async function getChecklist(teacherId, { refresh = true } = {}) {
+  const onboarding = await TeacherOnboarding.findOne({ teacher: teacherId });
+  if (!onboarding) throw buildError(404, 'No onboarding checklist for this teacher', 'ONBOARDING_NOT_FOUND');
+  if (refresh) await refreshChecklist(onboarding);
+  return serializeOnboarding(onboarding);
+}
+
+async function setItemStatus(teacherId, key, { status, note } = {}, actorId) {
+  if (!ITEM_LABELS[key]) throw buildError(400, 'Unknown checklist item', 'ONBOARDING_INVALID_ITEM');
+  if (!['pending', 'done', 'waived'].includes(status)) {
+    throw buildError(400, 'Status must be pending, done or waived', 'ONBOARDING_INVALID_STATUS');
+  }
+  const onboarding = await TeacherOnboarding.findOne({ teacher: teacherId });
+  if (!onboarding) throw buildError(404, 'No onboarding checklist for this teacher', 'ONBOARDING_NOT_FOUND');
+
+  let item = onboarding.items.find((i) => i.key === key);
+  if (!item) {
+    onboarding.items.push({ key });
+    item = onboarding.items[onboarding.items.length - 1];
+  }
+  // Resetting to pending gives the item back to the automatic checks
+  item.source = status === 'pending' ? 'auto' : 'manual';
+  item.status = status;
+  item.completedAt = status === 'pending' ? null : new Date();
+  item.completedBy = status === 'pending' ? null : actorId;
+  item.note = String(note || '').trim().slice(0, 500);
+
+  await refreshChecklist(onboarding);
+  return serializeOnboarding(onboarding);
+}
+
+async function listOnboardings({ status } = {}) {
+  const query = {};
+  if (status === 'incomplete') query.completedAt = null;
+  if (status === 'complete') query.completedAt = { $ne: null };
+  const rows = await TeacherOnboarding.find(query)
+    .sort({ createdAt: -1 })
+    .populate('teacher', 'firstName lastName email teacherInfo.acceptingNewStudents')
+    .lean();
+  return rows.map((row) => ({
+    ...serializeOnboarding(row),
+    teacher: row.teacher ? {
+      _id: row.teacher._id,
+      name: personName(row.teacher),
+      email: row.teacher.email,
+      acceptingNewStudents: row.teacher.teacherInfo?.acceptingNewStudents !== false,
+    } : null,
+  }));
+}
+
+/**
+ * Labels of the items still missing, or an empty list when the teacher has no
+ * checklist or it is complete. Used before opening a teacher to new students.
+ */
+async function getBlockingItems(teacherId) {
+  const onboarding = await TeacherOnboarding.findOne({ teacher: teacherId });
+  if (!onboarding || onboarding.completedAt) return [];
+  await refreshChecklist(onboarding);
+  return isComplete(onboarding) ? [] : missingItems(onboarding);
+}
+
+async function getIncompleteTeacherIds() {
+  const rows = await TeacherOnboarding.find({ completedAt: null }).select('teacher').lean();
+  return rows.map((row) => String(row.teacher));
+}
+
+// --- Document vault ---------------------------------------------------------
+
+const serializeDocument = (doc) => ({
+  _id: doc._id,
+  type: doc.type,
+  title: doc.title,
+  originalName: doc.originalName,
+  mimeType: doc.mimeType,
+  size: doc.size,
+  expiresAt: doc.expiresAt,
+  expired: Boolean(doc.expiresAt && new Date(doc.expiresAt) <= new Date()),
+  status: doc.status,
+  uploadedBy: doc.uploadedBy,
+  createdAt: doc.createdAt,
+});
+
+const parseExpiry = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw buildError(400, 'Invalid expiry date', 'VAULT_INVALID_EXPIRY');
+  return date;
+};
+
+async function listDocuments(teacherId, { includeArchived = false } = {}) {
+  const query = { teacher: teacherId };
+  if (!includeArchived) query.status = 'active';
+  const docs = await TeacherDocument.find(query).sort({ createdAt: -1 }).lean();
+  return docs.map(serializeDocument);
+}
+
+async function storeFile(teacherId, file) {
+  if (!isCloudinaryConfigured) {
+    return { storage: { provider: 'inline' }, data: file.buffer };
+  }
+  ensureCloudinary();
+  const dataUri = `data:${file.mimetype || 'application/octet-stream'};base64,${file.buffer.toString('base64')}`;
+  const uploaded = await cloudinary.uploader.upload(dataUri, {
+    folder: `${VAULT_FOLDER}/${teacherId}`,
+    resource_type: 'auto',
+    type: 'private',
+    use_filename: true,
+    unique_filename: true,
+  });
+  return {
+    storage: {
+      provider: 'cloudinary',
+      publicId: uploaded.public_id,
+      resourceType: uploaded.resource_type,
+      format: uploaded.format || '',
+    },
+  };
+}
+
+async function addDocument(teacherId, file, { type, title, expiresAt } = {}, actorId) {
+  if (!file?.buffer) throw buildError(400, 'A file is required', 'VAULT_FILE_REQUIRED');
+  if (!TeacherDocument.DOCUMENT_TYPES.includes(type)) throw buildError(400, 'Invalid document type', 'VAULT_INVALID_TYPE');
+  const teacher = await User.findById(teacherId).select('_id role').lean();
+  if (!teacher || teacher.role !== 'teacher') throw buildError(404, 'Teacher not found', 'TEACHER_NOT_FOUND');
+
+  const stored = await storeFile(teacherId, file);
+  const doc = await TeacherDocument.create({
+    teacher: teacherId,
+    type,
+    title: String(title || '').trim().slice(0, 200) || file.originalname || type,
+    ...stored,
+    originalName: file.originalname || '',
+    mimeType: file.mimetype || '',
+    size: file.size || file.buffer.length,
+    expiresAt: parseExpiry(expiresAt) || null,
+    uploadedBy: actorId,
+  });
+
+  const onboarding = await TeacherOnboarding.findOne({ teacher: teacherId });
+  if (onboarding) await refreshChecklist(onboarding);
+  return serializeDocument(doc);
+}
+
+async function updateDocument(teacherId, documentId, { title, expiresAt } = {}) {
+  const doc = await TeacherDocument.findOne({ _id: documentId, teacher: teacherId });
+  if (!doc) throw buildError(404, 'Document not found', 'VAULT_NOT_FOUND');
+  if (title !== undefined) doc.title = String(title || '').trim().slice(0, 200);
+  const expiry = parseExpiry(expiresAt);
+  if (expiry !== undefined) {
+    doc.expiresAt = expiry;
+    doc.expiryWarnedAt = null;
+    doc.expiredNotifiedAt = null;
+  }
+  await doc.save();
+
+  const onboarding = await TeacherOnboarding.findOne({ teacher: teacherId });
+  if (onboarding) await refreshChecklist(onboarding);
+  return serializeDocument(doc);
+}
+
+// Archived documents stay in storage for the audit trail but no longer count
+async function archiveDocument(teacherId, documentId) {
+  const doc = await TeacherDocument.findOneAndUpdate(
+    { _id: documentId, teacher: teacherId, status: 'active' },
+    { $set: { status: 'archived' } },
+    { new: true }
+  );
+  if (!doc) throw buildError(404, 'Document not found', 'VAULT_NOT_FOUND');
+
+  const onboarding = await TeacherOnboarding.findOne({ teacher: teacherId });
+  if (onboarding) await refreshChecklist(onboarding);
+  return serializeDocument(doc);
+}
+
+/**
+ * Resolve a document for download: a short-lived signed URL for Cloudinary
+ * assets, or the stored bytes for inline ones.
+ */
+async function getDocumentDownload(teacherId, documentId) {
+  const doc = await TeacherDocument.findOne({ _id: documentId, teacher: teacherId }).select('+data');
+  if (!doc) throw buildError(404, 'Document not found', 'VAULT_NOT_FOUND');
+
+  if (doc.storage?.provider === 'cloudinary') {
+    ensureCloudinary();
+    const url = cloudinary.utils.private_download_url(doc.storage.publicId, doc.storage.format || '', {
+      resource_type: doc.storage.resourceType || 'image',
+      type: 'private',
+      expires_at: Math.floor(Date.now() / 1000) + DOWNLOAD_LINK_SECONDS,
+      attachment: true,
+    });
+    return { url };
+  }
+  return {
+    buffer: doc.data,
+    mimeType: doc.mimeType || 'application/octet-stream',
+    fileName: doc.originalName || `${doc.type}-${doc._id}`,
+  };
+}
+
+// --- Expiry job ----------------------------------------------------------------
+
+async function notifyExpiry(doc, teacher, expired) {
+  const label = doc.title || doc.type;
+  const when = formatDate(doc.expiresAt);
+  await notificationService.createNotification({
+    userId: teacher._id,
+    title: expired ? 'Document expired' : 'Document expiring soon',
+    message: expired
+      ? `Your ${label} expired on ${when}. Please upload a renewed copy.`
+      : `Your ${label} expires on ${when}. Please upload a renewed copy before then.`,
+    type: expired ? 'warning' : 'info',
+    relatedTo: 'system',
+    actionRequired: true,
+  });
+  await notificationService.notifyRole({
+    role: 'admin',
+    title: expired ? 'Teacher document expired' : 'Teacher document expiring soon',
+    message: `${personName(teacher)}'s ${label} ${expired ? 'expired' : 'expires'} on ${when}.`,
+    type: 'warning',
+  });
+}
+
+/**
+ * Warn about vault documents expiring within EXPIRY_WARNING_DAYS, notify on
+ * expiry and re-check the affected checklists.
+ */
+async function runExpiryCheck() {
+  const now = new Date();
+  const warnUntil = moment(now).add(EXPIRY_WARNING_DAYS, 'days').toDate();
+  const docs = await TeacherDocument.find({
+    status: 'active',
+    expiresAt: { $ne: null, $lte: warnUntil },
+    $or: [{ expiredNotifiedAt: null }, { expiryWarnedAt: null }],
+  }).populate('teacher', 'firstName lastName');
+
+  const summary = { warned: 0, expired: 0, checklistsClosed: 0 };
+  const affectedTeachers = new Set();
+  for (const doc of docs) {
+    if (!doc.teacher) continue;
+    const expired = new Date(doc.expiresAt) <= now;
+    try {
+      if (expired && !doc.expiredNotifiedAt) {
+        await notifyExpiry(doc, doc.teacher, true);
+        doc.expiredNotifiedAt = now;
+        doc.expiryWarnedAt = doc.expiryWarnedAt || now;
+        summary.expired += 1;
+        affectedTeachers.add(String(doc.teacher._id));
+      } else if (!expired && !doc.expiryWarnedAt) {
+        await notifyExpiry(doc, doc.teacher, false);
+        doc.expiryWarnedAt = now;
+        summary.warned += 1;
+      } else {
+        continue;
+      }
+      await doc.save();
+    } catch (err) {
+      console.warn('[teacherOnboarding] Expiry notification failed', doc._id, err.message);
+    }
+  }
+
+  const onboardings = await TeacherOnboarding.find({
+    $or: [{ teacher: { $in: Array.from(affectedTeachers) } }, { completedAt: null }],
+  });
+  for (const onboarding of onboardings) {
+    try {
+      const { closed } = await refreshChecklist(onboarding);
+      if (closed) summary.checklistsClosed += 1;
+    } catch (err) {
+      console.warn('[teacherOnboarding] Checklist refresh failed', onboarding._id, err.message);
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  CHECKLIST_ITEMS,
+  startOnboarding,
+  getChecklist,
+  setItemStatus,
+  listOnboardings,
+  getBlockingItems,
+  getIncompleteTeacherIds,
+  listDocuments,
+  addDocument,
+  updateDocument,
+  archiveDocument,
+  getDocumentDownload,
+  runExpiryCheck,
+};
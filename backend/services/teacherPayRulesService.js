@@ -0,0 +1,445 @@
+// backend/services/teacherPayRulesService.js
+// Rule-based pay components for teacher invoices.
+//
+// Rules live in SalarySettings.payRules and are evaluated whenever a teacher
+// invoice is created or refreshed (TeacherSalaryService.createTeacherInvoice /
+// syncDraftInvoice). Each matching rule becomes one `extras` line carrying a
+// `ruleSource` (rule, rate, classes, hours), so the invoice, the admin salary
+// pages and the teacher's SalaryDashboard can show where the amount came from.
+//
+// Rule types:
+//   subject_premium      classes whose subject matches one of `subjects`
+//   student_type         classes with an adult / child student (age at class date)
+//   group_class          group classes (roster) or classes sharing the same teacher slot
+//                        with >= minStudents students
+//   first_class          the first countable class between the teacher and a student (trial)
+//   unreported_penalty   classes of the month whose report was marked unreported
+//   no_show_penalty      classes of the month whose Class.status is in `statuses`
+//   late_report_penalty  billed classes reported after the deadline (+ graceHours)
+// Premium-type rules add `amountUSD` (may be negative for a lower rate);
+// penalty-type rules always deduct it.
+const mongoose = require('mongoose');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const Class = require('../models/Class');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const SalarySettings = require('../models/SalarySettings');
+const TeacherInvoice = require('../models/TeacherInvoice');
+
+const CAIRO_TZ = 'Africa/Cairo';
+const COUNTABLE_STATUSES = ['attended', 'missed_by_student', 'completed', 'absent'];
+const CLASS_PREMIUM_KEY = 'class_premium';
+const ADULT_AGE = 18;
+
+const RULE_TYPES = {
+  subject_premium: { label: 'Subject premium', penalty: false },
+  student_type: { label: 'Student type rate', penalty: false },
+  group_class: { label: 'Group class rate', penalty: false },
+  first_class: { label: 'First (trial) class rate', penalty: false },
+  unreported_penalty: { label: 'Unreported class penalty', penalty: true },
+  no_show_penalty: { label: 'Teacher no-show penalty', penalty: true },
+  late_report_penalty: { label: 'Late report penalty', penalty: true }
+};
+
+const DEFAULT_NO_SHOW_STATUSES = ['no_show_both'];
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const roundHours = (value) => Math.round((Number(value) || 0) * 1000) / 1000;
+
+const slugifyKey = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const cleanList = (values) => (Array.isArray(values) ? values : [])
+  .map((value) => String(value || '').trim())
+  .filter(Boolean);
+
+/**
+ * Validates the rule list sent by the admin settings page.
+ */
+function normalizeRules(rules = []) {
+  if (!Array.isArray(rules)) throw buildError(400, 'payRules must be an array', 'PAY_RULES_INVALID');
+  const seen = new Set();
+  return rules.map((rule, idx) => {
+    const name = String(rule?.name || '').trim().slice(0, 80);
+    if (!name) throw buildError(400, `Rule #${idx + 1} needs a name`, 'PAY_RULES_INVALID');
+    if (!RULE_TYPES[rule?.type]) throw buildError(400, `Rule "${name}" has an unknown type`, 'PAY_RULES_INVALID');
+    const amountUSD = Number(rule.amountUSD);
+    if (!Number.isFinite(amountUSD) || amountUSD === 0) {
+      throw buildError(400, `Rule "${name}" needs a non-zero USD amount`, 'PAY_RULES_INVALID');
+    }
+    let key = slugifyKey(rule.key) || slugifyKey(name) || `rule_${idx + 1}`;
+    if (key === CLASS_PREMIUM_KEY) key = `${key}_rule`;
+    while (seen.has(key)) key = `${key}_${idx + 1}`;
+    seen.add(key);
+
+    const normalized = {
+      key,
+      name,
+      type: rule.type,
+      unit: rule.unit === 'per_class' ? 'per_class' : 'per_hour',
+      amountUSD: RULE_TYPES[rule.type].penalty ? Math.abs(roundCurrency(amountUSD)) : roundCurrency(amountUSD),
+      subjects: cleanList(rule.subjects),
+      studentTypes: cleanList(rule.studentTypes).filter((value) => ['adult', 'child'].includes(value)),
+      minStudents: Math.max(2, Math.floor(Number(rule.minStudents) || 2)),
+      statuses: cleanList(rule.statuses),
+      graceHours: Math.max(0, Number(rule.graceHours) || 0),
+      description: String(rule.description || '').trim().slice(0, 200),
+      isActive: rule.isActive !== false
+    };
+    if (rule._id && mongoose.Types.ObjectId.isValid(rule._id)) normalized._id = rule._id;
+    if (normalized.type === 'subject_premium' && !normalized.subjects.length) {
+      throw buildError(400, `Rule "${name}" needs at least one subject`, 'PAY_RULES_INVALID');
+    }
+    if (normalized.type === 'student_type' && !normalized.studentTypes.length) {
+      throw buildError(400, `Rule "${name}" needs a student type`, 'PAY_RULES_INVALID');
+    }
+    if (normalized.type === 'no_show_penalty' && !normalized.statuses.length) {
+      normalized.statuses = DEFAULT_NO_SHOW_STATUSES.slice();
+    }
+    return normalized;
+  });
+}
+
+async function getRules() {
+  const settings = await SalarySettings.getGlobalSettings();
+  return settings.payRules || [];
+}
+
+async function updateRules(rules, userId) {
+  const normalized = normalizeRules(rules);
+  const settings = await SalarySettings.getGlobalSettings();
+  const oldValue = (settings.payRules || []).map((rule) => ({ key: rule.key, type: rule.type, amountUSD: rule.amountUSD, isActive: rule.isActive }));
+  settings.payRules = normalized;
+  settings.changeHistory.push({
+    changedAt: new Date(),
+    changedBy: userId,
+    field: 'payRules',
+    oldValue,
+    newValue: normalized.map((rule) => ({ key: rule.key, type: rule.type, amountUSD: rule.amountUSD, isActive: rule.isActive })),
+    note: `Pay rules updated (${normalized.length} rules)`
+  });
+  settings.lastModifiedBy = userId;
+  settings.lastModifiedAt = new Date();
+  await settings.save();
+  return settings.payRules;
+}
+
+const monthRange = (month, year) => {
+  const start = dayjs.tz(`${year}-${String(month).padStart(2, '0')}-01`, CAIRO_TZ).startOf('month');
+  return { startDate: start.toDate(), endDate: start.add(1, 'month').toDate() };
+};
+
+const classHours = (cls) => (Number(cls.duration || 0) / 60);
+
+const subjectMatches = (cls, subjects) => {
+  const haystack = [cls.subject, cls.classReport?.subject].filter(Boolean).join(' ').toLowerCase();
+  return subjects.some((subject) => haystack.includes(subject.toLowerCase()));
+};
+
+// studentId -> 'adult' | 'child' for the students of the given classes.
+// Students are embedded in their guardian (guardianInfo.students) and may also
+// have a standalone Student document.
+async function resolveStudentTypes(classes) {
+  const studentIds = [...new Set(classes.map((cls) => String(cls.student?.studentId || '')).filter(Boolean))];
+  const guardianIds = [...new Set(classes.map((cls) => String(cls.student?.guardianId || '')).filter(Boolean))];
+  if (!studentIds.length) return new Map();
+
+  const profiles = new Map();
+  const [guardians, students] = await Promise.all([
+    User.find({ _id: { $in: guardianIds } }).select('guardianInfo.students._id guardianInfo.students.dateOfBirth guardianInfo.students.selfGuardian').lean(),
+    Student.find({ _id: { $in: studentIds } }).select('dateOfBirth selfGuardian').lean()
+  ]);
+  guardians.forEach((guardian) => (guardian.guardianInfo?.students || []).forEach((student) => {
+    profiles.set(String(student._id), student);
+  }));
+  students.forEach((student) => {
+    if (!profiles.has(String(student._id)) || !profiles.get(String(student._id)).dateOfBirth) {
+      profiles.set(String(student._id), student);
+    }
+  });
+
+  const types = new Map();
+  classes.forEach((cls) => {
+    const profile = profiles.get(String(cls.student?.studentId || ''));
+    if (!profile) return;
+    let type = null;
+    if (profile.dateOfBirth) {
+      const age = dayjs(cls.scheduledDate).diff(dayjs(profile.dateOfBirth), 'year');
+      type = age >= ADULT_AGE ? 'adult' : 'child';
+    } else if (profile.selfGuardian) {
+      type = 'adult';
+    }
+    if (type) types.set(String(cls._id), type);
+  });
+  return types;
+}
+
+// Number of students taught in each class's slot: the roster of a group class
+// plus any other countable classes of the same teacher starting at that time
+// (parallel 1:1 bookings from before group classes existed).
+async function resolveGroupSizes(teacherId, startDate, endDate, classes) {
+  const slots = await Class.find({
+    teacher: teacherId,
+    scheduledDate: { $gte: startDate, $lt: endDate },
+    status: { $in: COUNTABLE_STATUSES },
+    deleted: { $ne: true }
+  }).select('scheduledDate isGroup roster.studentId').lean();
+  const counts = new Map();
+  slots.forEach((slot) => {
+    const key = new Date(slot.scheduledDate).getTime();
+    const students = slot.isGroup ? Math.max(1, (slot.roster || []).length) : 1;
+    counts.set(key, (counts.get(key) || 0) + students);
+  });
+  const sizes = new Map();
+  classes.forEach((cls) => {
+    sizes.set(String(cls._id), counts.get(new Date(cls.scheduledDate).getTime()) || 1);
+  });
+  return sizes;
+}
+
+// Ids of classes that are the first countable lesson between this teacher and the student.
+async function resolveFirstClasses(teacherId, classes) {
+  const studentIds = [...new Set(classes.map((cls) => cls.student?.studentId).filter(Boolean).map(String))];
+  if (!studentIds.length) return new Set();
+  const firsts = await Class.aggregate([
+    {
+      $match: {
+        teacher: new mongoose.Types.ObjectId(String(teacherId)),
+        'student.studentId': { $in: studentIds.map((id) => new mongoose.Types.ObjectId(id)) },
+        status: { $in: COUNTABLE_STATUSES },
+        deleted: { $ne: true }
+      }
+    },
+    { $sort: { scheduledDate: 1 } },
+    { $group: { _id: '$student.studentId', firstClassId: { $first: '$_id' } } }
+  ]);
+  return new Set(firsts.map((entry) => String(entry.firstClassId)));
+}
+
+// Penalised class ids already charged on another invoice of the teacher, per rule key.
+async function alreadyPenalised(teacherId, invoiceId, classIds) {
+  if (!classIds.length) return new Map();
+  const invoices = await TeacherInvoice.find({
+    teacher: teacherId,
+    _id: { $ne: invoiceId },
+    deleted: { $ne: true },
+    'extras.ruleSource.classIds': { $in: classIds }
+  }).select('extras.ruleSource').lean();
+  const charged = new Map();
+  invoices.forEach((inv) => (inv.extras || []).forEach((extra) => {
+    const source = extra.ruleSource;
+    if (!source?.key) return;
+    const set = charged.get(source.key) || new Set();
+    (source.classIds || []).forEach((id) => set.add(String(id)));
+    charged.set(source.key, set);
+  }));
+  return charged;
+}
+
+const describeLine = (rule, matched, hours, rate) => {
+  const quantity = rule.unit === 'per_class'
+    ? `${matched.length} × $${rate.toFixed(2)}/class`
+    : `${hours.toFixed(2)} hrs × $${rate.toFixed(2)}/hr`;
+  const label = `${rule.name}: ${matched.length} ${matched.length === 1 ? 'class' : 'classes'} — ${quantity}`;
+  return label.length >= 5 ? label.slice(0, 200) : `${label} (rule)`;
+};
+
+function buildLine(rule, matched) {
+  if (!matched.length) return null;
+  const hours = roundHours(matched.reduce((sum, cls) => sum + classHours(cls), 0));
+  const rate = Math.abs(Number(rule.amountUSD) || 0);
+  const quantity = rule.unit === 'per_class' ? matched.length : hours;
+  const signed = RULE_TYPES[rule.type].penalty ? -rate : Number(rule.amountUSD);
+  const amountUSD = roundCurrency(quantity * signed);
+  if (!amountUSD) return null;
+  return {
+    category: amountUSD < 0 ? 'penalty' : 'premium',
+    amountUSD,
+    reason: describeLine(rule, matched, hours, rate),
+    ruleSource: {
+      ruleId: rule._id,
+      key: rule.key,
+      name: rule.name,
+      type: rule.type,
+      unit: rule.unit,
+      rateUSD: roundCurrency(signed),
+      classCount: matched.length,
+      hours,
+      classIds: matched.map((cls) => cls._id)
+    }
+  };
+}
+
+/**
+ * Matches loaded classes against the rules; every rule is evaluated on its own,
+ * so a class matching several rules gets a line from each of them.
+ * @param {Object} context { payable, monthClasses, studentTypes, groupSizes, firstClasses, charged, isAdjustment }
+ * @returns {Array} extras lines ({ category, amountUSD, reason, ruleSource })
+ */
+function matchRules(rules, {
+  payable = [],
+  monthClasses = [],
+  studentTypes = new Map(),
+  groupSizes = new Map(),
+  firstClasses = new Set(),
+  charged = new Map(),
+  isAdjustment = false
+} = {}) {
+  const notCharged = (rule, list) => {
+    const done = charged.get(rule.key);
+    return done ? list.filter((cls) => !done.has(String(cls._id))) : list;
+  };
+
+  const lines = [];
+  (rules || []).filter((rule) => rule && rule.isActive !== false && RULE_TYPES[rule.type]).forEach((rule) => {
+    let matched = [];
+    switch (rule.type) {
+      case 'subject_premium':
+        matched = payable.filter((cls) => subjectMatches(cls, rule.subjects || []));
+        break;
+      case 'student_type':
+        matched = payable.filter((cls) => (rule.studentTypes || []).includes(studentTypes.get(String(cls._id))));
+        break;
+      case 'group_class':
+        matched = payable.filter((cls) => (groupSizes.get(String(cls._id)) || 1) >= (rule.minStudents || 2));
+        break;
+      case 'first_class':
+        matched = payable.filter((cls) => firstClasses.has(String(cls._id)));
+        break;
+      case 'unreported_penalty':
+        if (isAdjustment) break;
+        matched = notCharged(rule, monthClasses.filter((cls) => cls.reportSubmission?.status === 'unreported'));
+        break;
+      case 'no_show_penalty': {
+        if (isAdjustment) break;
+        const statuses = rule.statuses?.length ? rule.statuses : DEFAULT_NO_SHOW_STATUSES;
+        matched = notCharged(rule, monthClasses.filter((cls) => statuses.includes(cls.status)));
+        break;
+      }
+      case 'late_report_penalty': {
+        if (isAdjustment) break;
+        const graceMs = (Number(rule.graceHours) || 0) * 60 * 60 * 1000;
+        matched = notCharged(rule, payable.filter((cls) => {
+          const submitted = cls.classReport?.submittedAt ? new Date(cls.classReport.submittedAt) : null;
+          const deadline = cls.reportSubmission?.teacherDeadline ? new Date(cls.reportSubmission.teacherDeadline) : null;
+          return submitted && deadline && submitted.getTime() > deadline.getTime() + graceMs;
+        }));
+        break;
+      }
+      default:
+        break;
+    }
+    const line = buildLine(rule, matched);
+    if (line) lines.push(line);
+  });
+  return lines;
+}
+
+/**
+ * Evaluates the active pay rules for one teacher invoice.
+ * @returns {Promise<Array>} extras lines ({ category, amountUSD, reason, ruleSource })
+ */
+async function evaluateRules(invoice, rules) {
+  const activeRules = (rules || []).filter((rule) => rule && rule.isActive !== false && RULE_TYPES[rule.type]);
+  if (!activeRules.length) return [];
+
+  const teacherId = invoice.teacher?._id || invoice.teacher;
+  const { startDate, endDate } = monthRange(invoice.month, invoice.year);
+  const billed = invoice.classIds?.length
+    ? await Class.find({ _id: { $in: invoice.classIds }, deleted: { $ne: true } })
+      .select('_id scheduledDate duration subject status student classReport.subject classReport.submittedAt reportSubmission.status reportSubmission.teacherDeadline billingWaiver')
+      .lean()
+    : [];
+  const payable = billed.filter((cls) => !cls.billingWaiver?.teacher?.waived);
+
+  const needs = new Set(activeRules.map((rule) => rule.type));
+  const studentTypes = needs.has('student_type') ? await resolveStudentTypes(payable) : new Map();
+  const groupSizes = needs.has('group_class') ? await resolveGroupSizes(teacherId, startDate, endDate, payable) : new Map();
+  const firstClasses = needs.has('first_class') ? await resolveFirstClasses(teacherId, payable) : new Set();
+
+  // Penalties look at every class the teacher had this month, billed or not;
+  // adjustment invoices never repeat them.
+  let monthClasses = [];
+  let charged = new Map();
+  if (!invoice.isAdjustment && (needs.has('unreported_penalty') || needs.has('no_show_penalty'))) {
+    monthClasses = await Class.find({
+      teacher: teacherId,
+      scheduledDate: { $gte: startDate, $lt: endDate },
+      deleted: { $ne: true },
+      status: { $ne: 'pattern' }
+    }).select('_id scheduledDate duration status reportSubmission.status').lean();
+  }
+  if (!invoice.isAdjustment) {
+    const candidateIds = [...monthClasses, ...payable].map((cls) => cls._id);
+    charged = await alreadyPenalised(teacherId, invoice._id, candidateIds);
+  }
+  return matchRules(activeRules, {
+    payable,
+    monthClasses,
+    studentTypes,
+    groupSizes,
+    firstClasses,
+    charged,
+    isAdjustment: Boolean(invoice.isAdjustment)
+  });
+}
+
+/**
+ * Replaces the pay-rule lines on an unpaid invoice with a fresh evaluation.
+ * Manual extras and per-class teacher premiums are left alone. The caller
+ * recalculates amounts and saves.
+ * @returns {Promise<{ lines: Array, changed: Boolean }>}
+ */
+async function applyRulesToInvoice(invoice, userId, rules = null) {
+  if (!['draft', 'published'].includes(invoice.status)) return { lines: [], changed: false };
+  const activeRules = rules || await getRules();
+
+  const isRuleLine = (extra) => extra.ruleSource?.key && extra.ruleSource.key !== CLASS_PREMIUM_KEY;
+  const previous = (invoice.extras || []).filter(isRuleLine);
+  const lines = await evaluateRules(invoice, activeRules);
+
+  const signature = (list) => JSON.stringify(list
+    .map((line) => [line.ruleSource.key, roundCurrency(line.amountUSD), (line.ruleSource.classIds || []).map(String).sort()])
+    .sort((a, b) => a[0].localeCompare(b[0])));
+  if (signature(previous) === signature(lines)) return { lines, changed: false };
+
+  invoice.extras = [
+    ...(invoice.extras || []).filter((extra) => !isRuleLine(extra)),
+    ...lines.map((line) => ({ ...line, addedAt: new Date(), addedBy: userId || invoice.teacher }))
+  ];
+  invoice.changeHistory.push({
+    changedAt: new Date(),
+    changedBy: userId,
+    action: 'apply_pay_rules',
+    oldValue: previous.map((line) => ({ key: line.ruleSource.key, amountUSD: line.amountUSD })),
+    newValue: lines.map((line) => ({ key: line.ruleSource.key, amountUSD: line.amountUSD, classCount: line.ruleSource.classCount })),
+    note: `Pay rules applied: ${lines.length} line(s)${previous.length ? `, ${previous.length} previous line(s) replaced` : ''}`
+  });
+  return { lines, changed: true };
+}
+
+module.exports = {
+  RULE_TYPES,
+  CLASS_PREMIUM_KEY,
+  normalizeRules,
+  matchRules,
+  getRules,
+  updateRules,
+  evaluateRules,
+  applyRulesToInvoice
+};
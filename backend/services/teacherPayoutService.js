@@ -0,0 +1,446 @@
+// backend/services/teacherPayoutService.js
+// ============================================================
+// Teacher payout batches
+// ============================================================
+// Flow:
+//   1. createBatches() takes published teacher invoices, works out how each
+//      teacher is paid (bank transfer, InstaPay or mobile wallet) from the
+//      teacher profile — or an admin override — and creates one draft batch
+//      per method. Each line snapshots the payee details and netAmountEGP.
+//   2. renderBatchFile() produces the bulk-transfer CSV for the bank /
+//      InstaPay / wallet portal.
+//   3. sendBatch() marks the batch sent and every invoice paid through
+//      TeacherSalaryService.markInvoiceAsPaid (batch number as transaction id).
+//   4. reconcileBatch() records the bank's outcome per line: paid lines get
+//      their transaction reference, failed lines put the invoice back to
+//      unpaid (published) with the failure reason in its history.
+const mongoose = require('mongoose');
+const TeacherPayoutBatch = require('../models/TeacherPayoutBatch');
+const TeacherInvoice = require('../models/TeacherInvoice');
+const TeacherSalaryAudit = require('../models/TeacherSalaryAudit');
+const User = require('../models/User');
+const TeacherSalaryService = require('./teacherSalaryService');
+
+const METHODS = ['bank_transfer', 'instapay', 'vodafone_cash'];
+const METHOD_LABELS = {
+  bank_transfer: 'Bank transfer',
+  instapay: 'InstaPay',
+  vodafone_cash: 'Mobile wallet'
+};
+const ACTIVE_BATCH_STATUSES = ['draft', 'sent'];
+const MAX_INVOICES = 200;
+
+// Payee fields each payment file cannot do without
+const REQUIRED_DETAILS = {
+  bank_transfer: [['accountNumber', 'iban'], ['bankName']],
+  instapay: [['instapayName']],
+  vodafone_cash: [['walletNumber']]
+};
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const teacherName = (teacher) => [teacher?.firstName, teacher?.lastName].filter(Boolean).join(' ').trim();
+
+const payeeFor = (teacher) => {
+  const bank = teacher?.teacherInfo?.bankDetails || {};
+  return {
+    name: teacherName(teacher),
+    accountNumber: bank.accountNumber || '',
+    iban: bank.iban || '',
+    bankName: bank.bankName || '',
+    swift: bank.swift || '',
+    instapayName: teacher?.teacherInfo?.instapayName || '',
+    walletNumber: teacher?.phone || teacher?.whatsapp || ''
+  };
+};
+
+// Bank details win, then InstaPay, then the phone as a wallet number.
+const defaultMethodFor = (payee) => {
+  if (payee.accountNumber || payee.iban) return 'bank_transfer';
+  if (payee.instapayName) return 'instapay';
+  if (payee.walletNumber) return 'vodafone_cash';
+  return 'bank_transfer';
+};
+
+const missingDetailsFor = (method, payee) => REQUIRED_DETAILS[method]
+  .filter((alternatives) => !alternatives.some((field) => String(payee[field] || '').trim()))
+  .map((alternatives) => alternatives.join('/'));
+
+async function nextBatchNumber(date = new Date()) {
+  const prefix = `PB-${date.getUTCFullYear()}${String(date.getUTCMonth() + 1).padStart(2, '0')}-`;
+  const last = await TeacherPayoutBatch.findOne({ batchNumber: { $regex: `^${prefix}` } })
+    .sort({ batchNumber: -1 })
+    .select('batchNumber')
+    .lean();
+  const seq = last ? Number(last.batchNumber.slice(prefix.length)) + 1 : 1;
+  return `${prefix}${String(seq).padStart(4, '0')}`;
+}
+
+async function loadBatch(batchId) {
+  if (!mongoose.Types.ObjectId.isValid(batchId)) throw buildError(404, 'Payout batch not found', 'PAYOUT_BATCH_NOT_FOUND');
+  const batch = await TeacherPayoutBatch.findById(batchId);
+  if (!batch) throw buildError(404, 'Payout batch not found', 'PAYOUT_BATCH_NOT_FOUND');
+  return batch;
+}
+
+/**
+ * Sorts published invoices into payout lines per method; everything that
+ * can't be paid out is returned in `skipped` with the reason.
+ * @param {Object} options - { methodOverrides: { invoiceId: method }, inBatch: Map(invoiceId -> batchNumber) }
+ * @returns {{ groups: Map, skipped: Array }}
+ */
+function groupPayoutLines(invoices, { methodOverrides = {}, inBatch = new Map() } = {}) {
+  const skipped = [];
+  const groups = new Map();
+  invoices.forEach((invoice) => {
+    const id = String(invoice._id);
+    if (invoice.status !== 'published') {
+      skipped.push({ id, invoiceNumber: invoice.invoiceNumber, reason: `Invoice is ${invoice.status}, only published invoices can be paid out` });
+      return;
+    }
+    if (inBatch.has(id)) {
+      skipped.push({ id, invoiceNumber: invoice.invoiceNumber, reason: `Already in payout batch ${inBatch.get(id)}` });
+      return;
+    }
+    const amountEGP = roundCurrency(invoice.netAmountEGP);
+    if (!(amountEGP > 0)) {
+      skipped.push({ id, invoiceNumber: invoice.invoiceNumber, reason: 'No EGP amount to pay (check the exchange rate)' });
+      return;
+    }
+    const payee = payeeFor(invoice.teacher);
+    const override = methodOverrides[id];
+    const method = METHODS.includes(override) ? override : defaultMethodFor(payee);
+    if (!groups.has(method)) groups.set(method, []);
+    groups.get(method).push({
+      invoice: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      teacher: invoice.teacher?._id || invoice.teacher,
+      teacherName: payee.name,
+      amountEGP,
+      payee,
+      missingDetails: missingDetailsFor(method, payee),
+      status: 'pending'
+    });
+  });
+  return { groups, skipped };
+}
+
+/**
+ * Creates one draft batch per payout method for the given published invoices.
+ * @param {Object} params - { invoiceIds, methodOverrides: { invoiceId: method }, note }
+ * @returns {Promise<{ batches: Array, skipped: Array }>}
+ */
+async function createBatches({ invoiceIds, methodOverrides = {}, note } = {}, userId) {
+  if (!Array.isArray(invoiceIds) || !invoiceIds.length) throw buildError(400, 'invoiceIds array required', 'PAYOUT_INVALID');
+  if (invoiceIds.length > MAX_INVOICES) throw buildError(400, `Maximum ${MAX_INVOICES} invoices per payout`, 'PAYOUT_INVALID');
+  const ids = [...new Set(invoiceIds.map(String))].filter((id) => mongoose.Types.ObjectId.isValid(id));
+
+  const [invoices, busy] = await Promise.all([
+    TeacherInvoice.find({ _id: { $in: ids }, deleted: { $ne: true } })
+      .populate('teacher', 'firstName lastName phone whatsapp teacherInfo.bankDetails teacherInfo.instapayName'),
+    TeacherPayoutBatch.find({ status: { $in: ACTIVE_BATCH_STATUSES }, 'lines.invoice': { $in: ids } })
+      .select('batchNumber lines.invoice lines.status')
+      .lean()
+  ]);
+
+  const inBatch = new Map();
+  busy.forEach((batch) => batch.lines.forEach((line) => {
+    if (!['removed', 'failed'].includes(line.status)) inBatch.set(String(line.invoice), batch.batchNumber);
+  }));
+
+  const found = new Set(invoices.map((inv) => String(inv._id)));
+  const { groups, skipped } = groupPayoutLines(invoices, { methodOverrides, inBatch });
+  skipped.unshift(...ids.filter((id) => !found.has(id)).map((id) => ({ id, reason: 'Invoice not found' })));
+
+  const batches = [];
+  for (const method of METHODS) {
+    const lines = groups.get(method);
+    if (!lines?.length) continue;
+    const batch = new TeacherPayoutBatch({
+      batchNumber: await nextBatchNumber(),
+      method,
+      lines,
+      note: note ? String(note).trim().slice(0, 500) : undefined,
+      createdBy: userId
+    });
+    batch.recalculateTotals();
+    await batch.save();
+    batches.push(batch);
+  }
+  return { batches, skipped };
+}
+
+async function listBatches({ status, page = 1, limit = 20 } = {}) {
+  const query = {};
+  if (status && status !== 'all') query.status = status;
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const [batches, total] = await Promise.all([
+    TeacherPayoutBatch.find(query)
+      .select('-lines.payee -fileDownloads')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    TeacherPayoutBatch.countDocuments(query)
+  ]);
+  return { batches, pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) } };
+}
+
+async function getBatch(batchId) {
+  const batch = await loadBatch(batchId);
+  await batch.populate([
+    { path: 'createdBy', select: 'firstName lastName' },
+    { path: 'sentBy', select: 'firstName lastName' },
+    { path: 'reconciledBy', select: 'firstName lastName' }
+  ]);
+  return batch;
+}
+
+/**
+ * Drops a line from a draft batch (e.g. a teacher with missing bank details).
+ */
+async function removeLine(batchId, lineId) {
+  const batch = await loadBatch(batchId);
+  if (batch.status !== 'draft') throw buildError(409, 'Lines can only be removed from draft batches', 'PAYOUT_BATCH_LOCKED');
+  const line = batch.lines.id(lineId);
+  if (!line || line.status === 'removed') throw buildError(404, 'Payout line not found', 'PAYOUT_LINE_NOT_FOUND');
+  line.status = 'removed';
+  batch.recalculateTotals();
+  await batch.save();
+  return batch;
+}
+
+async function cancelBatch(batchId, userId) {
+  const batch = await loadBatch(batchId);
+  if (batch.status !== 'draft') throw buildError(409, 'Only draft batches can be cancelled', 'PAYOUT_BATCH_LOCKED');
+  batch.status = 'cancelled';
+  batch.cancelledAt = new Date();
+  batch.cancelledBy = userId;
+  await batch.save();
+  return batch;
+}
+
+/**
+ * Marks the batch sent and every line's invoice paid. Lines whose invoice is
+ * no longer published (paid or unpublished elsewhere) are dropped from the batch.
+ */
+async function sendBatch(batchId, userId) {
+  const batch = await loadBatch(batchId);
+  if (batch.status !== 'draft') throw buildError(409, `Batch is already ${batch.status}`, 'PAYOUT_BATCH_LOCKED');
+  const lines = batch.lines.filter((line) => line.status === 'pending');
+  if (!lines.length) throw buildError(400, 'Batch has no lines to send', 'PAYOUT_BATCH_EMPTY');
+  const incomplete = lines.filter((line) => line.missingDetails?.length);
+  if (incomplete.length) {
+    throw buildError(400, `${incomplete.length} line(s) are missing payee details: ${incomplete.map((line) => line.teacherName).join(', ')}`, 'PAYOUT_DETAILS_MISSING');
+  }
+
+  const sentAt = new Date();
+  const dropped = [];
+  for (const line of lines) {
+    try {
+      await TeacherSalaryService.markInvoiceAsPaid(line.invoice, {
+        paymentMethod: batch.method,
+        transactionId: batch.batchNumber,
+        paidAt: sentAt,
+        note: `Sent in payout batch ${batch.batchNumber}`
+      }, userId);
+      line.status = 'sent';
+    } catch (err) {
+      line.status = 'removed';
+      line.failureReason = err.message;
+      dropped.push({ invoiceNumber: line.invoiceNumber, reason: err.message });
+    }
+  }
+  if (!lines.some((line) => line.status === 'sent')) {
+    batch.recalculateTotals();
+    await batch.save();
+    throw buildError(409, 'None of the batch invoices could be marked paid', 'PAYOUT_BATCH_EMPTY');
+  }
+
+  batch.status = 'sent';
+  batch.sentAt = sentAt;
+  batch.sentBy = userId;
+  batch.recalculateTotals();
+  await batch.save();
+
+  await TeacherSalaryAudit.logAction({
+    action: 'payout_batch_sent',
+    entityType: 'System',
+    actor: userId,
+    actorRole: 'admin',
+    after: { batchNumber: batch.batchNumber, method: batch.method, totals: batch.totals },
+    metadata: { batchId: batch._id, dropped }
+  });
+  return { batch, dropped };
+}
+
+// Puts a paid invoice back to published after its transfer bounced.
+async function revertInvoicePayment(invoiceId, reason, batch, userId) {
+  const invoice = await TeacherInvoice.findById(invoiceId);
+  if (!invoice || invoice.status !== 'paid') return null;
+  const before = { status: invoice.status, paidAt: invoice.paidAt, transactionId: invoice.transactionId };
+
+  invoice.status = 'published';
+  invoice.paidAt = undefined;
+  invoice.paidBy = undefined;
+  invoice.paymentMethod = undefined;
+  invoice.transactionId = undefined;
+  invoice.updatedBy = userId;
+  invoice.changeHistory.push({
+    changedAt: new Date(),
+    changedBy: userId,
+    action: 'payout_failed',
+    oldValue: before,
+    newValue: { batchNumber: batch.batchNumber, reason },
+    note: `Payout failed (${batch.batchNumber}): ${reason}`
+  });
+  await invoice.save();
+
+  // Undo the YTD totals added by markAsPaid
+  await User.updateOne(
+    { _id: invoice.teacher },
+    { $inc: { 'teacherInfo.totalHoursYTD': -Number(invoice.totalHours || 0), 'teacherInfo.totalEarningsYTD': -Number(invoice.netAmountEGP || 0) } }
+  );
+
+  await TeacherSalaryAudit.logAction({
+    action: 'invoice_payout_failed',
+    entityType: 'TeacherInvoice',
+    entityId: invoice._id,
+    actor: userId,
+    actorRole: 'admin',
+    before,
+    after: { status: 'published' },
+    reason,
+    metadata: { batchNumber: batch.batchNumber, invoiceNumber: invoice.invoiceNumber }
+  });
+  return invoice;
+}
+
+/**
+ * Records the bank's result for sent lines.
+ * @param {Array} results - [{ lineId, status: 'paid'|'failed', transactionRef, failureReason }]
+ */
+async function reconcileBatch(batchId, results, userId) {
+  const batch = await loadBatch(batchId);
+  if (batch.status !== 'sent') throw buildError(409, 'Only sent batches can be reconciled', 'PAYOUT_BATCH_NOT_SENT');
+  if (!Array.isArray(results) || !results.length) throw buildError(400, 'lines array required', 'PAYOUT_INVALID');
+
+  const applied = { paid: 0, failed: 0 };
+  for (const result of results) {
+    const line = batch.lines.id(result?.lineId);
+    if (!line || line.status !== 'sent') continue;
+    const now = new Date();
+    if (result.status === 'paid') {
+      line.status = 'paid';
+      line.transactionRef = String(result.transactionRef || '').trim() || undefined;
+      if (line.transactionRef) {
+        await TeacherInvoice.updateOne(
+          { _id: line.invoice, status: 'paid' },
+          {
+            $set: { transactionId: line.transactionRef },
+            $push: {
+              changeHistory: {
+                changedAt: now,
+                changedBy: userId,
+                action: 'payout_confirmed',
+                newValue: { batchNumber: batch.batchNumber, transactionRef: line.transactionRef },
+                note: `Payout confirmed in ${batch.batchNumber}`
+              }
+            }
+          }
+        );
+      }
+      applied.paid++;
+    } else if (result.status === 'failed') {
+      const reason = String(result.failureReason || '').trim();
+      if (!reason) throw buildError(400, `A failure reason is required for ${line.teacherName || line.invoiceNumber}`, 'PAYOUT_INVALID');
+      line.status = 'failed';
+      line.failureReason = reason.slice(0, 300);
+      line.transactionRef = String(result.transactionRef || '').trim() || undefined;
+      await revertInvoicePayment(line.invoice, line.failureReason, batch, userId);
+      applied.failed++;
+    } else {
+      continue;
+    }
+    line.resolvedAt = now;
+    line.resolvedBy = userId;
+  }
+
+  if (!batch.lines.some((line) => line.status === 'sent')) {
+    batch.status = 'reconciled';
+    batch.reconciledAt = new Date();
+    batch.reconciledBy = userId;
+  }
+  batch.recalculateTotals();
+  await batch.save();
+  return { batch, applied };
+}
+
+/* ------------------------------ payment files ------------------------------ */
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (header, rows) => [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+const FILE_LAYOUTS = {
+  bank_transfer: {
+    header: ['Beneficiary Name', 'Account Number', 'IBAN', 'Bank Name', 'SWIFT', 'Amount', 'Currency', 'Reference'],
+    row: (line, ref) => [line.payee.name, line.payee.accountNumber, line.payee.iban, line.payee.bankName, line.payee.swift, line.amountEGP.toFixed(2), 'EGP', ref]
+  },
+  instapay: {
+    header: ['Beneficiary Name', 'InstaPay Address', 'Amount', 'Currency', 'Reference'],
+    row: (line, ref) => [line.payee.name, line.payee.instapayName, line.amountEGP.toFixed(2), 'EGP', ref]
+  },
+  vodafone_cash: {
+    header: ['Wallet Number', 'Beneficiary Name', 'Amount', 'Reference'],
+    row: (line, ref) => [line.payee.walletNumber, line.payee.name, line.amountEGP.toFixed(2), ref]
+  }
+};
+
+// Bulk-transfer CSV for a batch; removed and failed lines are left out.
+function buildBatchFile(batch) {
+  const layout = FILE_LAYOUTS[batch.method];
+  if (!layout) throw buildError(400, `No payment file layout for ${batch.method}`, 'PAYOUT_INVALID');
+  const rows = batch.lines
+    .filter((line) => !['removed', 'failed'].includes(line.status))
+    .map((line) => layout.row(line, `${batch.batchNumber} ${line.invoiceNumber || ''}`.trim()));
+  return { fileName: `${batch.batchNumber}-${batch.method}.csv`, content: toCsv(layout.header, rows) };
+}
+
+async function renderBatchFile(batchId, userId) {
+  const batch = await loadBatch(batchId);
+  if (batch.status === 'cancelled') throw buildError(409, 'Batch was cancelled', 'PAYOUT_BATCH_LOCKED');
+  const file = buildBatchFile(batch);
+
+  batch.fileDownloads.push({ at: new Date(), by: userId });
+  await batch.save();
+  return file;
+}
+
+module.exports = {
+  METHODS,
+  METHOD_LABELS,
+  groupPayoutLines,
+  buildBatchFile,
+  createBatches,
+  listBatches,
+  getBatch,
+  removeLine,
+  cancelBatch,
+  sendBatch,
+  reconcileBatch,
+  renderBatchFile
+};
@@ -19,6 +19,7 @@ const TeacherSalaryAudit = require('../models/TeacherSalaryAudit');
 const User = require('../models/User');
 const Class = require('../models/Class');
 const notificationService = require('./notificationService');
+const teacherPayRulesService = require('./teacherPayRulesService');
 
 const CAIRO_TZ = 'Africa/Cairo';
 const TEACHER_VISIBLE_STATUSES = ['published', 'paid', 'archived'];
@@ -228,6 +229,8 @@ class TeacherSalaryService {
       // Query classes: include current countable statuses used in production data.
       // We include 'completed' as some flows mark attended lessons that way.
       // Keep legacy 'absent' for backward compatibility.
+      // A group class is one session however many students are on its roster,
+      // so it is paid once; the group rate comes from the group_class pay rule.
       const classes = await Class.find({
         teacher: teacherId,
         scheduledDate: {
@@ -238,7 +241,7 @@ class TeacherSalaryService {
         'billingWaiver.teacher.waived': { $ne: true }, // Admin-waived classes are never paid to the teacher
         deleted: { $ne: true }
       })
-        .select('_id scheduledDate duration subject status student timezone billedInTeacherInvoiceId teacherPremium')
+        .select('_id scheduledDate duration subject status student timezone billedInTeacherInvoiceId teacherPremium isGroup roster.studentId')
         .lean();
 
       console.log(`[aggregateTeacherHours] Found ${classes.length} countable classes`);
@@ -269,7 +272,11 @@ class TeacherSalaryService {
         meta: {
           totalCount: classes.length,
           excludedCount: excludedIds.length,
-          availableCount: availableClasses.length
+          availableCount: availableClasses.length,
+          groupCount: availableClasses.filter((cls) => cls.isGroup).length,
+          groupHours: Math.round(availableClasses
+            .filter((cls) => cls.isGroup)
+            .reduce((sum, cls) => sum + (Number(cls.duration || 0) / 60), 0) * 1000) / 1000
         }
       };
     } catch (error) {
@@ -558,9 +565,10 @@ class TeacherSalaryService {
             const premium = Number(cls.teacherPremium);
             const key = premium.toFixed(2);
             if (!premiumGroups[key]) {
-              premiumGroups[key] = { premium, totalHours: 0, subjects: new Set() };
+              premiumGroups[key] = { premium, totalHours: 0, subjects: new Set(), classIds: [] };
             }
             premiumGroups[key].totalHours += (Number(cls.duration || 0) / 60);
+            premiumGroups[key].classIds.push(cls._id);
             if (cls.subject) premiumGroups[key].subjects.add(cls.subject);
           }
 
@@ -572,6 +580,16 @@ class TeacherSalaryService {
                 category: 'premium',
                 amountUSD: extraAmount,
                 reason: `Premium: ${subjectList} — ${group.totalHours.toFixed(1)} hrs × $${group.premium}/hr`,
+                ruleSource: {
+                  key: teacherPayRulesService.CLASS_PREMIUM_KEY,
+                  name: 'Class teacher premium',
+                  type: 'class_premium',
+                  unit: 'per_hour',
+                  rateUSD: group.premium,
+                  classCount: group.classIds.length,
+                  hours: Math.round(group.totalHours * 1000) / 1000,
+                  classIds: group.classIds
+                },
                 addedAt: new Date(),
                 addedBy: userId || invoice.teacher
               });
@@ -582,6 +600,13 @@ class TeacherSalaryService {
         console.warn('[createTeacherInvoice] Failed to calculate teacher premiums:', premiumErr?.message || premiumErr);
       }
 
+      // Add lines from the configured pay rules (premiums, special rates, penalties)
+      try {
+        await teacherPayRulesService.applyRulesToInvoice(invoice, userId);
+      } catch (rulesErr) {
+        console.warn('[createTeacherInvoice] Failed to apply pay rules:', rulesErr?.message || rulesErr);
+      }
+
       // Calculate amounts
       invoice.calculateAmounts();
 
@@ -1346,6 +1371,7 @@ class TeacherSalaryService {
       addedHours: 0,
       addedClassDetails: [],
       rateChanged: false,
+      payRulesChanged: false,
       bonusesApplied: 0,
       bonusesAmountUSD: 0,
       crossMonthAdjustmentsApplied: 0,
@@ -1420,7 +1446,15 @@ class TeacherSalaryService {
       }
     }
 
-    // 4. Recompute all amounts (handles bonuses, extras, transfer fee, EGP conversion).
+    // 4. Re-evaluate pay-rule lines against the refreshed class list.
+    try {
+      const rulesResult = await teacherPayRulesService.applyRulesToInvoice(invoice, userId);
+      changes.payRulesChanged = rulesResult.changed;
+    } catch (rulesErr) {
+      console.warn('[syncDraftInvoice] Failed to apply pay rules:', rulesErr?.message || rulesErr);
+    }
+
+    // 5. Recompute all amounts (handles bonuses, extras, transfer fee, EGP conversion).
     invoice.calculateAmounts();
     invoice.updatedBy = userId;
     await invoice.save();
@@ -1429,7 +1463,7 @@ class TeacherSalaryService {
       await this.markClassesAsBilled(newClassIds, invoice._id);
     }
 
-    // 5. Attach any pending guardian tip payouts (bonuses) that were not yet
+    // 6. Attach any pending guardian tip payouts (bonuses) that were not yet
     //    applied — including ones orphaned by a previous delete + recreate.
     try {
       const payoutResult = await this.applyPendingGuardianPayoutsToInvoice(teacher._id, month, year, userId);
@@ -1439,7 +1473,7 @@ class TeacherSalaryService {
       console.warn('[syncDraftInvoice] Failed to apply pending guardian payouts:', pendingErr?.message || pendingErr);
     }
 
-    // 6. Attach any pending cross-month hour adjustments.
+    // 7. Attach any pending cross-month hour adjustments.
     try {
       const crossResult = await this.applyPendingCrossMonthAdjustments(teacher._id, invoice._id);
       changes.crossMonthAdjustmentsApplied = crossResult?.appliedCount || 0;
@@ -1475,6 +1509,7 @@ class TeacherSalaryService {
       changes.bonusesApplied ||
       changes.crossMonthAdjustmentsApplied ||
       changes.rateChanged ||
+      changes.payRulesChanged ||
       JSON.stringify(changes.before) !== JSON.stringify(changes.after)
     );
 
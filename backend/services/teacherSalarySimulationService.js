@@ -0,0 +1,347 @@
+// backend/services/teacherSalarySimulationService.js
+// What-if simulator for teacher salary settings.
+//
+// Recomputes every teacher's pay for the last N closed months from the actual
+// Class hours, once with the saved SalarySettings and once with a proposed
+// partition table / exchange rate / transfer fee, and returns per-teacher and
+// total deltas. Nothing is written: the proposal is applied to an unsaved copy
+// of the settings document so tier matching uses the same SalarySettings
+// methods as invoice generation.
+//
+// Like TeacherSalaryService.createTeacherInvoice, the rate tier follows the
+// teacher's full-month hours, custom rate overrides and custom transfer fees
+// stay in force, and bonuses/extras are taken from the month's invoices as-is
+// (they only move the result through a percentage transfer fee).
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const Class = require('../models/Class');
+const User = require('../models/User');
+const SalarySettings = require('../models/SalarySettings');
+const MonthlyExchangeRates = require('../models/MonthlyExchangeRates');
+const TeacherInvoice = require('../models/TeacherInvoice');
+
+const CAIRO_TZ = 'Africa/Cairo';
+const COUNTABLE_STATUSES = ['attended', 'missed_by_student', 'completed', 'absent'];
+const FEE_MODELS = ['flat', 'percentage', 'none'];
+const MAX_MONTHS = 12;
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const roundCurrency = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const roundHours = (value) => Math.round((Number(value) || 0) * 1000) / 1000;
+const periodKey = (year, month) => `${year}-${String(month).padStart(2, '0')}`;
+
+function normalizePartitions(partitions) {
+  if (!Array.isArray(partitions) || partitions.length === 0) {
+    throw buildError(400, 'ratePartitions must be a non-empty array', 'SIMULATION_INVALID');
+  }
+  return partitions.map((p, idx) => {
+    const minHours = Number(p?.minHours);
+    const maxHours = Number(p?.maxHours);
+    const rateUSD = Number(p?.rateUSD);
+    if (!Number.isFinite(minHours) || !Number.isFinite(maxHours) || minHours < 0 || maxHours < minHours) {
+      throw buildError(400, `Partition #${idx + 1}: ensure minHours >= 0 and maxHours >= minHours`, 'SIMULATION_INVALID');
+    }
+    if (!Number.isFinite(rateUSD) || rateUSD <= 0) {
+      throw buildError(400, `Partition #${idx + 1}: rateUSD must be positive`, 'SIMULATION_INVALID');
+    }
+    return {
+      name: String(p.name || '').trim() || `${minHours}-${maxHours} hours`,
+      minHours,
+      maxHours,
+      rateUSD,
+      isActive: p.isActive !== false
+    };
+  });
+}
+
+/**
+ * Validates the proposal sent by the settings page. Omitted parts fall back to
+ * the saved settings.
+ */
+function normalizeProposal(proposal = {}) {
+  const months = Math.floor(Number(proposal.months) || 3);
+  if (months < 1 || months > MAX_MONTHS) {
+    throw buildError(400, `months must be between 1 and ${MAX_MONTHS}`, 'SIMULATION_INVALID');
+  }
+
+  const normalized = { months, rateModel: null, ratePartitions: null, exchangeRate: null, transferFee: null };
+
+  if (proposal.rateModel !== undefined && proposal.rateModel !== null) {
+    if (!['flat', 'progressive'].includes(proposal.rateModel)) {
+      throw buildError(400, 'rateModel must be "flat" or "progressive"', 'SIMULATION_INVALID');
+    }
+    normalized.rateModel = proposal.rateModel;
+  }
+  if (proposal.ratePartitions !== undefined && proposal.ratePartitions !== null) {
+    normalized.ratePartitions = normalizePartitions(proposal.ratePartitions);
+  }
+  if (proposal.exchangeRate !== undefined && proposal.exchangeRate !== null && proposal.exchangeRate !== '') {
+    const rate = Number(proposal.exchangeRate);
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw buildError(400, 'exchangeRate must be a positive number', 'SIMULATION_INVALID');
+    }
+    normalized.exchangeRate = rate;
+  }
+  if (proposal.transferFee) {
+    const model = proposal.transferFee.model;
+    const value = Number(proposal.transferFee.value ?? 0);
+    if (!FEE_MODELS.includes(model)) {
+      throw buildError(400, 'transferFee.model must be "flat", "percentage" or "none"', 'SIMULATION_INVALID');
+    }
+    if (!Number.isFinite(value) || value < 0) {
+      throw buildError(400, 'transferFee.value must be a non-negative number', 'SIMULATION_INVALID');
+    }
+    normalized.transferFee = { model, value };
+  }
+  return normalized;
+}
+
+// Last `count` closed months (Cairo time), oldest first.
+function closedPeriods(count, now = new Date()) {
+  const current = dayjs(now).tz(CAIRO_TZ).startOf('month');
+  const periods = [];
+  for (let i = count; i >= 1; i -= 1) {
+    const start = current.subtract(i, 'month');
+    periods.push({ year: start.year(), month: start.month() + 1 });
+  }
+  return {
+    periods,
+    startDate: current.subtract(count, 'month').toDate(),
+    endDate: current.toDate()
+  };
+}
+
+function feeFor(totalEGP, fee) {
+  if (!fee || fee.model === 'none') return 0;
+  if (fee.model === 'percentage') return roundCurrency(totalEGP * (Number(fee.value) || 0) / 100);
+  return roundCurrency(Number(fee.value) || 0);
+}
+
+// Mirrors TeacherInvoice.calculateAmounts for one teacher-month (no overrides).
+function computeMonth({ hours, extraUSD, rate, exchangeRate, fee }) {
+  const grossUSD = roundCurrency(roundHours(hours) * rate);
+  const totalUSD = roundCurrency(grossUSD + extraUSD);
+  if (!exchangeRate) {
+    return { rateUSD: rate, grossUSD, totalUSD, totalEGP: null, transferFeeEGP: null, netEGP: null };
+  }
+  const totalEGP = roundCurrency(totalUSD * exchangeRate);
+  const transferFeeEGP = feeFor(totalEGP, fee);
+  return {
+    rateUSD: rate,
+    grossUSD,
+    totalUSD,
+    totalEGP,
+    transferFeeEGP,
+    netEGP: roundCurrency(Math.max(0, totalEGP - transferFeeEGP))
+  };
+}
+
+function rateFor(teacher, settings, hours) {
+  const override = teacher?.teacherInfo?.customRateOverride;
+  if (override?.enabled && Number.isFinite(Number(override.rateUSD))) {
+    return { rate: Number(override.rateUSD), partition: 'custom' };
+  }
+  return { rate: settings.getRateForHours(hours), partition: settings.getPartitionForHours(hours) };
+}
+
+function feeForTeacher(teacher, defaultFee) {
+  const custom = teacher?.teacherInfo?.customTransferFee;
+  return custom?.enabled ? { model: custom.model, value: custom.value } : defaultFee;
+}
+
+/**
+ * One teacher-month under the saved and the proposed settings. A proposed
+ * exchange rate replaces the month's saved rate; without one both sides use it.
+ * @param {Object} params - { teacher, hours, extraUSD, savedRate, proposedRate, current: { settings, fee }, proposed: { settings, fee } }
+ */
+function simulateMonth({ teacher, hours, extraUSD = 0, savedRate = null, proposedRate = null, current, proposed }) {
+  const exchangeRate = proposedRate || savedRate;
+  const currentTier = rateFor(teacher, current.settings, hours);
+  const proposedTier = rateFor(teacher, proposed.settings, hours);
+  const before = computeMonth({ hours, extraUSD, rate: currentTier.rate, exchangeRate: savedRate, fee: feeForTeacher(teacher, current.fee) });
+  const after = computeMonth({ hours, extraUSD, rate: proposedTier.rate, exchangeRate, fee: feeForTeacher(teacher, proposed.fee) });
+  return {
+    hours,
+    bonusesAndExtrasUSD: extraUSD,
+    current: { ...before, partition: currentTier.partition, exchangeRate: savedRate },
+    proposed: { ...after, partition: proposedTier.partition, exchangeRate },
+    deltaUSD: roundCurrency(after.totalUSD - before.totalUSD),
+    deltaNetEGP: before.netEGP !== null && after.netEGP !== null
+      ? roundCurrency(after.netEGP - before.netEGP)
+      : null
+  };
+}
+
+const emptyTotals = () => ({ hours: 0, currentUSD: 0, proposedUSD: 0, deltaUSD: 0, currentNetEGP: 0, proposedNetEGP: 0, deltaNetEGP: 0 });
+
+function addToTotals(totals, row) {
+  totals.hours = roundHours(totals.hours + row.hours);
+  totals.currentUSD = roundCurrency(totals.currentUSD + row.current.totalUSD);
+  totals.proposedUSD = roundCurrency(totals.proposedUSD + row.proposed.totalUSD);
+  totals.deltaUSD = roundCurrency(totals.proposedUSD - totals.currentUSD);
+  if (row.current.netEGP !== null && row.proposed.netEGP !== null) {
+    totals.currentNetEGP = roundCurrency(totals.currentNetEGP + row.current.netEGP);
+    totals.proposedNetEGP = roundCurrency(totals.proposedNetEGP + row.proposed.netEGP);
+    totals.deltaNetEGP = roundCurrency(totals.proposedNetEGP - totals.currentNetEGP);
+  }
+}
+
+/**
+ * Runs the simulation.
+ * @param {Object} proposal - { months, rateModel?, ratePartitions?, exchangeRate?, transferFee?: { model, value } }
+ * @returns {Promise<Object>} { periods, assumptions, teachers: [...], totals, warnings }
+ */
+async function simulate(proposal = {}) {
+  const input = normalizeProposal(proposal);
+  const currentSettings = await SalarySettings.getGlobalSettings();
+
+  // Unsaved copy carrying the proposal, so getRateForHours/getPartitionForHours apply to it.
+  const proposedSettings = new SalarySettings({
+    rateModel: input.rateModel || currentSettings.rateModel,
+    ratePartitions: input.ratePartitions || currentSettings.ratePartitions.map((p) => p.toObject())
+  });
+  const currentFee = {
+    model: currentSettings.defaultTransferFee?.model || 'flat',
+    value: Number(currentSettings.defaultTransferFee?.value || 0)
+  };
+  const proposedFee = input.transferFee || currentFee;
+
+  const { periods, startDate, endDate } = closedPeriods(input.months);
+
+  const [hourRows, rateDocs, invoices] = await Promise.all([
+    Class.aggregate([
+      {
+        $match: {
+          scheduledDate: { $gte: startDate, $lt: endDate },
+          status: { $in: COUNTABLE_STATUSES },
+          'billingWaiver.teacher.waived': { $ne: true },
+          deleted: { $ne: true },
+          teacher: { $ne: null }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            teacher: '$teacher',
+            period: { $dateToString: { format: '%Y-%m', date: '$scheduledDate', timezone: CAIRO_TZ } }
+          },
+          minutes: { $sum: { $ifNull: ['$duration', 0] } },
+          classes: { $sum: 1 }
+        }
+      }
+    ]),
+    MonthlyExchangeRates.find({ $or: periods.map(({ year, month }) => ({ year, month })) }).select('year month rate').lean(),
+    TeacherInvoice.find({
+      deleted: { $ne: true },
+      $or: periods.map(({ year, month }) => ({ year, month }))
+    }).select('teacher month year bonusesUSD extrasUSD').lean()
+  ]);
+
+  const savedRates = new Map(rateDocs.map((doc) => [periodKey(doc.year, doc.month), Number(doc.rate)]));
+  const extrasByTeacherPeriod = new Map();
+  invoices.forEach((inv) => {
+    const key = `${inv.teacher}:${periodKey(inv.year, inv.month)}`;
+    const amount = Number(inv.bonusesUSD || 0) + Number(inv.extrasUSD || 0);
+    extrasByTeacherPeriod.set(key, roundCurrency((extrasByTeacherPeriod.get(key) || 0) + amount));
+  });
+
+  const teacherIds = [...new Set(hourRows.map((row) => String(row._id.teacher)))];
+  const teachers = await User.find({ _id: { $in: teacherIds } })
+    .select('firstName lastName email teacherInfo.customRateOverride teacherInfo.customTransferFee')
+    .lean();
+  const teacherById = new Map(teachers.map((t) => [String(t._id), t]));
+
+  const warnings = [];
+  periods.forEach(({ year, month }) => {
+    if (!savedRates.has(periodKey(year, month))) {
+      warnings.push(`No exchange rate saved for ${periodKey(year, month)}; EGP deltas for that month are left out.`);
+    }
+  });
+
+  const byTeacher = new Map();
+  hourRows
+    .sort((a, b) => a._id.period.localeCompare(b._id.period))
+    .forEach((row) => {
+      const teacherId = String(row._id.teacher);
+      const teacher = teacherById.get(teacherId);
+      if (!teacher) return;
+      const [year, month] = row._id.period.split('-').map(Number);
+      const monthRow = {
+        year,
+        month,
+        classes: row.classes,
+        ...simulateMonth({
+          teacher,
+          hours: roundHours(row.minutes / 60),
+          extraUSD: extrasByTeacherPeriod.get(`${teacherId}:${row._id.period}`) || 0,
+          savedRate: savedRates.get(row._id.period) || null,
+          proposedRate: input.exchangeRate,
+          current: { settings: currentSettings, fee: currentFee },
+          proposed: { settings: proposedSettings, fee: proposedFee }
+        })
+      };
+
+      if (!byTeacher.has(teacherId)) {
+        byTeacher.set(teacherId, {
+          teacherId,
+          teacherName: `${teacher.firstName || ''} ${teacher.lastName || ''}`.trim() || teacher.email,
+          customRate: Boolean(teacher.teacherInfo?.customRateOverride?.enabled),
+          customTransferFee: Boolean(teacher.teacherInfo?.customTransferFee?.enabled),
+          months: [],
+          totals: emptyTotals()
+        });
+      }
+      const entry = byTeacher.get(teacherId);
+      entry.months.push(monthRow);
+      addToTotals(entry.totals, monthRow);
+    });
+
+  const totals = { teachers: byTeacher.size, ...emptyTotals(), gainers: 0, losers: 0 };
+  const teacherRows = [...byTeacher.values()].sort((a, b) => Math.abs(b.totals.deltaUSD) - Math.abs(a.totals.deltaUSD));
+  teacherRows.forEach((entry) => {
+    entry.months.forEach((monthRow) => addToTotals(totals, monthRow));
+    if (entry.totals.deltaUSD > 0) totals.gainers += 1;
+    if (entry.totals.deltaUSD < 0) totals.losers += 1;
+  });
+
+  return {
+    periods,
+    assumptions: {
+      current: {
+        rateModel: currentSettings.rateModel,
+        ratePartitions: currentSettings.ratePartitions,
+        transferFee: currentFee
+      },
+      proposed: {
+        rateModel: proposedSettings.rateModel,
+        ratePartitions: proposedSettings.ratePartitions,
+        exchangeRate: input.exchangeRate,
+        transferFee: proposedFee
+      }
+    },
+    teachers: teacherRows,
+    totals,
+    warnings
+  };
+}
+
+module.exports = {
+  normalizeProposal,
+  closedPeriods,
+  computeMonth,
+  simulateMonth,
+  addToTotals,
+  emptyTotals,
+  simulate
+};
@@ -0,0 +1,480 @@
+// backend/services/teacherScorecardService.js
+// Monthly teacher performance scorecards.
+//
+// Pulls together the signals that are otherwise scattered across the app:
+//  - guardian/student feedback (teacherPerformanceRating, attendanceOnTime,
+//    connectionQuality on first-class and monthly Feedback),
+//  - report timeliness (Class.classReport.submittedAt vs the
+//    reportSubmission.teacherDeadline window),
+//  - classes cancelled by the teacher,
+//  - student retention (students taught last month who still have classes with
+//    the teacher this month).
+// Each metric is scaled to 0-100, combined with admin-configured weights and
+// stored as a TeacherScorecard per teacher per Cairo month. Metrics or scores
+// below the configured thresholds raise a single admin notification per
+// closed month.
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const Class = require('../models/Class');
+const Feedback = require('../models/Feedback');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const TeacherScorecard = require('../models/TeacherScorecard');
+const notificationService = require('./notificationService');
+
+const CAIRO_TZ = 'Africa/Cairo';
+const CONFIG_KEY = 'teacherScorecardConfig';
+const METRICS = ['feedbackRating', 'punctuality', 'connectionQuality', 'reportTimeliness', 'cancellations', 'retention'];
+const METRIC_LABELS = {
+  score: 'Overall score',
+  feedbackRating: 'Feedback rating',
+  punctuality: 'Punctuality',
+  connectionQuality: 'Connection quality',
+  reportTimeliness: 'Report timeliness',
+  cancellations: 'Cancellations',
+  retention: 'Student retention'
+};
+const DEFAULT_CONFIG = {
+  weights: {
+    feedbackRating: 25,
+    punctuality: 15,
+    connectionQuality: 10,
+    reportTimeliness: 20,
+    cancellations: 15,
+    retention: 15
+  },
+  // Minimum acceptable value per metric (0-100); null disables the alert
+  thresholds: {
+    score: 60,
+    feedbackRating: null,
+    punctuality: null,
+    connectionQuality: null,
+    reportTimeliness: 70,
+    cancellations: 80,
+    retention: null
+  },
+  // Months with fewer classes than this are scored but never alerted on
+  minClassesForAlerts: 4
+};
+const CANCELLED_STATUSES = ['cancelled_by_teacher', 'cancelled_by_student', 'cancelled_by_guardian', 'cancelled_by_admin', 'cancelled'];
+const DELIVERED_STATUSES = ['attended', 'missed_by_student', 'completed', 'absent'];
+const STALE_AFTER_MS = 30 * 60 * 1000;
+const MAX_TREND_MONTHS = 12;
+
+const buildError = (status, message, code) => {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+};
+
+const round1 = (value) => Math.round(Number(value) * 10) / 10;
+const periodOf = (date) => dayjs(date).tz(CAIRO_TZ).format('YYYY-MM');
+const currentPeriod = () => periodOf(new Date());
+
+function parsePeriod(period) {
+  const value = String(period || '').trim();
+  if (!/^\d{4}-\d{2}$/.test(value)) {
+    throw buildError(400, 'period must be formatted as YYYY-MM', 'SCORECARD_INVALID_PERIOD');
+  }
+  const start = dayjs.tz(`${value}-01 00:00`, CAIRO_TZ);
+  if (!start.isValid() || start.month() + 1 !== Number(value.slice(5))) {
+    throw buildError(400, 'period must be formatted as YYYY-MM', 'SCORECARD_INVALID_PERIOD');
+  }
+  return { period: value, start: start.toDate(), end: start.add(1, 'month').toDate() };
+}
+
+const shiftPeriod = (period, months) => dayjs(`${period}-01`).add(months, 'month').format('YYYY-MM');
+
+// --- Config -----------------------------------------------------------------
+
+function normalizeConfig(value = {}) {
+  const base = value && typeof value === 'object' ? value : {};
+  const weights = {};
+  METRICS.forEach((metric) => {
+    const raw = Number(base.weights?.[metric]);
+    weights[metric] = Number.isFinite(raw) && raw >= 0 ? raw : DEFAULT_CONFIG.weights[metric];
+  });
+  if (!METRICS.some((metric) => weights[metric] > 0)) {
+    throw buildError(400, 'At least one metric needs a positive weight', 'SCORECARD_INVALID_CONFIG');
+  }
+
+  const thresholds = {};
+  ['score', ...METRICS].forEach((metric) => {
+    const raw = base.thresholds?.[metric];
+    if (raw === null || raw === '' || raw === undefined) {
+      thresholds[metric] = raw === undefined ? DEFAULT_CONFIG.thresholds[metric] : null;
+      return;
+    }
+    const num = Number(raw);
+    if (!Number.isFinite(num) || num < 0 || num > 100) {
+      throw buildError(400, `${METRIC_LABELS[metric]} threshold must be between 0 and 100`, 'SCORECARD_INVALID_CONFIG');
+    }
+    thresholds[metric] = num;
+  });
+
+  const minClasses = Number(base.minClassesForAlerts);
+  return {
+    weights,
+    thresholds,
+    minClassesForAlerts: Number.isFinite(minClasses) && minClasses >= 0
+      ? Math.floor(minClasses)
+      : DEFAULT_CONFIG.minClassesForAlerts
+  };
+}
+
+async function getConfig() {
+  const doc = await Setting.findOne({ key: CONFIG_KEY }).lean();
+  return normalizeConfig(doc?.value || DEFAULT_CONFIG);
+}
+
+async function updateConfig(value = {}) {
+  const config = normalizeConfig(value);
+  await Setting.findOneAndUpdate(
+    { key: CONFIG_KEY },
+    { value: config, description: 'Teacher scorecard metric weights and alert thresholds' },
+    { upsert: true, new: true }
+  );
+  return config;
+}
+
+// --- Metric collection ------------------------------------------------------
+
+const emptyStats = () => ({
+  classes: 0,
+  minutes: 0,
+  teacherCancellations: 0,
+  reportsDue: 0,
+  reportsOnTime: 0,
+  feedbackCount: 0,
+  rating: [],
+  punctuality: [],
+  connection: [],
+  currentStudents: new Set(),
+  previousStudents: new Set()
+});
+
+const classEnd = (cls) => (cls.endsAt
+  ? new Date(cls.endsAt)
+  : new Date(new Date(cls.scheduledDate).getTime() + (Number(cls.duration) || 0) * 60000));
+
+async function collectStats({ start, end }, now = new Date()) {
+  const byTeacher = new Map();
+  const statsFor = (teacherId) => {
+    const key = String(teacherId);
+    if (!byTeacher.has(key)) byTeacher.set(key, emptyStats());
+    return byTeacher.get(key);
+  };
+
+  const classes = await Class.find({
+    scheduledDate: { $gte: start, $lt: end },
+    status: { $ne: 'pattern' }
+  })
+    .select('teacher status scheduledDate duration endsAt student.studentId classReport.submittedAt reportSubmission.teacherDeadline')
+    .lean();
+
+  classes.forEach((cls) => {
+    if (!cls.teacher) return;
+    const stats = statsFor(cls.teacher);
+    stats.classes += 1;
+    if (cls.status === 'cancelled_by_teacher') stats.teacherCancellations += 1;
+    if (CANCELLED_STATUSES.includes(cls.status)) return;
+
+    if (cls.student?.studentId) stats.currentStudents.add(String(cls.student.studentId));
+    if (DELIVERED_STATUSES.includes(cls.status)) stats.minutes += Number(cls.duration) || 0;
+
+    // A report counts once it was submitted or its window has closed
+    if (classEnd(cls) > now) return;
+    const submittedAt = cls.classReport?.submittedAt ? new Date(cls.classReport.submittedAt) : null;
+    const deadline = cls.reportSubmission?.teacherDeadline ? new Date(cls.reportSubmission.teacherDeadline) : null;
+    if (!submittedAt && deadline && deadline > now) return;
+    stats.reportsDue += 1;
+    if (submittedAt && (!deadline || submittedAt <= deadline)) stats.reportsOnTime += 1;
+  });
+
+  const previousStart = dayjs(start).tz(CAIRO_TZ).subtract(1, 'month').toDate();
+  const previousClasses = await Class.find({
+    scheduledDate: { $gte: previousStart, $lt: start },
+    status: { $nin: ['pattern', ...CANCELLED_STATUSES] }
+  })
+    .select('teacher student.studentId')
+    .lean();
+  previousClasses.forEach((cls) => {
+    if (!cls.teacher || !cls.student?.studentId) return;
+    statsFor(cls.teacher).previousStudents.add(String(cls.student.studentId));
+  });
+
+  const feedbacks = await Feedback.find({
+    type: { $in: ['first_class', 'monthly'] },
+    teacher: { $ne: null },
+    dismissed: { $ne: true },
+    createdAt: { $gte: start, $lt: end }
+  })
+    .select('teacher teacherPerformanceRating attendanceOnTime connectionQuality')
+    .lean();
+  feedbacks.forEach((fb) => {
+    const stats = statsFor(fb.teacher);
+    stats.feedbackCount += 1;
+    if (Number.isFinite(fb.teacherPerformanceRating)) stats.rating.push(fb.teacherPerformanceRating);
+    if (Number.isFinite(fb.attendanceOnTime)) stats.punctuality.push(fb.attendanceOnTime);
+    if (Number.isFinite(fb.connectionQuality)) stats.connection.push(fb.connectionQuality);
+  });
+
+  return byTeacher;
+}
+
+const ratingMetric = (values) => (values.length
+  ? { value: round1((values.reduce((sum, v) => sum + v, 0) / values.length) * 10), sampleSize: values.length }
+  : { value: null, sampleSize: 0 });
+
+const ratioMetric = (numerator, denominator) => (denominator > 0
+  ? { value: round1((numerator / denominator) * 100), sampleSize: denominator }
+  : { value: null, sampleSize: 0 });
+
+function buildMetrics(stats) {
+  let retained = 0;
+  stats.previousStudents.forEach((id) => { if (stats.currentStudents.has(id)) retained += 1; });
+
+  return {
+    metrics: {
+      feedbackRating: ratingMetric(stats.rating),
+      punctuality: ratingMetric(stats.punctuality),
+      connectionQuality: ratingMetric(stats.connection),
+      reportTimeliness: ratioMetric(stats.reportsOnTime, stats.reportsDue),
+      cancellations: ratioMetric(stats.classes - stats.teacherCancellations, stats.classes),
+      retention: ratioMetric(retained, stats.previousStudents.size)
+    },
+    counts: {
+      classes: stats.classes,
+      hours: round1(stats.minutes / 60),
+      teacherCancellations: stats.teacherCancellations,
+      reportsDue: stats.reportsDue,
+      reportsOnTime: stats.reportsOnTime,
+      feedbackCount: stats.feedbackCount,
+      studentsPreviousMonth: stats.previousStudents.size,
+      studentsRetained: retained
+    }
+  };
+}
+
+// Weighted average over the metrics that have data, so a month without
+// feedback is not penalised for it.
+function weightedScore(metrics, weights) {
+  let total = 0;
+  let weightSum = 0;
+  METRICS.forEach((metric) => {
+    const value = metrics[metric]?.value;
+    const weight = Number(weights[metric]) || 0;
+    if (value === null || value === undefined || weight <= 0) return;
+    total += value * weight;
+    weightSum += weight;
+  });
+  return weightSum > 0 ? round1(total / weightSum) : null;
+}
+
+function evaluateAlerts(card, config) {
+  if ((card.counts?.classes || 0) < config.minClassesForAlerts) return [];
+  const alerts = [];
+  ['score', ...METRICS].forEach((metric) => {
+    const threshold = config.thresholds[metric];
+    if (threshold === null || threshold === undefined) return;
+    const value = metric === 'score' ? card.score : card.metrics?.[metric]?.value;
+    if (value === null || value === undefined) return;
+    if (value < threshold) alerts.push({ metric, value, threshold });
+  });
+  return alerts;
+}
+
+// --- Snapshots ---------------------------------------------------------------
+
+/**
+ * Recomputes every teacher's scorecard for a Cairo month and refreshes the
+ * percentile ranks. Alerts are only sent for months that have ended.
+ */
+async function computePeriod(period, { notify = true } = {}) {
+  const range = parsePeriod(period);
+  const config = await getConfig();
+  const statsByTeacher = await collectStats(range);
+
+  const teacherIds = Array.from(statsByTeacher.keys());
+  const teachers = await User.find({ _id: { $in: teacherIds }, role: 'teacher' }).select('_id').lean();
+  const validIds = new Set(teachers.map((t) => String(t._id)));
+
+  const cards = [];
+  statsByTeacher.forEach((stats, teacherId) => {
+    if (!validIds.has(teacherId)) return;
+    const { metrics, counts } = buildMetrics(stats);
+    cards.push({ teacher: teacherId, metrics, counts, score: weightedScore(metrics, config.weights) });
+  });
+
+  const scored = cards.filter((c) => c.score !== null).map((c) => c.score);
+  cards.forEach((card) => {
+    if (card.score === null) {
+      card.percentile = null;
+    } else if (scored.length === 1) {
+      card.percentile = 100;
+    } else {
+      const below = scored.filter((s) => s < card.score).length;
+      card.percentile = Math.round((below / (scored.length - 1)) * 100);
+    }
+    card.alerts = evaluateAlerts(card, config);
+  });
+
+  const computedAt = new Date();
+  if (cards.length) {
+    await TeacherScorecard.bulkWrite(cards.map((card) => ({
+      updateOne: {
+        filter: { teacher: card.teacher, period: range.period },
+        update: {
+          $set: {
+            metrics: card.metrics,
+            counts: card.counts,
+            score: card.score,
+            percentile: card.percentile,
+            alerts: card.alerts,
+            computedAt
+          }
+        },
+        upsert: true
+      }
+    })));
+  }
+  // Teachers who no longer have any data for the month (e.g. classes moved)
+  await TeacherScorecard.deleteMany({ period: range.period, teacher: { $nin: cards.map((c) => c.teacher) } });
+
+  if (notify && range.end <= computedAt) {
+    await notifyAlerts(range.period);
+  }
+
+  return { period: range.period, teachers: cards.length, alerts: cards.filter((c) => c.alerts.length).length };
+}
+
+async function notifyAlerts(period) {
+  const pending = await TeacherScorecard.find({ period, 'alerts.0': { $exists: true }, alertedAt: null })
+    .populate('teacher', 'firstName lastName')
+    .lean();
+  if (!pending.length) return 0;
+
+  const lines = pending.slice(0, 10).map((card) => {
+    const name = `${card.teacher?.firstName || ''} ${card.teacher?.lastName || ''}`.trim() || 'Teacher';
+    const metrics = card.alerts.map((a) => `${METRIC_LABELS[a.metric] || a.metric} ${a.value}`).join(', ');
+    return `${name}: ${metrics}`;
+  });
+  const more = pending.length > 10 ? ` (+${pending.length - 10} more)` : '';
+
+  try {
+    await notificationService.notifyRole({
+      role: 'admin',
+      title: `Teacher scorecard alerts for ${period}`,
+      message: `${pending.length} teacher(s) fell below the scorecard thresholds. ${lines.join('; ')}${more}`,
+      type: 'warning',
+      related: {
+        relatedTo: 'system',
+        relatedId: `teacher-scorecards-${period}`,
+        metadata: { kind: 'teacher_scorecard_alerts', period, teacherIds: pending.map((c) => String(c.teacher?._id || c.teacher)) },
+        actionRequired: true,
+        actionLink: '/dashboard/teachers'
+      }
+    });
+  } catch (err) {
+    console.warn('Teacher scorecard alert notification failed:', err?.message || err);
+    return 0;
+  }
+
+  await TeacherScorecard.updateMany(
+    { _id: { $in: pending.map((c) => c._id) } },
+    { $set: { alertedAt: new Date() } }
+  );
+  return pending.length;
+}
+
+// Past months are computed once (or on an explicit recompute); the running
+// month is refreshed when its snapshot is older than STALE_AFTER_MS.
+async function ensurePeriod(period) {
+  const latest = await TeacherScorecard.findOne({ period }).sort({ computedAt: -1 }).select('computedAt').lean();
+  const isCurrent = period >= currentPeriod();
+  if (!latest || (isCurrent && Date.now() - new Date(latest.computedAt).getTime() > STALE_AFTER_MS)) {
+    await computePeriod(period);
+  }
+}
+
+async function listPeriod(period = currentPeriod(), { refresh = false } = {}) {
+  const range = parsePeriod(period);
+  if (refresh) await computePeriod(range.period);
+  else await ensurePeriod(range.period);
+
+  const [cards, config] = await Promise.all([
+    TeacherScorecard.find({ period: range.period })
+      .populate('teacher', 'firstName lastName email isActive')
+      .sort({ score: -1 })
+      .lean(),
+    getConfig()
+  ]);
+  return { period: range.period, config, scorecards: cards };
+}
+
+// Teachers see their own metrics and trend, without the ranking against
+// colleagues or the admin alert details.
+const toTeacherView = (card) => (card ? {
+  period: card.period,
+  score: card.score,
+  metrics: card.metrics,
+  counts: {
+    classes: card.counts?.classes || 0,
+    hours: card.counts?.hours || 0,
+    reportsDue: card.counts?.reportsDue || 0,
+    reportsOnTime: card.counts?.reportsOnTime || 0,
+    feedbackCount: card.counts?.feedbackCount || 0
+  }
+} : null);
+
+/**
+ * Scorecards for one teacher over the last `months` Cairo months (oldest
+ * first). `view: 'teacher'` returns the reduced form.
+ */
+async function getTeacherTrend(teacherId, { months = 6, view = 'admin' } = {}) {
+  const count = Math.min(MAX_TREND_MONTHS, Math.max(1, Math.floor(Number(months) || 6)));
+  const teacher = await User.findOne({ _id: teacherId, role: 'teacher' }).select('_id firstName lastName').lean();
+  if (!teacher) throw buildError(404, 'Teacher not found', 'SCORECARD_TEACHER_NOT_FOUND');
+
+  const last = currentPeriod();
+  const periods = [];
+  for (let i = count - 1; i >= 0; i -= 1) periods.push(shiftPeriod(last, -i));
+  for (const period of periods) {
+    await ensurePeriod(period);
+  }
+
+  const cards = await TeacherScorecard.find({ teacher: teacherId, period: { $in: periods } }).lean();
+  const byPeriod = new Map(cards.map((c) => [c.period, c]));
+  const trend = periods.map((period) => {
+    const card = byPeriod.get(period) || null;
+    if (view === 'teacher') return toTeacherView(card) || { period, score: null, metrics: null, counts: null };
+    return card || { period, score: null, percentile: null, metrics: null, counts: null, alerts: [] };
+  });
+
+  const result = {
+    teacher: { _id: teacher._id, firstName: teacher.firstName, lastName: teacher.lastName },
+    periods,
+    current: trend[trend.length - 1],
+    trend
+  };
+  if (view !== 'teacher') result.config = await getConfig();
+  return result;
+}
+
+module.exports = {
+  METRICS,
+  METRIC_LABELS,
+  DEFAULT_CONFIG,
+  getConfig,
+  updateConfig,
+  computePeriod,
+  listPeriod,
+  getTeacherTrend,
+  currentPeriod
+};
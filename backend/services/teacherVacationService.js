@@ -39,6 +39,8 @@ const eachDay = (start, end, callback) => {
   while (cursor <= finish) {
     callback(new Date(cursor));
     cursor.setDate(cursor.getDate() + 1);
+    // A day that starts at 01:00 (DST) must not push the rest of the walk an hour late
+    cursor.setHours(0, 0, 0, 0);
   }
 };
 
@@ -145,11 +147,11 @@ const buildChargeableDaySet = ({ vacations = [], systemVacations = [], year = ne
   return daySet;
 };
 
-const calculateChargeableDaysForRange = async ({ startDate, endDate, year = new Date().getFullYear() }) => {
+// Days of the range not covered by one of the given system vacations.
+const countChargeableDays = ({ startDate, endDate, year = new Date().getFullYear(), systemVacations = [] }) => {
   const start = toDayStart(startDate);
   const end = toDayEnd(endDate);
   if (!start || !end || end < start) return 0;
-  const systemVacations = await getOverlappingSystemVacations({ startDate: start, endDate: end });
   const systemDaySet = buildSystemVacationDaySet(systemVacations, { startDate: start, endDate: end, year });
   const daySet = new Set();
   eachDay(start, end, (day) => {
@@ -161,6 +163,14 @@ const calculateChargeableDaysForRange = async ({ startDate, endDate, year = new
   return daySet.size;
 };
 
+const calculateChargeableDaysForRange = async ({ startDate, endDate, year = new Date().getFullYear() }) => {
+  const start = toDayStart(startDate);
+  const end = toDayEnd(endDate);
+  if (!start || !end || end < start) return 0;
+  const systemVacations = await getOverlappingSystemVacations({ startDate: start, endDate: end });
+  return countChargeableDays({ startDate: start, endDate: end, year, systemVacations });
+};
+
 const getTeacherVacationAllowanceStatus = async ({ teacherId, year = new Date().getFullYear(), startDate, endDate, excludeVacationId = null }) => {
   const teacher = await User.findById(teacherId).select('teacherInfo').lean();
   const allowance = normalizeAllowanceConfig(teacher?.teacherInfo || {}, year);
@@ -312,6 +322,7 @@ const getTeacherVacationSummary = async (teacherId, options = {}) => {
 };
 
 module.exports = {
+  countChargeableDays,
   calculateChargeableDaysForRange,
   getYearBounds,
   getTeacherVacationAllowanceStatus,
@@ -321,4 +332,5 @@ module.exports = {
   buildChargeableDaySet,
   getTeacherVacationSummaryMap,
   getTeacherVacationSummary,
+  getOverlappingSystemVacations,
 };
@@ -186,21 +186,34 @@ class TemplateService {
       y += 40;
     }
     
-    // Company details
+    // Company details (the invoice's legal entity snapshot overrides template branding)
+    const legal = sections.legal || {};
+    const seller = invoice.legalEntity?.name ? invoice.legalEntity : null;
     if (sections.header.enabled) {
       doc.fontSize(10)
-         .fillColor(colors.text)
-         .text(branding.companyAddress || '', 50, y)
-         .text(branding.companyPhone || '', 50, y + 15)
-         .text(branding.companyEmail || '', 50, y + 30);
+         .fillColor(colors.text);
+      if (seller && legal.enabled !== false) {
+        doc.text(seller.name, 50, y);
+        y += 15;
+      }
+      doc.text((seller && seller.address) || branding.companyAddress || '', 50, y)
+         .text((seller && seller.phone) || branding.companyPhone || '', 50, y + 15)
+         .text((seller && seller.email) || branding.companyEmail || '', 50, y + 30);
+      
+      y += 45;
+      const sellerTaxId = (seller && seller.taxRegistrationNumber) || branding.taxId;
+      if (legal.enabled !== false && legal.showTaxIds !== false && sellerTaxId) {
+        doc.text(`Tax registration no.: ${sellerTaxId}`, 50, y);
+        y += 15;
+      }
       
-      y += 60;
+      y += 15;
     }
     
     // Invoice title
     doc.fontSize(parseInt(sections.title.fontSize))
        .fillColor(sections.title.color || colors.primary)
-       .text(sections.title.text, 50, y, { 
+       .text(invoice.documentTitle || sections.title.text, 50, y, { 
          align: sections.title.alignment,
          width: doc.page.width - 100
        });
@@ -225,6 +238,9 @@ class TemplateService {
       if (invoice.type === 'guardian_invoice' && invoice.guardian) {
         doc.text(`${invoice.guardian.firstName} ${invoice.guardian.lastName}`, leftCol, y)
            .text(invoice.guardian.email || '', leftCol, y + 15);
+        if (legal.enabled !== false && legal.showTaxIds !== false && invoice.taxDetails?.customerTaxId) {
+          doc.text(`Tax ID: ${invoice.taxDetails.customerTaxId}`, leftCol, y + 30);
+        }
       } else if (invoice.type === 'teacher_payment' && invoice.teacher) {
         doc.text(`${invoice.teacher.firstName} ${invoice.teacher.lastName}`, leftCol, y)
            .text(invoice.teacher.email || '', leftCol, y + 15);
@@ -238,19 +254,28 @@ class TemplateService {
       doc.fontSize(10)
          .fillColor(colors.text);
       
+      const numberLabel = invoice.numberLabel || 'Invoice Number';
+      const dateLabel = invoice.dateLabel || 'Invoice Date';
       if (sections.invoiceDetails.showInvoiceNumber) {
-        doc.text('Invoice Number:', rightCol, detailY, { continued: true, width: 100 })
+        doc.text(`${numberLabel}:`, rightCol, detailY, { continued: true, width: 100 })
            .text(invoice.invoiceNumber, { align: 'right', width: 150 });
         detailY += 15;
       }
       
       if (sections.invoiceDetails.showInvoiceDate) {
-        doc.text('Invoice Date:', rightCol, detailY, { continued: true, width: 100 })
+        doc.text(`${dateLabel}:`, rightCol, detailY, { continued: true, width: 100 })
            .text(new Date(invoice.createdAt).toLocaleDateString(), { align: 'right', width: 150 });
         detailY += 15;
       }
       
-      if (sections.invoiceDetails.showDueDate) {
+      // Credit notes print the invoice they reverse instead of a due date
+      if (invoice.referenceLabel && invoice.referenceNumber) {
+        doc.text(`${invoice.referenceLabel}:`, rightCol, detailY, { continued: true, width: 100 })
+           .text(invoice.referenceNumber, { align: 'right', width: 150 });
+        detailY += 15;
+      }
+      
+      if (sections.invoiceDetails.showDueDate && invoice.dueDate) {
         doc.text('Due Date:', rightCol, detailY, { continued: true, width: 100 })
            .text(new Date(invoice.dueDate).toLocaleDateString(), { align: 'right', width: 150 });
         detailY += 15;
@@ -374,8 +399,10 @@ class TemplateService {
         y += 20;
       }
       
-      if (sections.totals.showTax && invoice.tax > 0) {
-        doc.text('Tax:', totalsX, y, { continued: true, width: 150 })
+      if (sections.totals.showTax && (invoice.tax > 0 || invoice.taxDetails?.reverseCharge)) {
+        const taxLabel = invoice.taxDetails?.label || 'Tax';
+        const taxRateText = invoice.taxRate ? ` (${invoice.taxRate}%)` : '';
+        doc.text(`${taxLabel}${taxRateText}:`, totalsX, y, { continued: true, width: 150 })
            .text(`$${invoice.tax?.toFixed(2) || '0.00'}`, { align: 'right', width: 100 });
         y += 20;
       }
@@ -392,6 +419,13 @@ class TemplateService {
            .text('Total:', totalsX, y, { continued: true, width: 150 })
            .text(`$${invoice.total?.toFixed(2) || '0.00'}`, { align: 'right', width: 100 });
       }
+      
+      if (legal.enabled !== false && legal.showReverseChargeNote !== false && invoice.taxDetails?.note) {
+        y += 25;
+        doc.fontSize(9)
+           .fillColor(colors.secondary)
+           .text(invoice.taxDetails.note, 50, y, { width: doc.page.width - 100 });
+      }
     }
     
     // Notes section
@@ -460,6 +494,84 @@ class TemplateService {
       }
     });
   }
+  
+  /**
+   * Generate a DOCX buffer from the same invoice-like shape the PDF renderer takes
+   */
+  static async generateDocxBuffer(invoice, templateId = null) {
+    const { Document, Packer, Paragraph, TextRun, Table, TableRow, TableCell, HeadingLevel, WidthType } = require('docx');
+    const template = await this.getTemplate(templateId, invoice.type);
+    if (!template) {
+      throw new Error('No template available');
+    }
+    
+    const { branding, sections } = template;
+    const legal = sections.legal || {};
+    const seller = invoice.legalEntity?.name ? invoice.legalEntity : null;
+    const money = (value) => `$${(Number(value) || 0).toFixed(2)}`;
+    const line = (label, value) => new Paragraph({
+      children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun({ text: value || '—' })]
+    });
+    
+    const children = [];
+    children.push(new Paragraph({ text: seller ? seller.name : (branding.companyName || ''), heading: HeadingLevel.HEADING_2 }));
+    [(seller && seller.address) || branding.companyAddress, (seller && seller.email) || branding.companyEmail]
+      .filter(Boolean)
+      .forEach((text) => children.push(new Paragraph({ text })));
+    const sellerTaxId = (seller && seller.taxRegistrationNumber) || branding.taxId;
+    if (legal.enabled !== false && legal.showTaxIds !== false && sellerTaxId) {
+      children.push(line('Tax registration no.', sellerTaxId));
+    }
+    
+    children.push(new Paragraph({ text: invoice.documentTitle || sections.title.text, heading: HeadingLevel.HEADING_1, spacing: { before: 300, after: 200 } }));
+    children.push(line(invoice.numberLabel || 'Invoice Number', invoice.invoiceNumber));
+    children.push(line(invoice.dateLabel || 'Invoice Date', new Date(invoice.createdAt).toLocaleDateString()));
+    if (invoice.referenceLabel && invoice.referenceNumber) {
+      children.push(line(invoice.referenceLabel, invoice.referenceNumber));
+    }
+    if (invoice.guardian) {
+      children.push(line(sections.customerInfo.label || 'Bill To', `${invoice.guardian.firstName || ''} ${invoice.guardian.lastName || ''}`.trim()));
+      if (legal.enabled !== false && legal.showTaxIds !== false && invoice.taxDetails?.customerTaxId) {
+        children.push(line('Tax ID', invoice.taxDetails.customerTaxId));
+      }
+    }
+    
+    const cols = sections.itemsTable.columns;
+    const cell = (text) => new TableCell({ children: [new Paragraph({ text: String(text ?? '') })] });
+    const rows = [
+      new TableRow({
+        tableHeader: true,
+        children: [cols.description.label, cols.hours.label, cols.rate.label, cols.amount.label].map((text) => new TableCell({
+          children: [new Paragraph({ children: [new TextRun({ text, bold: true })] })],
+          shading: { fill: 'EFEFEF' }
+        }))
+      }),
+      ...(invoice.items || []).map((item) => new TableRow({
+        children: [cell(item.description), cell((Number(item.hours) || 0).toFixed(2)), cell(money(item.rate)), cell(money(item.amount))]
+      }))
+    ];
+    children.push(new Paragraph({ text: '', spacing: { after: 200 } }));
+    children.push(new Table({ width: { size: 100, type: WidthType.PERCENTAGE }, rows }));
+    
+    children.push(new Paragraph({ text: '', spacing: { after: 200 } }));
+    children.push(line('Subtotal', money(invoice.subtotal)));
+    if (invoice.tax > 0 || invoice.taxDetails?.reverseCharge) {
+      children.push(line(`${invoice.taxDetails?.label || 'Tax'}${invoice.taxRate ? ` (${invoice.taxRate}%)` : ''}`, money(invoice.tax)));
+    }
+    children.push(line('Total', money(invoice.total)));
+    if (legal.enabled !== false && legal.showReverseChargeNote !== false && invoice.taxDetails?.note) {
+      children.push(new Paragraph({ text: invoice.taxDetails.note }));
+    }
+    if (invoice.notes) {
+      children.push(new Paragraph({ text: invoice.notes, spacing: { before: 200 } }));
+    }
+    if (sections.footer.enabled && sections.footer.content) {
+      children.push(new Paragraph({ text: sections.footer.content, spacing: { before: 300 } }));
+    }
+    
+    const doc = new Document({ sections: [{ children }] });
+    return Packer.toBuffer(doc);
+  }
 }
 
 module.exports = TemplateService;
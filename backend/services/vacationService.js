@@ -5,6 +5,7 @@ const Class = require('../models/Class');
 const User = require('../models/User');
 const Vacation = require('../models/Vacation');
 const UnavailablePeriod = require('../models/UnavailablePeriod');
+const teacherLeaveLedgerService = require('./teacherLeaveLedgerService');
 
 function getEffectiveVacationDates(vacation, overrideEndDate = null) {
   const start = vacation.actualStartDate || vacation.startDate;
@@ -342,6 +343,14 @@ async function applyVacationToClasses(vacation) {
         end: unavailablePeriod.endDateTime,
         isActive: unavailablePeriod.isActive
       } : null;
+      // Offer the held / temporarily cancelled classes on the cover board
+      try {
+        const coverBoardService = require('./coverBoardService');
+        const { posted } = await coverBoardService.postVacationClasses(vacation);
+        summary.postedForCover = posted.length;
+      } catch (coverError) {
+        console.error('Error posting vacation classes for cover:', coverError);
+      }
       return summary;
     } else if (vacation.role === 'student') {
       // Find all classes for this student during the vacation period
@@ -500,6 +509,11 @@ async function endVacationEarly(vacation, { endDate, reason, endedBy } = {}) {
 
   const restorationResult = await restoreClassesAfterVacation(vacation, effectiveEndDate, { endedBy });
 
+  if (vacation.role === 'teacher') {
+    // Give the unused days back to the teacher's leave balance
+    await teacherLeaveLedgerService.syncVacationDeductions(vacation, endedBy);
+  }
+
   await deactivateUnavailablePeriodForVacation(vacation, effectiveEndDate);
 
   if (vacation.role === 'teacher') {
@@ -162,12 +162,26 @@ module.exports = async function generateInvoiceDoc(invoice, context = {}) {
   sectionChildren.push(kvParagraph('Generated at', `${generatedAt} (TZ: ${timezone})`));
   sectionChildren.push(paragraphSpacer());
 
+  // Issuing legal entity
+  const legalEntity = snapshot.legalEntity || null;
+  if (legalEntity) {
+    sectionChildren.push(new Paragraph({ text: 'Issued by', heading: HeadingLevel.HEADING_2 }));
+    sectionChildren.push(kvParagraph('Entity', legalEntity.name));
+    if (legalEntity.address) sectionChildren.push(kvParagraph('Address', legalEntity.address));
+    if (legalEntity.taxRegistrationNumber) sectionChildren.push(kvParagraph('Tax registration no.', legalEntity.taxRegistrationNumber));
+    if (legalEntity.email) sectionChildren.push(kvParagraph('Email', legalEntity.email));
+    sectionChildren.push(paragraphSpacer());
+  }
+
   // Guardian information
   sectionChildren.push(new Paragraph({ text: 'Guardian information', heading: HeadingLevel.HEADING_2 }));
   sectionChildren.push(kvParagraph('Guardian', guardianName));
   sectionChildren.push(kvParagraph('Email', snapshot.guardian?.email || '—'));
   sectionChildren.push(kvParagraph('Phone', snapshot.guardian?.phone || '—'));
   sectionChildren.push(kvParagraph('Guardian timezone', snapshot.guardian?.timezone || timezone));
+  if (snapshot.guardian?.taxId) {
+    sectionChildren.push(kvParagraph('Customer tax ID', snapshot.guardian.taxId));
+  }
   sectionChildren.push(paragraphSpacer());
 
   // Summary table
@@ -212,7 +226,10 @@ module.exports = async function generateInvoiceDoc(invoice, context = {}) {
 
   financialRows.push(
     ['Discount', financials.discount ? formatCurrency(financials.discount) : formatCurrency(0)],
-    ['Tax', financials.tax ? formatCurrency(financials.tax) : formatCurrency(0)],
+    [
+      financials.taxRate ? `${financials.taxLabel || 'Tax'} (${formatNumber(financials.taxRate)}%)` : (financials.taxLabel || 'Tax'),
+      financials.tax ? formatCurrency(financials.tax) : formatCurrency(0)
+    ],
     ['Late fee', financials.lateFee ? formatCurrency(financials.lateFee) : formatCurrency(0)],
     ['Tip', financials.tip ? formatCurrency(financials.tip) : formatCurrency(0)],
     ['Total', formatCurrency(financials.total || 0)],
@@ -221,10 +238,25 @@ module.exports = async function generateInvoiceDoc(invoice, context = {}) {
     ['Remaining balance', formatCurrency(financials.remainingBalance || 0)]
   );
 
+  const exchangeRate = financials.exchangeRate || null;
+  if (exchangeRate && exchangeRate.baseCurrency && exchangeRate.baseCurrency !== currencyCode) {
+    const baseFormatter = buildCurrencyFormatter(locale, exchangeRate.baseCurrency);
+    const period = exchangeRate.year && exchangeRate.month
+      ? ` (${exchangeRate.year}-${String(exchangeRate.month).padStart(2, '0')}${exchangeRate.isFallback ? ', fallback' : ''})`
+      : '';
+    financialRows.push(
+      ['Exchange rate', `1 ${exchangeRate.baseCurrency} = ${formatNumber(exchangeRate.rate)} ${currencyCode}${period}`],
+      [`Total in ${exchangeRate.baseCurrency}`, baseFormatter.format(Number(financials.baseTotal) || 0)]
+    );
+  }
+
   const financialTable = createTableFromMatrix(['Financial metric', 'Amount'], financialRows);
   if (financialTable) {
     sectionChildren.push(new Paragraph({ text: 'Financial summary', heading: HeadingLevel.HEADING_2 }));
     sectionChildren.push(financialTable);
+    if (financials.taxNote) {
+      sectionChildren.push(new Paragraph({ text: financials.taxNote }));
+    }
     sectionChildren.push(paragraphSpacer());
   }
 
@@ -1,5 +1,5 @@
+const moment = require('moment-timezone');
 const Class = require('../models/Class');
-const tzUtils = require('../utils/timezone');
 const {
   buildTimeAnchorForScheduledClass,
   resolveStudentTimezone,
@@ -7,12 +7,53 @@ const {
   resolveAnchorTimezone,
 } = require('../services/classTimezoneService');
 const systemVacationService = require('../services/systemVacationService');
+const { planSeriesOccurrences } = require('../services/classSeriesService');
+const hijriScheduleService = require('../services/hijriScheduleService');
 const User = require('../models/User');
 
+/**
+ * Guardians whose class generation dunning has paused. A failed lookup is
+ * logged and generation carries on unpaused.
+ */
+async function loadPausedGuardianIds() {
+  // Required lazily: dunningService pulls in the invoice and email stack
+  const { getPausedGuardianIds } = require('../services/dunningService');
+  try {
+    return await getPausedGuardianIds();
+  } catch (err) {
+    console.error('generateRecurringClasses: failed to load dunning-paused guardians, generating without pauses:', err && err.message);
+    return new Set();
+  }
+}
+
+/**
+ * Apply dunning pauses to a pattern, resolving guardians through the roster
+ * like Class.projectClassForGuardian. A paused 1:1 series is skipped; a group
+ * series only loses the paused guardians' roster seats (and is skipped once
+ * no seat is left).
+ * @returns {{ skip: boolean, roster: Array|null, pausedSeats: number }}
+ */
+function applyGuardianPause(pattern, pausedGuardianIds) {
+  if (!pausedGuardianIds || !pausedGuardianIds.size) return { skip: false, roster: null, pausedSeats: 0 };
+  const isPaused = (guardianId) => pausedGuardianIds.has(String(guardianId?._id || guardianId || ''));
+  if (pattern?.isGroup && Array.isArray(pattern.roster) && pattern.roster.length) {
+    const roster = pattern.roster.filter((entry) => !isPaused(entry.guardianId));
+    return { skip: roster.length === 0, roster, pausedSeats: pattern.roster.length - roster.length };
+  }
+  const paused = isPaused(pattern?.student?.guardianId);
+  return { skip: paused, roster: null, pausedSeats: paused ? 1 : 0 };
+}
+
 /**
  * generateRecurringClasses
  * - Accepts a Mongoose doc or plain object pattern
  * - Generates class instances for the rolling window and returns saved instances
+ * - Which dates get a class is decided by the series rule and its exceptions
+ *   (services/classSeriesService); perDayMap, when given, overrides the slots
+ * - Hijri scheduling rules apply: system vacations (including Eid pauses) hold
+ *   the instance, shift rules (e.g. Ramadan timetable) move rule slots
+ * - Dunning pauses apply (applyGuardianPause); callers looping over many
+ *   patterns pass options.pausedGuardianIds to load them once
  */
 async function generateRecurringClasses(recurringPattern, periodMonths = 2, perDayMapParam, options = {}) {
   const generated = [];
@@ -31,6 +72,10 @@ async function generateRecurringClasses(recurringPattern, periodMonths = 2, perD
       }
     }
 
+    const pausedGuardianIds = options?.pausedGuardianIds || await loadPausedGuardianIds();
+    const pause = applyGuardianPause(pattern, pausedGuardianIds);
+    if (pause.skip) return generated;
+
     let teacherDoc = null;
     let guardianDoc = null;
     if (pattern?.teacher) {
@@ -45,7 +90,6 @@ async function generateRecurringClasses(recurringPattern, periodMonths = 2, perD
       fallbackTimezone: pattern?.timeAnchor?.timezone || pattern?.timezone || 'UTC',
     });
     const teacherTimezone = resolveTeacherTimezone(teacherDoc, pattern?.timezone || 'UTC');
-    const activeSystemVacation = await systemVacationService.getCurrentVacation();
 
     // compute generation window (rolling)
     // - start: now
@@ -60,141 +104,128 @@ async function generateRecurringClasses(recurringPattern, periodMonths = 2, perD
       }
     }
 
-    let perDayMap = perDayMapParam || new Map();
-    if ((!perDayMap || perDayMap.size === 0) && Array.isArray(pattern.recurrenceDetails) && pattern.recurrenceDetails.length) {
-      // build a simple map from recurrenceDetails
-      for (const slot of pattern.recurrenceDetails) {
-        const d = Number(slot.dayOfWeek);
-        const [hh, mm] = (slot.time || '').split(':').map((s) => parseInt(s, 10));
-        const entry = {
-          hours: Number.isFinite(hh) ? hh : undefined,
-          minutes: Number.isFinite(mm) ? mm : undefined,
-          duration: typeof slot.duration === 'number' ? slot.duration : pattern.duration,
-          timezone: slot.timezone || pattern.timezone || 'UTC',
-          raw: slot.raw || {},
-        };
-        const existing = perDayMap.get(d) || [];
-        existing.push(entry);
-        perDayMap.set(d, existing);
-      }
-    }
-
-    if ((!perDayMap || perDayMap.size === 0) && pattern.scheduledDate) {
-      const scheduled = new Date(pattern.scheduledDate);
-      if (!Number.isNaN(scheduled.getTime())) {
-        const fallbackDay = scheduled.getDay();
-        const fallbackSlot = {
-          hours: scheduled.getHours(),
-          minutes: scheduled.getMinutes(),
-          duration: pattern.duration,
-          timezone: pattern.timezone || 'UTC',
-        };
-        perDayMap = new Map([[fallbackDay, [fallbackSlot]]]);
-      }
-    }
-
-    // iterate day-by-day — only generate for days that have slot definitions
-    // in the perDayMap (derived from recurrenceDetails). Never fall back to
-    // pattern.scheduledDate for individual day slots, as interpreting stored
-    // UTC hours as local time in a different timezone produces wrong times.
-    const activeDays = Array.from(perDayMap.keys());
-    let current = new Date(startDate);
-    while (current <= endDate) {
-      const dow = current.getDay(); // 0-6
-
-      if (activeDays.includes(dow)) {
-        const slotsFromMap = perDayMap.get(dow);
-        if (!Array.isArray(slotsFromMap) || slotsFromMap.length === 0) {
-          current.setDate(current.getDate() + 1);
-          continue;
-        }
-        const slotsForDay = slotsFromMap;
-
-        for (const slot of slotsForDay) {
-          const tzForDay = slot?.timezone || pattern.timezone || 'UTC';
-
-          const hours = typeof slot?.hours === 'number' ? slot.hours : new Date(pattern.scheduledDate).getHours();
-          const minutes = typeof slot?.minutes === 'number' ? slot.minutes : new Date(pattern.scheduledDate).getMinutes();
-
-          // Always compute UTC from the slot's display time + display timezone.
-          // This ensures the class time is exactly what the admin entered in the
-          // timezone they selected, for every instance date (handling DST correctly
-          // per-date via moment-timezone).
-          const instanceDate = tzUtils.buildUtcFromParts
-            ? tzUtils.buildUtcFromParts({ year: current.getFullYear(), month: current.getMonth(), day: current.getDate(), hour: hours, minute: minutes }, tzForDay)
-            : new Date(current.getFullYear(), current.getMonth(), current.getDate(), hours, minutes);
-
-          const instanceDuration = typeof slot?.duration === 'number' ? slot.duration : pattern.duration;
-
-          const inst = new Class({
-            title: pattern.title,
-            description: pattern.description,
-            subject: pattern.subject,
-            teacher: pattern.teacher,
-            student: pattern.student,
-            scheduledDate: instanceDate,
-            duration: instanceDuration,
-            timezone: tzForDay,
-            anchoredTimezone: pattern.anchoredTimezone || 'student',
-            timeAnchor: buildTimeAnchorForScheduledClass({
-              scheduledDate: instanceDate,
-              anchorMode: pattern.anchoredTimezone || 'student',
-              requestedTimezone: resolveAnchorTimezone({
-                anchorMode: pattern.anchoredTimezone || 'student',
-                studentTimezone,
-                teacherTimezone,
-                fallbackTimezone: tzForDay || pattern.timezone || 'UTC',
-              }),
-              studentTimezone,
-              teacherTimezone,
-              fallbackTimezone: tzForDay || pattern.timezone || 'UTC',
-            }),
-            isRecurring: false,
-            parentRecurringClass: pattern._id,
-            meetingLink: pattern.meetingLink || null,
-            materials: pattern.materials || [],
-            createdBy: pattern.createdBy || null,
-            status: 'scheduled',
-            // Inherit per-series billing overrides from pattern
-            guardianRate: pattern.guardianRate != null ? pattern.guardianRate : null,
-            teacherPremium: pattern.teacherPremium != null ? pattern.teacherPremium : null,
-          });
-
-          if (
-            activeSystemVacation?.startDate &&
-            activeSystemVacation?.endDate &&
-            instanceDate >= activeSystemVacation.startDate &&
-            instanceDate <= activeSystemVacation.endDate
-          ) {
-            systemVacationService.applyVacationHoldToClassDoc(inst, activeSystemVacation, pattern.createdBy || null);
+    // Dates come from the series rule (RRULE + exceptions, or the legacy
+    // weekly slots), times from the slot for each weekday. Dates are local to
+    // the pattern timezone and every instance is built from the slot's display
+    // time in the slot's timezone, so DST is handled per date.
+    const seriesTimezone = pattern.timezone || 'UTC';
+    const occurrences = planSeriesOccurrences(pattern, {
+      fromDate: moment.tz(startDate, seriesTimezone).format('YYYY-MM-DD'),
+      toDate: moment.tz(endDate, seriesTimezone).format('YYYY-MM-DD'),
+      perDayMap: perDayMapParam,
+    });
+    const seriesEnd = pattern.recurrence?.endDate ? new Date(pattern.recurrence.endDate) : null;
+    const systemVacations = await systemVacationService.getActiveSystemVacationsBetween(startDate, endDate);
+    const shiftWindows = await hijriScheduleService.getShiftWindows(startDate, endDate);
+
+    for (const occurrence of occurrences) {
+      if (seriesEnd && !Number.isNaN(seriesEnd.getTime()) && occurrence.start > seriesEnd) continue;
+      const tzForDay = occurrence.timezone || seriesTimezone;
+      // Extra sessions keep the time they were given explicitly
+      const shift = occurrence.source === 'rule'
+        ? hijriScheduleService.matchShift(occurrence.start, tzForDay, shiftWindows)
+        : null;
+      const instanceDate = shift
+        ? new Date(occurrence.start.getTime() + shift.minutes * 60000)
+        : occurrence.start;
+      const instanceDuration = typeof occurrence.duration === 'number' ? occurrence.duration : pattern.duration;
+
+      const inst = new Class({
+        title: pattern.title,
+        description: pattern.description,
+        subject: pattern.subject,
+        teacher: pattern.teacher,
+        student: pattern.student,
+        scheduledDate: instanceDate,
+        duration: instanceDuration,
+        timezone: tzForDay,
+        anchoredTimezone: pattern.anchoredTimezone || 'student',
+        timeAnchor: buildTimeAnchorForScheduledClass({
+          scheduledDate: instanceDate,
+          anchorMode: pattern.anchoredTimezone || 'student',
+          requestedTimezone: resolveAnchorTimezone({
+            anchorMode: pattern.anchoredTimezone || 'student',
+            studentTimezone,
+            teacherTimezone,
+            fallbackTimezone: tzForDay || pattern.timezone || 'UTC',
+          }),
+          studentTimezone,
+          teacherTimezone,
+          fallbackTimezone: tzForDay || pattern.timezone || 'UTC',
+        }),
+        isRecurring: false,
+        parentRecurringClass: pattern._id,
+        meetingLink: pattern.meetingLink || null,
+        materials: pattern.materials || [],
+        createdBy: pattern.createdBy || null,
+        status: 'scheduled',
+        // Inherit per-series billing overrides from pattern
+        guardianRate: pattern.guardianRate != null ? pattern.guardianRate : null,
+        teacherPremium: pattern.teacherPremium != null ? pattern.teacherPremium : null,
+        // Group series: every occurrence starts with the pattern's roster, unmarked,
+        // minus the seats of dunning-paused guardians
+        isGroup: Boolean(pattern.isGroup),
+        roster: pattern.isGroup
+          ? (pause.roster || pattern.roster || []).map((entry) => ({
+            guardianId: entry.guardianId,
+            studentId: entry.studentId,
+            studentName: entry.studentName,
+            billingShare: entry.billingShare,
+            waived: entry.waived,
+          }))
+          : [],
+        groupBilling: pattern.groupBilling || undefined,
+        hijriShift: shift
+          ? {
+            rule: shift.rule._id,
+            hijriYear: shift.window.hijriYear,
+            minutes: shift.minutes,
+            originalScheduledDate: occurrence.start,
           }
+          : undefined,
+      });
+
+      const systemVacation = systemVacations.find((vacation) => (
+        instanceDate >= vacation.startDate && instanceDate <= vacation.endDate
+      ));
+      if (systemVacation) {
+        systemVacationService.applyVacationHoldToClassDoc(inst, systemVacation, pattern.createdBy || null);
+      }
 
-          // Avoid duplicates when the rolling generation job runs repeatedly.
-          // Use a 90-minute tolerance window to catch DST-shifted instances
-          // (same local time can map to different UTC after a DST change).
-          // When respectCancelledInstances is set (used by the scheduled job),
-          // a cancelled instance at this slot also counts as "already exists" so
-          // deliberately-cancelled occurrences are not regenerated/duplicated.
-          const DST_TOLERANCE_MS = 90 * 60 * 1000;
-          const dedupeExcludedStatuses = respectCancelledInstances
-            ? ['pattern']
-            : ['pattern', 'cancelled', 'cancelled_by_admin', 'cancelled_by_teacher', 'cancelled_by_student', 'cancelled_by_guardian'];
-          const alreadyExists = await Class.exists({
-            parentRecurringClass: recurringPattern._id,
+      // Avoid duplicates when the rolling generation job runs repeatedly.
+      // Use a 90-minute tolerance window to catch DST-shifted instances
+      // (same local time can map to different UTC after a DST change).
+      // When respectCancelledInstances is set (used by the scheduled job),
+      // a cancelled instance at this slot also counts as "already exists" so
+      // deliberately-cancelled occurrences are not regenerated/duplicated.
+      // An instance moved by a Hijri shift rule still occupies its original slot.
+      const DST_TOLERANCE_MS = 90 * 60 * 1000;
+      const dedupeExcludedStatuses = respectCancelledInstances
+        ? ['pattern']
+        : ['pattern', 'cancelled', 'cancelled_by_admin', 'cancelled_by_teacher', 'cancelled_by_student', 'cancelled_by_guardian'];
+      const alreadyExists = await Class.exists({
+        parentRecurringClass: recurringPattern._id,
+        $or: [
+          {
             scheduledDate: {
               $gte: new Date(instanceDate.getTime() - DST_TOLERANCE_MS),
               $lte: new Date(instanceDate.getTime() + DST_TOLERANCE_MS),
             },
-            duration: instanceDuration,
-            status: { $nin: dedupeExcludedStatuses },
-          });
-          if (alreadyExists) continue;
-
-          await inst.save();
-          generated.push(inst);
-        }
-      }
-      current.setDate(current.getDate() + 1);
+          },
+          {
+            'hijriShift.originalScheduledDate': {
+              $gte: new Date(occurrence.start.getTime() - DST_TOLERANCE_MS),
+              $lte: new Date(occurrence.start.getTime() + DST_TOLERANCE_MS),
+            },
+          },
+        ],
+        duration: instanceDuration,
+        status: { $nin: dedupeExcludedStatuses },
+      });
+      if (alreadyExists) continue;
+
+      await inst.save();
+      generated.push(inst);
     }
 
     // update pattern.lastGenerated if it's a real doc
@@ -216,4 +247,4 @@ async function generateRecurringClasses(recurringPattern, periodMonths = 2, perD
   }
 }
 
-module.exports = { generateRecurringClasses };
+module.exports = { generateRecurringClasses, applyGuardianPause, loadPausedGuardianIds };
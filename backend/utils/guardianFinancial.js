@@ -11,9 +11,13 @@ const normalizeNumber = (value, fallback = 0) => {
   return Number.isFinite(numeric) ? numeric : fallback;
 };
 
-const buildGuardianFinancialSnapshot = (guardianDoc) => {
+// packagePricing: optional result of billingPackageService.resolveGuardianPackagePricing;
+// when present the package tier rate replaces the guardian's flat hourly rate.
+const buildGuardianFinancialSnapshot = (guardianDoc, packagePricing = null) => {
   const guardianInfo = guardianDoc?.guardianInfo || {};
-  const hourlyRate = normalizeNumber(guardianInfo.hourlyRate, 0);
+  const hourlyRate = packagePricing
+    ? normalizeNumber(packagePricing.hourlyRate, 0)
+    : normalizeNumber(guardianInfo.hourlyRate, 0);
 
   const transferFeeConfig = guardianInfo.transferFee || {};
   const mode = normalizeMode(transferFeeConfig.mode);
@@ -29,7 +33,8 @@ const buildGuardianFinancialSnapshot = (guardianDoc) => {
       waivedByCoverage: false,
       source: 'guardian_default',
       notes: transferFeeConfig.notes || undefined
-    }
+    },
+    billingPackage: packagePricing?.snapshot || undefined
   };
 };
 
@@ -0,0 +1,140 @@
+/**
+ * Hijri calendar helpers for scheduling rules
+ *
+ * Dates are Gregorian calendar dates ('YYYY-MM-DD'). Conversion uses the
+ * Umm al-Qura calendar from Intl when the runtime ships it, and the tabular
+ * (civil) calendar otherwise. The admin-configured Hijri offset
+ * (settings.hijriOffsetDays) is applied the same way as on the dashboard:
+ * the Hijri date of day D is the calendar's Hijri date of D + offset.
+ */
+
+const { addDays, isValidDateString } = require('./recurrenceRule');
+
+const HIJRI_MONTHS = [
+  'Muharram',
+  'Safar',
+  "Rabi' al-Awwal",
+  "Rabi' al-Thani",
+  'Jumada al-Ula',
+  'Jumada al-Akhirah',
+  'Rajab',
+  "Sha'ban",
+  'Ramadan',
+  'Shawwal',
+  "Dhu al-Qa'dah",
+  'Dhu al-Hijjah',
+];
+
+const ISLAMIC_EPOCH_JDN = 1948439; // 1 Muharram 1 AH (civil)
+const UNIX_EPOCH_JDN = 2440588;
+
+let umalquraFormatter;
+try {
+  const formatter = new Intl.DateTimeFormat('en-US-u-ca-islamic-umalqura', {
+    timeZone: 'UTC',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+  });
+  umalquraFormatter = formatter.resolvedOptions().calendar === 'islamic-umalqura' ? formatter : null;
+} catch (e) {
+  umalquraFormatter = null;
+}
+
+const CALENDAR = umalquraFormatter ? 'islamic-umalqura' : 'islamic-civil';
+
+const toJdn = (dateString) => {
+  const [y, m, d] = dateString.split('-').map(Number);
+  return Math.floor(Date.UTC(y, m - 1, d) / 86400000) + UNIX_EPOCH_JDN;
+};
+
+const fromJdn = (jdn) => new Date((jdn - UNIX_EPOCH_JDN) * 86400000).toISOString().slice(0, 10);
+
+const civilToJdn = (year, month, day) => (
+  day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 + Math.floor((3 + 11 * year) / 30) + ISLAMIC_EPOCH_JDN - 1
+);
+
+function civilFromJdn(jdn) {
+  const year = Math.floor((30 * (jdn - ISLAMIC_EPOCH_JDN) + 10646) / 10631);
+  const month = Math.min(12, Math.max(1, Math.ceil((jdn - (29 + civilToJdn(year, 1, 1))) / 29.5) + 1));
+  return { year, month, day: jdn - civilToJdn(year, month, 1) + 1 };
+}
+
+function calendarDate(dateString) {
+  if (!umalquraFormatter) return civilFromJdn(toJdn(dateString));
+  const [y, m, d] = dateString.split('-').map(Number);
+  const parts = umalquraFormatter.formatToParts(new Date(Date.UTC(y, m - 1, d, 12)));
+  const part = (type) => Number(parts.find((p) => p.type === type)?.value);
+  return { year: part('year'), month: part('month'), day: part('day') };
+}
+
+/**
+ * Hijri date of a Gregorian date.
+ * @param {string} dateString - 'YYYY-MM-DD'
+ * @param {number} [offsetDays=0] - configured Hijri offset
+ * @returns {{ year: number, month: number, day: number }}
+ */
+function toHijri(dateString, offsetDays = 0) {
+  if (!isValidDateString(dateString)) throw new Error(`Invalid date: ${dateString}`);
+  return calendarDate(addDays(dateString, Number(offsetDays) || 0));
+}
+
+/** Gregorian date of the 1st of a Hijri month, with the offset applied */
+function hijriMonthStart(year, month, offsetDays = 0) {
+  const y = year + Math.floor((month - 1) / 12);
+  const m = ((month - 1) % 12 + 12) % 12 + 1;
+  // The tabular calendar is within a couple of days of Umm al-Qura; search
+  // around its estimate for the exact first day.
+  const estimate = fromJdn(civilToJdn(y, m, 1));
+  let first = estimate;
+  for (let delta = 0; delta <= 5; delta += 1) {
+    const match = [delta, -delta].map((d) => addDays(estimate, d)).find((candidate) => {
+      const h = calendarDate(candidate);
+      return h.year === y && h.month === m && h.day === 1;
+    });
+    if (match) {
+      first = match;
+      break;
+    }
+  }
+  return addDays(first, -(Number(offsetDays) || 0));
+}
+
+/** Number of days (29 or 30) in a Hijri month */
+function hijriMonthLength(year, month) {
+  const start = hijriMonthStart(year, month);
+  const next = hijriMonthStart(year, month + 1);
+  return toJdn(next) - toJdn(start);
+}
+
+/**
+ * Gregorian dates covered by Hijri days startDay..endDay of a month.
+ * endDay is clamped to the month's length (a 29-day month has no 30th);
+ * leave it empty for "until the end of the month".
+ * @returns {{ startDate: string, endDate: string }}
+ */
+function resolveHijriRange(year, month, startDay = 1, endDay = null, offsetDays = 0) {
+  const length = hijriMonthLength(year, month);
+  const first = hijriMonthStart(year, month, offsetDays);
+  const from = Math.min(Math.max(1, startDay || 1), length);
+  const to = Math.min(Math.max(from, endDay || length), length);
+  return { startDate: addDays(first, from - 1), endDate: addDays(first, to - 1) };
+}
+
+/** "1–3 Shawwal 1447 AH" */
+function formatHijriRange(year, month, startDay = 1, endDay = null) {
+  const name = HIJRI_MONTHS[month - 1] || `Month ${month}`;
+  const days = endDay && endDay !== startDay ? `${startDay}–${endDay}` : `${startDay || 1}`;
+  const whole = (startDay || 1) === 1 && !endDay;
+  return `${whole ? name : `${days} ${name}`}${year ? ` ${year} AH` : ''}`;
+}
+
+module.exports = {
+  HIJRI_MONTHS,
+  CALENDAR,
+  toHijri,
+  hijriMonthStart,
+  hijriMonthLength,
+  resolveHijriRange,
+  formatHijriRange,
+};
@@ -113,6 +113,26 @@ async function ensureSequenceAtLeast(type = 'guardian_invoice', sequence = 0) {
   }
 }
 
+// Legal-entity numbering series run independently of the global invoiceSequence;
+// yearly series restart at 1 each calendar year.
+const seriesKeyFor = ({ entityKey, year, resetYearly = true }) => (
+  `invoiceSeries:${entityKey}:${resetYearly ? year : 'all'}`
+);
+
+async function allocateSeriesSequence(seriesKey) {
+  const updated = await Setting.findOneAndUpdate(
+    { key: seriesKey },
+    { $inc: { value: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  return safeNumber(updated?.value, 1);
+}
+
+function formatSeriesNumber({ prefix, year, sequence, padding = 4, resetYearly = true }) {
+  const seq = safeNumber(sequence, 1).toString().padStart(padding, '0');
+  return resetYearly ? `${prefix}-${year}-${seq}` : `${prefix}-${seq}`;
+}
+
 function formatSequence(sequence) {
   const numeric = safeNumber(sequence, DEFAULT_SEQUENCE_START);
   return numeric.toString().padStart(4, '0');
@@ -246,6 +266,9 @@ function extractSequenceFromName(name) {
 module.exports = {
   allocateNextSequence,
   ensureSequenceAtLeast,
+  seriesKeyFor,
+  allocateSeriesSequence,
+  formatSeriesNumber,
   formatSequence,
   computeMajorityMonth,
   buildInvoiceIdentifiers,
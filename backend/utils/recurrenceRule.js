@@ -0,0 +1,341 @@
+/**
+ * RRULE (RFC 5545) utilities for class series
+ *
+ * Works on calendar dates only ('YYYY-MM-DD'); the time of day comes from the
+ * series' slots. Supported: FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, COUNT,
+ * UNTIL, BYDAY (ordinals like 2SA or -1FR for MONTHLY/YEARLY), BYMONTHDAY,
+ * BYMONTH, BYSETPOS and WKST. Sub-day frequencies and BYHOUR/BYMINUTE/
+ * BYSECOND/BYYEARDAY/BYWEEKNO are rejected.
+ *
+ * One deliberate difference from the RFC: DTSTART only anchors INTERVAL and
+ * COUNT and is not itself an occurrence unless it matches the rule, so
+ * "COUNT=10" always means ten matching sessions.
+ */
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const UNSUPPORTED_PARTS = ['BYHOUR', 'BYMINUTE', 'BYSECOND', 'BYYEARDAY', 'BYWEEKNO'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PERIODS = 20000;
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function ruleError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_RRULE';
+  return err;
+}
+
+function isValidDateString(value) {
+  const match = DATE_RE.exec(String(value || ''));
+  if (!match) return false;
+  const [, y, m, d] = match.map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+/** 'YYYY-MM-DD' -> days since 1970-01-01 */
+function toDayNumber(value) {
+  const [, y, m, d] = DATE_RE.exec(value).map(Number);
+  return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+}
+
+/** days since 1970-01-01 -> 'YYYY-MM-DD' */
+function fromDayNumber(num) {
+  return new Date(num * DAY_MS).toISOString().slice(0, 10);
+}
+
+const weekdayOf = (num) => (((num + 4) % 7) + 7) % 7;
+const dayNumberOf = (year, month /* 1-12 */, day) => Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+const daysInMonth = (year, month /* 1-12 */) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+const isLeapYear = (year) => daysInMonth(year, 2) === 29;
+
+function parseIntList(key, raw, { min, max, allowNegative = false }) {
+  return raw.split(',').map((part) => {
+    const value = Number(part);
+    const abs = Math.abs(value);
+    if (!Number.isInteger(value) || value === 0 || (!allowNegative && value < 0) || abs < min || abs > max) {
+      throw ruleError(`${key} has an invalid value "${part}"`);
+    }
+    return value;
+  });
+}
+
+function parseUntil(raw) {
+  const compact = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(raw);
+  const value = compact ? `${compact[1]}-${compact[2]}-${compact[3]}` : raw.slice(0, 10);
+  if (!isValidDateString(value)) throw ruleError(`UNTIL has an invalid date "${raw}"`);
+  return value;
+}
+
+/**
+ * Parse an RRULE string ("FREQ=MONTHLY;BYDAY=2SA,4SA", an optional "RRULE:"
+ * prefix is accepted) into a normalized rule object.
+ * @throws {Error} code INVALID_RRULE, status 400
+ */
+function parseRRule(input) {
+  const text = String(input || '').trim().replace(/^RRULE:/i, '');
+  if (!text) throw ruleError('Recurrence rule is empty');
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    wkst: 1,
+  };
+  const seen = new Set();
+
+  for (const part of text.split(';').filter(Boolean)) {
+    const [rawKey, rawValue, ...rest] = part.split('=');
+    const key = String(rawKey || '').trim().toUpperCase();
+    const value = String(rawValue || '').trim().toUpperCase();
+    if (!key || !value || rest.length) throw ruleError(`Malformed rule part "${part}"`);
+    if (seen.has(key)) throw ruleError(`${key} is given more than once`);
+    seen.add(key);
+
+    if (UNSUPPORTED_PARTS.includes(key)) throw ruleError(`${key} is not supported for class series`);
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) throw ruleError(`FREQ=${value} is not supported; use DAILY, WEEKLY, MONTHLY or YEARLY`);
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseIntList(key, value, { min: 1, max: 99 })[0];
+        break;
+      case 'COUNT':
+        rule.count = parseIntList(key, value, { min: 1, max: 1000 })[0];
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map((token) => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(token);
+          if (!match) throw ruleError(`BYDAY has an invalid value "${token}"`);
+          const n = match[1] ? Number(match[1]) : null;
+          if (n !== null && (n === 0 || Math.abs(n) > 53)) throw ruleError(`BYDAY has an invalid ordinal "${token}"`);
+          return { weekday: WEEKDAY_CODES.indexOf(match[2]), n };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntList(key, value, { min: 1, max: 31, allowNegative: true });
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntList(key, value, { min: 1, max: 12 });
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseIntList(key, value, { min: 1, max: 366, allowNegative: true });
+        break;
+      case 'WKST':
+        if (!WEEKDAY_CODES.includes(value)) throw ruleError(`WKST has an invalid value "${value}"`);
+        rule.wkst = WEEKDAY_CODES.indexOf(value);
+        break;
+      default:
+        throw ruleError(`Unknown rule part ${key}`);
+    }
+  }
+
+  if (!rule.freq) throw ruleError('FREQ is required');
+  if (rule.count && rule.until) throw ruleError('COUNT and UNTIL cannot be combined');
+  if (rule.freq === 'WEEKLY' && rule.byMonthDay.length) throw ruleError('BYMONTHDAY cannot be used with FREQ=WEEKLY');
+  const hasOrdinals = rule.byDay.some((entry) => entry.n !== null);
+  if (hasOrdinals && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw ruleError('Numbered BYDAY values (like 2SA) need FREQ=MONTHLY or FREQ=YEARLY');
+  }
+  if (hasOrdinals && rule.freq === 'MONTHLY' && rule.byDay.some((entry) => Math.abs(entry.n || 0) > 5)) {
+    throw ruleError('A month has at most 5 of each weekday');
+  }
+  if (rule.bySetPos.length && !rule.byDay.length && !rule.byMonthDay.length && !rule.byMonth.length) {
+    throw ruleError('BYSETPOS needs another BYxxx part to select from');
+  }
+
+  return rule;
+}
+
+/** Canonical string for a parsed rule (no "RRULE:" prefix) */
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byDay?.length) {
+    parts.push(`BYDAY=${rule.byDay.map((entry) => `${entry.n !== null && entry.n !== undefined ? entry.n : ''}${WEEKDAY_CODES[entry.weekday]}`).join(',')}`);
+  }
+  if (rule.bySetPos?.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  if (rule.wkst !== undefined && rule.wkst !== 1) parts.push(`WKST=${WEEKDAY_CODES[rule.wkst]}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  return parts.join(';');
+}
+
+// Day numbers of every `weekday` in [first, last], optionally only the nth (negative counts from the end)
+function weekdaysInRange(first, last, weekday, n) {
+  const start = first + ((weekday - weekdayOf(first) + 7) % 7);
+  const all = [];
+  for (let day = start; day <= last; day += 7) all.push(day);
+  if (n === null || n === undefined) return all;
+  const picked = n > 0 ? all[n - 1] : all[all.length + n];
+  return picked === undefined ? [] : [picked];
+}
+
+function monthDays(year, month, byMonthDay) {
+  const length = daysInMonth(year, month);
+  return byMonthDay
+    .map((value) => (value > 0 ? value : length + value + 1))
+    .filter((value) => value >= 1 && value <= length)
+    .map((value) => dayNumberOf(year, month, value));
+}
+
+// Candidates for one month (MONTHLY, or YEARLY with BYMONTH)
+function monthCandidates(rule, year, month, anchor) {
+  const first = dayNumberOf(year, month, 1);
+  const last = first + daysInMonth(year, month) - 1;
+  let byDaySet = null;
+  if (rule.byDay.length) {
+    byDaySet = new Set(rule.byDay.flatMap((entry) => weekdaysInRange(first, last, entry.weekday, entry.n)));
+  }
+  if (rule.byMonthDay.length) {
+    const days = monthDays(year, month, rule.byMonthDay);
+    return byDaySet ? days.filter((day) => byDaySet.has(day)) : days;
+  }
+  if (byDaySet) return Array.from(byDaySet);
+  return anchor.day <= daysInMonth(year, month) ? [dayNumberOf(year, month, anchor.day)] : [];
+}
+
+function periodCandidates(rule, periodIndex, anchor) {
+  const step = periodIndex * rule.interval;
+  const monthOk = (day) => !rule.byMonth.length || rule.byMonth.includes(Number(fromDayNumber(day).slice(5, 7)));
+
+  if (rule.freq === 'DAILY') {
+    const day = anchor.dayNumber + step;
+    if (!monthOk(day)) return [];
+    if (rule.byDay.length && !rule.byDay.some((entry) => entry.weekday === weekdayOf(day))) return [];
+    if (rule.byMonthDay.length) {
+      const [y, m] = fromDayNumber(day).split('-').map(Number);
+      if (!monthDays(y, m, rule.byMonthDay).includes(day)) return [];
+    }
+    return [day];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekStart = anchor.dayNumber - ((weekdayOf(anchor.dayNumber) - rule.wkst + 7) % 7) + step * 7;
+    const weekdays = rule.byDay.length ? rule.byDay.map((entry) => entry.weekday) : [weekdayOf(anchor.dayNumber)];
+    const days = [];
+    for (let offset = 0; offset < 7; offset += 1) {
+      const day = weekStart + offset;
+      if (weekdays.includes(weekdayOf(day)) && monthOk(day)) days.push(day);
+    }
+    return days;
+  }
+
+  if (rule.freq === 'MONTHLY') {
+    const monthIndex = anchor.year * 12 + (anchor.month - 1) + step;
+    const year = Math.floor(monthIndex / 12);
+    const month = (monthIndex % 12) + 1;
+    if (rule.byMonth.length && !rule.byMonth.includes(month)) return [];
+    return monthCandidates(rule, year, month, anchor);
+  }
+
+  // YEARLY
+  const year = anchor.year + step;
+  if (rule.byMonth.length) {
+    return rule.byMonth.flatMap((month) => monthCandidates(rule, year, month, anchor));
+  }
+  if (rule.byMonthDay.length) {
+    const days = [];
+    for (let month = 1; month <= 12; month += 1) days.push(...monthCandidates(rule, year, month, anchor));
+    return days;
+  }
+  if (rule.byDay.length) {
+    const first = dayNumberOf(year, 1, 1);
+    const last = dayNumberOf(year, 12, 31);
+    return rule.byDay.flatMap((entry) => weekdaysInRange(first, last, entry.weekday, entry.n));
+  }
+  if (anchor.month === 2 && anchor.day === 29 && !isLeapYear(year)) return [];
+  return [dayNumberOf(year, anchor.month, anchor.day)];
+}
+
+// First day of a period, used to stop once the window is passed
+function periodStart(rule, periodIndex, anchor) {
+  const step = periodIndex * rule.interval;
+  if (rule.freq === 'DAILY') return anchor.dayNumber + step;
+  if (rule.freq === 'WEEKLY') return anchor.dayNumber - ((weekdayOf(anchor.dayNumber) - rule.wkst + 7) % 7) + step * 7;
+  if (rule.freq === 'MONTHLY') {
+    const monthIndex = anchor.year * 12 + (anchor.month - 1) + step;
+    return dayNumberOf(Math.floor(monthIndex / 12), (monthIndex % 12) + 1, 1);
+  }
+  return dayNumberOf(anchor.year + step, 1, 1);
+}
+
+function applySetPos(days, bySetPos) {
+  if (!bySetPos.length) return days;
+  const picked = new Set();
+  for (const pos of bySetPos) {
+    const day = pos > 0 ? days[pos - 1] : days[days.length + pos];
+    if (day !== undefined) picked.add(day);
+  }
+  return Array.from(picked).sort((a, b) => a - b);
+}
+
+/**
+ * Expand a rule into occurrence dates.
+ * @param {Object|string} ruleInput - parsed rule or RRULE string
+ * @param {Object} options
+ * @param {string} options.dtstart - 'YYYY-MM-DD', anchors INTERVAL and COUNT
+ * @param {string} [options.from] - first date to return (inclusive)
+ * @param {string} [options.to] - last date to return (inclusive); required without COUNT/UNTIL
+ * @param {number} [options.limit] - stop after this many returned dates
+ * @returns {Array<{date: string, index: number}>} index is the 0-based position in the series
+ */
+function expandRRule(ruleInput, { dtstart, from, to, limit } = {}) {
+  const rule = typeof ruleInput === 'string' ? parseRRule(ruleInput) : ruleInput;
+  if (!isValidDateString(dtstart)) throw ruleError('A valid start date (YYYY-MM-DD) is required');
+  if (from && !isValidDateString(from)) throw ruleError('Invalid "from" date');
+  if (to && !isValidDateString(to)) throw ruleError('Invalid "to" date');
+  if (!to && !rule.count && !rule.until) throw ruleError('An end date is required to expand an open-ended rule');
+
+  const [year, month, day] = dtstart.split('-').map(Number);
+  const anchor = { year, month, day, dayNumber: toDayNumber(dtstart) };
+  const fromNum = from ? Math.max(toDayNumber(from), anchor.dayNumber) : anchor.dayNumber;
+  let toNum = to ? toDayNumber(to) : Infinity;
+  if (rule.until) toNum = Math.min(toNum, toDayNumber(rule.until));
+
+  const results = [];
+  let index = 0;
+  for (let period = 0; period < MAX_PERIODS; period += 1) {
+    if (periodStart(rule, period, anchor) > toNum) break;
+    const candidates = applySetPos(
+      Array.from(new Set(periodCandidates(rule, period, anchor))).sort((a, b) => a - b),
+      rule.bySetPos,
+    );
+    for (const dayNum of candidates) {
+      if (dayNum < anchor.dayNumber) continue;
+      if (dayNum > toNum) return results;
+      if (rule.count && index >= rule.count) return results;
+      if (dayNum >= fromNum) {
+        results.push({ date: fromDayNumber(dayNum), index });
+        if (limit && results.length >= limit) return results;
+      }
+      index += 1;
+    }
+    if (rule.count && index >= rule.count) return results;
+  }
+  return results;
+}
+
+module.exports = {
+  WEEKDAY_CODES,
+  isValidDateString,
+  parseRRule,
+  formatRRule,
+  expandRRule,
+  weekdayOfDate: (value) => weekdayOf(toDayNumber(value)),
+  addDays: (value, days) => fromDayNumber(toDayNumber(value) + days),
+};
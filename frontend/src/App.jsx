@@ -28,7 +28,9 @@ const DashboardLayout = React.lazy(() => import('./components/layout/DashboardLa
 const InvoiceViewModal = React.lazy(() => import('./components/invoices/InvoiceViewModal'));
 const RecordPaymentModal = React.lazy(() => import('./components/invoices/RecordPaymentModal'));
 const InvoicePublicPage = React.lazy(() => import('./components/invoices/InvoicePublicPage'));
+const CreditNotePublicPage = React.lazy(() => import('./components/invoices/CreditNotePublicPage'));
 const TeacherInvoicePublicPage = React.lazy(() => import('./components/teacherSalary/TeacherInvoicePublicPage'));
+const EarningsStatementVerifyPage = React.lazy(() => import('./components/teacherSalary/EarningsStatementVerifyPage'));
 const PublicEvaluationBookingPage = React.lazy(() => import('./components/meetings/PublicEvaluationBookingPage'));
 const PublicStudentRegistrationPage = React.lazy(() => import('./components/registration/PublicStudentRegistrationPage'));
 const PublicTeacherContractPage = React.lazy(() => import('./components/registration/PublicTeacherContractPage'));
@@ -242,11 +244,21 @@ const AppRoutes = () => {
         element={<InvoicePublicPage />}
       />
 
+      <Route
+        path="/public/credit-notes/:slug"
+        element={<CreditNotePublicPage />}
+      />
+
       <Route
         path="/dashboard/teacher-salary/shared/:token"
         element={<TeacherInvoicePublicPage />}
       />
 
+      <Route
+        path="/public/earnings-statements/:token"
+        element={<EarningsStatementVerifyPage />}
+      />
+
       <Route
         path="/public/meetings/evaluation"
         element={<PublicEvaluationBookingPage />}
@@ -361,6 +373,14 @@ const AppRoutes = () => {
           </ProtectedRoute>
         } 
       />
+      <Route
+        path="/dashboard/statement"
+        element={
+          <ProtectedRoute allowedRoles={['admin', 'guardian']}>
+            <Dashboard />
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/dashboard/library"
         element={
@@ -469,6 +489,14 @@ const AppRoutes = () => {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/dashboard/cover-board"
+        element={
+          <ProtectedRoute allowedRoles={['admin', 'teacher']}>
+            <Dashboard />
+          </ProtectedRoute>
+        }
+      />
       {/* Removed /dashboard/reports and /dashboard/users routes to disable those pages */}
       <Route 
         path="/dashboard/settings" 
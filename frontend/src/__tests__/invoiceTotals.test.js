@@ -30,4 +30,25 @@ describe('computeInvoiceTotals', () => {
     const res = computeInvoiceTotals(inv);
     expect(res.transferFee).toBe(5);
   });
+
+  it('adds tax at the invoice tax rate on top of the subtotal', () => {
+    const inv = { items: [{ amount: 100 }], taxRate: 20, taxDetails: { label: 'VAT', rate: 20 } };
+    const res = computeInvoiceTotals(inv);
+    expect(res.tax).toBe(20);
+    expect(res.total).toBe(120);
+    expect(res.taxLabel).toBe('VAT');
+  });
+
+  it('adds no tax for reverse-charge invoices', () => {
+    const inv = {
+      items: [{ amount: 100 }],
+      taxRate: 0,
+      taxDetails: { label: 'VAT', rate: 0, reverseCharge: true, note: 'Reverse charge' }
+    };
+    const res = computeInvoiceTotals(inv);
+    expect(res.tax).toBe(0);
+    expect(res.total).toBe(100);
+    expect(res.reverseCharge).toBe(true);
+    expect(res.taxNote).toBe('Reverse charge');
+  });
 });
@@ -0,0 +1,31 @@
+import api from './axios';
+
+const BASE = '/calendar-feeds';
+
+// Active feeds of the signed-in user (admins: pass ownerId); guardians also get their students
+export async function listCalendarFeeds({ ownerId } = {}) {
+  const { data } = await api.get(BASE, { params: { ownerId } });
+  return { feeds: data?.feeds || [], students: data?.students || [] };
+}
+
+// scope: 'user' (whole schedule) or 'student' (guardians, one student)
+export async function createCalendarFeed({ scope = 'user', studentId, label, includeMeetingLinks = false, ownerId } = {}) {
+  const { data } = await api.post(BASE, { scope, studentId, label, includeMeetingLinks, ownerId });
+  return data?.feed || null;
+}
+
+export async function updateCalendarFeed(feedId, { label, includeMeetingLinks } = {}) {
+  const { data } = await api.patch(`${BASE}/${feedId}`, { label, includeMeetingLinks });
+  return data?.feed || null;
+}
+
+// New URL for the feed; subscriptions using the old URL stop updating
+export async function rotateCalendarFeed(feedId) {
+  const { data } = await api.post(`${BASE}/${feedId}/rotate`);
+  return data?.feed || null;
+}
+
+export async function revokeCalendarFeed(feedId) {
+  const { data } = await api.delete(`${BASE}/${feedId}`);
+  return data;
+}
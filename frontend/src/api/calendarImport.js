@@ -0,0 +1,31 @@
+import api from './axios';
+
+const base = (teacherId) => `/availability/calendar-import/${teacherId}`;
+
+// { configured, serviceAccountEmail, connection }
+export async function getCalendarImport(teacherId) {
+  const { data } = await api.get(base(teacherId));
+  return data;
+}
+
+// Connect (or switch) the personal Google calendar busy time is read from
+export async function connectCalendarImport(teacherId, calendarId) {
+  const { data } = await api.put(base(teacherId), { calendarId });
+  return data;
+}
+
+export async function setCalendarImportEnabled(teacherId, enabled) {
+  const { data } = await api.patch(base(teacherId), { enabled });
+  return data;
+}
+
+export async function syncCalendarImport(teacherId, { full = false } = {}) {
+  const { data } = await api.post(`${base(teacherId)}/sync`, { full });
+  return data;
+}
+
+// Disconnects and removes all imported busy time
+export async function disconnectCalendarImport(teacherId) {
+  const { data } = await api.delete(base(teacherId));
+  return data;
+}
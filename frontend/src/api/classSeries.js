@@ -0,0 +1,15 @@
+import api from './axios';
+
+// Next occurrences of a proposed rule. Pass { patternId } for a saved series,
+// or { recurrenceDetails, timezone, duration } for one being created.
+// Returns { rrule, dtstart, exdates, rdates, timezone, occurrences }
+export async function previewSeriesRule(payload) {
+  const { data } = await api.post('/classes/series/preview-rule', payload);
+  return data;
+}
+
+// Save { rrule, dtstart, exdates, rdates } on a series; upcoming classes follow
+export async function updateSeriesRule(patternId, definition) {
+  const { data } = await api.put(`/classes/series/${patternId}/rule`, definition);
+  return data;
+}
@@ -0,0 +1,13 @@
+import api from './axios';
+
+// Admin: set the roster (and billing rules) of a class; turns a 1:1 class into a group class
+export async function setClassRoster(classId, { roster, groupBilling, applyToSeries = false } = {}) {
+  const { data } = await api.put(`/classes/${classId}/roster`, { roster, groupBilling, applyToSeries });
+  return data;
+}
+
+// Admin or the class teacher: per-student attendance/report corrections
+export async function updateRosterAttendance(classId, students = []) {
+  const { data } = await api.put(`/classes/${classId}/roster/attendance`, { students });
+  return data?.class || null;
+}
@@ -0,0 +1,42 @@
+import api from './axios';
+
+const BASE = '/hijri-schedule-rules';
+
+// Rules with their current or next window, plus the Hijri month names
+export async function listHijriRules() {
+  const { data } = await api.get(BASE);
+  return { rules: data?.rules || [], months: data?.months || [] };
+}
+
+// action: 'pause' (system vacation) or 'shift' (move classes in timeBand by shiftMinutes)
+export async function createHijriRule(rule) {
+  const { data } = await api.post(BASE, rule);
+  return data;
+}
+
+export async function updateHijriRule(ruleId, rule) {
+  const { data } = await api.put(`${BASE}/${ruleId}`, rule);
+  return data;
+}
+
+// Also undoes the rule's effect on upcoming classes
+export async function deleteHijriRule(ruleId) {
+  const { data } = await api.delete(`${BASE}/${ruleId}`);
+  return data?.result || null;
+}
+
+// Resolved window and affected classes for an unsaved rule
+export async function previewHijriRule(rule, { hijriYear } = {}) {
+  const { data } = await api.post(`${BASE}/preview`, { ...rule, hijriYear });
+  return data;
+}
+
+export async function getHijriRuleImpact(ruleId, { hijriYear } = {}) {
+  const { data } = await api.get(`${BASE}/${ruleId}/impact`, { params: { hijriYear } });
+  return data;
+}
+
+export async function syncHijriRules() {
+  const { data } = await api.post(`${BASE}/sync`);
+  return data?.result || null;
+}
@@ -33,6 +33,17 @@ export async function updateLeadOnboarding(leadId, step, done) {
   return data;
 }
 
+// Teachers ranked for one of the lead's students, with a per-factor explanation.
+export async function getLeadTeacherRecommendations(leadId, studentIndex = 0) {
+  const { data } = await api.get(`${BASE}/${leadId}/teacher-recommendations`, { params: { studentIndex } });
+  return data;
+}
+
+export async function getEvaluationTeacherRecommendations(sessionId, studentSubId) {
+  const { data } = await api.get(`/evaluations/${sessionId}/students/${studentSubId}/teacher-recommendations`);
+  return data;
+}
+
 // Homepage onboarding to-do: recent leads + recent guardian signups (last 3 weeks).
 export async function getOnboardingTodos() {
   const { data } = await api.get(`${BASE}/onboarding-todos`);
@@ -198,6 +198,12 @@ export async function saveCapacityConfig(config) {
   return data;
 }
 
+// Hiring-need planner: demand vs supply per upcoming month with hire recommendations
+export async function getCapacityForecast({ months } = {}) {
+  const { data } = await api.get(`${BASE}/capacity-forecast`, { params: months ? { months } : {} });
+  return data?.forecast || null;
+}
+
 export async function importApplicantsFromSheet(sheetUrl) {
   const { data } = await api.post(`${BASE}/import-sheet`, { sheetUrl });
   return data;
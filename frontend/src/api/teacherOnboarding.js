@@ -0,0 +1,66 @@
+import api from './axios';
+
+const BASE = '/teacher-onboarding';
+
+// Checklist for one teacher; 404 when the teacher was hired before onboarding existed
+export async function getTeacherOnboarding(teacherId) {
+  const { data } = await api.get(`${BASE}/${teacherId}`);
+  return data?.onboarding || null;
+}
+
+// Admin: start a checklist for an existing teacher
+export async function startTeacherOnboarding(teacherId) {
+  const { data } = await api.post(`${BASE}/${teacherId}`);
+  return data?.onboarding || null;
+}
+
+// Admin: status is 'done', 'waived' or 'pending' (hands the item back to the automatic checks)
+export async function setTeacherOnboardingItem(teacherId, key, { status, note } = {}) {
+  const { data } = await api.patch(`${BASE}/${teacherId}/items/${key}`, { status, note });
+  return data?.onboarding || null;
+}
+
+export async function listTeacherDocuments(teacherId) {
+  const { data } = await api.get(`${BASE}/${teacherId}/documents`);
+  return Array.isArray(data?.documents) ? data.documents : [];
+}
+
+export async function uploadTeacherDocument(teacherId, { file, type, title, expiresAt } = {}) {
+  const form = new FormData();
+  form.append('file', file);
+  form.append('type', type);
+  if (title) form.append('title', title);
+  if (expiresAt) form.append('expiresAt', expiresAt);
+  const { data } = await api.post(`${BASE}/${teacherId}/documents`, form, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  });
+  return data?.document || null;
+}
+
+export async function updateTeacherDocument(teacherId, documentId, { title, expiresAt } = {}) {
+  const { data } = await api.patch(`${BASE}/${teacherId}/documents/${documentId}`, { title, expiresAt });
+  return data?.document || null;
+}
+
+export async function archiveTeacherDocument(teacherId, documentId) {
+  const { data } = await api.delete(`${BASE}/${teacherId}/documents/${documentId}`);
+  return data?.document || null;
+}
+
+// Vault files come back either as a short-lived signed link (JSON) or as the
+// file itself; open the link or save the blob.
+export async function downloadTeacherDocument(teacherId, document) {
+  const res = await api.get(`${BASE}/${teacherId}/documents/${document._id}/download`, { responseType: 'blob' });
+  const blob = res.data;
+  if (String(blob?.type || '').includes('application/json')) {
+    const parsed = JSON.parse(await blob.text());
+    if (parsed?.url) window.open(parsed.url, '_blank', 'noopener');
+    return;
+  }
+  const href = URL.createObjectURL(blob);
+  const link = window.document.createElement('a');
+  link.href = href;
+  link.download = document.originalName || document.title || 'document';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(href), 1000);
+}
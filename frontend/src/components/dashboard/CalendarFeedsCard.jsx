@@ -0,0 +1,168 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CalendarPlus, Loader2, RefreshCw, Trash2 } from 'lucide-react';
+import CopyButton from '../ui/CopyButton';
+import {
+  listCalendarFeeds,
+  createCalendarFeed,
+  updateCalendarFeed,
+  rotateCalendarFeed,
+  revokeCalendarFeed,
+} from '../../api/calendarFeeds';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'never');
+
+/**
+ * Calendar subscription links (ICS) for Apple Calendar, Outlook or any app
+ * that can subscribe to a URL. Guardians can add one link per student to
+ * share a single child's schedule.
+ */
+const CalendarFeedsCard = ({ role, ownerId }) => {
+  const [feeds, setFeeds] = useState([]);
+  const [students, setStudents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState('');
+  const [error, setError] = useState('');
+  const [draft, setDraft] = useState({ scope: 'user', studentId: '', includeMeetingLinks: false });
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await listCalendarFeeds({ ownerId });
+      setFeeds(data.feeds);
+      setStudents(data.students);
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to load calendar links');
+    } finally {
+      setLoading(false);
+    }
+  }, [ownerId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const run = async (key, action) => {
+    setBusy(key);
+    setError('');
+    try {
+      await action();
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Something went wrong');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run('create', () => createCalendarFeed({
+      ownerId,
+      scope: draft.scope,
+      studentId: draft.scope === 'student' ? draft.studentId : undefined,
+      includeMeetingLinks: draft.includeMeetingLinks,
+    }));
+  };
+
+  const feedTitle = (feed) => feed.label || (feed.scope === 'student' ? `${feed.studentName || 'Student'}'s classes` : 'My schedule');
+
+  return (
+    <div className="space-y-3 text-xs">
+      <div>
+        <h3 className="text-base font-semibold text-foreground">Calendar subscriptions</h3>
+        <p className="text-muted-foreground">
+          Add your classes to Apple Calendar, Outlook or Google Calendar with a subscription link. Anyone with the link can see
+          the schedule, so only share it with people you trust; revoke or regenerate it at any time.
+        </p>
+      </div>
+      {error ? <div className="rounded-lg border border-red-200 bg-red-50 px-2.5 py-1.5 text-red-700">{error}</div> : null}
+
+      {loading && !feeds.length ? (
+        <p className="text-muted-foreground">Loading calendar links…</p>
+      ) : feeds.length ? (
+        <ul className="space-y-1.5">
+          {feeds.map((feed) => (
+            <li key={feed._id} className="space-y-1.5 rounded-lg border border-border bg-background px-2.5 py-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-semibold text-foreground">{feedTitle(feed)}</span>
+                <span className="text-muted-foreground">Last synced {formatDate(feed.lastAccessedAt)}</span>
+                <span className="flex-1" />
+                <button
+                  type="button"
+                  disabled={busy === `rotate-${feed._id}`}
+                  onClick={() => {
+                    if (!window.confirm('Create a new link? Calendars subscribed with the current link will stop updating.')) return;
+                    run(`rotate-${feed._id}`, () => rotateCalendarFeed(feed._id));
+                  }}
+                  className="rounded-full p-1 text-muted-foreground hover:bg-muted"
+                  title="Regenerate link"
+                >
+                  {busy === `rotate-${feed._id}` ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <RefreshCw className="h-3.5 w-3.5" />}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    if (!window.confirm('Revoke this link? Subscribed calendars will stop receiving classes.')) return;
+                    run(`revoke-${feed._id}`, () => revokeCalendarFeed(feed._id));
+                  }}
+                  className="rounded-full p-1 text-muted-foreground hover:bg-muted hover:text-red-600"
+                  title="Revoke"
+                >
+                  <Trash2 className="h-3.5 w-3.5" />
+                </button>
+              </div>
+              <div className="flex items-center gap-1.5">
+                <input readOnly value={feed.url} onFocus={(e) => e.target.select()} className="min-w-0 flex-1 rounded-md border border-border bg-card px-1.5 py-1 font-mono text-[11px] text-foreground" />
+                <CopyButton text={feed.url} title="Copy link" size="sm" />
+                <a href={feed.webcalUrl} className="rounded-full border border-border bg-card px-2 py-1 font-medium text-foreground hover:border-primary/40">
+                  Subscribe
+                </a>
+              </div>
+              <label className="inline-flex items-center gap-1.5 text-muted-foreground">
+                <input
+                  type="checkbox"
+                  checked={Boolean(feed.includeMeetingLinks)}
+                  disabled={busy === `links-${feed._id}`}
+                  onChange={(e) => run(`links-${feed._id}`, () => updateCalendarFeed(feed._id, { includeMeetingLinks: e.target.checked }))}
+                />
+                Include meeting links in events
+              </label>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-muted-foreground">No calendar links yet.</p>
+      )}
+
+      <form onSubmit={handleCreate} className="flex flex-wrap items-center gap-1.5">
+        {role === 'guardian' && students.length ? (
+          <select
+            value={draft.scope === 'student' ? draft.studentId : ''}
+            onChange={(e) => setDraft((p) => ({ ...p, scope: e.target.value ? 'student' : 'user', studentId: e.target.value }))}
+            className="rounded-md border border-border bg-card px-1.5 py-1 text-[11px] text-foreground"
+          >
+            <option value="">All my students</option>
+            {students.map((s) => <option key={s._id} value={s._id}>{s.name}</option>)}
+          </select>
+        ) : null}
+        <label className="inline-flex items-center gap-1 text-muted-foreground">
+          <input
+            type="checkbox"
+            checked={draft.includeMeetingLinks}
+            onChange={(e) => setDraft((p) => ({ ...p, includeMeetingLinks: e.target.checked }))}
+          />
+          Include meeting links
+        </label>
+        <button
+          type="submit"
+          disabled={busy === 'create'}
+          className="inline-flex items-center gap-1 rounded-full bg-primary px-2.5 py-1 font-medium text-primary-foreground disabled:opacity-60"
+        >
+          {busy === 'create' ? <Loader2 className="h-3 w-3 animate-spin" /> : <CalendarPlus className="h-3 w-3" />}
+          New calendar link
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CalendarFeedsCard;
@@ -11,6 +11,8 @@ import axios from '../../api/axios';
 import SearchSelect from '../ui/SearchSelect';
 import CopyButton from '../ui/CopyButton';
 import TimeInput from '../ui/TimeInput';
+import RecurrenceRuleEditor from './RecurrenceRuleEditor';
+import { DEFAULT_RULE_FORM, describeRule, formToRule, ruleFormToRecurrence } from '../../utils/recurrenceRule';
 import {
   getStudentMessageName,
   getTeacherMessageLabel,
@@ -297,7 +299,8 @@ export default function CreateClassModal({
       { dayOfWeek: 1, time: '18:00', duration: 30, timezone: DEFAULT_TIMEZONE }
     ],
     scheduledDate: '',
-    generationPeriodMonths: 3
+    generationPeriodMonths: 3,
+    seriesRule: { ...DEFAULT_RULE_FORM }
   },
   setNewClass,
   teachers = [],
@@ -335,9 +338,11 @@ export default function CreateClassModal({
       { dayOfWeek: 1, time: '18:00', duration: 30, timezone: adminTimezone }
     ],
     scheduledDate: '',
-    generationPeriodMonths: 3
+    generationPeriodMonths: 3,
+    seriesRule: { ...DEFAULT_RULE_FORM }
   });
   const [isLoading, setIsLoading] = useState(false);
+  const [showRuleEditor, setShowRuleEditor] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
   const [shareMessage, setShareMessage] = useState('');
   const [duplicatePrompt, setDuplicatePrompt] = useState(null);
@@ -357,6 +362,7 @@ export default function CreateClassModal({
   const isStandalone = typeof setNewClass !== 'function';
   const currentNewClass = isStandalone ? localNewClass : newClass;
   const currentSetNewClass = isStandalone ? setLocalNewClass : setNewClass;
+  const seriesSlotDays = (currentNewClass?.recurrenceDetails || []).map((slot) => Number(slot?.dayOfWeek));
 
   // Session draft persistence for the create-class form so the user can
   // navigate away (e.g. to peek a teacher schedule) and return without
@@ -916,7 +922,13 @@ export default function CreateClassModal({
         };
       }
 
-      return { ...currentNewClass, force: shouldForceSubmit === true };
+      const { seriesRule, ...rest } = currentNewClass;
+      const slotDays = (rest.recurrenceDetails || []).map((slot) => Number(slot?.dayOfWeek));
+      return {
+        ...rest,
+        recurrence: ruleFormToRecurrence(seriesRule, slotDays),
+        force: shouldForceSubmit === true,
+      };
     };
 
     try {
@@ -1478,6 +1490,33 @@ export default function CreateClassModal({
                       <span>Add Slot</span>
                     </button>
                   </div>
+
+                  <div className="mt-4 border-t border-slate-200 pt-4">
+                    <button
+                      type="button"
+                      onClick={() => setShowRuleEditor((prev) => !prev)}
+                      className="flex w-full items-center justify-between gap-2 text-left"
+                    >
+                      <span className={classModalLabelClass}>Repeat rule &amp; exceptions</span>
+                      <span className="text-xs text-slate-500">
+                        {describeRule(formToRule(currentNewClass.seriesRule || DEFAULT_RULE_FORM, seriesSlotDays))}
+                      </span>
+                    </button>
+                    {showRuleEditor && (
+                      <div className="mt-3">
+                        <RecurrenceRuleEditor
+                          value={currentNewClass.seriesRule || DEFAULT_RULE_FORM}
+                          onChange={(next) => currentSetNewClass?.((prev) => ({ ...prev, seriesRule: next }))}
+                          slotDays={seriesSlotDays}
+                          previewContext={{
+                            recurrenceDetails: currentNewClass.recurrenceDetails,
+                            timezone: currentNewClass.timezone,
+                            duration: currentNewClass.recurrenceDetails?.[0]?.duration || currentNewClass.duration,
+                          }}
+                        />
+                      </div>
+                    )}
+                  </div>
                 </div>
               </div>
             )}
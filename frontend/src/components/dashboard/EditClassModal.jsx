@@ -12,6 +12,7 @@ import DSTWarningBanner from "../ui/DSTWarningBanner";
 import { checkDSTWarning, convertClassTimeForUser, DEFAULT_TIMEZONE } from "../../utils/timezoneUtils";
 import SearchSelect from '../ui/SearchSelect';
 import WhatsAppGroupButton from './WhatsAppGroupButton';
+import GroupRosterPanel from './GroupRosterPanel';
 import TimeInput from '../ui/TimeInput';
 import {
   searchTeachers,
@@ -607,6 +608,32 @@ export default function EditClassModal({
               );
             })()}
 
+            {/* Group roster (admin only, existing class) */}
+            {isAdmin && editClass._id && (
+              <div className={sectionCardClass}>
+                <div className="mb-3">
+                  <h3 className={sectionTitleClass}>Group roster</h3>
+                  <p className={sectionDescriptionClass}>
+                    Teach several students, from one or more guardians, in one session. Each guardian is billed for their own students; the teacher is paid for the session once.
+                  </p>
+                </div>
+                <GroupRosterPanel
+                  classDoc={editClass}
+                  onSaved={(updated) => setEditClass((prev) => ({
+                    ...prev,
+                    isGroup: updated.isGroup,
+                    roster: updated.roster,
+                    groupBilling: updated.groupBilling,
+                    student: {
+                      guardianId: updated.student?.guardianId?._id || updated.student?.guardianId,
+                      studentId: updated.student?.studentId,
+                      studentName: updated.student?.studentName,
+                    },
+                  }))}
+                />
+              </div>
+            )}
+
             {/* Recurring Class Fields - group months, day, time, duration in one row group */}
             {editClass.isRecurring && (
               <div className={sectionCardClass}>
@@ -0,0 +1,172 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CalendarClock, Loader2, RefreshCw, Unplug } from 'lucide-react';
+import CopyButton from '../ui/CopyButton';
+import {
+  getCalendarImport,
+  connectCalendarImport,
+  setCalendarImportEnabled,
+  syncCalendarImport,
+  disconnectCalendarImport,
+} from '../../api/calendarImport';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'never');
+
+const STATUS_STYLES = {
+  active: 'border-emerald-200 bg-emerald-50 text-emerald-700',
+  pending: 'border-slate-200 bg-slate-50 text-slate-600',
+  error: 'border-rose-200 bg-rose-50 text-rose-700',
+  disabled: 'border-amber-200 bg-amber-50 text-amber-700',
+};
+
+/**
+ * Reads busy time from the teacher's own Google calendar so students are not
+ * booked over personal appointments. Only start/end times are imported; the
+ * calendar has to be shared with the Waraqa service account first.
+ */
+const GoogleCalendarImportCard = ({ teacherId }) => {
+  const [state, setState] = useState(null);
+  const [calendarId, setCalendarId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const load = useCallback(async () => {
+    if (!teacherId) return;
+    setLoading(true);
+    try {
+      const data = await getCalendarImport(teacherId);
+      setState(data);
+      setCalendarId(data?.connection?.calendarId || '');
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to load Google Calendar import');
+    } finally {
+      setLoading(false);
+    }
+  }, [teacherId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const run = async (key, action, successMessage) => {
+    setBusy(key);
+    setError('');
+    setNotice('');
+    try {
+      const data = await action();
+      if (data?.error) setError(data.error);
+      else if (successMessage) setNotice(typeof successMessage === 'function' ? successMessage(data) : successMessage);
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Something went wrong');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  // Hidden until the import is configured on the server
+  if ((loading && !state) || !state?.configured) return null;
+
+  const connection = state.connection;
+
+  return (
+    <div className="mb-6 space-y-3 rounded-2xl bg-white p-4 text-sm shadow-sm">
+      <div className="flex flex-wrap items-start gap-2">
+        <CalendarClock className="mt-0.5 h-5 w-5 text-slate-600" />
+        <div className="min-w-0 flex-1">
+          <h2 className="text-base font-semibold text-slate-900">Block my Google Calendar appointments</h2>
+          <p className="text-xs text-slate-500">
+            Times you are busy in your own Google Calendar are kept free of classes. Only start and end times are read; titles stay private.
+          </p>
+        </div>
+        {connection ? (
+          <span className={`rounded-full border px-2.5 py-0.5 text-xs font-semibold ${STATUS_STYLES[connection.status] || STATUS_STYLES.pending}`}>
+            {connection.status === 'disabled' ? 'Paused' : connection.status === 'error' ? 'Needs attention' : connection.status === 'active' ? 'Connected' : 'Connecting'}
+          </span>
+        ) : null}
+      </div>
+
+      {error ? <div className="rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-xs text-rose-700">{error}</div> : null}
+      {notice ? <div className="rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-xs text-emerald-700">{notice}</div> : null}
+
+      {!connection && state.serviceAccountEmail ? (
+        <div className="rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-xs text-slate-600">
+          <p>
+            In Google Calendar, open <strong>Settings and sharing</strong> for your calendar and share it with this address
+            (&ldquo;See all event details&rdquo;), then enter your calendar below.
+          </p>
+          <div className="mt-1.5 flex items-center gap-1.5">
+            <code className="min-w-0 flex-1 truncate rounded-md border border-slate-200 bg-white px-1.5 py-1">{state.serviceAccountEmail}</code>
+            <CopyButton text={state.serviceAccountEmail} title="Copy address" size="sm" />
+          </div>
+        </div>
+      ) : null}
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          run('connect', () => connectCalendarImport(teacherId, calendarId), (data) => `Connected. ${data?.result?.upserted || 0} busy time block(s) imported.`);
+        }}
+        className="flex flex-wrap items-center gap-2"
+      >
+        <input
+          type="text"
+          value={calendarId}
+          onChange={(e) => setCalendarId(e.target.value)}
+          placeholder="Your Google email or calendar ID"
+          className="min-w-0 flex-1 rounded-full border border-slate-200 px-3 py-1.5 text-sm focus:border-primary focus:outline-none"
+        />
+        <button
+          type="submit"
+          disabled={!calendarId.trim() || busy === 'connect' || calendarId.trim() === connection?.calendarId}
+          className="inline-flex items-center gap-1.5 rounded-full bg-primary px-4 py-1.5 text-sm font-semibold text-white shadow-sm hover:brightness-110 disabled:opacity-50"
+        >
+          {busy === 'connect' ? <Loader2 className="h-4 w-4 animate-spin" /> : null}
+          {connection ? 'Change calendar' : 'Connect'}
+        </button>
+      </form>
+
+      {connection ? (
+        <div className="flex flex-wrap items-center gap-2 text-xs text-slate-600">
+          <span>
+            {connection.importedCount || 0} upcoming busy block(s) · Last checked {formatDate(connection.lastSyncedAt)}
+          </span>
+          {connection.status === 'error' && connection.lastError ? <span className="text-rose-600">{connection.lastError}</span> : null}
+          <span className="flex-1" />
+          {connection.enabled ? (
+            <button
+              type="button"
+              disabled={busy === 'sync'}
+              onClick={() => run('sync', () => syncCalendarImport(teacherId), 'Calendar checked.')}
+              className="inline-flex items-center gap-1 rounded-full border border-slate-200 px-3 py-1 font-semibold text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+            >
+              {busy === 'sync' ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <RefreshCw className="h-3.5 w-3.5" />}
+              Check now
+            </button>
+          ) : null}
+          <button
+            type="button"
+            disabled={busy === 'toggle'}
+            onClick={() => run('toggle', () => setCalendarImportEnabled(teacherId, !connection.enabled))}
+            className="rounded-full border border-slate-200 px-3 py-1 font-semibold text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+          >
+            {connection.enabled ? 'Pause' : 'Resume'}
+          </button>
+          <button
+            type="button"
+            disabled={busy === 'disconnect'}
+            onClick={() => {
+              if (!window.confirm('Disconnect your Google Calendar? Imported busy time will be removed.')) return;
+              run('disconnect', () => disconnectCalendarImport(teacherId), 'Google Calendar disconnected.');
+            }}
+            className="inline-flex items-center gap-1 rounded-full border border-slate-200 px-3 py-1 font-semibold text-slate-700 hover:border-rose-200 hover:text-rose-600 disabled:opacity-50"
+          >
+            <Unplug className="h-3.5 w-3.5" />
+            Disconnect
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+};
+
+export default GoogleCalendarImportCard;
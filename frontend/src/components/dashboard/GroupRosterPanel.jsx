@@ -0,0 +1,218 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Trash2, Users } from 'lucide-react';
+import SearchSelect from '../ui/SearchSelect';
+import { searchStudents } from '../../services/entitySearch';
+import { setClassRoster } from '../../api/groupClasses';
+
+const CONVERTIBLE_STATUSES = ['scheduled', 'in_progress', 'pattern'];
+const ATTENDANCE_LABELS = {
+  pending: 'Not marked',
+  attended: 'Attended',
+  absent: 'Absent',
+  excused: 'Excused',
+};
+
+const toRosterRow = (entry = {}) => ({
+  guardianId: String(entry.guardianId?._id || entry.guardianId || ''),
+  studentId: String(entry.studentId || ''),
+  studentName: entry.studentName || '',
+  guardianName: entry.guardianName || '',
+  billingShare: entry.billingShare ?? 1,
+  waived: Boolean(entry.waived),
+  attendance: entry.attendance || 'pending',
+});
+
+/**
+ * Admin roster editor for group classes: which students (from any guardian)
+ * share the session, how much of it each one is charged and whether absent
+ * students pay. A 1:1 class can be turned into a group class while it is
+ * still upcoming; its current student becomes the first roster entry.
+ */
+const GroupRosterPanel = ({ classDoc, onSaved }) => {
+  const [rows, setRows] = useState([]);
+  const [billing, setBilling] = useState({ mode: 'per_student', chargeAbsent: true });
+  const [applyToSeries, setApplyToSeries] = useState(Boolean(classDoc?.isRecurring));
+  const [pickerKey, setPickerKey] = useState(0);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    const roster = classDoc?.isGroup && Array.isArray(classDoc.roster) && classDoc.roster.length
+      ? classDoc.roster
+      : (classDoc?.student?.studentId ? [classDoc.student] : []);
+    setRows(roster.map(toRosterRow));
+    setBilling({
+      mode: classDoc?.groupBilling?.mode || 'per_student',
+      chargeAbsent: classDoc?.groupBilling?.chargeAbsent !== false,
+    });
+    setApplyToSeries(Boolean(classDoc?.isRecurring));
+    setError('');
+    setNotice('');
+  }, [classDoc?._id, classDoc?.isGroup, classDoc?.roster, classDoc?.student, classDoc?.groupBilling, classDoc?.isRecurring]);
+
+  const fetchStudentOptions = useCallback((term = '') => searchStudents(term), []);
+
+  if (!classDoc?._id) return null;
+  const canConvert = classDoc.isGroup || CONVERTIBLE_STATUSES.includes(classDoc.status || 'scheduled');
+
+  const addStudent = (option) => {
+    if (!option?.id) return;
+    setPickerKey((k) => k + 1);
+    if (!option.guardianId) {
+      setError('This student has no guardian on file.');
+      return;
+    }
+    if (rows.some((row) => row.studentId === String(option.id))) return;
+    setRows((prev) => [...prev, toRosterRow({
+      guardianId: option.guardianId,
+      studentId: option.id,
+      studentName: option.label,
+      guardianName: option.guardianName,
+    })]);
+  };
+
+  const updateRow = (studentId, patch) => {
+    setRows((prev) => prev.map((row) => (row.studentId === studentId ? { ...row, ...patch } : row)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    setNotice('');
+    try {
+      const data = await setClassRoster(classDoc._id, {
+        roster: rows.map(({ guardianId, studentId, studentName, billingShare, waived }) => ({
+          guardianId,
+          studentId,
+          studentName,
+          billingShare: Number(billingShare),
+          waived,
+        })),
+        groupBilling: billing,
+        applyToSeries: classDoc.isRecurring ? applyToSeries : false,
+      });
+      setNotice(data?.seriesUpdated ? `Roster saved (${data.seriesUpdated} more classes in the series updated).` : 'Roster saved.');
+      if (onSaved && data?.class) onSaved(data.class);
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to save the roster.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3 text-xs">
+      {!canConvert ? (
+        <p className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-amber-700">
+          This class has already been reported, so it can no longer be turned into a group class.
+        </p>
+      ) : null}
+      {error ? <div className="rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-rose-700">{error}</div> : null}
+      {notice ? <div className="rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-emerald-700">{notice}</div> : null}
+
+      {rows.length ? (
+        <ul className="space-y-1.5">
+          {rows.map((row) => (
+            <li key={row.studentId} className="flex flex-wrap items-center gap-2 rounded-xl border border-slate-200 bg-white px-3 py-2">
+              <div className="min-w-0 flex-1">
+                <p className="truncate text-sm font-semibold text-slate-800">{row.studentName || 'Student'}</p>
+                <p className="text-[11px] text-slate-500">
+                  {row.guardianName ? `Guardian: ${row.guardianName} · ` : ''}{ATTENDANCE_LABELS[row.attendance] || row.attendance}
+                </p>
+              </div>
+              <label className="inline-flex items-center gap-1 text-slate-600" title="Share of the session charged to this student's guardian">
+                Charge
+                <select
+                  value={String(row.billingShare)}
+                  disabled={!canConvert}
+                  onChange={(e) => updateRow(row.studentId, { billingShare: Number(e.target.value) })}
+                  className="rounded-md border border-slate-300 bg-white px-1.5 py-1 text-xs text-slate-700"
+                >
+                  {[1, 0.75, 0.5, 0.25, 0].map((share) => (
+                    <option key={share} value={String(share)}>{Math.round(share * 100)}%</option>
+                  ))}
+                </select>
+              </label>
+              <label className="inline-flex items-center gap-1 text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={row.waived}
+                  disabled={!canConvert}
+                  onChange={(e) => updateRow(row.studentId, { waived: e.target.checked })}
+                />
+                Free
+              </label>
+              <button
+                type="button"
+                disabled={!canConvert || rows.length <= 1}
+                onClick={() => setRows((prev) => prev.filter((r) => r.studentId !== row.studentId))}
+                className="rounded-lg p-1 text-slate-400 transition hover:bg-slate-100 hover:text-rose-600 disabled:opacity-40"
+                title="Remove from roster"
+              >
+                <Trash2 className="h-3.5 w-3.5" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-slate-500">No students yet.</p>
+      )}
+
+      {canConvert ? (
+        <SearchSelect
+          key={pickerKey}
+          label="Add student"
+          placeholder="Search students of any guardian..."
+          value=""
+          onChange={addStudent}
+          fetchOptions={fetchStudentOptions}
+        />
+      ) : null}
+
+      <div className="flex flex-wrap items-center gap-3 text-slate-600">
+        <label className="inline-flex items-center gap-1.5">
+          Billing
+          <select
+            value={billing.mode}
+            disabled={!canConvert}
+            onChange={(e) => setBilling((prev) => ({ ...prev, mode: e.target.value }))}
+            className="rounded-md border border-slate-300 bg-white px-1.5 py-1 text-xs text-slate-700"
+          >
+            <option value="per_student">Each student pays the full session</option>
+            <option value="split">Split the session between students</option>
+          </select>
+        </label>
+        <label className="inline-flex items-center gap-1.5">
+          <input
+            type="checkbox"
+            checked={billing.chargeAbsent}
+            disabled={!canConvert}
+            onChange={(e) => setBilling((prev) => ({ ...prev, chargeAbsent: e.target.checked }))}
+          />
+          Charge absent students (excused absences are never charged)
+        </label>
+        {classDoc.isRecurring ? (
+          <label className="inline-flex items-center gap-1.5">
+            <input type="checkbox" checked={applyToSeries} onChange={(e) => setApplyToSeries(e.target.checked)} />
+            Apply to upcoming classes in the series
+          </label>
+        ) : null}
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          disabled={!canConvert || saving || !rows.length}
+          onClick={handleSave}
+          className="inline-flex items-center gap-1.5 rounded-xl bg-primary px-3 py-2 text-xs font-semibold text-white shadow-sm transition hover:bg-primary/90 disabled:opacity-50"
+        >
+          <Users className="h-3.5 w-3.5" />
+          {saving ? 'Saving…' : (classDoc.isGroup ? 'Save roster' : 'Make group class')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GroupRosterPanel;
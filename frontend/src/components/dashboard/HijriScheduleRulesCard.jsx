@@ -0,0 +1,474 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Moon, Plus, Edit, Trash2, Eye, RefreshCw, AlertCircle } from 'lucide-react';
+import {
+  listHijriRules,
+  createHijriRule,
+  updateHijriRule,
+  deleteHijriRule,
+  previewHijriRule,
+  getHijriRuleImpact,
+  syncHijriRules,
+} from '../../api/hijriScheduleRules';
+
+const EMPTY_FORM = {
+  name: '',
+  action: 'pause',
+  hijriMonth: 10,
+  startDay: 1,
+  endDay: 3,
+  shiftMinutes: 60,
+  timeBand: { from: '17:00', to: '23:59' },
+  timezone: 'Africa/Cairo',
+  region: '',
+  message: '',
+  isActive: true,
+};
+
+const toForm = (rule) => ({
+  ...EMPTY_FORM,
+  ...rule,
+  endDay: rule.endDay ?? '',
+  region: rule.region || '',
+  message: rule.message || '',
+  timeBand: { ...EMPTY_FORM.timeBand, ...(rule.timeBand || {}) },
+});
+
+const toPayload = (form) => ({
+  name: form.name,
+  action: form.action,
+  hijriMonth: Number(form.hijriMonth),
+  startDay: form.startDay === '' ? 1 : Number(form.startDay),
+  endDay: form.endDay === '' ? null : Number(form.endDay),
+  shiftMinutes: form.action === 'shift' ? Number(form.shiftMinutes) : 0,
+  timeBand: form.timeBand,
+  timezone: form.timezone,
+  region: form.region,
+  message: form.message,
+  isActive: form.isActive,
+});
+
+const formatDateTime = (value) => (value
+  ? new Date(value).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+  : '—');
+
+const describeAction = (rule) => {
+  if (rule.action === 'pause') return 'Pause all classes';
+  const sign = rule.shiftMinutes > 0 ? '+' : '';
+  return `Shift ${sign}${rule.shiftMinutes} min (${rule.timeBand?.from}–${rule.timeBand?.to})`;
+};
+
+/**
+ * Admin rules keyed to Hijri dates (Eid breaks, Ramadan timetables). Each
+ * rule resolves to Gregorian dates every year using the Hijri offset setting;
+ * pauses become system vacations, shifts move upcoming classes in a time band.
+ */
+const HijriScheduleRulesCard = ({ onChanged }) => {
+  const [rules, setRules] = useState([]);
+  const [months, setMonths] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadRules = useCallback(async () => {
+    try {
+      const data = await listHijriRules();
+      setRules(data.rules);
+      setMonths(data.months);
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to load Hijri rules');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  const updateForm = (patch) => setForm((prev) => ({ ...prev, ...patch }));
+  const updateBand = (patch) => setForm((prev) => ({ ...prev, timeBand: { ...prev.timeBand, ...patch } }));
+
+  const openForm = (rule = null) => {
+    setForm(rule ? toForm(rule) : { ...EMPTY_FORM });
+    setEditingId(rule?._id || null);
+    setPreview(null);
+    setMessage('');
+    setError('');
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+    setPreview(null);
+  };
+
+  const summarizeSync = (sync) => {
+    if (!sync) return '';
+    const parts = [];
+    if (sync.vacationsCreated) parts.push(`${sync.vacationsCreated} vacation(s) created`);
+    if (sync.vacationsUpdated) parts.push(`${sync.vacationsUpdated} vacation(s) moved`);
+    if (sync.classesShifted) parts.push(`${sync.classesShifted} class(es) shifted`);
+    if (sync.classesReverted) parts.push(`${sync.classesReverted} class(es) moved back`);
+    return [parts.join(', '), ...(sync.notes || [])].filter(Boolean).join(' ');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage('');
+    setError('');
+    try {
+      const payload = toPayload(form);
+      const data = editingId ? await updateHijriRule(editingId, payload) : await createHijriRule(payload);
+      setMessage([data?.message, summarizeSync(data?.sync)].filter(Boolean).join(' — '));
+      closeForm();
+      await loadRules();
+      if (onChanged) onChanged();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to save Hijri rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete "${rule.name}"? Upcoming classes it paused or shifted are restored.`)) return;
+    setMessage('');
+    setError('');
+    try {
+      await deleteHijriRule(rule._id);
+      setMessage(`"${rule.name}" deleted`);
+      if (editingId === rule._id) closeForm();
+      await loadRules();
+      if (onChanged) onChanged();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to delete Hijri rule');
+    }
+  };
+
+  const handleSync = async () => {
+    setSyncing(true);
+    setMessage('');
+    setError('');
+    try {
+      const result = await syncHijriRules();
+      setMessage(`Rules synced${summarizeSync(result) ? ` — ${summarizeSync(result)}` : ''}`);
+      await loadRules();
+      if (onChanged) onChanged();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to sync Hijri rules');
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const loadPreview = async (rule = null) => {
+    setPreviewLoading(true);
+    setError('');
+    try {
+      const data = rule ? await getHijriRuleImpact(rule._id) : await previewHijriRule(toPayload(form));
+      setPreview(data);
+    } catch (err) {
+      setPreview(null);
+      setError(err?.response?.data?.message || 'Failed to preview Hijri rule');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  const previewClasses = (preview?.impact?.students || []).flatMap((student) => (
+    student.classes.map((cls) => ({ ...cls, studentName: student.studentName }))
+  ));
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+      <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
+        <div>
+          <h3 className="flex items-center gap-2 text-sm font-semibold text-gray-900">
+            <Moon className="h-4 w-4 text-emerald-600" />
+            Hijri calendar rules
+          </h3>
+          <p className="mt-1 text-xs text-gray-500">
+            Eid breaks and Ramadan timetables that follow the Hijri calendar each year. Dates use the Hijri offset from settings.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={handleSync}
+            disabled={syncing}
+            className="inline-flex items-center gap-1 rounded-md border border-gray-300 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+          >
+            <RefreshCw className={`h-4 w-4 ${syncing ? 'animate-spin' : ''}`} />
+            Sync now
+          </button>
+          <button
+            type="button"
+            onClick={() => openForm()}
+            className="inline-flex items-center gap-1 rounded-md bg-primary px-3 py-2 text-sm font-medium text-white hover:bg-primary/90"
+          >
+            <Plus className="h-4 w-4" />
+            Add rule
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="mt-3 text-sm text-gray-500">Loading…</p>
+      ) : rules.length === 0 ? (
+        <p className="mt-3 text-sm text-gray-500">No Hijri rules yet.</p>
+      ) : (
+        <ul className="mt-3 divide-y divide-gray-100">
+          {rules.map((rule) => (
+            <li key={rule._id} className="flex flex-col gap-2 py-3 sm:flex-row sm:items-center sm:justify-between">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2 text-sm font-medium text-gray-900">
+                  <span className="truncate">{rule.name}</span>
+                  {!rule.isActive && <span className="rounded-full bg-gray-100 px-2 py-0.5 text-xs text-gray-600">Inactive</span>}
+                  {rule.region && <span className="rounded-full bg-blue-50 px-2 py-0.5 text-xs text-blue-700">{rule.region}</span>}
+                </div>
+                <div className="text-xs text-gray-600">
+                  {describeAction(rule)}
+                  {rule.nextWindow && ` • ${rule.nextWindow.label}: ${rule.nextWindow.startDate}${rule.nextWindow.endDate !== rule.nextWindow.startDate ? ` → ${rule.nextWindow.endDate}` : ''}`}
+                </div>
+                {rule.lastSyncNote && <div className="mt-0.5 text-xs text-amber-700">{rule.lastSyncNote}</div>}
+              </div>
+              <div className="flex gap-1">
+                <button type="button" onClick={() => loadPreview(rule)} className="rounded p-1.5 text-gray-500 hover:bg-gray-100" title="Affected classes">
+                  <Eye className="h-4 w-4" />
+                </button>
+                <button type="button" onClick={() => openForm(rule)} className="rounded p-1.5 text-gray-500 hover:bg-gray-100" title="Edit">
+                  <Edit className="h-4 w-4" />
+                </button>
+                <button type="button" onClick={() => handleDelete(rule)} className="rounded p-1.5 text-red-500 hover:bg-red-50" title="Delete">
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {form && (
+        <div className="mt-4 rounded-lg border border-gray-200 p-4">
+          <div className="grid grid-cols-1 gap-3 sm:grid-cols-2 lg:grid-cols-4">
+            <label className="block text-sm lg:col-span-2">
+              <span className="text-xs font-medium text-gray-600">Name</span>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => updateForm({ name: e.target.value })}
+                placeholder="Eid al-Fitr break"
+                className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-xs font-medium text-gray-600">Action</span>
+              <select
+                value={form.action}
+                onChange={(e) => updateForm({ action: e.target.value })}
+                className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+              >
+                <option value="pause">Pause classes (system vacation)</option>
+                <option value="shift">Shift class times</option>
+              </select>
+            </label>
+            <label className="block text-sm">
+              <span className="text-xs font-medium text-gray-600">Hijri month</span>
+              <select
+                value={form.hijriMonth}
+                onChange={(e) => updateForm({ hijriMonth: Number(e.target.value) })}
+                className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+              >
+                {months.map((name, index) => (
+                  <option key={name} value={index + 1}>{index + 1}. {name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-sm">
+              <span className="text-xs font-medium text-gray-600">From day</span>
+              <input
+                type="number"
+                min="1"
+                max="30"
+                value={form.startDay}
+                onChange={(e) => updateForm({ startDay: e.target.value })}
+                className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-xs font-medium text-gray-600">To day (empty = month end)</span>
+              <input
+                type="number"
+                min="1"
+                max="30"
+                value={form.endDay}
+                onChange={(e) => updateForm({ endDay: e.target.value })}
+                className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-xs font-medium text-gray-600">Timezone</span>
+              <input
+                type="text"
+                value={form.timezone}
+                onChange={(e) => updateForm({ timezone: e.target.value })}
+                className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-xs font-medium text-gray-600">Region (offset key, optional)</span>
+              <input
+                type="text"
+                value={form.region}
+                onChange={(e) => updateForm({ region: e.target.value.toUpperCase() })}
+                placeholder="SA"
+                className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+              />
+            </label>
+            {form.action === 'shift' && (
+              <>
+                <label className="block text-sm">
+                  <span className="text-xs font-medium text-gray-600">Shift (minutes, negative = earlier)</span>
+                  <input
+                    type="number"
+                    min="-720"
+                    max="720"
+                    step="15"
+                    value={form.shiftMinutes}
+                    onChange={(e) => updateForm({ shiftMinutes: e.target.value })}
+                    className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+                  />
+                </label>
+                <label className="block text-sm">
+                  <span className="text-xs font-medium text-gray-600">Classes starting from</span>
+                  <input
+                    type="time"
+                    value={form.timeBand.from}
+                    onChange={(e) => updateBand({ from: e.target.value })}
+                    className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+                  />
+                </label>
+                <label className="block text-sm">
+                  <span className="text-xs font-medium text-gray-600">Until</span>
+                  <input
+                    type="time"
+                    value={form.timeBand.to}
+                    onChange={(e) => updateBand({ to: e.target.value })}
+                    className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+                  />
+                </label>
+              </>
+            )}
+            {form.action === 'pause' && (
+              <label className="block text-sm sm:col-span-2 lg:col-span-4">
+                <span className="text-xs font-medium text-gray-600">Vacation message</span>
+                <input
+                  type="text"
+                  value={form.message}
+                  onChange={(e) => updateForm({ message: e.target.value })}
+                  placeholder="Eid Mubarak! Classes resume after the break."
+                  className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+                />
+              </label>
+            )}
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.isActive}
+                onChange={(e) => updateForm({ isActive: e.target.checked })}
+              />
+              Active
+            </label>
+          </div>
+          <div className="mt-4 flex flex-wrap justify-end gap-2">
+            <button type="button" onClick={closeForm} className="rounded-md border border-gray-300 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50">
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={() => loadPreview()}
+              disabled={previewLoading}
+              className="rounded-md border border-gray-300 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+            >
+              {previewLoading ? 'Checking…' : 'Preview'}
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saving}
+              className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-primary/90 disabled:opacity-60"
+            >
+              {saving ? 'Saving…' : editingId ? 'Save & apply' : 'Create & apply'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {preview && (
+        <div className="mt-4 rounded-lg border border-gray-200 p-4">
+          <div className="flex flex-col gap-1 sm:flex-row sm:items-center sm:justify-between">
+            <div className="text-sm font-medium text-gray-900">
+              {preview.rule?.name || 'Draft rule'} • {preview.window.label}
+            </div>
+            <div className="text-xs text-gray-600">
+              {preview.window.startDate}{preview.window.endDate !== preview.window.startDate ? ` → ${preview.window.endDate}` : ''}
+              {' • '}{preview.impact.totalClasses} class(es), {preview.impact.totalStudents} student(s)
+            </div>
+          </div>
+          {preview.conflict && (
+            <div className="mt-2 flex items-start gap-2 rounded-md bg-amber-50 px-3 py-2 text-xs text-amber-800">
+              <AlertCircle className="mt-0.5 h-4 w-4 flex-shrink-0" />
+              Overlaps the system vacation "{preview.conflict.name}"; this year's pause will not be created automatically.
+            </div>
+          )}
+          {preview.vacation && (
+            <p className="mt-2 text-xs text-gray-600">Applied as the system vacation "{preview.vacation.name}".</p>
+          )}
+          {previewClasses.length === 0 ? (
+            <p className="mt-2 text-sm text-gray-500">No upcoming classes are affected.</p>
+          ) : (
+            <div className="mt-3 max-h-72 overflow-y-auto">
+              <table className="min-w-full text-left text-xs">
+                <thead className="sticky top-0 bg-gray-50 text-gray-600">
+                  <tr>
+                    <th className="px-2 py-1.5 font-medium">Student</th>
+                    <th className="px-2 py-1.5 font-medium">Teacher</th>
+                    <th className="px-2 py-1.5 font-medium">Class</th>
+                    <th className="px-2 py-1.5 font-medium">{preview.rule?.action === 'shift' ? 'New time' : 'Status'}</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {previewClasses.map((cls) => (
+                    <tr key={cls.classId}>
+                      <td className="px-2 py-1.5 text-gray-900">{cls.studentName}</td>
+                      <td className="px-2 py-1.5 text-gray-700">{cls.teacherName || '—'}</td>
+                      <td className="px-2 py-1.5 text-gray-700">
+                        {formatDateTime(cls.alreadyShifted ? cls.originalScheduledDate : cls.scheduledDate)} • {cls.duration} min
+                      </td>
+                      <td className="px-2 py-1.5 text-gray-700">
+                        {preview.rule?.action === 'shift'
+                          ? (cls.alreadyShifted ? `${formatDateTime(cls.scheduledDate)} (applied)` : formatDateTime(cls.shiftedTo))
+                          : (cls.status === 'on_hold' ? 'On hold' : 'Will be held')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {message && <p className="mt-2 text-xs text-green-700">{message}</p>}
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default HijriScheduleRulesCard;
@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import api from '../../api/axios';
+
+/**
+ * Admin control for the teacher leave ledger policy: whether running out of
+ * balance blocks new requests or only warns, and how many unused days roll
+ * over into the next year (teachers can override the cap on their profile).
+ */
+const LeavePolicyCard = () => {
+  const [policy, setPolicy] = useState({ enforcement: 'block', carryOverMaxDays: 0 });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await api.get('/vacations/leave-policy');
+        if (!cancelled && res.data?.policy) setPolicy(res.data.policy);
+      } catch (err) {
+        if (!cancelled) setError(err?.response?.data?.message || 'Failed to load leave policy');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage('');
+    setError('');
+    try {
+      const res = await api.put('/vacations/leave-policy', {
+        enforcement: policy.enforcement,
+        carryOverMaxDays: Number(policy.carryOverMaxDays) || 0,
+      });
+      if (res.data?.policy) setPolicy(res.data.policy);
+      setMessage('Leave policy saved');
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to save leave policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+      <h3 className="text-sm font-semibold text-gray-900">Teacher leave policy</h3>
+      <p className="mt-1 text-xs text-gray-500">Applies to the yearly leave balance tracked for each teacher.</p>
+      {loading ? (
+        <p className="mt-3 text-sm text-gray-500">Loading…</p>
+      ) : (
+        <div className="mt-3 grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+          <label className="block text-sm">
+            <span className="text-xs font-medium text-gray-600">When the balance runs out</span>
+            <select
+              value={policy.enforcement}
+              onChange={(e) => setPolicy((prev) => ({ ...prev, enforcement: e.target.value }))}
+              className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+            >
+              <option value="block">Block the request</option>
+              <option value="warn">Allow with a warning</option>
+            </select>
+          </label>
+          <label className="block text-sm">
+            <span className="text-xs font-medium text-gray-600">Max days carried over</span>
+            <input
+              type="number"
+              min="0"
+              value={policy.carryOverMaxDays}
+              onChange={(e) => setPolicy((prev) => ({ ...prev, carryOverMaxDays: e.target.value }))}
+              className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2 text-sm"
+            />
+          </label>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-white hover:bg-primary/90 disabled:opacity-60"
+          >
+            {saving ? 'Saving…' : 'Save policy'}
+          </button>
+        </div>
+      )}
+      {message && <p className="mt-2 text-xs text-green-700">{message}</p>}
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default LeavePolicyCard;
@@ -96,6 +96,7 @@ export default function ProfileEditModal({ isOpen, targetUser, onClose, onSaved
         formData.vacationAllowanceDefaultDaysPerYear = vacationAllowance.defaultDaysPerYear ?? '';
         formData.vacationAllowanceCurrentYearDays = currentYearOverride?.days ?? '';
         formData.vacationAllowanceYearlyOverrides = yearlyOverrides;
+        formData.vacationAllowanceCarryOverMaxDays = vacationAllowance.carryOverMaxDays ?? '';
 
         // Fixed (custom) hourly rate override — admin only. Defaults: disabled + empty rate.
         const customRateOverride = targetUser.teacherInfo?.customRateOverride || {};
@@ -123,6 +124,8 @@ export default function ProfileEditModal({ isOpen, targetUser, onClose, onSaved
         if (targetUser.guardianInfo?.hourlyRate !== undefined) {
           formData.guardianInfo.hourlyRate = targetUser.guardianInfo.hourlyRate;
         }
+        formData.guardianInfo.billingCurrency = targetUser.guardianInfo?.billingCurrency || 'USD';
+        formData.guardianInfo.taxRegistrationNumber = targetUser.guardianInfo?.taxRegistrationNumber || '';
         if (targetUser.guardianInfo?.transferFee) {
           formData.guardianInfo.transferFee = targetUser.guardianInfo.transferFee;
         } else if (!formData.guardianInfo.transferFee) {
@@ -345,7 +348,7 @@ export default function ProfileEditModal({ isOpen, targetUser, onClose, onSaved
 
   const canEdit = (field) => {
     // Based on the standards shared earlier in chat
-  const adminOnly = ['email','role','isActive','isEmailVerified','guardianInfo.epithet','guardianInfo.hourlyRate','guardianInfo.transferFee','totalHours','lastLogin','loginAttempts','lockUntil'];
+  const adminOnly = ['email','role','isActive','isEmailVerified','guardianInfo.epithet','guardianInfo.hourlyRate','guardianInfo.billingCurrency','guardianInfo.taxRegistrationNumber','guardianInfo.transferFee','totalHours','lastLogin','loginAttempts','lockUntil'];
     // monthlyHours and bonus removed from modal editing; they are read-only on the profile page
     // bankDetails require special rules: admins can edit, users can edit their own only if they are not guardians
   const selfEditable = ['firstName','lastName','phone','address','profilePicture','dateOfBirth','gender','timezone','notifications','paymentMethod','qualifications','bio','courses','instapayName','googleMeetLink'];
@@ -656,6 +659,10 @@ export default function ProfileEditModal({ isOpen, targetUser, onClose, onSaved
       if (form.role === 'teacher' && isAdmin) {
         const defaultDaysRaw = form.vacationAllowanceDefaultDaysPerYear;
         const currentYearDaysRaw = form.vacationAllowanceCurrentYearDays;
+        const carryOverRaw = form.vacationAllowanceCarryOverMaxDays;
+        const carryOverMaxDays = carryOverRaw === '' || carryOverRaw === null || carryOverRaw === undefined
+          ? null
+          : Number(carryOverRaw);
         const defaultDays = defaultDaysRaw === '' || defaultDaysRaw === null || defaultDaysRaw === undefined
           ? 0
           : Number(defaultDaysRaw);
@@ -672,6 +679,7 @@ export default function ProfileEditModal({ isOpen, targetUser, onClose, onSaved
             ...existingOverrides,
             ...(Number.isFinite(currentYearDays) ? [{ year: currentYear, days: Math.max(0, currentYearDays) }] : []),
           ],
+          carryOverMaxDays: Number.isFinite(carryOverMaxDays) ? Math.max(0, carryOverMaxDays) : null,
         };
       }
 
@@ -722,6 +730,21 @@ export default function ProfileEditModal({ isOpen, targetUser, onClose, onSaved
       if (form.role === 'guardian') {
         const guardianPayload = { ...(payload.guardianInfo || {}) };
 
+        // guardianInfo.hourlyRate is never converted: a currency switch with an
+        // untouched rate would bill the old amount in the new currency.
+        if (isAdmin && form.guardianInfo) {
+          const origCurrency = targetUser.guardianInfo?.billingCurrency || 'USD';
+          const newCurrency = form.guardianInfo.billingCurrency || 'USD';
+          const rateUnchanged = Number(form.guardianInfo.hourlyRate) === Number(targetUser.guardianInfo?.hourlyRate);
+          if (newCurrency !== origCurrency && rateUnchanged) {
+            const confirmed = window.confirm(`Billing currency changes from ${origCurrency} to ${newCurrency}, but the hourly rate is still ${form.guardianInfo.hourlyRate}.\n\nThe rate is charged as entered, in ${newCurrency}. Keep it?`);
+            if (!confirmed) {
+              setLoading(false);
+              return;
+            }
+          }
+        }
+
         if (isAdmin && form.guardianInfo) {
           if (form.guardianInfo.epithet !== undefined) {
             guardianPayload.epithet = String(form.guardianInfo.epithet || '').trim();
@@ -732,6 +755,12 @@ export default function ProfileEditModal({ isOpen, targetUser, onClose, onSaved
               guardianPayload.hourlyRate = hrValue;
             }
           }
+          if (form.guardianInfo.billingCurrency) {
+            guardianPayload.billingCurrency = form.guardianInfo.billingCurrency;
+          }
+          if (form.guardianInfo.taxRegistrationNumber !== undefined) {
+            guardianPayload.taxRegistrationNumber = String(form.guardianInfo.taxRegistrationNumber || '').trim();
+          }
 
           if (form.guardianInfo.transferFee) {
             const feeMode = typeof form.guardianInfo.transferFee.mode === 'string'
@@ -980,10 +1009,29 @@ export default function ProfileEditModal({ isOpen, targetUser, onClose, onSaved
                     </div>
 
                     <div>
-                      <label className="block text-xs font-medium text-muted-foreground mb-1">Hourly Rate (guardian)</label>
+                      <label className="block text-xs font-medium text-muted-foreground mb-1">Hourly Rate (guardian, {form.guardianInfo?.billingCurrency || 'USD'})</label>
                       <input type="number" className="w-full min-w-0 border border-border rounded-lg px-3 py-2 bg-background text-foreground text-sm focus:outline-none focus:ring-2 focus:ring-primary/40" value={form.guardianInfo?.hourlyRate ?? ''} onChange={(e)=>setField('guardianInfo.hourlyRate', e.target.value ? Number(e.target.value) : '')} disabled={!isAdmin} min="0" step="0.25" />
                     </div>
 
+                    <div>
+                      <label className="block text-xs font-medium text-muted-foreground mb-1">Billing currency</label>
+                      <select className="w-full min-w-0 border border-border rounded-lg px-3 py-2 bg-background text-foreground text-sm focus:outline-none focus:ring-2 focus:ring-primary/40" value={form.guardianInfo?.billingCurrency || 'USD'} onChange={(e)=>setField('guardianInfo.billingCurrency', e.target.value)} disabled={!isAdmin}>
+                        {['USD', 'EGP', 'EUR', 'GBP', 'SAR', 'AED', 'QAR'].map((code) => (
+                          <option key={code} value={code}>{code}</option>
+                        ))}
+                      </select>
+                      <p className="mt-1 text-[11px] text-muted-foreground">New invoices lock the exchange rate to USD when created. The hourly rate and transfer fee are charged as entered, in this currency.</p>
+                      {targetUser?.role === 'guardian' && (form.guardianInfo?.billingCurrency || 'USD') !== (targetUser.guardianInfo?.billingCurrency || 'USD') && (
+                        <p className="mt-1 text-[11px] text-amber-700">Currency changed: re-enter the hourly rate and transfer fee in {form.guardianInfo?.billingCurrency}.</p>
+                      )}
+                    </div>
+
+                    <div>
+                      <label className="block text-xs font-medium text-muted-foreground mb-1">Tax registration no.</label>
+                      <input className="w-full min-w-0 border border-border rounded-lg px-3 py-2 bg-background text-foreground text-sm focus:outline-none focus:ring-2 focus:ring-primary/40" value={form.guardianInfo?.taxRegistrationNumber || ''} onChange={(e)=>setField('guardianInfo.taxRegistrationNumber', e.target.value)} disabled={!isAdmin} placeholder="VAT / tax ID" />
+                      <p className="mt-1 text-[11px] text-muted-foreground">Printed on invoices; enables reverse charge where the tax rule allows it.</p>
+                    </div>
+
                     <div>
                       <label className="block text-xs font-medium text-muted-foreground mb-1">Instapay Name</label>
                       <input className="w-full min-w-0 border border-border rounded-lg px-3 py-2 bg-background text-foreground text-sm focus:outline-none focus:ring-2 focus:ring-primary/40" value={form.instapayName||''} onChange={(e)=>setField('instapayName', e.target.value)} disabled={!canEdit('instapayName')} />
@@ -1101,6 +1149,17 @@ export default function ProfileEditModal({ isOpen, targetUser, onClose, onSaved
                             />
                             <p className="mt-1 text-xs text-muted-foreground">Leave this empty if {currentYear} should use the future-years number.</p>
                           </div>
+                          <div>
+                            <label className="block text-xs font-medium text-muted-foreground mb-1">Max days carried over to next year</label>
+                            <input
+                              type="number"
+                              min="0"
+                              className="w-full min-w-0 border border-border rounded-lg px-3 py-2 bg-background text-foreground text-sm focus:outline-none focus:ring-2 focus:ring-primary/40"
+                              value={form.vacationAllowanceCarryOverMaxDays ?? ''}
+                              onChange={(e) => setField('vacationAllowanceCarryOverMaxDays', e.target.value === '' ? '' : Number(e.target.value))}
+                              placeholder="Leave empty to use the leave policy"
+                            />
+                          </div>
                         </div>
                       </div>
                     )}
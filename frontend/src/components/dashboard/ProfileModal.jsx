@@ -23,6 +23,7 @@ const EMAIL_PREF_LABELS = {
   teacherInvoice: 'Teacher invoice',
   invoiceCreated: 'Invoice created',
   invoiceSend: 'Invoice sent',
+  paymentReminder: 'Payment reminders',
   studentCreated: 'Student added',
   studentDeleted: 'Student removed',
   vacationGuardianNotice: 'Vacation notice',
@@ -0,0 +1,371 @@
+import React, { useState } from 'react';
+import { Eye, Loader2, Plus, X } from 'lucide-react';
+import { previewSeriesRule } from '../../api/classSeries';
+import {
+  MONTHLY_ORDINALS,
+  datesOnWeekdays,
+  describeRule,
+  formToRule,
+  formatExdate,
+} from '../../utils/recurrenceRule';
+
+const dayShortNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const FREQ_UNITS = { DAILY: 'day(s)', WEEKLY: 'week(s)', MONTHLY: 'month(s)' };
+
+const labelClass = 'mb-1 block text-[11px] font-semibold uppercase tracking-[0.14em] text-slate-500';
+const inputClass = 'rounded-lg border border-slate-200 bg-white px-2.5 py-1.5 text-sm text-slate-900 focus:border-sky-400 focus:outline-none focus:ring-2 focus:ring-sky-100';
+const chipClass = (active) => `rounded-full border px-2.5 py-1 text-xs font-semibold transition ${
+  active ? 'border-sky-300 bg-sky-50 text-sky-700' : 'border-slate-200 bg-white text-slate-500 hover:bg-slate-50'
+}`;
+const smallButtonClass = 'inline-flex items-center gap-1 rounded-lg border border-slate-200 bg-white px-2.5 py-1.5 text-xs font-semibold text-slate-700 hover:bg-slate-50 disabled:opacity-50';
+
+/**
+ * Editor for a series rule (RRULE) and its exceptions. Works on the form from
+ * utils/recurrenceRule (ruleToForm / formToRule); weekdays come from the
+ * series' time slots. `previewContext` is sent with the preview request:
+ * { patternId } for a saved series, or { recurrenceDetails, timezone, duration }.
+ */
+const RecurrenceRuleEditor = ({ value, onChange, slotDays = [], previewContext = {} }) => {
+  const [skipDate, setSkipDate] = useState('');
+  const [skipTime, setSkipTime] = useState('');
+  const [range, setRange] = useState({ from: '', to: '', weekdays: [] });
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState('');
+  const [previewing, setPreviewing] = useState(false);
+
+  const form = value;
+  const update = (patch) => {
+    setPreview(null);
+    onChange({ ...form, ...patch });
+  };
+  const days = Array.from(new Set(slotDays.map(Number))).filter((d) => d >= 0 && d <= 6).sort((a, b) => a - b);
+  const rrule = formToRule(form, days);
+
+  const addExdates = (list) => {
+    update({ exdates: Array.from(new Set([...(form.exdates || []), ...list])).sort() });
+  };
+
+  const runPreview = async () => {
+    setPreviewing(true);
+    setPreviewError('');
+    try {
+      const data = await previewSeriesRule({
+        ...previewContext,
+        rrule,
+        dtstart: form.dtstart || undefined,
+        exdates: form.exdates || [],
+        rdates: (form.rdates || []).filter((entry) => entry.date && entry.time),
+        limit: 12,
+      });
+      setPreview(data);
+    } catch (err) {
+      setPreview(null);
+      setPreviewError(err?.response?.data?.message || 'Could not preview this rule');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4 text-sm">
+      {/* Pattern */}
+      <div className="space-y-2">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <span className={labelClass}>Repeats</span>
+          <label className="inline-flex items-center gap-1.5 text-xs text-slate-500">
+            <input
+              type="checkbox"
+              checked={Boolean(form.custom)}
+              onChange={(e) => update({ custom: e.target.checked, raw: e.target.checked ? rrule : form.raw })}
+            />
+            Edit as RRULE
+          </label>
+        </div>
+
+        {form.custom ? (
+          <div>
+            <input
+              type="text"
+              value={form.raw}
+              onChange={(e) => update({ raw: e.target.value })}
+              placeholder="FREQ=MONTHLY;BYDAY=2SA,4SA"
+              className={`${inputClass} w-full font-mono text-xs`}
+            />
+            <p className="mt-1 text-[11px] text-slate-500">
+              RFC 5545 rule without time parts. Times still come from the slots; dates on weekdays without a slot use the first slot.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-2">
+              <select value={form.freq} onChange={(e) => update({ freq: e.target.value })} className={inputClass}>
+                <option value="DAILY">Daily</option>
+                <option value="WEEKLY">Weekly</option>
+                <option value="MONTHLY">Monthly</option>
+              </select>
+              <span className="text-slate-500">every</span>
+              <input
+                type="number"
+                min="1"
+                max="99"
+                value={form.interval}
+                onChange={(e) => update({ interval: e.target.value })}
+                className={`${inputClass} w-16`}
+              />
+              <span className="text-slate-500">{FREQ_UNITS[form.freq]}</span>
+              {form.freq === 'WEEKLY' && (
+                <span className="text-xs text-slate-500">
+                  on {days.length ? days.map((d) => dayShortNames[d]).join(', ') : 'the slot days'}
+                </span>
+              )}
+            </div>
+
+            {form.freq === 'MONTHLY' && (
+              <div className="space-y-2 rounded-lg border border-slate-200 bg-slate-50/70 p-2.5">
+                <label className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="radio"
+                    checked={form.monthlyMode !== 'day'}
+                    onChange={() => update({ monthlyMode: 'weekday' })}
+                  />
+                  <span className="text-slate-600">On the</span>
+                  {MONTHLY_ORDINALS.map((option) => {
+                    const active = (form.ordinals || []).includes(option.value);
+                    return (
+                      <button
+                        key={option.value}
+                        type="button"
+                        disabled={form.monthlyMode === 'day'}
+                        onClick={() => {
+                          const next = active
+                            ? form.ordinals.filter((n) => n !== option.value)
+                            : [...(form.ordinals || []), option.value];
+                          update({ ordinals: next.length ? next : [option.value] });
+                        }}
+                        className={chipClass(active && form.monthlyMode !== 'day')}
+                      >
+                        {option.label}
+                      </button>
+                    );
+                  })}
+                  <span className="text-slate-600">
+                    {days.length ? days.map((d) => dayShortNames[d]).join(' / ') : 'slot day'}
+                  </span>
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    checked={form.monthlyMode === 'day'}
+                    onChange={() => update({ monthlyMode: 'day' })}
+                  />
+                  <span className="text-slate-600">On day</span>
+                  <input
+                    type="number"
+                    min="1"
+                    max="31"
+                    value={form.monthDay}
+                    disabled={form.monthlyMode !== 'day'}
+                    onChange={(e) => update({ monthDay: e.target.value })}
+                    className={`${inputClass} w-16`}
+                  />
+                  <span className="text-slate-600">of the month</span>
+                </label>
+              </div>
+            )}
+
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-slate-500">Ends</span>
+              <select value={form.endMode} onChange={(e) => update({ endMode: e.target.value })} className={inputClass}>
+                <option value="never">Never</option>
+                <option value="until">On date</option>
+                <option value="count">After a number of sessions</option>
+              </select>
+              {form.endMode === 'until' && (
+                <input type="date" value={form.until} onChange={(e) => update({ until: e.target.value })} className={inputClass} />
+              )}
+              {form.endMode === 'count' && (
+                <>
+                  <input
+                    type="number"
+                    min="1"
+                    max="1000"
+                    value={form.count}
+                    onChange={(e) => update({ count: e.target.value })}
+                    className={`${inputClass} w-20`}
+                  />
+                  <span className="text-slate-500">sessions</span>
+                </>
+              )}
+            </div>
+          </>
+        )}
+
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-slate-500">Starts on</span>
+          <input type="date" value={form.dtstart || ''} onChange={(e) => update({ dtstart: e.target.value })} className={inputClass} />
+          {!form.dtstart && <span className="text-[11px] text-slate-400">today</span>}
+        </div>
+
+        <p className="text-xs font-medium text-slate-700">{describeRule(rrule)}</p>
+      </div>
+
+      {/* Skipped dates (EXDATE) */}
+      <div className="space-y-2">
+        <span className={labelClass}>Skipped dates</span>
+        {(form.exdates || []).length > 0 ? (
+          <div className="flex flex-wrap gap-1.5">
+            {form.exdates.map((entry) => (
+              <span key={entry} className="inline-flex items-center gap-1 rounded-full border border-slate-200 bg-white px-2 py-0.5 text-xs text-slate-600">
+                {formatExdate(entry)}
+                <button
+                  type="button"
+                  onClick={() => update({ exdates: form.exdates.filter((item) => item !== entry) })}
+                  className="text-slate-400 hover:text-rose-600"
+                  aria-label="Remove skipped date"
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        ) : (
+          <p className="text-xs text-slate-400">No skipped dates.</p>
+        )}
+        <div className="flex flex-wrap items-center gap-2">
+          <input type="date" value={skipDate} onChange={(e) => setSkipDate(e.target.value)} className={inputClass} />
+          <input
+            type="time"
+            value={skipTime}
+            onChange={(e) => setSkipTime(e.target.value)}
+            className={inputClass}
+            title="Only this slot (leave empty to skip the whole day)"
+          />
+          <button
+            type="button"
+            disabled={!skipDate}
+            onClick={() => {
+              addExdates([skipTime ? `${skipDate}T${skipTime}` : skipDate]);
+              setSkipDate('');
+              setSkipTime('');
+            }}
+            className={smallButtonClass}
+          >
+            <Plus className="h-3.5 w-3.5" />
+            Skip
+          </button>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 rounded-lg border border-dashed border-slate-200 p-2">
+          <span className="text-xs text-slate-500">Skip every</span>
+          {dayShortNames.map((name, day) => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => setRange((prev) => ({
+                ...prev,
+                weekdays: prev.weekdays.includes(day) ? prev.weekdays.filter((d) => d !== day) : [...prev.weekdays, day],
+              }))}
+              className={chipClass(range.weekdays.includes(day))}
+            >
+              {name}
+            </button>
+          ))}
+          <span className="text-xs text-slate-500">from</span>
+          <input type="date" value={range.from} onChange={(e) => setRange((prev) => ({ ...prev, from: e.target.value }))} className={inputClass} />
+          <span className="text-xs text-slate-500">to</span>
+          <input type="date" value={range.to} onChange={(e) => setRange((prev) => ({ ...prev, to: e.target.value }))} className={inputClass} />
+          <button
+            type="button"
+            disabled={!range.from || !range.to || !range.weekdays.length}
+            onClick={() => {
+              addExdates(datesOnWeekdays(range.from, range.to, range.weekdays));
+              setRange({ from: '', to: '', weekdays: [] });
+            }}
+            className={smallButtonClass}
+          >
+            Skip these days
+          </button>
+        </div>
+      </div>
+
+      {/* Extra sessions (RDATE) */}
+      <div className="space-y-2">
+        <span className={labelClass}>Extra sessions</span>
+        {(form.rdates || []).map((entry, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2">
+            <input
+              type="date"
+              value={entry.date || ''}
+              onChange={(e) => update({ rdates: form.rdates.map((item, i) => (i === index ? { ...item, date: e.target.value } : item)) })}
+              className={inputClass}
+            />
+            <input
+              type="time"
+              value={entry.time || ''}
+              onChange={(e) => update({ rdates: form.rdates.map((item, i) => (i === index ? { ...item, time: e.target.value } : item)) })}
+              className={inputClass}
+            />
+            <input
+              type="number"
+              min="15"
+              max="180"
+              value={entry.duration || ''}
+              placeholder="Minutes"
+              onChange={(e) => update({
+                rdates: form.rdates.map((item, i) => (i === index ? { ...item, duration: e.target.value === '' ? undefined : Number(e.target.value) } : item)),
+              })}
+              className={`${inputClass} w-24`}
+            />
+            <button
+              type="button"
+              onClick={() => update({ rdates: form.rdates.filter((_, i) => i !== index) })}
+              className="rounded-full p-1 text-slate-400 hover:bg-rose-50 hover:text-rose-600"
+              aria-label="Remove extra session"
+            >
+              <X className="h-3.5 w-3.5" />
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => update({ rdates: [...(form.rdates || []), { date: '', time: '' }] })}
+          className={smallButtonClass}
+        >
+          <Plus className="h-3.5 w-3.5" />
+          Add extra session
+        </button>
+      </div>
+
+      {/* Preview */}
+      <div className="space-y-2">
+        <button type="button" onClick={runPreview} disabled={previewing || !rrule} className={smallButtonClass}>
+          {previewing ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Eye className="h-3.5 w-3.5" />}
+          Preview next sessions
+        </button>
+        {previewError && (
+          <div className="rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-xs text-rose-700">{previewError}</div>
+        )}
+        {preview && (
+          <div className="rounded-lg border border-slate-200 bg-white">
+            {preview.occurrences.length === 0 ? (
+              <p className="px-3 py-2 text-xs text-slate-500">This rule produces no upcoming sessions.</p>
+            ) : (
+              <ul className="divide-y divide-slate-100 text-xs">
+                {preview.occurrences.map((occ) => (
+                  <li key={`${occ.date}T${occ.time}`} className="flex items-center justify-between gap-2 px-3 py-1.5">
+                    <span className="text-slate-700">{formatExdate(`${occ.date}T${occ.time}`)}</span>
+                    <span className="text-slate-400">
+                      {occ.duration} min · {String(occ.timezone || '').replace(/_/g, ' ')}
+                      {occ.source === 'rdate' ? ' · extra' : ''}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecurrenceRuleEditor;
@@ -0,0 +1,95 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Loader2, Repeat, X } from "lucide-react";
+import RecurrenceRuleEditor from "./RecurrenceRuleEditor";
+import { updateSeriesRule } from "../../api/classSeries";
+import { formToRule, ruleToForm } from "../../utils/recurrenceRule";
+
+const slotDaysOf = (item) => (Array.isArray(item?.recurrenceDetails) ? item.recurrenceDetails : [])
+  .map((slot) => Number(slot?.dayOfWeek))
+  .filter((day) => Number.isInteger(day) && day >= 0 && day <= 6);
+
+/* Edit the rule and exception dates of an existing series (from the Series Scanner). */
+export default function SeriesRuleModal({ isOpen, series, onClose, onSaved }) {
+  const slotDays = useMemo(() => slotDaysOf(series), [series]);
+  const [form, setForm] = useState(() => ruleToForm(series?.seriesRule, slotDays));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setForm(ruleToForm(series?.seriesRule, slotDays));
+    setError("");
+  }, [isOpen, series, slotDays]);
+
+  if (!isOpen || !series) return null;
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError("");
+    try {
+      const result = await updateSeriesRule(series._id, {
+        rrule: formToRule(form, slotDays),
+        dtstart: form.dtstart || undefined,
+        exdates: form.exdates || [],
+        rdates: (form.rdates || []).filter((entry) => entry.date && entry.time),
+      });
+      onSaved?.(result);
+      onClose?.();
+    } catch (err) {
+      setError(err?.response?.data?.message || "Failed to save the series rule");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/40 p-4 backdrop-blur-sm">
+      <div className="flex w-full max-w-2xl flex-col rounded-2xl border border-gray-100 bg-white shadow-2xl" style={{ maxHeight: "90vh" }}>
+        <div className="flex items-start justify-between gap-4 border-b border-gray-100 px-6 py-4">
+          <div className="min-w-0">
+            <h3 className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+              <Repeat className="h-4 w-4 text-gray-400" />
+              Rule &amp; exceptions
+            </h3>
+            <p className="mt-0.5 truncate text-xs text-gray-500">
+              {series?.subject || series?.title || "Series"} · {series?.student?.studentName || "—"}
+            </p>
+          </div>
+          <button type="button" onClick={onClose} className="rounded-full border border-gray-200 p-2 text-gray-400 hover:bg-gray-100 hover:text-gray-600" aria-label="Close">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto px-6 py-4">
+          <RecurrenceRuleEditor
+            value={form}
+            onChange={setForm}
+            slotDays={slotDays}
+            previewContext={{ patternId: series._id }}
+          />
+          <p className="mt-4 text-[11px] text-gray-400">
+            Saving cancels upcoming scheduled classes the rule no longer produces (they stay in history) and creates the missing ones.
+          </p>
+          {error && (
+            <div className="mt-3 rounded-lg border border-red-200 bg-red-50 px-4 py-2.5 text-xs text-red-700">{error}</div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 border-t border-gray-100 px-6 py-3">
+          <button type="button" onClick={onClose} className="rounded-lg border border-gray-200 px-3.5 py-1.5 text-xs font-medium text-gray-600 hover:bg-gray-50">
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            className="inline-flex items-center gap-1.5 rounded-lg bg-primary px-3.5 py-1.5 text-xs font-medium text-white shadow-sm hover:bg-primary/90 disabled:cursor-not-allowed disabled:opacity-50"
+          >
+            {saving && <Loader2 className="h-3.5 w-3.5 animate-spin" />}
+            Save rule
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,7 @@
 import React, { useMemo, useState } from "react";
-import { X, Search, Pencil, Trash2, RotateCcw, AlertCircle, ChevronDown, Power, PowerOff } from "lucide-react";
+import { X, Search, Pencil, Trash2, RotateCcw, AlertCircle, ChevronDown, Power, PowerOff, Repeat } from "lucide-react";
+import SeriesRuleModal from "./SeriesRuleModal";
+import { describeRule } from "../../utils/recurrenceRule";
 
 const normalize = (value) => String(value || "").toLowerCase().trim();
 
@@ -71,7 +73,7 @@ function FilterDropdown({ value, onChange, options, placeholder }) {
 }
 
 /* ---- series row ---- */
-function SeriesRow({ item, onEdit, onDelete, onRecreate, recreatingId, showRecreate, onDeactivate, onReactivate, deactivatingId, isActive }) {
+function SeriesRow({ item, onEdit, onEditRule, onDelete, onRecreate, recreatingId, showRecreate, onDeactivate, onReactivate, deactivatingId, isActive }) {
   const teacher = item?.teacher;
   const guardian = item?.student?.guardianId;
   const futureActive = item?.instanceCounts?.futureActive ?? 0;
@@ -80,6 +82,9 @@ function SeriesRow({ item, onEdit, onDelete, onRecreate, recreatingId, showRecre
   const isDeactivated = Boolean(item?.deactivated);
   const isRecreating = Boolean(recreatingId) && String(recreatingId) === String(item?._id);
   const isDeactivating = Boolean(deactivatingId) && String(deactivatingId) === String(item?._id);
+  const rule = item?.seriesRule;
+  const skipped = rule?.exdates?.length || 0;
+  const extra = rule?.rdates?.length || 0;
 
   return (
     <tr className="hover:bg-gray-50/60 transition-colors">
@@ -93,6 +98,17 @@ function SeriesRow({ item, onEdit, onDelete, onRecreate, recreatingId, showRecre
             </span>
           )}
         </div>
+        {rule && (
+          <div className="mt-0.5 text-xs text-gray-500">
+            {describeRule(rule.rrule)}
+            {(skipped > 0 || extra > 0) && (
+              <span className="text-gray-400">
+                {skipped > 0 ? ` · ${skipped} skipped` : ""}
+                {extra > 0 ? ` · ${extra} extra` : ""}
+              </span>
+            )}
+          </div>
+        )}
         <div className="mt-0.5 font-mono text-[10px] text-gray-400">{item?._id}</div>
       </td>
       <td className="px-4 py-3 text-sm text-gray-700">
@@ -126,6 +142,9 @@ function SeriesRow({ item, onEdit, onDelete, onRecreate, recreatingId, showRecre
           <button type="button" onClick={() => onEdit?.(item)} className="rounded-full border border-gray-200 p-1.5 text-gray-500 hover:bg-gray-100" title="Edit series">
             <Pencil className="h-3.5 w-3.5" />
           </button>
+          <button type="button" onClick={() => onEditRule?.(item)} className="rounded-full border border-gray-200 p-1.5 text-gray-500 hover:bg-gray-100" title="Rule & exceptions">
+            <Repeat className="h-3.5 w-3.5" />
+          </button>
           {isActive && (
             <button type="button" onClick={() => onDeactivate?.(item)} disabled={isDeactivating} className="rounded-full border border-gray-200 p-1.5 text-amber-600 hover:bg-amber-50 disabled:cursor-not-allowed disabled:opacity-50" title="Deactivate series (cancel upcoming classes, keep history)">
               <PowerOff className={`h-3.5 w-3.5 ${isDeactivating ? "animate-pulse" : ""}`} />
@@ -169,8 +188,10 @@ export default function SeriesScannerModal({
   onDeactivate,
   onReactivate,
   deactivatingId,
+  onRuleSaved,
 }) {
   const [tab, setTab] = useState("active"); // "active" | "inactive"
+  const [ruleSeries, setRuleSeries] = useState(null);
   const [teacherFilter, setTeacherFilter] = useState("all");
   const [guardianFilter, setGuardianFilter] = useState("all");
 
@@ -378,6 +399,7 @@ export default function SeriesScannerModal({
                     key={item?._id}
                     item={item}
                     onEdit={onEdit}
+                    onEditRule={setRuleSeries}
                     onDelete={onDelete}
                     onRecreate={onRecreate}
                     recreatingId={recreatingId}
@@ -393,6 +415,13 @@ export default function SeriesScannerModal({
           </table>
         </div>
       </div>
+
+      <SeriesRuleModal
+        isOpen={Boolean(ruleSeries)}
+        series={ruleSeries}
+        onClose={() => setRuleSeries(null)}
+        onSaved={onRuleSaved}
+      />
     </div>
   );
 }
@@ -1,7 +1,8 @@
-import React, { useEffect, useMemo, useState } from 'react';
-import { Archive, CheckCircle2, ChevronDown, ChevronUp, Circle, Clock3, Copy, RotateCcw, UserPlus, Users } from 'lucide-react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Archive, CheckCircle2, ChevronDown, ChevronUp, Circle, Clock3, Copy, RotateCcw, Sparkles, UserPlus, Users } from 'lucide-react';
 import moment from 'moment-timezone';
-import { archiveRegistrationLead, convertRegistrationLead, listRegistrationLeads, updateLeadOnboarding } from '../../../api/leads';
+import { archiveRegistrationLead, convertRegistrationLead, getLeadTeacherRecommendations, listRegistrationLeads, updateLeadOnboarding } from '../../../api/leads';
+import TeacherRecommendationsPanel from './TeacherRecommendationsPanel';
 import { getBrowserTimezone } from '../../../utils/timezoneUtils';
 import { makeCacheKey, readCache, writeCache } from '../../../utils/sessionCache';
 import { useSearch } from '../../../contexts/SearchContext';
@@ -60,6 +61,7 @@ export default function RegistrationLeadsPanel() {
   const [error, setError] = useState('');
   const [expandedId, setExpandedId] = useState('');
   const [convertingId, setConvertingId] = useState('');
+  const [matchingKey, setMatchingKey] = useState('');
   const [archivingId, setArchivingId] = useState('');
   const [message, setMessage] = useState('');
 
@@ -279,7 +281,18 @@ export default function RegistrationLeadsPanel() {
                       <div className="grid gap-4 lg:grid-cols-2">
                         {(lead.students || []).map((student, index) => (
                           <div key={`${lead._id}-${index}`} className="rounded-2xl bg-slate-50 p-4 text-sm text-slate-700">
-                            <div className="flex items-center gap-2 font-semibold text-slate-900"><Users className="h-4 w-4 text-primary" />{student.firstName} {student.lastName}</div>
+                            <div className="flex items-center justify-between gap-2">
+                              <div className="flex items-center gap-2 font-semibold text-slate-900"><Users className="h-4 w-4 text-primary" />{student.firstName} {student.lastName}</div>
+                              {lead.status !== 'archived' ? (
+                                <button
+                                  type="button"
+                                  onClick={() => setMatchingKey(matchingKey === `${lead._id}:${index}` ? '' : `${lead._id}:${index}`)}
+                                  className="inline-flex items-center gap-1 rounded-full border border-primary/20 bg-white px-3 py-1 text-xs font-semibold text-primary"
+                                >
+                                  <Sparkles className="h-3.5 w-3.5" /> {matchingKey === `${lead._id}:${index}` ? 'Hide matches' : 'Find teacher'}
+                                </button>
+                              ) : null}
+                            </div>
                             <div className="mt-3 flex flex-wrap gap-2">
                               {(student.courses || []).map((course) => <span key={`${lead._id}-${index}-${course}`} className="rounded-full bg-primary/10 px-3 py-1 text-xs font-semibold text-primary ring-1 ring-primary/10">{course}</span>)}
                               {student.classesPerWeek ? <span className={`rounded-full px-3 py-1 text-xs font-semibold ${infoPillTone.accent}`}>{student.classesPerWeek}/week</span> : null}
@@ -299,6 +312,16 @@ export default function RegistrationLeadsPanel() {
                           </div>
                         ))}
                       </div>
+                      {matchingKey.startsWith(`${lead._id}:`) ? (
+                        <div className="mt-4">
+                          <LeadTeacherMatches
+                            key={matchingKey}
+                            leadId={lead._id}
+                            studentIndex={Number(matchingKey.split(':')[1])}
+                            onClassCreated={() => handleOnboardingToggle(lead._id, 'classScheduled', true)}
+                          />
+                        </div>
+                      ) : null}
                     </div>
 
                     <div className="rounded-2xl border border-slate-200 bg-slate-50 p-4 text-sm text-slate-700">
@@ -350,6 +373,11 @@ export default function RegistrationLeadsPanel() {
   );
 }
 
+function LeadTeacherMatches({ leadId, studentIndex, onClassCreated }) {
+  const load = useCallback(() => getLeadTeacherRecommendations(leadId, studentIndex), [leadId, studentIndex]);
+  return <TeacherRecommendationsPanel load={load} onClassCreated={onClassCreated} />;
+}
+
 /* ─── Per-lead onboarding funnel ─────────────────────────────────────────
    Visualises the journey from registration → first class and offers a
    ready-to-send, timezone-aware message for each step. */
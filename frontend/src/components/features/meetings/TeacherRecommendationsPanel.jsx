@@ -0,0 +1,154 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CalendarPlus, ChevronDown, ChevronUp, RefreshCcw } from 'lucide-react';
+import api from '../../../api/axios';
+
+const DAY_SHORT = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const FACTOR_LABELS = {
+  availability: 'Availability',
+  subject: 'Subject',
+  age: 'Age preference',
+  gender: 'Teacher gender',
+  load: 'Current load',
+  language: 'Language',
+  performance: 'Performance',
+};
+
+const scoreTone = (score) => {
+  if (score >= 75) return 'bg-emerald-50 text-emerald-700 ring-emerald-200';
+  if (score >= 50) return 'bg-amber-50 text-amber-700 ring-amber-200';
+  return 'bg-red-50 text-red-700 ring-red-200';
+};
+
+const describeSlots = (slots = []) => slots
+  .map((slot) => `${DAY_SHORT[slot.dayOfWeek] || '?'} ${slot.time} (${slot.duration}m)`)
+  .join(', ');
+
+/**
+ * Ranked teacher recommendations for a new student. `load` returns the API
+ * payload (lead or evaluation flavour). When the student already has a
+ * guardian account, a match's classDraft can be posted straight to
+ * POST /classes to create the weekly series.
+ */
+export default function TeacherRecommendationsPanel({ load, onClassCreated, limit = 8 }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [expandedId, setExpandedId] = useState('');
+  const [creatingId, setCreatingId] = useState('');
+  const [createMessage, setCreateMessage] = useState('');
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setData(await load());
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to rank teachers');
+    } finally {
+      setLoading(false);
+    }
+  }, [load]);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  const handleCreate = async (rec) => {
+    if (!rec?.classDraft) return;
+    setCreatingId(rec.teacher._id);
+    setCreateMessage('');
+    setError('');
+    try {
+      await api.post('/classes', rec.classDraft);
+      setCreateMessage(`Weekly classes created with ${rec.teacher.name} (${describeSlots(rec.matchedSlots)}).`);
+      if (onClassCreated) onClassCreated(rec);
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to create classes');
+    } finally {
+      setCreatingId('');
+    }
+  };
+
+  const recommendations = (data?.recommendations || []).slice(0, limit);
+  const top = recommendations.find((rec) => rec.eligible && rec.classDraft);
+
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4 text-sm text-slate-700">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+        <p className="text-xs font-semibold uppercase tracking-wide text-slate-400">Recommended teachers</p>
+        <div className="flex items-center gap-2">
+          {top ? (
+            <button
+              type="button"
+              onClick={() => handleCreate(top)}
+              disabled={Boolean(creatingId)}
+              className="inline-flex items-center gap-2 rounded-full bg-primary px-3 py-1.5 text-xs font-semibold text-white shadow-sm disabled:opacity-60"
+            >
+              <CalendarPlus className="h-3.5 w-3.5" />
+              {creatingId === top.teacher._id ? 'Creating…' : `Create classes with ${top.teacher.name}`}
+            </button>
+          ) : null}
+          <button type="button" onClick={refresh} disabled={loading} className="inline-flex items-center gap-1 rounded-full border border-slate-200 px-3 py-1.5 text-xs font-semibold text-slate-600 disabled:opacity-60">
+            <RefreshCcw className="h-3.5 w-3.5" /> Refresh
+          </button>
+        </div>
+      </div>
+
+      {data?.student && !data.student.canCreateClass ? (
+        <p className="mb-3 rounded-xl bg-slate-50 px-3 py-2 text-xs text-slate-500">Turn the lead into a guardian account to create classes from a match.</p>
+      ) : null}
+      {createMessage ? <p className="mb-3 rounded-xl bg-emerald-50 px-3 py-2 text-xs text-emerald-700">{createMessage}</p> : null}
+      {error ? <p className="mb-3 rounded-xl bg-red-50 px-3 py-2 text-xs text-red-700">{error}</p> : null}
+      {loading && !data ? <p className="text-xs text-slate-500">Scoring teachers…</p> : null}
+
+      <div className="space-y-2">
+        {recommendations.map((rec, index) => {
+          const isOpen = expandedId === rec.teacher._id;
+          return (
+            <div key={rec.teacher._id} className={`rounded-xl border px-3 py-2 ${rec.eligible ? 'border-slate-200' : 'border-slate-100 opacity-70'}`}>
+              <button type="button" onClick={() => setExpandedId(isOpen ? '' : rec.teacher._id)} className="flex w-full items-center justify-between gap-3 text-left">
+                <div className="flex min-w-0 items-center gap-3">
+                  <span className="w-5 text-xs font-semibold text-slate-400">{index + 1}</span>
+                  <span className={`rounded-full px-2.5 py-1 text-xs font-semibold ring-1 ${scoreTone(rec.score)}`}>{rec.score}</span>
+                  <div className="min-w-0">
+                    <p className="truncate font-semibold text-slate-900">{rec.teacher.name}</p>
+                    <p className="truncate text-xs text-slate-500">
+                      {rec.matchedSlots.length ? describeSlots(rec.matchedSlots) : 'No requested slot free'}
+                      {rec.blockers.length ? ` · ${rec.blockers.join(', ')}` : ''}
+                    </p>
+                  </div>
+                </div>
+                {isOpen ? <ChevronUp className="h-4 w-4 text-slate-400" /> : <ChevronDown className="h-4 w-4 text-slate-400" />}
+              </button>
+
+              {isOpen ? (
+                <div className="mt-2 space-y-1 border-t border-slate-100 pt-2">
+                  {rec.explanation.map((item) => (
+                    <div key={item.factor} className="flex items-start gap-2 text-xs">
+                      <span className="w-28 flex-shrink-0 font-medium text-slate-600">{FACTOR_LABELS[item.factor] || item.factor}</span>
+                      <span className="w-10 flex-shrink-0 text-slate-900">{item.score === null ? '—' : item.score}</span>
+                      <span className="text-slate-500">{item.detail}</span>
+                    </div>
+                  ))}
+                  {rec.classDraft ? (
+                    <div className="flex justify-end pt-1">
+                      <button
+                        type="button"
+                        onClick={() => handleCreate(rec)}
+                        disabled={Boolean(creatingId)}
+                        className="inline-flex items-center gap-1 rounded-full border border-primary/30 px-3 py-1 text-xs font-semibold text-primary disabled:opacity-60"
+                      >
+                        <CalendarPlus className="h-3.5 w-3.5" />
+                        {creatingId === rec.teacher._id ? 'Creating…' : 'Create classes'}
+                      </button>
+                    </div>
+                  ) : null}
+                </div>
+              ) : null}
+            </div>
+          );
+        })}
+        {data && !recommendations.length ? <p className="text-xs text-slate-500">No active teachers to rank.</p> : null}
+      </div>
+    </div>
+  );
+}
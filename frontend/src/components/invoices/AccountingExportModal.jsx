@@ -0,0 +1,428 @@
+import { useCallback, useEffect, useState } from 'react';
+import { AlertTriangle, BookOpen, Download, RefreshCw, X } from 'lucide-react';
+import api from '../../api/axios';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+const inputClass = 'rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-sm text-slate-900 focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200';
+const labelClass = 'text-[11px] font-semibold uppercase tracking-wide text-slate-400';
+
+const FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'xero', label: 'Xero' },
+  { id: 'quickbooks', label: 'QuickBooks' }
+];
+
+const ACCOUNT_LABELS = {
+  bank: 'Bank',
+  paypal: 'PayPal',
+  cardClearing: 'Card clearing',
+  cash: 'Cash',
+  accountsReceivable: 'Receivables',
+  salariesPayable: 'Salaries payable',
+  teacherTransferFees: 'Teacher transfer fees',
+  taxPayable: 'Tax payable',
+  tipsPayable: 'Tips payable',
+  tuitionRevenue: 'Tuition revenue',
+  transferFeeIncome: 'Transfer fee income',
+  lateFeeIncome: 'Late fees',
+  discounts: 'Discounts',
+  salaryExpense: 'Salary expense',
+  bonusExpense: 'Bonus expense',
+  extrasExpense: 'Extras expense',
+  rounding: 'Rounding'
+};
+
+const formatMoney = (value) => {
+  const numeric = Number(value) || 0;
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(numeric);
+};
+
+const formatDay = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '—');
+
+const lastMonth = () => {
+  const now = new Date();
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Double-entry journal exports for finance: preview a month, lock it as an
+ * export, download it for the accounting system, and re-check locked periods
+ * for invoices edited after the export. The chart of accounts is editable here.
+ */
+const AccountingExportModal = ({ open, onClose }) => {
+  const [tab, setTab] = useState('exports');
+  const [month, setMonth] = useState(lastMonth());
+  const [preview, setPreview] = useState(null);
+  const [exports, setExports] = useState([]);
+  const [chart, setChart] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const periodParams = () => {
+    const [year, mon] = month.split('-');
+    return { year: Number(year), month: Number(mon) };
+  };
+
+  const loadExports = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.get('/accounting/exports', { params: { limit: 50 } });
+      setExports(Array.isArray(res.data?.exports) ? res.data.exports : []);
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to load journal exports');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadChart = useCallback(async () => {
+    try {
+      const res = await api.get('/accounting/chart');
+      setChart(res.data?.chart || null);
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to load chart of accounts');
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!open) return;
+    loadExports();
+    loadChart();
+  }, [open, loadExports, loadChart]);
+
+  const run = async (key, fn) => {
+    setBusy(key);
+    setError('');
+    setMessage('');
+    try {
+      await fn();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Request failed');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handlePreview = () => run('preview', async () => {
+    const res = await api.get('/accounting/journal/preview', { params: periodParams() });
+    setPreview(res.data?.preview || null);
+  });
+
+  const handleCreate = () => run('create', async () => {
+    await api.post('/accounting/exports', periodParams());
+    setPreview(null);
+    setMessage('Journal exported and period locked.');
+    await loadExports();
+  });
+
+  const handleDownload = (item, format) => run(`${item._id}:${format}`, async () => {
+    const res = await api.get(`/accounting/exports/${item._id}/download`, { params: { format }, responseType: 'blob' });
+    const disposition = res.headers?.['content-disposition'] || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const url = URL.createObjectURL(res.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : `journal-${format}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  });
+
+  const handleCheck = (item) => run(`${item._id}:check`, async () => {
+    const res = await api.post(`/accounting/exports/${item._id}/check`);
+    const drift = res.data?.drift;
+    setExports((prev) => prev.map((row) => (row._id === item._id ? { ...row, drift } : row)));
+    setMessage(drift?.count ? `${drift.count} document(s) changed since ${item.label} was exported.` : `${item.label} still matches the books.`);
+  });
+
+  const handleVoid = (item) => {
+    const reason = window.prompt(`Void the export "${item.label}"? The period can then be exported again.\n\nReason:`);
+    if (reason === null) return;
+    run(`${item._id}:void`, async () => {
+      await api.post(`/accounting/exports/${item._id}/void`, { reason });
+      await loadExports();
+    });
+  };
+
+  const handleSaveChart = () => run('chart', async () => {
+    const res = await api.put('/accounting/chart', chart);
+    setChart(res.data?.chart || chart);
+    setMessage('Chart of accounts saved. It applies to new exports only.');
+  });
+
+  const updateAccount = (key, field, value) => {
+    setChart((prev) => ({
+      ...prev,
+      accounts: { ...prev.accounts, [key]: { ...prev.accounts[key], [field]: value } }
+    }));
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/50 backdrop-blur-sm">
+      <div className="relative flex max-h-[90vh] w-full max-w-5xl flex-col rounded-3xl bg-white shadow-2xl">
+        <button
+          type="button"
+          onClick={onClose}
+          className="absolute right-4 top-4 inline-flex h-9 w-9 items-center justify-center rounded-full border border-slate-200 text-slate-500 transition hover:border-slate-300 hover:text-slate-900"
+          aria-label="Close accounting export"
+        >
+          <X className="h-4 w-4" />
+        </button>
+
+        <div className="px-6 py-5">
+          <h2 className="flex items-center gap-2 text-xl font-semibold text-slate-900">
+            <BookOpen className="h-5 w-5 text-slate-500" /> Accounting journal export
+          </h2>
+          <p className="mt-1 text-sm text-slate-500">
+            Guardian invoices, payments, credit notes and teacher salaries as balanced journal entries in USD. Exported periods are locked; later edits are flagged.
+          </p>
+          <div className="mt-4 flex gap-2">
+            {[{ id: 'exports', label: 'Exports' }, { id: 'chart', label: 'Chart of accounts' }].map((item) => (
+              <button
+                key={item.id}
+                type="button"
+                onClick={() => setTab(item.id)}
+                className={`rounded-full px-3 py-1 text-xs font-semibold ${tab === item.id ? 'bg-slate-900 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'}`}
+              >
+                {item.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex-1 space-y-4 overflow-y-auto border-t border-slate-100 px-6 pb-6 pt-4">
+          {error && <div className="rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-700">{error}</div>}
+          {message && <div className="rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-700">{message}</div>}
+
+          {tab === 'exports' && (
+            <>
+              <section className="flex flex-wrap items-end gap-3 rounded-2xl border border-slate-200 p-4">
+                <label className="flex flex-col gap-1">
+                  <span className={labelClass}>Period</span>
+                  <input type="month" className={inputClass} value={month} onChange={(e) => { setMonth(e.target.value); setPreview(null); }} />
+                </label>
+                <button
+                  type="button"
+                  onClick={handlePreview}
+                  disabled={Boolean(busy) || !month}
+                  className="rounded-full border border-slate-200 px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+                >
+                  {busy === 'preview' ? 'Building…' : 'Preview'}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleCreate}
+                  disabled={Boolean(busy) || !month}
+                  className="rounded-full bg-slate-900 px-4 py-2 text-sm font-semibold text-white hover:bg-slate-800 disabled:opacity-50"
+                >
+                  {busy === 'create' ? 'Exporting…' : 'Export & lock period'}
+                </button>
+              </section>
+
+              {preview && (
+                <section className="rounded-2xl border border-slate-200 p-4">
+                  <p className="text-sm text-slate-600">
+                    {preview.totals.entries} entries from {preview.documentCount} documents · debits {formatMoney(preview.totals.debit)} · credits {formatMoney(preview.totals.credit)}
+                  </p>
+                  {preview.problems?.length > 0 && (
+                    <div className="mt-3 rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800">
+                      <div className="flex items-center gap-1 font-semibold">
+                        <AlertTriangle className="h-3.5 w-3.5" /> {preview.problems.length} document(s) can't be posted — fix them before exporting
+                      </div>
+                      <ul className="mt-1 list-disc space-y-0.5 pl-5">
+                        {preview.problems.map((problem) => (
+                          <li key={`${problem.kind}:${problem.ref}`}>{problem.message}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                  <table className="mt-3 w-full text-left text-xs">
+                    <thead className="text-slate-400">
+                      <tr>
+                        <th className="py-1">Account</th>
+                        <th className="py-1 text-right">Debit</th>
+                        <th className="py-1 text-right">Credit</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-100">
+                      {preview.accounts.map((row) => (
+                        <tr key={row.accountKey}>
+                          <td className="py-1 text-slate-700">{row.accountCode} · {row.accountName}</td>
+                          <td className="py-1 text-right text-slate-700">{row.debit ? formatMoney(row.debit) : ''}</td>
+                          <td className="py-1 text-right text-slate-700">{row.credit ? formatMoney(row.credit) : ''}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </section>
+              )}
+
+              {loading ? (
+                <div className="flex justify-center py-8"><LoadingSpinner /></div>
+              ) : exports.length === 0 ? (
+                <p className="py-6 text-center text-sm text-slate-500">No journal exports yet.</p>
+              ) : (
+                <div className="space-y-2">
+                  {exports.map((item) => {
+                    const voided = item.status === 'voided';
+                    return (
+                      <div key={item._id} className="rounded-2xl border border-slate-200 px-4 py-3">
+                        <div className="flex flex-wrap items-center justify-between gap-2">
+                          <div className="min-w-0">
+                            <div className="flex items-center gap-2 text-sm font-semibold text-slate-900">
+                              <span className={voided ? 'line-through text-slate-400' : ''}>{item.label}</span>
+                              {voided && <span className="rounded bg-slate-100 px-1.5 py-0.5 text-[10px] font-medium text-slate-500">voided</span>}
+                              {!voided && item.drift?.count > 0 && (
+                                <span className="inline-flex items-center gap-1 rounded bg-amber-50 px-1.5 py-0.5 text-[10px] font-medium text-amber-700">
+                                  <AlertTriangle className="h-3 w-3" /> {item.drift.count} changed
+                                </span>
+                              )}
+                            </div>
+                            <div className="mt-0.5 text-[11px] text-slate-500">
+                              {item.totals?.entries || 0} entries · {formatMoney(item.totals?.debit)} · exported {formatDay(item.createdAt)}
+                              {item.drift?.checkedAt ? ` · checked ${formatDay(item.drift.checkedAt)}` : ''}
+                            </div>
+                          </div>
+                          <div className="flex flex-wrap items-center gap-1">
+                            {FORMATS.map((format) => (
+                              <button
+                                key={format.id}
+                                type="button"
+                                onClick={() => handleDownload(item, format.id)}
+                                disabled={Boolean(busy)}
+                                className="inline-flex items-center gap-1 rounded bg-slate-100 px-2 py-1 text-[10px] font-semibold text-slate-600 hover:bg-slate-200 disabled:opacity-50"
+                              >
+                                <Download className="h-3 w-3" /> {format.label}
+                              </button>
+                            ))}
+                            {!voided && (
+                              <>
+                                <button
+                                  type="button"
+                                  onClick={() => handleCheck(item)}
+                                  disabled={Boolean(busy)}
+                                  className="inline-flex items-center gap-1 rounded bg-slate-100 px-2 py-1 text-[10px] font-semibold text-slate-600 hover:bg-slate-200 disabled:opacity-50"
+                                >
+                                  <RefreshCw className={`h-3 w-3 ${busy === `${item._id}:check` ? 'animate-spin' : ''}`} /> Check edits
+                                </button>
+                                <button
+                                  type="button"
+                                  onClick={() => handleVoid(item)}
+                                  disabled={Boolean(busy)}
+                                  className="inline-flex items-center rounded bg-rose-50 px-2 py-1 text-[10px] font-semibold text-rose-700 hover:bg-rose-100 disabled:opacity-50"
+                                >
+                                  Void
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        </div>
+                        {!voided && item.drift?.items?.length > 0 && (
+                          <div className="mt-2 flex flex-wrap gap-1">
+                            {item.drift.items.map((drift) => (
+                              <span key={`${drift.kind}:${drift.ref}`} className="rounded bg-amber-50 px-1.5 py-0.5 text-[10px] text-amber-800">
+                                {drift.number || drift.kind} · {drift.change}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </>
+          )}
+
+          {tab === 'chart' && chart && (
+            <section className="space-y-3">
+              <div className="grid gap-2 sm:grid-cols-2">
+                {Object.entries(chart.accounts).map(([key, account]) => (
+                  <div key={key} className="flex items-center gap-2 rounded-xl border border-slate-200 px-3 py-2">
+                    <span className="w-36 shrink-0 text-xs font-medium text-slate-500">{ACCOUNT_LABELS[key] || key}</span>
+                    <input
+                      className={`${inputClass} w-20`}
+                      value={account.code}
+                      onChange={(e) => updateAccount(key, 'code', e.target.value)}
+                      aria-label={`${key} code`}
+                    />
+                    <input
+                      className={`${inputClass} min-w-0 flex-1`}
+                      value={account.name}
+                      onChange={(e) => updateAccount(key, 'name', e.target.value)}
+                      aria-label={`${key} name`}
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="grid gap-2 sm:grid-cols-3">
+                {Object.entries(chart.paymentAccounts).map(([method, accountKey]) => (
+                  <label key={method} className="flex flex-col gap-1">
+                    <span className={labelClass}>{method.replace(/_/g, ' ')} payments</span>
+                    <select
+                      className={inputClass}
+                      value={accountKey}
+                      onChange={(e) => setChart((prev) => ({ ...prev, paymentAccounts: { ...prev.paymentAccounts, [method]: e.target.value } }))}
+                    >
+                      {Object.keys(chart.accounts).map((key) => (
+                        <option key={key} value={key}>{chart.accounts[key].code} · {chart.accounts[key].name}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+                <label className="flex flex-col gap-1">
+                  <span className={labelClass}>Refunds paid from</span>
+                  <select
+                    className={inputClass}
+                    value={chart.refundAccount}
+                    onChange={(e) => setChart((prev) => ({ ...prev, refundAccount: e.target.value }))}
+                  >
+                    {Object.keys(chart.accounts).map((key) => (
+                      <option key={key} value={key}>{chart.accounts[key].code} · {chart.accounts[key].name}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="flex flex-col gap-1">
+                  <span className={labelClass}>Xero tax rate</span>
+                  <input
+                    className={inputClass}
+                    value={chart.xeroTaxRate}
+                    onChange={(e) => setChart((prev) => ({ ...prev, xeroTaxRate: e.target.value }))}
+                  />
+                </label>
+              </div>
+              <div className="flex justify-end">
+                <button
+                  type="button"
+                  onClick={handleSaveChart}
+                  disabled={Boolean(busy)}
+                  className="rounded-full bg-slate-900 px-4 py-2 text-sm font-semibold text-white hover:bg-slate-800 disabled:opacity-50"
+                >
+                  {busy === 'chart' ? 'Saving…' : 'Save chart'}
+                </button>
+              </div>
+            </section>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 border-t border-slate-100 px-6 py-4">
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-full border border-slate-200 px-4 py-2 text-sm text-slate-600 hover:bg-slate-50"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccountingExportModal;
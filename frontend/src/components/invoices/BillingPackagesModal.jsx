@@ -0,0 +1,405 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Archive, Package, Pencil, Plus, Trash2, X } from 'lucide-react';
+import api from '../../api/axios';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import SearchSelect from '../ui/SearchSelect';
+import { getGuardianById, searchGuardians } from '../../services/entitySearch';
+
+const inputClass = 'w-full rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-sm text-slate-900 focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200';
+const labelClass = 'text-[11px] font-semibold uppercase tracking-wide text-slate-400';
+
+const emptyDraft = () => ({
+  _id: null,
+  name: '',
+  description: '',
+  tiers: [
+    { hours: 8, pricePerHour: '', label: '', isDefault: true },
+    { hours: 12, pricePerHour: '', label: '', isDefault: false },
+    { hours: 20, pricePerHour: '', label: '', isDefault: false }
+  ],
+  validityDays: 0,
+  siblingDiscounts: [],
+  siblingDiscountAppliesTo: 'additional_students'
+});
+
+const draftFromPackage = (pkg) => ({
+  _id: pkg._id,
+  name: pkg.name || '',
+  description: pkg.description || '',
+  tiers: (pkg.tiers || []).map((tier) => ({
+    hours: tier.hours,
+    pricePerHour: tier.pricePerHour,
+    label: tier.label || '',
+    isDefault: Boolean(tier.isDefault)
+  })),
+  validityDays: pkg.expiry?.validityDays || 0,
+  siblingDiscounts: (pkg.siblingDiscounts || []).map((rule) => ({ ...rule })),
+  siblingDiscountAppliesTo: pkg.siblingDiscountAppliesTo || 'additional_students'
+});
+
+const formatMoney = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+const BillingPackagesModal = ({ open, onClose, onChanged }) => {
+  const [packages, setPackages] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const [guardianId, setGuardianId] = useState('');
+  const [guardianPricing, setGuardianPricing] = useState(null);
+  const [assignPackageId, setAssignPackageId] = useState('');
+  const [assignTierHours, setAssignTierHours] = useState('');
+  const [assigning, setAssigning] = useState(false);
+  const [assignMessage, setAssignMessage] = useState('');
+
+  const fetchGuardianOptions = useMemo(() => (term = '') => searchGuardians(term), []);
+  const fetchGuardianById = useMemo(() => (id) => getGuardianById(id), []);
+
+  const loadPackages = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await api.get('/billing-packages', { params: { includeInactive: showArchived } });
+      setPackages(res.data?.packages || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load packages');
+    } finally {
+      setLoading(false);
+    }
+  }, [showArchived]);
+
+  useEffect(() => {
+    if (!open) return;
+    setError('');
+    loadPackages();
+  }, [open, loadPackages]);
+
+  const loadGuardianPricing = useCallback(async (id) => {
+    if (!id) {
+      setGuardianPricing(null);
+      return;
+    }
+    try {
+      const res = await api.get(`/billing-packages/guardians/${id}/pricing`);
+      setGuardianPricing(res.data || null);
+      setAssignPackageId(res.data?.assignment?.package || '');
+      setAssignTierHours(res.data?.assignment?.tierHours ?? '');
+    } catch (err) {
+      setGuardianPricing(null);
+      setAssignMessage(err.response?.data?.message || 'Failed to load guardian pricing');
+    }
+  }, []);
+
+  useEffect(() => {
+    setAssignMessage('');
+    loadGuardianPricing(guardianId);
+  }, [guardianId, loadGuardianPricing]);
+
+  if (!open) return null;
+
+  const updateDraft = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+  const updateTier = (idx, patch) => setDraft((prev) => ({
+    ...prev,
+    tiers: prev.tiers.map((tier, i) => {
+      if (patch.isDefault) return i === idx ? { ...tier, ...patch } : { ...tier, isDefault: false };
+      return i === idx ? { ...tier, ...patch } : tier;
+    })
+  }));
+  const updateSibling = (idx, patch) => setDraft((prev) => ({
+    ...prev,
+    siblingDiscounts: prev.siblingDiscounts.map((rule, i) => (i === idx ? { ...rule, ...patch } : rule))
+  }));
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    if (!draft || saving) return;
+    setSaving(true);
+    setError('');
+    const payload = {
+      name: draft.name,
+      description: draft.description,
+      tiers: draft.tiers.filter((tier) => tier.hours !== '' && tier.pricePerHour !== ''),
+      expiry: { validityDays: Number(draft.validityDays || 0) },
+      siblingDiscounts: draft.siblingDiscounts,
+      siblingDiscountAppliesTo: draft.siblingDiscountAppliesTo
+    };
+    try {
+      if (draft._id) {
+        await api.put(`/billing-packages/${draft._id}`, payload);
+      } else {
+        await api.post('/billing-packages', payload);
+      }
+      setDraft(null);
+      await loadPackages();
+      onChanged?.();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save package');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleArchive = async (pkg) => {
+    if (!window.confirm(`Archive "${pkg.name}"? Assigned guardians fall back to their hourly rate.`)) return;
+    try {
+      await api.delete(`/billing-packages/${pkg._id}`);
+      await loadPackages();
+      onChanged?.();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to archive package');
+    }
+  };
+
+  const handleAssign = async () => {
+    if (!guardianId || assigning) return;
+    setAssigning(true);
+    setAssignMessage('');
+    try {
+      await api.put(`/billing-packages/guardians/${guardianId}`, {
+        packageId: assignPackageId || null,
+        tierHours: assignTierHours === '' ? undefined : Number(assignTierHours)
+      });
+      await loadGuardianPricing(guardianId);
+      await loadPackages();
+      setAssignMessage(assignPackageId ? 'Package assigned' : 'Package removed');
+      onChanged?.();
+    } catch (err) {
+      setAssignMessage(err.response?.data?.message || 'Failed to assign package');
+    } finally {
+      setAssigning(false);
+    }
+  };
+
+  const activePackages = packages.filter((pkg) => pkg.isActive);
+  const assignPackage = activePackages.find((pkg) => String(pkg._id) === String(assignPackageId));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/50 backdrop-blur-sm">
+      <div className="relative flex max-h-[90vh] w-full max-w-4xl flex-col rounded-3xl bg-white shadow-2xl">
+        <button
+          type="button"
+          onClick={onClose}
+          className="absolute right-4 top-4 inline-flex h-9 w-9 items-center justify-center rounded-full border border-slate-200 text-slate-500 transition hover:border-slate-300 hover:text-slate-900"
+          aria-label="Close packages modal"
+        >
+          <X className="h-4 w-4" />
+        </button>
+
+        <div className="px-6 py-5">
+          <h2 className="flex items-center gap-2 text-xl font-semibold text-slate-900">
+            <Package className="h-5 w-5 text-slate-500" /> Prepaid-hour packages
+          </h2>
+          <p className="mt-1 text-sm text-slate-500">Bundles used to price refill invoices and class lines for assigned guardians.</p>
+        </div>
+
+        <div className="flex-1 space-y-5 overflow-y-auto border-t border-slate-100 px-6 pb-6 pt-4">
+          {error && <div className="rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-700">{error}</div>}
+
+          <div className="flex items-center justify-between">
+            <label className="flex items-center gap-2 text-xs text-slate-600">
+              <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+              Show archived
+            </label>
+            {!draft && (
+              <button
+                type="button"
+                onClick={() => setDraft(emptyDraft())}
+                className="inline-flex items-center gap-1 rounded-xl bg-slate-900 px-3 py-1.5 text-sm font-medium text-white hover:bg-slate-800"
+              >
+                <Plus className="h-4 w-4" /> New package
+              </button>
+            )}
+          </div>
+
+          {draft && (
+            <form onSubmit={handleSave} className="space-y-3 rounded-2xl border border-slate-200 bg-slate-50/60 p-4">
+              <div className="grid gap-3 md:grid-cols-2">
+                <label className="flex flex-col gap-1">
+                  <span className={labelClass}>Name *</span>
+                  <input className={inputClass} value={draft.name} onChange={(e) => updateDraft({ name: e.target.value })} required />
+                </label>
+                <label className="flex flex-col gap-1">
+                  <span className={labelClass}>Hours valid for (days, 0 = no expiry)</span>
+                  <input type="number" min="0" className={inputClass} value={draft.validityDays} onChange={(e) => updateDraft({ validityDays: e.target.value })} />
+                </label>
+              </div>
+              <label className="flex flex-col gap-1">
+                <span className={labelClass}>Description</span>
+                <input className={inputClass} value={draft.description} onChange={(e) => updateDraft({ description: e.target.value })} />
+              </label>
+
+              <div>
+                <div className="flex items-center justify-between">
+                  <span className={labelClass}>Tiers</span>
+                  <button type="button" className="text-xs font-medium text-slate-600 hover:text-slate-900" onClick={() => updateDraft({ tiers: [...draft.tiers, { hours: '', pricePerHour: '', label: '', isDefault: false }] })}>
+                    + Add tier
+                  </button>
+                </div>
+                <div className="mt-2 space-y-2">
+                  {draft.tiers.map((tier, idx) => (
+                    <div key={idx} className="grid grid-cols-[1fr_1fr_2fr_auto_auto] items-center gap-2">
+                      <input type="number" min="0.5" step="0.5" placeholder="Hours" className={inputClass} value={tier.hours} onChange={(e) => updateTier(idx, { hours: e.target.value === '' ? '' : Number(e.target.value) })} />
+                      <input type="number" min="0" step="0.25" placeholder="$/hr" className={inputClass} value={tier.pricePerHour} onChange={(e) => updateTier(idx, { pricePerHour: e.target.value === '' ? '' : Number(e.target.value) })} />
+                      <input placeholder="Label (optional)" className={inputClass} value={tier.label} onChange={(e) => updateTier(idx, { label: e.target.value })} />
+                      <label className="flex items-center gap-1 text-xs text-slate-600">
+                        <input type="radio" name="defaultTier" checked={tier.isDefault} onChange={() => updateTier(idx, { isDefault: true })} /> Default
+                      </label>
+                      <button type="button" className="text-slate-400 hover:text-rose-600" onClick={() => updateDraft({ tiers: draft.tiers.filter((_, i) => i !== idx) })} aria-label="Remove tier">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between">
+                  <span className={labelClass}>Sibling discounts</span>
+                  <button type="button" className="text-xs font-medium text-slate-600 hover:text-slate-900" onClick={() => updateDraft({ siblingDiscounts: [...draft.siblingDiscounts, { minStudents: 2, percent: 10 }] })}>
+                    + Add rule
+                  </button>
+                </div>
+                <div className="mt-2 space-y-2">
+                  {draft.siblingDiscounts.map((rule, idx) => (
+                    <div key={idx} className="flex items-center gap-2 text-sm text-slate-600">
+                      <span>From</span>
+                      <input type="number" min="2" className={`${inputClass} w-20`} value={rule.minStudents} onChange={(e) => updateSibling(idx, { minStudents: Number(e.target.value) })} />
+                      <span>students:</span>
+                      <input type="number" min="0" max="100" className={`${inputClass} w-20`} value={rule.percent} onChange={(e) => updateSibling(idx, { percent: Number(e.target.value) })} />
+                      <span>% off</span>
+                      <button type="button" className="text-slate-400 hover:text-rose-600" onClick={() => updateDraft({ siblingDiscounts: draft.siblingDiscounts.filter((_, i) => i !== idx) })} aria-label="Remove rule">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                  {draft.siblingDiscounts.length > 0 && (
+                    <select className={`${inputClass} md:w-1/2`} value={draft.siblingDiscountAppliesTo} onChange={(e) => updateDraft({ siblingDiscountAppliesTo: e.target.value })}>
+                      <option value="additional_students">Discount siblings only (first student full price)</option>
+                      <option value="all_students">Discount every student</option>
+                    </select>
+                  )}
+                </div>
+              </div>
+
+              <div className="flex justify-end gap-2">
+                <button type="button" onClick={() => setDraft(null)} className="rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-sm text-slate-700 hover:bg-slate-50" disabled={saving}>
+                  Cancel
+                </button>
+                <button type="submit" className="rounded-xl bg-slate-900 px-3 py-1.5 text-sm font-medium text-white hover:bg-slate-800 disabled:opacity-60" disabled={saving}>
+                  {saving ? 'Saving…' : draft._id ? 'Save changes' : 'Create package'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {loading ? (
+            <div className="flex justify-center py-6"><LoadingSpinner /></div>
+          ) : packages.length === 0 ? (
+            <p className="py-4 text-center text-sm text-slate-500">No packages yet.</p>
+          ) : (
+            <div className="space-y-2">
+              {packages.map((pkg) => (
+                <div key={pkg._id} className={`rounded-2xl border px-4 py-3 ${pkg.isActive ? 'border-slate-200 bg-white' : 'border-slate-100 bg-slate-50 opacity-70'}`}>
+                  <div className="flex items-start justify-between gap-3">
+                    <div>
+                      <p className="font-semibold text-slate-900">
+                        {pkg.name}
+                        {!pkg.isActive && <span className="ml-2 text-xs font-normal text-slate-500">(archived)</span>}
+                      </p>
+                      {pkg.description && <p className="text-xs text-slate-500">{pkg.description}</p>}
+                      <div className="mt-2 flex flex-wrap gap-2">
+                        {(pkg.tiers || []).map((tier) => (
+                          <span key={tier._id || tier.hours} className={`rounded-full px-2.5 py-1 text-[11px] font-semibold ${tier.isDefault ? 'bg-indigo-100 text-indigo-700' : 'bg-slate-100 text-slate-700'}`}>
+                            {tier.hours}h × {formatMoney(tier.pricePerHour)}
+                          </span>
+                        ))}
+                        {(pkg.siblingDiscounts || []).map((rule) => (
+                          <span key={rule.minStudents} className="rounded-full bg-emerald-50 px-2.5 py-1 text-[11px] font-semibold text-emerald-700">
+                            {rule.minStudents}+ students −{rule.percent}%
+                          </span>
+                        ))}
+                        {pkg.expiry?.validityDays > 0 && (
+                          <span className="rounded-full bg-amber-50 px-2.5 py-1 text-[11px] font-semibold text-amber-700">
+                            Valid {pkg.expiry.validityDays} days
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex shrink-0 items-center gap-2">
+                      <span className="text-xs text-slate-500">{pkg.guardianCount || 0} guardians</span>
+                      {pkg.isActive && (
+                        <>
+                          <button type="button" title="Edit" className="text-slate-500 hover:text-slate-900" onClick={() => setDraft(draftFromPackage(pkg))}>
+                            <Pencil className="h-4 w-4" />
+                          </button>
+                          <button type="button" title="Archive" className="text-slate-500 hover:text-rose-600" onClick={() => handleArchive(pkg)}>
+                            <Archive className="h-4 w-4" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="space-y-3 rounded-2xl border border-slate-100 bg-slate-50/60 p-4">
+            <span className={labelClass}>Guardian package</span>
+            <div className="grid gap-3 md:grid-cols-3">
+              <SearchSelect
+                label="Guardian"
+                placeholder="Search guardians"
+                value={guardianId}
+                onChange={(option) => setGuardianId(option?.id || '')}
+                fetchOptions={fetchGuardianOptions}
+                fetchById={fetchGuardianById}
+              />
+              <label className="flex flex-col gap-1">
+                <span className={labelClass}>Package</span>
+                <select className={inputClass} value={assignPackageId} onChange={(e) => { setAssignPackageId(e.target.value); setAssignTierHours(''); }} disabled={!guardianId}>
+                  <option value="">Hourly rate (no package)</option>
+                  {activePackages.map((pkg) => <option key={pkg._id} value={pkg._id}>{pkg.name}</option>)}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className={labelClass}>Tier</span>
+                <select className={inputClass} value={assignTierHours} onChange={(e) => setAssignTierHours(e.target.value)} disabled={!assignPackage}>
+                  <option value="">Default tier</option>
+                  {(assignPackage?.tiers || []).map((tier) => (
+                    <option key={tier.hours} value={tier.hours}>{tier.hours}h × {formatMoney(tier.pricePerHour)}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            {guardianPricing && (
+              <div className="text-xs text-slate-600">
+                <p>
+                  Current: {guardianPricing.package
+                    ? `${guardianPricing.package.name} · ${guardianPricing.package.tierLabel} at ${formatMoney(guardianPricing.package.pricePerHour)}/hr`
+                    : `hourly rate ${formatMoney(guardianPricing.hourlyRate)}/hr`}
+                </p>
+                {(guardianPricing.students || []).filter((s) => s.isActive).length > 0 && (
+                  <p className="mt-1">
+                    {(guardianPricing.students || []).filter((s) => s.isActive).map((s) => `${s.name || 'Student'}: ${formatMoney(s.hourlyRate)}/hr`).join(' · ')}
+                  </p>
+                )}
+              </div>
+            )}
+
+            <div className="flex items-center justify-end gap-3">
+              {assignMessage && <span className="text-xs text-slate-500">{assignMessage}</span>}
+              <button type="button" onClick={handleAssign} className="rounded-xl bg-slate-900 px-3 py-1.5 text-sm font-medium text-white hover:bg-slate-800 disabled:opacity-60" disabled={!guardianId || assigning}>
+                {assigning ? 'Saving…' : 'Save assignment'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BillingPackagesModal;
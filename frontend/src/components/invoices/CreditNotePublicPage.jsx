@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { AlertCircle, Download, FileText, Sparkles, Users } from 'lucide-react';
+import api from '../../api/axios';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+const formatCurrency = (value, currency = 'USD') => {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return '$0.00';
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(numeric);
+  } catch (err) {
+    return `$${numeric.toFixed(2)}`;
+  }
+};
+
+const formatDate = (value) => {
+  if (!value) return '—';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '—';
+  return date.toLocaleDateString();
+};
+
+const formatHours = (value) => {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) return '0';
+  return Number.isInteger(numeric) ? String(numeric) : numeric.toFixed(2);
+};
+
+const CreditNotePublicPage = () => {
+  const { slug } = useParams();
+  const [creditNote, setCreditNote] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [downloading, setDownloading] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const res = await api.get(`/credit-notes/public/${slug}`);
+        if (!cancelled) setCreditNote(res.data?.creditNote || null);
+      } catch (err) {
+        if (!cancelled) setError(err?.response?.data?.message || 'Credit note not found');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [slug]);
+
+  const download = async (format) => {
+    setDownloading(format);
+    try {
+      const res = await api.get(`/credit-notes/public/${slug}/download`, { params: { format }, responseType: 'blob' });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${creditNote?.creditNoteNumber || 'credit-note'}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to download the credit note');
+    } finally {
+      setDownloading('');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-slate-50">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (!creditNote) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-slate-50 px-4">
+        <div className="flex items-center gap-2 rounded-2xl bg-white px-6 py-4 text-sm text-slate-700 shadow">
+          <AlertCircle className="h-4 w-4 text-rose-500" />
+          {error || 'Credit note not found'}
+        </div>
+      </div>
+    );
+  }
+
+  const currency = creditNote.currency || 'USD';
+  const guardianName = [creditNote.guardianSnapshot?.firstName, creditNote.guardianSnapshot?.lastName].filter(Boolean).join(' ') || '—';
+  const isVoided = creditNote.status === 'voided';
+  const seller = creditNote.legalEntity;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-100 text-slate-900">
+      <div className="mx-auto flex max-w-4xl flex-col gap-8 px-4 py-14 sm:px-8">
+        <header className="rounded-3xl bg-white/80 p-8 shadow-sm ring-1 ring-black/5">
+          <div className="flex flex-col gap-6 md:flex-row md:items-center md:justify-between">
+            <div className="space-y-3">
+              <span className="inline-flex items-center gap-2 rounded-full bg-rose-50 px-4 py-1 text-xs uppercase tracking-[0.3em] text-rose-700">
+                <Sparkles className="h-3.5 w-3.5" />
+                {seller?.name || 'Waraqa'} credit note
+              </span>
+              <h1 className="text-3xl font-semibold sm:text-4xl">{creditNote.creditNoteNumber}</h1>
+              <p className="text-sm text-slate-600">
+                Issued {formatDate(creditNote.issuedAt)}
+                {creditNote.invoiceNumber && (
+                  <span className="ml-2 text-slate-500">• credits invoice <span className="font-semibold text-slate-900">{creditNote.invoiceNumber}</span></span>
+                )}
+              </p>
+              <div className={`inline-flex items-center gap-3 rounded-full px-4 py-1 text-xs font-semibold uppercase tracking-wide ${isVoided ? 'bg-slate-100 text-slate-500' : 'bg-slate-50 text-slate-700'}`}>
+                <FileText className="h-4 w-4" />
+                {isVoided ? 'voided' : 'issued'}
+              </div>
+            </div>
+
+            <div className="rounded-3xl border border-slate-100 bg-white p-6 text-sm text-slate-800 shadow-inner">
+              <p className="text-xs uppercase tracking-wide text-slate-500">Credited</p>
+              <p className={`mt-2 text-3xl font-semibold ${isVoided ? 'text-slate-400 line-through' : 'text-slate-900'}`}>
+                {formatCurrency(creditNote.total, currency)}
+              </p>
+              <div className="mt-4 flex items-center gap-2 text-xs">
+                <Users className="h-4 w-4 text-slate-500" />
+                <span>{guardianName}</span>
+              </div>
+            </div>
+          </div>
+        </header>
+
+        {error && (
+          <div className="rounded-2xl bg-rose-50 px-5 py-3 text-sm font-medium text-rose-700 ring-1 ring-rose-100">{error}</div>
+        )}
+
+        <section className="rounded-3xl border border-slate-100 bg-white p-6 shadow-lg">
+          <h2 className="text-sm font-semibold uppercase tracking-wide text-slate-700">Credited lines</h2>
+          <table className="mt-4 w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase tracking-wide text-slate-500">
+                <th className="py-2">Description</th>
+                <th className="py-2 text-right">Hours</th>
+                <th className="py-2 text-right">Rate</th>
+                <th className="py-2 text-right">Amount</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {(creditNote.lines || []).map((line, idx) => (
+                <tr key={`${line.description}-${idx}`} className="text-slate-700">
+                  <td className="py-2">{line.description}</td>
+                  <td className="py-2 text-right">{line.hours ? formatHours(line.hours) : '—'}</td>
+                  <td className="py-2 text-right">{line.rate ? formatCurrency(line.rate, currency) : '—'}</td>
+                  <td className="py-2 text-right">{formatCurrency(line.amount, currency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="mt-4 flex flex-col items-end gap-1 text-sm">
+            <p>Hours credited: <span className="font-semibold text-slate-900">{formatHours(creditNote.hours)}</span></p>
+            <p className="text-base">Total credited: <span className="font-semibold text-slate-900">{formatCurrency(creditNote.total, currency)}</span></p>
+          </div>
+          {creditNote.reason && (
+            <p className="mt-4 rounded-2xl bg-slate-50 px-4 py-3 text-xs text-slate-600">Reason: {creditNote.reason}</p>
+          )}
+        </section>
+
+        <div className="flex flex-wrap gap-2">
+          {['pdf', 'docx'].map((format) => (
+            <button
+              key={format}
+              type="button"
+              onClick={() => download(format)}
+              disabled={Boolean(downloading)}
+              className="inline-flex items-center gap-2 rounded-full border border-slate-200 bg-white px-5 py-2 text-sm font-semibold text-slate-700 shadow-sm transition hover:bg-slate-50 disabled:opacity-60"
+            >
+              <Download className="h-4 w-4" />
+              {downloading === format ? 'Preparing…' : `Download ${format.toUpperCase()}`}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CreditNotePublicPage;
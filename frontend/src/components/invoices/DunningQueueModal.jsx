@@ -0,0 +1,363 @@
+import { useCallback, useEffect, useState } from 'react';
+import moment from 'moment-timezone';
+import { BellRing, MessageCircle, Pause, Play, Plus, RefreshCw, SkipForward, Trash2, X } from 'lucide-react';
+import api from '../../api/axios';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+const inputClass = 'w-full rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-sm text-slate-900 focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200';
+const labelClass = 'text-[11px] font-semibold uppercase tracking-wide text-slate-400';
+const CHANNELS = ['email', 'whatsapp'];
+
+const formatMoney = (value, currency = 'USD') => `${Number(value || 0).toFixed(2)} ${currency}`;
+const formatDate = (value) => (value ? moment(value).format('DD MMM YYYY') : '—');
+const normalizeWhatsappPhone = (value) => String(value || '').replace(/\D/g, '').replace(/^0+/, '');
+
+const DunningQueueModal = ({ open, onClose }) => {
+  const [items, setItems] = useState([]);
+  const [policy, setPolicy] = useState(null);
+  const [policyDraft, setPolicyDraft] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busyKey, setBusyKey] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await api.get('/dunning/queue');
+      setItems(res.data?.items || []);
+      setPolicy(res.data?.policy || null);
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to load dunning queue');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) loadQueue();
+  }, [open, loadQueue]);
+
+  const runAction = async (key, request, successMessage) => {
+    setBusyKey(key);
+    setError('');
+    setMessage('');
+    try {
+      await request();
+      if (successMessage) setMessage(successMessage);
+      await loadQueue();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Action failed');
+    } finally {
+      setBusyKey('');
+    }
+  };
+
+  const savePolicy = async (next) => {
+    await runAction('policy', async () => {
+      const res = await api.put('/dunning/policy', next);
+      setPolicy(res.data?.policy || next);
+      setPolicyDraft(null);
+    }, 'Dunning policy saved');
+  };
+
+  const handleRunNow = () => runAction('run', async () => {
+    const res = await api.post('/dunning/run');
+    const summary = res.data?.summary || {};
+    setMessage(summary.enabled
+      ? `Processed ${summary.processed || 0} invoices, ${summary.executed || 0} steps executed`
+      : 'Dunning is disabled — only settled class pauses were released');
+  });
+
+  const handleSendWhatsapp = (item, pending) => {
+    const phone = normalizeWhatsappPhone(pending.phone || item.guardian.phone);
+    if (!phone) {
+      setError('Guardian phone is missing.');
+      return;
+    }
+    window.open(`https://wa.me/${phone}?text=${encodeURIComponent(pending.message || '')}`, '_blank', 'noopener,noreferrer');
+    runAction(`wa-${item.invoiceId}`, () => api.post(`/dunning/invoices/${item.invoiceId}/whatsapp-sent`, { templateId: pending.templateId }));
+  };
+
+  const updateStep = (idx, patch) => {
+    setPolicyDraft((prev) => ({
+      ...prev,
+      steps: prev.steps.map((step, i) => (i === idx ? { ...step, ...patch } : step))
+    }));
+  };
+
+  const toggleStepChannel = (idx, channel) => {
+    const step = policyDraft.steps[idx];
+    const channels = step.channels.includes(channel)
+      ? step.channels.filter((ch) => ch !== channel)
+      : [...step.channels, channel];
+    updateStep(idx, { channels });
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/50 backdrop-blur-sm">
+      <div className="relative flex max-h-[90vh] w-full max-w-5xl flex-col rounded-3xl bg-white shadow-2xl">
+        <button
+          type="button"
+          onClick={onClose}
+          className="absolute right-4 top-4 inline-flex h-9 w-9 items-center justify-center rounded-full border border-slate-200 text-slate-500 transition hover:border-slate-300 hover:text-slate-900"
+          aria-label="Close dunning modal"
+        >
+          <X className="h-4 w-4" />
+        </button>
+
+        <div className="px-6 py-5">
+          <h2 className="flex items-center gap-2 text-xl font-semibold text-slate-900">
+            <BellRing className="h-5 w-5 text-slate-500" /> Dunning queue
+          </h2>
+          <p className="mt-1 text-sm text-slate-500">Staged reminders for overdue guardian invoices. Emails are sent by the daily job; WhatsApp reminders wait here to be sent.</p>
+        </div>
+
+        <div className="flex-1 space-y-5 overflow-y-auto border-t border-slate-100 px-6 pb-6 pt-4">
+          {error && <div className="rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-700">{error}</div>}
+          {message && <div className="rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-700">{message}</div>}
+
+          {policy && (
+            <div className="rounded-2xl border border-slate-200 p-4">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <p className="text-sm font-semibold text-slate-900">Policy</p>
+                  <p className="text-xs text-slate-500">
+                    {policy.steps.map((step) => `${step.label} (+${step.offsetDays}d)`).join(' → ') || 'No steps'}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <label className="flex items-center gap-2 text-xs text-slate-600">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(policy.enabled)}
+                      disabled={busyKey === 'policy'}
+                      onChange={(e) => savePolicy({ enabled: e.target.checked })}
+                    />
+                    Enabled
+                  </label>
+                  {!policyDraft && (
+                    <button
+                      type="button"
+                      onClick={() => setPolicyDraft({ ...policy, steps: policy.steps.map((step) => ({ ...step })) })}
+                      className="rounded-full border border-slate-200 px-3 py-1 text-xs font-medium text-slate-700 hover:bg-slate-50"
+                    >
+                      Edit steps
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={handleRunNow}
+                    disabled={busyKey === 'run'}
+                    className="inline-flex items-center gap-1 rounded-full bg-slate-900 px-3 py-1 text-xs font-medium text-white hover:bg-slate-800 disabled:opacity-50"
+                  >
+                    <RefreshCw className={`h-3.5 w-3.5 ${busyKey === 'run' ? 'animate-spin' : ''}`} /> Run now
+                  </button>
+                </div>
+              </div>
+
+              {policyDraft && (
+                <div className="mt-4 space-y-2">
+                  {policyDraft.steps.map((step, idx) => (
+                    <div key={idx} className="grid grid-cols-12 items-end gap-2">
+                      <label className="col-span-4 flex flex-col gap-1">
+                        <span className={labelClass}>Label</span>
+                        <input className={inputClass} value={step.label} onChange={(e) => updateStep(idx, { label: e.target.value })} />
+                      </label>
+                      <label className="col-span-2 flex flex-col gap-1">
+                        <span className={labelClass}>Days after due</span>
+                        <input type="number" min="0" className={inputClass} value={step.offsetDays} onChange={(e) => updateStep(idx, { offsetDays: e.target.value })} />
+                      </label>
+                      <label className="col-span-2 flex flex-col gap-1">
+                        <span className={labelClass}>Action</span>
+                        <select className={inputClass} value={step.action} onChange={(e) => updateStep(idx, { action: e.target.value })}>
+                          <option value="remind">Remind</option>
+                          <option value="pause_classes">Pause classes</option>
+                        </select>
+                      </label>
+                      <div className="col-span-3 flex items-center gap-3 pb-2">
+                        {CHANNELS.map((channel) => (
+                          <label key={channel} className="flex items-center gap-1 text-xs capitalize text-slate-600">
+                            <input type="checkbox" checked={step.channels.includes(channel)} onChange={() => toggleStepChannel(idx, channel)} />
+                            {channel}
+                          </label>
+                        ))}
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => setPolicyDraft((prev) => ({ ...prev, steps: prev.steps.filter((_, i) => i !== idx) }))}
+                        className="col-span-1 mb-1 inline-flex h-8 w-8 items-center justify-center rounded-full text-slate-400 hover:bg-rose-50 hover:text-rose-600"
+                        aria-label="Remove step"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                  <div className="flex items-center justify-between pt-2">
+                    <button
+                      type="button"
+                      onClick={() => setPolicyDraft((prev) => ({
+                        ...prev,
+                        steps: [...prev.steps, { key: '', label: '', offsetDays: (prev.steps[prev.steps.length - 1]?.offsetDays || 0) + 3, channels: ['email'], action: 'remind' }]
+                      }))}
+                      className="inline-flex items-center gap-1 text-xs font-medium text-slate-600 hover:text-slate-900"
+                    >
+                      <Plus className="h-3.5 w-3.5" /> Add step
+                    </button>
+                    <div className="flex gap-2">
+                      <button type="button" onClick={() => setPolicyDraft(null)} className="rounded-full border border-slate-200 px-3 py-1 text-xs text-slate-600">Cancel</button>
+                      <button
+                        type="button"
+                        disabled={busyKey === 'policy'}
+                        onClick={() => savePolicy({ steps: policyDraft.steps })}
+                        className="rounded-full bg-slate-900 px-3 py-1 text-xs font-medium text-white disabled:opacity-50"
+                      >
+                        Save steps
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {loading && !items.length ? (
+            <div className="flex justify-center py-8"><LoadingSpinner /></div>
+          ) : items.length === 0 ? (
+            <div className="rounded-2xl border border-dashed border-slate-200 p-8 text-center text-sm text-slate-500">No overdue guardian invoices.</div>
+          ) : (
+            <div className="overflow-x-auto rounded-2xl border border-slate-200">
+              <table className="min-w-full text-sm">
+                <thead className="bg-slate-50 text-left text-xs uppercase tracking-wide text-slate-500">
+                  <tr>
+                    <th className="px-3 py-2">Invoice</th>
+                    <th className="px-3 py-2">Guardian</th>
+                    <th className="px-3 py-2 text-right">Due</th>
+                    <th className="px-3 py-2">Last step</th>
+                    <th className="px-3 py-2">Next step</th>
+                    <th className="px-3 py-2 text-right">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {items.map((item) => {
+                    const busy = busyKey.endsWith(String(item.invoiceId)) || busyKey === `guardian-${item.guardian._id}`;
+                    return (
+                      <tr key={item.invoiceId} className="align-top text-slate-700">
+                        <td className="px-3 py-2">
+                          <p className="font-medium text-slate-900">{item.invoiceNumber || item.invoiceId}</p>
+                          <p className="text-xs text-slate-500">{formatMoney(item.amountDue, item.currency)}</p>
+                        </td>
+                        <td className="px-3 py-2">
+                          <p>{item.guardian.name || '—'}</p>
+                          <div className="mt-1 flex flex-wrap gap-1">
+                            {item.guardian.optOut && <span className="rounded-full bg-slate-100 px-2 py-0.5 text-[11px] text-slate-600">Opted out</span>}
+                            {item.guardian.optOutChannels.map((ch) => (
+                              <span key={ch} className="rounded-full bg-slate-100 px-2 py-0.5 text-[11px] text-slate-600">No {ch}</span>
+                            ))}
+                            {item.guardian.classGenerationPausedAt && (
+                              <span className="rounded-full bg-rose-50 px-2 py-0.5 text-[11px] text-rose-700">Classes paused</span>
+                            )}
+                          </div>
+                        </td>
+                        <td className="whitespace-nowrap px-3 py-2 text-right">
+                          <p>{formatDate(item.dueDate)}</p>
+                          <p className={`text-xs ${item.daysOverdue > 7 ? 'text-rose-600' : 'text-amber-600'}`}>{item.daysOverdue}d overdue</p>
+                        </td>
+                        <td className="px-3 py-2">
+                          {item.lastStep ? (
+                            <>
+                              <p>{item.lastStep.label}</p>
+                              <p className="text-xs text-slate-500">{formatDate(item.lastStep.at)}</p>
+                            </>
+                          ) : <span className="text-slate-400">—</span>}
+                        </td>
+                        <td className="px-3 py-2">
+                          {item.paused ? (
+                            <span className="rounded-full bg-amber-50 px-2 py-0.5 text-xs text-amber-700">Paused</span>
+                          ) : item.nextStep ? (
+                            <>
+                              <p className={item.nextStep.willSkip ? 'text-slate-400 line-through' : ''}>{item.nextStep.label}</p>
+                              <p className="text-xs text-slate-500">{formatDate(item.nextStep.dueAt)}</p>
+                            </>
+                          ) : item.completed ? <span className="text-xs text-slate-500">All steps done</span> : <span className="text-slate-400">—</span>}
+                        </td>
+                        <td className="px-3 py-2">
+                          <div className="flex flex-wrap justify-end gap-1">
+                            {item.pendingWhatsapp.map((pending) => (
+                              <button
+                                key={pending.templateId}
+                                type="button"
+                                disabled={busy}
+                                onClick={() => handleSendWhatsapp(item, pending)}
+                                className="inline-flex items-center gap-1 rounded-full bg-emerald-600 px-2 py-1 text-xs font-medium text-white hover:bg-emerald-700 disabled:opacity-50"
+                                title={pending.message}
+                              >
+                                <MessageCircle className="h-3.5 w-3.5" /> Send WhatsApp
+                              </button>
+                            ))}
+                            {item.paused ? (
+                              <button
+                                type="button"
+                                disabled={busy}
+                                onClick={() => runAction(`resume-${item.invoiceId}`, () => api.post(`/dunning/invoices/${item.invoiceId}/resume`))}
+                                className="inline-flex items-center gap-1 rounded-full border border-slate-200 px-2 py-1 text-xs text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+                              >
+                                <Play className="h-3.5 w-3.5" /> Resume
+                              </button>
+                            ) : (
+                              <button
+                                type="button"
+                                disabled={busy}
+                                onClick={() => runAction(`pause-${item.invoiceId}`, () => api.post(`/dunning/invoices/${item.invoiceId}/pause`))}
+                                className="inline-flex items-center gap-1 rounded-full border border-slate-200 px-2 py-1 text-xs text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+                              >
+                                <Pause className="h-3.5 w-3.5" /> Pause
+                              </button>
+                            )}
+                            {item.nextStep && !item.paused && (
+                              <button
+                                type="button"
+                                disabled={busy}
+                                onClick={() => runAction(`skip-${item.invoiceId}`, () => api.post(`/dunning/invoices/${item.invoiceId}/skip`, { stepKey: item.nextStep.key, skip: !item.nextStep.willSkip }))}
+                                className="inline-flex items-center gap-1 rounded-full border border-slate-200 px-2 py-1 text-xs text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+                              >
+                                <SkipForward className="h-3.5 w-3.5" /> {item.nextStep.willSkip ? 'Unskip' : 'Skip step'}
+                              </button>
+                            )}
+                            <button
+                              type="button"
+                              disabled={busy}
+                              onClick={() => runAction(`guardian-${item.guardian._id}`, () => api.put(`/dunning/guardians/${item.guardian._id}`, { optOut: !item.guardian.optOut }))}
+                              className="rounded-full border border-slate-200 px-2 py-1 text-xs text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+                            >
+                              {item.guardian.optOut ? 'Opt guardian in' : 'Opt guardian out'}
+                            </button>
+                            {item.guardian.classGenerationPausedAt && (
+                              <button
+                                type="button"
+                                disabled={busy}
+                                onClick={() => runAction(`guardian-${item.guardian._id}`, () => api.post(`/dunning/guardians/${item.guardian._id}/resume-classes`), 'Class generation resumed')}
+                                className="rounded-full border border-rose-200 px-2 py-1 text-xs text-rose-700 hover:bg-rose-50 disabled:opacity-50"
+                              >
+                                Resume classes
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DunningQueueModal;
@@ -0,0 +1,136 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Download, ExternalLink, FileMinus } from 'lucide-react';
+import api from '../../api/axios';
+
+const formatMoney = (value, currency = 'USD') => {
+  const numeric = Number(value) || 0;
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(numeric);
+  } catch (err) {
+    return `$${numeric.toFixed(2)}`;
+  }
+};
+
+/**
+ * Credit notes issued against one invoice (refunds). Renders nothing until
+ * the invoice has at least one.
+ */
+const InvoiceCreditNotes = ({ invoiceId, refreshKey, isAdmin, onInvoiceUpdate }) => {
+  const [creditNotes, setCreditNotes] = useState([]);
+  const [busyId, setBusyId] = useState('');
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    if (!invoiceId) return;
+    try {
+      const res = await api.get('/credit-notes', { params: { invoice: invoiceId, limit: 50 } });
+      setCreditNotes(Array.isArray(res.data?.creditNotes) ? res.data.creditNotes : []);
+    } catch (err) {
+      setCreditNotes([]);
+    }
+  }, [invoiceId]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const download = async (note, format) => {
+    setBusyId(`${note._id}:${format}`);
+    setError('');
+    try {
+      const path = isAdmin ? `/credit-notes/${note._id}/download` : `/credit-notes/public/${note.publicSlug}/download`;
+      const res = await api.get(path, { params: { format }, responseType: 'blob' });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${note.creditNoteNumber}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to download credit note');
+    } finally {
+      setBusyId('');
+    }
+  };
+
+  const voidNote = async (note) => {
+    const reason = window.prompt(`Void credit note ${note.creditNoteNumber}? The credited hours go back to the guardian's balance.\n\nReason:`);
+    if (reason === null) return;
+    setBusyId(`${note._id}:void`);
+    setError('');
+    try {
+      const res = await api.post(`/credit-notes/${note._id}/void`, { reason });
+      if (res.data?.invoice && onInvoiceUpdate) onInvoiceUpdate(res.data.invoice);
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to void credit note');
+    } finally {
+      setBusyId('');
+    }
+  };
+
+  if (!creditNotes.length) return null;
+
+  return (
+    <div className="mt-4 rounded-xl border border-rose-100 bg-rose-50/40 p-4">
+      <h4 className="mb-3 flex items-center gap-2 text-sm font-semibold text-rose-800">
+        <FileMinus className="h-4 w-4" /> Credit notes
+      </h4>
+      {error && <p className="mb-2 text-xs text-rose-700">{error}</p>}
+      <div className="space-y-2">
+        {creditNotes.map((note) => {
+          const voided = note.status === 'voided';
+          return (
+            <div key={note._id} className="flex flex-wrap items-center justify-between gap-2 rounded-lg border border-rose-100 bg-white px-3 py-2">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2 text-xs font-semibold text-slate-800">
+                  <span className={voided ? 'line-through text-slate-400' : ''}>{note.creditNoteNumber}</span>
+                  {voided && <span className="rounded bg-slate-100 px-1.5 py-0.5 text-[10px] font-medium text-slate-500">voided</span>}
+                </div>
+                <div className="mt-0.5 text-[11px] text-slate-500">
+                  {new Date(note.issuedAt).toLocaleDateString()} · {formatMoney(note.total, note.currency)} · {note.hours}h
+                  {note.reason ? ` · ${note.reason}` : ''}
+                </div>
+              </div>
+              <div className="flex flex-wrap items-center gap-1">
+                <a
+                  href={`${window.location.origin}/public/credit-notes/${note.publicSlug}`}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="inline-flex items-center gap-1 rounded bg-slate-100 px-2 py-1 text-[10px] font-semibold text-slate-600 hover:bg-slate-200"
+                >
+                  <ExternalLink className="h-3 w-3" /> Public page
+                </a>
+                {['pdf', 'docx'].map((format) => (
+                  <button
+                    key={format}
+                    type="button"
+                    onClick={() => download(note, format)}
+                    disabled={Boolean(busyId)}
+                    className="inline-flex items-center gap-1 rounded bg-slate-100 px-2 py-1 text-[10px] font-semibold text-slate-600 hover:bg-slate-200 disabled:opacity-50"
+                  >
+                    <Download className="h-3 w-3" /> {format.toUpperCase()}
+                  </button>
+                ))}
+                {isAdmin && !voided && (
+                  <button
+                    type="button"
+                    onClick={() => voidNote(note)}
+                    disabled={Boolean(busyId)}
+                    className="inline-flex items-center rounded bg-rose-50 px-2 py-1 text-[10px] font-semibold text-rose-700 hover:bg-rose-100 disabled:opacity-50"
+                  >
+                    {busyId === `${note._id}:void` ? 'Voiding…' : 'Void'}
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default InvoiceCreditNotes;
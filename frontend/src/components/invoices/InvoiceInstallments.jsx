@@ -0,0 +1,224 @@
+import { useCallback, useEffect, useState } from 'react';
+import { CalendarClock, X } from 'lucide-react';
+import api from '../../api/axios';
+
+const formatMoney = (value, currency = 'USD') => {
+  const numeric = Number(value) || 0;
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(numeric);
+  } catch (err) {
+    return `$${numeric.toFixed(2)}`;
+  }
+};
+
+const STATUS_STYLES = {
+  paid: 'bg-emerald-50 text-emerald-700',
+  overdue: 'bg-rose-50 text-rose-700',
+  pending: 'bg-slate-100 text-slate-600'
+};
+
+const todayInput = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Installment schedule for one guardian invoice. Admins can split an unpaid
+ * invoice into dated installments (or cancel the plan before anything is
+ * paid); everyone else only sees the schedule once a plan exists.
+ */
+const InvoiceInstallments = ({ invoice, refreshKey, isAdmin, onInvoiceUpdate }) => {
+  const invoiceId = invoice?._id;
+  const [plan, setPlan] = useState(null);
+  const [formOpen, setFormOpen] = useState(false);
+  const [form, setForm] = useState({ count: 3, firstDueDate: todayInput(), intervalDays: 30, note: '' });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    if (!invoiceId) return;
+    try {
+      const res = await api.get(`/invoices/${invoiceId}/installments`);
+      setPlan(res.data?.plan || null);
+    } catch (err) {
+      setPlan(null);
+    }
+  }, [invoiceId]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const paidAmount = Number(invoice?.paidAmount || 0);
+  const canCreate = isAdmin
+    && !plan
+    && paidAmount <= 0
+    && !['paid', 'refunded', 'cancelled'].includes(invoice?.status);
+
+  const createPlan = async (event) => {
+    event.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      const res = await api.post(`/invoices/${invoiceId}/installments`, {
+        count: Number(form.count),
+        firstDueDate: form.firstDueDate,
+        intervalDays: Number(form.intervalDays),
+        note: form.note || undefined
+      });
+      setPlan(res.data?.plan || null);
+      setFormOpen(false);
+      if (res.data?.invoice && onInvoiceUpdate) onInvoiceUpdate(res.data.invoice);
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to create installment plan');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const cancelPlan = async () => {
+    if (!window.confirm('Cancel this installment plan? The invoice goes back to its original due date.')) return;
+    setBusy(true);
+    setError('');
+    try {
+      const res = await api.delete(`/invoices/${invoiceId}/installments`);
+      setPlan(null);
+      if (res.data?.invoice && onInvoiceUpdate) onInvoiceUpdate(res.data.invoice);
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to cancel installment plan');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!plan && !canCreate) return null;
+
+  if (!plan) {
+    return (
+      <div className="mt-4 rounded-xl border border-sky-100 bg-sky-50/40 p-4">
+        <div className="flex items-center justify-between gap-2">
+          <h4 className="flex items-center gap-2 text-sm font-semibold text-sky-800">
+            <CalendarClock className="h-4 w-4" /> Installments
+          </h4>
+          {!formOpen && (
+            <button
+              type="button"
+              onClick={() => setFormOpen(true)}
+              className="rounded bg-white px-2 py-1 text-[11px] font-semibold text-sky-700 shadow-sm hover:bg-sky-100"
+            >
+              Split into installments
+            </button>
+          )}
+        </div>
+        {formOpen && (
+          <form onSubmit={createPlan} className="mt-3 grid gap-2 sm:grid-cols-4">
+            <label className="text-[11px] font-medium text-slate-600">
+              Installments
+              <input
+                type="number"
+                min="2"
+                max="12"
+                value={form.count}
+                onChange={(e) => setForm((prev) => ({ ...prev, count: e.target.value }))}
+                className="mt-1 w-full rounded-lg border border-slate-200 px-2 py-1 text-xs"
+              />
+            </label>
+            <label className="text-[11px] font-medium text-slate-600">
+              First due date
+              <input
+                type="date"
+                value={form.firstDueDate}
+                onChange={(e) => setForm((prev) => ({ ...prev, firstDueDate: e.target.value }))}
+                className="mt-1 w-full rounded-lg border border-slate-200 px-2 py-1 text-xs"
+              />
+            </label>
+            <label className="text-[11px] font-medium text-slate-600">
+              Every (days)
+              <input
+                type="number"
+                min="1"
+                max="90"
+                value={form.intervalDays}
+                onChange={(e) => setForm((prev) => ({ ...prev, intervalDays: e.target.value }))}
+                className="mt-1 w-full rounded-lg border border-slate-200 px-2 py-1 text-xs"
+              />
+            </label>
+            <label className="text-[11px] font-medium text-slate-600">
+              Note
+              <input
+                type="text"
+                value={form.note}
+                onChange={(e) => setForm((prev) => ({ ...prev, note: e.target.value }))}
+                className="mt-1 w-full rounded-lg border border-slate-200 px-2 py-1 text-xs"
+              />
+            </label>
+            <div className="flex items-center justify-end gap-2 sm:col-span-4">
+              <button
+                type="button"
+                onClick={() => setFormOpen(false)}
+                className="inline-flex items-center gap-1 rounded px-2 py-1 text-[11px] font-semibold text-slate-500 hover:bg-slate-100"
+              >
+                <X className="h-3 w-3" /> Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={busy}
+                className="rounded bg-sky-600 px-3 py-1 text-[11px] font-semibold text-white hover:bg-sky-700 disabled:opacity-50"
+              >
+                {busy ? 'Creating…' : 'Create plan'}
+              </button>
+            </div>
+          </form>
+        )}
+        {error && <p className="mt-2 text-xs text-rose-700">{error}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-4 rounded-xl border border-sky-100 bg-sky-50/40 p-4">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+        <h4 className="flex items-center gap-2 text-sm font-semibold text-sky-800">
+          <CalendarClock className="h-4 w-4" /> Installments
+          <span className="rounded bg-white px-1.5 py-0.5 text-[10px] font-medium text-sky-700">
+            {plan.paidCount}/{plan.totalCount} paid
+          </span>
+        </h4>
+        <div className="flex items-center gap-2 text-[11px] text-slate-500">
+          <span>{plan.releasedHours}h of {plan.totalHours}h released</span>
+          {isAdmin && plan.active && plan.paidCount === 0 && (
+            <button
+              type="button"
+              onClick={cancelPlan}
+              disabled={busy}
+              className="rounded bg-rose-50 px-2 py-1 text-[10px] font-semibold text-rose-700 hover:bg-rose-100 disabled:opacity-50"
+            >
+              {busy ? 'Cancelling…' : 'Cancel plan'}
+            </button>
+          )}
+        </div>
+      </div>
+      {error && <p className="mb-2 text-xs text-rose-700">{error}</p>}
+      <div className="space-y-1.5">
+        {plan.installments.map((inst) => (
+          <div key={inst._id || inst.sequence} className="flex flex-wrap items-center justify-between gap-2 rounded-lg border border-sky-100 bg-white px-3 py-2 text-xs">
+            <div className="flex items-center gap-2">
+              <span className="font-semibold text-slate-800">#{inst.sequence}</span>
+              <span className="text-slate-500">due {new Date(inst.dueDate).toLocaleDateString()}</span>
+              {inst.status === 'paid' && inst.paidAt && (
+                <span className="text-[11px] text-slate-400">paid {new Date(inst.paidAt).toLocaleDateString()}</span>
+              )}
+            </div>
+            <div className="flex items-center gap-2">
+              <span className="text-slate-500">{inst.hours}h</span>
+              <span className="font-semibold text-slate-800">{formatMoney(inst.amount, plan.currency)}</span>
+              <span className={`rounded px-1.5 py-0.5 text-[10px] font-medium ${STATUS_STYLES[inst.status] || STATUS_STYLES.pending}`}>
+                {inst.status === 'overdue' ? `${inst.daysOverdue}d overdue` : inst.status}
+              </span>
+            </div>
+          </div>
+        ))}
+      </div>
+      {plan.note && <p className="mt-2 text-[11px] text-slate-500">{plan.note}</p>}
+    </div>
+  );
+};
+
+export default InvoiceInstallments;
@@ -1,7 +1,8 @@
 import React, { useEffect, useMemo, useState } from 'react';
-import { Link, useParams } from 'react-router-dom';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
 import {
   ArrowLeft,
+  CreditCard,
   FileText,
   Mail,
   Phone,
@@ -11,7 +12,8 @@ import {
   CheckCircle2,
   Clock,
   XCircle,
-  AlertTriangle
+  AlertTriangle,
+  CalendarClock
 } from 'lucide-react';
 import api from '../../api/axios';
 import LoadingSpinner from '../ui/LoadingSpinner';
@@ -110,12 +112,28 @@ const ClassStatusBadge = ({ status }) => {
   );
 };
 
+// Banner shown after the guardian comes back from the payment provider.
+const CHECKOUT_NOTICES = {
+  confirming: { tone: 'bg-sky-50 text-sky-800 ring-sky-200', text: 'Confirming your payment…' },
+  paid: { tone: 'bg-emerald-50 text-emerald-800 ring-emerald-200', text: 'Payment received — thank you! Your invoice is now paid.' },
+  pending: { tone: 'bg-amber-50 text-amber-800 ring-amber-200', text: 'Your payment is being processed. This page will show it as paid once the provider confirms it.' },
+  review: { tone: 'bg-amber-50 text-amber-800 ring-amber-200', text: 'Your payment was received and is being reviewed by our team.' },
+  failed: { tone: 'bg-red-50 text-red-700 ring-red-200', text: 'The payment did not go through. You can try again below.' },
+  cancelled: { tone: 'bg-slate-50 text-slate-700 ring-slate-200', text: 'Checkout was cancelled. No payment was taken.' },
+};
+
 const InvoicePublicPage = () => {
   const { slug } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [invoice, setInvoice] = useState(null);
+  const [checkout, setCheckout] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [branding, setBranding] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [checkoutNotice, setCheckoutNotice] = useState(null);
+  const [startingProvider, setStartingProvider] = useState(null);
+  const [checkoutError, setCheckoutError] = useState(null);
 
   useEffect(() => {
     let cancelled = false;
@@ -131,6 +149,7 @@ const InvoicePublicPage = () => {
           return;
         }
         setInvoice(data.invoice || null);
+        setCheckout(data.checkout || null);
       } catch (err) {
         if (!cancelled) {
           const message = err?.response?.data?.message || 'Unable to load this invoice.';
@@ -143,7 +162,64 @@ const InvoicePublicPage = () => {
 
     if (slug) fetchInvoice();
     return () => { cancelled = true; };
-  }, [slug]);
+  }, [slug, reloadKey]);
+
+  // Returning from the provider: confirm (capture) the order, then reload.
+  useEffect(() => {
+    const checkoutState = searchParams.get('checkout');
+    if (!checkoutState || !slug) return undefined;
+    let cancelled = false;
+
+    const clearParams = () => setSearchParams({}, { replace: true });
+
+    if (checkoutState === 'cancelled') {
+      setCheckoutNotice('cancelled');
+      clearParams();
+      return undefined;
+    }
+
+    const provider = searchParams.get('provider');
+    const orderId = searchParams.get('token') || searchParams.get('orderId') || searchParams.get('session_id');
+    if (checkoutState !== 'return' || !provider || !orderId) {
+      clearParams();
+      return undefined;
+    }
+
+    const confirm = async () => {
+      setCheckoutNotice('confirming');
+      try {
+        const { data } = await api.post(`/invoices/public/${slug}/checkout/confirm`, { provider, orderId });
+        if (cancelled) return;
+        setCheckoutNotice(CHECKOUT_NOTICES[data?.status] ? data.status : 'pending');
+      } catch (err) {
+        if (!cancelled) setCheckoutNotice('pending');
+      } finally {
+        if (!cancelled) {
+          clearParams();
+          setReloadKey((key) => key + 1);
+        }
+      }
+    };
+    confirm();
+    return () => { cancelled = true; };
+  }, [slug, searchParams, setSearchParams]);
+
+  const startCheckout = async (providerId) => {
+    setCheckoutError(null);
+    setStartingProvider(providerId);
+    try {
+      const { data } = await api.post(`/invoices/public/${slug}/checkout`, { provider: providerId });
+      if (!data?.success || !data.redirectUrl) {
+        setCheckoutError(data?.message || 'Unable to start checkout.');
+        setStartingProvider(null);
+        return;
+      }
+      window.location.assign(data.redirectUrl);
+    } catch (err) {
+      setCheckoutError(err?.response?.data?.message || 'Unable to start checkout. Please try again.');
+      setStartingProvider(null);
+    }
+  };
 
   useEffect(() => {
     let cancelled = false;
@@ -202,7 +278,8 @@ const InvoicePublicPage = () => {
     guardian,
     notes,
     items: rawItems = [],
-    coverage
+    coverage,
+    installmentPlan
   } = invoice;
 
   // Cancelled class statuses (must match backend and admin dashboard logic)
@@ -282,6 +359,82 @@ const InvoicePublicPage = () => {
           </div>
         </header>
 
+        {checkoutNotice && CHECKOUT_NOTICES[checkoutNotice] && (
+          <div className={`rounded-2xl px-5 py-3 text-sm font-medium ring-1 ${CHECKOUT_NOTICES[checkoutNotice].tone}`}>
+            {CHECKOUT_NOTICES[checkoutNotice].text}
+          </div>
+        )}
+
+        {checkout?.available && !isPaidStatus && (
+          <section className="rounded-3xl border border-emerald-100 bg-white p-6 shadow-lg">
+            <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+              <div>
+                <h2 className="text-sm font-semibold uppercase tracking-wide text-slate-700">Pay online</h2>
+                <p className="mt-1 text-sm text-slate-600">
+                  Amount due <span className="font-semibold text-slate-900">{formatCurrency(checkout.amountDue, checkout.currency || currency)}</span>
+                </p>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {checkout.providers.map((provider) => (
+                  <button
+                    key={provider.id}
+                    type="button"
+                    onClick={() => startCheckout(provider.id)}
+                    disabled={Boolean(startingProvider) || checkoutNotice === 'confirming'}
+                    className="inline-flex items-center gap-2 rounded-full bg-emerald-600 px-5 py-2 text-sm font-semibold text-white shadow-sm transition hover:bg-emerald-700 disabled:cursor-not-allowed disabled:opacity-60"
+                  >
+                    <CreditCard className="h-4 w-4" />
+                    {startingProvider === provider.id ? 'Redirecting…' : `Pay with ${provider.label}`}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {checkoutError && (
+              <p className="mt-3 text-xs text-red-600">{checkoutError}</p>
+            )}
+          </section>
+        )}
+
+        {installmentPlan?.installments?.length > 0 && (
+          <section className="rounded-3xl border border-sky-100 bg-white p-6 shadow-lg">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <h2 className="flex items-center gap-2 text-sm font-semibold uppercase tracking-wide text-slate-700">
+                <CalendarClock className="h-4 w-4 text-sky-600" />
+                Installment plan
+              </h2>
+              <p className="text-xs text-slate-500">
+                {installmentPlan.paidCount} of {installmentPlan.totalCount} paid
+                {installmentPlan.remainingAmount > 0 && ` · ${formatCurrency(installmentPlan.remainingAmount, installmentPlan.currency || currency)} remaining`}
+              </p>
+            </div>
+            <div className="mt-4 divide-y divide-slate-100 rounded-2xl border border-slate-100">
+              {installmentPlan.installments.map((inst) => (
+                <div key={inst._id || inst.sequence} className="flex flex-wrap items-center justify-between gap-2 px-4 py-3 text-sm">
+                  <div>
+                    <p className="font-semibold text-slate-900">Installment {inst.sequence}</p>
+                    <p className="text-xs text-slate-500">
+                      Due {formatDate(inst.dueDate)}
+                      {inst.status === 'paid' && inst.paidAt && ` · paid ${formatDate(inst.paidAt)}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <span className="font-semibold text-slate-900">{formatCurrency(inst.amount, installmentPlan.currency || currency)}</span>
+                    <span className={`rounded-full px-2.5 py-1 text-[11px] font-semibold ${
+                      inst.status === 'paid'
+                        ? 'bg-emerald-50 text-emerald-700'
+                        : inst.status === 'overdue'
+                          ? 'bg-rose-50 text-rose-700'
+                          : 'bg-slate-100 text-slate-600'
+                    }`}>
+                      {inst.status === 'overdue' ? `Overdue ${inst.daysOverdue}d` : inst.status === 'paid' ? 'Paid' : 'Upcoming'}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </section>
+        )}
+
         <section className="grid gap-6 md:grid-cols-2">
           <div className="rounded-3xl border border-slate-100 bg-white p-6 shadow-lg">
             <h2 className="text-sm font-semibold uppercase tracking-wide text-slate-700">Guardian</h2>
@@ -2,6 +2,8 @@ import React, { useEffect, useState, useMemo, useCallback, useRef } from 'react'
 import { useNavigate } from 'react-router-dom';
 import api from '../../api/axios';
 import LoadingSpinner from '../ui/LoadingSpinner';
+import InvoiceCreditNotes from './InvoiceCreditNotes';
+import InvoiceInstallments from './InvoiceInstallments';
 import jsPDF from 'jspdf';
 import 'jspdf-autotable';
 import * as XLSX from 'xlsx';
@@ -976,8 +978,10 @@ const InvoiceViewModal = ({ invoiceSlug, invoiceId, initialInvoice = null, onClo
   const totalMinutes = isRefillOnlyInvoice ? 0 : filteredClasses.reduce((sum, c) => sum + (c.duration || 0), 0);
   const totalHours = totalMinutes / 60;
   
-  // ✅ Priority: Live guardian data > stored snapshot
+  // ✅ Priority: Package tier locked on the invoice > live guardian data > stored snapshot
+  const billingPackage = invoice?.guardianFinancial?.billingPackage?.name ? invoice.guardianFinancial.billingPackage : null;
   const guardianRateCandidates = [
+    billingPackage?.pricePerHour,                 // Prepaid package tier price
     invoice?.guardian?.guardianInfo?.hourlyRate,  // LIVE data from guardian profile
     invoice?.guardianFinancial?.hourlyRate,       // Snapshot (fallback)
     invoice?.guardianRate                          // Legacy field (fallback)
@@ -1017,8 +1021,13 @@ const InvoiceViewModal = ({ invoiceSlug, invoiceId, initialInvoice = null, onClo
   const lateFeeAmount = roundCurrency(Math.max(0, toNumberOr(invoice?.lateFee, 0)));
   const tipAmount = roundCurrency(Math.max(0, toNumberOr(invoice?.tip, 0)));
   const transferFeeDisplayAmount = transferFeeWaivedPreview ? 0 : transferFeeAmount;
+  const taxRate = Math.max(0, toNumberOr(invoice?.taxRate, 0));
+  const taxAmount = taxRate > 0
+    ? roundCurrency((subtotal * taxRate) / 100)
+    : roundCurrency(Math.max(0, toNumberOr(invoice?.tax, 0)));
+  const taxDetails = invoice?.taxDetails || null;
   const computedTotalAmount = roundCurrency(
-    Math.max(0, subtotal - appliedDiscount + lateFeeAmount + tipAmount + transferFeeDisplayAmount)
+    Math.max(0, subtotal + taxAmount - appliedDiscount + lateFeeAmount + tipAmount + transferFeeDisplayAmount)
   );
   const totalAmount = computedTotalAmount;
   const paidAmount = roundCurrency(Math.max(0, toNumberOr(invoice?.paidAmount, 0)));
@@ -1028,6 +1037,13 @@ const InvoiceViewModal = ({ invoiceSlug, invoiceId, initialInvoice = null, onClo
   const isPaidStatus = ['paid', 'refunded'].includes(invoice?.status);
   const primaryAmount = isPaidStatus && paidAmount > 0 ? paidAmount : totalAmount;
   const primaryLabel = isPaidStatus ? 'Paid' : 'Invoice total';
+  const invoiceCurrency = invoice?.currency || 'USD';
+  const currencyPrefix = invoiceCurrency === 'USD' ? '$' : `${invoiceCurrency} `;
+  const lockedRate = invoice?.exchangeRateSnapshot?.rate && invoiceCurrency !== (invoice.exchangeRateSnapshot.baseCurrency || 'USD')
+    ? invoice.exchangeRateSnapshot
+    : null;
+  // No stored rate existed yet: the backend locks one as soon as it is added
+  const exchangeRatePending = Boolean(invoice?.exchangeRatePending || lockedRate?.isFallback);
 
   const actualHoursDisplay = useMemo(() => formatHoursValue(totalMinutes / 60), [totalMinutes, formatHoursValue]);
 
@@ -1162,15 +1178,27 @@ const InvoiceViewModal = ({ invoiceSlug, invoiceId, initialInvoice = null, onClo
     const doc = new jsPDF();
     doc.setFont('helvetica', 'normal');
 
+    const legalEntity = invoice.legalEntity?.name ? invoice.legalEntity : null;
     doc.setFontSize(16);
-    doc.text('Waraqa', 14, 20);
+    doc.text(legalEntity?.name || 'Waraqa', 14, 20);
     doc.setFontSize(10);
     doc.text('www.waraqaweb@gmail.com | waraqainc@gmail.com | +20 120 032 4956', 14, 28);
+    if (legalEntity) {
+      doc.setFontSize(8);
+      if (legalEntity.address) doc.text(legalEntity.address, 196, 16, { align: 'right' });
+      if (legalEntity.taxRegistrationNumber) doc.text(`Tax no. ${legalEntity.taxRegistrationNumber}`, 196, 21, { align: 'right' });
+    }
     doc.setFontSize(12);
-    const invoiceRef = invoice.invoiceName || invoice.invoiceNumber || '';
+    // Legal-series invoices must show their series number
+    const invoiceRef = (invoice.series?.prefix && invoice.invoiceNumber) || invoice.invoiceName || invoice.invoiceNumber || '';
     const invoiceLabel = invoiceRef ? `Invoice #${invoiceRef}` : 'Invoice';
     doc.text(invoiceLabel, 14, 38);
     doc.text(`Guardian: ${invoice.guardian?.firstName} ${invoice.guardian?.lastName}`, 14, 44);
+    if (taxDetails?.customerTaxId) {
+      doc.setFontSize(9);
+      doc.text(`Customer tax ID: ${taxDetails.customerTaxId}`, 196, 44, { align: 'right' });
+      doc.setFontSize(12);
+    }
 
     let yPosition = 50;
     Object.entries(studentSummary).forEach(([name, { count, hours }]) => {
@@ -1182,23 +1210,28 @@ const InvoiceViewModal = ({ invoiceSlug, invoiceId, initialInvoice = null, onClo
     yPosition += 6;
     doc.text(`Total Hours: ${totalHours.toFixed(2)}`, 14, yPosition);
     yPosition += 6;
-    doc.text(`Amount: $${amount.toFixed(2)}`, 14, yPosition);
+    doc.text(`Amount: ${currencyPrefix}${amount.toFixed(2)}`, 14, yPosition);
     yPosition += 6;
 
     // Add detailed breakdown lines (subtotal, transfer fee, discounts, fees, tip, paid, remaining)
     try {
       const lines = [];
-      lines.push(`Subtotal: $${subtotal.toFixed(2)}`);
+      lines.push(`Subtotal: ${currencyPrefix}${subtotal.toFixed(2)}`);
+      if (taxAmount > 0 || taxDetails?.reverseCharge) {
+        lines.push(`${taxDetails?.label || 'Tax'}${taxRate > 0 ? ` (${taxRate}%)` : ''}: ${currencyPrefix}${taxAmount.toFixed(2)}`);
+      }
+      if (taxDetails?.note) lines.push(taxDetails.note);
       if (transferFeeWaivedPreview) {
         lines.push(`Transfer fee: Waived`);
       } else {
-        lines.push(`Transfer fee: $${transferFeeDisplayAmount.toFixed(2)}`);
+        lines.push(`Transfer fee: ${currencyPrefix}${transferFeeDisplayAmount.toFixed(2)}`);
       }
-      if (appliedDiscount > 0) lines.push(`Discount: - $${appliedDiscount.toFixed(2)}`);
-      if (lateFeeAmount > 0) lines.push(`Late fee: $${lateFeeAmount.toFixed(2)}`);
-      if (tipAmount > 0) lines.push(`Tip: $${tipAmount.toFixed(2)}`);
-      lines.push(`Paid: $${paidAmount.toFixed(2)}`);
-      lines.push(`Remaining: $${remainingBalance.toFixed(2)}`);
+      if (appliedDiscount > 0) lines.push(`Discount: - ${currencyPrefix}${appliedDiscount.toFixed(2)}`);
+      if (lateFeeAmount > 0) lines.push(`Late fee: ${currencyPrefix}${lateFeeAmount.toFixed(2)}`);
+      if (tipAmount > 0) lines.push(`Tip: ${currencyPrefix}${tipAmount.toFixed(2)}`);
+      lines.push(`Paid: ${currencyPrefix}${paidAmount.toFixed(2)}`);
+      lines.push(`Remaining: ${currencyPrefix}${remainingBalance.toFixed(2)}`);
+      if (lockedRate && !exchangeRatePending) lines.push(`Exchange rate: 1 ${lockedRate.baseCurrency || 'USD'} = ${Number(lockedRate.rate).toFixed(4)} ${invoiceCurrency}`);
 
       for (const ln of lines) {
         doc.text(ln, 14, yPosition);
@@ -1862,7 +1895,7 @@ const InvoiceViewModal = ({ invoiceSlug, invoiceId, initialInvoice = null, onClo
   const handleUndoRefund = useCallback(async () => {
     const targetId = invoice?._id;
     if (!targetId || undoingRefund) return;
-    if (!window.confirm('Are you sure you want to undo the last refund? This will restore the payment, guardian hours, and invoice items.')) return;
+    if (!window.confirm('Are you sure you want to undo the last refund? Its credit note is voided and the guardian hours are restored.')) return;
     setUndoingRefund(true);
     try {
       const { data } = await api.post(`/invoices/${targetId}/undo-refund`);
@@ -2475,6 +2508,8 @@ const InvoiceViewModal = ({ invoiceSlug, invoiceId, initialInvoice = null, onClo
                         refund: 'Refund applied',
                         refund_adjustment: 'Refund adjusted',
                         undo_refund: 'Refund undone',
+                        credit_note_issued: 'Credit note issued',
+                        credit_note_voided: 'Credit note voided',
                         delivery: 'Invoice delivered',
                         note: 'Note added',
                         delete: 'Invoice deleted',
@@ -2507,6 +2542,11 @@ const InvoiceViewModal = ({ invoiceSlug, invoiceId, initialInvoice = null, onClo
                         if (diff.subtotal !== undefined) details.push(`Subtotal: $${Number(diff.subtotal).toFixed(2)}`);
                         if (diff.total !== undefined) details.push(`Total: $${Number(diff.total).toFixed(2)}`);
                         if (meta.note) details.push(meta.note);
+                      } else if (entry.action === 'credit_note_issued' || entry.action === 'credit_note_voided') {
+                        if (diff.creditNoteNumber) details.push(diff.creditNoteNumber);
+                        if (diff.amount !== undefined) details.push(`$${Number(diff.amount).toFixed(2)}`);
+                        if (diff.hours) details.push(`${diff.hours}h`);
+                        if (meta.reason) details.push(meta.reason);
                       } else if (entry.action === 'status_change') {
                         if (diff.from && diff.to) details.push(`${diff.from} → ${diff.to}`);
                         if (meta.note) details.push(meta.note);
@@ -2520,11 +2560,11 @@ const InvoiceViewModal = ({ invoiceSlug, invoiceId, initialInvoice = null, onClo
                       }
 
                       // Determine if this is the most recent refund entry (for undo button)
-                      const isRefundAction = entry.action === 'refund' || entry.action === 'refund_adjustment';
+                      const isRefundAction = ['refund', 'refund_adjustment', 'credit_note_issued'].includes(entry.action);
                       const lastRefundIdx = (() => {
                         for (let ri = historyEntries.length - 1; ri >= 0; ri--) {
                           const a = historyEntries[ri]?.action;
-                          if (a === 'refund' || a === 'refund_adjustment') return ri;
+                          if (['refund', 'refund_adjustment', 'credit_note_issued'].includes(a)) return ri;
                         }
                         return -1;
                       })();
@@ -2565,11 +2605,35 @@ const InvoiceViewModal = ({ invoiceSlug, invoiceId, initialInvoice = null, onClo
               </div>
             )}
 
+            {invoice?.type === 'guardian_invoice' && (
+              <InvoiceInstallments
+                invoice={invoice}
+                refreshKey={`${invoice?.paidAmount || 0}:${invoice?.updatedAt || ''}`}
+                isAdmin={isAdmin}
+                onInvoiceUpdate={(updated) => {
+                  if (onInvoiceUpdate) onInvoiceUpdate(updated);
+                  syncInvoiceState(updated);
+                }}
+              />
+            )}
+
+            {invoice?.type === 'guardian_invoice' && (
+              <InvoiceCreditNotes
+                invoiceId={invoice?._id}
+                refreshKey={`${invoice?.credited?.count || 0}:${invoice?.updatedAt || ''}`}
+                isAdmin={isAdmin}
+                onInvoiceUpdate={(updated) => {
+                  if (onInvoiceUpdate) onInvoiceUpdate(updated);
+                  syncInvoiceState(updated);
+                }}
+              />
+            )}
+
             <div className="mt-6 grid items-stretch gap-4 sm:grid-cols-2 lg:grid-cols-3">
               <div className="flex h-full flex-col rounded-2xl border border-slate-200 bg-white px-5 py-4 shadow-sm">
               <div className="mt-2 space-y-2">
                       <div>
-                        <p className="text-2xl font-semibold text-slate-900">${primaryAmount.toFixed(2)}</p>
+                        <p className="text-2xl font-semibold text-slate-900">{currencyPrefix}{primaryAmount.toFixed(2)}</p>
                         <p className="text-xs uppercase tracking-wide text-slate-400">{primaryLabel}</p>
                       </div>
                       <div className="flex flex-wrap items-center gap-2 pt-1">
@@ -2583,18 +2647,30 @@ const InvoiceViewModal = ({ invoiceSlug, invoiceId, initialInvoice = null, onClo
                           {(() => {
                             const rates = [...new Set(filteredClasses.map(c => (c.rate != null) ? c.rate : guardianRate))];
                             if (rates.length > 1) return 'Mixed rates';
-                            return `$${(rates[0] ?? guardianRate).toFixed(2)} / hr`;
+                            return `${currencyPrefix}${(rates[0] ?? guardianRate).toFixed(2)} / hr`;
                           })()}
                         </span>
+                        {billingPackage && (
+                          <span
+                            className="inline-flex items-center rounded-full bg-violet-50 px-2.5 py-1 text-[11px] font-semibold text-violet-700"
+                            title={billingPackage.expiresAt
+                              ? `Hours valid until ${formatDateDDMMMYYYY(billingPackage.expiresAt)}`
+                              : (Number(billingPackage.validityDays) > 0 ? `Hours valid ${billingPackage.validityDays} days from payment` : undefined)}
+                          >
+                            {billingPackage.name} · {billingPackage.tierHours}h
+                            {Number(billingPackage.siblingDiscountPercent) > 0 ? ` · siblings −${billingPackage.siblingDiscountPercent}%` : ''}
+                            {Number(billingPackage.expiredHours) > 0 ? ` · ${Number(billingPackage.expiredHours).toFixed(2)}h expired` : ''}
+                          </span>
+                        )}
                       </div>
                       <div className="space-y-1 text-sm text-slate-600">
                         <div className="flex justify-between">
                           {(() => {
                             const rates = [...new Set(filteredClasses.map(c => (c.rate != null) ? c.rate : guardianRate))];
                             if (rates.length > 1) return <span>Subtotal ({subtotalHoursDisplay}h, mixed rates)</span>;
-                            return <span>Subtotal ({subtotalHoursDisplay}h × ${(rates[0] ?? guardianRate).toFixed(2)})</span>;
+                            return <span>Subtotal ({subtotalHoursDisplay}h × {currencyPrefix}{(rates[0] ?? guardianRate).toFixed(2)})</span>;
                           })()}
-                          <span className="font-medium text-slate-900">${subtotal.toFixed(2)}</span>
+                          <span className="font-medium text-slate-900">{currencyPrefix}{subtotal.toFixed(2)}</span>
                         </div>
                         
                         <div className="flex justify-between">
@@ -2603,29 +2679,38 @@ const InvoiceViewModal = ({ invoiceSlug, invoiceId, initialInvoice = null, onClo
                           <span className={transferFeeWaivedPreview && isAdmin ? 'font-semibold text-emerald-600' : 'font-medium text-slate-900'}>
                             {transferFeeWaivedPreview && isAdmin
                               ? 'Waived'
-                              : `$${transferFeeDisplayAmount.toFixed(2)}`}
+                              : `${currencyPrefix}${transferFeeDisplayAmount.toFixed(2)}`}
                           </span>
                         </div>
                         {!transferFeeWaivedPreview && transferFeeDetails.mode === 'percent' && transferFeeValueDisplay > 0 && (
                           <p className="text-xs text-slate-500">{transferFeeValueDisplay}% of subtotal</p>
                         )}
+                        {(taxAmount > 0 || taxDetails?.reverseCharge) && (
+                          <div className="flex justify-between">
+                            <span>{taxDetails?.label || 'Tax'}{taxRate > 0 ? ` (${taxRate}%)` : ''}</span>
+                            <span className="text-slate-900">{currencyPrefix}{taxAmount.toFixed(2)}</span>
+                          </div>
+                        )}
+                        {taxDetails?.note && (
+                          <p className="text-xs text-slate-500">{taxDetails.note}</p>
+                        )}
                         {appliedDiscount > 0 && (
                           <div className="flex justify-between">
                             <span>Discount</span>
-                            <span className="text-slate-900">- ${appliedDiscount.toFixed(2)}</span>
+                            <span className="text-slate-900">- {currencyPrefix}{appliedDiscount.toFixed(2)}</span>
                           </div>
                         )}
                         {lateFeeAmount > 0 && (
                           <div className="flex justify-between">
                             <span>Late fee</span>
-                            <span className="text-slate-900">${lateFeeAmount.toFixed(2)}</span>
+                            <span className="text-slate-900">{currencyPrefix}{lateFeeAmount.toFixed(2)}</span>
                           </div>
                         )}
                         {tipAmount > 0 && (
                           <>
                             <div className="flex justify-between">
                               <span>Tip</span>
-                              <span className="text-slate-900">${tipAmount.toFixed(2)}</span>
+                              <span className="text-slate-900">{currencyPrefix}{tipAmount.toFixed(2)}</span>
                             </div>
                             {(() => {
                               const items = Array.isArray(invoice?.items) ? invoice.items : [];
@@ -2649,7 +2734,7 @@ const InvoiceViewModal = ({ invoiceSlug, invoiceId, initialInvoice = null, onClo
                               if (names.length === 1) {
                                 return (
                                   <p className="text-xs text-slate-500">
-                                    {names[0]} receives ${perTeacher.toFixed(2)}
+                                    {names[0]} receives {currencyPrefix}{perTeacher.toFixed(2)}
                                   </p>
                                 );
                               }
@@ -2657,7 +2742,7 @@ const InvoiceViewModal = ({ invoiceSlug, invoiceId, initialInvoice = null, onClo
                               const [firstName, secondName] = names;
                               return (
                                 <p className="text-xs text-slate-500">
-                                  {firstName} and {secondName} split ${perTeacher.toFixed(2)} each
+                                  {firstName} and {secondName} split {currencyPrefix}{perTeacher.toFixed(2)} each
                                   {names.length > 2 ? ' (and others)' : ''}
                                 </p>
                               );
@@ -2666,8 +2751,19 @@ const InvoiceViewModal = ({ invoiceSlug, invoiceId, initialInvoice = null, onClo
                         )}
                         <div className="flex justify-between pt-2">
                           <span>Paid</span>
-                          <span>${paidAmount.toFixed(2)}</span>
+                          <span>{currencyPrefix}{paidAmount.toFixed(2)}</span>
                         </div>
+                        {exchangeRatePending ? (
+                          <div className="flex justify-between text-xs text-amber-700" title={`No USD/${invoiceCurrency} rate is stored yet; add one to lock this invoice`}>
+                            <span>Exchange rate</span>
+                            <span>Pending</span>
+                          </div>
+                        ) : lockedRate && (
+                          <div className="flex justify-between text-xs text-slate-500">
+                            <span>Exchange rate</span>
+                            <span>1 {lockedRate.baseCurrency || 'USD'} = {Number(lockedRate.rate).toFixed(4)} {invoiceCurrency}</span>
+                          </div>
+                        )}
                         {isAdmin && !isPaidStatus && (
                           <div className="pt-2">
                             <input
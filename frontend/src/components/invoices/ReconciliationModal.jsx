@@ -0,0 +1,448 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { FileSpreadsheet, RefreshCw, Search, Upload, X } from 'lucide-react';
+import api from '../../api/axios';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+const inputClass = 'rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-sm text-slate-900 focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200';
+const labelClass = 'text-[11px] font-semibold uppercase tracking-wide text-slate-400';
+
+const TABS = [
+  { id: 'open', label: 'To review' },
+  { id: 'matched', label: 'Matched' },
+  { id: 'ignored', label: 'Ignored' }
+];
+
+const formatMoney = (value, currency) => {
+  const numeric = Number(value) || 0;
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(numeric);
+  } catch (err) {
+    return `${numeric.toFixed(2)} ${currency || ''}`.trim();
+  }
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+/**
+ * Import bank / InstaPay / PayPal CSV statements and reconcile the incoming
+ * payments with open guardian invoices. Lines with a suggested invoice are
+ * pre-selected; confirming records the payment on the invoice.
+ */
+const ReconciliationModal = ({ open, onClose, onPaymentsApplied }) => {
+  const [tab, setTab] = useState('open');
+  const [lines, setLines] = useState([]);
+  const [summary, setSummary] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [upload, setUpload] = useState({ file: null, source: 'bank', dateFormat: '', currency: '' });
+  // lineId -> invoiceId chosen for confirmation
+  const [choices, setChoices] = useState({});
+  const [selected, setSelected] = useState({});
+  const [search, setSearch] = useState({ lineId: '', q: '', results: [] });
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await api.get('/reconciliation/lines', { params: { status: tab, limit: 200 } });
+      const nextLines = Array.isArray(res.data?.lines) ? res.data.lines : [];
+      setLines(nextLines);
+      setSummary(res.data?.summary || {});
+      const nextChoices = {};
+      const nextSelected = {};
+      nextLines.forEach((line) => {
+        const top = line.suggestions?.[0];
+        if (top) {
+          nextChoices[line._id] = String(top.invoice);
+          nextSelected[line._id] = true;
+        }
+      });
+      setChoices(nextChoices);
+      setSelected(tab === 'open' ? nextSelected : {});
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to load statement lines');
+    } finally {
+      setLoading(false);
+    }
+  }, [tab]);
+
+  useEffect(() => {
+    if (open) load();
+  }, [open, load]);
+
+  const selectedIds = useMemo(() => Object.keys(selected).filter((id) => selected[id]), [selected]);
+  const confirmable = selectedIds.filter((id) => choices[id]);
+
+  const handleImport = async () => {
+    if (!upload.file) {
+      setError('Choose a CSV file first');
+      return;
+    }
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      const form = new FormData();
+      form.append('file', upload.file);
+      form.append('source', upload.source);
+      if (upload.dateFormat) form.append('dateFormat', upload.dateFormat);
+      if (upload.currency) form.append('currency', upload.currency);
+      const res = await api.post('/reconciliation/import', form, { headers: { 'Content-Type': 'multipart/form-data' } });
+      const { imported = 0, duplicates = 0, suggested = 0, unmatched = 0, skipped = {} } = res.data || {};
+      const skippedCount = (skipped.debits || 0) + (skipped.incomplete || 0) + (skipped.invalid || 0);
+      setMessage(`Imported ${imported} payment(s): ${suggested} with a suggested invoice, ${unmatched} to review. ${duplicates} already imported, ${skippedCount} row(s) skipped.`);
+      setUpload((prev) => ({ ...prev, file: null }));
+      if (tab === 'open') await load();
+      else setTab('open');
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to import statement');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    if (!confirmable.length) return;
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      const matches = confirmable.map((lineId) => ({ lineId, invoiceId: choices[lineId] }));
+      const res = await api.post('/reconciliation/lines/confirm', { matches });
+      const failed = (res.data?.results || []).filter((row) => !row.success);
+      setMessage(`Recorded ${res.data?.confirmed || 0} payment(s).${failed.length ? ` ${failed.length} failed — see the line notes.` : ''}`);
+      if (res.data?.confirmed && onPaymentsApplied) onPaymentsApplied();
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to confirm matches');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleIgnore = async () => {
+    if (!selectedIds.length) return;
+    const note = window.prompt(`Ignore ${selectedIds.length} line(s)? Optional note:`);
+    if (note === null) return;
+    setBusy(true);
+    setError('');
+    try {
+      const res = await api.post('/reconciliation/lines/ignore', { lineIds: selectedIds, note });
+      setMessage(`Ignored ${res.data?.ignored || 0} line(s).`);
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to ignore lines');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRescore = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await api.post('/reconciliation/lines/suggest', {});
+      setMessage(`Re-scored ${res.data?.processed || 0} line(s); ${res.data?.suggested || 0} have suggestions.`);
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to refresh suggestions');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReopen = async (lineId) => {
+    setBusy(true);
+    setError('');
+    try {
+      await api.post(`/reconciliation/lines/${lineId}/reopen`);
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to reopen line');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const runSearch = async (lineId, q) => {
+    setSearch({ lineId, q, results: [] });
+    try {
+      const res = await api.get('/reconciliation/candidates', { params: { q, lineId } });
+      setSearch({ lineId, q, results: Array.isArray(res.data?.candidates) ? res.data.candidates : [] });
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to search invoices');
+    }
+  };
+
+  const pickCandidate = (lineId, candidate) => {
+    setLines((prev) => prev.map((line) => {
+      if (line._id !== lineId) return line;
+      const exists = (line.suggestions || []).some((s) => String(s.invoice) === String(candidate.invoice));
+      return exists ? line : { ...line, suggestions: [...(line.suggestions || []), candidate] };
+    }));
+    setChoices((prev) => ({ ...prev, [lineId]: String(candidate.invoice) }));
+    setSelected((prev) => ({ ...prev, [lineId]: true }));
+    setSearch({ lineId: '', q: '', results: [] });
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/50 backdrop-blur-sm">
+      <div className="relative flex max-h-[90vh] w-full max-w-6xl flex-col rounded-3xl bg-white shadow-2xl">
+        <button
+          type="button"
+          onClick={onClose}
+          className="absolute right-4 top-4 inline-flex h-9 w-9 items-center justify-center rounded-full border border-slate-200 text-slate-500 transition hover:border-slate-300 hover:text-slate-900"
+          aria-label="Close bank import"
+        >
+          <X className="h-4 w-4" />
+        </button>
+
+        <div className="px-6 py-5">
+          <h2 className="flex items-center gap-2 text-xl font-semibold text-slate-900">
+            <FileSpreadsheet className="h-5 w-5 text-slate-500" /> Bank import &amp; reconciliation
+          </h2>
+          <p className="mt-1 text-sm text-slate-500">
+            Upload a bank, InstaPay or PayPal CSV export. Incoming payments are matched to open invoices by amount, reference, payer name and date.
+          </p>
+        </div>
+
+        <div className="flex-1 space-y-4 overflow-y-auto border-t border-slate-100 px-6 pb-6 pt-4">
+          {error && <div className="rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-700">{error}</div>}
+          {message && <div className="rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-700">{message}</div>}
+
+          <section className="flex flex-wrap items-end gap-3 rounded-2xl border border-slate-200 p-4">
+            <label className="flex flex-col gap-1">
+              <span className={labelClass}>Source</span>
+              <select className={inputClass} value={upload.source} onChange={(e) => setUpload((prev) => ({ ...prev, source: e.target.value }))}>
+                <option value="bank">Bank transfer</option>
+                <option value="instapay">InstaPay</option>
+                <option value="paypal">PayPal</option>
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className={labelClass}>Date format</span>
+              <select className={inputClass} value={upload.dateFormat} onChange={(e) => setUpload((prev) => ({ ...prev, dateFormat: e.target.value }))}>
+                <option value="">Auto</option>
+                <option value="DMY">DD/MM/YYYY</option>
+                <option value="MDY">MM/DD/YYYY</option>
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className={labelClass}>Currency (if not in file)</span>
+              <input
+                className={`${inputClass} w-24 uppercase`}
+                maxLength={3}
+                value={upload.currency}
+                onChange={(e) => setUpload((prev) => ({ ...prev, currency: e.target.value.toUpperCase() }))}
+                placeholder="USD"
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className={labelClass}>CSV file</span>
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                className="text-sm text-slate-600"
+                onChange={(e) => setUpload((prev) => ({ ...prev, file: e.target.files?.[0] || null }))}
+              />
+            </label>
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={busy || !upload.file}
+              className="inline-flex items-center gap-2 rounded-full bg-slate-900 px-4 py-2 text-sm font-medium text-white hover:bg-slate-800 disabled:opacity-50"
+            >
+              <Upload className="h-4 w-4" /> Import
+            </button>
+          </section>
+
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="flex gap-1 rounded-full bg-slate-100 p-1">
+              {TABS.map((item) => {
+                const count = item.id === 'open'
+                  ? (summary.unmatched || 0) + (summary.suggested || 0)
+                  : (summary[item.id] || 0);
+                return (
+                  <button
+                    key={item.id}
+                    type="button"
+                    onClick={() => setTab(item.id)}
+                    className={`rounded-full px-3 py-1 text-xs font-medium ${tab === item.id ? 'bg-white text-slate-900 shadow' : 'text-slate-500 hover:text-slate-700'}`}
+                  >
+                    {item.label} ({count})
+                  </button>
+                );
+              })}
+            </div>
+            {tab === 'open' && (
+              <div className="flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  onClick={handleRescore}
+                  disabled={busy}
+                  className="inline-flex items-center gap-1 rounded-full border border-slate-200 px-3 py-1.5 text-xs font-medium text-slate-600 hover:bg-slate-50 disabled:opacity-50"
+                >
+                  <RefreshCw className="h-3.5 w-3.5" /> Re-match
+                </button>
+                <button
+                  type="button"
+                  onClick={handleIgnore}
+                  disabled={busy || !selectedIds.length}
+                  className="rounded-full border border-slate-200 px-3 py-1.5 text-xs font-medium text-slate-600 hover:bg-slate-50 disabled:opacity-50"
+                >
+                  Ignore selected
+                </button>
+                <button
+                  type="button"
+                  onClick={handleConfirm}
+                  disabled={busy || !confirmable.length}
+                  className="rounded-full bg-emerald-600 px-3 py-1.5 text-xs font-semibold text-white hover:bg-emerald-700 disabled:opacity-50"
+                >
+                  {busy ? 'Working…' : `Confirm ${confirmable.length} match(es)`}
+                </button>
+              </div>
+            )}
+          </div>
+
+          {loading ? (
+            <div className="flex justify-center py-10"><LoadingSpinner /></div>
+          ) : !lines.length ? (
+            <p className="py-8 text-center text-sm text-slate-500">No statement lines here.</p>
+          ) : (
+            <div className="overflow-x-auto rounded-2xl border border-slate-200">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-50 text-left text-[11px] uppercase tracking-wide text-slate-500">
+                  <tr>
+                    {tab === 'open' && <th className="w-8 px-3 py-2" />}
+                    <th className="px-3 py-2">Date</th>
+                    <th className="px-3 py-2 text-right">Amount</th>
+                    <th className="px-3 py-2">Payer / details</th>
+                    <th className="px-3 py-2">Invoice</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-100">
+                  {lines.map((line) => (
+                    <tr key={line._id} className="align-top">
+                      {tab === 'open' && (
+                        <td className="px-3 py-2">
+                          <input
+                            type="checkbox"
+                            checked={Boolean(selected[line._id])}
+                            onChange={(e) => setSelected((prev) => ({ ...prev, [line._id]: e.target.checked }))}
+                          />
+                        </td>
+                      )}
+                      <td className="whitespace-nowrap px-3 py-2 text-slate-600">
+                        {formatDate(line.date)}
+                        <div className="text-[10px] uppercase text-slate-400">{line.source}</div>
+                      </td>
+                      <td className="whitespace-nowrap px-3 py-2 text-right font-semibold text-slate-900">{formatMoney(line.amount, line.currency)}</td>
+                      <td className="px-3 py-2">
+                        <div className="font-medium text-slate-800">{line.payerName || '—'}</div>
+                        <div className="text-xs text-slate-500">{[line.reference, line.description].filter(Boolean).join(' · ')}</div>
+                        {line.lastError && <div className="mt-1 text-xs text-rose-600">{line.lastError}</div>}
+                        {line.note && <div className="mt-1 text-xs italic text-slate-400">{line.note}</div>}
+                      </td>
+                      <td className="min-w-[280px] px-3 py-2">
+                        {tab === 'matched' && (
+                          <div className="text-xs text-slate-700">
+                            {line.matchedInvoice?.invoiceNumber || line.matchedInvoice?.invoiceName || '—'}
+                            <div className="text-slate-400">Tx {line.transactionId} · {formatDate(line.matchedAt)}</div>
+                          </div>
+                        )}
+                        {tab === 'ignored' && (
+                          <button
+                            type="button"
+                            onClick={() => handleReopen(line._id)}
+                            disabled={busy}
+                            className="rounded-full border border-slate-200 px-3 py-1 text-xs text-slate-600 hover:bg-slate-50 disabled:opacity-50"
+                          >
+                            Back to review
+                          </button>
+                        )}
+                        {tab === 'open' && (
+                          <div className="space-y-1">
+                            {(line.suggestions || []).map((suggestion) => (
+                              <label key={String(suggestion.invoice)} className="flex items-start gap-2 text-xs text-slate-700">
+                                <input
+                                  type="radio"
+                                  name={`choice-${line._id}`}
+                                  checked={choices[line._id] === String(suggestion.invoice)}
+                                  onChange={() => {
+                                    setChoices((prev) => ({ ...prev, [line._id]: String(suggestion.invoice) }));
+                                    setSelected((prev) => ({ ...prev, [line._id]: true }));
+                                  }}
+                                />
+                                <span>
+                                  <span className="font-semibold">{suggestion.invoiceNumber}</span> · {suggestion.guardianName || '—'} · due {formatMoney(suggestion.amountDue, suggestion.currency)}
+                                  {suggestion.score > 0 && (
+                                    <span className="block text-[10px] text-slate-400">score {suggestion.score}: {(suggestion.reasons || []).join(', ')}</span>
+                                  )}
+                                </span>
+                              </label>
+                            ))}
+                            {search.lineId === line._id ? (
+                              <div className="space-y-1 rounded-lg bg-slate-50 p-2">
+                                <form
+                                  className="flex gap-1"
+                                  onSubmit={(e) => { e.preventDefault(); runSearch(line._id, search.q); }}
+                                >
+                                  <input
+                                    className={`${inputClass} flex-1 py-1 text-xs`}
+                                    value={search.q}
+                                    onChange={(e) => setSearch((prev) => ({ ...prev, q: e.target.value }))}
+                                    placeholder="Invoice no. or guardian"
+                                    autoFocus
+                                  />
+                                  <button type="submit" className="rounded-lg bg-slate-900 px-2 text-xs text-white">Search</button>
+                                </form>
+                                {search.results.map((candidate) => (
+                                  <button
+                                    key={String(candidate.invoice)}
+                                    type="button"
+                                    onClick={() => pickCandidate(line._id, candidate)}
+                                    className="block w-full rounded px-2 py-1 text-left text-xs text-slate-700 hover:bg-white"
+                                  >
+                                    <span className="font-semibold">{candidate.invoiceNumber}</span> · {candidate.guardianName || '—'} · due {formatMoney(candidate.amountDue, candidate.currency)}
+                                  </button>
+                                ))}
+                              </div>
+                            ) : (
+                              <button
+                                type="button"
+                                onClick={() => runSearch(line._id, '')}
+                                className="inline-flex items-center gap-1 text-xs text-slate-500 hover:text-slate-800"
+                              >
+                                <Search className="h-3 w-3" /> Find invoice
+                              </button>
+                            )}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 border-t border-slate-100 px-6 py-4">
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-full border border-slate-200 px-4 py-2 text-sm text-slate-600 hover:bg-slate-50"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReconciliationModal;
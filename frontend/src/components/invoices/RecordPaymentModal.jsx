@@ -97,21 +97,35 @@ const RecordPaymentModal = ({ invoice, invoiceId, onClose, onUpdated, onOpenInvo
     return 10;
   }, [localInvoice, resolvedClassEntries]);
 
+  // The fee is collected with the first payment; only its unpaid part is still owed (matches backend)
   const transferFeeAmount = useMemo(() => {
     const tf = localInvoice?.guardianFinancial?.transferFee;
     if (!tf || tf.waived) return 0;
     const amount = Number(tf.amount || 0);
-    return Number.isFinite(amount) && amount > 0 ? Math.round(amount * 100) / 100 : 0;
+    if (!Number.isFinite(amount) || amount <= 0) return 0;
+    const paid = Math.max(0, Number(localInvoice?.paidAmount || 0) || 0);
+    return Math.round(Math.max(0, amount - paid) * 100) / 100;
   }, [localInvoice]);
 
+  // Country tax rules: tax applies to the hours portion, not the transfer fee (matches backend)
+  const taxRate = useMemo(() => {
+    const rate = Number(localInvoice?.taxRate || 0);
+    return Number.isFinite(rate) && rate > 0 ? rate : 0;
+  }, [localInvoice]);
+
+  const withTax = React.useCallback((baseAmount) => {
+    const base = Math.round(Number(baseAmount || 0) * 100) / 100;
+    return Math.round((base + Math.round(((base * taxRate) / 100) * 100) / 100) * 100) / 100;
+  }, [taxRate]);
+
   const computeAmountFromHours = React.useCallback((hoursValue) => {
     const hrs = Number(hoursValue);
     if (!Number.isFinite(hrs) || hrs <= 0 || hourlyRate <= 0) {
       return null;
     }
-    const base = Math.round((hrs * hourlyRate) * 100) / 100;
+    const base = withTax(hrs * hourlyRate);
     return Math.round((base + transferFeeAmount) * 100) / 100;
-  }, [hourlyRate, transferFeeAmount]);
+  }, [hourlyRate, transferFeeAmount, withTax]);
 
   const computeHoursFromAmount = React.useCallback((amountValue) => {
     const amt = Number(amountValue);
@@ -122,8 +136,8 @@ const RecordPaymentModal = ({ invoice, invoiceId, onClose, onUpdated, onOpenInvo
     if (basePortion <= 0) {
       return 0;
     }
-    return Math.round((basePortion / hourlyRate) * 1000) / 1000;
-  }, [hourlyRate, transferFeeAmount]);
+    return Math.round((basePortion / (hourlyRate * (1 + taxRate / 100))) * 1000) / 1000;
+  }, [hourlyRate, transferFeeAmount, taxRate]);
 
   useEffect(() => {
     if (invoice) {
@@ -343,11 +357,11 @@ const RecordPaymentModal = ({ invoice, invoiceId, onClose, onUpdated, onOpenInvo
       nextIdx = boundaries.hours.length - 1;
     }
     const nextHrs = boundaries.hours[nextIdx] || null;
-    const nextAmt = Number.isFinite(nextHrs) ? Math.round(nextHrs * hourlyRate * 100) / 100 : null;
+    const nextAmt = Number.isFinite(nextHrs) ? withTax(nextHrs * hourlyRate) : null;
     const coveredDate = boundaries.dates[nextIdx] ? formatDateDDMMMYYYY(new Date(boundaries.dates[nextIdx])) : null;
     // Show as info only, not as validation error
     setBoundaryHint({ valid: true, nextHours: nextHrs, nextAmount: nextAmt, coveredUntil: coveredDate, isInfo: true });
-  }, [form.hoursPaid, boundaries, hourlyRate]);
+  }, [form.hoursPaid, boundaries, hourlyRate, withTax]);
 
   const computeEndDateFromHours = React.useCallback((hoursValue) => {
     const hrs = Number(hoursValue);
@@ -647,7 +661,7 @@ const RecordPaymentModal = ({ invoice, invoiceId, onClose, onUpdated, onOpenInvo
       if (m && m[1]) {
         const suggestedHrs = Number(m[1]);
         if (Number.isFinite(suggestedHrs)) {
-          const suggestedAmt = Math.round(suggestedHrs * hourlyRate * 100) / 100;
+          const suggestedAmt = withTax(suggestedHrs * hourlyRate);
           setBoundaryHint({ valid: false, nextHours: suggestedHrs, nextAmount: suggestedAmt, coveredUntil: boundaryHint?.coveredUntil || null });
         }
       }
@@ -786,7 +800,7 @@ const RecordPaymentModal = ({ invoice, invoiceId, onClose, onUpdated, onOpenInvo
                             onClick={() => {
                               const h = boundaryHint.nextHours;
                               // Base amount by hours
-                              let a = Math.round(h * hourlyRate * 100) / 100;
+                              let a = withTax(h * hourlyRate);
                               // If this is the final boundary, include transfer fee so invoice can be fully paid
                               try {
                                 const lastBoundary = (boundaries.hours || [])[boundaries.hours.length - 1];
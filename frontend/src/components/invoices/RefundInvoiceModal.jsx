@@ -113,10 +113,17 @@ const RefundInvoiceModal = ({ invoiceId, onClose, onUpdated }) => {
     return refundableItems.reduce((sum, it) => sum + ((Number(it?.duration || 0) || 0) / 60), 0);
   }, [invoice]);
 
+  // Tax collected on the refunded hours is returned with them (matches backend)
+  const taxRate = useMemo(() => {
+    const rate = Number(invoice?.taxRate || 0);
+    return Number.isFinite(rate) && rate > 0 ? rate : 0;
+  }, [invoice]);
+
   const computeAmountNumberFromHours = useCallback((hoursValue) => {
     const hrs = Number(hoursValue);
     if (!Number.isFinite(hrs) || hrs <= 0) return 0;
-    const base = roundCurrency(hrs * hourlyRate);
+    const hoursAmount = roundCurrency(hrs * hourlyRate);
+    const base = roundCurrency(hoursAmount + roundCurrency((hoursAmount * taxRate) / 100));
     
     console.log('🔍 [RefundModal] Transfer fee check', {
       transferFeeAmount,
@@ -150,7 +157,12 @@ const RefundInvoiceModal = ({ invoiceId, onClose, onUpdated }) => {
     });
     
     return total;
-  }, [hourlyRate, transferFeeAmount, transferFeeStatus, totalInvoiceHours]);
+  }, [hourlyRate, taxRate, transferFeeAmount, transferFeeStatus, totalInvoiceHours]);
+
+  const extrasLabel = [
+    taxRate > 0 ? 'tax' : null,
+    transferFeeAmount > 0 ? 'proportional transfer fee' : null
+  ].filter(Boolean).join(' and ');
 
   const computeAmountDisplayFromHours = useCallback((hoursValue) => {
     const num = computeAmountNumberFromHours(hoursValue);
@@ -161,11 +173,12 @@ const RefundInvoiceModal = ({ invoiceId, onClose, onUpdated }) => {
     const amt = Number(amountValue);
     if (!Number.isFinite(amt) || amt <= 0) return '';
     const guesses = [];
-    if (hourlyRate > 0) {
-      guesses.push(Math.max(0, amt / hourlyRate));
+    const taxedRate = hourlyRate * (1 + taxRate / 100);
+    if (taxedRate > 0) {
+      guesses.push(Math.max(0, amt / taxedRate));
     }
     if (transferFeeAmount > 0 && totalInvoiceHours > 0) {
-      const effectiveRate = hourlyRate + (transferFeeAmount / totalInvoiceHours);
+      const effectiveRate = taxedRate + (transferFeeAmount / totalInvoiceHours);
       if (effectiveRate > 0) {
         guesses.push(Math.max(0, amt / effectiveRate));
       }
@@ -183,7 +196,7 @@ const RefundInvoiceModal = ({ invoiceId, onClose, onUpdated }) => {
       }
     });
     return best ?? '';
-  }, [hourlyRate, transferFeeAmount, totalInvoiceHours, computeAmountNumberFromHours]);
+  }, [hourlyRate, taxRate, transferFeeAmount, totalInvoiceHours, computeAmountNumberFromHours]);
 
   useEffect(() => {
     if (!invoice || totalInvoiceHours <= 0) return;
@@ -248,8 +261,8 @@ const RefundInvoiceModal = ({ invoiceId, onClose, onUpdated }) => {
     const amountDiff = Math.abs(numeric - expectedAmount);
     const EPSILON = 0.015;
     if (amountDiff > EPSILON) {
-      const feeNote = transferFeeAmount > 0 
-        ? ` (including $${formatCurrencyDisplay(roundCurrency(expectedAmount - clamped * hourlyRate))} proportional transfer fee)`
+      const feeNote = (transferFeeAmount > 0 || taxRate > 0)
+        ? ` (including $${formatCurrencyDisplay(roundCurrency(expectedAmount - clamped * hourlyRate))} ${extrasLabel})`
         : '';
       setValidation(
         `For ${formatHoursDisplay(clamped)}h at $${hourlyRate.toFixed(2)}/hr, amount should be $${expectedAmount.toFixed(2)}${feeNote}.`
@@ -301,8 +314,8 @@ const RefundInvoiceModal = ({ invoiceId, onClose, onUpdated }) => {
     const amountDiff = Math.abs(parsedAmount - expectedAmount);
     const EPSILON = 0.015; // Allow 1.5 cent tolerance for rounding
     if (amountDiff > EPSILON) {
-      const feeNote = transferFeeAmount > 0 
-        ? ` (including ${formatCurrencyDisplay(roundCurrency(expectedAmount - parsedHours * hourlyRate))} proportional transfer fee)`
+      const feeNote = (transferFeeAmount > 0 || taxRate > 0)
+        ? ` (including ${formatCurrencyDisplay(roundCurrency(expectedAmount - parsedHours * hourlyRate))} ${extrasLabel})`
         : '';
       setValidation(
         `Refund amount must match ${parsedHours}h at $${hourlyRate.toFixed(2)}/hr = $${expectedAmount.toFixed(2)}${feeNote}. Please adjust the amount or hours.`
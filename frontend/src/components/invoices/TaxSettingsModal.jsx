@@ -0,0 +1,327 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Landmark, Plus, Trash2, X } from 'lucide-react';
+import api from '../../api/axios';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+const inputClass = 'w-full rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-sm text-slate-900 focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200';
+const labelClass = 'text-[11px] font-semibold uppercase tracking-wide text-slate-400';
+
+const emptyEntity = () => ({
+  key: '',
+  name: '',
+  address: '',
+  taxRegistrationNumber: '',
+  email: '',
+  phone: '',
+  series: { enabled: false, prefix: '', resetYearly: true, padding: 4 }
+});
+
+const emptyRule = () => ({
+  country: '',
+  label: 'VAT',
+  rate: 0,
+  reverseCharge: false,
+  reverseChargeNote: '',
+  legalEntityKey: ''
+});
+
+const seriesExample = (series) => {
+  if (!series?.enabled || !series.prefix) return 'Uses the standard INV-YYYYMM-#### numbers';
+  const seq = '1'.padStart(Number(series.padding) || 4, '0');
+  return series.resetYearly ? `${series.prefix}-${new Date().getFullYear()}-${seq}` : `${series.prefix}-${seq}`;
+};
+
+const TaxSettingsModal = ({ open, onClose }) => {
+  const [draft, setDraft] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await api.get('/tax/config');
+      setDraft(res.data?.config || null);
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to load tax settings');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) {
+      setMessage('');
+      load();
+    }
+  }, [open, load]);
+
+  const updateEntity = (idx, patch) => {
+    setDraft((prev) => ({
+      ...prev,
+      legalEntities: prev.legalEntities.map((entity, i) => (i === idx ? { ...entity, ...patch } : entity))
+    }));
+  };
+
+  const updateSeries = (idx, patch) => {
+    setDraft((prev) => ({
+      ...prev,
+      legalEntities: prev.legalEntities.map((entity, i) => (
+        i === idx ? { ...entity, series: { ...entity.series, ...patch } } : entity
+      ))
+    }));
+  };
+
+  const updateRule = (idx, patch) => {
+    setDraft((prev) => ({
+      ...prev,
+      rules: prev.rules.map((rule, i) => (i === idx ? { ...rule, ...patch } : rule))
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      const payload = {
+        ...draft,
+        rules: draft.rules.map((rule) => ({ ...rule, rate: Number(rule.rate) || 0 }))
+      };
+      const res = await api.put('/tax/config', payload);
+      setDraft(res.data?.config || payload);
+      setMessage('Tax settings saved. They apply to invoices created from now on.');
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to save tax settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-900/50 backdrop-blur-sm">
+      <div className="relative flex max-h-[90vh] w-full max-w-4xl flex-col rounded-3xl bg-white shadow-2xl">
+        <button
+          type="button"
+          onClick={onClose}
+          className="absolute right-4 top-4 inline-flex h-9 w-9 items-center justify-center rounded-full border border-slate-200 text-slate-500 transition hover:border-slate-300 hover:text-slate-900"
+          aria-label="Close tax settings"
+        >
+          <X className="h-4 w-4" />
+        </button>
+
+        <div className="px-6 py-5">
+          <h2 className="flex items-center gap-2 text-xl font-semibold text-slate-900">
+            <Landmark className="h-5 w-5 text-slate-500" /> Tax &amp; numbering
+          </h2>
+          <p className="mt-1 text-sm text-slate-500">
+            Legal entities issue guardian invoices; tax rules are matched on the guardian&apos;s billing country (use * as the fallback rule).
+          </p>
+        </div>
+
+        <div className="flex-1 space-y-5 overflow-y-auto border-t border-slate-100 px-6 pb-6 pt-4">
+          {error && <div className="rounded-lg border border-rose-200 bg-rose-50 px-3 py-2 text-sm text-rose-700">{error}</div>}
+          {message && <div className="rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm text-emerald-700">{message}</div>}
+
+          {loading && !draft && (
+            <div className="flex justify-center py-10"><LoadingSpinner /></div>
+          )}
+
+          {draft && (
+            <>
+              <section className="space-y-3">
+                <div className="flex items-center justify-between">
+                  <p className="text-sm font-semibold text-slate-900">Legal entities</p>
+                  <button
+                    type="button"
+                    onClick={() => setDraft((prev) => ({ ...prev, legalEntities: [...prev.legalEntities, emptyEntity()] }))}
+                    className="inline-flex items-center gap-1 rounded-full border border-slate-200 px-3 py-1 text-xs font-medium text-slate-600 hover:bg-slate-50"
+                  >
+                    <Plus className="h-3.5 w-3.5" /> Add entity
+                  </button>
+                </div>
+                {draft.legalEntities.map((entity, idx) => (
+                  <div key={entity.key || `new-${idx}`} className="space-y-3 rounded-2xl border border-slate-200 p-4">
+                    <div className="flex items-center justify-between gap-2">
+                      <label className="flex items-center gap-2 text-xs text-slate-600">
+                        <input
+                          type="radio"
+                          name="defaultEntity"
+                          checked={draft.defaultEntityKey === entity.key}
+                          disabled={!entity.key}
+                          onChange={() => setDraft((prev) => ({ ...prev, defaultEntityKey: entity.key }))}
+                        />
+                        Default entity
+                      </label>
+                      {draft.legalEntities.length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => setDraft((prev) => ({ ...prev, legalEntities: prev.legalEntities.filter((_, i) => i !== idx) }))}
+                          className="inline-flex items-center gap-1 text-xs text-rose-600 hover:text-rose-700"
+                        >
+                          <Trash2 className="h-3.5 w-3.5" /> Remove
+                        </button>
+                      )}
+                    </div>
+                    <div className="grid gap-3 sm:grid-cols-2">
+                      <label className="space-y-1">
+                        <span className={labelClass}>Name</span>
+                        <input className={inputClass} value={entity.name} onChange={(e) => updateEntity(idx, { name: e.target.value })} />
+                      </label>
+                      <label className="space-y-1">
+                        <span className={labelClass}>Tax registration no.</span>
+                        <input className={inputClass} value={entity.taxRegistrationNumber} onChange={(e) => updateEntity(idx, { taxRegistrationNumber: e.target.value })} />
+                      </label>
+                      <label className="space-y-1 sm:col-span-2">
+                        <span className={labelClass}>Address</span>
+                        <input className={inputClass} value={entity.address} onChange={(e) => updateEntity(idx, { address: e.target.value })} />
+                      </label>
+                      <label className="space-y-1">
+                        <span className={labelClass}>Email</span>
+                        <input className={inputClass} value={entity.email} onChange={(e) => updateEntity(idx, { email: e.target.value })} />
+                      </label>
+                      <label className="space-y-1">
+                        <span className={labelClass}>Phone</span>
+                        <input className={inputClass} value={entity.phone} onChange={(e) => updateEntity(idx, { phone: e.target.value })} />
+                      </label>
+                    </div>
+                    <div className="flex flex-wrap items-end gap-3 rounded-xl bg-slate-50 p-3">
+                      <label className="flex items-center gap-2 text-xs text-slate-600">
+                        <input
+                          type="checkbox"
+                          checked={Boolean(entity.series?.enabled)}
+                          onChange={(e) => updateSeries(idx, { enabled: e.target.checked })}
+                        />
+                        Own numbering series
+                      </label>
+                      <label className="space-y-1">
+                        <span className={labelClass}>Prefix</span>
+                        <input
+                          className={`${inputClass} w-28`}
+                          value={entity.series?.prefix || ''}
+                          disabled={!entity.series?.enabled}
+                          onChange={(e) => updateSeries(idx, { prefix: e.target.value.toUpperCase() })}
+                        />
+                      </label>
+                      <label className="space-y-1">
+                        <span className={labelClass}>Digits</span>
+                        <input
+                          type="number"
+                          min="1"
+                          max="8"
+                          className={`${inputClass} w-20`}
+                          value={entity.series?.padding ?? 4}
+                          disabled={!entity.series?.enabled}
+                          onChange={(e) => updateSeries(idx, { padding: Number(e.target.value) || 4 })}
+                        />
+                      </label>
+                      <label className="flex items-center gap-2 text-xs text-slate-600">
+                        <input
+                          type="checkbox"
+                          checked={entity.series?.resetYearly !== false}
+                          disabled={!entity.series?.enabled}
+                          onChange={(e) => updateSeries(idx, { resetYearly: e.target.checked })}
+                        />
+                        Restart every year
+                      </label>
+                      <span className="text-xs text-slate-500">{seriesExample(entity.series)}</span>
+                    </div>
+                  </div>
+                ))}
+              </section>
+
+              <section className="space-y-3">
+                <div className="flex items-center justify-between">
+                  <p className="text-sm font-semibold text-slate-900">Tax rules</p>
+                  <button
+                    type="button"
+                    onClick={() => setDraft((prev) => ({ ...prev, rules: [...prev.rules, emptyRule()] }))}
+                    className="inline-flex items-center gap-1 rounded-full border border-slate-200 px-3 py-1 text-xs font-medium text-slate-600 hover:bg-slate-50"
+                  >
+                    <Plus className="h-3.5 w-3.5" /> Add rule
+                  </button>
+                </div>
+                {draft.rules.length === 0 && (
+                  <p className="rounded-xl border border-dashed border-slate-200 p-4 text-center text-sm text-slate-500">
+                    No tax rules — invoices are issued without tax.
+                  </p>
+                )}
+                {draft.rules.map((rule, idx) => (
+                  <div key={`rule-${idx}`} className="grid gap-3 rounded-2xl border border-slate-200 p-4 sm:grid-cols-6">
+                    <label className="space-y-1 sm:col-span-2">
+                      <span className={labelClass}>Country</span>
+                      <input className={inputClass} placeholder="United Kingdom or *" value={rule.country} onChange={(e) => updateRule(idx, { country: e.target.value })} />
+                    </label>
+                    <label className="space-y-1">
+                      <span className={labelClass}>Label</span>
+                      <input className={inputClass} value={rule.label} onChange={(e) => updateRule(idx, { label: e.target.value })} />
+                    </label>
+                    <label className="space-y-1">
+                      <span className={labelClass}>Rate %</span>
+                      <input type="number" min="0" max="100" step="0.01" className={inputClass} value={rule.rate} onChange={(e) => updateRule(idx, { rate: e.target.value })} />
+                    </label>
+                    <label className="space-y-1 sm:col-span-2">
+                      <span className={labelClass}>Issued by</span>
+                      <select className={inputClass} value={rule.legalEntityKey || ''} onChange={(e) => updateRule(idx, { legalEntityKey: e.target.value })}>
+                        <option value="">Default entity</option>
+                        {draft.legalEntities.filter((entity) => entity.key).map((entity) => (
+                          <option key={entity.key} value={entity.key}>{entity.name}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="flex items-center gap-2 text-xs text-slate-600 sm:col-span-2">
+                      <input type="checkbox" checked={Boolean(rule.reverseCharge)} onChange={(e) => updateRule(idx, { reverseCharge: e.target.checked })} />
+                      Reverse charge when the guardian has a tax ID
+                    </label>
+                    <label className="space-y-1 sm:col-span-3">
+                      <span className={labelClass}>Reverse-charge note</span>
+                      <input
+                        className={inputClass}
+                        value={rule.reverseChargeNote}
+                        disabled={!rule.reverseCharge}
+                        onChange={(e) => updateRule(idx, { reverseChargeNote: e.target.value })}
+                      />
+                    </label>
+                    <div className="flex items-end justify-end">
+                      <button
+                        type="button"
+                        onClick={() => setDraft((prev) => ({ ...prev, rules: prev.rules.filter((_, i) => i !== idx) }))}
+                        className="inline-flex items-center gap-1 text-xs text-rose-600 hover:text-rose-700"
+                      >
+                        <Trash2 className="h-3.5 w-3.5" /> Remove
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </section>
+            </>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 border-t border-slate-100 px-6 py-4">
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-full border border-slate-200 px-4 py-2 text-sm text-slate-600 hover:bg-slate-50"
+          >
+            Close
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={!draft || saving}
+            className="rounded-full bg-slate-900 px-4 py-2 text-sm font-medium text-white hover:bg-slate-800 disabled:opacity-50"
+          >
+            {saving ? 'Saving…' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaxSettingsModal;
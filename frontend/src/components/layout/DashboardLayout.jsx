@@ -31,6 +31,7 @@ const VIEW_TITLE_MAP = {
   'teacher-salaries': 'Teacher Salaries',
   'teacher-salary': 'My Salary',
   'vacation-management': 'Vacations',
+  'cover-board': 'Cover board',
   availability: 'My Availability',
   settings: 'Settings',
   library: 'Library'
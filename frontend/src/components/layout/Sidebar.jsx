@@ -26,7 +26,9 @@ import {
   BookOpen,
   X,
   Monitor,
-  BriefcaseBusiness
+  BriefcaseBusiness,
+  ScrollText,
+  LifeBuoy
 } from 'lucide-react';
 
 const Sidebar = ({ isOpen, onClose, activeView, onOpenProfileModal }) => {
@@ -51,10 +53,12 @@ const Sidebar = ({ isOpen, onClose, activeView, onOpenProfileModal }) => {
       { id: 'guardians', label: 'Guardians', icon: UserCheck, roles: ['admin'], link: '/dashboard/guardians' },
       { id: 'students', label: 'Students', icon: Users, roles: ['admin', 'teacher', 'guardian', 'student'], link: '/dashboard/students' },
       { id: 'invoices', label: 'Invoices', icon: FileText, roles: ['admin', 'guardian'], link: '/dashboard/invoices' },
+      { id: 'statement', label: 'Statement', icon: ScrollText, roles: ['admin', 'guardian'], link: '/dashboard/statement' },
       { id: 'salaries', label: 'Salaries', icon: DollarSign, roles: ['admin', 'teacher'], link: salariesLink },
       { id: 'availability', label: isAdmin() ? 'Meetings' : 'My Availability', icon: Clock, roles: ['admin', 'teacher'], link: '/dashboard/availability' },
       { id: 'teacher-operations', label: 'Recruitment', icon: BriefcaseBusiness, roles: ['admin'], link: '/dashboard/teacher-operations' },
       { id: 'vacation-management', label: 'Vacations', icon: Clock, roles: ['admin', 'teacher', 'guardian', 'student'], link: '/dashboard/vacation-management' },
+      { id: 'cover-board', label: 'Cover board', icon: LifeBuoy, roles: ['admin', 'teacher'], link: '/dashboard/cover-board' },
       { id: 'feedbacks', label: 'Feedbacks', icon: BarChart3, roles: ['admin'], link: '/dashboard/feedbacks' },
       { id: 'library', label: 'Library', icon: BookOpen, roles: ['admin', 'teacher', 'guardian', 'student'], link: '/dashboard/library' },
       { id: 'presenter', label: 'Curricula', icon: Monitor, roles: presenterRoles, link: '/dashboard/interactive-learning' },
@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { ShieldCheck, ShieldAlert, AlertCircle } from 'lucide-react';
+import api from '../../api/axios';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const formatDate = (date) => {
+  if (!date) return '—';
+  const d = new Date(date);
+  return isNaN(d.getTime()) ? '—' : d.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+const egp = (value) => `${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} EGP`;
+const usd = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+// Public page behind the QR code / link printed on annual earnings statements.
+const EarningsStatementVerifyPage = () => {
+  const { token } = useParams();
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchStatement = async () => {
+      try {
+        setLoading(true);
+        const { data } = await api.get(`/teacher-salary/statements/verify/${token}`);
+        if (!cancelled) setStatement(data.statement || null);
+      } catch (err) {
+        if (!cancelled) setError(err?.response?.data?.error || 'Unable to verify this statement.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    if (token) fetchStatement();
+    return () => { cancelled = true; };
+  }, [token]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (error || !statement) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-100 flex items-center justify-center px-6 py-12">
+        <div className="max-w-md rounded-3xl bg-white p-8 text-center text-slate-900 shadow-xl">
+          <AlertCircle className="mx-auto h-12 w-12 text-amber-400" />
+          <h1 className="mt-4 text-2xl font-semibold">Statement not found</h1>
+          <p className="mt-2 text-sm text-slate-600">{error || 'This verification link is invalid.'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const statusNote = !statement.authentic
+    ? 'The statement record does not match its signature. Do not rely on it.'
+    : statement.status === 'revoked'
+      ? `This statement was revoked on ${formatDate(statement.revokedAt)}.`
+      : statement.status === 'superseded'
+        ? `A newer statement replaced this one on ${formatDate(statement.supersededAt)}. Ask the holder for the current version.`
+        : 'This statement is authentic and current.';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-100 text-slate-900">
+      <div className="mx-auto flex max-w-4xl flex-col gap-6 px-4 py-14 sm:px-8">
+        <header className={`rounded-3xl p-8 shadow-sm ring-1 ${statement.valid ? 'bg-emerald-50 ring-emerald-200' : 'bg-rose-50 ring-rose-200'}`}>
+          <div className="flex items-start gap-4">
+            {statement.valid
+              ? <ShieldCheck className="h-10 w-10 flex-shrink-0 text-emerald-600" />
+              : <ShieldAlert className="h-10 w-10 flex-shrink-0 text-rose-600" />}
+            <div className="space-y-1">
+              <p className="text-xs uppercase tracking-[0.3em] text-slate-500">Certificate of earnings</p>
+              <h1 className="text-2xl font-semibold">{statement.valid ? 'Verified' : 'Not valid'}</h1>
+              <p className="text-sm text-slate-700">{statusNote}</p>
+            </div>
+          </div>
+        </header>
+
+        <section className="rounded-3xl bg-white p-8 shadow-sm ring-1 ring-black/5">
+          <dl className="grid grid-cols-1 gap-4 text-sm sm:grid-cols-2">
+            <div><dt className="text-xs uppercase text-slate-500">Teacher</dt><dd className="font-semibold">{statement.teacherName}</dd></div>
+            <div><dt className="text-xs uppercase text-slate-500">Issued by</dt><dd className="font-semibold">{statement.issuer?.name || '—'}</dd></div>
+            <div><dt className="text-xs uppercase text-slate-500">Statement</dt><dd>{statement.statementNumber} · {statement.year}</dd></div>
+            <div><dt className="text-xs uppercase text-slate-500">Issued on</dt><dd>{formatDate(statement.issuedAt)}</dd></div>
+            <div><dt className="text-xs uppercase text-slate-500">Total (USD)</dt><dd className="font-semibold">{usd(statement.totals?.totalUSD)}</dd></div>
+            <div><dt className="text-xs uppercase text-slate-500">Net paid (EGP)</dt><dd className="font-semibold">{egp(statement.totals?.netEGP)}</dd></div>
+          </dl>
+
+          <div className="mt-6 overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="text-xs uppercase text-slate-500">
+                <tr>
+                  <th className="py-2 text-left">Month</th>
+                  <th className="py-2 text-right">Hours</th>
+                  <th className="py-2 text-right">Total USD</th>
+                  <th className="py-2 text-right">Rate</th>
+                  <th className="py-2 text-right">Net EGP</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {(statement.months || []).map((m) => (
+                  <tr key={m.month}>
+                    <td className="py-2">{MONTH_NAMES[m.month - 1]}</td>
+                    <td className="py-2 text-right">{Number(m.hours || 0).toFixed(2)}</td>
+                    <td className="py-2 text-right">{usd(m.totalUSD)}</td>
+                    <td className="py-2 text-right">{(m.exchangeRates || []).map((r) => Number(r).toFixed(2)).join(' / ') || '—'}</td>
+                    <td className="py-2 text-right">{egp(m.netEGP)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default EarningsStatementVerifyPage;
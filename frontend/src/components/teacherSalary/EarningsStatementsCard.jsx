@@ -0,0 +1,171 @@
+/**
+ * Earnings Statements Card (teacher salary dashboard)
+ *
+ * Teachers issue a signed yearly certificate of earnings from their paid
+ * salary invoices, download it as PDF and share the verification link.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../api/axios';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { formatDateDDMMMYYYY } from '../../utils/date';
+import { Award, Download, Link2, Check, FileCheck } from 'lucide-react';
+
+const STATUS_STYLES = {
+  active: 'bg-emerald-100 text-emerald-700',
+  superseded: 'bg-gray-100 text-gray-600',
+  revoked: 'bg-red-100 text-red-700'
+};
+
+const EarningsStatementsCard = () => {
+  const currentYear = new Date().getFullYear();
+  const [statements, setStatements] = useState([]);
+  const [year, setYear] = useState(currentYear - 1);
+  const [loading, setLoading] = useState(true);
+  const [issuing, setIssuing] = useState(false);
+  const [downloadingId, setDownloadingId] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchStatements = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/teacher-salary/teacher/statements');
+      setStatements(response.data.statements || []);
+    } catch (err) {
+      console.error('Error fetching earnings statements:', err);
+      setError(err.response?.data?.error || 'Failed to load statements');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatements();
+  }, [fetchStatements]);
+
+  const handleDownload = async (statement) => {
+    try {
+      setDownloadingId(statement._id);
+      const response = await api.get(`/teacher-salary/teacher/statements/${statement._id}/pdf`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `Earnings-${statement.year}-${statement.statementNumber}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading statement:', err);
+      setError('Failed to download statement');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  const handleIssue = async () => {
+    try {
+      setIssuing(true);
+      setError(null);
+      const response = await api.post('/teacher-salary/teacher/statements', { year });
+      await fetchStatements();
+      if (response.data.statement) await handleDownload(response.data.statement);
+    } catch (err) {
+      console.error('Error issuing statement:', err);
+      setError(err.response?.data?.error || 'Failed to issue statement');
+    } finally {
+      setIssuing(false);
+    }
+  };
+
+  const handleCopy = (statement) => {
+    navigator.clipboard.writeText(statement.verifyUrl).then(() => {
+      setCopiedId(statement._id);
+      setTimeout(() => setCopiedId(null), 2000);
+    });
+  };
+
+  const yearOptions = Array.from({ length: 6 }, (_, i) => currentYear - i);
+
+  return (
+    <div className="bg-white rounded-lg shadow mb-8">
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <Award className="w-5 h-5 text-gray-600" />
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Annual Earnings Statements</h2>
+            <p className="text-xs text-gray-500">Signed certificate of paid salary for visas, loans and tax filing.</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={year}
+            onChange={(e) => setYear(Number(e.target.value))}
+            className="rounded-lg border border-gray-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20"
+          >
+            {yearOptions.map((y) => <option key={y} value={y}>{y}</option>)}
+          </select>
+          <button
+            type="button"
+            onClick={handleIssue}
+            disabled={issuing}
+            className="inline-flex items-center gap-2 rounded-lg bg-primary px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-primary/90 disabled:opacity-50"
+          >
+            <FileCheck className="w-4 h-4" />
+            {issuing ? 'Issuing…' : 'Issue statement'}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="mx-6 mt-4 rounded-lg bg-red-50 px-3 py-2 text-sm text-red-700">{error}</div>}
+
+      {loading ? (
+        <div className="flex justify-center py-6"><LoadingSpinner /></div>
+      ) : statements.length === 0 ? (
+        <p className="px-6 py-6 text-sm text-gray-500">No statements issued yet. Pick a year with paid invoices and issue one.</p>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {statements.map((statement) => (
+            <div key={statement._id} className="px-6 py-3 flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <div className="flex items-center gap-2">
+                  <span className="font-medium text-gray-900">{statement.year}</span>
+                  <span className="text-sm text-gray-500">{statement.statementNumber}</span>
+                  <span className={`rounded-full px-2 py-0.5 text-[11px] font-medium ${STATUS_STYLES[statement.status] || STATUS_STYLES.superseded}`}>
+                    {statement.status}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500">
+                  Issued {formatDateDDMMMYYYY(statement.issuedAt)} · {Number(statement.totals?.netEGP || 0).toFixed(2)} EGP net · ${Number(statement.totals?.totalUSD || 0).toFixed(2)}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => handleDownload(statement)}
+                  disabled={downloadingId === statement._id}
+                  className="inline-flex items-center gap-1.5 rounded-lg border border-gray-200 px-3 py-1.5 text-xs font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <Download className="w-3.5 h-3.5" /> PDF
+                </button>
+                {statement.status === 'active' && (
+                  <button
+                    type="button"
+                    onClick={() => handleCopy(statement)}
+                    className="inline-flex items-center gap-1.5 rounded-lg border border-gray-200 px-3 py-1.5 text-xs font-medium text-gray-700 hover:bg-gray-50"
+                  >
+                    {copiedId === statement._id ? <Check className="w-3.5 h-3.5 text-emerald-600" /> : <Link2 className="w-3.5 h-3.5" />}
+                    {copiedId === statement._id ? 'Copied' : 'Verification link'}
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EarningsStatementsCard;
@@ -0,0 +1,367 @@
+/**
+ * Pay Rules Panel - "Rules" tab of the salary settings modal
+ *
+ * Premiums per subject / student type, group and first-class rates and automatic
+ * penalties. Rules are evaluated when teacher invoices are generated or refreshed;
+ * every generated line keeps the rule it came from.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../api/axios';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { Plus, Trash2, Save, RefreshCw, X, Edit, Sparkles } from 'lucide-react';
+
+const RULE_TYPE_OPTIONS = [
+  { value: 'subject_premium', label: 'Subject premium' },
+  { value: 'student_type', label: 'Student type rate' },
+  { value: 'group_class', label: 'Group class rate' },
+  { value: 'first_class', label: 'First (trial) class rate' },
+  { value: 'unreported_penalty', label: 'Unreported class penalty' },
+  { value: 'no_show_penalty', label: 'Teacher no-show penalty' },
+  { value: 'late_report_penalty', label: 'Late report penalty' }
+];
+
+const PENALTY_TYPES = ['unreported_penalty', 'no_show_penalty', 'late_report_penalty'];
+
+const NO_SHOW_STATUS_OPTIONS = [
+  { value: 'no_show_both', label: 'No show (both)' },
+  { value: 'cancelled_by_teacher', label: 'Cancelled by teacher' }
+];
+
+const inputClass = 'w-full px-3 py-2 text-sm rounded-lg bg-white border border-gray-200 focus:outline-none focus:ring-2 focus:ring-indigo-200';
+const labelClass = 'block text-xs text-gray-600 mb-1';
+
+const typeLabel = (type) => RULE_TYPE_OPTIONS.find((opt) => opt.value === type)?.label || type;
+
+const emptyRule = () => ({
+  tempId: `rule-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  name: '',
+  type: 'subject_premium',
+  unit: 'per_hour',
+  amountUSD: '',
+  subjects: [],
+  studentTypes: [],
+  minStudents: 2,
+  statuses: ['no_show_both'],
+  graceHours: 0,
+  description: '',
+  isActive: true
+});
+
+const describeRule = (rule) => {
+  const amount = `$${Math.abs(Number(rule.amountUSD || 0)).toFixed(2)}/${rule.unit === 'per_class' ? 'class' : 'hr'}`;
+  const sign = PENALTY_TYPES.includes(rule.type) ? '−' : (Number(rule.amountUSD) < 0 ? '−' : '+');
+  switch (rule.type) {
+    case 'subject_premium': return `${sign}${amount} for ${(rule.subjects || []).join(', ')}`;
+    case 'student_type': return `${sign}${amount} for ${(rule.studentTypes || []).join(' / ')} students`;
+    case 'group_class': return `${sign}${amount} when ${rule.minStudents || 2}+ students share a group class or slot`;
+    case 'first_class': return `${sign}${amount} for a teacher's first class with a student`;
+    case 'unreported_penalty': return `${sign}${amount} per unreported class`;
+    case 'no_show_penalty': return `${sign}${amount} for ${(rule.statuses || []).join(', ')}`;
+    case 'late_report_penalty': return `${sign}${amount} for reports past deadline${rule.graceHours ? ` + ${rule.graceHours}h` : ''}`;
+    default: return amount;
+  }
+};
+
+const PayRulesPanel = ({ onUpdate }) => {
+  const [rules, setRules] = useState([]);
+  const [draft, setDraft] = useState([]);
+  const [editing, setEditing] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await api.get('/teacher-salary/admin/settings/pay-rules');
+      setRules(response.data.rules || []);
+    } catch (err) {
+      console.error('Error fetching pay rules:', err);
+      setError(err.response?.data?.error || 'Failed to load pay rules');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const startEditing = () => {
+    setDraft(rules.map((rule) => ({ ...rule, tempId: rule._id })));
+    setEditing(true);
+    setMessage(null);
+  };
+
+  const updateDraft = (tempId, patch) => {
+    setDraft((prev) => prev.map((rule) => (rule.tempId === tempId ? { ...rule, ...patch } : rule)));
+  };
+
+  const toggleInList = (rule, field, value) => {
+    const list = rule[field] || [];
+    updateDraft(rule.tempId, {
+      [field]: list.includes(value) ? list.filter((item) => item !== value) : [...list, value]
+    });
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      const payload = draft.map(({ tempId, __v, ...rest }) => ({
+        ...rest,
+        amountUSD: Number(rest.amountUSD),
+        minStudents: Number(rest.minStudents || 2),
+        graceHours: Number(rest.graceHours || 0)
+      }));
+      const response = await api.put('/teacher-salary/admin/settings/pay-rules', { rules: payload });
+      setRules(response.data.rules || []);
+      setEditing(false);
+      setMessage('Pay rules saved. Refresh unpaid invoices to apply them.');
+      if (onUpdate) onUpdate();
+    } catch (err) {
+      console.error('Error saving pay rules:', err);
+      setError(err.response?.data?.error || 'Failed to save pay rules');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-8">
+        <LoadingSpinner size="md" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && <div className="rounded-lg bg-red-50 px-3 py-2 text-sm text-red-700">{error}</div>}
+      {message && <div className="rounded-lg bg-green-50 px-3 py-2 text-sm text-green-700">{message}</div>}
+
+      <div className="bg-white rounded-2xl shadow-sm overflow-hidden">
+        <div className="px-4 py-3 bg-gray-50 flex items-center justify-between">
+          <h3 className="text-sm font-medium text-gray-800 flex items-center gap-2">
+            <Sparkles className="h-4 w-4 text-indigo-600" />
+            Pay Rules
+          </h3>
+          {!editing ? (
+            <button
+              onClick={startEditing}
+              className="px-3 py-1.5 text-sm bg-indigo-600 text-white rounded-full hover:bg-indigo-700 flex items-center gap-2"
+            >
+              <Edit className="h-4 w-4" />
+              Edit
+            </button>
+          ) : (
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setDraft((prev) => [...prev, emptyRule()])}
+                className="px-3 py-1.5 text-sm bg-gray-200 text-gray-800 rounded-full hover:bg-gray-300 flex items-center gap-1"
+              >
+                <Plus className="h-3 w-3" />
+                Add rule
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="px-3 py-1.5 text-sm bg-indigo-600 text-white rounded-full hover:bg-indigo-700 disabled:opacity-50 flex items-center gap-1"
+              >
+                {saving ? <RefreshCw className="h-3 w-3 animate-spin" /> : <Save className="h-3 w-3" />}
+                Save
+              </button>
+              <button
+                onClick={() => setEditing(false)}
+                className="px-3 py-1.5 text-sm bg-gray-200 text-gray-800 rounded-full hover:bg-gray-300 flex items-center gap-1"
+              >
+                <X className="h-3 w-3" />
+                Cancel
+              </button>
+            </div>
+          )}
+        </div>
+
+        {!editing ? (
+          <div className="divide-y divide-gray-100">
+            {rules.length === 0 && (
+              <p className="px-4 py-6 text-center text-sm text-gray-500">No pay rules yet. Invoices use the hourly tiers and class premiums only.</p>
+            )}
+            {rules.map((rule) => (
+              <div key={rule._id || rule.key} className="px-4 py-3 flex items-start justify-between gap-3">
+                <div>
+                  <div className="text-sm font-medium text-gray-900">{rule.name}</div>
+                  <div className="text-xs text-gray-600">{describeRule(rule)}</div>
+                  {rule.description && <div className="text-xs text-gray-400 mt-0.5">{rule.description}</div>}
+                </div>
+                <div className="flex items-center gap-1.5 flex-shrink-0">
+                  <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-[10px] ${
+                    PENALTY_TYPES.includes(rule.type) ? 'bg-red-100 text-red-700' : 'bg-indigo-100 text-indigo-700'
+                  }`}>
+                    {typeLabel(rule.type)}
+                  </span>
+                  {!rule.isActive && (
+                    <span className="inline-flex items-center px-2 py-0.5 rounded-full text-[10px] bg-gray-200 text-gray-600">Inactive</span>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="p-4 space-y-3">
+            {draft.length === 0 && <p className="text-sm text-gray-500">No rules. Use “Add rule” to create one.</p>}
+            {draft.map((rule) => (
+              <div key={rule.tempId} className="rounded-xl border border-gray-200 p-3 space-y-2.5">
+                <div className="grid grid-cols-1 sm:grid-cols-4 gap-2">
+                  <div className="sm:col-span-2">
+                    <label className={labelClass}>Name</label>
+                    <input
+                      className={inputClass}
+                      value={rule.name}
+                      onChange={(e) => updateDraft(rule.tempId, { name: e.target.value })}
+                      placeholder="e.g., Tajweed premium"
+                    />
+                  </div>
+                  <div className="sm:col-span-2">
+                    <label className={labelClass}>Type</label>
+                    <select
+                      className={inputClass}
+                      value={rule.type}
+                      onChange={(e) => updateDraft(rule.tempId, { type: e.target.value })}
+                    >
+                      {RULE_TYPE_OPTIONS.map((opt) => (
+                        <option key={opt.value} value={opt.value}>{opt.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className={labelClass}>{PENALTY_TYPES.includes(rule.type) ? 'Deduction (USD)' : 'Amount (USD)'}</label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      className={inputClass}
+                      value={rule.amountUSD}
+                      onChange={(e) => updateDraft(rule.tempId, { amountUSD: e.target.value })}
+                    />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Unit</label>
+                    <select
+                      className={inputClass}
+                      value={rule.unit}
+                      onChange={(e) => updateDraft(rule.tempId, { unit: e.target.value })}
+                    >
+                      <option value="per_hour">Per hour</option>
+                      <option value="per_class">Per class</option>
+                    </select>
+                  </div>
+
+                  {rule.type === 'subject_premium' && (
+                    <div className="sm:col-span-2">
+                      <label className={labelClass}>Subjects (comma separated)</label>
+                      <input
+                        className={inputClass}
+                        value={(rule.subjects || []).join(', ')}
+                        onChange={(e) => updateDraft(rule.tempId, { subjects: e.target.value.split(',').map((s) => s.trimStart()) })}
+                        placeholder="Tajweed, Hifz"
+                      />
+                    </div>
+                  )}
+                  {rule.type === 'student_type' && (
+                    <div className="sm:col-span-2">
+                      <label className={labelClass}>Students</label>
+                      <div className="flex items-center gap-3 pt-1.5">
+                        {['adult', 'child'].map((value) => (
+                          <label key={value} className="flex items-center gap-1.5 text-sm text-gray-700 capitalize">
+                            <input
+                              type="checkbox"
+                              checked={(rule.studentTypes || []).includes(value)}
+                              onChange={() => toggleInList(rule, 'studentTypes', value)}
+                            />
+                            {value}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                  {rule.type === 'group_class' && (
+                    <div>
+                      <label className={labelClass}>Min. students</label>
+                      <input
+                        type="number"
+                        min="2"
+                        className={inputClass}
+                        value={rule.minStudents}
+                        onChange={(e) => updateDraft(rule.tempId, { minStudents: e.target.value })}
+                      />
+                    </div>
+                  )}
+                  {rule.type === 'no_show_penalty' && (
+                    <div className="sm:col-span-2">
+                      <label className={labelClass}>Class statuses</label>
+                      <div className="flex flex-wrap items-center gap-3 pt-1.5">
+                        {NO_SHOW_STATUS_OPTIONS.map((opt) => (
+                          <label key={opt.value} className="flex items-center gap-1.5 text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={(rule.statuses || []).includes(opt.value)}
+                              onChange={() => toggleInList(rule, 'statuses', opt.value)}
+                            />
+                            {opt.label}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                  {rule.type === 'late_report_penalty' && (
+                    <div>
+                      <label className={labelClass}>Grace (hours)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        className={inputClass}
+                        value={rule.graceHours}
+                        onChange={(e) => updateDraft(rule.tempId, { graceHours: e.target.value })}
+                      />
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex items-end gap-2">
+                  <div className="flex-1">
+                    <label className={labelClass}>Description (optional)</label>
+                    <input
+                      className={inputClass}
+                      value={rule.description || ''}
+                      onChange={(e) => updateDraft(rule.tempId, { description: e.target.value })}
+                    />
+                  </div>
+                  <label className="flex items-center gap-1.5 text-sm text-gray-700 pb-2">
+                    <input
+                      type="checkbox"
+                      checked={rule.isActive !== false}
+                      onChange={(e) => updateDraft(rule.tempId, { isActive: e.target.checked })}
+                    />
+                    Active
+                  </label>
+                  <button
+                    onClick={() => setDraft((prev) => prev.filter((item) => item.tempId !== rule.tempId))}
+                    className="p-2 rounded-full text-red-600 hover:bg-red-50"
+                    title="Remove rule"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PayRulesPanel;
@@ -0,0 +1,391 @@
+/**
+ * Payout Batches Modal
+ *
+ * Bulk salary transfers: invoices selected on the salaries page become one
+ * draft batch per payout method (bank, InstaPay, mobile wallet). Download the
+ * payment file, mark the batch sent (invoices become paid), then reconcile
+ * each line with the bank reference or a failure reason.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../api/axios';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { formatDateDDMMMYYYY } from '../../utils/date';
+import { X, Banknote, Download, Send, CheckCircle, AlertCircle, ChevronLeft, Trash2, Ban } from 'lucide-react';
+
+const METHOD_LABELS = {
+  bank_transfer: 'Bank transfer',
+  instapay: 'InstaPay',
+  vodafone_cash: 'Mobile wallet'
+};
+
+const STATUS_STYLES = {
+  draft: 'bg-slate-100 text-slate-700',
+  sent: 'bg-sky-100 text-sky-700',
+  reconciled: 'bg-emerald-100 text-emerald-700',
+  cancelled: 'bg-slate-100 text-slate-400',
+  pending: 'bg-slate-100 text-slate-700',
+  paid: 'bg-emerald-100 text-emerald-700',
+  failed: 'bg-rose-100 text-rose-700',
+  removed: 'bg-slate-100 text-slate-400'
+};
+
+const inputClass = 'w-full rounded-lg border border-slate-200 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-primary/20';
+
+const formatEGP = (value) => `EGP ${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const payeeSummary = (method, payee = {}) => {
+  if (method === 'bank_transfer') return [payee.bankName, payee.iban || payee.accountNumber].filter(Boolean).join(' · ');
+  if (method === 'instapay') return payee.instapayName;
+  return payee.walletNumber;
+};
+
+const PayoutBatchesModal = ({ invoiceIds = [], onClose, onUpdate }) => {
+  const [batches, setBatches] = useState([]);
+  const [active, setActive] = useState(null);
+  const [outcomes, setOutcomes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [note, setNote] = useState('');
+  const [pendingIds, setPendingIds] = useState(invoiceIds);
+
+  const run = async (key, fn) => {
+    setBusy(key);
+    setError(null);
+    setMessage(null);
+    try {
+      await fn();
+    } catch (err) {
+      console.error('Payout batch action failed:', err);
+      setError(err.response?.data?.error || err.message || 'Action failed');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const loadBatches = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await api.get('/teacher-salary/admin/payout-batches', { params: { limit: 50 } });
+      setBatches(res.data.batches || []);
+    } catch (err) {
+      console.error('Error loading payout batches:', err);
+      setError(err.response?.data?.error || 'Failed to load payout batches');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadBatches();
+  }, [loadBatches]);
+
+  const openBatch = (batchId) => run(`open:${batchId}`, async () => {
+    const res = await api.get(`/teacher-salary/admin/payout-batches/${batchId}`);
+    setActive(res.data.batch);
+    setOutcomes({});
+  });
+
+  const replaceActive = (batch) => {
+    setActive(batch);
+    setBatches((prev) => prev.map((row) => (row._id === batch._id ? { ...row, ...batch } : row)));
+  };
+
+  const handleCreate = () => run('create', async () => {
+    const res = await api.post('/teacher-salary/admin/payout-batches', { invoiceIds: pendingIds, note });
+    const created = res.data.batches || [];
+    const skipped = res.data.skipped || [];
+    setPendingIds([]);
+    setNote('');
+    setMessage(`${created.length} batch(es) created${skipped.length ? `, ${skipped.length} invoice(s) skipped: ${skipped.map((s) => `${s.invoiceNumber || s.id} (${s.reason})`).join('; ')}` : ''}.`);
+    await loadBatches();
+  });
+
+  const handleDownload = (batch) => run(`file:${batch._id}`, async () => {
+    const res = await api.get(`/teacher-salary/admin/payout-batches/${batch._id}/file`, { responseType: 'blob' });
+    const disposition = res.headers?.['content-disposition'] || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const url = URL.createObjectURL(res.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : `${batch.batchNumber}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  });
+
+  const handleRemoveLine = (line) => run(`remove:${line._id}`, async () => {
+    const res = await api.delete(`/teacher-salary/admin/payout-batches/${active._id}/lines/${line._id}`);
+    replaceActive(res.data.batch);
+  });
+
+  const handleSend = () => {
+    if (!window.confirm(`Mark ${active.batchNumber} as sent? All ${active.totals?.count || 0} invoice(s) will be marked paid.`)) return;
+    run('send', async () => {
+      const res = await api.post(`/teacher-salary/admin/payout-batches/${active._id}/send`);
+      replaceActive(res.data.batch);
+      const dropped = res.data.dropped || [];
+      setMessage(`Batch sent.${dropped.length ? ` ${dropped.length} invoice(s) dropped: ${dropped.map((d) => d.invoiceNumber).join(', ')}` : ''}`);
+      if (onUpdate) onUpdate();
+    });
+  };
+
+  const handleCancel = () => {
+    if (!window.confirm(`Cancel ${active.batchNumber}? Its invoices can be added to a new batch.`)) return;
+    run('cancel', async () => {
+      const res = await api.post(`/teacher-salary/admin/payout-batches/${active._id}/cancel`);
+      replaceActive(res.data.batch);
+    });
+  };
+
+  const setOutcome = (lineId, patch) => {
+    setOutcomes((prev) => ({ ...prev, [lineId]: { ...(prev[lineId] || {}), ...patch } }));
+  };
+
+  const markAllPaid = () => {
+    const next = {};
+    (active?.lines || []).filter((line) => line.status === 'sent').forEach((line) => {
+      next[line._id] = { ...(outcomes[line._id] || {}), status: 'paid' };
+    });
+    setOutcomes(next);
+  };
+
+  const handleReconcile = () => run('reconcile', async () => {
+    const lines = Object.entries(outcomes)
+      .filter(([, outcome]) => outcome.status)
+      .map(([lineId, outcome]) => ({ lineId, ...outcome }));
+    if (!lines.length) throw new Error('Choose paid or failed for at least one line');
+    const res = await api.post(`/teacher-salary/admin/payout-batches/${active._id}/reconcile`, { lines });
+    replaceActive(res.data.batch);
+    setOutcomes({});
+    setMessage(`${res.data.applied?.paid || 0} confirmed paid, ${res.data.applied?.failed || 0} failed and returned to unpaid.`);
+    if (onUpdate) onUpdate();
+  });
+
+  const renderList = () => (
+    <div className="space-y-4">
+      {pendingIds.length > 0 && (
+        <div className="rounded-xl border border-primary/20 bg-primary/5 p-4 space-y-3">
+          <p className="text-sm text-slate-700">
+            <strong>{pendingIds.length}</strong> selected invoice(s) will be grouped by payout method into draft batches.
+          </p>
+          <input
+            className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20"
+            placeholder="Note (optional)"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+          />
+          <button
+            type="button"
+            onClick={handleCreate}
+            disabled={busy === 'create'}
+            className="inline-flex items-center gap-2 rounded-lg bg-primary px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-primary/90 disabled:opacity-50"
+          >
+            <Banknote className="h-4 w-4" />
+            {busy === 'create' ? 'Creating…' : 'Create payout batches'}
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8"><LoadingSpinner /></div>
+      ) : batches.length === 0 ? (
+        <p className="py-8 text-center text-sm text-slate-500">No payout batches yet. Select published invoices and choose “Payout batch”.</p>
+      ) : (
+        <div className="divide-y divide-slate-100 rounded-xl border border-slate-200">
+          {batches.map((batch) => (
+            <button
+              type="button"
+              key={batch._id}
+              onClick={() => openBatch(batch._id)}
+              className="flex w-full items-center justify-between gap-3 px-4 py-3 text-left hover:bg-slate-50"
+            >
+              <div>
+                <div className="flex items-center gap-2">
+                  <span className="font-medium text-slate-900">{batch.batchNumber}</span>
+                  <span className={`rounded-full px-2 py-0.5 text-[11px] font-medium ${STATUS_STYLES[batch.status]}`}>{batch.status}</span>
+                </div>
+                <div className="text-xs text-slate-500">
+                  {METHOD_LABELS[batch.method]} · {batch.totals?.count || 0} teacher(s) · {formatDateDDMMMYYYY(batch.createdAt)}
+                </div>
+              </div>
+              <div className="text-right text-sm">
+                <div className="font-semibold text-slate-900">{formatEGP(batch.totals?.amountEGP)}</div>
+                {batch.totals?.failedCount > 0 && (
+                  <div className="text-xs text-rose-600">{batch.totals.failedCount} failed</div>
+                )}
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  const renderBatch = () => {
+    const lines = (active.lines || []).filter((line) => line.status !== 'removed');
+    const incomplete = lines.filter((line) => line.status === 'pending' && line.missingDetails?.length);
+    return (
+      <div className="space-y-4">
+        <button type="button" onClick={() => setActive(null)} className="inline-flex items-center gap-1 text-sm text-slate-600 hover:text-slate-900">
+          <ChevronLeft className="h-4 w-4" /> All batches
+        </button>
+
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div>
+            <div className="flex items-center gap-2">
+              <h3 className="text-base font-semibold text-slate-900">{active.batchNumber}</h3>
+              <span className={`rounded-full px-2 py-0.5 text-[11px] font-medium ${STATUS_STYLES[active.status]}`}>{active.status}</span>
+            </div>
+            <p className="text-xs text-slate-500">
+              {METHOD_LABELS[active.method]} · {formatEGP(active.totals?.amountEGP)}
+              {active.sentAt && ` · sent ${formatDateDDMMMYYYY(active.sentAt)}`}
+              {active.note && ` · ${active.note}`}
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            {active.status !== 'cancelled' && (
+              <button type="button" onClick={() => handleDownload(active)} disabled={busy === `file:${active._id}`}
+                className="inline-flex items-center gap-1.5 rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-xs font-medium text-slate-700 hover:bg-slate-50 disabled:opacity-50">
+                <Download className="h-3.5 w-3.5" /> Payment file
+              </button>
+            )}
+            {active.status === 'draft' && (
+              <>
+                <button type="button" onClick={handleSend} disabled={busy === 'send' || incomplete.length > 0}
+                  className="inline-flex items-center gap-1.5 rounded-lg bg-primary px-3 py-1.5 text-xs font-medium text-white hover:bg-primary/90 disabled:opacity-50">
+                  <Send className="h-3.5 w-3.5" /> Mark sent
+                </button>
+                <button type="button" onClick={handleCancel} disabled={busy === 'cancel'}
+                  className="inline-flex items-center gap-1.5 rounded-lg border border-rose-200 bg-rose-50 px-3 py-1.5 text-xs font-medium text-rose-700 hover:bg-rose-100 disabled:opacity-50">
+                  <Ban className="h-3.5 w-3.5" /> Cancel
+                </button>
+              </>
+            )}
+            {active.status === 'sent' && (
+              <>
+                <button type="button" onClick={markAllPaid}
+                  className="inline-flex items-center gap-1.5 rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-1.5 text-xs font-medium text-emerald-700 hover:bg-emerald-100">
+                  <CheckCircle className="h-3.5 w-3.5" /> All paid
+                </button>
+                <button type="button" onClick={handleReconcile} disabled={busy === 'reconcile'}
+                  className="inline-flex items-center gap-1.5 rounded-lg bg-primary px-3 py-1.5 text-xs font-medium text-white hover:bg-primary/90 disabled:opacity-50">
+                  Save reconciliation
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+
+        {incomplete.length > 0 && (
+          <div className="flex items-start gap-2 rounded-lg bg-amber-50 px-3 py-2 text-xs text-amber-800">
+            <AlertCircle className="mt-0.5 h-4 w-4 flex-shrink-0" />
+            {incomplete.length} teacher(s) are missing payee details. Update their profiles and recreate the batch, or remove them before sending.
+          </div>
+        )}
+
+        <div className="overflow-x-auto rounded-xl border border-slate-200">
+          <table className="min-w-full text-sm">
+            <thead className="bg-slate-50 text-xs uppercase text-slate-500">
+              <tr>
+                <th className="px-3 py-2 text-left">Teacher</th>
+                <th className="px-3 py-2 text-left">Payee</th>
+                <th className="px-3 py-2 text-right">Amount</th>
+                <th className="px-3 py-2 text-left">Status</th>
+                <th className="px-3 py-2 text-left">{active.status === 'sent' ? 'Outcome' : 'Reference'}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {lines.map((line) => {
+                const outcome = outcomes[line._id] || {};
+                return (
+                  <tr key={line._id}>
+                    <td className="px-3 py-2">
+                      <div className="font-medium text-slate-900">{line.teacherName}</div>
+                      <div className="text-xs text-slate-500">{line.invoiceNumber}</div>
+                    </td>
+                    <td className="px-3 py-2 text-xs text-slate-600">
+                      {payeeSummary(active.method, line.payee) || '—'}
+                      {line.missingDetails?.length > 0 && (
+                        <div className="text-amber-700">Missing: {line.missingDetails.join(', ')}</div>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-right font-medium">{formatEGP(line.amountEGP)}</td>
+                    <td className="px-3 py-2">
+                      <span className={`rounded-full px-2 py-0.5 text-[11px] font-medium ${STATUS_STYLES[line.status]}`}>{line.status}</span>
+                    </td>
+                    <td className="px-3 py-2 text-xs">
+                      {active.status === 'draft' ? (
+                        <button type="button" onClick={() => handleRemoveLine(line)} disabled={busy === `remove:${line._id}`}
+                          className="inline-flex items-center gap-1 text-rose-600 hover:text-rose-700 disabled:opacity-50">
+                          <Trash2 className="h-3.5 w-3.5" /> Remove
+                        </button>
+                      ) : line.status === 'sent' ? (
+                        <div className="flex min-w-[220px] flex-col gap-1">
+                          <select className={inputClass} value={outcome.status || ''} onChange={(e) => setOutcome(line._id, { status: e.target.value })}>
+                            <option value="">Awaiting bank result</option>
+                            <option value="paid">Paid</option>
+                            <option value="failed">Failed</option>
+                          </select>
+                          {outcome.status && (
+                            <input className={inputClass} placeholder="Transaction reference" value={outcome.transactionRef || ''}
+                              onChange={(e) => setOutcome(line._id, { transactionRef: e.target.value })} />
+                          )}
+                          {outcome.status === 'failed' && (
+                            <input className={inputClass} placeholder="Failure reason (required)" value={outcome.failureReason || ''}
+                              onChange={(e) => setOutcome(line._id, { failureReason: e.target.value })} />
+                          )}
+                        </div>
+                      ) : (
+                        <div className="text-slate-600">
+                          {line.transactionRef || '—'}
+                          {line.failureReason && <div className="text-rose-600">{line.failureReason}</div>}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className="flex max-h-[90vh] w-full max-w-4xl flex-col rounded-2xl bg-white shadow-xl">
+        <div className="flex items-center justify-between border-b border-slate-200 p-6">
+          <div className="flex items-center gap-3">
+            <div className="flex h-10 w-10 items-center justify-center rounded-lg bg-primary/10">
+              <Banknote className="h-5 w-5 text-primary" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold">Payout Batches</h2>
+              <p className="text-sm text-slate-500">Bank, InstaPay and wallet payment files for published salary invoices.</p>
+            </div>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600" aria-label="Close payout batches">
+            <X className="h-5 w-5" aria-hidden="true" />
+          </button>
+        </div>
+
+        <div className="flex-1 space-y-4 overflow-y-auto p-6">
+          {error && (
+            <div className="flex items-start gap-2 rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-800">
+              <AlertCircle className="mt-0.5 h-4 w-4 flex-shrink-0" /> {error}
+            </div>
+          )}
+          {message && <div className="rounded-lg bg-emerald-50 p-3 text-sm text-emerald-800">{message}</div>}
+          {active ? renderBatch() : renderList()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PayoutBatchesModal;
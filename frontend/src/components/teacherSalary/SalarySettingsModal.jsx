@@ -5,12 +5,14 @@
  * - Manage monthly exchange rates (EGP per USD)
  * - Configure salary rate partitions (Online 1-1, Online Group, In-Person)
  * - Set default transfer fees
+ * - Define pay rules (premiums, special rates, penalties)
  * - Apply rate changes to draft invoices
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
 import api from '../../api/axios';
 import LoadingSpinner from '../ui/LoadingSpinner';
+import PayRulesPanel from './PayRulesPanel';
 import {
   DollarSign,
   TrendingUp,
@@ -24,7 +26,8 @@ import {
   Calendar,
   Settings,
   Plus,
-  Trash2
+  Trash2,
+  Sparkles
 } from 'lucide-react';
 
 const SalarySettingsModal = ({ onClose, onUpdate }) => {
@@ -143,6 +146,8 @@ const SalarySettingsModal = ({ onClose, onUpdate }) => {
   useEffect(() => {
     if (activeTab === 'exchange-rates') {
       fetchExchangeRates();
+    } else if (activeTab === 'pay-rules') {
+      setLoading(false);
     } else {
       fetchSettings();
     }
@@ -358,6 +363,18 @@ const SalarySettingsModal = ({ onClose, onUpdate }) => {
                 <span>Fees</span>
               </div>
             </button>
+
+            <button
+              onClick={() => setActiveTab('pay-rules')}
+              className={`px-4 py-2 rounded-full text-sm font-medium transition ${
+                activeTab === 'pay-rules' ? 'bg-indigo-600 text-white shadow' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <Sparkles className={`h-4 w-4 ${activeTab === 'pay-rules' ? 'text-white' : 'text-gray-500'}`} />
+                <span>Rules</span>
+              </div>
+            </button>
           </div>
         </div>
 
@@ -879,6 +896,8 @@ const SalarySettingsModal = ({ onClose, onUpdate }) => {
                   </div>
                 </div>
               )}
+
+              {activeTab === 'pay-rules' && <PayRulesPanel onUpdate={onUpdate} />}
             </>
           )}
         </div>
@@ -891,6 +910,7 @@ const SalarySettingsModal = ({ onClose, onUpdate }) => {
               {activeTab === 'exchange-rates' && 'Update monthly exchange rates before generating invoices.'}
               {activeTab === 'partitions' && 'Tiers apply to monthly hours. Edit to change rates.'}
               {activeTab === 'transfer-fees' && 'Transfer fees are deducted from payouts. Use 3 decimals for precision.'}
+              {activeTab === 'pay-rules' && 'Rules add premium or penalty lines when invoices are generated or refreshed.'}
             </div>
           </div>
         </div>
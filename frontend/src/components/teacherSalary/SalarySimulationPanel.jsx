@@ -0,0 +1,311 @@
+/**
+ * Salary Simulation Panel - "What-if" tab of the teacher salary settings page
+ *
+ * Edit a copy of the partition table, exchange rate and transfer fee, then
+ * recompute the last N months from actual class hours to see per-teacher and
+ * total deltas. Nothing is saved from here.
+ */
+
+import React, { useState, useEffect } from 'react';
+import api from '../../api/axios';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { Plus, Trash2, Play, RotateCcw, AlertCircle, ChevronDown, ChevronRight } from 'lucide-react';
+
+const MONTH_OPTIONS = [1, 3, 6, 12];
+const MONTH_SHORT = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const inputClass = 'w-full px-3 py-2 text-sm rounded-lg bg-gray-50 border border-transparent focus:outline-none focus:ring-2 focus:ring-indigo-300';
+const labelClass = 'block text-xs text-gray-600 mb-1';
+
+const toDraftPartitions = (partitions = []) => partitions
+  .filter((p) => p.isActive !== false)
+  .slice()
+  .sort((a, b) => a.minHours - b.minHours)
+  .map((p) => ({ minHours: p.minHours, maxHours: p.maxHours, rateUSD: p.rateUSD }));
+
+const usd = (value) => `$${Number(value || 0).toFixed(2)}`;
+const egp = (value) => (value === null || value === undefined ? '—' : `${Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 })} EGP`);
+
+const Delta = ({ value, format }) => {
+  if (value === null || value === undefined) return <span className="text-gray-400">—</span>;
+  const tone = value > 0 ? 'text-emerald-700' : value < 0 ? 'text-red-700' : 'text-gray-500';
+  return <span className={`font-medium ${tone}`}>{value > 0 ? '+' : ''}{format(value)}</span>;
+};
+
+const SalarySimulationPanel = ({ settings }) => {
+  const [months, setMonths] = useState(3);
+  const [partitions, setPartitions] = useState([]);
+  const [exchangeRate, setExchangeRate] = useState('');
+  const [fee, setFee] = useState({ model: 'flat', value: 0 });
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+
+  const resetToSaved = () => {
+    setPartitions(toDraftPartitions(settings?.ratePartitions));
+    setExchangeRate('');
+    setFee({
+      model: settings?.defaultTransferFee?.model || 'flat',
+      value: settings?.defaultTransferFee?.value ?? 0
+    });
+    setResult(null);
+  };
+
+  useEffect(() => {
+    resetToSaved();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [settings]);
+
+  const updatePartition = (idx, field, value) => {
+    setPartitions((prev) => prev.map((p, i) => (i === idx ? { ...p, [field]: value } : p)));
+  };
+
+  const addPartition = () => {
+    const last = partitions[partitions.length - 1];
+    const minHours = last ? Number(last.maxHours || 0) + 1 : 0;
+    setPartitions((prev) => [...prev, { minHours, maxHours: minHours + 20, rateUSD: last?.rateUSD || '' }]);
+  };
+
+  const handleRun = async () => {
+    try {
+      setRunning(true);
+      setError(null);
+      const response = await api.post('/teacher-salary/admin/settings/simulate', {
+        months,
+        ratePartitions: partitions.map((p) => ({
+          minHours: Number(p.minHours),
+          maxHours: Number(p.maxHours),
+          rateUSD: Number(p.rateUSD)
+        })),
+        exchangeRate: exchangeRate === '' ? null : Number(exchangeRate),
+        transferFee: { model: fee.model, value: Number(fee.value || 0) }
+      });
+      setResult(response.data.simulation);
+      setExpanded(null);
+    } catch (err) {
+      console.error('Error running salary simulation:', err);
+      setError(err.response?.data?.error || 'Failed to run simulation');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const totals = result?.totals;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-2xl shadow-sm">
+        <div className="p-4">
+          <h2 className="text-lg font-semibold text-gray-900">What-if Simulation</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Try a different partition table, exchange rate or transfer fee against the last months of real class hours. Nothing is saved.
+          </p>
+        </div>
+
+        <div className="p-6 pt-2 space-y-6">
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-base font-medium text-gray-900">Proposed partitions</h3>
+              <button
+                type="button"
+                onClick={addPartition}
+                className="inline-flex items-center gap-1 text-sm font-medium text-slate-700 hover:text-slate-900"
+              >
+                <Plus className="h-4 w-4" /> Add tier
+              </button>
+            </div>
+            <div className="space-y-2">
+              {partitions.map((p, idx) => (
+                <div key={idx} className="grid grid-cols-[1fr_1fr_1fr_auto] gap-3 items-end">
+                  <div>
+                    {idx === 0 && <label className={labelClass}>From (hours)</label>}
+                    <input type="number" min="0" step="0.01" value={p.minHours} onChange={(e) => updatePartition(idx, 'minHours', e.target.value)} className={inputClass} />
+                  </div>
+                  <div>
+                    {idx === 0 && <label className={labelClass}>To (hours)</label>}
+                    <input type="number" min="0" step="0.01" value={p.maxHours} onChange={(e) => updatePartition(idx, 'maxHours', e.target.value)} className={inputClass} />
+                  </div>
+                  <div>
+                    {idx === 0 && <label className={labelClass}>Rate (USD/hr)</label>}
+                    <input type="number" min="0" step="0.01" value={p.rateUSD} onChange={(e) => updatePartition(idx, 'rateUSD', e.target.value)} className={inputClass} />
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => setPartitions((prev) => prev.filter((_, i) => i !== idx))}
+                    disabled={partitions.length <= 1}
+                    className="rounded-md p-2 text-gray-400 hover:bg-gray-100 hover:text-red-600 disabled:opacity-30"
+                    aria-label="Remove tier"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className={labelClass}>Months to replay</label>
+              <select value={months} onChange={(e) => setMonths(Number(e.target.value))} className={inputClass}>
+                {MONTH_OPTIONS.map((n) => <option key={n} value={n}>Last {n} month{n > 1 ? 's' : ''}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Exchange rate (EGP/USD)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={exchangeRate}
+                onChange={(e) => setExchangeRate(e.target.value)}
+                placeholder="Saved monthly rates"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Transfer fee model</label>
+              <select value={fee.model} onChange={(e) => setFee((prev) => ({ ...prev, model: e.target.value }))} className={inputClass}>
+                <option value="flat">Flat (EGP)</option>
+                <option value="percentage">Percentage (%)</option>
+                <option value="none">None</option>
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Transfer fee value</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={fee.value}
+                disabled={fee.model === 'none'}
+                onChange={(e) => setFee((prev) => ({ ...prev, value: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={handleRun}
+              disabled={running || partitions.length === 0}
+              className="inline-flex items-center gap-2 rounded-lg bg-primary px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-primary/90 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Play className="h-4 w-4" />
+              {running ? 'Simulating…' : 'Run simulation'}
+            </button>
+            <button
+              type="button"
+              onClick={resetToSaved}
+              className="inline-flex items-center gap-2 rounded-lg bg-slate-100 px-4 py-2 text-sm font-medium text-slate-700 hover:bg-slate-200"
+            >
+              <RotateCcw className="h-4 w-4" />
+              Reset to saved
+            </button>
+          </div>
+
+          {error && (
+            <div className="flex items-start gap-2 rounded-lg bg-red-50 px-3 py-2 text-sm text-red-700">
+              <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {running && (
+        <div className="flex justify-center py-6"><LoadingSpinner /></div>
+      )}
+
+      {result && !running && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-white rounded-2xl shadow-sm p-4">
+              <p className="text-xs text-gray-500">Current total</p>
+              <p className="text-xl font-bold text-gray-900">{usd(totals.currentUSD)}</p>
+              <p className="text-xs text-gray-500">{egp(totals.currentNetEGP)} net</p>
+            </div>
+            <div className="bg-white rounded-2xl shadow-sm p-4">
+              <p className="text-xs text-gray-500">Proposed total</p>
+              <p className="text-xl font-bold text-gray-900">{usd(totals.proposedUSD)}</p>
+              <p className="text-xs text-gray-500">{egp(totals.proposedNetEGP)} net</p>
+            </div>
+            <div className="bg-white rounded-2xl shadow-sm p-4">
+              <p className="text-xs text-gray-500">Difference</p>
+              <p className="text-xl"><Delta value={totals.deltaUSD} format={usd} /></p>
+              <p className="text-xs"><Delta value={totals.deltaNetEGP} format={egp} /> net</p>
+            </div>
+            <div className="bg-white rounded-2xl shadow-sm p-4">
+              <p className="text-xs text-gray-500">Teachers affected</p>
+              <p className="text-xl font-bold text-gray-900">{totals.gainers + totals.losers} / {totals.teachers}</p>
+              <p className="text-xs text-gray-500">{totals.gainers} up · {totals.losers} down · {Number(totals.hours).toFixed(1)} h</p>
+            </div>
+          </div>
+
+          {result.warnings?.length > 0 && (
+            <div className="rounded-xl bg-amber-50 p-3 text-sm text-amber-800 space-y-1">
+              {result.warnings.map((w) => <p key={w}>{w}</p>)}
+            </div>
+          )}
+
+          <div className="bg-white rounded-2xl shadow-sm overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 text-xs uppercase text-gray-500">
+                <tr>
+                  <th className="px-4 py-2 text-left">Teacher</th>
+                  <th className="px-4 py-2 text-right">Hours</th>
+                  <th className="px-4 py-2 text-right">Current</th>
+                  <th className="px-4 py-2 text-right">Proposed</th>
+                  <th className="px-4 py-2 text-right">Δ USD</th>
+                  <th className="px-4 py-2 text-right">Δ Net EGP</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {result.teachers.length === 0 && (
+                  <tr><td colSpan={6} className="px-4 py-6 text-center text-gray-500">No countable classes in this period.</td></tr>
+                )}
+                {result.teachers.map((teacher) => (
+                  <React.Fragment key={teacher.teacherId}>
+                    <tr
+                      className="cursor-pointer hover:bg-gray-50"
+                      onClick={() => setExpanded(expanded === teacher.teacherId ? null : teacher.teacherId)}
+                    >
+                      <td className="px-4 py-2">
+                        <div className="flex items-center gap-1.5">
+                          {expanded === teacher.teacherId ? <ChevronDown className="h-4 w-4 text-gray-400" /> : <ChevronRight className="h-4 w-4 text-gray-400" />}
+                          <span className="font-medium text-gray-900">{teacher.teacherName}</span>
+                          {teacher.customRate && <span className="rounded-full bg-slate-100 px-2 py-0.5 text-[11px] text-slate-600">custom rate</span>}
+                          {teacher.customTransferFee && <span className="rounded-full bg-slate-100 px-2 py-0.5 text-[11px] text-slate-600">custom fee</span>}
+                        </div>
+                      </td>
+                      <td className="px-4 py-2 text-right">{Number(teacher.totals.hours).toFixed(2)}</td>
+                      <td className="px-4 py-2 text-right">{usd(teacher.totals.currentUSD)}</td>
+                      <td className="px-4 py-2 text-right">{usd(teacher.totals.proposedUSD)}</td>
+                      <td className="px-4 py-2 text-right"><Delta value={teacher.totals.deltaUSD} format={usd} /></td>
+                      <td className="px-4 py-2 text-right"><Delta value={teacher.totals.deltaNetEGP} format={egp} /></td>
+                    </tr>
+                    {expanded === teacher.teacherId && teacher.months.map((m) => (
+                      <tr key={`${m.year}-${m.month}`} className="bg-gray-50/60 text-xs text-gray-600">
+                        <td className="px-4 py-1.5 pl-10">
+                          {MONTH_SHORT[m.month - 1]} {m.year} · {m.current.partition} → {m.proposed.partition}
+                        </td>
+                        <td className="px-4 py-1.5 text-right">{Number(m.hours).toFixed(2)}</td>
+                        <td className="px-4 py-1.5 text-right">{usd(m.current.totalUSD)} <span className="text-gray-400">@{usd(m.current.rateUSD)}</span></td>
+                        <td className="px-4 py-1.5 text-right">{usd(m.proposed.totalUSD)} <span className="text-gray-400">@{usd(m.proposed.rateUSD)}</span></td>
+                        <td className="px-4 py-1.5 text-right"><Delta value={m.deltaUSD} format={usd} /></td>
+                        <td className="px-4 py-1.5 text-right"><Delta value={m.deltaNetEGP} format={egp} /></td>
+                      </tr>
+                    ))}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SalarySimulationPanel;
@@ -759,21 +759,51 @@ const TeacherInvoiceDetailModal = ({ invoiceId, onClose, onUpdate }) => {
                 </>
               )}
 
-              {(invoice.extrasEGP && invoice.extrasEGP > 0) && (
-                <div className="flex items-center justify-between py-1 border-t border-slate-200 text-indigo-700">
-                  <span className="font-medium">Extras</span>
-                  {editMode ? (
-                    <input
-                      type="number"
-                      step="0.01"
-                      value={editedValues.extrasEGP}
-                      onChange={(e) => setEditedValues(prev => ({ ...prev, extrasEGP: e.target.value }))}
-                      className="w-32 px-2 py-1 text-right border border-indigo-300 rounded focus:ring-2 focus:ring-indigo-500 font-semibold text-indigo-700"
-                    />
-                  ) : (
-                    <span className="font-semibold">+ {formatCurrency(invoice.extrasEGP, 'EGP')}</span>
+              {(invoice.extrasEGP && invoice.extrasEGP !== 0) && (
+                <>
+                  <div className={`flex items-center justify-between py-1 border-t border-slate-200 ${invoice.extrasEGP < 0 ? 'text-red-700' : 'text-indigo-700'}`}>
+                    <span className="font-medium">Extras</span>
+                    {editMode ? (
+                      <input
+                        type="number"
+                        step="0.01"
+                        value={editedValues.extrasEGP}
+                        onChange={(e) => setEditedValues(prev => ({ ...prev, extrasEGP: e.target.value }))}
+                        className="w-32 px-2 py-1 text-right border border-indigo-300 rounded focus:ring-2 focus:ring-indigo-500 font-semibold text-indigo-700"
+                      />
+                    ) : (
+                      <span className="font-semibold">
+                        {invoice.extrasEGP < 0 ? '− ' : '+ '}{formatCurrency(Math.abs(invoice.extrasEGP), 'EGP')}
+                      </span>
+                    )}
+                  </div>
+                  {Array.isArray(invoice.extras) && invoice.extras.length > 0 && (
+                    <div className="flex flex-col gap-1 py-1 text-xs text-slate-600">
+                      {invoice.extras.map((extra, idx) => {
+                        const amount = Number(extra.amountUSD || 0);
+                        return (
+                          <div key={extra._id || idx} className="flex items-center justify-between gap-2 pl-4">
+                            <span className="italic">
+                              {extra.reason}
+                              {extra.ruleSource?.name ? (
+                                <span className="ml-1.5 inline-flex items-center rounded-full bg-indigo-50 px-1.5 py-0.5 text-[10px] not-italic text-indigo-700" title={`${extra.ruleSource.classCount || 0} class(es), ${Number(extra.ruleSource.hours || 0).toFixed(2)} hrs`}>
+                                  Rule: {extra.ruleSource.name}
+                                </span>
+                              ) : (
+                                <span className="ml-1.5 inline-flex items-center rounded-full bg-slate-100 px-1.5 py-0.5 text-[10px] not-italic text-slate-600">
+                                  Added by admin
+                                </span>
+                              )}
+                            </span>
+                            <span className={`font-medium ${amount < 0 ? 'text-red-600' : ''}`}>
+                              {amount < 0 ? '−' : ''}${Math.abs(amount).toFixed(2)}
+                            </span>
+                          </div>
+                        );
+                      })}
+                    </div>
                   )}
-                </div>
+                </>
               )}
 
               <div className="flex items-center justify-between pt-2 border-t border-slate-300">
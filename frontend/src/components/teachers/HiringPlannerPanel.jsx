@@ -0,0 +1,193 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Loader2, RefreshCw } from 'lucide-react';
+import { getCapacityForecast } from '../../api/teacherContract';
+
+const GENDER_LABELS = { female: 'Female', male: 'Male' };
+const BREAKDOWN_TABS = [
+  { key: 'gender', label: 'Gender' },
+  { key: 'subject', label: 'Subject' },
+  { key: 'band', label: 'Time of day (Cairo)' },
+];
+
+const Stat = ({ label, value, note }) => (
+  <div className="rounded-xl border border-border bg-background px-2.5 py-2">
+    <p className="text-[10px] font-semibold uppercase tracking-[0.14em] text-muted-foreground">{label}</p>
+    <p className="mt-0.5 text-lg font-semibold text-foreground">{value}</p>
+    {note ? <p className="text-[10px] text-muted-foreground">{note}</p> : null}
+  </div>
+);
+
+/**
+ * Hiring-need planner: projected weekly demand vs what the current teachers
+ * can take for each upcoming month, with the number of hires and the profiles
+ * (gender, time-of-day band, subjects) that would close the gap.
+ */
+const HiringPlannerPanel = ({ isActive = true }) => {
+  const [forecast, setForecast] = useState(null);
+  const [months, setMonths] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [selectedMonth, setSelectedMonth] = useState('');
+  const [breakdown, setBreakdown] = useState('gender');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await getCapacityForecast({ months: months || undefined });
+      setForecast(data);
+      setSelectedMonth((prev) => (data?.months || []).some((m) => m.month === prev) ? prev : (data?.months?.[0]?.month || ''));
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to build the forecast.');
+    } finally {
+      setLoading(false);
+    }
+  }, [months]);
+
+  useEffect(() => { if (isActive) load(); }, [isActive, load]);
+
+  if (loading && !forecast) {
+    return <div className="flex items-center gap-2 text-sm text-muted-foreground"><Loader2 className="h-4 w-4 animate-spin" /> Projecting demand and supply…</div>;
+  }
+  if (error) return <div className="rounded-xl border border-red-200 bg-red-50 px-3 py-2 text-xs text-red-700">{error}</div>;
+  if (!forecast) return null;
+
+  const { assumptions = {}, current = {}, pipeline = {}, campaigns = {} } = forecast;
+  const month = (forecast.months || []).find((m) => m.month === selectedMonth) || forecast.months?.[0];
+  const peak = campaigns.peakHiresNeeded || 0;
+
+  return (
+    <div className="space-y-3 text-xs">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="inline-flex items-center gap-1.5 text-muted-foreground">
+          Horizon
+          <select value={months} onChange={(e) => setMonths(e.target.value)} className="rounded-lg border border-border bg-card px-2 py-1 text-xs text-foreground">
+            <option value="">Default ({forecast.horizonMonths} months)</option>
+            {[1, 2, 3, 4, 6, 9, 12].map((n) => <option key={n} value={n}>{n} month{n === 1 ? '' : 's'}</option>)}
+          </select>
+        </label>
+        <button type="button" onClick={load} disabled={loading} className="inline-flex items-center gap-1 rounded-full border border-border bg-background px-2.5 py-1 text-[11px] font-medium text-foreground hover:border-primary/40 disabled:opacity-60">
+          <RefreshCw className={`h-3 w-3 ${loading ? 'animate-spin' : ''}`} /> Refresh
+        </button>
+        <span className="ml-auto text-[11px] text-muted-foreground">Generated {new Date(forecast.generatedAt).toLocaleString()}</span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 sm:grid-cols-4">
+        <Stat label="Booked / week" value={`${current.bookedWeeklyHours}h`} note={`${current.activeStudents} students`} />
+        <Stat label="Plannable / week" value={`${current.plannableWeeklyHours}h`} note={`${current.openTeacherCount} of ${current.teacherCount} teachers open at ${forecast.config?.planningUtilizationPct}%`} />
+        <Stat label="Pipeline / week" value={`${pipeline.expectedWeeklyHours}h`} note={`${pipeline.leadStudents} lead students • ${pipeline.evaluationStudents} in evaluations`} />
+        <Stat
+          label="Campaign targets"
+          value={`${campaigns.targetHires} / ${peak}`}
+          note={campaigns.gap > 0 ? `${campaigns.gap} more hire${campaigns.gap === 1 ? '' : 's'} than targeted` : 'Targets cover the peak need'}
+        />
+      </div>
+
+      <div className="overflow-x-auto rounded-xl border border-border">
+        <table className="w-full min-w-[520px] text-left">
+          <thead className="bg-muted/50 text-[10px] uppercase tracking-[0.14em] text-muted-foreground">
+            <tr>
+              <th className="px-2.5 py-1.5">Month</th>
+              <th className="px-2.5 py-1.5">Demand / wk</th>
+              <th className="px-2.5 py-1.5">Supply / wk</th>
+              <th className="px-2.5 py-1.5">Shortfall</th>
+              <th className="px-2.5 py-1.5">Hires needed</th>
+              <th className="px-2.5 py-1.5">Season</th>
+            </tr>
+          </thead>
+          <tbody>
+            {(forecast.months || []).map((m) => (
+              <tr
+                key={m.month}
+                onClick={() => setSelectedMonth(m.month)}
+                className={`cursor-pointer border-t border-border ${m.month === month?.month ? 'bg-primary/5' : 'hover:bg-muted/40'}`}
+              >
+                <td className="px-2.5 py-1.5 font-semibold text-foreground">{m.label}</td>
+                <td className="px-2.5 py-1.5">{m.demandWeeklyHours}h</td>
+                <td className="px-2.5 py-1.5">{m.supplyWeeklyHours}h</td>
+                <td className={`px-2.5 py-1.5 ${m.shortfallWeeklyHours > 0 ? 'font-semibold text-red-600' : 'text-muted-foreground'}`}>{m.shortfallWeeklyHours}h</td>
+                <td className="px-2.5 py-1.5">
+                  <span className="font-semibold text-foreground">{m.hiresNeeded}</span>
+                  {m.additionalHires > 0 ? <span className="ml-1 text-[10px] text-amber-700">+{m.additionalHires} vs previous month</span> : null}
+                </td>
+                <td className="px-2.5 py-1.5 text-muted-foreground">×{m.seasonalFactor}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {month ? (
+        <div className="grid gap-3 lg:grid-cols-2">
+          <div className="rounded-xl border border-border bg-background px-3 py-2">
+            <p className="mb-1.5 text-[11px] font-semibold uppercase tracking-[0.14em] text-muted-foreground">Who to hire for {month.label}</p>
+            {month.profiles.length ? (
+              <ul className="space-y-1.5">
+                {month.profiles.map((profile) => (
+                  <li key={`${profile.gender}-${profile.band}`} className="rounded-lg border border-border bg-card px-2.5 py-1.5">
+                    <p className="font-semibold text-foreground">
+                      {profile.hires} × {GENDER_LABELS[profile.gender] || profile.gender} teacher{profile.hires === 1 ? '' : 's'} • {profile.bandLabel}
+                    </p>
+                    <p className="text-[11px] text-muted-foreground">
+                      {profile.shortfallHours}h/week short
+                      {profile.subjects.length ? ` • ${profile.subjects.map((s) => `${s.subject} (${s.shortfall}h)`).join(', ')}` : ''}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-muted-foreground">Current teachers cover the projected demand. Keep the pipeline warm.</p>
+            )}
+          </div>
+
+          <div className="rounded-xl border border-border bg-background px-3 py-2">
+            <div className="mb-1.5 flex flex-wrap items-center gap-1">
+              {BREAKDOWN_TABS.map((tab) => (
+                <button
+                  key={tab.key}
+                  type="button"
+                  onClick={() => setBreakdown(tab.key)}
+                  className={`rounded-full px-2 py-0.5 text-[11px] font-medium ${breakdown === tab.key ? 'bg-primary/10 text-primary' : 'text-muted-foreground hover:bg-muted'}`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+            <div className="space-y-1">
+              {(month.breakdown?.[breakdown] || []).map((row) => {
+                const max = Math.max(row.demand, row.supply, 1);
+                return (
+                  <div key={row.key}>
+                    <div className="flex justify-between text-[11px]">
+                      <span className="font-medium text-foreground">{row.label || GENDER_LABELS[row.key] || row.key}</span>
+                      <span className={row.shortfall > 0 ? 'text-red-600' : 'text-muted-foreground'}>
+                        {row.demand}h needed / {row.supply}h available
+                      </span>
+                    </div>
+                    <div className="relative h-1.5 w-full overflow-hidden rounded-full bg-muted">
+                      <div className="absolute inset-y-0 left-0 rounded-full bg-emerald-400/70" style={{ width: `${(row.supply / max) * 100}%` }} />
+                      <div className="absolute inset-y-0 left-0 rounded-full bg-primary" style={{ width: `${(row.demand / max) * 100}%`, opacity: 0.6 }} />
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+            {breakdown === 'subject' ? <p className="mt-1.5 text-[10px] text-muted-foreground">A teacher's free hours count towards every subject they teach.</p> : null}
+          </div>
+        </div>
+      ) : null}
+
+      <p className="text-[11px] text-muted-foreground">
+        Assumes {assumptions.leadConversionRate}% of leads convert{assumptions.leadConversionMeasured ? '' : ' (default)'},
+        {' '}{assumptions.evaluationConversionRate}% of evaluations convert{assumptions.evaluationConversionMeasured ? '' : ' (default)'},
+        {' '}{assumptions.monthlyChurnPct}% monthly student churn, {assumptions.monthlyNewStudents} new students a month
+        {' '}at {assumptions.weeklyHoursPerStudent}h/week each, and a new teacher adds {forecast.config?.weeklyHoursPerNewTeacher}h/week.
+        {' '}{assumptions.seasonalityAvailable
+          ? `Seasonality from ${assumptions.monthsOfHistory} months of class history.`
+          : 'Seasonality starts once a year of class history exists.'}
+      </p>
+    </div>
+  );
+};
+
+export default HiringPlannerPanel;
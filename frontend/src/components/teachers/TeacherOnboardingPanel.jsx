@@ -0,0 +1,263 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CheckCircle2, Circle, Download, FileText, Loader2, MinusCircle, Trash2, Upload } from 'lucide-react';
+import {
+  getTeacherOnboarding,
+  startTeacherOnboarding,
+  setTeacherOnboardingItem,
+  listTeacherDocuments,
+  uploadTeacherDocument,
+  updateTeacherDocument,
+  archiveTeacherDocument,
+  downloadTeacherDocument,
+} from '../../api/teacherOnboarding';
+
+const DOCUMENT_TYPE_LABELS = {
+  agreement: 'Signed agreement',
+  identity: 'ID copy',
+  bank_proof: 'Bank proof',
+  certificate: 'Certificate',
+  other: 'Other',
+};
+
+const ITEM_STATUS_STYLES = {
+  done: 'text-green-700 dark:text-green-300',
+  waived: 'text-slate-500',
+  pending: 'text-amber-700 dark:text-amber-300',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const ItemIcon = ({ status }) => {
+  if (status === 'done') return <CheckCircle2 className="h-3.5 w-3.5 text-green-600" />;
+  if (status === 'waived') return <MinusCircle className="h-3.5 w-3.5 text-slate-400" />;
+  return <Circle className="h-3.5 w-3.5 text-amber-500" />;
+};
+
+/**
+ * Onboarding checklist and document vault for one teacher. Admins can tick,
+ * waive or reset items and manage documents; teachers see their own checklist
+ * and upload documents. With `hideWhenMissing` the panel renders nothing for
+ * teachers who have no checklist (hired before onboarding existed).
+ */
+const TeacherOnboardingPanel = ({ teacherId, isAdmin = false, hideWhenMissing = false, onChange }) => {
+  const [onboarding, setOnboarding] = useState(null);
+  const [documents, setDocuments] = useState([]);
+  const [missing, setMissing] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState('');
+  const [error, setError] = useState('');
+  const [upload, setUpload] = useState({ file: null, type: 'identity', title: '', expiresAt: '' });
+  const [fileInputKey, setFileInputKey] = useState(0);
+
+  const load = useCallback(async () => {
+    if (!teacherId) return;
+    setLoading(true);
+    setError('');
+    try {
+      const [checklist, docs] = await Promise.all([
+        getTeacherOnboarding(teacherId).catch((err) => {
+          if (err?.response?.status === 404) return null;
+          throw err;
+        }),
+        listTeacherDocuments(teacherId),
+      ]);
+      setOnboarding(checklist);
+      setMissing(!checklist);
+      setDocuments(docs);
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to load onboarding');
+    } finally {
+      setLoading(false);
+    }
+  }, [teacherId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const run = async (key, action) => {
+    setBusy(key);
+    setError('');
+    try {
+      await action();
+      await load();
+      if (onChange) onChange();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Something went wrong');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleUpload = (e) => {
+    e.preventDefault();
+    if (!upload.file) return;
+    run('upload', async () => {
+      await uploadTeacherDocument(teacherId, upload);
+      setUpload({ file: null, type: upload.type, title: '', expiresAt: '' });
+      setFileInputKey((k) => k + 1);
+    });
+  };
+
+  if (loading && !onboarding && !documents.length) {
+    return <p className="text-[11px] text-muted-foreground">Loading onboarding…</p>;
+  }
+  if (missing && hideWhenMissing) return null;
+
+  return (
+    <div className="space-y-3 text-[11px]">
+      {error ? <div className="rounded-lg border border-red-200 bg-red-50 px-2.5 py-1.5 text-red-700">{error}</div> : null}
+
+      {onboarding ? (
+        <div>
+          <div className="mb-1.5 flex items-center justify-between">
+            <p className="font-semibold text-foreground">Onboarding checklist</p>
+            <span className={onboarding.completedAt ? 'font-semibold text-green-700' : 'font-semibold text-amber-700'}>
+              {onboarding.completedAt ? `Complete since ${formatDate(onboarding.completedAt)}` : `${onboarding.done}/${onboarding.total} done`}
+            </span>
+          </div>
+          {!onboarding.completedAt ? (
+            <p className="mb-1.5 text-muted-foreground">New students can't be assigned until every item is done or waived.</p>
+          ) : null}
+          <ul className="space-y-1">
+            {onboarding.items.map((item) => (
+              <li key={item.key} className="flex flex-wrap items-center gap-2 rounded-lg border border-border bg-background px-2 py-1.5">
+                <ItemIcon status={item.status} />
+                <span className="font-medium text-foreground">{item.label}</span>
+                <span className={ITEM_STATUS_STYLES[item.status]}>
+                  {item.status}{item.source === 'manual' ? ' (by admin)' : ''}
+                </span>
+                <span className="min-w-0 flex-1 truncate text-muted-foreground">{item.note || item.detail}</span>
+                {isAdmin ? (
+                  <select
+                    value={item.source === 'manual' ? item.status : 'auto'}
+                    disabled={busy === item.key}
+                    onChange={(e) => run(item.key, () => setTeacherOnboardingItem(teacherId, item.key, {
+                      status: e.target.value === 'auto' ? 'pending' : e.target.value,
+                    }))}
+                    className="rounded-md border border-border bg-card px-1.5 py-0.5 text-[11px] text-foreground"
+                  >
+                    <option value="auto">Automatic</option>
+                    <option value="done">Mark done</option>
+                    <option value="waived">Waive</option>
+                  </select>
+                ) : null}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : (
+        <div className="flex items-center justify-between rounded-lg border border-dashed border-border px-2.5 py-2 text-muted-foreground">
+          <span>No onboarding checklist for this teacher.</span>
+          {isAdmin ? (
+            <button
+              type="button"
+              disabled={busy === 'start'}
+              onClick={() => run('start', () => startTeacherOnboarding(teacherId))}
+              className="rounded-full border border-border bg-card px-2.5 py-1 font-medium text-foreground hover:border-primary/40 disabled:opacity-60"
+            >
+              Start onboarding
+            </button>
+          ) : null}
+        </div>
+      )}
+
+      <div>
+        <p className="mb-1.5 font-semibold text-foreground">Documents</p>
+        {documents.length ? (
+          <ul className="space-y-1">
+            {documents.map((doc) => (
+              <li key={doc._id} className="flex flex-wrap items-center gap-2 rounded-lg border border-border bg-background px-2 py-1.5">
+                <FileText className="h-3.5 w-3.5 text-muted-foreground" />
+                <span className="font-medium text-foreground">{doc.title || DOCUMENT_TYPE_LABELS[doc.type]}</span>
+                <span className="text-muted-foreground">{DOCUMENT_TYPE_LABELS[doc.type] || doc.type}</span>
+                {doc.expired ? (
+                  <span className="rounded-full bg-red-100 px-1.5 py-0.5 text-[10px] font-semibold text-red-700">Expired {formatDate(doc.expiresAt)}</span>
+                ) : doc.expiresAt ? (
+                  <span className="text-muted-foreground">Expires {formatDate(doc.expiresAt)}</span>
+                ) : null}
+                <span className="flex-1" />
+                {isAdmin ? (
+                  <input
+                    type="date"
+                    defaultValue={toDateInput(doc.expiresAt)}
+                    title="Expiry date"
+                    onBlur={(e) => {
+                      if (e.target.value === toDateInput(doc.expiresAt)) return;
+                      run(`expiry-${doc._id}`, () => updateTeacherDocument(teacherId, doc._id, { expiresAt: e.target.value || null }));
+                    }}
+                    className="rounded-md border border-border bg-card px-1.5 py-0.5 text-[11px] text-foreground"
+                  />
+                ) : null}
+                <button
+                  type="button"
+                  onClick={() => run(`download-${doc._id}`, () => downloadTeacherDocument(teacherId, doc))}
+                  className="rounded-full p-1 text-muted-foreground hover:bg-muted"
+                  title="Download"
+                >
+                  {busy === `download-${doc._id}` ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <Download className="h-3.5 w-3.5" />}
+                </button>
+                {isAdmin ? (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      if (!window.confirm('Archive this document? It will no longer count towards onboarding.')) return;
+                      run(`archive-${doc._id}`, () => archiveTeacherDocument(teacherId, doc._id));
+                    }}
+                    className="rounded-full p-1 text-muted-foreground hover:bg-muted hover:text-red-600"
+                    title="Archive"
+                  >
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </button>
+                ) : null}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-muted-foreground">No documents uploaded yet.</p>
+        )}
+
+        <form onSubmit={handleUpload} className="mt-2 flex flex-wrap items-center gap-1.5">
+          <select
+            value={upload.type}
+            onChange={(e) => setUpload((p) => ({ ...p, type: e.target.value }))}
+            className="rounded-md border border-border bg-card px-1.5 py-1 text-[11px] text-foreground"
+          >
+            {Object.entries(DOCUMENT_TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <input
+            value={upload.title}
+            onChange={(e) => setUpload((p) => ({ ...p, title: e.target.value }))}
+            placeholder="Title (optional)"
+            className="w-36 rounded-md border border-border bg-card px-1.5 py-1 text-[11px] text-foreground"
+          />
+          <label className="inline-flex items-center gap-1 text-muted-foreground">
+            Expires
+            <input
+              type="date"
+              value={upload.expiresAt}
+              onChange={(e) => setUpload((p) => ({ ...p, expiresAt: e.target.value }))}
+              className="rounded-md border border-border bg-card px-1.5 py-1 text-[11px] text-foreground"
+            />
+          </label>
+          <input
+            key={fileInputKey}
+            type="file"
+            accept="image/*,application/pdf"
+            onChange={(e) => setUpload((p) => ({ ...p, file: e.target.files?.[0] || null }))}
+            className="max-w-[12rem] text-[11px]"
+          />
+          <button
+            type="submit"
+            disabled={!upload.file || busy === 'upload'}
+            className="inline-flex items-center gap-1 rounded-full bg-primary px-2.5 py-1 font-medium text-primary-foreground disabled:opacity-60"
+          >
+            {busy === 'upload' ? <Loader2 className="h-3 w-3 animate-spin" /> : <Upload className="h-3 w-3" />}
+            Upload
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default TeacherOnboardingPanel;
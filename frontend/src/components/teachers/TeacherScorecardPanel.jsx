@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react';
+import {
+  ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip,
+} from 'recharts';
+import { AlertTriangle } from 'lucide-react';
+import api from '../../api/axios';
+
+export const SCORECARD_METRICS = [
+  { key: 'feedbackRating', label: 'Feedback', color: '#6366f1' },
+  { key: 'punctuality', label: 'Punctuality', color: '#0ea5e9' },
+  { key: 'connectionQuality', label: 'Connection', color: '#14b8a6' },
+  { key: 'reportTimeliness', label: 'Reports on time', color: '#f59e0b' },
+  { key: 'cancellations', label: 'Kept classes', color: '#ef4444' },
+  { key: 'retention', label: 'Retention', color: '#22c55e' },
+];
+
+export const SCORECARD_METRIC_LABELS = SCORECARD_METRICS.reduce(
+  (acc, m) => ({ ...acc, [m.key]: m.label }),
+  { score: 'Overall score' }
+);
+
+export const formatScore = (value) => (value === null || value === undefined ? '—' : Number(value).toFixed(1));
+
+export const scoreTone = (value) => {
+  if (value === null || value === undefined) return 'text-muted-foreground';
+  if (value >= 80) return 'text-green-700';
+  if (value >= 60) return 'text-amber-700';
+  return 'text-red-700';
+};
+
+const periodLabel = (period) => {
+  const [year, month] = String(period || '').split('-').map(Number);
+  if (!year || !month) return period;
+  return new Date(Date.UTC(year, month - 1, 1)).toLocaleString('en-US', { month: 'short', year: '2-digit', timeZone: 'UTC' });
+};
+
+/**
+ * Monthly scorecard for one teacher: current month metrics and a trend chart.
+ * Admins get percentile rank and threshold alerts; the API leaves those out
+ * for the teacher's own (reduced) view, so the panel simply hides them.
+ */
+const TeacherScorecardPanel = ({ teacherId, months = 6, compact = false }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!teacherId) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    api.get(`/teacher-scorecards/teacher/${teacherId}`, { params: { months } })
+      .then((res) => { if (!cancelled) setData(res.data); })
+      .catch((err) => { if (!cancelled) setError(err?.response?.data?.message || 'Failed to load scorecard'); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [teacherId, months]);
+
+  if (loading) return <p className="text-sm text-muted-foreground">Loading scorecard…</p>;
+  if (error) return <p className="text-sm text-destructive">{error}</p>;
+  if (!data) return null;
+
+  const current = data.current || {};
+  const chartData = (data.trend || []).map((card) => {
+    const row = { label: periodLabel(card.period), score: card.score };
+    SCORECARD_METRICS.forEach((m) => { row[m.key] = card.metrics?.[m.key]?.value ?? null; });
+    return row;
+  });
+  const hasTrend = chartData.some((row) => row.score !== null);
+  const alerts = Array.isArray(current.alerts) ? current.alerts : [];
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <p className="text-xs text-muted-foreground">Score this month</p>
+          <p className={`text-2xl font-semibold ${scoreTone(current.score)}`}>{formatScore(current.score)}</p>
+        </div>
+        {current.percentile !== undefined && current.percentile !== null && (
+          <div>
+            <p className="text-xs text-muted-foreground">Percentile</p>
+            <p className="text-lg font-semibold text-foreground">{current.percentile}</p>
+          </div>
+        )}
+        {current.counts && (
+          <div className="text-xs text-muted-foreground">
+            {current.counts.classes} classes · {current.counts.hours} h · {current.counts.reportsOnTime}/{current.counts.reportsDue} reports on time · {current.counts.feedbackCount} feedback
+          </div>
+        )}
+      </div>
+
+      {alerts.length > 0 && (
+        <div className="flex items-start gap-2 rounded-md border border-amber-200 bg-amber-50 p-2 text-xs text-amber-900">
+          <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+          <span>
+            Below threshold: {alerts.map((a) => `${SCORECARD_METRIC_LABELS[a.metric] || a.metric} ${formatScore(a.value)} (min ${a.threshold})`).join(', ')}
+          </span>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+        {SCORECARD_METRICS.map((m) => {
+          const metric = current.metrics?.[m.key];
+          return (
+            <div key={m.key} className="rounded-md border border-border bg-card px-3 py-2">
+              <p className="text-[11px] text-muted-foreground">{m.label}</p>
+              <p className={`text-sm font-semibold ${scoreTone(metric?.value)}`}>{formatScore(metric?.value)}</p>
+            </div>
+          );
+        })}
+      </div>
+
+      {hasTrend ? (
+        <div style={{ height: compact ? 160 : 220 }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData} margin={{ top: 4, right: 8, left: 0, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--border)" />
+              <XAxis dataKey="label" tick={{ fontSize: 9 }} />
+              <YAxis domain={[0, 100]} tick={{ fontSize: 9 }} width={28} />
+              <Tooltip contentStyle={{ fontSize: 11 }} formatter={(v) => formatScore(v)} />
+              <Line type="monotone" dataKey="score" name="Score" stroke="#111827" strokeWidth={2} connectNulls />
+              {!compact && SCORECARD_METRICS.map((m) => (
+                <Line
+                  key={m.key}
+                  type="monotone"
+                  dataKey={m.key}
+                  name={m.label}
+                  stroke={m.color}
+                  strokeWidth={1}
+                  dot={false}
+                  connectNulls
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      ) : (
+        <p className="text-xs text-muted-foreground">No scored months yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default TeacherScorecardPanel;
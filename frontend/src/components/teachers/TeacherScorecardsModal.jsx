@@ -0,0 +1,243 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { RefreshCcw, X } from 'lucide-react';
+import api from '../../api/axios';
+import {
+  SCORECARD_METRICS,
+  SCORECARD_METRIC_LABELS,
+  formatScore,
+  scoreTone,
+} from './TeacherScorecardPanel';
+
+const currentPeriod = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const toFormConfig = (config) => ({
+  weights: { ...(config?.weights || {}) },
+  thresholds: Object.fromEntries(
+    Object.entries(config?.thresholds || {}).map(([k, v]) => [k, v === null || v === undefined ? '' : v])
+  ),
+  minClassesForAlerts: config?.minClassesForAlerts ?? 0,
+});
+
+/**
+ * Admin overview of the monthly teacher scorecards: ranking for a period and
+ * the weights / alert thresholds used to compute it.
+ */
+const TeacherScorecardsModal = ({ onClose }) => {
+  const [tab, setTab] = useState('ranking');
+  const [period, setPeriod] = useState(currentPeriod());
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState('');
+
+  const load = useCallback(async (refresh = false) => {
+    setLoading(true);
+    setError('');
+    try {
+      const res = await api.get('/teacher-scorecards', { params: { period, refresh: refresh || undefined } });
+      setRows(res.data?.scorecards || []);
+      if (res.data?.config) setForm((prev) => prev || toFormConfig(res.data.config));
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to load scorecards');
+    } finally {
+      setLoading(false);
+    }
+  }, [period]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const updateForm = (section, key, value) => {
+    setForm((prev) => ({ ...prev, [section]: { ...prev[section], [key]: value } }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setSaveMessage('');
+    setError('');
+    try {
+      const thresholds = Object.fromEntries(
+        Object.entries(form.thresholds).map(([k, v]) => [k, v === '' ? null : Number(v)])
+      );
+      const weights = Object.fromEntries(
+        Object.entries(form.weights).map(([k, v]) => [k, Number(v) || 0])
+      );
+      const res = await api.put('/teacher-scorecards/config', {
+        weights,
+        thresholds,
+        minClassesForAlerts: Number(form.minClassesForAlerts) || 0,
+      });
+      setForm(toFormConfig(res.data?.config));
+      setSaveMessage('Saved. Recompute a month to apply the new settings.');
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to save scorecard settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className="bg-card rounded-lg shadow-xl w-full max-w-5xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between border-b border-border px-4 py-3">
+          <h2 className="text-lg font-semibold text-foreground">Teacher scorecards</h2>
+          <button type="button" onClick={onClose} className="text-muted-foreground hover:text-foreground">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="flex items-center gap-2 px-4 pt-3">
+          {[{ id: 'ranking', label: 'Ranking' }, { id: 'settings', label: 'Weights & thresholds' }].map((t) => (
+            <button
+              key={t.id}
+              type="button"
+              onClick={() => setTab(t.id)}
+              className={`px-3 py-1.5 rounded-full border text-sm ${
+                tab === t.id ? 'bg-primary text-primary-foreground border-primary' : 'border-border text-muted-foreground'
+              }`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+
+        {error && <p className="px-4 pt-2 text-sm text-destructive">{error}</p>}
+
+        <div className="overflow-auto p-4">
+          {tab === 'ranking' ? (
+            <>
+              <div className="flex items-center gap-2 mb-3">
+                <input
+                  type="month"
+                  value={period}
+                  onChange={(e) => setPeriod(e.target.value || currentPeriod())}
+                  className="rounded-md border border-border px-2 py-1 text-sm bg-background"
+                />
+                <button
+                  type="button"
+                  onClick={() => load(true)}
+                  disabled={loading}
+                  className="inline-flex items-center gap-1 rounded-md border border-border px-3 py-1 text-sm hover:bg-muted disabled:opacity-60"
+                >
+                  <RefreshCcw className="h-4 w-4" /> Recompute
+                </button>
+              </div>
+              {loading ? (
+                <p className="text-sm text-muted-foreground">Loading…</p>
+              ) : rows.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No classes or feedback recorded for this month.</p>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs font-semibold text-muted-foreground border-b border-border">
+                      <th className="py-2 pr-3">Teacher</th>
+                      <th className="py-2 pr-3">Score</th>
+                      <th className="py-2 pr-3">Pct.</th>
+                      {SCORECARD_METRICS.map((m) => <th key={m.key} className="py-2 pr-3">{m.label}</th>)}
+                      <th className="py-2 pr-3">Classes</th>
+                      <th className="py-2">Alerts</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-border">
+                    {rows.map((row) => (
+                      <tr key={row._id}>
+                        <td className="py-2 pr-3 whitespace-nowrap font-medium text-foreground">
+                          {`${row.teacher?.firstName || ''} ${row.teacher?.lastName || ''}`.trim() || 'Teacher'}
+                        </td>
+                        <td className={`py-2 pr-3 font-semibold ${scoreTone(row.score)}`}>{formatScore(row.score)}</td>
+                        <td className="py-2 pr-3">{row.percentile ?? '—'}</td>
+                        {SCORECARD_METRICS.map((m) => (
+                          <td key={m.key} className={`py-2 pr-3 ${scoreTone(row.metrics?.[m.key]?.value)}`}>
+                            {formatScore(row.metrics?.[m.key]?.value)}
+                          </td>
+                        ))}
+                        <td className="py-2 pr-3">{row.counts?.classes ?? 0}</td>
+                        <td className="py-2 text-xs text-red-700">
+                          {(row.alerts || []).map((a) => SCORECARD_METRIC_LABELS[a.metric] || a.metric).join(', ')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          ) : form ? (
+            <div className="space-y-4">
+              <p className="text-xs text-muted-foreground">
+                Metrics are scored 0–100. The overall score is the weighted average of the metrics that have data for the month.
+                Leave a threshold empty to disable its alert.
+              </p>
+              <table className="text-sm">
+                <thead>
+                  <tr className="text-left text-xs font-semibold text-muted-foreground">
+                    <th className="py-1 pr-4">Metric</th>
+                    <th className="py-1 pr-4">Weight</th>
+                    <th className="py-1">Alert below</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[{ key: 'score', label: SCORECARD_METRIC_LABELS.score }, ...SCORECARD_METRICS].map((m) => (
+                    <tr key={m.key}>
+                      <td className="py-1 pr-4">{m.label}</td>
+                      <td className="py-1 pr-4">
+                        {m.key === 'score' ? '—' : (
+                          <input
+                            type="number"
+                            min="0"
+                            value={form.weights[m.key] ?? 0}
+                            onChange={(e) => updateForm('weights', m.key, e.target.value)}
+                            className="w-20 rounded-md border border-border px-2 py-1 bg-background"
+                          />
+                        )}
+                      </td>
+                      <td className="py-1">
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          value={form.thresholds[m.key] ?? ''}
+                          onChange={(e) => updateForm('thresholds', m.key, e.target.value)}
+                          className="w-20 rounded-md border border-border px-2 py-1 bg-background"
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <label className="flex items-center gap-2 text-sm">
+                <span>Only alert when the teacher had at least</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={form.minClassesForAlerts}
+                  onChange={(e) => setForm((prev) => ({ ...prev, minClassesForAlerts: e.target.value }))}
+                  className="w-16 rounded-md border border-border px-2 py-1 bg-background"
+                />
+                <span>classes in the month</span>
+              </label>
+              <div className="flex items-center gap-3">
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={saving}
+                  className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-primary-foreground disabled:opacity-60"
+                >
+                  {saving ? 'Saving…' : 'Save settings'}
+                </button>
+                {saveMessage && <span className="text-xs text-green-700">{saveMessage}</span>}
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-muted-foreground">Loading…</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TeacherScorecardsModal;
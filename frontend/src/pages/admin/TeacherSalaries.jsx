@@ -22,15 +22,6 @@ import ExportExcelButton from '../../components/ui/ExportExcelButton';
 import { fetchAllForExport, mapSalaryRow, downloadExcel } from '../../utils/exportToExcel';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import { formatDateDDMMMYYYY } from '../../utils/date';
-// Heavy modals — only loaded when opened.
-const TeacherInvoiceDetailModal = React.lazy(() => import('../../components/teacherSalary/TeacherInvoiceDetailModal'));
-const PublishInvoiceDialog = React.lazy(() => import('../../components/teacherSalary/PublishInvoiceDialog'));
-const MarkPaidDialog = React.lazy(() => import('../../components/teacherSalary/MarkPaidDialog'));
-const AddBonusDialog = React.lazy(() => import('../../components/teacherSalary/AddBonusDialog'));
-const AddExtraDialog = React.lazy(() => import('../../components/teacherSalary/AddExtraDialog'));
-const SalarySettingsModal = React.lazy(() => import('../../components/teacherSalary/SalarySettingsModal'));
-const GenerateInvoicesModal = React.lazy(() => import('../../components/teacherSalary/GenerateInvoicesModal'));
-const ZeroMonthlyHoursModal = React.lazy(() => import('../../components/teacherSalary/ZeroMonthlyHoursModal'));
 import { makeCacheKey, readCache, writeCache } from '../../utils/sessionCache';
 import {
   TEACHER_SALARY_VIEW_KEY,
@@ -58,8 +49,19 @@ import {
   CheckCheck,
   Copy,
   MessageSquare,
-  CheckSquare
+  CheckSquare,
+  Banknote
 } from 'lucide-react';
+// Heavy modals — only loaded when opened.
+const TeacherInvoiceDetailModal = React.lazy(() => import('../../components/teacherSalary/TeacherInvoiceDetailModal'));
+const PublishInvoiceDialog = React.lazy(() => import('../../components/teacherSalary/PublishInvoiceDialog'));
+const MarkPaidDialog = React.lazy(() => import('../../components/teacherSalary/MarkPaidDialog'));
+const AddBonusDialog = React.lazy(() => import('../../components/teacherSalary/AddBonusDialog'));
+const AddExtraDialog = React.lazy(() => import('../../components/teacherSalary/AddExtraDialog'));
+const SalarySettingsModal = React.lazy(() => import('../../components/teacherSalary/SalarySettingsModal'));
+const GenerateInvoicesModal = React.lazy(() => import('../../components/teacherSalary/GenerateInvoicesModal'));
+const ZeroMonthlyHoursModal = React.lazy(() => import('../../components/teacherSalary/ZeroMonthlyHoursModal'));
+const PayoutBatchesModal = React.lazy(() => import('../../components/teacherSalary/PayoutBatchesModal'));
 
 const formatEGPSummary = (value) => new Intl.NumberFormat('en-EG', {
   style: 'currency',
@@ -110,6 +112,7 @@ const TeacherSalaries = () => {
   const [showSettingsModal, setShowSettingsModal] = useState(false);
   const [showGenerateModal, setShowGenerateModal] = useState(false);
   const [showZeroModal, setShowZeroModal] = useState(false);
+  const [payoutModal, setPayoutModal] = useState(null); // { invoiceIds } when open
   const [showQuickActions, setShowQuickActions] = useState(false);
   const [copiedLinkId, setCopiedLinkId] = useState(null);
   const [teacherMsgModal, setTeacherMsgModal] = useState(null);
@@ -572,6 +575,11 @@ const TeacherSalaries = () => {
   const handleBulkMarkPaid = () => runBulkAction('Mark as paid', (ids) => api.post('/teacher-salary/admin/bulk/mark-paid', { ids }));
   const handleBulkPublish = () => runBulkAction('Publish', (ids) => api.post('/teacher-salary/admin/bulk/publish', { ids }));
   const handleBulkDelete = () => runBulkAction('Delete', (ids) => api.post('/teacher-salary/admin/bulk/delete', { ids }));
+  const handleBulkPayout = () => {
+    setPayoutModal({ invoiceIds: [...bulk.selected] });
+    bulk.clearSelection();
+    bulk.toggleSelectionMode();
+  };
 
   // Clear selection on tab change
   const handleStatusTabChangeWithClear = (status) => {
@@ -738,6 +746,10 @@ const TeacherSalaries = () => {
                   className="inline-flex items-center gap-1 rounded-lg border border-emerald-200 bg-emerald-50 px-2 py-1 text-[11px] font-medium text-emerald-700 hover:bg-emerald-100 disabled:opacity-40">
                   <Check className="h-3 w-3" /> Mark paid
                 </button>
+                <button type="button" onClick={handleBulkPayout} disabled={bulk.selectedCount === 0 || bulkActionLoading}
+                  className="inline-flex items-center gap-1 rounded-lg border border-primary/20 bg-primary/5 px-2 py-1 text-[11px] font-medium text-primary hover:bg-primary/10 disabled:opacity-40">
+                  <Banknote className="h-3 w-3" /> Payout batch
+                </button>
                 <button type="button" onClick={handleBulkPublish} disabled={bulk.selectedCount === 0 || bulkActionLoading}
                   className="inline-flex items-center gap-1 rounded-lg border border-sky-200 bg-sky-50 px-2 py-1 text-[11px] font-medium text-sky-700 hover:bg-sky-100 disabled:opacity-40">
                   <Send className="h-3 w-3" /> Publish
@@ -1205,6 +1217,17 @@ const TeacherSalaries = () => {
               <Plus className="h-4 w-4" />
               Generate Invoices
             </button>
+            <button
+              onClick={() => {
+                setPayoutModal({ invoiceIds: [] });
+                setShowQuickActions(false);
+              }}
+              className="inline-flex items-center gap-2 rounded-lg bg-primary px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-primary/90"
+              aria-label="Open payout batches"
+            >
+              <Banknote className="h-4 w-4" />
+              Payout Batches
+            </button>
             <button
               onClick={() => {
                 setShowZeroModal(true);
@@ -1317,6 +1340,14 @@ const TeacherSalaries = () => {
         />
       )}
 
+      {payoutModal && (
+        <PayoutBatchesModal
+          invoiceIds={payoutModal.invoiceIds}
+          onClose={() => setPayoutModal(null)}
+          onUpdate={fetchInvoices}
+        />
+      )}
+
       {showZeroModal && (
         <ZeroMonthlyHoursModal
           onClose={() => setShowZeroModal(false)}
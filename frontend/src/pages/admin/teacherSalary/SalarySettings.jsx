@@ -6,6 +6,7 @@
  * - Configure salary rate partitions (Online 1-1, Online Group, In-Person)
  * - Set default transfer fees
  * - Apply rate changes to draft invoices
+ * - What-if simulation of partition, exchange rate and fee changes
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -13,6 +14,7 @@ import { useNavigate } from 'react-router-dom';
 import api from '../../../api/axios';
 import { useAuth } from '../../../contexts/AuthContext';
 import LoadingSpinner from '../../../components/ui/LoadingSpinner';
+import SalarySimulationPanel from '../../../components/teacherSalary/SalarySimulationPanel';
 import {
   DollarSign,
   Settings,
@@ -22,7 +24,8 @@ import {
   CheckCircle,
   Info,
   Calendar,
-  RefreshCw
+  RefreshCw,
+  FlaskConical
 } from 'lucide-react';
 
 const SalarySettings = () => {
@@ -38,7 +41,7 @@ const SalarySettings = () => {
   }, [isAdmin, navigate]);
 
   // State
-  const [activeTab, setActiveTab] = useState('exchange-rates'); // exchange-rates | partitions | transfer-fees | guardian-rate
+  const [activeTab, setActiveTab] = useState('exchange-rates'); // exchange-rates | partitions | transfer-fees | guardian-rate | simulate
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
@@ -310,7 +313,7 @@ const SalarySettings = () => {
 
         {/* Tabs */}
         <div className="mb-6">
-          <div className="flex items-center gap-3 bg-white/60 p-1 rounded-full shadow-sm max-w-md">
+          <div className="flex items-center gap-3 bg-white/60 p-1 rounded-full shadow-sm max-w-max">
             <button
               onClick={() => setActiveTab('exchange-rates')}
               className={`px-4 py-2 rounded-full text-sm font-medium transition ${
@@ -363,6 +366,19 @@ const SalarySettings = () => {
                 <span>Guardian Rate</span>
               </div>
             </button>
+            <button
+              onClick={() => setActiveTab('simulate')}
+              className={`px-4 py-2 rounded-full text-sm font-medium transition ${
+                activeTab === 'simulate'
+                  ? 'bg-primary text-white shadow'
+                  : 'text-slate-600 hover:bg-slate-100'
+              }`}
+            >
+              <div className="flex items-center gap-2">
+                <FlaskConical className={`h-4 w-4 ${activeTab === 'simulate' ? 'text-white' : 'text-gray-500'}`} />
+                <span>What-if</span>
+              </div>
+            </button>
           </div>
         </div>
 
@@ -891,6 +907,11 @@ const SalarySettings = () => {
                 </div>
               </div>
             )}
+
+            {/* What-if Simulation Tab */}
+            {activeTab === 'simulate' && settings && (
+              <SalarySimulationPanel settings={settings} />
+            )}
           </>
         )}
       </div>
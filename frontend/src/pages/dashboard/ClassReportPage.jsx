@@ -527,6 +527,21 @@ const ClassReportPage = ({ reportClass, reportClassId, onClose, onSuccess }) =>
 
   // ✅ Submit Report
   const [hoverScore, setHoverScore] = useState(0);
+  // Group classes: per-student attendance and notes, keyed by studentId
+  const [rosterMarks, setRosterMarks] = useState({});
+  useEffect(() => {
+    if (!classData?.isGroup || !Array.isArray(classData.roster)) {
+      setRosterMarks({});
+      return;
+    }
+    setRosterMarks(Object.fromEntries(classData.roster.map((entry) => [
+      String(entry.studentId),
+      {
+        attendance: entry.attendance && entry.attendance !== 'pending' ? entry.attendance : 'attended',
+        teacherNotes: entry.report?.teacherNotes || '',
+      },
+    ])));
+  }, [classData?.isGroup, classData?.roster]);
 
   const handleSubmitReport = async (e) => {
     e.preventDefault();
@@ -664,6 +679,14 @@ const ClassReportPage = ({ reportClass, reportClassId, onClose, onSuccess }) =>
 
       
 
+      if (classData?.isGroup && attendance === "attended") {
+        sanitizedPayload.roster = Object.entries(rosterMarks).map(([studentId, mark]) => ({
+          studentId,
+          attendance: mark.attendance,
+          teacherNotes: mark.teacherNotes,
+        }));
+      }
+
       const res = await api.put(`/classes/${derivedClassId}/report`, {
         ...sanitizedPayload,
         applyToFutureClasses: applyToFutureRef.current === true,
@@ -984,6 +1007,37 @@ const ClassReportPage = ({ reportClass, reportClassId, onClose, onSuccess }) =>
               )}
             </div>
 
+            {isAttended && classData?.isGroup && Array.isArray(classData.roster) && classData.roster.length > 0 && (
+              <div className="space-y-2 border-t border-slate-200 pt-4">
+                <label className="block text-sm font-semibold text-slate-800">Students</label>
+                <p className="text-xs text-slate-500">Mark each student. Excused absences are not charged to the guardian.</p>
+                {classData.roster.map((entry) => {
+                  const key = String(entry.studentId);
+                  const mark = rosterMarks[key] || { attendance: 'attended', teacherNotes: '' };
+                  return (
+                    <div key={key} className="flex flex-wrap items-center gap-2 rounded-lg border border-slate-200 bg-slate-50 p-2">
+                      <span className="min-w-[8rem] flex-1 text-sm font-medium text-slate-800">{entry.studentName}</span>
+                      <select
+                        value={mark.attendance}
+                        onChange={(e) => setRosterMarks((prev) => ({ ...prev, [key]: { ...mark, attendance: e.target.value } }))}
+                        className="rounded-md border border-slate-300 bg-white px-2 py-1 text-xs text-slate-700"
+                      >
+                        <option value="attended">Attended</option>
+                        <option value="absent">Absent</option>
+                        <option value="excused">Excused</option>
+                      </select>
+                      <input
+                        value={mark.teacherNotes}
+                        onChange={(e) => setRosterMarks((prev) => ({ ...prev, [key]: { ...mark, teacherNotes: e.target.value } }))}
+                        placeholder="Note for this student (optional)"
+                        className="min-w-[10rem] flex-[2] rounded-md border border-slate-300 bg-white px-2 py-1 text-xs text-slate-700"
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
             {isAbsent && (
               <div className="border-t border-slate-200 pt-4 text-sm text-amber-900">
                 <div className="rounded-2xl border border-amber-200 bg-amber-50 px-4 py-3">
@@ -8,6 +8,7 @@ import { useSearch } from "../../contexts/SearchContext";
 import api from '../../api/axios';
 import useDomainRefresh from '../../hooks/useDomainRefresh';
 import { makeCacheKey, readCache, writeCache } from "../../utils/sessionCache";
+import { DEFAULT_RULE_FORM, ruleFormToRecurrence } from "../../utils/recurrenceRule";
 import { deleteMeeting, listMeetings } from '../../api/meetings';
 import Select from "react-select";
 import {
@@ -30,10 +31,13 @@ import RequestClassChangeModal from "../../components/dashboard/RequestClassChan
 import CircleSpinner from "../../components/ui/CircleSpinner";
 import useMinLoading from "../../components/ui/useMinLoading";
 import CopyButton from "../../components/ui/CopyButton";
+import FABCluster from "../../components/FABCluster";
+import ClassesCalendarView from "../../components/dashboard/ClassesCalendarView";
+import { MEETING_TYPES, MEETING_TYPE_LABELS } from '../../constants/meetingConstants';
+import { useDeleteClassCountdown } from "../../contexts/DeleteClassCountdownContext";
 // Heavy modals — render on demand only.
 const EditClassModal = React.lazy(() => import("../../components/dashboard/EditClassModal"));
 const CreateClassModal = React.lazy(() => import("../../components/dashboard/CreateClassModal"));
-import FABCluster from "../../components/FABCluster";
 const MeetingReportModal = React.lazy(() => import("../../components/dashboard/MeetingReportModal"));
 const UnifiedReportComposerModal = React.lazy(() => import("../../components/reports/UnifiedReportComposerModal"));
 const RescheduleClassModal = React.lazy(() => import("../../components/dashboard/RescheduleClassModal"));
@@ -41,10 +45,7 @@ const RescheduleRequestModal = React.lazy(() => import("../../components/dashboa
 const RescheduleRequestDetailsModal = React.lazy(() => import("../../components/dashboard/RescheduleRequestDetailsModal"));
 const DeleteClassModal = React.lazy(() => import("../../components/dashboard/DeleteClassModal"));
 const DuplicateClassModal = React.lazy(() => import("../../components/dashboard/DuplicateClassModal"));
-import ClassesCalendarView from "../../components/dashboard/ClassesCalendarView";
-import { MEETING_TYPES, MEETING_TYPE_LABELS } from '../../constants/meetingConstants';
 const CancelClassModal = React.lazy(() => import("../../components/dashboard/CancelClassModal"));
-import { useDeleteClassCountdown } from "../../contexts/DeleteClassCountdownContext";
 const SeriesScannerModal = React.lazy(() => import("../../components/dashboard/SeriesScannerModal"));
 const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
 const MEETING_LOOKBACK_DAYS = 60;
@@ -754,6 +755,7 @@ const ClassesPage = ({ isActive = true }) => {
     duration: 30,
     recurrenceDetails: [{ dayOfWeek: 1, time: "18:00", duration: 30, timezone: adminTimezone }],
     generationPeriodMonths: 2,
+    seriesRule: { ...DEFAULT_RULE_FORM },
     timezone: adminTimezone,
     meetingLink: ""
   });
@@ -2336,7 +2338,8 @@ fetchClassesRef.current = fetchClasses;
           interval: 1,
           daysOfWeek: uniqueDays,
           duration: newClass.recurrenceDetails[0]?.duration || 60,
-          generationPeriodMonths: newClass.generationPeriodMonths
+          generationPeriodMonths: newClass.generationPeriodMonths,
+          ...ruleFormToRecurrence(newClass.seriesRule, uniqueDays)
         };
         data.recurrenceDetails = newClass.recurrenceDetails;
       } else {
@@ -2404,6 +2407,7 @@ fetchClassesRef.current = fetchClasses;
       duration: 30,
       recurrenceDetails: [{ dayOfWeek: 1, time: "18:00", duration: 30, timezone: adminTimezone }],
       generationPeriodMonths: 2,
+      seriesRule: { ...DEFAULT_RULE_FORM },
       timezone: adminTimezone,
       meetingLink: ""
     });
@@ -2480,7 +2484,11 @@ fetchClassesRef.current = fetchClasses;
         recurrenceDetails,
         recurrence: fullClass.recurrence,
         guardianRate: fullClass.guardianRate ?? null,
-        teacherPremium: fullClass.teacherPremium ?? null
+        teacherPremium: fullClass.teacherPremium ?? null,
+        status: fullClass.status,
+        isGroup: Boolean(fullClass.isGroup),
+        roster: fullClass.roster || [],
+        groupBilling: fullClass.groupBilling || null
       });
       
       setShowEditModal(true);
@@ -4901,6 +4909,10 @@ fetchClassesRef.current = fetchClasses;
         onDeactivate={handleDeactivateSeries}
         onReactivate={handleReactivateSeries}
         deactivatingId={seriesDeactivatingId}
+        onRuleSaved={() => {
+          fetchSeriesScannerList();
+          fetchClassesRef.current?.();
+        }}
       />
       )}
 
@@ -0,0 +1,296 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import moment from 'moment-timezone';
+import { CheckCircle2, Hand, Inbox, Loader2, RefreshCw, Send, XCircle } from 'lucide-react';
+import api from '../../api/axios';
+import { useAuth } from '../../contexts/AuthContext';
+
+const STATUS_COLORS = {
+  open: 'bg-amber-50 text-amber-700 border-amber-200',
+  assigned: 'bg-emerald-50 text-emerald-700 border-emerald-200',
+  cancelled: 'bg-gray-50 text-gray-700 border-gray-200',
+  expired: 'bg-red-50 text-red-700 border-red-200',
+};
+
+const SOURCE_LABELS = {
+  vacation: 'Teacher vacation',
+  teacher_cancellation: 'Same-day cancellation',
+  on_hold: 'On hold',
+  manual: 'Posted by admin',
+};
+
+const personName = (p) => `${p?.firstName || ''} ${p?.lastName || ''}`.trim() || '—';
+const formatWhen = (date) => moment(date).format('ddd, MMM D · HH:mm');
+
+const CoverBoardPage = ({ isActive }) => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+  const [rows, setRows] = useState([]);
+  const [config, setConfig] = useState(null);
+  const [candidates, setCandidates] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [actingId, setActingId] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [res, candidateRes] = await Promise.all([
+        api.get('/cover-requests', { params: { status: statusFilter } }),
+        isAdmin ? api.get('/cover-requests/candidates') : Promise.resolve(null),
+      ]);
+      setRows(Array.isArray(res?.data?.requests) ? res.data.requests : []);
+      if (res?.data?.config) setConfig(res.data.config);
+      if (candidateRes) setCandidates(candidateRes.data?.classes || []);
+    } catch (err) {
+      setError(err?.response?.data?.message || err?.message || 'Failed to load the cover board');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, isAdmin]);
+
+  useEffect(() => { if (isActive) load(); }, [isActive, load]);
+
+  const runAction = async (id, action) => {
+    setActingId(id);
+    try {
+      const res = await action();
+      if (res?.data?.message) window.alert(res.data.message);
+      await load();
+    } catch (err) {
+      window.alert(err?.response?.data?.message || 'Action failed');
+      await load();
+    } finally {
+      setActingId(null);
+    }
+  };
+
+  const handleClaim = (r) => {
+    const prompt = r.claimMode === 'first_come'
+      ? 'Take this class? It will be added to your schedule right away.'
+      : 'Offer to cover this class? An admin will confirm.';
+    if (!window.confirm(prompt)) return;
+    runAction(r._id, () => api.post(`/cover-requests/${r._id}/claim`, {}));
+  };
+
+  const handleApprove = (r, teacher) => {
+    if (!window.confirm(`Give this class to ${personName(teacher)}?`)) return;
+    runAction(r._id, () => api.post(`/cover-requests/${r._id}/approve`, { teacherId: teacher._id }));
+  };
+
+  const handleWithdraw = (r) => {
+    const reason = window.prompt('Reason for withdrawing? (optional)');
+    if (reason === null) return;
+    runAction(r._id, () => api.post(`/cover-requests/${r._id}/cancel`, { reason }));
+  };
+
+  const handlePost = () => {
+    if (!selected.length) return;
+    runAction('post', async () => {
+      const res = await api.post('/cover-requests', { classIds: selected });
+      setSelected([]);
+      const skipped = res?.data?.skipped?.length || 0;
+      return { data: { message: `${res?.data?.posted?.length || 0} posted${skipped ? `, ${skipped} skipped` : ''}.` } };
+    });
+  };
+
+  const updateConfig = async (patch) => {
+    try {
+      const res = await api.put('/cover-requests/config', { ...config, ...patch });
+      setConfig(res?.data?.config || config);
+    } catch (err) {
+      window.alert(err?.response?.data?.message || 'Failed to save settings');
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  return (
+    <div className="p-4 sm:p-6">
+      <div className="flex items-center justify-between gap-3 mb-4 flex-wrap">
+        <div>
+          <div className="text-lg font-semibold text-foreground">Cover board</div>
+          <div className="text-xs text-muted-foreground">
+            {isAdmin
+              ? 'Classes that need a substitute teacher. Matched teachers are notified and can claim them.'
+              : 'Classes that fit your subjects and schedule and need a substitute teacher.'}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="rounded border border-gray-200 bg-white px-3 py-1.5 text-sm"
+          >
+            <option value="open">{isAdmin ? 'Open' : 'Available to me'}</option>
+            <option value="assigned">{isAdmin ? 'Covered' : 'My covers'}</option>
+            {isAdmin && <option value="cancelled">Withdrawn</option>}
+            {isAdmin && <option value="expired">Expired</option>}
+            {isAdmin && <option value="">All</option>}
+          </select>
+          <button onClick={load} className="inline-flex items-center gap-1 rounded border border-gray-200 bg-white px-3 py-1.5 text-sm">
+            <RefreshCw className={`h-3.5 w-3.5 ${loading ? 'animate-spin' : ''}`} /> Refresh
+          </button>
+        </div>
+      </div>
+
+      {isAdmin && config && (
+        <div className="mb-4 flex flex-wrap items-center gap-4 rounded-lg border border-gray-200 bg-white px-4 py-3 text-xs text-gray-700">
+          <label className="flex items-center gap-2">
+            <span className="font-medium">Claims</span>
+            <select
+              value={config.claimMode}
+              onChange={(e) => updateConfig({ claimMode: e.target.value })}
+              className="rounded border border-gray-200 px-2 py-1"
+            >
+              <option value="first_come">First come, first served</option>
+              <option value="admin_approval">Admin approves</option>
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={config.postVacationClasses} onChange={(e) => updateConfig({ postVacationClasses: e.target.checked })} />
+            Post classes from teacher vacations
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={config.postSameDayTeacherCancellations} onChange={(e) => updateConfig({ postSameDayTeacherCancellations: e.target.checked })} />
+            Post same-day teacher cancellations
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={config.requireSubjectMatch} onChange={(e) => updateConfig({ requireSubjectMatch: e.target.checked })} />
+            Only offer to teachers of the subject
+          </label>
+        </div>
+      )}
+
+      {isAdmin && candidates.length > 0 && (
+        <div className="mb-4 rounded-lg border border-gray-200 bg-white p-4 shadow-sm">
+          <div className="flex items-center justify-between gap-3 mb-2">
+            <div className="text-sm font-semibold text-foreground">Classes without a teacher ({candidates.length})</div>
+            <button
+              onClick={handlePost}
+              disabled={!selected.length || actingId === 'post'}
+              className="inline-flex items-center gap-1 rounded bg-primary px-3 py-1.5 text-xs font-medium text-primary-foreground disabled:opacity-50"
+            >
+              <Send className="h-3.5 w-3.5" /> Post selected
+            </button>
+          </div>
+          <div className="max-h-56 overflow-y-auto divide-y divide-gray-100">
+            {candidates.map((c) => (
+              <label key={c._id} className="flex items-center gap-3 py-1.5 text-xs text-gray-700">
+                <input type="checkbox" checked={selected.includes(c._id)} onChange={() => toggleSelected(c._id)} />
+                <span className="w-36 flex-shrink-0">{formatWhen(c.scheduledDate)}</span>
+                <span className="flex-1 truncate">{c.subject} · {c.student?.studentName} · {personName(c.teacher)}</span>
+                <span className="text-muted-foreground">{c.status.replace(/_/g, ' ')}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {error && <div className="rounded bg-red-50 px-3 py-2 text-sm text-red-700 mb-3">{error}</div>}
+
+      {loading && rows.length === 0 ? (
+        <div className="flex items-center justify-center py-12 text-muted-foreground"><Loader2 className="h-5 w-5 animate-spin mr-2" /> Loading…</div>
+      ) : rows.length === 0 ? (
+        <div className="flex flex-col items-center justify-center py-12 text-muted-foreground">
+          <Inbox className="h-8 w-8 mb-2" />
+          <div className="text-sm">No classes on the board.</div>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {rows.map((r) => (
+            <div key={r._id} className="rounded-lg border border-gray-200 bg-white p-4 shadow-sm">
+              <div className="flex items-start justify-between gap-3 flex-wrap">
+                <div className="min-w-0">
+                  <div className="text-sm font-semibold text-foreground">
+                    {r.subject || 'Class'} · {r.studentName || 'Student'}
+                  </div>
+                  <div className="text-xs text-muted-foreground mt-0.5">
+                    {formatWhen(r.scheduledDate)} · {r.duration} min · {SOURCE_LABELS[r.source] || r.source}
+                    {isAdmin && <> · Teacher: <strong>{personName(r.originalTeacher)}</strong></>}
+                  </div>
+                </div>
+                <span className={`inline-flex items-center rounded-full border px-2 py-0.5 text-xs font-medium ${STATUS_COLORS[r.status] || ''}`}>
+                  {r.status}
+                </span>
+              </div>
+
+              {r.note && (
+                <div className="mt-3 rounded bg-gray-50 px-3 py-2 text-xs text-gray-700">
+                  <strong>Note:</strong> {r.note}
+                </div>
+              )}
+
+              {isAdmin && (
+                <div className="mt-3 text-xs text-gray-700 space-y-1">
+                  {r.status === 'assigned' && (
+                    <div>Covered by <strong>{personName(r.assignedTeacher)}</strong> {r.assignedAt ? `on ${formatWhen(r.assignedAt)}` : ''}</div>
+                  )}
+                  {r.closedReason && r.status !== 'assigned' && <div className="text-muted-foreground">{r.closedReason}</div>}
+                  {r.status === 'open' && (
+                    <div className="text-muted-foreground">
+                      Offered to {r.eligibleCount} teacher{r.eligibleCount === 1 ? '' : 's'} · {r.claimMode === 'first_come' ? 'first come' : 'admin approval'}
+                    </div>
+                  )}
+                  {r.status === 'open' && (r.claims || []).map((c) => (
+                    <div key={c.teacher?._id} className="flex items-center justify-between gap-2 rounded border border-gray-100 px-3 py-1.5">
+                      <span>
+                        <strong>{personName(c.teacher)}</strong> claimed {moment(c.claimedAt).fromNow()}
+                        {c.note ? ` — ${c.note}` : ''}
+                      </span>
+                      <button
+                        onClick={() => handleApprove(r, c.teacher)}
+                        disabled={actingId === r._id}
+                        className="inline-flex items-center gap-1 rounded bg-emerald-600 px-3 py-1 text-xs font-medium text-white hover:bg-emerald-700 disabled:opacity-50"
+                      >
+                        <CheckCircle2 className="h-3.5 w-3.5" /> Approve
+                      </button>
+                    </div>
+                  ))}
+                  {r.status === 'open' && (
+                    <div className="flex justify-end">
+                      <button
+                        onClick={() => handleWithdraw(r)}
+                        disabled={actingId === r._id}
+                        className="inline-flex items-center gap-1 rounded border border-red-200 px-3 py-1 text-xs font-medium text-red-700 hover:bg-red-50 disabled:opacity-50"
+                      >
+                        <XCircle className="h-3.5 w-3.5" /> Withdraw
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {!isAdmin && r.status === 'open' && (
+                <div className="mt-3 flex items-center justify-end gap-2">
+                  {r.myClaim ? (
+                    <span className="text-xs text-amber-700">Waiting for admin approval</span>
+                  ) : (
+                    <button
+                      onClick={() => handleClaim(r)}
+                      disabled={actingId === r._id}
+                      className="inline-flex items-center gap-1 rounded bg-primary px-3 py-1.5 text-xs font-medium text-primary-foreground disabled:opacity-50"
+                    >
+                      <Hand className="h-3.5 w-3.5" /> {r.claimMode === 'first_come' ? 'Take this class' : 'Offer to cover'}
+                    </button>
+                  )}
+                </div>
+              )}
+              {!isAdmin && r.status === 'assigned' && (
+                <div className="mt-3 text-xs text-emerald-700">
+                  {r.assignedToMe ? 'This class is on your schedule.' : 'Another teacher was chosen for this class.'}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CoverBoardPage;
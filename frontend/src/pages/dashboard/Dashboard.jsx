@@ -31,6 +31,7 @@ const GuardiansPage = React.lazy(() => import('./GuardiansPage'));
 const MyStudentsPage = React.lazy(() => import('./MyStudentsPage'));
 const ClassesPage = React.lazy(() => import('./ClassesPage'));
 const InvoicesPage = React.lazy(() => import('./InvoicesPage'));
+const StatementPage = React.lazy(() => import('./StatementPage'));
 const ClassReportPage = React.lazy(() => import('./ClassReportPage'));
 const TeacherSalaries = React.lazy(() => import('../admin/TeacherSalaries'));
 const LibraryDashboard = React.lazy(() => import('../library/LibraryDashboard'));
@@ -43,6 +44,7 @@ const TeacherContractPage = React.lazy(() => import('./TeacherContractPage'));
 const VacationManagementPage = React.lazy(() => import('./VacationManagementPage'));
 const EvaluationPage = React.lazy(() => import('./EvaluationPage'));
 const ClassChangeRequestsPage = React.lazy(() => import('./ClassChangeRequestsPage'));
+const CoverBoardPage = React.lazy(() => import('./CoverBoardPage'));
 const TeacherOperationsPage = React.lazy(() => import('./TeacherOperationsPage'));
 const BusinessIntelligencePage = React.lazy(() => import('./BusinessIntelligencePage'));
 
@@ -173,6 +175,7 @@ const Dashboard = () => {
         '/dashboard/salaries',
         '/dashboard/requests',
         '/dashboard/class-change-requests',
+        '/dashboard/cover-board',
         '/dashboard/settings'
       ],
       guardian: [
@@ -183,6 +186,7 @@ const Dashboard = () => {
         '/dashboard/students',
         '/dashboard/my-students',
         '/dashboard/invoices',
+        '/dashboard/statement',
         '/dashboard/library',
         '/dashboard/vacation-management',
         '/dashboard/requests',
@@ -306,6 +310,8 @@ const Dashboard = () => {
         return <ClassesPage isActive={isActive} />;
       case 'invoices':
         return <InvoicesPage isActive={isActive} />;
+      case 'statement':
+        return <StatementPage isActive={isActive} />;
       case 'salaries':
         return <TeacherSalaries isActive={isActive} />;
       case 'library':
@@ -324,6 +330,8 @@ const Dashboard = () => {
         return <VacationManagementPage isActive={isActive} />;
       case 'class-change-requests':
         return <ClassChangeRequestsPage isActive={isActive} />;
+      case 'cover-board':
+        return <CoverBoardPage isActive={isActive} />;
       case 'teacher-operations':
         return user?.role === 'admin' ? <TeacherOperationsPage isActive={isActive} /> : <DashboardHome isActive={isActive} />;
       case 'business-intelligence':
@@ -5,11 +5,6 @@ import api from '../../api/axios';
 import { useAuth } from "../../contexts/AuthContext";
 import { useNavigate, useLocation } from 'react-router-dom';
 import useFeedbackPrompts from '../../hooks/useFeedbackPrompts';
-const FirstClassFeedbackModal = React.lazy(() => import('../../components/feedback/FirstClassFeedbackModal'));
-const MonthlyFeedbackModal = React.lazy(() => import('../../components/feedback/MonthlyFeedbackModal'));
-const GuardianFollowUpModal = React.lazy(() => import('../../components/meetings/GuardianFollowUpModal'));
-const TeacherSyncModal = React.lazy(() => import('../../components/meetings/TeacherSyncModal'));
-const PasteMeetingModal = React.lazy(() => import('../../components/features/meetings/PasteMeetingModal'));
 import Toast from '../../components/ui/Toast';
 import {
   Users,
@@ -34,8 +29,15 @@ import DashboardDecoration from '../../components/dashboard/widgets/DashboardDec
 import useDomainRefresh from '../../hooks/useDomainRefresh';
 import { makeCacheKey, readCache, writeCache } from '../../utils/sessionCache';
 import { getHomepageAnnouncementContainerClass, getHomepageAnnouncementTextClass } from '../../utils/homepageAnnouncement';
+const FirstClassFeedbackModal = React.lazy(() => import('../../components/feedback/FirstClassFeedbackModal'));
+const MonthlyFeedbackModal = React.lazy(() => import('../../components/feedback/MonthlyFeedbackModal'));
+const GuardianFollowUpModal = React.lazy(() => import('../../components/meetings/GuardianFollowUpModal'));
+const TeacherSyncModal = React.lazy(() => import('../../components/meetings/TeacherSyncModal'));
+const PasteMeetingModal = React.lazy(() => import('../../components/features/meetings/PasteMeetingModal'));
 const AdminDashboardCharts = React.lazy(() => import('../../components/dashboard/widgets/AdminDashboardCharts'));
 const OnboardingTodoPanel = React.lazy(() => import('../../components/dashboard/widgets/OnboardingTodoPanel'));
+const TeacherScorecardPanel = React.lazy(() => import('../../components/teachers/TeacherScorecardPanel'));
+const TeacherOnboardingPanel = React.lazy(() => import('../../components/teachers/TeacherOnboardingPanel'));
 
 const formatClassDate = (d) => {
   if (!d) return '—';
@@ -1723,6 +1725,23 @@ const DashboardHome = ({ isActive = true }) => {
           </div>
         </div>
 
+        {user?._id && (
+          <React.Suspense fallback={null}>
+            <div className="bg-card rounded-lg border border-border p-4 empty:hidden">
+              <TeacherOnboardingPanel teacherId={user._id} hideWhenMissing />
+            </div>
+          </React.Suspense>
+        )}
+
+        {user?._id && (
+          <div className="bg-card rounded-lg border border-border p-4">
+            <h3 className="text-sm font-semibold mb-2">My performance</h3>
+            <React.Suspense fallback={<div className="text-sm text-muted-foreground">Loading scorecard…</div>}>
+              <TeacherScorecardPanel teacherId={user._id} compact />
+            </React.Suspense>
+          </div>
+        )}
+
         {Array.isArray(data.studentsOnVacationList) && data.studentsOnVacationList.length > 0 && (
           <div className="bg-card rounded-lg border border-border p-4">
             <h3 className="text-sm font-semibold mb-2">Currently on vacation</h3>
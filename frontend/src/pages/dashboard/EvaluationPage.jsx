@@ -40,6 +40,8 @@ import {
   PenTool, Tag,
 } from 'lucide-react';
 import { getCurrentAdminMeeting, listMeetings } from '../../api/meetings';
+import { getEvaluationTeacherRecommendations } from '../../api/leads';
+import TeacherRecommendationsPanel from '../../components/features/meetings/TeacherRecommendationsPanel';
 import { TIMEZONE_LIST, DEFAULT_TIMEZONE } from '../../utils/timezoneUtils';
 import { buildTeacherSummaryMessage, formatAvailability, addMinutesToTime, surahNameFor } from '../../utils/evaluationMessage';
 
@@ -3093,6 +3095,12 @@ const summarizeJourney = (answers = []) => {
 };
 
 const SummarySlide = ({ session, student, students = [], activeStudentIdx = 0, onPickStudent, onChange, onUpdateAllStudents }) => {
+  const [showMatches, setShowMatches] = useState(false);
+  const loadMatches = useCallback(
+    () => getEvaluationTeacherRecommendations(session._id, student._id),
+    [session._id, student._id],
+  );
+
   const totals = useMemo(() => {
     const t = { correct: 0, partial: 0, incorrect: 0, total: 0 };
     (student.answers || []).forEach((a) => {
@@ -3548,6 +3556,21 @@ const SummarySlide = ({ session, student, students = [], activeStudentIdx = 0, o
         />
       </div>
 
+      {/* Teacher matching (uses the saved availability, subjects and age) */}
+      {session._id && student._id && (
+        <div className="mt-4">
+          <button type="button" onClick={() => setShowMatches((v) => !v)}
+            className="px-3 py-1.5 rounded-full border border-emerald-300 bg-white text-emerald-800 text-xs">
+            {showMatches ? 'Hide teacher matches' : 'Find a teacher'}
+          </button>
+          {showMatches && (
+            <div className="mt-2">
+              <TeacherRecommendationsPanel key={student._id} load={loadMatches} />
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Received feedback */}
       {student.feedback?.submittedAt && (
         <div className="mt-4 rounded-2xl border border-emerald-300 bg-white p-3">
@@ -28,7 +28,12 @@ import {
   TimerReset,
   Link2,
   CheckSquare,
-  Trash2
+  Trash2,
+  Package,
+  BellRing,
+  Landmark,
+  FileSpreadsheet,
+  BookOpen
 } from 'lucide-react';
 import useBulkSelect from '../../hooks/useBulkSelect';
 import BulkActionBar from '../../components/ui/BulkActionBar';
@@ -40,17 +45,22 @@ import CircleSpinner from '../../components/ui/CircleSpinner';
 import useMinLoading from '../../components/ui/useMinLoading';
 import PrimaryButton from '../../components/ui/PrimaryButton';
 import Badge from '../../components/ui/Badge';
-// InvoiceViewModal is large (~3k LOC); load it on demand to keep the
-// initial Invoices page bundle small.
-const InvoiceViewModal = React.lazy(() => import('../../components/invoices/InvoiceViewModal'));
 import RecordPaymentModal from '../../components/invoices/RecordPaymentModal';
 import RefundInvoiceModal from '../../components/invoices/RefundInvoiceModal';
 import CreateGuardianInvoiceModal from '../../components/invoices/CreateGuardianInvoiceModal';
+import BillingPackagesModal from '../../components/invoices/BillingPackagesModal';
+import DunningQueueModal from '../../components/invoices/DunningQueueModal';
+import TaxSettingsModal from '../../components/invoices/TaxSettingsModal';
+import ReconciliationModal from '../../components/invoices/ReconciliationModal';
+import AccountingExportModal from '../../components/invoices/AccountingExportModal';
 import ConfirmModal from '../../components/ui/ConfirmModal';
 import Toast from '../../components/ui/Toast';
 import { useDeleteActionCountdown } from '../../contexts/DeleteActionCountdownContext';
 import { computeInvoiceTotals, resolveInvoiceClassEntries } from '../../utils/invoiceTotals';
 import { makeCacheKey, readCache, writeCache } from '../../utils/sessionCache';
+// InvoiceViewModal is large (~3k LOC); load it on demand to keep the
+// initial Invoices page bundle small.
+const InvoiceViewModal = React.lazy(() => import('../../components/invoices/InvoiceViewModal'));
 
 const getInvoicePaymentTimestamp = (invoice) => {
   if (!invoice) return 0;
@@ -180,6 +190,11 @@ const InvoicesPage = ({ isActive = true }) => {
   const endMessageEditorRef = useRef(null);
   const { start: startDeleteCountdown } = useDeleteActionCountdown();
   const [createInvoiceOpen, setCreateInvoiceOpen] = useState(false);
+  const [packagesOpen, setPackagesOpen] = useState(false);
+  const [dunningOpen, setDunningOpen] = useState(false);
+  const [taxOpen, setTaxOpen] = useState(false);
+  const [reconciliationOpen, setReconciliationOpen] = useState(false);
+  const [accountingOpen, setAccountingOpen] = useState(false);
   const [cardOverrides, setCardOverrides] = useState({});
   const invoicePrefetchInFlightRef = useRef(new Set());
   const invoicePrefetchCooldownRef = useRef(new Map());
@@ -2324,6 +2339,37 @@ const InvoicesPage = ({ isActive = true }) => {
           }}
         />
       )}
+      {packagesOpen && (
+        <BillingPackagesModal
+          open={packagesOpen}
+          onClose={() => setPackagesOpen(false)}
+        />
+      )}
+      {dunningOpen && (
+        <DunningQueueModal
+          open={dunningOpen}
+          onClose={() => setDunningOpen(false)}
+        />
+      )}
+      {taxOpen && (
+        <TaxSettingsModal
+          open={taxOpen}
+          onClose={() => setTaxOpen(false)}
+        />
+      )}
+      {reconciliationOpen && (
+        <ReconciliationModal
+          open={reconciliationOpen}
+          onClose={() => setReconciliationOpen(false)}
+          onPaymentsApplied={() => { fetchInvoices(); fetchStats(); }}
+        />
+      )}
+      {accountingOpen && (
+        <AccountingExportModal
+          open={accountingOpen}
+          onClose={() => setAccountingOpen(false)}
+        />
+      )}
       {toast.show && (
         <Toast
           type={toast.type || 'success'}
@@ -2520,6 +2566,81 @@ const InvoicesPage = ({ isActive = true }) => {
                 </button>
               </div>
 
+              {/* Prepaid packages catalog with label */}
+              <div className={`flex items-center gap-3 transition-all duration-200 ${fabOpen ? 'opacity-100 translate-y-0' : 'opacity-0 pointer-events-none -translate-y-2'}`}>
+                <span className={`rounded-full bg-white px-3 py-1 text-xs font-medium text-slate-700 shadow-md transition transform ${fabOpen ? 'translate-x-0 opacity-100' : 'translate-x-2 opacity-0'}`}>
+                  Prepaid packages
+                </span>
+                <button
+                  title="Prepaid packages"
+                  onClick={() => { setFabOpen(false); setPackagesOpen(true); }}
+                  className="w-12 h-12 rounded-full shadow-lg flex items-center justify-center transition transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 bg-white text-slate-800"
+                  type="button"
+                >
+                  <Package className="h-5 w-5" />
+                </button>
+              </div>
+
+              {/* Dunning queue with label */}
+              <div className={`flex items-center gap-3 transition-all duration-200 ${fabOpen ? 'opacity-100 translate-y-0' : 'opacity-0 pointer-events-none -translate-y-2'}`}>
+                <span className={`rounded-full bg-white px-3 py-1 text-xs font-medium text-slate-700 shadow-md transition transform ${fabOpen ? 'translate-x-0 opacity-100' : 'translate-x-2 opacity-0'}`}>
+                  Dunning queue
+                </span>
+                <button
+                  title="Dunning queue"
+                  onClick={() => { setFabOpen(false); setDunningOpen(true); }}
+                  className="w-12 h-12 rounded-full shadow-lg flex items-center justify-center transition transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 bg-white text-slate-800"
+                  type="button"
+                >
+                  <BellRing className="h-5 w-5" />
+                </button>
+              </div>
+
+              {/* Tax & numbering with label */}
+              <div className={`flex items-center gap-3 transition-all duration-200 ${fabOpen ? 'opacity-100 translate-y-0' : 'opacity-0 pointer-events-none -translate-y-2'}`}>
+                <span className={`rounded-full bg-white px-3 py-1 text-xs font-medium text-slate-700 shadow-md transition transform ${fabOpen ? 'translate-x-0 opacity-100' : 'translate-x-2 opacity-0'}`}>
+                  Tax &amp; numbering
+                </span>
+                <button
+                  title="Tax & numbering"
+                  onClick={() => { setFabOpen(false); setTaxOpen(true); }}
+                  className="w-12 h-12 rounded-full shadow-lg flex items-center justify-center transition transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 bg-white text-slate-800"
+                  type="button"
+                >
+                  <Landmark className="h-5 w-5" />
+                </button>
+              </div>
+
+              {/* Bank import with label */}
+              <div className={`flex items-center gap-3 transition-all duration-200 ${fabOpen ? 'opacity-100 translate-y-0' : 'opacity-0 pointer-events-none -translate-y-2'}`}>
+                <span className={`rounded-full bg-white px-3 py-1 text-xs font-medium text-slate-700 shadow-md transition transform ${fabOpen ? 'translate-x-0 opacity-100' : 'translate-x-2 opacity-0'}`}>
+                  Bank import
+                </span>
+                <button
+                  title="Bank import"
+                  onClick={() => { setFabOpen(false); setReconciliationOpen(true); }}
+                  className="w-12 h-12 rounded-full shadow-lg flex items-center justify-center transition transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 bg-white text-slate-800"
+                  type="button"
+                >
+                  <FileSpreadsheet className="h-5 w-5" />
+                </button>
+              </div>
+
+              {/* Accounting export with label */}
+              <div className={`flex items-center gap-3 transition-all duration-200 ${fabOpen ? 'opacity-100 translate-y-0' : 'opacity-0 pointer-events-none -translate-y-2'}`}>
+                <span className={`rounded-full bg-white px-3 py-1 text-xs font-medium text-slate-700 shadow-md transition transform ${fabOpen ? 'translate-x-0 opacity-100' : 'translate-x-2 opacity-0'}`}>
+                  Journal export
+                </span>
+                <button
+                  title="Journal export"
+                  onClick={() => { setFabOpen(false); setAccountingOpen(true); }}
+                  className="w-12 h-12 rounded-full shadow-lg flex items-center justify-center transition transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-offset-2 bg-white text-slate-800"
+                  type="button"
+                >
+                  <BookOpen className="h-5 w-5" />
+                </button>
+              </div>
+
               {/* New invoice primary with label */}
               <div className={`flex items-center gap-3 transition-all duration-200 ${fabOpen ? 'opacity-100 translate-y-0' : 'opacity-0 pointer-events-none -translate-y-2'}`}>
                 <span className={`rounded-full bg-white px-3 py-1 text-xs font-medium text-slate-700 shadow-md transition transform ${fabOpen ? 'translate-x-0 opacity-100' : 'translate-x-2 opacity-0'}`}>
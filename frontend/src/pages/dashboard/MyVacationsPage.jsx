@@ -18,8 +18,11 @@ const MyVacationsPage = () => {
   const [success, setSuccess] = useState('');
   const [showCreate, setShowCreate] = useState(false);
   const [form, setForm] = useState({ startDate: '', endDate: '', reason: '' });
+  const [leaveBalance, setLeaveBalance] = useState(null);
+  const [warning, setWarning] = useState('');
 
   const userId = user?._id;
+  const isTeacher = user?.role === 'teacher';
 
   useEffect(() => {
     vacationsRef.current = vacations || [];
@@ -89,6 +92,20 @@ const MyVacationsPage = () => {
     }
   }, [userId, fetchVacations]); // Re-fetch when user changes
 
+  const fetchLeaveBalance = useCallback(async () => {
+    if (!userId || !isTeacher) return;
+    try {
+      const res = await api.get(`/vacations/leave-balance/${userId}`);
+      setLeaveBalance(res.data.balance || null);
+    } catch (err) {
+      console.error('Fetch leave balance error:', err);
+    }
+  }, [userId, isTeacher]);
+
+  useEffect(() => {
+    fetchLeaveBalance();
+  }, [fetchLeaveBalance]);
+
   const handleCreate = async (e) => {
     e.preventDefault();
     
@@ -108,7 +125,7 @@ const MyVacationsPage = () => {
     }
 
     try {
-      await api.post('/vacations', {
+      const res = await api.post('/vacations', {
         user: userId,
         role: user.role,
         startDate: form.startDate,
@@ -118,8 +135,10 @@ const MyVacationsPage = () => {
       setShowCreate(false);
       setForm({ startDate: '', endDate: '', reason: '' });
       fetchVacations();
+      fetchLeaveBalance();
       // Clear any existing error and show success
       setError('');
+      setWarning(res.data?.allowanceWarning || '');
       setSuccess('Vacation request submitted successfully! Awaiting admin approval.');
       // Clear success message after 5 seconds
       setTimeout(() => setSuccess(''), 5000);
@@ -132,6 +151,29 @@ const MyVacationsPage = () => {
   return (
     <div className="p-6">
       <h1 className="text-2xl font-bold mb-4">My Vacations</h1>
+      {isTeacher && leaveBalance && (
+        <div className="mb-4 max-w-3xl rounded border bg-white p-4">
+          <div className="flex flex-wrap items-baseline justify-between gap-2">
+            <h2 className="text-lg font-semibold">Leave balance {leaveBalance.year}</h2>
+            <span className={`text-2xl font-bold ${leaveBalance.availableDays > 0 ? 'text-custom-teal' : 'text-red-600'}`}>
+              {leaveBalance.availableDays} day(s) available
+            </span>
+          </div>
+          <div className="mt-3 grid grid-cols-2 gap-3 text-sm sm:grid-cols-5">
+            <div><div className="text-gray-500">Yearly allowance</div><div className="font-medium">{leaveBalance.accruedDays}</div></div>
+            <div><div className="text-gray-500">Carried over</div><div className="font-medium">{leaveBalance.carriedOverDays}</div></div>
+            <div><div className="text-gray-500">Adjustments</div><div className="font-medium">{leaveBalance.adjustmentDays}</div></div>
+            <div><div className="text-gray-500">Used / booked</div><div className="font-medium">{leaveBalance.usedDays}</div></div>
+            <div><div className="text-gray-500">Pending</div><div className="font-medium">{leaveBalance.pendingDays}</div></div>
+          </div>
+          <p className="mt-3 text-xs text-gray-500">
+            System vacation days are not deducted.
+            {leaveBalance.carryOverMaxDays > 0
+              ? ` Up to ${leaveBalance.carryOverMaxDays} unused day(s) carry over to next year.`
+              : ' Unused days do not carry over to next year.'}
+          </p>
+        </div>
+      )}
       <button className="mb-4 px-4 py-2 bg-custom-teal text-white rounded" onClick={() => setShowCreate(!showCreate)}>
         {showCreate ? 'Cancel' : 'Request Vacation'}
       </button>
@@ -179,6 +221,7 @@ const MyVacationsPage = () => {
       )}
       {error && <p className="text-red-600 mb-2">{error}</p>}
       {success && <p className="text-green-600 mb-2">{success}</p>}
+      {warning && <p className="text-amber-600 mb-2">{warning}</p>}
       {loading ? <p>Loading...</p> : (
         <table className="w-full border">
           <thead>
@@ -8,6 +8,7 @@ import ProfileEditModal from '../../components/dashboard/ProfileEditModal';
 import FirstClassFeedbackModal from '../../components/feedback/FirstClassFeedbackModal';
 import MonthlyFeedbackModal from '../../components/feedback/MonthlyFeedbackModal';
 import Tabs from '../../components/ui/Tabs';
+import CalendarFeedsCard from '../../components/dashboard/CalendarFeedsCard';
 // QualificationsEditor is used in the edit modal; not needed in the profile view
 import { formatTimeInTimezone } from '../../utils/timezoneUtils';
 import { makeCacheKey, readCache, writeCache } from '../../utils/sessionCache';
@@ -794,6 +795,11 @@ export default function ProfilePage() {
             </div>
           </div>
         </div>
+        {['teacher', 'guardian', 'student'].includes(profile?.role) && !(isAdmin && mainTab === 'manage') && (
+          <div className="bg-card shadow-sm rounded-lg p-4 border border-border mt-4">
+            <CalendarFeedsCard role={profile.role} />
+          </div>
+        )}
   {/* Legacy ProfileEditorModal removed. Use Edit Profile button which opens ProfileEditModal above. */}
         {/* Change Password Modal */}
         {showChangePwd && (
@@ -162,7 +162,7 @@ const interpolateWhatsappTemplate = (template, recipient) => {
 
 const EMAIL_PREF_ROLE_EVENTS = {
   teacher: ['classCreated','classCancelled','classRescheduled','poorPerformance','monthlyReport','consecutiveAbsent','vacationApproved','vacationResumed','teacherReassigned','seriesCancelled','availabilityChanged','teacherInvoice'],
-  guardian: ['classCreated','classCancelled','classRescheduled','invoiceCreated','invoiceSend','studentCreated','studentDeleted','vacationGuardianNotice','meetingScheduled'],
+  guardian: ['classCreated','classCancelled','classRescheduled','invoiceCreated','invoiceSend','paymentReminder','studentCreated','studentDeleted','vacationGuardianNotice','meetingScheduled'],
   admin: ['invoiceCreated','monthlyAdminReport','systemAlert','registration','studentCreated','meetingScheduled'],
 };
 
@@ -181,6 +181,7 @@ const EMAIL_PREF_LABELS = {
   teacherInvoice: 'Teacher invoice',
   invoiceCreated: 'Invoice created',
   invoiceSend: 'Invoice sent to guardian',
+  paymentReminder: 'Overdue payment reminders',
   studentCreated: 'New student added',
   studentDeleted: 'Student removed',
   vacationGuardianNotice: 'Vacation guardian notice',
@@ -3656,7 +3657,7 @@ const Settings = () => {
                       className="text-xs px-2 py-1 border border-border rounded bg-background"
                     >
                       <option value="">All types</option>
-                      {['classCreated','classCancelled','classRescheduled','invoiceCreated','invoiceSend','paymentReceived','bonusAdded','invoiceGenerationSummary','poorPerformance','consecutiveAbsent','monthlyStudentReport','meetingScheduled','vacationApproved','vacationGuardianNotice','teacherReassigned','seriesCancelled','availabilityChanged','teacherInvoice','adminMonthlyReport','registration','systemAlert'].map(t => (
+                      {['classCreated','classCancelled','classRescheduled','invoiceCreated','invoiceSend','paymentReminder','paymentReceived','bonusAdded','invoiceGenerationSummary','poorPerformance','consecutiveAbsent','monthlyStudentReport','meetingScheduled','vacationApproved','vacationGuardianNotice','teacherReassigned','seriesCancelled','availabilityChanged','teacherInvoice','adminMonthlyReport','registration','systemAlert'].map(t => (
                         <option key={t} value={t}>{t}</option>
                       ))}
                     </select>
@@ -0,0 +1,250 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import moment from 'moment-timezone';
+import { Download, FileSpreadsheet, Loader2, RefreshCw, ScrollText } from 'lucide-react';
+import api from '../../api/axios';
+import { useAuth } from '../../contexts/AuthContext';
+import SearchSelect from '../../components/ui/SearchSelect';
+import { getGuardianById, searchGuardians } from '../../services/entitySearch';
+
+const inputClass = 'rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-sm text-slate-900 focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200';
+const labelClass = 'text-[11px] font-semibold uppercase tracking-wide text-slate-400';
+
+const TYPE_COLORS = {
+  invoice: 'bg-slate-100 text-slate-700',
+  payment: 'bg-emerald-50 text-emerald-700',
+  refund: 'bg-rose-50 text-rose-700',
+  credit_note: 'bg-rose-50 text-rose-700',
+  class: 'bg-sky-50 text-sky-700',
+  credit: 'bg-violet-50 text-violet-700',
+  credit_settled: 'bg-violet-50 text-violet-700',
+  adjustment: 'bg-amber-50 text-amber-700',
+  hours_adjustment: 'bg-amber-50 text-amber-700',
+};
+
+const formatMoney = (value, currency = 'USD') => (
+  currency === 'USD' ? `$${Number(value || 0).toFixed(2)}` : `${Number(value || 0).toFixed(2)} ${currency}`
+);
+const formatHours = (value) => `${Number(value || 0).toFixed(2)}h`;
+const formatSigned = (value, formatter) => {
+  const numeric = Number(value || 0);
+  if (!numeric) return '—';
+  return `${numeric > 0 ? '+' : '−'}${formatter(Math.abs(numeric))}`;
+};
+
+const SummaryCard = ({ label, hours, amount, currency }) => (
+  <div className="rounded-xl border border-slate-200 bg-white p-4">
+    <p className={labelClass}>{label}</p>
+    <p className="mt-1 text-lg font-semibold text-slate-900">{formatHours(hours)}</p>
+    <p className="text-sm text-slate-500">Balance due {formatMoney(amount, currency)}</p>
+  </div>
+);
+
+const StatementPage = ({ isActive }) => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+  const [guardianId, setGuardianId] = useState('');
+  const [from, setFrom] = useState(() => moment().startOf('month').format('YYYY-MM-DD'));
+  const [to, setTo] = useState(() => moment().format('YYYY-MM-DD'));
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [downloading, setDownloading] = useState('');
+  const [error, setError] = useState('');
+
+  const targetGuardianId = isAdmin ? guardianId : (user?._id || user?.id || '');
+
+  const fetchGuardianOptions = useMemo(() => (term = '') => searchGuardians(term), []);
+  const fetchGuardianById = useMemo(() => (id) => getGuardianById(id), []);
+
+  const load = useCallback(async () => {
+    if (!targetGuardianId) {
+      setStatement(null);
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const res = await api.get(`/invoices/guardian/${targetGuardianId}/statement`, { params: { from, to } });
+      setStatement(res.data?.statement || null);
+    } catch (err) {
+      setStatement(null);
+      setError(err?.response?.data?.message || err?.message || 'Failed to load statement');
+    } finally {
+      setLoading(false);
+    }
+  }, [targetGuardianId, from, to]);
+
+  useEffect(() => { if (isActive) load(); }, [isActive, load]);
+
+  const handleDownload = async (format) => {
+    if (!targetGuardianId) return;
+    setDownloading(format);
+    try {
+      const { data } = await api.get(`/invoices/guardian/${targetGuardianId}/statement`, {
+        params: { from, to, format },
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(new Blob([data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `statement-${to}.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Download statement error:', err);
+      alert('Download failed');
+    } finally {
+      setDownloading('');
+    }
+  };
+
+  const totals = statement?.totals || {};
+  const currency = statement?.currency || 'USD';
+  const money = (value) => formatMoney(value, currency);
+
+  return (
+    <div className="space-y-4 p-4 md:p-6">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <h1 className="flex items-center gap-2 text-xl font-semibold text-slate-900">
+            <ScrollText className="h-5 w-5 text-slate-500" />
+            Account statement
+          </h1>
+          <p className="text-sm text-slate-500">Hours bought, classes consumed and payments with running balances.</p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          {isAdmin && (
+            <div className="w-64">
+              <SearchSelect
+                label="Guardian"
+                placeholder="Search guardians"
+                value={guardianId}
+                onChange={(option) => setGuardianId(option?.id || '')}
+                fetchOptions={fetchGuardianOptions}
+                fetchById={fetchGuardianById}
+              />
+            </div>
+          )}
+          <label className="flex flex-col gap-1">
+            <span className={labelClass}>From</span>
+            <input type="date" className={inputClass} value={from} max={to} onChange={(e) => setFrom(e.target.value)} />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className={labelClass}>To</span>
+            <input type="date" className={inputClass} value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+          </label>
+          <button
+            type="button"
+            onClick={load}
+            disabled={loading || !targetGuardianId}
+            className="inline-flex items-center gap-1 rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-sm text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+          >
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} /> Refresh
+          </button>
+          <button
+            type="button"
+            onClick={() => handleDownload('pdf')}
+            disabled={!statement || Boolean(downloading)}
+            className="inline-flex items-center gap-1 rounded-lg bg-slate-900 px-3 py-1.5 text-sm text-white hover:bg-slate-800 disabled:opacity-50"
+          >
+            {downloading === 'pdf' ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />} PDF
+          </button>
+          <button
+            type="button"
+            onClick={() => handleDownload('xlsx')}
+            disabled={!statement || Boolean(downloading)}
+            className="inline-flex items-center gap-1 rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-sm text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+          >
+            {downloading === 'xlsx' ? <Loader2 className="h-4 w-4 animate-spin" /> : <FileSpreadsheet className="h-4 w-4" />} Excel
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">{error}</div>}
+
+      {!targetGuardianId && (
+        <div className="rounded-xl border border-dashed border-slate-200 p-8 text-center text-sm text-slate-500">
+          Select a guardian to view their statement.
+        </div>
+      )}
+
+      {loading && !statement && (
+        <div className="flex items-center justify-center p-8 text-slate-500"><Loader2 className="h-5 w-5 animate-spin" /></div>
+      )}
+
+      {statement && (
+        <>
+          <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-4">
+            <SummaryCard label="Opening balance" hours={statement.opening?.hours} amount={statement.opening?.amount} currency={currency} />
+            <SummaryCard label="Closing balance" hours={statement.closing?.hours} amount={statement.closing?.amount} currency={currency} />
+            <div className="rounded-xl border border-slate-200 bg-white p-4">
+              <p className={labelClass}>Money in period</p>
+              <p className="mt-1 text-sm text-slate-700">Invoiced {money(totals.invoiced)}</p>
+              <p className="text-sm text-slate-700">Paid {money(totals.paid)}</p>
+              <p className="text-sm text-slate-500">Refunded {money(totals.refunded)} · Credits {money(totals.credits)}</p>
+            </div>
+            <div className="rounded-xl border border-slate-200 bg-white p-4">
+              <p className={labelClass}>Hours in period</p>
+              <p className="mt-1 text-sm text-slate-700">Purchased {formatHours(totals.hoursPurchased)}</p>
+              <p className="text-sm text-slate-700">Consumed {formatHours(totals.hoursConsumed)}</p>
+              <p className="text-sm text-slate-500">Refunded {formatHours(totals.hoursRefunded)} · Corrections {formatSigned(totals.hoursAdjusted, formatHours)}</p>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto rounded-xl border border-slate-200 bg-white">
+            <table className="min-w-full text-sm">
+              <thead className="bg-slate-50 text-left text-xs uppercase tracking-wide text-slate-500">
+                <tr>
+                  <th className="px-3 py-2">Date</th>
+                  <th className="px-3 py-2">Type</th>
+                  <th className="px-3 py-2">Description</th>
+                  <th className="px-3 py-2">Reference</th>
+                  <th className="px-3 py-2 text-right">Hours</th>
+                  <th className="px-3 py-2 text-right">Amount</th>
+                  <th className="px-3 py-2 text-right">Hours balance</th>
+                  <th className="px-3 py-2 text-right">Balance due</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                <tr className="bg-slate-50/60 text-slate-600">
+                  <td className="px-3 py-2" colSpan={6}>Opening balance</td>
+                  <td className="px-3 py-2 text-right font-medium">{formatHours(statement.opening?.hours)}</td>
+                  <td className="px-3 py-2 text-right font-medium">{money(statement.opening?.amount)}</td>
+                </tr>
+                {statement.entries.length === 0 && (
+                  <tr>
+                    <td className="px-3 py-6 text-center text-slate-500" colSpan={8}>No activity in this period.</td>
+                  </tr>
+                )}
+                {statement.entries.map((entry, idx) => (
+                  <tr key={`${entry.type}-${entry.reference || ''}-${idx}`} className="text-slate-700">
+                    <td className="whitespace-nowrap px-3 py-2">{moment(entry.date).format('DD MMM YYYY')}</td>
+                    <td className="px-3 py-2">
+                      <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${TYPE_COLORS[entry.type] || 'bg-slate-100 text-slate-700'}`}>
+                        {entry.typeLabel}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2">{entry.description}</td>
+                    <td className="px-3 py-2 text-slate-500">{entry.reference || '—'}</td>
+                    <td className="px-3 py-2 text-right">{formatSigned(entry.hours, formatHours)}</td>
+                    <td className="px-3 py-2 text-right">{formatSigned(entry.amount, money)}</td>
+                    <td className="px-3 py-2 text-right">{formatHours(entry.hoursBalance)}</td>
+                    <td className="px-3 py-2 text-right">{money(entry.amountBalance)}</td>
+                  </tr>
+                ))}
+                <tr className="bg-slate-50/60 font-semibold text-slate-900">
+                  <td className="px-3 py-2" colSpan={6}>Closing balance</td>
+                  <td className="px-3 py-2 text-right">{formatHours(statement.closing?.hours)}</td>
+                  <td className="px-3 py-2 text-right">{money(statement.closing?.amount)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StatementPage;
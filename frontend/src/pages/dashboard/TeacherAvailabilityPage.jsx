@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import api from '../../api/axios';
 import TimeInput from '../../components/ui/TimeInput';
+import GoogleCalendarImportCard from '../../components/dashboard/GoogleCalendarImportCard';
 import { 
   Calendar, 
   Plus, 
@@ -544,6 +545,9 @@ const TeacherAvailabilityPage = () => {
         })}
       </div>
 
+      {/* Busy time from the teacher's own Google Calendar */}
+      <GoogleCalendarImportCard teacherId={user?._id} />
+
       {/* Add Modal */}
       {showAddModal && (
         <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50 px-4">
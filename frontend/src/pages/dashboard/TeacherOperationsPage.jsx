@@ -57,6 +57,8 @@ import {
   setTeacherAcceptingStudents,
 } from '../../api/teacherContract';
 import { generateTeacherInterviewFeedbackLink } from '../../api/teacherInterviewFeedback';
+import TeacherOnboardingPanel from '../../components/teachers/TeacherOnboardingPanel';
+import HiringPlannerPanel from '../../components/teachers/HiringPlannerPanel';
 import { STANDARD_SUBJECTS } from '../../utils/subjectStandardization';
 import { bumpDomainVersion } from '../../utils/sessionCache';
 
@@ -259,6 +261,7 @@ const STATS_NAV_GROUPS = [
       { id: 'pipeline', label: 'Pipeline stages' },
       { id: 'workforce', label: 'Workforce breakdown' },
       { id: 'load', label: 'Teacher load' },
+      { id: 'planner', label: 'Hiring planner' },
     ],
   },
   {
@@ -426,6 +429,7 @@ export default function TeacherOperationsPage({ isActive }) {
   const [statsFilters, setStatsFilters] = useState({ subject: 'all', gender: 'all', accepting: 'all', tenure: 'all', availability: 'all' });
   const [statsSection, setStatsSection] = useState('pipeline');
   const [togglingTeacherId, setTogglingTeacherId] = useState('');
+  const [acceptingError, setAcceptingError] = useState({ id: '', message: '' });
   const [expandedTeacherId, setExpandedTeacherId] = useState('');
 
   const headerCopy = useMemo(() => ({
@@ -580,6 +584,7 @@ export default function TeacherOperationsPage({ isActive }) {
   const handleToggleAccepting = async (teacherId, next) => {
     try {
       setTogglingTeacherId(teacherId);
+      setAcceptingError({ id: '', message: '' });
       const res = await setTeacherAcceptingStudents(teacherId, next);
       setSummary((prev) => {
         if (!prev) return prev;
@@ -590,8 +595,9 @@ export default function TeacherOperationsPage({ isActive }) {
           )),
         };
       });
-    } catch {
-      // Non-fatal: surface nothing; the toggle simply won't flip.
+    } catch (error) {
+      // Reopening is refused while onboarding is incomplete; show why.
+      setAcceptingError({ id: teacherId, message: error?.response?.data?.message || 'Failed to update student-acceptance status.' });
     } finally {
       setTogglingTeacherId('');
     }
@@ -1676,7 +1682,10 @@ export default function TeacherOperationsPage({ isActive }) {
                         <span className={`rounded-full px-2.5 py-1 text-[11px] font-semibold ${style.badge}`}>{style.label}</span>
                         <span className="text-sm text-muted-foreground">{cap.recommendedAction}</span>
                       </div>
-                      <button type="button" onClick={openCapacitySettings} className="inline-flex items-center gap-1 rounded-full border border-border bg-background px-2.5 py-1 text-[11px] font-medium text-foreground hover:border-primary/40"><Sliders className="h-3 w-3" /> Adjust</button>
+                      <div className="flex items-center gap-1.5">
+                        <button type="button" onClick={() => { setActiveTab('stats'); setStatsSection('planner'); }} className="inline-flex items-center gap-1 rounded-full border border-border bg-background px-2.5 py-1 text-[11px] font-medium text-foreground hover:border-primary/40"><TrendingUp className="h-3 w-3" /> Hiring planner</button>
+                        <button type="button" onClick={openCapacitySettings} className="inline-flex items-center gap-1 rounded-full border border-border bg-background px-2.5 py-1 text-[11px] font-medium text-foreground hover:border-primary/40"><Sliders className="h-3 w-3" /> Adjust</button>
+                      </div>
                     </div>
                     <div>
                       <div className="mb-1 flex items-center justify-between text-[11px] text-muted-foreground">
@@ -2043,6 +2052,12 @@ export default function TeacherOperationsPage({ isActive }) {
               </SectionCard>
               ) : null}
 
+              {statsSection === 'planner' ? (
+              <SectionCard title="Hiring planner">
+                <HiringPlannerPanel isActive={isActive} />
+              </SectionCard>
+              ) : null}
+
               {statsSection === 'load' ? (
             <SectionCard title="Current teacher load">
               {loadingSummary ? (
@@ -2103,6 +2118,7 @@ export default function TeacherOperationsPage({ isActive }) {
                                 <p className="font-semibold text-foreground">{teacher.name}</p>
                                 <span className="rounded-full bg-muted px-1.5 py-0.5 text-[10px] font-medium text-muted-foreground">{LIFECYCLE_STAGE_LABELS[teacher.lifecycleStage] || teacher.lifecycleStage}</span>
                                 {!accepting ? <span className="rounded-full bg-red-100 px-1.5 py-0.5 text-[10px] font-semibold text-red-700 dark:bg-red-900/40 dark:text-red-300">Closed</span> : null}
+                                {teacher.onboarding && !teacher.onboarding.completedAt ? <span className="rounded-full bg-amber-100 px-1.5 py-0.5 text-[10px] font-semibold text-amber-700 dark:bg-amber-900/40 dark:text-amber-300">Onboarding {teacher.onboarding.done}/{teacher.onboarding.total}</span> : null}
                               </div>
                               <p className="text-xs text-muted-foreground">{(teacher.standardizedSubjects || []).join(', ') || 'No subjects yet'} • {teacher.timezone}</p>
                             </div>
@@ -2130,6 +2146,7 @@ export default function TeacherOperationsPage({ isActive }) {
                               {expanded ? <ChevronUp className="h-3 w-3" /> : <ChevronDown className="h-3 w-3" />} Lifecycle
                             </button>
                           </div>
+                          {acceptingError.id === teacher.id ? <p className="mt-1 text-[11px] text-red-600">{acceptingError.message}</p> : null}
                           {expanded ? (
                             <div className="mt-2 grid gap-1 rounded-lg border border-border bg-card px-2.5 py-2 text-[11px] text-muted-foreground sm:grid-cols-2">
                               <p><span className="font-semibold text-foreground">Stage:</span> {LIFECYCLE_STAGE_LABELS[teacher.lifecycleStage] || teacher.lifecycleStage}</p>
@@ -2140,6 +2157,15 @@ export default function TeacherOperationsPage({ isActive }) {
                               <p className="text-[10px]">Edit the joining date from the teacher's profile (admin).</p>
                             </div>
                           ) : null}
+                          {expanded ? (
+                            <div className="mt-2 rounded-lg border border-border bg-card px-2.5 py-2">
+                              <TeacherOnboardingPanel
+                                teacherId={teacher.id}
+                                isAdmin
+                                onChange={() => getTeacherOperationsSummary().then(setSummary).catch(() => {})}
+                              />
+                            </div>
+                          ) : null}
                         </div>
                       );
                     })}
@@ -2420,6 +2446,7 @@ export default function TeacherOperationsPage({ isActive }) {
                 <label className="text-sm text-foreground"><span className="mb-1 block font-medium">Urgent threshold (%)</span><input type="number" min="10" max="100" value={capacityForm.urgentThresholdPct} onChange={(e) => setCapacityForm((p) => ({ ...p, urgentThresholdPct: e.target.value }))} className="w-full rounded-xl border border-border bg-background px-3 py-2" /></label>
                 <label className="text-sm text-foreground"><span className="mb-1 block font-medium">Min female teachers</span><input type="number" min="0" value={capacityForm.minFemaleTeachers} onChange={(e) => setCapacityForm((p) => ({ ...p, minFemaleTeachers: e.target.value }))} className="w-full rounded-xl border border-border bg-background px-3 py-2" /></label>
                 <label className="text-sm text-foreground"><span className="mb-1 block font-medium">Min male teachers</span><input type="number" min="0" value={capacityForm.minMaleTeachers} onChange={(e) => setCapacityForm((p) => ({ ...p, minMaleTeachers: e.target.value }))} className="w-full rounded-xl border border-border bg-background px-3 py-2" /></label>
+                <label className="text-sm text-foreground"><span className="mb-1 block font-medium">Planner horizon (months)</span><input type="number" min="1" max="12" value={capacityForm.forecastMonths ?? 3} onChange={(e) => setCapacityForm((p) => ({ ...p, forecastMonths: e.target.value }))} className="w-full rounded-xl border border-border bg-background px-3 py-2" /></label>
               </div>
             )}
             <div className="mt-3 flex flex-wrap justify-end gap-1.5">
@@ -34,6 +34,7 @@
 				Copy,
 					Edit,
 					DownloadCloud,
+					BarChart3,
 					X
 			} from 'lucide-react';
 			import api from '../../api/axios';
@@ -43,6 +44,8 @@
 			import { fetchAllForExport, mapTeacherRow, downloadExcel } from '../../utils/exportToExcel';
 			import { makeCacheKey, readCache, writeCache } from '../../utils/sessionCache';
 			import { standardizeSubjects } from '../../utils/subjectStandardization';
+			import TeacherScorecardPanel from '../../components/teachers/TeacherScorecardPanel';
+			import TeacherScorecardsModal from '../../components/teachers/TeacherScorecardsModal';
 
 			const TEACHER_STATUS_TABS = [
 				{ id: 'active', label: 'Active' },
@@ -92,6 +95,7 @@
 				const itemsPerPage = 30;
 				const [statusCounts, setStatusCounts] = useState({ active: 0, inactive: 0, all: 0 });
 				const [showAccountLogs, setShowAccountLogs] = useState(false);
+				const [showScorecards, setShowScorecards] = useState(false);
 				const [accountLogSearch, setAccountLogSearch] = useState('');
 				const [accountLogQuery, setAccountLogQuery] = useState('');
 				const [accountLogTeacherId, setAccountLogTeacherId] = useState('');
@@ -612,6 +616,16 @@
 									const data = await fetchAllForExport('/users', params);
 									await downloadExcel((data.users || []).map(mapTeacherRow), 'teachers');
 								}} />
+								{isAdmin() && (
+									<button
+										type="button"
+										onClick={() => setShowScorecards(true)}
+										className="inline-flex items-center gap-1 px-4 py-2 rounded-full border border-border text-sm font-medium text-muted-foreground hover:text-foreground"
+									>
+										<BarChart3 className="h-4 w-4" />
+										<span>Scorecards</span>
+									</button>
+								)}
 							</div>
 
 							<div className="space-y-3">
@@ -859,6 +873,12 @@
 															</div>
 														</div>
 													)}
+												{isAdmin() && (
+													<div className="mt-4 p-3">
+														<h4 className="font-semibold text-foreground mb-2">Performance scorecard</h4>
+														<TeacherScorecardPanel teacherId={teacher._id} />
+													</div>
+												)}
 												{teacher.teacherInfo?.bio && (
 										<div className="mt-4 p-3">
 												<h4 className="font-semibold text-foreground mb-2">Bio</h4>
@@ -931,6 +951,10 @@
 						}}
 					/>
 
+					{isAdmin() && showScorecards && (
+						<TeacherScorecardsModal onClose={() => setShowScorecards(false)} />
+					)}
+
 					{isAdmin() && showAccountLogs && (
 						<div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
 							<div className="w-full max-w-2xl rounded-lg border border-border bg-card p-4 shadow-xl">
@@ -22,11 +22,13 @@ import {
   Check,
   X
 } from 'lucide-react';
+import PrimaryButton from '../../components/ui/PrimaryButton';
+import CircleSpinner from '../../components/ui/CircleSpinner';
 const VacationModal = React.lazy(() => import('../../components/dashboard/VacationModal'));
 const VacationDetailsModal = React.lazy(() => import('../../components/dashboard/VacationDetailsModal'));
 const GuardianStudentVacationModal = React.lazy(() => import('../../components/dashboard/GuardianStudentVacationModal'));
-import PrimaryButton from '../../components/ui/PrimaryButton';
-import CircleSpinner from '../../components/ui/CircleSpinner';
+const LeavePolicyCard = React.lazy(() => import('../../components/dashboard/LeavePolicyCard'));
+const HijriScheduleRulesCard = React.lazy(() => import('../../components/dashboard/HijriScheduleRulesCard'));
 
 const VACATION_WHATSAPP_REPORT_STORAGE_PREFIX = 'waraqa.vacations.whatsappReport.v1';
 const ISLAMIC_DECORATIVE_LINE = '۞ ┈┈┈ ✦ ┈┈┈ ۞';
@@ -1549,6 +1551,12 @@ const VacationManagementPage = () => {
         </div>
       )}
 
+      {user?.role === 'admin' && (
+        <React.Suspense fallback={null}>
+          <LeavePolicyCard />
+        </React.Suspense>
+      )}
+
       {/* Vacation List */}
       <div className="bg-white rounded-lg shadow">
         {loading ? (
@@ -1686,6 +1694,12 @@ const VacationManagementPage = () => {
         </div>
       </div>
 
+      {user?.role === 'admin' && (
+        <React.Suspense fallback={null}>
+          <HijriScheduleRulesCard onChanged={fetchData} />
+        </React.Suspense>
+      )}
+
       {whatsappDraftProgress && (
         <div className="rounded-lg border border-blue-200 bg-blue-50 px-4 py-3 text-sm text-blue-900">
           <div className="flex flex-col gap-3 lg:flex-row lg:items-center lg:justify-between">
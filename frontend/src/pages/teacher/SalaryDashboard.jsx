@@ -6,6 +6,7 @@
  * - Invoice history with filtering
  * - Detailed invoice breakdowns
  * - Payment status tracking
+ * - Signed annual earnings statements
  */
 
 import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
@@ -15,7 +16,7 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useSearch } from '../../contexts/SearchContext';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import { formatDateDDMMMYYYY } from '../../utils/date';
-const TeacherInvoiceDetailModal = React.lazy(() => import('../../components/teacherSalary/TeacherInvoiceDetailModal'));
+import EarningsStatementsCard from '../../components/teacherSalary/EarningsStatementsCard';
 import { makeCacheKey, readCache, writeCache } from '../../utils/sessionCache';
 import {
   FileText,
@@ -31,6 +32,7 @@ import {
   ChevronRight,
   Sparkles
 } from 'lucide-react';
+const TeacherInvoiceDetailModal = React.lazy(() => import('../../components/teacherSalary/TeacherInvoiceDetailModal'));
 
 const SalaryDashboard = () => {
   const { user } = useAuth();
@@ -336,6 +338,8 @@ const SalaryDashboard = () => {
           </div>
         )}
 
+        <EarningsStatementsCard />
+
         {/* Invoices Section */}
         <div className="bg-white rounded-lg shadow">
           {/* Section Header */}
@@ -394,6 +398,7 @@ const SalaryDashboard = () => {
                   const fallbackAmount = amountEGP > 0
                     ? formatCurrency(amountEGP, 'EGP')
                     : formatCurrency(invoice.finalTotal, invoice.currency || 'EGP');
+                  const ruleLines = (invoice.extras || []).filter((extra) => extra.ruleSource?.name);
 
                   return (
                   <div
@@ -431,6 +436,24 @@ const SalaryDashboard = () => {
                           </div>
                         </div>
 
+                        {ruleLines.length > 0 && (
+                          <div className="mt-2 flex flex-wrap items-center gap-1.5 text-xs">
+                            <Sparkles className="w-3 h-3 text-indigo-500" />
+                            {ruleLines.map((extra, idx) => {
+                              const amount = Number(extra.amountUSD || 0);
+                              return (
+                                <span
+                                  key={extra._id || idx}
+                                  title={extra.reason}
+                                  className={`inline-flex items-center rounded-full px-2 py-0.5 ${amount < 0 ? 'bg-red-50 text-red-700' : 'bg-indigo-50 text-indigo-700'}`}
+                                >
+                                  {extra.ruleSource.name}: {amount < 0 ? '−' : '+'}${Math.abs(amount).toFixed(2)}
+                                </span>
+                              );
+                            })}
+                          </div>
+                        )}
+
                         {invoice.status === 'paid' && invoice.paidAt && (
                           <div className="mt-2 text-xs text-green-600 flex items-center gap-1">
                             <CheckCircle className="w-3 h-3" />
@@ -246,8 +246,16 @@ export function computeInvoiceTotals(invoice = {}) {
   const transferFeeWaived = Boolean(coverage.waiveTransferFee || transferFeeSource.waived);
   const effectiveTransferFee = transferFeeWaived ? 0 : transferFeeAmount;
 
+  // Tax mirrors Invoice#recalculateTotals: rate applied to the subtotal. The rate
+  // is locked from the guardian's country rule when the invoice is created
+  // (0 under reverse charge).
+  const taxRate = Math.max(0, Number(inv.taxRate) || 0);
+  const taxAmount = Number.isFinite(subtotal) && taxRate > 0
+    ? roundCurrency((subtotal * taxRate) / 100)
+    : roundCurrency(Math.max(0, Number(inv.tax) || 0));
+
   const computedTotal = Number.isFinite(subtotal)
-    ? roundCurrency(Math.max(0, subtotal - discountAmount + lateFeeAmount + tipAmount + effectiveTransferFee))
+    ? roundCurrency(Math.max(0, subtotal + taxAmount - discountAmount + lateFeeAmount + tipAmount + effectiveTransferFee))
     : null;
 
   const fallbackTotals = [inv.adjustedTotal, inv.total, inv.amount]
@@ -280,6 +288,11 @@ export function computeInvoiceTotals(invoice = {}) {
     remaining,
     hours,
     transferFee: effectiveTransferFee,
-    subtotal: Number.isFinite(subtotal) ? subtotal : null
+    subtotal: Number.isFinite(subtotal) ? subtotal : null,
+    tax: taxAmount,
+    taxRate,
+    taxLabel: inv.taxDetails?.label || 'Tax',
+    reverseCharge: Boolean(inv.taxDetails?.reverseCharge),
+    taxNote: inv.taxDetails?.note || null
   };
 }
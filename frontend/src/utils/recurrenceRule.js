@@ -0,0 +1,242 @@
+// Series rules (RFC 5545 RRULE) for the class series editors.
+// The backend validates and expands rules (backend/utils/recurrenceRule.js);
+// this file only turns the editor form into a rule string and back, and
+// describes rules in plain words.
+
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_SHORT = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS_SHORT = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Ordinals offered by the monthly editor; -1 is "last"
+export const MONTHLY_ORDINALS = [
+  { value: 1, label: '1st' },
+  { value: 2, label: '2nd' },
+  { value: 3, label: '3rd' },
+  { value: 4, label: '4th' },
+  { value: -1, label: 'Last' },
+];
+
+export const DEFAULT_RULE_FORM = {
+  freq: 'WEEKLY',
+  interval: 1,
+  monthlyMode: 'weekday',
+  ordinals: [1],
+  monthDay: 1,
+  endMode: 'never',
+  until: '',
+  count: 10,
+  dtstart: '',
+  exdates: [],
+  rdates: [],
+  custom: false,
+  raw: '',
+};
+
+const ordinalLabel = (n) => {
+  if (n === -1) return 'last';
+  if (n < 0) return `${Math.abs(n)}${ordinalSuffix(Math.abs(n))} from last`;
+  return `${n}${ordinalSuffix(n)}`;
+};
+
+function ordinalSuffix(n) {
+  if (n % 100 >= 11 && n % 100 <= 13) return 'th';
+  return ({ 1: 'st', 2: 'nd', 3: 'rd' })[n % 10] || 'th';
+}
+
+const joinWords = (items) => {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+};
+
+const uniqueSorted = (values) => Array.from(new Set(values)).sort((a, b) => a - b);
+
+/** Loose parse for display and the editor form. Returns null for unreadable input. */
+export function parseRule(rrule) {
+  const text = String(rrule || '').trim().replace(/^RRULE:/i, '');
+  if (!text) return null;
+  const parts = {};
+  for (const part of text.split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || !value) return null;
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+  if (!parts.FREQ) return null;
+
+  const byDay = (parts.BYDAY || '').split(',').filter(Boolean).map((token) => {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(token);
+    return match ? { weekday: WEEKDAY_CODES.indexOf(match[2]), n: match[1] ? Number(match[1]) : null } : null;
+  });
+  if (byDay.some((entry) => !entry)) return null;
+  const numbers = (value) => (value || '').split(',').filter(Boolean).map(Number);
+  const until = parts.UNTIL ? parts.UNTIL.slice(0, 8) : '';
+
+  return {
+    freq: parts.FREQ,
+    interval: Number(parts.INTERVAL) || 1,
+    byDay,
+    byMonthDay: numbers(parts.BYMONTHDAY),
+    byMonth: numbers(parts.BYMONTH),
+    bySetPos: numbers(parts.BYSETPOS),
+    count: parts.COUNT ? Number(parts.COUNT) : null,
+    until: until.length === 8 ? `${until.slice(0, 4)}-${until.slice(4, 6)}-${until.slice(6, 8)}` : '',
+    keys: Object.keys(parts),
+  };
+}
+
+/** Plain-words summary, e.g. "Every month on the 2nd and 4th Sat · 10 sessions" */
+export function describeRule(rrule) {
+  const rule = parseRule(rrule);
+  if (!rule) return rrule ? 'Custom rule' : 'Every week on the slot days';
+
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[rule.freq] || rule.freq.toLowerCase();
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+
+  if (rule.byMonth.length) text += ` in ${rule.byMonth.map((m) => MONTHS_SHORT[m - 1]).join(', ')}`;
+  if (rule.byMonthDay.length) {
+    text += ` on ${joinWords(rule.byMonthDay.map((d) => (d === -1 ? 'the last day' : `day ${d}`)))}`;
+  }
+  if (rule.byDay.length) {
+    const numbered = rule.byDay.filter((entry) => entry.n !== null);
+    if (numbered.length) {
+      const byWeekday = new Map();
+      numbered.forEach((entry) => {
+        byWeekday.set(entry.weekday, [...(byWeekday.get(entry.weekday) || []), entry.n]);
+      });
+      const phrases = Array.from(byWeekday.entries()).map(([weekday, ns]) => (
+        `the ${joinWords(ns.map(ordinalLabel))} ${WEEKDAY_SHORT[weekday]}`
+      ));
+      text += ` on ${joinWords(phrases)}`;
+    } else {
+      text += ` on ${uniqueSorted(rule.byDay.map((entry) => entry.weekday)).map((d) => WEEKDAY_SHORT[d]).join(', ')}`;
+    }
+  }
+  if (rule.bySetPos.length) text += ` (${joinWords(rule.bySetPos.map(ordinalLabel))} match)`;
+  if (rule.count) text += ` · ${rule.count} session${rule.count === 1 ? '' : 's'}`;
+  if (rule.until) text += ` · until ${rule.until}`;
+  return text;
+}
+
+/**
+ * Editor form for a stored rule. Rules the simple editor cannot show (other
+ * weekdays than the slots, BYSETPOS, yearly…) open as custom text.
+ */
+export function ruleToForm(definition = {}, slotDays = []) {
+  const base = {
+    ...DEFAULT_RULE_FORM,
+    dtstart: definition.dtstart || '',
+    exdates: Array.isArray(definition.exdates) ? [...definition.exdates] : [],
+    rdates: Array.isArray(definition.rdates) ? definition.rdates.map((entry) => ({ ...entry })) : [],
+  };
+  const rrule = definition.rrule || '';
+  if (!rrule) return base;
+
+  const rule = parseRule(rrule);
+  const custom = { ...base, custom: true, raw: rrule };
+  if (!rule) return custom;
+
+  const supportedKeys = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'];
+  if (rule.keys.some((key) => !supportedKeys.includes(key))) return custom;
+
+  const form = {
+    ...base,
+    freq: rule.freq,
+    interval: rule.interval,
+    endMode: rule.count ? 'count' : rule.until ? 'until' : 'never',
+    count: rule.count || DEFAULT_RULE_FORM.count,
+    until: rule.until || '',
+  };
+  const days = uniqueSorted(slotDays.map(Number));
+  const ruleDays = uniqueSorted(rule.byDay.map((entry) => entry.weekday));
+  const sameDays = ruleDays.length === days.length && ruleDays.every((d, i) => d === days[i]);
+
+  if (rule.freq === 'DAILY') {
+    return rule.byDay.length || rule.byMonthDay.length ? custom : form;
+  }
+  if (rule.freq === 'WEEKLY') {
+    if (rule.byMonthDay.length || rule.byDay.some((entry) => entry.n !== null)) return custom;
+    return !rule.byDay.length || sameDays ? form : custom;
+  }
+  if (rule.freq === 'MONTHLY') {
+    if (rule.byMonthDay.length === 1 && !rule.byDay.length) {
+      return { ...form, monthlyMode: 'day', monthDay: rule.byMonthDay[0] };
+    }
+    if (!rule.byMonthDay.length && rule.byDay.length && sameDays && rule.byDay.every((entry) => entry.n !== null)) {
+      const ordinals = uniqueSorted(rule.byDay.map((entry) => entry.n));
+      const everyDayHasAll = days.every((day) => ordinals.every((n) => rule.byDay.some((entry) => entry.weekday === day && entry.n === n)));
+      if (everyDayHasAll && ordinals.every((n) => MONTHLY_ORDINALS.some((o) => o.value === n))) {
+        return { ...form, monthlyMode: 'weekday', ordinals };
+      }
+    }
+  }
+  return custom;
+}
+
+/** Rule string for an editor form, using the series' slot weekdays. */
+export function formToRule(form, slotDays = []) {
+  if (form.custom) return String(form.raw || '').trim().replace(/^RRULE:/i, '');
+
+  const days = uniqueSorted(slotDays.map(Number).filter((d) => Number.isInteger(d) && d >= 0 && d <= 6));
+  const parts = [`FREQ=${form.freq}`];
+  const interval = Math.max(1, Number(form.interval) || 1);
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+
+  if (form.freq === 'WEEKLY' && days.length) {
+    parts.push(`BYDAY=${days.map((d) => WEEKDAY_CODES[d]).join(',')}`);
+  }
+  if (form.freq === 'MONTHLY') {
+    if (form.monthlyMode === 'day') {
+      parts.push(`BYMONTHDAY=${Math.min(31, Math.max(1, Number(form.monthDay) || 1))}`);
+    } else if (days.length) {
+      const ordinals = form.ordinals?.length ? [...form.ordinals].sort((a, b) => (a === -1 ? 1 : b === -1 ? -1 : a - b)) : [1];
+      parts.push(`BYDAY=${ordinals.flatMap((n) => days.map((d) => `${n}${WEEKDAY_CODES[d]}`)).join(',')}`);
+    }
+  }
+
+  if (form.endMode === 'count' && Number(form.count) > 0) parts.push(`COUNT=${Number(form.count)}`);
+  if (form.endMode === 'until' && form.until) parts.push(`UNTIL=${form.until.replace(/-/g, '')}`);
+  return parts.join(';');
+}
+
+/** True when the form is the plain "every week on the slot days" default. */
+export function isDefaultRuleForm(form) {
+  return !form.custom
+    && form.freq === 'WEEKLY'
+    && Math.max(1, Number(form.interval) || 1) === 1
+    && form.endMode === 'never'
+    && !form.dtstart
+    && !(form.exdates || []).length
+    && !(form.rdates || []).length;
+}
+
+/** `recurrence` fields sent with a new series; empty for the default rule. */
+export function ruleFormToRecurrence(form, slotDays = []) {
+  if (!form || isDefaultRuleForm(form)) return {};
+  const fields = {
+    rrule: formToRule(form, slotDays),
+    exdates: form.exdates || [],
+    rdates: (form.rdates || []).filter((entry) => entry.date && entry.time),
+  };
+  if (form.dtstart) fields.dtstart = form.dtstart;
+  return fields;
+}
+
+/** 'YYYY-MM-DD' dates between two dates (inclusive) that fall on the given weekdays */
+export function datesOnWeekdays(from, to, weekdays = []) {
+  const start = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) return [];
+  const result = [];
+  for (let day = start; day <= end && result.length < 400; day = new Date(day.getTime() + 86400000)) {
+    if (weekdays.includes(day.getUTCDay())) result.push(day.toISOString().slice(0, 10));
+  }
+  return result;
+}
+
+/** "2027-01-13" or "2027-01-13T20:00" for display */
+export function formatExdate(value) {
+  const [date, time] = String(value || '').split('T');
+  const d = new Date(`${date}T00:00:00Z`);
+  if (Number.isNaN(d.getTime())) return value;
+  const label = `${WEEKDAY_SHORT[d.getUTCDay()]} ${d.getUTCDate()} ${MONTHS_SHORT[d.getUTCMonth()]} ${d.getUTCFullYear()}`;
+  return time ? `${label}, ${time}` : label;
+}